@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "SafetyEvent" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "conversationId" INTEGER,
+    "personaId" TEXT,
+    "source" TEXT NOT NULL,
+    "detectedBy" TEXT NOT NULL,
+    "category" TEXT,
+    "severityLevel" TEXT NOT NULL DEFAULT 'HIGH_RISK',
+    "country" TEXT,
+    "language" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SafetyEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SafetyEvent_userId_createdAt_idx" ON "SafetyEvent"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SafetyEvent_createdAt_idx" ON "SafetyEvent"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SafetyEvent" ADD CONSTRAINT "SafetyEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "MessageSearchToken" (
+    "id" SERIAL NOT NULL,
+    "messageId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+
+    CONSTRAINT "MessageSearchToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageSearchToken_messageId_tokenHash_key" ON "MessageSearchToken"("messageId", "tokenHash");
+
+-- CreateIndex
+CREATE INDEX "MessageSearchToken_userId_tokenHash_idx" ON "MessageSearchToken"("userId", "tokenHash");
+
+-- AddForeignKey
+ALTER TABLE "MessageSearchToken" ADD CONSTRAINT "MessageSearchToken_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "summary" TEXT,
+ADD COLUMN     "summaryUpdatedAt" TIMESTAMP(3),
+ADD COLUMN     "summarizedThroughMessageId" INTEGER;
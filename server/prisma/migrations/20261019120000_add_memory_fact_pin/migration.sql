@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "UserMemoryFact" ADD COLUMN     "isPinned" BOOLEAN NOT NULL DEFAULT false;
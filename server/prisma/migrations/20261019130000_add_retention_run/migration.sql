@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "RetentionRun" (
+    "id" SERIAL NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "triggeredById" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "usersScanned" INTEGER NOT NULL DEFAULT 0,
+    "usersAffected" INTEGER NOT NULL DEFAULT 0,
+    "purgedCounts" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "RetentionRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RetentionRun_startedAt_idx" ON "RetentionRun"("startedAt");
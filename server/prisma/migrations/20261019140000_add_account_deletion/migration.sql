@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "AccountDeletionRequest" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scheduledFor" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AccountDeletionRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AccountDeletionTombstone" (
+    "id" SERIAL NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "plan" TEXT,
+    "accountAgeDays" INTEGER NOT NULL DEFAULT 0,
+    "deletedCounts" JSONB,
+    "filesRemoved" INTEGER NOT NULL DEFAULT 0,
+    "subscriptionCancelled" BOOLEAN NOT NULL DEFAULT false,
+    "requestedAt" TIMESTAMP(3),
+    "deletedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AccountDeletionTombstone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountDeletionRequest_userId_key" ON "AccountDeletionRequest"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountDeletionRequest_tokenHash_key" ON "AccountDeletionRequest"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "AccountDeletionRequest_scheduledFor_idx" ON "AccountDeletionRequest"("scheduledFor");
+
+-- CreateIndex
+CREATE INDEX "AccountDeletionTombstone_deletedAt_idx" ON "AccountDeletionTombstone"("deletedAt");
+
+-- AddForeignKey
+ALTER TABLE "AccountDeletionRequest" ADD CONSTRAINT "AccountDeletionRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
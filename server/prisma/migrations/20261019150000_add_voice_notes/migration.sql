@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "keepVoiceNotes" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "VoiceNote" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "sizeBytes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "VoiceNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VoiceNote_storageKey_key" ON "VoiceNote"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "VoiceNote_userId_createdAt_idx" ON "VoiceNote"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "VoiceNote" ADD CONSTRAINT "VoiceNote_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- RenameTable
+ALTER TABLE "VoiceNote" RENAME TO "MessageAttachment";
+ALTER TABLE "MessageAttachment" RENAME CONSTRAINT "VoiceNote_pkey" TO "MessageAttachment_pkey";
+ALTER TABLE "MessageAttachment" RENAME CONSTRAINT "VoiceNote_userId_fkey" TO "MessageAttachment_userId_fkey";
+ALTER INDEX "VoiceNote_storageKey_key" RENAME TO "MessageAttachment_storageKey_key";
+ALTER INDEX "VoiceNote_userId_createdAt_idx" RENAME TO "MessageAttachment_userId_createdAt_idx";
+ALTER SEQUENCE "VoiceNote_id_seq" RENAME TO "MessageAttachment_id_seq";
+
+-- AlterTable
+ALTER TABLE "MessageAttachment" ADD COLUMN     "messageId" INTEGER,
+ADD COLUMN     "kind" TEXT NOT NULL DEFAULT 'voice_input',
+ADD COLUMN     "durationMs" INTEGER,
+ADD COLUMN     "waveformPeaks" JSONB;
+
+-- CreateIndex
+CREATE INDEX "MessageAttachment_messageId_idx" ON "MessageAttachment"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "MessageAttachment" ADD CONSTRAINT "MessageAttachment_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
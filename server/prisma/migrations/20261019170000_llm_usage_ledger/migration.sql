@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "monthlyCostCeilingUsd" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "LlmUsage" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER,
+    "plan" TEXT,
+    "feature" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "audioSeconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "characters" INTEGER NOT NULL DEFAULT 0,
+    "costUsd" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LlmUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_userId_createdAt_idx" ON "LlmUsage"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_createdAt_idx" ON "LlmUsage"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "LlmUsage" ADD CONSTRAINT "LlmUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
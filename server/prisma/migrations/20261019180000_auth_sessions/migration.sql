@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "tokenVersion" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "UserSession" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "lastUsedAt" TIMESTAMP(3),
+ADD COLUMN     "previousRefreshTokenHash" TEXT,
+ADD COLUMN     "refreshTokenHash" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3),
+ADD COLUMN     "tokenVersion" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserSession_refreshTokenHash_key" ON "UserSession"("refreshTokenHash");
+
+-- CreateIndex
+CREATE INDEX "UserSession_previousRefreshTokenHash_idx" ON "UserSession"("previousRefreshTokenHash");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "planOverride" TEXT,
+ADD COLUMN "planOverrideExpiresAt" TIMESTAMP(3),
+ADD COLUMN "suspendedAt" TIMESTAMP(3),
+ADD COLUMN "suspensionReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "Usage" ADD COLUMN "bonusMessages" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "AdminAuditLog" ADD COLUMN "reason" TEXT;
@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "AuthSession" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "country" TEXT,
+    "deviceType" TEXT,
+    "browser" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "refreshTokenHash" TEXT,
+    "previousRefreshTokenHash" TEXT,
+    "tokenVersion" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "reauthenticatedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AuthSession_pkey" PRIMARY KEY ("id")
+);
+
+-- Move login sessions (the only UserSession rows with an expiry) out of the
+-- analytics table. IDs are kept so access tokens already issued (`sid`) stay
+-- valid.
+INSERT INTO "AuthSession" ("id", "userId", "country", "deviceType", "browser", "createdAt", "refreshTokenHash", "previousRefreshTokenHash", "tokenVersion", "expiresAt", "lastUsedAt", "revokedAt", "reauthenticatedAt")
+SELECT "id", "userId", "country", "deviceType", "browser", "createdAt", "refreshTokenHash", "previousRefreshTokenHash", "tokenVersion", "expiresAt", "lastUsedAt", "revokedAt", "reauthenticatedAt"
+FROM "UserSession"
+WHERE "expiresAt" IS NOT NULL;
+
+SELECT setval(pg_get_serial_sequence('"AuthSession"', 'id'), COALESCE((SELECT MAX("id") FROM "AuthSession"), 0) + 1, false);
+
+DELETE FROM "UserSession" WHERE "expiresAt" IS NOT NULL;
+
+-- DropIndex
+DROP INDEX "UserSession_refreshTokenHash_key";
+
+-- DropIndex
+DROP INDEX "UserSession_previousRefreshTokenHash_idx";
+
+-- AlterTable
+ALTER TABLE "UserSession" DROP COLUMN "expiresAt",
+DROP COLUMN "lastUsedAt",
+DROP COLUMN "previousRefreshTokenHash",
+DROP COLUMN "reauthenticatedAt",
+DROP COLUMN "refreshTokenHash",
+DROP COLUMN "revokedAt",
+DROP COLUMN "tokenVersion";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthSession_refreshTokenHash_key" ON "AuthSession"("refreshTokenHash");
+
+-- CreateIndex
+CREATE INDEX "AuthSession_userId_createdAt_idx" ON "AuthSession"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuthSession_previousRefreshTokenHash_idx" ON "AuthSession"("previousRefreshTokenHash");
+
+-- AddForeignKey
+ALTER TABLE "AuthSession" ADD CONSTRAINT "AuthSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
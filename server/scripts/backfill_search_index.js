@@ -0,0 +1,94 @@
+// server/scripts/backfill_search_index.js
+// Builds the blind search index (MessageSearchToken) for messages that were
+// saved before conversation search existed. New messages are indexed by the
+// Prisma middleware on create, so this only needs to run once per deployment
+// (or again after SEARCH_INDEX_KEY changes).
+//
+// How to run:
+//   1) Ensure server/.env has MESSAGE_ENCRYPTION_KEY and, ideally, SEARCH_INDEX_KEY.
+//   2) From the project root (same level as `server/`), run:
+//        node server/scripts/backfill_search_index.js
+//      Pass --rebuild to drop existing index rows first (needed after a key change).
+//
+// Notes:
+//   - Reads messages through the app's Prisma client, so content is decrypted
+//     in memory only; plaintext is never written or logged.
+//   - Safe to re-run; existing (messageId, tokenHash) pairs are skipped.
+
+const path = require("path");
+
+// Load env from server/.env so the keys are available BEFORE prisma is required
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const prisma = require("../src/prisma");
+const { buildSearchTokenHashes } = require("../src/utils/searchIndex");
+
+async function run() {
+  const rebuild = process.argv.includes("--rebuild");
+  console.log("[SearchIndex] Starting backfill...");
+
+  if (rebuild) {
+    const { count } = await prisma.messageSearchToken.deleteMany({});
+    console.log(`[SearchIndex] Dropped ${count} existing index rows.`);
+  }
+
+  const batchSize = 200;
+  let cursorId = 0;
+  let totalMessages = 0;
+  let totalTokens = 0;
+
+  while (true) {
+    const batch = await prisma.message.findMany({
+      where: { id: { gt: cursorId } },
+      orderBy: { id: "asc" },
+      take: batchSize,
+      select: { id: true, userId: true, content: true },
+    });
+
+    if (!batch.length) {
+      break;
+    }
+    cursorId = batch[batch.length - 1].id;
+
+    for (const msg of batch) {
+      try {
+        const hashes = buildSearchTokenHashes(msg.content);
+        if (!hashes.length) continue;
+        const { count } = await prisma.messageSearchToken.createMany({
+          data: hashes.map((tokenHash) => ({
+            messageId: msg.id,
+            userId: msg.userId,
+            tokenHash,
+          })),
+          skipDuplicates: true,
+        });
+        totalTokens += count;
+      } catch (err) {
+        // Log and continue; do not abort the whole backfill due to a single bad row.
+        console.error(
+          `[SearchIndex] Failed to index message id=${msg.id}:`,
+          err && err.message ? err.message : err
+        );
+      }
+    }
+
+    totalMessages += batch.length;
+    console.log(`[SearchIndex] Processed ${totalMessages} messages so far...`);
+  }
+
+  console.log(
+    `[SearchIndex] Completed. Messages scanned: ${totalMessages}, index rows added: ${totalTokens}.`
+  );
+}
+
+run()
+  .catch((err) => {
+    console.error("[SearchIndex] Unexpected error:", err && err.message ? err.message : err);
+  })
+  .finally(async () => {
+    try {
+      await prisma.$disconnect();
+    } catch {
+      // Nothing left to do; the process is exiting anyway.
+    }
+  });
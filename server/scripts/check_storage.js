@@ -0,0 +1,49 @@
+// server/scripts/check_storage.js
+// Round-trips one object through the configured storage driver
+// (services/storage): put, get, compare, delete, confirm it is gone.
+//
+// How to run:
+//   1) Configure STORAGE_DRIVER (and the S3_* variables for "s3") in server/.env.
+//      For a local S3 stand-in, e.g. MinIO:
+//        docker run -p 9000:9000 -e MINIO_ROOT_USER=minio -e MINIO_ROOT_PASSWORD=minio123 \
+//          minio/minio server /data
+//      create the bucket, then set S3_ENDPOINT=http://localhost:9000 and
+//      S3_FORCE_PATH_STYLE=true.
+//   2) From the project root (same level as `server/`), run:
+//        node server/scripts/check_storage.js
+//
+// Exits non-zero on any mismatch or driver error.
+
+const path = require("path");
+const crypto = require("crypto");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const { getStorage } = require("../src/services/storage");
+
+async function run() {
+  const storage = getStorage();
+  const key = `healthcheck/${crypto.randomUUID()}.bin`;
+  const payload = crypto.randomBytes(64 * 1024);
+
+  console.log(`[Storage] Driver: ${storage.name}`);
+
+  await storage.putObject(key, payload, { contentType: "application/octet-stream" });
+  const read = await storage.getObject(key);
+  if (!read || !read.equals(payload)) {
+    throw new Error("Read-back does not match what was written");
+  }
+
+  await storage.deleteObject(key);
+  const afterDelete = await storage.getObject(key);
+  if (afterDelete !== null) {
+    throw new Error("Object still readable after delete");
+  }
+
+  console.log("[Storage] put/get/delete OK");
+}
+
+run().catch((err) => {
+  console.error("[Storage] Check failed:", err && err.message ? err.message : err);
+  process.exit(1);
+});
@@ -9,7 +9,9 @@
 //
 // Notes:
 //   - Uses the same Prisma client and AES-256-GCM encryptText() logic as the main app.
-//   - Only touches rows where Message.content does NOT start with "enc::".
+//   - Only touches rows where Message.content does NOT start with "enc:" (legacy
+//     "enc::" and current "enc:v2:" payloads are both already encrypted).
+//   - To move already-encrypted rows to a new key, use reencrypt_to_active_key.js.
 //   - Safe to re-run; already-encrypted rows are skipped by the WHERE clause.
 
 const path = require("path");
@@ -50,14 +52,14 @@ async function run() {
   let totalProcessed = 0;
 
   // We rely on the Prisma middleware to perform encryption on write.
-  // This script simply finds rows whose content DOES NOT start with "enc::"
+  // This script simply finds rows whose content DOES NOT start with "enc:"
   // and re-saves the same content value, triggering encryption in the middleware.
   while (true) {
     const legacyMessages = await prisma.message.findMany({
       where: {
         NOT: {
           content: {
-            startsWith: "enc::",
+            startsWith: "enc:",
           },
         },
       },
@@ -76,7 +78,7 @@ async function run() {
         await prisma.message.update({
           where: { id: msg.id },
           data: {
-            // This value is currently plain text (or at least not prefixed with enc::).
+            // This value is currently plain text (or at least not prefixed with enc:).
             // Prisma middleware will encrypt it using encryptText() before persisting.
             content: msg.content,
           },
@@ -0,0 +1,308 @@
+// server/scripts/reencrypt_to_active_key.js
+// Resumable batch re-encryption of every encrypted column and stored
+// attachment onto the active key.
+//
+// Use it after a key rotation (see getKeyring() in src/utils/crypto.js):
+//   1) Add the new key to MESSAGE_ENCRYPTION_KEYS in server/.env, e.g.
+//        MESSAGE_ENCRYPTION_KEYS=k2:<new 32-byte key, hex or base64>
+//      Keep the old key(s) configured; they are still needed to read old rows.
+//   2) From the project root (same level as `server/`), run:
+//        node server/scripts/reencrypt_to_active_key.js
+//      Add --yes to skip the confirmation prompt, --reset to ignore a previous checkpoint.
+//   3) Once the script reports 0 remaining rows for every column and 0 objects
+//      not on the active key for attachments, the old key can be removed.
+//
+// Notes:
+//   - Covers Message.content, UserMemoryFact.value, MirrorSession.summaryText,
+//     MessageEmotion.notes, Conversation.summary, and the two-factor secrets
+//     User.twoFactorSecret and User.twoFactorPendingSecret. Plain-text and
+//     legacy "enc::" rows are encrypted too.
+//   - Rows are read through the app's Prisma client (decrypted in memory only)
+//     and written back through the same middleware, which encrypts with the active key.
+//     The two-factor secrets are encrypted by services/twoFactorService.js,
+//     not the middleware, so the script decrypts and re-encrypts those itself.
+//   - Then rewrites the stored audio of every MessageAttachment (voice notes
+//     and spoken replies, encrypted with encryptBuffer) in object storage
+//     (STORAGE_DRIVER and its settings must match the server's). Objects
+//     whose key is no longer configured are counted as failed and left alone.
+//   - Progress is checkpointed to server/scripts/.reencrypt-checkpoint.json after
+//     every batch, so an interrupted run resumes where it stopped.
+//   - Safe to re-run; rows already on the active key are skipped by the WHERE clause.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// Load env from server/.env so the keyring is available BEFORE prisma is required
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+// This prisma instance has the encryption middleware attached
+const prisma = require("../src/prisma");
+const {
+  getActiveKeyId,
+  isEncrypted,
+  encryptText,
+  decryptText,
+  encryptBuffer,
+  decryptBuffer,
+  getBufferKeyId,
+} = require("../src/utils/crypto");
+const { getStorage } = require("../src/services/storage");
+
+const CHECKPOINT_PATH = path.join(__dirname, ".reencrypt-checkpoint.json");
+const BATCH_SIZE = 200;
+const ATTACHMENTS_TARGET = "MessageAttachment storage";
+
+// keepUpdatedAt: write the old @updatedAt back so re-encryption does not
+// reorder anything that sorts by it. selfEncrypted: the column is encrypted by
+// the service that owns it, not the Prisma middleware, so it is read as
+// ciphertext and re-encrypted here.
+const TARGETS = [
+  { name: "Message.content", model: "message", field: "content", keepUpdatedAt: true },
+  { name: "UserMemoryFact.value", model: "userMemoryFact", field: "value", keepUpdatedAt: true },
+  { name: "MirrorSession.summaryText", model: "mirrorSession", field: "summaryText" },
+  { name: "MessageEmotion.notes", model: "messageEmotion", field: "notes", nullable: true },
+  {
+    name: "Conversation.summary",
+    model: "conversation",
+    field: "summary",
+    nullable: true,
+    keepUpdatedAt: true,
+  },
+  {
+    name: "User.twoFactorSecret",
+    model: "user",
+    field: "twoFactorSecret",
+    nullable: true,
+    keepUpdatedAt: true,
+    selfEncrypted: true,
+  },
+  {
+    name: "User.twoFactorPendingSecret",
+    model: "user",
+    field: "twoFactorPendingSecret",
+    nullable: true,
+    keepUpdatedAt: true,
+    selfEncrypted: true,
+  },
+];
+
+async function askForConfirmation(activeKeyId) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const question = (q) =>
+    new Promise((resolve) => {
+      rl.question(q, (answer) => resolve(answer));
+    });
+
+  const answer = await question(
+    `Re-encrypt all sensitive columns with key "${activeKeyId}"? Keep every old key configured until this finishes. (yes/no): `
+  );
+  rl.close();
+
+  const normalized = String(answer || "").trim().toLowerCase();
+  return normalized === "yes" || normalized === "y";
+}
+
+function loadCheckpoint(activeKeyId, reset) {
+  if (reset || !fs.existsSync(CHECKPOINT_PATH)) {
+    return { activeKeyId, targets: {} };
+  }
+  try {
+    const saved = JSON.parse(fs.readFileSync(CHECKPOINT_PATH, "utf8"));
+    if (saved && saved.activeKeyId === activeKeyId && saved.targets) {
+      return saved;
+    }
+    console.log("[Reencrypt] Checkpoint was for another key; starting over.");
+  } catch (err) {
+    console.error(
+      "[Reencrypt] Ignoring unreadable checkpoint:",
+      err && err.message ? err.message : err
+    );
+  }
+  return { activeKeyId, targets: {} };
+}
+
+function saveCheckpoint(checkpoint) {
+  checkpoint.savedAt = new Date().toISOString();
+  fs.writeFileSync(CHECKPOINT_PATH, JSON.stringify(checkpoint, null, 2));
+}
+
+async function reencryptTarget(target, activeKeyId, checkpoint) {
+  const state = checkpoint.targets[target.name] || { lastId: 0, updated: 0, failed: 0, done: false };
+  checkpoint.targets[target.name] = state;
+
+  if (state.done) {
+    console.log(`[Reencrypt] ${target.name}: already completed in checkpoint, skipping.`);
+    return;
+  }
+
+  const delegate = prisma[target.model];
+  const activePrefix = `enc:v2:${activeKeyId}:`;
+  const select = { id: true, [target.field]: true };
+  if (target.keepUpdatedAt) select.updatedAt = true;
+
+  while (true) {
+    const where = {
+      id: { gt: state.lastId },
+      NOT: { [target.field]: { startsWith: activePrefix } },
+    };
+    if (target.nullable) where[target.field] = { not: null };
+
+    const rows = await delegate.findMany({
+      where,
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      select,
+    });
+
+    if (!rows.length) {
+      break;
+    }
+
+    for (const row of rows) {
+      const value = row[target.field];
+      if (target.selfEncrypted) {
+        if (typeof value !== "string" || !value) continue;
+      } else if (typeof value !== "string" || !value || isEncrypted(value)) {
+        // Still an encrypted payload after the read means the middleware could
+        // not decrypt it (e.g. its key is no longer configured). Leave it alone.
+        if (value) state.failed += 1;
+        continue;
+      }
+      try {
+        // decryptText passes plain text through and throws on an unknown key id.
+        const stored = target.selfEncrypted ? encryptText(decryptText(value)) : value;
+        const data = { [target.field]: stored };
+        if (target.keepUpdatedAt) data.updatedAt = row.updatedAt;
+        // updateMany goes through the same encryption middleware but does not
+        // trigger the per-row search re-index that update() would.
+        await delegate.updateMany({ where: { id: row.id }, data });
+        state.updated += 1;
+      } catch (err) {
+        // Log and continue; do not abort whole run due to a single bad row.
+        state.failed += 1;
+        console.error(
+          `[Reencrypt] Failed to re-encrypt ${target.name} id=${row.id}:`,
+          err && err.message ? err.message : err
+        );
+      }
+    }
+
+    state.lastId = rows[rows.length - 1].id;
+    saveCheckpoint(checkpoint);
+    console.log(
+      `[Reencrypt] ${target.name}: up to id=${state.lastId}, updated=${state.updated}, failed=${state.failed}`
+    );
+  }
+
+  state.done = true;
+  saveCheckpoint(checkpoint);
+
+  const remainingWhere = { NOT: { [target.field]: { startsWith: activePrefix } } };
+  if (target.nullable) remainingWhere[target.field] = { not: null };
+  remainingWhere.AND = [{ NOT: { [target.field]: "" } }];
+  const remaining = await delegate.count({ where: remainingWhere });
+  console.log(`[Reencrypt] ${target.name}: done. Rows not on "${activeKeyId}": ${remaining}.`);
+}
+
+// Attachments live in object storage, so there is no WHERE clause to find
+// the ones on an old key: every object is read and its key id checked.
+async function reencryptAttachments(activeKeyId, checkpoint) {
+  const state = checkpoint.targets[ATTACHMENTS_TARGET] || {
+    lastId: 0,
+    updated: 0,
+    failed: 0,
+    missing: 0,
+    done: false,
+  };
+  checkpoint.targets[ATTACHMENTS_TARGET] = state;
+
+  if (state.done) {
+    console.log(`[Reencrypt] ${ATTACHMENTS_TARGET}: already completed in checkpoint, skipping.`);
+    return;
+  }
+
+  const storage = getStorage();
+
+  while (true) {
+    const rows = await prisma.messageAttachment.findMany({
+      where: { id: { gt: state.lastId } },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      select: { id: true, storageKey: true },
+    });
+
+    if (!rows.length) {
+      break;
+    }
+
+    for (const row of rows) {
+      try {
+        const stored = await storage.getObject(row.storageKey);
+        if (!stored) {
+          state.missing += 1;
+          continue;
+        }
+        if (getBufferKeyId(stored) === activeKeyId) continue;
+        await storage.putObject(row.storageKey, encryptBuffer(decryptBuffer(stored)), {
+          contentType: "application/octet-stream",
+        });
+        state.updated += 1;
+      } catch (err) {
+        state.failed += 1;
+        console.error(
+          `[Reencrypt] Failed to re-encrypt attachment id=${row.id}:`,
+          err && err.message ? err.message : err
+        );
+      }
+    }
+
+    state.lastId = rows[rows.length - 1].id;
+    saveCheckpoint(checkpoint);
+    console.log(
+      `[Reencrypt] ${ATTACHMENTS_TARGET}: up to id=${state.lastId}, updated=${state.updated}, failed=${state.failed}, missing=${state.missing}`
+    );
+  }
+
+  state.done = true;
+  saveCheckpoint(checkpoint);
+  console.log(
+    `[Reencrypt] ${ATTACHMENTS_TARGET}: done. Objects not on "${activeKeyId}": ${state.failed}.`
+  );
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  const activeKeyId = getActiveKeyId();
+  console.log(`[Reencrypt] Active key: "${activeKeyId}".`);
+
+  if (!args.includes("--yes")) {
+    const confirmed = await askForConfirmation(activeKeyId);
+    if (!confirmed) {
+      console.log("[Reencrypt] Aborted by user.");
+      return;
+    }
+  }
+
+  const checkpoint = loadCheckpoint(activeKeyId, args.includes("--reset"));
+
+  for (const target of TARGETS) {
+    await reencryptTarget(target, activeKeyId, checkpoint);
+  }
+  await reencryptAttachments(activeKeyId, checkpoint);
+
+  console.log("[Reencrypt] Completed.");
+}
+
+run()
+  .catch((err) => {
+    console.error("[Reencrypt] Unexpected error:", err && err.message ? err.message : err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    try {
+      await prisma.$disconnect();
+    } catch {
+      // Exiting anyway; the exit code already reflects the run.
+    }
+  });
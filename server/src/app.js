@@ -0,0 +1,121 @@
+// server/src/app.js
+// The Express app with all middleware and routes, without listening. The
+// server entry point (src/index.js) adds the port, the live voice call socket
+// and the schedulers; tests mount the app on an ephemeral port instead.
+const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const path = require('path');
+const requestContext = require('./middleware/requestContext');
+const requestMetadata = require('./middleware/requestMetadata');
+const logger = require('./utils/logger').child({ component: 'Http' });
+
+const { globalLimiter, authLimiter, chatLimiter } = require('./middleware/rateLimit');
+
+const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const chatRoutes = require('./routes/chat');
+const userRoutes = require('./routes/user');
+const billingRoutes = require('./routes/billing');
+const adminRoutes = require('./routes/admin');
+const whispersRoutes = require('./routes/whispers');
+const emotionsRoutes = require('./routes/emotions');
+const mirrorRoutes = require('./routes/mirror');
+const portalsRoutes = require('./routes/portals');
+const metricsRoutes = require('./routes/metrics');
+
+const app = express();
+app.set("trust proxy", 1);
+
+// Request ID, access log and HTTP metrics for everything below
+app.use(requestContext);
+
+const FRONTEND_URL = process.env.FRONTEND_URL;
+const allowedOrigins = [
+  "https://asrarai.com",
+  "https://www.asrarai.com",
+  "https://asrar-ai.vercel.app",
+  "https://staging.asrarai.com",
+  "http://localhost:5173",
+];
+
+if (FRONTEND_URL && !allowedOrigins.includes(FRONTEND_URL)) {
+  allowedOrigins.push(FRONTEND_URL);
+}
+
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      // Allow no-origin requests (like curl/postman) and allowed browser origins
+      if (!origin || allowedOrigins.includes(origin)) {
+        return callback(null, true);
+      }
+      logger.warn("cors blocked origin", { origin });
+      // For unknown origins, deny without throwing to avoid crashing the request pipeline.
+      return callback(null, false);
+    },
+    credentials: true,
+    // Lets the frontend quote the request ID in bug reports
+    exposedHeaders: ['X-Request-Id'],
+  })
+);
+
+app.use(express.json({
+  verify: (req, res, buf) => {
+    try {
+      if (req.originalUrl === '/api/billing/webhook') {
+        req.rawBody = buf.toString('utf8');
+      }
+    } catch {
+      // Without rawBody the webhook route falls back to the parsed body.
+    }
+  },
+}));
+
+app.use(cookieParser());
+app.use(requestMetadata);
+
+// Global rate limit for all API routes
+app.use('/api', globalLimiter);
+
+// serve uploaded files (avatars). Voice recordings are never public: older
+// deployments wrote them to uploads/voice, so keep that folder unreachable.
+app.use('/uploads/voice', (req, res) => res.status(404).end());
+app.use('/uploads', express.static(path.resolve(__dirname, '..', 'uploads')));
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+app.use('/api/metrics', metricsRoutes);
+
+// Stricter limiter for auth endpoints
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/request-password-reset', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/reauth', authLimiter);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth', authRoutes);
+
+// Chat limiter for text + voice chat endpoints
+app.use('/api/chat/message', chatLimiter);
+app.use('/api/chat/voice', chatLimiter);
+app.use('/api/chat', chatRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/user', userRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/admin', adminRoutes);
+
+// NOTE: Dev-only memory clear endpoint REMOVED for production safety.
+// Use admin panel or direct DB access for testing if needed.
+
+app.use('/api/personas', whispersRoutes);
+app.use('/api/emotions', emotionsRoutes);
+app.use('/api/mirror', mirrorRoutes);
+app.use('/api/portals', portalsRoutes);
+
+app.use((req, res) => {
+  res.status(404).json({ message: 'Not Found' });
+});
+
+module.exports = { app, allowedOrigins };
@@ -0,0 +1,97 @@
+// server/src/config/crisisHotlines.js
+// Per-country crisis resources used by the safety subsystem. Keys are the
+// ISO-3166 alpha-2 codes produced by middleware/requestMetadata.js.
+//
+// Every entry has the local emergency number and, where one exists and has
+// been verified, a dedicated suicide / emotional-support line. Numbers change:
+// re-check an entry against the provider's official site before editing it,
+// and prefer leaving a country on DEFAULT over guessing.
+
+const CRISIS_HOTLINES = {
+  US: {
+    emergency: '911',
+    lines: [{ name: { en: '988 Suicide & Crisis Lifeline', ar: 'خط 988 للأزمات والانتحار' }, phone: '988' }],
+  },
+  CA: {
+    emergency: '911',
+    lines: [{ name: { en: '9-8-8 Suicide Crisis Helpline', ar: 'خط 988 لمساندة الأزمات' }, phone: '988' }],
+  },
+  GB: {
+    emergency: '999',
+    lines: [{ name: { en: 'Samaritans', ar: 'جمعية السامريين' }, phone: '116 123' }],
+  },
+  IE: {
+    emergency: '112',
+    lines: [{ name: { en: 'Samaritans', ar: 'جمعية السامريين' }, phone: '116 123' }],
+  },
+  AU: {
+    emergency: '000',
+    lines: [{ name: { en: 'Lifeline', ar: 'لايف لاين' }, phone: '13 11 14' }],
+  },
+  DE: {
+    emergency: '112',
+    lines: [{ name: { en: 'TelefonSeelsorge', ar: 'خط الإرشاد الهاتفي' }, phone: '0800 111 0 111' }],
+  },
+  FR: {
+    emergency: '112',
+    lines: [{ name: { en: 'National suicide prevention line', ar: 'الخط الوطني للوقاية من الانتحار' }, phone: '3114' }],
+  },
+  NL: {
+    emergency: '112',
+    lines: [{ name: { en: '113 Suicide Prevention', ar: 'خط 113 للوقاية من الانتحار' }, phone: '113' }],
+  },
+  SE: {
+    emergency: '112',
+    lines: [{ name: { en: 'Självmordslinjen (Mind)', ar: 'خط مساندة الانتحار (Mind)' }, phone: '90101' }],
+  },
+  LB: {
+    emergency: '112',
+    lines: [{ name: { en: 'Embrace Lifeline', ar: 'خط الحياة - إمبريس' }, phone: '1564' }],
+  },
+  EG: {
+    emergency: '123',
+    lines: [{ name: { en: 'Mental health hotline (Ministry of Health)', ar: 'الخط الساخن للصحة النفسية' }, phone: '08008880700' }],
+  },
+  AE: {
+    emergency: '999',
+    lines: [{ name: { en: 'National mental support line', ar: 'خط الدعم النفسي الوطني' }, phone: '800 4673' }],
+  },
+  SA: { emergency: '911', lines: [] },
+  JO: { emergency: '911', lines: [] },
+  KW: { emergency: '112', lines: [] },
+  QA: { emergency: '999', lines: [] },
+  BH: { emergency: '999', lines: [] },
+  OM: { emergency: '9999', lines: [] },
+  PS: { emergency: '101', lines: [] },
+  MA: { emergency: '15', lines: [] },
+  DZ: { emergency: '14', lines: [] },
+  TN: { emergency: '190', lines: [] },
+};
+
+// Used when the country is UNKNOWN or not listed above.
+const DEFAULT_CRISIS_RESOURCES = {
+  emergency: null,
+  lines: [],
+  directoryUrl: 'https://findahelpline.com',
+};
+
+/**
+ * Resolve crisis resources for a country code (falls back to DEFAULT).
+ * @param {string=} country
+ * @returns {{ country: string, emergency: string|null, lines: Array<{ name:{en:string, ar:string}, phone:string }>, directoryUrl: string }}
+ */
+function getCrisisResources(country) {
+  const code = String(country || '').trim().toUpperCase();
+  const entry = CRISIS_HOTLINES[code];
+  if (!entry) {
+    return { country: code || 'UNKNOWN', ...DEFAULT_CRISIS_RESOURCES };
+  }
+  return {
+    country: code,
+    emergency: entry.emergency || null,
+    lines: Array.isArray(entry.lines) ? entry.lines : [],
+    directoryUrl: DEFAULT_CRISIS_RESOURCES.directoryUrl,
+  };
+}
+
+module.exports = { CRISIS_HOTLINES, DEFAULT_CRISIS_RESOURCES, getCrisisResources };
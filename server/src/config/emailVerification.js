@@ -0,0 +1,48 @@
+// server/src/config/emailVerification.js
+// What an account may not do until its email address is verified.
+//
+//   EMAIL_VERIFICATION_REQUIRED_FOR=checkout,export
+//
+// A comma-separated list of the features below. Unset = the default list;
+// "none" (or an empty value) lets unverified accounts do everything.
+
+const logger = require('../utils/logger').child({ component: 'EmailVerification' });
+
+const EMAIL_VERIFICATION_FEATURES = {
+  checkout: 'Start a paid subscription (POST /api/billing/create-checkout)',
+  export: 'Download a data export (GET /api/user/export, /api/user/export/pdf)',
+};
+
+const DEFAULT_REQUIRED_FOR = ['checkout', 'export'];
+
+function parseRequiredFor(raw) {
+  if (raw === undefined || raw === null) return DEFAULT_REQUIRED_FOR.slice();
+  const value = String(raw).trim().toLowerCase();
+  if (!value || value === 'none') return [];
+  const features = value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+  const unknown = features.filter((feature) => !EMAIL_VERIFICATION_FEATURES[feature]);
+  if (unknown.length) {
+    logger.warn('ignoring unknown features in EMAIL_VERIFICATION_REQUIRED_FOR', { unknown });
+  }
+  return Array.from(new Set(features.filter((feature) => EMAIL_VERIFICATION_FEATURES[feature])));
+}
+
+const REQUIRED_FOR = parseRequiredFor(process.env.EMAIL_VERIFICATION_REQUIRED_FOR);
+
+/**
+ * Whether an unverified account is blocked from a feature.
+ * @param {keyof typeof EMAIL_VERIFICATION_FEATURES} feature
+ */
+function isVerificationRequiredFor(feature) {
+  return REQUIRED_FOR.includes(feature);
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_FEATURES,
+  REQUIRED_FOR,
+  parseRequiredFor,
+  isVerificationRequiredFor,
+};
@@ -1,8 +1,19 @@
+const { PERMISSIONS, hasPermission } = require('./roles');
+
 const toInt = (v, fallback) => {
   const n = parseInt(v, 10);
   return Number.isFinite(n) ? n : fallback;
 };
 
+// Positive USD amount, or null when unset / "0" (no ceiling).
+const toUsd = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Values of User.plan (and of admin plan overrides)
+const PLANS = ['free', 'pro', 'premium'];
+
 const LIMITS = {
   FREE_CHARACTER_ID: process.env.FREE_CHARACTER_ID || 'daloua',
   FREE_CHARACTER_IDS:
@@ -16,13 +27,44 @@ const LIMITS = {
   PRO_DAILY: toInt(process.env.PRO_DAILY, 0),
   FREE_MONTHLY: toInt(process.env.FREE_MONTHLY, 50),
   PRO_MONTHLY: toInt(process.env.PRO_MONTHLY, 500),
-  PREMIUM_TESTER_EMAIL:
-    (process.env.PREMIUM_TESTER_EMAIL || 'zaynzayn9696@gmail.com').toLowerCase(),
+  // Users with the tester role (config/roles.js)
   TESTER_LIMIT: toInt(process.env.TESTER_LIMIT, 999999),
+  // Longest voice message accepted, in seconds (checked on the decoded audio).
+  FREE_VOICE_MAX_SECONDS: toInt(process.env.FREE_VOICE_MAX_SECONDS, 60),
+  PRO_VOICE_MAX_SECONDS: toInt(process.env.PRO_VOICE_MAX_SECONDS, 180),
+  // Monthly LLM cost per user (services/llmUsageService.js); admins can set
+  // a different ceiling per user. Unset = no ceiling.
+  FREE_MONTHLY_COST_CEILING_USD: toUsd(process.env.FREE_MONTHLY_COST_CEILING_USD),
+  PRO_MONTHLY_COST_CEILING_USD: toUsd(process.env.PRO_MONTHLY_COST_CEILING_USD),
 };
 
-function getPlanLimits(email, plan) {
-  const isTester = (email || '').toLowerCase() === LIMITS.PREMIUM_TESTER_EMAIL;
+/**
+ * The plan in force: an admin override (User.planOverride) until it
+ * expires, otherwise the billed plan.
+ * @param {{ plan?: string|null, planOverride?: string|null, planOverrideExpiresAt?: Date|string|null }} user
+ */
+function effectivePlan(user) {
+  if (!user) return null;
+  if (user.planOverride && user.planOverrideExpiresAt && new Date(user.planOverrideExpiresAt) > new Date()) {
+    return user.planOverride;
+  }
+  return user.plan;
+}
+
+/** Paid (or admin-granted) premium, which unlocks premium characters. */
+function hasPremiumPlan(user) {
+  if (!user) return false;
+  const plan = effectivePlan(user);
+  return !!user.isPremium || plan === 'pro' || plan === 'premium';
+}
+
+/**
+ * @param {{ plan?: string|null, role?: string|null }} user a User row or the
+ *   safe user of an auth response
+ */
+function getPlanLimits(user) {
+  const plan = effectivePlan(user);
+  const isTester = hasPermission(user ? user.role : null, PERMISSIONS.TESTER_ACCESS);
   // Ensure monthly limits never collapse to 0 due to misconfigured env vars.
   // Free plan: minimum 50 messages/month.
   // Pro/Premium: minimum 500 messages/month.
@@ -37,6 +79,8 @@ function getPlanLimits(email, plan) {
       freeCharacterId: LIMITS.FREE_CHARACTER_ID,
       freeCharacterIds: LIMITS.FREE_CHARACTER_IDS,
       premiumOnlyCharacterIds: LIMITS.PROHIBITED_FOR_FREE_IDS,
+      voiceMaxSeconds: LIMITS.PRO_VOICE_MAX_SECONDS,
+      monthlyCostCeilingUsd: null,
       isTester: true,
     };
   }
@@ -47,6 +91,8 @@ function getPlanLimits(email, plan) {
       freeCharacterId: LIMITS.FREE_CHARACTER_ID,
       freeCharacterIds: LIMITS.FREE_CHARACTER_IDS,
       premiumOnlyCharacterIds: LIMITS.PROHIBITED_FOR_FREE_IDS,
+      voiceMaxSeconds: LIMITS.PRO_VOICE_MAX_SECONDS,
+      monthlyCostCeilingUsd: LIMITS.PRO_MONTHLY_COST_CEILING_USD,
       isTester: false,
     };
   }
@@ -56,8 +102,16 @@ function getPlanLimits(email, plan) {
     freeCharacterId: LIMITS.FREE_CHARACTER_ID,
     freeCharacterIds: LIMITS.FREE_CHARACTER_IDS,
     premiumOnlyCharacterIds: LIMITS.PROHIBITED_FOR_FREE_IDS,
+    voiceMaxSeconds: LIMITS.FREE_VOICE_MAX_SECONDS,
+    monthlyCostCeilingUsd: LIMITS.FREE_MONTHLY_COST_CEILING_USD,
     isTester: false,
   };
 }
 
-module.exports = { LIMITS, getPlanLimits };
+// Testers get premium characters whatever their stored plan, so the app is
+// told "pro" to unlock them. The stored plan is left alone.
+function clientPlan(user) {
+  return hasPermission(user.role, PERMISSIONS.TESTER_ACCESS) ? 'pro' : effectivePlan(user);
+}
+
+module.exports = { LIMITS, PLANS, effectivePlan, hasPremiumPlan, getPlanLimits, clientPlan };
@@ -0,0 +1,92 @@
+// server/src/config/llmPricing.js
+// List prices of the provider models we call, in USD, used to put a cost on
+// every row of the usage ledger (services/llmUsageService.js).
+//
+//   chat models  input / output per 1M tokens
+//   STT models   per minute of audio
+//   TTS models   per 1M characters of input text
+//
+// Dated model names ("gpt-4o-2024-08-06") resolve to the longest matching
+// prefix. Models we have no price for (self-hosted, stub) cost 0.
+//
+// Prices change; override or extend them per deployment with a JSON object
+// of the same shape, e.g.
+//   LLM_PRICES_JSON={"gpt-4o":{"input":2.5,"output":10},"whisper-1":{"perMinute":0.006}}
+
+const logger = require('../utils/logger').child({ component: 'LLMPricing' });
+
+const BUILT_IN_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'whisper-1': { perMinute: 0.006 },
+  'gpt-4o-transcribe': { perMinute: 0.006 },
+  'gpt-4o-mini-transcribe': { perMinute: 0.003 },
+  'tts-1': { perMillionChars: 15 },
+  'tts-1-hd': { perMillionChars: 30 },
+  // Billed per audio minute by OpenAI; this is the per-character equivalent
+  // at a normal speaking rate.
+  'gpt-4o-mini-tts': { perMillionChars: 12 },
+};
+
+let cachedRaw;
+let cachedPrices = BUILT_IN_PRICES;
+
+function getPrices() {
+  const raw = process.env.LLM_PRICES_JSON || '';
+  if (raw === cachedRaw) return cachedPrices;
+  cachedRaw = raw;
+  cachedPrices = BUILT_IN_PRICES;
+  if (raw.trim()) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        cachedPrices = { ...BUILT_IN_PRICES, ...parsed };
+      }
+    } catch {
+      logger.error('LLM_PRICES_JSON is not valid JSON, using built-in prices');
+    }
+  }
+  return cachedPrices;
+}
+
+/**
+ * Price entry for a model name, or null when we have none.
+ * @param {string} model
+ */
+function getModelPrice(model) {
+  const name = String(model || '').trim().toLowerCase();
+  if (!name) return null;
+  const prices = getPrices();
+  if (prices[name]) return prices[name];
+  let best = null;
+  for (const key of Object.keys(prices)) {
+    if (name.startsWith(`${key}-`) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? prices[best] : null;
+}
+
+const toNumber = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : 0);
+
+/**
+ * Cost in USD of one provider call.
+ *
+ * @param {{ model: string, promptTokens?: number, completionTokens?: number,
+ *   audioSeconds?: number, characters?: number }} call
+ * @returns {number}
+ */
+function estimateCostUsd({ model, promptTokens, completionTokens, audioSeconds, characters }) {
+  const price = getModelPrice(model);
+  if (!price) return 0;
+  return (
+    (toNumber(promptTokens) * toNumber(price.input)) / 1e6 +
+    (toNumber(completionTokens) * toNumber(price.output)) / 1e6 +
+    (toNumber(audioSeconds) / 60) * toNumber(price.perMinute) +
+    (toNumber(characters) * toNumber(price.perMillionChars)) / 1e6
+  );
+}
+
+module.exports = { BUILT_IN_PRICES, getModelPrice, estimateCostUsd };
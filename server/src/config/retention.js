@@ -0,0 +1,72 @@
+// server/src/config/retention.js
+// Data-retention classes and the admin-set bounds for each.
+//
+// Every class has:
+//   defaultDays - applied when the user has not chosen a value (null = keep forever)
+//   minDays     - shortest period a user may choose
+//   maxDays     - longest period a user may choose (null = "keep forever" is allowed)
+//
+// Each bound can be overridden per deployment, e.g.
+//   RETENTION_MESSAGES_DEFAULT_DAYS=365
+//   RETENTION_MESSAGES_MAX_DAYS=730
+// "0" or "forever" means no limit.
+
+const ENV_PREFIX = {
+  messages: 'RETENTION_MESSAGES',
+  emotionalEvents: 'RETENTION_EMOTIONAL_EVENTS',
+  dailySummaries: 'RETENTION_DAILY_SUMMARIES',
+  mirrorSessions: 'RETENTION_MIRROR_SESSIONS',
+  memoryFacts: 'RETENTION_MEMORY_FACTS',
+  sessions: 'RETENTION_SESSIONS',
+};
+
+const BUILT_IN_BOUNDS = {
+  messages: { defaultDays: null, minDays: 1, maxDays: null },
+  emotionalEvents: { defaultDays: null, minDays: 7, maxDays: null },
+  dailySummaries: { defaultDays: null, minDays: 7, maxDays: null },
+  mirrorSessions: { defaultDays: null, minDays: 7, maxDays: null },
+  memoryFacts: { defaultDays: null, minDays: 7, maxDays: null },
+  sessions: { defaultDays: 180, minDays: 7, maxDays: 365 },
+};
+
+const RETENTION_CLASSES = Object.keys(BUILT_IN_BOUNDS);
+
+function parseDays(raw, fallback) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+  const value = String(raw).trim().toLowerCase();
+  if (value === '0' || value === 'forever') return null;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Effective bounds for every retention class, env overrides applied.
+ * @returns {Record<string, { defaultDays: number|null, minDays: number, maxDays: number|null }>}
+ */
+function getRetentionBounds() {
+  const bounds = {};
+  for (const dataClass of RETENTION_CLASSES) {
+    const builtIn = BUILT_IN_BOUNDS[dataClass];
+    const prefix = ENV_PREFIX[dataClass];
+    const minDays = parseDays(process.env[`${prefix}_MIN_DAYS`], builtIn.minDays) || 1;
+    const maxDays = parseDays(process.env[`${prefix}_MAX_DAYS`], builtIn.maxDays);
+    let defaultDays = parseDays(process.env[`${prefix}_DEFAULT_DAYS`], builtIn.defaultDays);
+
+    // Keep the default inside the bounds so a misconfigured env cannot
+    // silently widen (or shorten below the minimum) what users get.
+    if (defaultDays === null && maxDays !== null) defaultDays = maxDays;
+    if (defaultDays !== null) {
+      defaultDays = Math.max(defaultDays, minDays);
+      if (maxDays !== null) defaultDays = Math.min(defaultDays, maxDays);
+    }
+
+    bounds[dataClass] = {
+      defaultDays,
+      minDays,
+      maxDays: maxDays !== null ? Math.max(maxDays, minDays) : null,
+    };
+  }
+  return bounds;
+}
+
+module.exports = { RETENTION_CLASSES, getRetentionBounds };
@@ -0,0 +1,91 @@
+// server/src/config/roles.js
+// Roles a user can hold (User.role; null = regular user) and what each one
+// may do. Staff roles reach /api/admin; each admin route asks for one
+// permission (middleware/requireAdmin.js requirePermission).
+//
+//   admin     everything, including deleting users and granting roles
+//   support   look up accounts and their usage, fix them (plan overrides,
+//             bonus messages, usage resets, suspension, forced logout) and
+//             adjust cost ceilings; no session/device metadata
+//   analyst   dashboards, accounts with their activity metadata, usage and
+//             cost reports; read-only
+//   tester    no admin access; tester limits and premium characters
+//             without a paid plan (config/limits.js)
+
+const PERMISSIONS = {
+  STATS_VIEW: 'stats:view', // dashboard totals and signups
+  USERS_VIEW: 'users:view', // search and open accounts, usage counters
+  USERS_METADATA: 'users:metadata', // country, device, browser, activity and session counts
+  USERS_MANAGE: 'users:manage', // plan overrides, bonus messages, usage resets, forced logout
+  USERS_SUSPEND: 'users:suspend',
+  USERS_DELETE: 'users:delete',
+  USAGE_VIEW: 'usage:view', // LLM usage and cost
+  LIMITS_MANAGE: 'limits:manage', // per-user cost ceilings
+  RETENTION_VIEW: 'retention:view',
+  RETENTION_RUN: 'retention:run',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_VIEW: 'audit:view',
+  TESTER_ACCESS: 'tester:access', // not an admin permission
+};
+
+const ADMIN_PERMISSIONS = Object.values(PERMISSIONS).filter((p) => p !== PERMISSIONS.TESTER_ACCESS);
+
+const ROLE_PERMISSIONS = {
+  admin: ADMIN_PERMISSIONS,
+  support: [
+    PERMISSIONS.STATS_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.USAGE_VIEW,
+    PERMISSIONS.LIMITS_MANAGE,
+  ],
+  analyst: [
+    PERMISSIONS.STATS_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_METADATA,
+    PERMISSIONS.USAGE_VIEW,
+    PERMISSIONS.RETENTION_VIEW,
+  ],
+  tester: [PERMISSIONS.TESTER_ACCESS],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Seniority for actions on staff accounts: suspending or signing out someone
+// takes a strictly higher rank. Regular users and testers rank 0.
+const ROLE_RANK = { admin: 3, support: 2, analyst: 1 };
+
+function isRole(value) {
+  return typeof value === 'string' && ROLES.includes(value);
+}
+
+/** @returns {string[]} empty for null and unknown roles */
+function permissionsFor(role) {
+  return isRole(role) ? ROLE_PERMISSIONS[role] : [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/** Whether `actorRole` ranks strictly above `targetRole` (null = regular user). */
+function outranks(actorRole, targetRole) {
+  return (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+}
+
+/** Whether the role may use /api/admin at all. */
+function isStaffRole(role) {
+  return permissionsFor(role).some((p) => ADMIN_PERMISSIONS.includes(p));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  isRole,
+  permissionsFor,
+  hasPermission,
+  outranks,
+  isStaffRole,
+};
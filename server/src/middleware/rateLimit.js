@@ -1,8 +1,56 @@
 // server/src/middleware/rateLimit.js
 // Central IP-based rate limiting for Asrar API.
 // All handlers return JSON responses (no HTML) to match the rest of the API.
+// The auth and chat counters live in the shared rate-limit store
+// (services/rateLimitStore, RATE_LIMIT_STORE), so those limits hold across
+// server instances and restarts. The global limiter counts in this process
+// unless RATE_LIMIT_GLOBAL_STORE=shared; see globalStore().
+// Per-account lockout of logins is services/accountLockoutService.js.
 
 const rateLimit = require('express-rate-limit');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { createMemoryStore } = require('../services/rateLimitStore/memoryStore');
+
+// express-rate-limit store backed by a rate-limit store (the shared one by
+// default). Each limiter needs its own instance and prefix so their counters
+// don't mix.
+function counterStore(prefix, getStore = getRateLimitStore) {
+  let windowMs = 60 * 1000;
+  const keyFor = (key) => `ip:${prefix}:${key}`;
+
+  return {
+    prefix,
+    localKeys: false,
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    async increment(key) {
+      const { count, resetAt } = await getStore().increment(keyFor(key), windowMs);
+      return { totalHits: count, resetTime: resetAt };
+    },
+    async decrement(key) {
+      await getStore().decrement(keyFor(key));
+    },
+    async resetKey(key) {
+      await getStore().reset(keyFor(key));
+    },
+    async get(key) {
+      const entry = await getStore().get(keyFor(key));
+      return entry ? { totalHits: entry.count, resetTime: entry.resetAt } : undefined;
+    },
+  };
+}
+
+// The global limiter sees every API request, and with the database store
+// each hit costs a Postgres write on top of the request's own work. So it
+// counts per process by default (the limit then applies per instance);
+// RATE_LIMIT_GLOBAL_STORE=shared moves it into RATE_LIMIT_STORE as well.
+function globalStore() {
+  const mode = String(process.env.RATE_LIMIT_GLOBAL_STORE || 'memory').trim().toLowerCase();
+  if (mode === 'shared') return counterStore('global');
+  const local = createMemoryStore();
+  return counterStore('global', () => local);
+}
 
 // DEV BYPASS: Completely disable rate limiting in development
 // DOUBLE-GUARD: Only active when BOTH conditions are true:
@@ -26,6 +74,9 @@ const devBypassSkip = (req) => {
 // Global limiter for most API routes
 const globalLimiter = rateLimit({
   skip: devBypassSkip,
+  store: globalStore(),
+  // A store outage must not take the API down with it.
+  passOnStoreError: true,
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // 100 requests per 15 minutes per IP
   standardHeaders: true,
@@ -48,6 +99,8 @@ const globalLimiter = rateLimit({
 // Stricter limiter for auth (login/register)
 const authLimiter = rateLimit({
   skip: devBypassSkip,
+  store: counterStore('auth'),
+  passOnStoreError: true,
   windowMs: 15 * 60 * 1000,
   max: 10, // 10 attempts per 15 minutes per IP
   standardHeaders: true,
@@ -62,6 +115,8 @@ const authLimiter = rateLimit({
 // Chat limiter for text + voice chat endpoints
 const chatLimiter = rateLimit({
   skip: devBypassSkip,
+  store: counterStore('chat'),
+  passOnStoreError: true,
   windowMs: 10 * 60 * 1000, // 10 minutes
   max: 60, // 60 chat requests per 10 minutes per IP
   standardHeaders: true,
@@ -0,0 +1,50 @@
+// server/src/middleware/requestContext.js
+// First middleware of the app: gives every request a correlation ID (taken
+// from X-Request-Id when the caller sent a sane one), echoes it back, runs
+// the rest of the request inside that context, and on finish writes one access
+// log line and the HTTP metrics. Replaces morgan.
+
+const { newRequestId, runWithRequestContext } = require('../utils/requestContext');
+const { recordHttpRequest } = require('../utils/metrics');
+const logger = require('../utils/logger').child({ component: 'Http' });
+
+// Route template, not the URL: "/api/chat/conversations/:id", never an ID.
+function routeLabel(req) {
+  if (req.route && req.route.path) {
+    const path = typeof req.route.path === 'string' ? req.route.path : String(req.route.path);
+    return `${req.baseUrl || ''}${path}`;
+  }
+  return 'unmatched';
+}
+
+function requestContext(req, res, next) {
+  const requestId = newRequestId(req.get('x-request-id'));
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const tStart = process.hrtime.bigint();
+  res.on('finish', () => {
+    const ms = Number(process.hrtime.bigint() - tStart) / 1e6;
+    const route = routeLabel(req);
+    recordHttpRequest({ method: req.method, route, status: res.statusCode, ms });
+
+    // originalUrl: routers strip their mount path from req.path
+    const path = req.originalUrl.split('?')[0];
+    if (path === '/api/metrics' || path === '/api/health') return;
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    logger[level]('request', {
+      requestId,
+      userId: req.user && req.user.id != null ? req.user.id : undefined,
+      method: req.method,
+      route,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(ms),
+    });
+  });
+
+  runWithRequestContext({ requestId }, next);
+}
+
+module.exports = requestContext;
+module.exports.routeLabel = routeLabel;
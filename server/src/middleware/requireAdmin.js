@@ -1,33 +1,47 @@
- const DEFAULT_ADMIN_EMAIL = 'zaynzayn9696@gmail.com';
-
- const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || process.env.ADMIN_EMAIL || '')
-  .split(',')
-  .map((value) => value.trim().toLowerCase())
-  .filter(Boolean);
-
- function isAdminEmail(email) {
-  const normalized = (email || '').toLowerCase();
-
-  if (!normalized) {
-    return false;
+// server/src/middleware/requireAdmin.js
+const prisma = require('../prisma');
+const { isTwoFactorEnabled } = require('../services/twoFactorService');
+const { permissionsFor, isStaffRole } = require('../config/roles');
+
+// ADMIN_REQUIRE_2FA=true: admin routes refuse staff accounts without
+// two-factor authentication (turned on from Settings like any other account).
+const ADMIN_REQUIRE_2FA = process.env.ADMIN_REQUIRE_2FA === 'true';
+
+// Staff roles only (config/roles.js). The role is read from the database on
+// every request, so a revoke takes effect at once. Sets
+// req.admin = { role, permissions }. Runs after requireAuth.
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true, twoFactorEnabledAt: true, twoFactorSecret: true },
+    });
+
+    if (!user || !isStaffRole(user.role)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (ADMIN_REQUIRE_2FA && !isTwoFactorEnabled(user)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for admin accounts',
+        code: 'TWO_FACTOR_REQUIRED',
+      });
+    }
+
+    req.admin = { role: user.role, permissions: permissionsFor(user.role) };
+    return next();
+  } catch (err) {
+    return next(err);
   }
-
-  if (ADMIN_EMAILS.length > 0) {
-    return ADMIN_EMAILS.includes(normalized);
-  }
-
-  return normalized === DEFAULT_ADMIN_EMAIL;
- }
-
- function requireAdmin(req, res, next) {
-  const email = (req.user?.email || '').toLowerCase();
-
-  if (!isAdminEmail(email)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-
-  return next();
- }
-
- module.exports = requireAdmin;
- module.exports.isAdminEmail = isAdminEmail;
+}
+
+// Per-route check on top of requireAdmin, e.g. requirePermission('users:delete').
+function requirePermission(permission) {
+  return function checkPermission(req, res, next) {
+    if (req.admin && req.admin.permissions.includes(permission)) return next();
+    return res.status(403).json({ error: 'Forbidden', code: 'PERMISSION_DENIED', permission });
+  };
+}
+
+module.exports = requireAdmin;
+module.exports.requirePermission = requirePermission;
@@ -1,50 +1,105 @@
 // server/src/middleware/requireAuth.js
 const jwt = require("jsonwebtoken");
+const { setRequestContextValue } = require("../utils/requestContext");
+const {
+  AuthSessionError,
+  isAccessTokenSessionActive,
+  isAccessTokenUserSuspended,
+} = require("../services/authSessionService");
+const logger = require("../utils/logger").child({ component: "requireAuth" });
 
-function requireAuth(req, res, next) {
-  // Minimal, non-sensitive debug info about incoming auth context
+/**
+ * Verify a login JWT and return its payload. Throws on a bad or expired
+ * token. Does not look at the session; see authenticateAccessToken.
+ * @param {string} token
+ * @param {import('jsonwebtoken').VerifyOptions} [options]
+ */
+function verifyAccessToken(token, options) {
+  return jwt.verify(token, process.env.JWT_SECRET, options);
+}
+
+/**
+ * Verify an access token and check that its session is still live (not
+ * logged out, revoked or invalidated by a password change) and its account
+ * is not suspended. Shared with the
+ * live voice call, which authenticates the WebSocket upgrade outside of
+ * Express.
+ *
+ * @param {string} token
+ * @returns {Promise<object>} the JWT payload
+ * @throws {AuthSessionError} code "token_expired", "session_revoked" or
+ *   "account_suspended" (status 403)
+ */
+async function authenticateAccessToken(token) {
+  let payload;
   try {
-    const cookieKeys = req.cookies ? Object.keys(req.cookies) : [];
-    const hasAuthHeader = !!req.headers.authorization;
-    console.log("[requireAuth] debug", {
-      cookieKeys,
-      hasAuthHeader,
-    });
-  } catch (_) {
-    // Swallow any logging issues to avoid affecting auth flow
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    if (err && err.name === "TokenExpiredError") {
+      throw new AuthSessionError("Token expired", "token_expired");
+    }
+    throw new AuthSessionError("Invalid token", "invalid_token");
   }
+  if (!(await isAccessTokenSessionActive(payload))) {
+    throw new AuthSessionError("Session is no longer active", "session_revoked");
+  }
+  if (await isAccessTokenUserSuspended(payload)) {
+    throw new AuthSessionError("This account is suspended", "account_suspended", 403);
+  }
+  return payload;
+}
 
-  let token = req.cookies?.token;
-
-  if (!token) {
-    const authHeader = req.headers.authorization || "";
-    if (authHeader.startsWith("Bearer ")) {
-      token = authHeader.slice(7).trim();
-    }
+function readTokens(req) {
+  const tokens = [];
+  if (req.cookies?.token) tokens.push(req.cookies.token);
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("Bearer ")) {
+    const bearer = authHeader.slice(7).trim();
+    if (bearer && !tokens.includes(bearer)) tokens.push(bearer);
   }
+  return tokens;
+}
+
+async function requireAuth(req, res, next) {
+  // Minimal, non-sensitive debug info about incoming auth context
+  logger.debug("auth context", {
+    cookieKeys: req.cookies ? Object.keys(req.cookies) : [],
+    hasAuthHeader: !!req.headers.authorization,
+  });
 
-  if (!token) {
-    // Keep error logs only
-    console.error("[requireAuth] No token from cookie or header");
+  // Cookie first, then the Bearer header. A stale cookie must not shadow a
+  // fresh header (browsers that drop cookies refresh via the header only).
+  const tokens = readTokens(req);
+
+  if (!tokens.length) {
+    logger.warn("no token from cookie or header");
     return res
       .status(401)
       .json({ error: "Not authenticated (no token cookie or bearer)" });
   }
 
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
+  let lastError = null;
+  for (const token of tokens) {
+    try {
+      const payload = await authenticateAccessToken(token);
 
-    // No need to log payload — just assign it
-    req.user = payload;
+      req.user = payload;
+      // Every later log line of this request carries the user ID
+      setRequestContextValue("userId", payload.id);
 
-    return next();
-  } catch (err) {
-    // Errors should still be logged
-    console.error("[requireAuth] Invalid token:", err.message);
-    return res
-      .status(401)
-      .json({ error: "Invalid token", detail: err.message });
+      return next();
+    } catch (err) {
+      if (!(err instanceof AuthSessionError)) return next(err);
+      lastError = err;
+    }
   }
+
+  logger.warn("invalid token", { code: lastError.code });
+  return res
+    .status(lastError.status || 401)
+    .json({ error: "Invalid token", code: lastError.code, detail: lastError.message });
 }
 
 module.exports = requireAuth;
+module.exports.verifyAccessToken = verifyAccessToken;
+module.exports.authenticateAccessToken = authenticateAccessToken;
@@ -0,0 +1,20 @@
+// server/src/middleware/requireRecentAuth.js
+const { isRecentlyAuthenticated } = require('../services/authSessionService');
+
+// Sensitive actions (exports, deletions, 2FA changes) need a login or a
+// POST /api/auth/reauth on this session within the last few minutes, so a
+// borrowed unlocked device or a stolen access token is not enough. Runs
+// after requireAuth.
+async function requireRecentAuth(req, res, next) {
+  try {
+    if (await isRecentlyAuthenticated(req.user && req.user.sid)) return next();
+    return res.status(403).json({
+      error: 'Please confirm your password to continue',
+      code: 'REAUTH_REQUIRED',
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = requireRecentAuth;
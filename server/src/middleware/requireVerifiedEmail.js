@@ -0,0 +1,40 @@
+// server/src/middleware/requireVerifiedEmail.js
+const prisma = require('../prisma');
+const {
+  EMAIL_VERIFICATION_FEATURES,
+  isVerificationRequiredFor,
+} = require('../config/emailVerification');
+
+/**
+ * Block accounts with an unverified email from a feature, when the policy in
+ * config/emailVerification.js lists it. Runs after requireAuth.
+ *
+ * @param {keyof typeof EMAIL_VERIFICATION_FEATURES} feature
+ */
+function requireVerifiedEmail(feature) {
+  if (!EMAIL_VERIFICATION_FEATURES[feature]) {
+    throw new Error(`Unknown email verification feature: ${feature}`);
+  }
+
+  return async function verifiedEmailGate(req, res, next) {
+    if (!isVerificationRequiredFor(feature)) return next();
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { emailVerifiedAt: true },
+      });
+      if (user && user.emailVerifiedAt) return next();
+
+      return res.status(403).json({
+        error: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED',
+        feature,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = requireVerifiedEmail;
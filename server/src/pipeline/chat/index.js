@@ -0,0 +1,114 @@
+// server/src/pipeline/chat/index.js
+// Chat turn pipelines for the REST routes (POST /api/chat/message, with or
+// without SSE streaming, and POST /api/chat/voice). The live voice call
+// builds its own from the same stages (services/voiceCallService.js).
+
+const { ChatTurnError, createPipeline } = require('./pipeline');
+const stages = require('./stages');
+const stageMetrics = require('./stageMetrics');
+const logger = require('../../utils/logger').child({ component: 'Chat' });
+
+// Reply stages every channel runs once the request is understood.
+const replyStages = [
+  stages.crisisPrescreen,
+  stages.quota,
+  stages.persona,
+  stages.conversation,
+  stages.crisisPrescreenReply,
+  stages.quickReply,
+  stages.history,
+  stages.summary,
+  stages.liteReply,
+  stages.emotionalEngine,
+  stages.crisisCheck,
+  stages.trust,
+  stages.timeline,
+];
+
+// Inputs: channel ('text'), req, userId, body, userText, wantsStream;
+// optional onDelta / signal (set by a run hook) to stream the completion.
+const textPipeline = createPipeline(
+  'text',
+  [
+    stages.account,
+    stages.readOptions({ defaultEngine: 'balanced', engines: ['lite', 'balanced', 'deep'] }),
+    stages.requireText('content is required'),
+    ...replyStages,
+    stages.buildPrompt(),
+    stages.complete({ onEmpty: 'fail' }),
+    stages.guardTruncation({ recover: true }),
+    stages.orchestrate(),
+    stages.suggestAbuMukh,
+    stages.save,
+    stages.whispers,
+  ],
+  { inputs: ['req', 'userId', 'body', 'userText', 'wantsStream'] }
+).use(stageMetrics);
+
+// Inputs: channel ('voice'), req (with the multer upload), userId, body.
+// Voice has no "balanced" engine: it means lite, the default.
+const voicePipeline = createPipeline(
+  'voice',
+  [
+    stages.account,
+    stages.transcribeUpload,
+    stages.readOptions({ defaultEngine: 'lite', engines: ['lite', 'deep'], aliases: { balanced: 'lite' } }),
+    ...replyStages,
+    stages.buildPrompt({ severityAwareMode: true }),
+    stages.complete({ onEmpty: 'fallback' }),
+    stages.guardTruncation({ recover: false }),
+    stages.trimForVoice,
+    stages.save,
+    stages.whispers,
+    stages.speak,
+  ],
+  { inputs: ['req', 'userId', 'body'] }
+).use(stageMetrics);
+
+/**
+ * The reply fields every channel returns for a finished turn: which engine
+ * answered, the model (lite), the canned reply (instant), the client emotion
+ * and safety resources when the turn produced them.
+ * @param {Object} turn
+ */
+function replyMeta(turn) {
+  const meta = {};
+  if (turn.replyEngine) meta.engine = turn.replyEngine;
+  if (turn.outcome === 'lite') meta.model = turn.model;
+  if (turn.instantReply) meta.instantReply = turn.instantReply;
+  if (turn.outcome === 'crisis' || turn.outcome === 'engine') meta.emotion = turn.emotion || null;
+  if (turn.safety) meta.safety = turn.safety;
+  return meta;
+}
+
+/**
+ * One timing line per turn: per-stage latency plus the emotional engine's
+ * own breakdown. IDs and timings only.
+ * @param {Object} turn
+ */
+function logTurnTiming(turn) {
+  logger.info('turn timing', {
+    channel: turn.channel,
+    userId: turn.userId,
+    conversationId: turn.conversationId,
+    outcome: turn.outcome || null,
+    halted: turn.halted || null,
+    engineParam: turn.engine || null,
+    engineMode: turn.engineMode || null,
+    isPremiumUser: !!turn.isPremiumUser,
+    stageMs: turn.timings,
+    engineMs: turn.engineTimings || {},
+    totalMs: Date.now() - turn.startedAt,
+  });
+}
+
+module.exports = {
+  ChatTurnError,
+  createPipeline,
+  stages,
+  stageMetrics,
+  textPipeline,
+  voicePipeline,
+  replyMeta,
+  logTurnTiming,
+};
@@ -0,0 +1,159 @@
+// server/src/pipeline/chat/pipeline.js
+// Composable chat turn pipeline.
+//
+// A turn is one user message and the reply to it, whatever the channel
+// (text, streamed text, voice upload, live voice call). The channel builds a
+// pipeline from stages (see ./stages.js), runs it with its own inputs and
+// turns the finished turn into a response.
+//
+// - Every stage declares what it `needs` from the turn and what it `provides`.
+//   createPipeline() checks the chain once, at startup, so a stage can never
+//   read a field no earlier stage (or the channel) sets, and run() rejects
+//   outputs a stage did not declare.
+// - `when(turn)` skips a stage for this turn (e.g. the emotional engine once a
+//   quick phrase already produced the reply).
+// - Hooks run before and after every stage that runs. Pipeline hooks (use())
+//   apply to every turn; run hooks only to one turn, which is how a channel
+//   plugs in (open the SSE stream once the conversation exists, stop a
+//   cancelled voice call turn, ...).
+// - A stage or hook stops the turn by setting `turn.halted` to a reason; the
+//   remaining stages are skipped and the channel decides what to send.
+// - The time spent in each stage that ran ends up in `turn.timings`, keyed by
+//   stage name.
+//
+// Expected failures (quota, unknown character, ...) are thrown as
+// ChatTurnError and carry the HTTP status and body the routes have always
+// returned.
+
+/**
+ * @typedef {Object} ChatStage
+ * @property {string} name
+ * @property {string[]} [needs]     turn fields read by the stage
+ * @property {string[]} [provides]  turn fields the stage may return
+ * @property {(turn: Object) => boolean} [when]
+ * @property {(turn: Object) => (Object|void|Promise<Object|void>)} run
+ *   returns the provided fields (merged into the turn), optionally `halted`
+ */
+
+/**
+ * @typedef {Object} ChatPipelineHook
+ * @property {(stage: ChatStage, turn: Object) => (void|Promise<void>)} [before]
+ * @property {(stage: ChatStage, turn: Object, ms: number) => (void|Promise<void>)} [after]
+ */
+
+// Always present on a turn, whatever the channel passes in.
+const BASE_FIELDS = ['channel', 'startedAt', 'timings', 'halted'];
+
+class ChatTurnError extends Error {
+  /**
+   * @param {string} code    machine-readable reason (used by the voice call frames)
+   * @param {number} status  HTTP status for the REST routes
+   * @param {Object} body    JSON body for the REST routes
+   */
+  constructor(code, status, body = {}) {
+    super(body.message || code);
+    this.name = 'ChatTurnError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+  }
+
+  toJSON() {
+    return this.body;
+  }
+}
+
+/**
+ * Build a pipeline from an ordered list of stages.
+ *
+ * @param {string} name    used in contract errors
+ * @param {ChatStage[]} stages
+ * @param {{ inputs?: string[] }} [options]  fields the channel passes to run()
+ */
+function createPipeline(name, stages, { inputs = [] } = {}) {
+  const available = new Set([...BASE_FIELDS, ...inputs]);
+  const names = new Set();
+  for (const stage of stages) {
+    if (!stage || typeof stage.run !== 'function' || !stage.name) {
+      throw new Error(`[ChatPipeline] ${name}: every stage needs a name and a run()`);
+    }
+    if (names.has(stage.name)) {
+      throw new Error(`[ChatPipeline] ${name}: duplicate stage "${stage.name}"`);
+    }
+    names.add(stage.name);
+    for (const field of stage.needs || []) {
+      if (!available.has(field)) {
+        throw new Error(
+          `[ChatPipeline] ${name}: stage "${stage.name}" needs "${field}", which no earlier stage provides`
+        );
+      }
+    }
+    for (const field of stage.provides || []) available.add(field);
+  }
+
+  const pipelineHooks = [];
+
+  async function runHooks(hooks, phase, ...args) {
+    for (const hook of hooks) {
+      if (hook && typeof hook[phase] === 'function') {
+        await hook[phase](...args);
+      }
+    }
+  }
+
+  return {
+    name,
+    stages,
+
+    /**
+     * Add a hook that runs for every turn of this pipeline.
+     * @param {ChatPipelineHook} hook
+     */
+    use(hook) {
+      pipelineHooks.push(hook);
+      return this;
+    },
+
+    /**
+     * Run one turn.
+     * @param {Object} input  the channel's inputs (must include `channel`)
+     * @param {{ hooks?: ChatPipelineHook[] }} [options]
+     * @returns {Promise<Object>} the finished (or halted) turn
+     */
+    async run(input, { hooks = [] } = {}) {
+      const turn = { ...input, startedAt: Date.now(), timings: {}, halted: null };
+      const allHooks = [...pipelineHooks, ...hooks];
+
+      for (const stage of stages) {
+        if (turn.halted) break;
+        if (stage.when && !stage.when(turn)) continue;
+
+        await runHooks(allHooks, 'before', stage, turn);
+        if (turn.halted) break;
+
+        const tStart = Date.now();
+        const output = await stage.run(turn);
+        const ms = Date.now() - tStart;
+        turn.timings[stage.name] = ms;
+
+        if (output) {
+          const allowed = stage.provides || [];
+          for (const [field, value] of Object.entries(output)) {
+            if (field !== 'halted' && !allowed.includes(field)) {
+              throw new Error(
+                `[ChatPipeline] ${name}: stage "${stage.name}" returned undeclared field "${field}"`
+              );
+            }
+            turn[field] = value;
+          }
+        }
+
+        await runHooks(allHooks, 'after', stage, turn, ms);
+      }
+
+      return turn;
+    },
+  };
+}
+
+module.exports = { ChatTurnError, createPipeline };
@@ -0,0 +1,33 @@
+// server/src/pipeline/chat/stageMetrics.js
+// Per-stage latency for GET /api/metrics; every channel's pipeline use()s it.
+
+const { observeChatStage } = require('../../utils/metrics');
+
+// The emotional engine's own steps, reported as stages of their own.
+const ENGINE_STEPS = {
+  classify: 'classifyMs',
+  snapshot: 'snapshotMs',
+  triggers: 'triggersMs',
+  phase4: 'phase4Ms',
+};
+
+/**
+ * Pipeline hook feeding chat_stage_duration_seconds: every stage that ran,
+ * plus the emotional engine's steps. (The message write is observed as
+ * "db_save" by the save stage, since it finishes after the turn.)
+ * @type {import('./pipeline').ChatPipelineHook}
+ */
+const stageMetrics = {
+  after(stage, turn, ms) {
+    observeChatStage(turn.channel, stage.name, ms);
+    if (stage.name === 'emotionalEngine' && turn.engineTimings) {
+      for (const [step, field] of Object.entries(ENGINE_STEPS)) {
+        if (typeof turn.engineTimings[field] === 'number') {
+          observeChatStage(turn.channel, step, turn.engineTimings[field]);
+        }
+      }
+    }
+  },
+};
+
+module.exports = stageMetrics;
@@ -0,0 +1,1111 @@
+// server/src/pipeline/chat/stages.js
+// Stages of a chat turn, shared by every channel (see ./pipeline.js for the
+// stage contract). Channels pick and order them in ./index.js and
+// services/voiceCallService.js.
+//
+// How a turn gets its reply:
+// - `outcome` stays unset while no reply has been decided.
+// - crisis      the safety reply (pre-screen or engine severity)
+// - instant     a canned reply to a greeting / acknowledgement
+// - lite        the lite engine, no emotional pipeline
+// - engine      the emotional engine + LLM completion
+// Stages that build the engine reply only run while `outcome` is unset (or
+// is 'engine' once the completion exists).
+//
+// IMPORTANT: like routes/chat.js, never log message text or replies here
+// (utils/logger.js redacts content fields, but don't rely on it).
+
+const prisma = require('../../prisma');
+const { getPlanLimits, hasPremiumPlan } = require('../../config/limits');
+const { CHARACTER_PERSONAS } = require('../../config/characterPersonas');
+const { CHARACTER_VOICES } = require('../../config/characterVoices');
+const {
+  createChatCompletion,
+  streamChatCompletion,
+  isLLMConfigured,
+} = require('../../services/llm');
+const {
+  runEmotionalEngine,
+  selectModelForResponse,
+  decideEngineMode,
+  updateConversationEmotionState,
+  isQuickPhrase,
+  buildInstantReply,
+  runLiteEngine,
+} = require('../../services/emotionalEngine');
+const {
+  logEmotionalTimelineEvent,
+  updateUserEmotionProfile,
+  updateEmotionalPatterns,
+  logTriggerEventsForMessage,
+} = require('../../services/emotionalLongTerm');
+const {
+  updateTrustOnMessage,
+  evaluateWhisperUnlocks,
+} = require('../../services/whispersTrustService');
+const { logEmotionalEvent } = require('../../services/timelineService');
+const { orchestrateResponse } = require('../../services/responseOrchestrator');
+const { prescreenCrisisText, evaluateCrisis } = require('../../services/crisisScreen');
+const { completeCrisisTurn } = require('../../services/safetyService');
+const {
+  isCharacterPremiumOnly,
+  ensureUsage,
+  buildUsageSummary,
+  checkUsageLimit,
+  applyUsageLimitAndIncrement,
+} = require('../../services/usageService');
+const { checkCostCeiling } = require('../../services/llmUsageService');
+const {
+  getConversationSummary,
+  scheduleConversationSummary,
+} = require('../../services/conversationSummaryService');
+const {
+  transcribeAudio,
+  generateVoiceReply,
+  normalizeAssistantReplyForTTS,
+} = require('../../services/voiceService');
+const { trimForVoiceReply, prepareTextForTTS } = require('../../services/voiceRenderingService');
+const {
+  removeTempUpload,
+  finalizeVoiceUpload,
+  attachVoiceTurn,
+} = require('../../services/messageAttachmentService');
+const { AudioIngestError, ingestVoiceUpload } = require('../../services/audioIngestService');
+const { recordEvent: recordMemoryEvent } = require('../memory/memoryKernel');
+const { getUserMemoryMode } = require('../memory/memoryMode');
+const {
+  computeVerbosityControls,
+  isTruncated,
+  cleanTruncatedText,
+} = require('../../utils/replyText');
+const { observeChatStage } = require('../../utils/metrics');
+const logger = require('../../utils/logger').child({ component: 'Chat' });
+const { ChatTurnError } = require('./pipeline');
+
+// Sliding-window size for model context
+const MAX_CONTEXT_MESSAGES = parseInt(process.env.MAX_CONTEXT_MESSAGES || '20', 10);
+const FAST_CONTEXT_MESSAGES = 5;
+// RICH memory mode sends a longer slice of recent messages with each reply.
+const RICH_CONTEXT_MESSAGES = parseInt(process.env.RICH_CONTEXT_MESSAGES || '12', 10);
+
+const ARABIC_DIALECTS = new Set(['msa', 'ar', 'jo', 'eg', 'sa', 'lb', 'sy', 'iq', 'gulf', 'khaleeji', 'ae', 'qa', 'kw', 'bh', 'ye', 'om', 'dz', 'ma', 'tn', 'ps', 'sd', 'ly']);
+
+const isOpen = (turn) => !turn.outcome;
+const isEngineTurn = (turn) => turn.outcome === 'engine';
+
+/**
+ * An Arabic dialect forces Arabic; anything else is answered in English.
+ * @param {{ lang?: string, dialect?: string }} params
+ * @returns {{ language: 'ar'|'en', dialect: string }}
+ */
+function resolveLanguage({ lang, dialect }) {
+  const dialectLower = typeof dialect === 'string' ? dialect.toLowerCase() : '';
+  const langLower = typeof lang === 'string' ? lang.toLowerCase() : '';
+  const forceArabic = langLower === 'ar' || ARABIC_DIALECTS.has(dialectLower);
+  const language = forceArabic ? 'ar' : 'en';
+  return { language, dialect: language === 'en' ? 'en' : dialectLower || 'msa' };
+}
+
+/**
+ * Client messages (`{ from: 'user'|'ai', text }`) to LLM context messages.
+ * @param {Array<{ from?: string, text?: string }>} messages
+ */
+function toContextMessages(messages) {
+  if (!Array.isArray(messages)) return [];
+  return messages
+    .map((m) => {
+      if (!m || typeof m.text !== 'string') return null;
+      const text = m.text.trim();
+      if (!text) return null;
+      return { role: m.from === 'ai' ? 'assistant' : 'user', content: text };
+    })
+    .filter(Boolean);
+}
+
+function emotionForClient(emo) {
+  if (!emo) return null;
+  return {
+    primaryEmotion: emo.primaryEmotion || 'NEUTRAL',
+    intensity: typeof emo.intensity === 'number' ? emo.intensity : 0,
+    secondaryEmotion: emo.secondaryEmotion || null,
+  };
+}
+
+function fallbackReply(language, { invite = false } = {}) {
+  if (language === 'ar') {
+    return invite ? 'أنا هون معك يا قلبي، احكي لي أكثر لو حابب.' : 'أنا هون معك يا قلبي.';
+  }
+  return invite ? "I'm here with you, tell me a bit more if you want." : "I'm here with you.";
+}
+
+// Drop a dangling list marker / half sentence and close the sentence.
+function closeTruncatedText(text) {
+  let cleaned = cleanTruncatedText(text);
+  if (cleaned.length > 10 && !/[.!?؟]$/.test(cleaned)) {
+    cleaned += '.';
+  }
+  return cleaned;
+}
+
+async function crisisReply(turn, crisis, emotion) {
+  const crisisTurn = await completeCrisisTurn({
+    req: turn.req,
+    userId: turn.userId,
+    characterId: turn.characterId,
+    conversationId: turn.conversationId,
+    userText: turn.userText,
+    shouldSave: turn.shouldSave,
+    crisis,
+    language: turn.language,
+    source: turn.channel === 'text' ? 'text' : 'voice',
+  });
+  return {
+    outcome: 'crisis',
+    reply: crisisTurn.text,
+    replyEngine: 'safety',
+    safety: crisisTurn.safety,
+    emotion: emotion || null,
+    saved: Promise.resolve(crisisTurn.savedMessages || null),
+  };
+}
+
+// ----------------------------------------------------------------------
+// Account, request options and quota
+// ----------------------------------------------------------------------
+
+const account = {
+  name: 'account',
+  needs: ['userId'],
+  provides: ['dbUser', 'usage', 'limits', 'isPremiumUser', 'isFreePlanUser', 'premiumAccess'],
+  async run({ userId }) {
+    if (!isLLMConfigured()) {
+      throw new ChatTurnError('llm_not_configured', 500, {
+        message: 'LLM provider is not configured on the server',
+      });
+    }
+
+    const [dbUser, usage] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      ensureUsage(userId),
+    ]);
+    if (!dbUser) {
+      throw new ChatTurnError('user_not_found', 401, { message: 'User not found' });
+    }
+    // requireAuth already refuses suspended accounts; a live voice call only
+    // authenticated when it opened, so check again on every turn.
+    if (dbUser.suspendedAt) {
+      throw new ChatTurnError('account_suspended', 403, { message: 'This account is suspended' });
+    }
+
+    const limits = getPlanLimits(dbUser);
+    const isPremiumUser = hasPremiumPlan(dbUser);
+    return {
+      dbUser,
+      usage,
+      limits,
+      isPremiumUser,
+      isFreePlanUser: !isPremiumUser && !limits.isTester,
+      // Testers get premium models and characters, but are not billed as premium.
+      premiumAccess: isPremiumUser || !!limits.isTester,
+    };
+  },
+};
+
+/**
+ * Read the request body of the REST routes: character, language, engine, ...
+ *
+ * @param {{ defaultEngine: string, engines: string[], aliases?: Object<string, string> }} config
+ */
+function readOptions({ defaultEngine, engines, aliases = {} }) {
+  return {
+    name: 'options',
+    needs: ['body', 'premiumAccess'],
+    provides: [
+      'characterId',
+      'language',
+      'dialect',
+      'tone',
+      'requestedConversationId',
+      'saveFlag',
+      'engine',
+      'messages',
+    ],
+    run({ channel, body, userText, premiumAccess, wantsStream }) {
+      const characterId = body.characterId || 'daloua';
+      if (!premiumAccess && isCharacterPremiumOnly(characterId)) {
+        throw new ChatTurnError('premium_required', 403, { error: 'premium_required' });
+      }
+
+      const { language, dialect } = resolveLanguage({ lang: body.lang, dialect: body.dialect });
+      const engineRaw = typeof body.engine === 'string' ? body.engine.toLowerCase() : defaultEngine;
+      const engineNormalized = aliases[engineRaw] || engineRaw;
+      const engine = engines.includes(engineNormalized) ? engineNormalized : defaultEngine;
+      const saveFlag = body.save !== false;
+
+      logger.debug('incoming turn', {
+        channel,
+        dialect,
+        characterId,
+        saveFlag,
+        contentLength: typeof userText === 'string' ? userText.length : 0,
+        wantsStream: !!wantsStream,
+      });
+
+      return {
+        characterId,
+        language,
+        dialect,
+        tone: body.tone,
+        requestedConversationId: body.conversationId,
+        saveFlag,
+        engine,
+        messages: Array.isArray(body.messages) ? body.messages : [],
+      };
+    },
+  };
+}
+
+/** @param {string} message the 400 body when the turn has no text */
+function requireText(message) {
+  return {
+    name: 'requireText',
+    needs: ['userText'],
+    run({ userText }) {
+      if (!userText) {
+        throw new ChatTurnError('empty_message', 400, { message });
+      }
+    },
+  };
+}
+
+// Crisis escalation, step one: the keyword pre-screen. It runs before the
+// quota so a user over their limit or cost ceiling still gets the crisis
+// reply (crisisPrescreenReply below), and a flagged turn is never counted.
+const crisisPrescreen = {
+  name: 'crisisPrescreen',
+  needs: ['userText'],
+  provides: ['crisisPrescreen'],
+  run({ userText }) {
+    return { crisisPrescreen: prescreenCrisisText(userText) };
+  },
+};
+
+// Same error as the message limit so every client shows its limit screen;
+// limitType tells them apart.
+function costLimitError(dbUser, usage) {
+  return new ChatTurnError('usage_limit_reached', 429, {
+    error: 'usage_limit_reached',
+    code: 'COST_LIMIT_EXCEEDED',
+    message: 'Monthly usage limit reached.',
+    scope: 'monthly',
+    plan: dbUser.plan,
+    usage: buildUsageSummary(dbUser, usage),
+    limitType: 'cost',
+  });
+}
+
+function messageLimitError(dbUser, usage, { used, limit, remaining }) {
+  return new ChatTurnError('usage_limit_reached', 429, {
+    error: 'usage_limit_reached',
+    code: 'LIMIT_EXCEEDED',
+    message: 'Monthly message limit reached.',
+    scope: 'monthly',
+    plan: dbUser.plan,
+    used,
+    limit,
+    remaining: typeof remaining === 'number' ? remaining : 0,
+    usage: buildUsageSummary(dbUser, usage),
+    limitType: 'monthly',
+  });
+}
+
+/**
+ * Throw the quota stage's 429 if a turn would be refused right now, without
+ * counting anything. For work that costs money before the first turn (a
+ * live voice call transcribes as the user talks).
+ */
+async function assertQuotaAvailable({ userId, dbUser, usage, limits }) {
+  const cost = await checkCostCeiling({ userId, dbUser, limits });
+  if (!cost.ok) throw costLimitError(dbUser, usage);
+  const limitResult = checkUsageLimit({
+    usage,
+    monthlyLimit: limits.monthlyLimit,
+    isTester: limits.isTester,
+  });
+  if (!limitResult.ok) throw messageLimitError(dbUser, usage, limitResult);
+}
+
+// Quota gating + atomic increment: one counted message per turn. The
+// monthly cost ceiling is checked first so a blocked turn is not counted.
+// Turns flagged by the crisis pre-screen are free.
+const quota = {
+  name: 'quota',
+  needs: ['userId', 'dbUser', 'usage', 'limits', 'isPremiumUser', 'isFreePlanUser', 'crisisPrescreen'],
+  provides: ['usage'],
+  when: (turn) => !turn.crisisPrescreen.flagged,
+  async run({ userId, dbUser, usage, limits, isPremiumUser, isFreePlanUser }) {
+    const cost = await checkCostCeiling({ userId, dbUser, limits });
+    if (!cost.ok) {
+      logger.info('cost ceiling reached', { ceilingUsd: cost.ceilingUsd });
+      throw costLimitError(dbUser, usage);
+    }
+
+    const limitResult = await applyUsageLimitAndIncrement({
+      userId,
+      usage,
+      monthlyLimit: limits.monthlyLimit,
+      isPremiumUser,
+      isFreePlanUser,
+      isTester: limits.isTester,
+      plan: dbUser.plan,
+    });
+
+    if (!limitResult.ok) {
+      throw messageLimitError(dbUser, limitResult.usage || usage, limitResult);
+    }
+
+    // Use the latest usage snapshot for downstream summaries.
+    return { usage: limitResult.usage || usage };
+  },
+};
+
+const persona = {
+  name: 'persona',
+  needs: ['characterId', 'language'],
+  provides: ['personaText'],
+  run({ characterId, language }) {
+    const found = CHARACTER_PERSONAS[characterId];
+    if (!found) {
+      throw new ChatTurnError('unknown_character', 400, { message: 'Unknown character' });
+    }
+    return { personaText: language === 'ar' ? found.ar : found.en };
+  },
+};
+
+// Resolve the conversation before any reply, so every path can save.
+const conversation = {
+  name: 'conversation',
+  needs: ['userId', 'dbUser', 'characterId', 'requestedConversationId', 'saveFlag'],
+  provides: ['conversationId', 'shouldSave'],
+  async run({ userId, dbUser, characterId, requestedConversationId, saveFlag }) {
+    let conversationId = null;
+    if (requestedConversationId && Number.isFinite(Number(requestedConversationId))) {
+      const existing = await prisma.conversation.findFirst({
+        where: { id: Number(requestedConversationId), userId },
+        select: { id: true },
+      });
+      if (existing) conversationId = existing.id;
+    }
+    if (!conversationId) {
+      const conv = await prisma.conversation.create({
+        data: { userId, characterId, title: null },
+      });
+      conversationId = conv.id;
+    }
+
+    return {
+      conversationId,
+      shouldSave: !!saveFlag && !!dbUser.saveHistoryEnabled && Number.isFinite(Number(conversationId)),
+    };
+  },
+};
+
+// ----------------------------------------------------------------------
+// Fast paths
+// ----------------------------------------------------------------------
+
+// Crisis escalation, step two: a pre-screened turn is answered with the
+// crisis template before every fast path, so a self-harm disclosure can never
+// be answered by a quick phrase, the lite engine, or a classifier that fell
+// back to CASUAL.
+const crisisPrescreenReply = {
+  name: 'crisisPrescreenReply',
+  needs: ['crisisPrescreen', 'conversationId', 'shouldSave', 'language'],
+  provides: ['outcome', 'reply', 'replyEngine', 'safety', 'emotion', 'saved'],
+  when: (turn) => turn.crisisPrescreen.flagged,
+  run(turn) {
+    return crisisReply(turn, evaluateCrisis({ prescreen: turn.crisisPrescreen }), null);
+  },
+};
+
+// Ultra-fast path: trivial greetings / acknowledgements.
+const quickReply = {
+  name: 'quickReply',
+  needs: ['userText', 'language'],
+  provides: ['outcome', 'reply', 'replyEngine', 'instantReply'],
+  when: (turn) => isOpen(turn) && isQuickPhrase(turn.userText),
+  run({ userText, language }) {
+    const instant = buildInstantReply(userText, { language });
+    const text =
+      (instant && typeof instant.text === 'string' && instant.text.trim()) ||
+      (language === 'ar' ? 'أنا هون معك يا قلبي.' : "I'm right here with you.");
+    return { outcome: 'instant', reply: text, replyEngine: 'instant-shallow', instantReply: instant };
+  },
+};
+
+// Recent client history, without the just-typed message if the client sent it twice.
+const history = {
+  name: 'history',
+  needs: ['messages', 'userText'],
+  provides: ['recentMessages'],
+  when: isOpen,
+  run({ messages, userText }) {
+    const list = messages.slice();
+    const last = list[list.length - 1];
+    if (last && last.from === 'user' && typeof last.text === 'string' && last.text.trim() === userText) {
+      list.pop();
+    }
+    return { recentMessages: toContextMessages(list) };
+  },
+};
+
+// Rolling summary of older messages that no longer fit the context window.
+const summary = {
+  name: 'summary',
+  needs: ['conversationId', 'userId'],
+  provides: ['conversationSummary'],
+  when: isOpen,
+  async run({ conversationId, userId }) {
+    return { conversationSummary: await getConversationSummary({ conversationId, userId }) };
+  },
+};
+
+// Lite engine: skip the emotional pipeline entirely.
+const liteReply = {
+  name: 'liteReply',
+  needs: ['userText', 'recentMessages', 'personaText', 'language', 'dialect', 'premiumAccess', 'conversationSummary'],
+  provides: ['outcome', 'reply', 'replyEngine', 'model'],
+  when: (turn) => isOpen(turn) && turn.engine === 'lite',
+  async run(turn) {
+    const model = selectModelForResponse({ engine: 'lite', isPremiumUser: turn.premiumAccess });
+    const liteResult = await runLiteEngine({
+      userMessage: turn.userText,
+      recentMessages: turn.recentMessages,
+      personaText: turn.personaText,
+      language: turn.language,
+      dialect: turn.dialect,
+      model,
+      isPremiumUser: turn.premiumAccess,
+      userId: turn.userId,
+      conversationSummary: turn.conversationSummary,
+    });
+
+    let reply =
+      (liteResult && typeof liteResult.text === 'string' && liteResult.text.trim()) ||
+      fallbackReply(turn.language, { invite: true });
+    if (isTruncated(reply, null)) {
+      logger.info('truncation guard triggered', { engine: 'lite', channel: turn.channel });
+      reply = closeTruncatedText(reply);
+    }
+
+    return { outcome: 'lite', reply, replyEngine: 'lite', model };
+  },
+};
+
+// ----------------------------------------------------------------------
+// Emotional engine
+// ----------------------------------------------------------------------
+
+const emotionalEngine = {
+  name: 'emotionalEngine',
+  needs: ['userText', 'recentMessages', 'characterId', 'personaText', 'language', 'dialect', 'conversationId', 'conversationSummary'],
+  provides: [
+    'emo',
+    'emotion',
+    'systemPrompt',
+    'flowState',
+    'longTermSnapshot',
+    'triggers',
+    'severityLevel',
+    'personaCfg',
+    'engineTimings',
+  ],
+  when: isOpen,
+  async run(turn) {
+    const result = await runEmotionalEngine({
+      userMessage: turn.userText,
+      recentMessages: turn.recentMessages,
+      personaId: turn.characterId,
+      personaText: turn.personaText,
+      language: turn.language,
+      dialect: turn.dialect,
+      conversationId: turn.conversationId,
+      userId: turn.userId,
+      conversationSummary: turn.conversationSummary,
+    });
+    return {
+      emo: result.emo,
+      emotion: emotionForClient(result.emo),
+      systemPrompt: result.systemPrompt,
+      flowState: result.flowState,
+      longTermSnapshot: result.longTermSnapshot,
+      triggers: result.triggers,
+      severityLevel: result.severityLevel || 'CASUAL',
+      personaCfg: result.personaCfg || null,
+      engineTimings: result.timings || {},
+    };
+  },
+};
+
+const crisisCheck = {
+  name: 'crisisCheck',
+  needs: ['crisisPrescreen', 'severityLevel', 'emotion'],
+  provides: ['outcome', 'reply', 'replyEngine', 'safety', 'emotion', 'saved'],
+  when: isOpen,
+  async run(turn) {
+    const crisis = evaluateCrisis({ prescreen: turn.crisisPrescreen, severityLevel: turn.severityLevel });
+    if (!crisis.isCrisis) return undefined;
+    return crisisReply(turn, crisis, turn.emotion);
+  },
+};
+
+const trust = {
+  name: 'trust',
+  needs: ['userId', 'characterId', 'emo', 'triggers'],
+  when: isOpen,
+  async run({ userId, characterId, emo, triggers }) {
+    try {
+      await updateTrustOnMessage({
+        userId,
+        personaId: characterId,
+        emotionSnapshot: emo,
+        triggers,
+        timestamp: new Date(),
+      });
+    } catch (err) {
+      logger.error('updateTrustOnMessage failed', { err });
+    }
+  },
+};
+
+const timeline = {
+  name: 'timeline',
+  needs: ['userId', 'characterId', 'conversationId', 'emo', 'severityLevel'],
+  when: isOpen,
+  async run({ channel, userId, characterId, conversationId, emo, severityLevel }) {
+    try {
+      await logEmotionalEvent({
+        userId,
+        personaId: characterId,
+        conversationId,
+        timestamp: new Date(),
+        dominantEmotion: emo && typeof emo.primaryEmotion === 'string' ? emo.primaryEmotion : 'NEUTRAL',
+        intensity: emo && typeof emo.intensity === 'number' ? emo.intensity : 0,
+        valence: null,
+        source: 'user_message',
+        eventType: 'message',
+        tags: { source: channel, severityLevel },
+      });
+    } catch (err) {
+      logger.error('logEmotionalEvent (message) failed', { err });
+    }
+  },
+};
+
+function defaultOutputRules(verbosity) {
+  return verbosity.verbosityMode === 'short'
+    ? `OUTPUT RULES (VERY IMPORTANT):
+- Default: 1–2 short sentences only.
+- Be conversational (no speeches, no proverbs unless asked).
+- Ask at most ONE short follow-up question only if it feels natural.
+- If the user explicitly asks for detail/steps, you may expand.`
+    : `OUTPUT RULES:
+- Be conversational and avoid long speeches unless the user asks.
+- Ask at most one question.`;
+}
+
+/**
+ * Engine mode, model and the completion request.
+ *
+ * @param {Object} [config]
+ * @param {boolean} [config.severityAwareMode]  let severity / long-form intent
+ *   pick the deep mode (voice); text only follows the user's preference
+ * @param {(verbosity: Object) => string} [config.outputRules]
+ * @param {(verbosity: Object) => number} [config.temperature]
+ */
+function buildPrompt({
+  severityAwareMode = false,
+  outputRules = defaultOutputRules,
+  temperature = (verbosity) => (verbosity.verbosityMode === 'short' ? 0.6 : 0.8),
+} = {}) {
+  return {
+    name: 'prompt',
+    needs: ['userId', 'userText', 'engine', 'premiumAccess', 'severityLevel', 'systemPrompt', 'recentMessages'],
+    provides: ['verbosity', 'engineMode', 'completionParams'],
+    when: isOpen,
+    async run(turn) {
+      const verbosity = computeVerbosityControls({
+        userText: turn.userText,
+        severityLevel: turn.severityLevel,
+      });
+      const engineMode = decideEngineMode({
+        enginePreference: turn.engine,
+        isPremiumUser: turn.premiumAccess,
+        ...(severityAwareMode
+          ? { severityLevel: turn.severityLevel, longFormIntent: verbosity.longIntent }
+          : {}),
+      });
+
+      const memoryMode = await getUserMemoryMode(turn.userId);
+      const contextLimit = memoryMode === 'RICH' ? RICH_CONTEXT_MESSAGES : FAST_CONTEXT_MESSAGES;
+      const context = turn.recentMessages
+        .slice(-MAX_CONTEXT_MESSAGES)
+        .slice(-contextLimit);
+
+      return {
+        verbosity,
+        engineMode,
+        completionParams: {
+          model: selectModelForResponse({ engine: turn.engine, isPremiumUser: turn.premiumAccess }),
+          messages: [
+            { role: 'system', content: `${turn.systemPrompt}\n\n${outputRules(verbosity)}` },
+            ...context,
+            { role: 'user', content: turn.userText },
+          ],
+          temperature: temperature(verbosity),
+          max_tokens: verbosity.maxTokens,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * The LLM completion (stage "llm"). Streams deltas when the channel set `turn.onDelta`
+ * (and `turn.signal` to abort on disconnect).
+ *
+ * @param {{ onEmpty: 'fail'|'fallback' }} config  what an empty reply becomes
+ */
+function complete({ onEmpty }) {
+  return {
+    name: 'llm',
+    needs: ['completionParams', 'language'],
+    provides: ['outcome', 'rawReply', 'finishReason', 'streamedText'],
+    when: isOpen,
+    async run(turn) {
+      let rawReply = '';
+      let finishReason = null;
+      let streamedText = '';
+
+      if (typeof turn.onDelta === 'function') {
+        try {
+          const streamed = await streamChatCompletion(turn.completionParams, {
+            signal: turn.signal,
+            onDelta: (text) => {
+              streamedText += text;
+              turn.onDelta(text);
+            },
+          });
+          rawReply = String(streamed.content || '').trim();
+          finishReason = streamed.finishReason;
+        } catch (err) {
+          if (turn.signal && turn.signal.aborted) {
+            return { halted: 'client_disconnected' };
+          }
+          throw err;
+        }
+      } else {
+        const completion = await createChatCompletion(turn.completionParams);
+        rawReply = completion.choices?.[0]?.message?.content?.trim() || '';
+        finishReason = completion.choices?.[0]?.finish_reason;
+      }
+
+      if (!rawReply) {
+        if (onEmpty === 'fail') {
+          throw new ChatTurnError('no_reply', 500, { message: 'No response from language model.' });
+        }
+        rawReply = fallbackReply(turn.language);
+      }
+
+      return { outcome: 'engine', rawReply, finishReason, streamedText };
+    },
+  };
+}
+
+/**
+ * Truncation guard on finish_reason + pattern detection.
+ *
+ * @param {{ recover: boolean }} config  ask the model to finish the thought
+ *   (text) or only close the cut-off sentence (voice, where latency matters)
+ */
+function guardTruncation({ recover }) {
+  return {
+    name: 'truncation',
+    needs: ['rawReply', 'finishReason', 'completionParams', 'language'],
+    provides: ['reply'],
+    when: isEngineTurn,
+    async run({ channel, rawReply, finishReason, completionParams, language }) {
+      if (!isTruncated(rawReply, finishReason)) return { reply: rawReply };
+
+      logger.info('truncation guard triggered', { finishReason, channel });
+      if (!recover) return { reply: closeTruncatedText(rawReply) };
+
+      // Clean dangling markers before recovery
+      const cleaned = rawReply
+        .replace(/\n?\d+\.\s*$/, '')
+        .replace(/[-•]\s*$/, '')
+        .replace(/:\s*$/, '')
+        .trim();
+      let reply = null;
+      try {
+        const recoveryCompletion = await createChatCompletion({
+          model: completionParams.model,
+          messages: [
+            ...completionParams.messages,
+            { role: 'assistant', content: cleaned },
+            { role: 'user', content: 'Complete your thought in one brief sentence. No lists.' },
+          ],
+          temperature: 0.5,
+          max_tokens: 100,
+        });
+        const recoveryText = recoveryCompletion.choices?.[0]?.message?.content?.trim();
+        if (recoveryText && recoveryText.length > 3) {
+          reply = cleaned + ' ' + recoveryText;
+        }
+      } catch (recoveryErr) {
+        logger.error('truncation recovery failed', { err: recoveryErr });
+      }
+      logger.info('truncation guard recovery', { recovered: !!reply, channel });
+      return {
+        reply: reply || cleaned + (language === 'ar' ? ' شو رأيك؟' : ' What do you think?'),
+      };
+    },
+  };
+}
+
+/**
+ * Shape the raw reply for the persona, emotion and engine mode.
+ * @param {{ verbosityMode?: string }} [config]  force a verbosity (voice call)
+ */
+function orchestrate({ verbosityMode } = {}) {
+  return {
+    name: 'orchestrate',
+    needs: ['reply', 'personaText', 'emo', 'flowState', 'longTermSnapshot', 'triggers', 'language', 'severityLevel', 'personaCfg', 'engineMode', 'premiumAccess', 'verbosity'],
+    provides: ['reply'],
+    when: isEngineTurn,
+    async run(turn) {
+      try {
+        const shaped = await orchestrateResponse({
+          rawReply: turn.reply,
+          persona: turn.personaText,
+          emotion: turn.emo,
+          convoState: turn.flowState || { currentState: 'NEUTRAL' },
+          longTermSnapshot: turn.longTermSnapshot,
+          triggers: turn.triggers,
+          language: turn.language,
+          severityLevel: turn.severityLevel,
+          personaCfg: turn.personaCfg,
+          engineMode: turn.engineMode,
+          isPremiumUser: turn.premiumAccess,
+          verbosityMode: verbosityMode || turn.verbosity.verbosityMode,
+        });
+        if (typeof shaped === 'string' && shaped.trim()) return { reply: shaped };
+      } catch (err) {
+        logger.error('orchestrator failed, using raw reply', { err });
+      }
+      return undefined;
+    },
+  };
+}
+
+const STUDY_KEYWORDS = ['exam', 'study', 'studying', 'homework', 'assignment', 'test'];
+const PRODUCTIVITY_KEYWORDS = ['productivity', 'routine', 'routines', 'schedule', 'plan', 'planning', 'focus'];
+
+// Premium users: gently suggest Abu Mukh if Daloua is being used for study/productivity.
+const suggestAbuMukh = {
+  name: 'suggestAbuMukh',
+  needs: ['reply', 'userText', 'characterId', 'language', 'isPremiumUser'],
+  provides: ['reply'],
+  when: (turn) =>
+    isEngineTurn(turn) && turn.isPremiumUser && turn.characterId === 'daloua' && turn.language !== 'ar',
+  run({ reply, userText }) {
+    const lower = userText.toLowerCase();
+    const mentionsStudy = STUDY_KEYWORDS.some((w) => lower.includes(w));
+    const mentionsProductivity = PRODUCTIVITY_KEYWORDS.some((w) => lower.includes(w));
+    if (!mentionsStudy && !mentionsProductivity) return undefined;
+    return {
+      reply:
+        reply +
+        '\n\n' +
+        'For strict study plans and focus routines, Abu Mukh is the expert. You can switch to him from the companions section whenever you like.',
+    };
+  },
+};
+
+// Voice mode: keep the spoken reply compact while preserving any safety footer.
+const trimForVoice = {
+  name: 'trimForVoice',
+  needs: ['reply', 'severityLevel'],
+  provides: ['reply'],
+  when: isEngineTurn,
+  run({ reply, severityLevel }) {
+    return { reply: trimForVoiceReply(reply, severityLevel) };
+  },
+};
+
+// ----------------------------------------------------------------------
+// Persistence and follow-ups
+// ----------------------------------------------------------------------
+
+// Long-term memory for a saved engine turn; runs after the response is sent.
+function queueMemoryUpdates({ turn, messageId }) {
+  const { userId, conversationId, characterId, emo, userText, engineMode } = turn;
+  setImmediate(async () => {
+    const tBgStart = Date.now();
+    const steps = [
+      ['MessageEmotion', () =>
+        prisma.messageEmotion.create({
+          data: {
+            messageId,
+            primaryEmotion: emo.primaryEmotion,
+            intensity: emo.intensity,
+            confidence: emo.confidence,
+            cultureTag: emo.cultureTag,
+            notes: emo.notes || null,
+          },
+        })],
+      ['MemoryKernel', () =>
+        recordMemoryEvent({
+          userId,
+          conversationId,
+          messageId,
+          characterId,
+          emotion: emo,
+          messageText: userText, // Pass original text to avoid encryption encoding issues
+          topics: Array.isArray(emo.topics) ? emo.topics : [],
+          secondaryEmotion: emo.secondaryEmotion || null,
+          emotionVector: emo.emotionVector || null,
+          detectorVersion: emo.detectorVersion || null,
+          isKernelRelevant: true,
+        })],
+      ['ConversationEmotionState', () => updateConversationEmotionState(conversationId, emo)],
+      ['Timeline', () => logEmotionalTimelineEvent({ userId, conversationId, emotion: emo })],
+      ['TriggerEvents', () =>
+        logTriggerEventsForMessage({ userId, conversationId, messageId, messageText: userText, emotion: emo })],
+      ['UserEmotionProfile', () => updateUserEmotionProfile({ userId })],
+      ['Patterns', () => updateEmotionalPatterns({ userId })],
+    ];
+
+    for (const [label, step] of steps) {
+      try {
+        await step();
+      } catch (err) {
+        logger.error('background memory update failed', { step: label, err });
+      }
+    }
+
+    logger.info('background memory update done', {
+      userId,
+      conversationId,
+      channel: turn.channel,
+      engineMode,
+      isPremiumUser: !!turn.isPremiumUser,
+      durationMs: Date.now() - tBgStart,
+    });
+  });
+}
+
+// Save both messages without holding up the reply; `saved` resolves to the
+// message ids (null when nothing was saved).
+const save = {
+  name: 'save',
+  needs: ['userId', 'characterId', 'conversationId', 'shouldSave', 'userText', 'reply'],
+  provides: ['saved'],
+  when: (turn) => !!turn.outcome && turn.outcome !== 'crisis',
+  run(turn) {
+    const { userId, characterId, conversationId, shouldSave, userText, reply } = turn;
+
+    logger.debug('save turn', { shouldSave, conversationId, userId });
+    if (!shouldSave) return { saved: Promise.resolve(null) };
+
+    const saved = (async () => {
+      let rows;
+      const tSaveStart = Date.now();
+      try {
+        rows = await prisma.$transaction([
+          prisma.message.create({
+            data: { userId, characterId, conversationId, role: 'user', content: userText },
+          }),
+          prisma.message.create({
+            data: { userId, characterId, conversationId, role: 'assistant', content: reply },
+          }),
+          prisma.conversation.update({
+            where: { id: conversationId },
+            data: { updatedAt: new Date() },
+          }),
+        ]);
+        observeChatStage(turn.channel, 'db_save', Date.now() - tSaveStart);
+        scheduleConversationSummary({ conversationId, userId });
+      } catch (err) {
+        logger.error('message persistence error', { channel: turn.channel, err });
+        return null;
+      }
+
+      const [userRow, assistantRow] = rows;
+      if (turn.outcome === 'engine' && turn.emo) {
+        queueMemoryUpdates({ turn, messageId: userRow.id });
+      }
+      return { userMessageId: userRow.id, assistantMessageId: assistantRow.id };
+    })();
+    saved.catch(() => {});
+
+    return { saved };
+  },
+};
+
+const whispers = {
+  name: 'whispers',
+  needs: ['userId', 'characterId', 'conversationId'],
+  provides: ['whispersUnlocked'],
+  when: isEngineTurn,
+  async run({ userId, characterId, conversationId }) {
+    let whispersUnlocked = [];
+    try {
+      const unlocked = await evaluateWhisperUnlocks({ userId, personaId: characterId });
+      if (Array.isArray(unlocked) && unlocked.length) {
+        whispersUnlocked = unlocked;
+        for (const w of unlocked) {
+          try {
+            await logEmotionalEvent({
+              userId,
+              personaId: characterId,
+              conversationId,
+              timestamp: w.unlockedAt || new Date(),
+              dominantEmotion: 'NEUTRAL',
+              intensity: 0,
+              valence: null,
+              source: 'system_event',
+              eventType: 'whisper_unlocked',
+              tags: {
+                whisperId: w.id,
+                title: w.title,
+                levelRequired: w.levelRequired,
+              },
+            });
+          } catch (err) {
+            logger.error('logEmotionalEvent (whisper_unlocked) failed', { err });
+          }
+        }
+      }
+    } catch (err) {
+      logger.error('evaluateWhisperUnlocks failed', { err });
+    }
+    return { whispersUnlocked };
+  },
+};
+
+// ----------------------------------------------------------------------
+// Voice upload (POST /voice)
+// ----------------------------------------------------------------------
+
+// Check the real format and length of the upload, transcribe it and keep (or
+// drop) the recording. Needs `req` (multer's req.file; req.voiceIngest is
+// read by the route's cleanup).
+const transcribeUpload = {
+  name: 'transcribe',
+  needs: ['req', 'userId', 'dbUser', 'limits'],
+  provides: ['userText', 'inputAttachment'],
+  async run({ req, userId, dbUser, limits }) {
+    if (!req.file) {
+      throw new ChatTurnError('no_audio', 400, { message: 'No audio uploaded' });
+    }
+
+    try {
+      req.voiceIngest = await ingestVoiceUpload(req.file, { maxSeconds: limits.voiceMaxSeconds });
+    } catch (err) {
+      if (err instanceof AudioIngestError) {
+        throw new ChatTurnError(err.code, err.status, err.toJSON());
+      }
+      throw err;
+    }
+
+    const userText = await transcribeAudio(req.voiceIngest.path, {
+      durationMs: req.voiceIngest.durationMs,
+    });
+    if (req.voiceIngest.normalized) {
+      removeTempUpload({ path: req.voiceIngest.path });
+    }
+
+    const inputAttachment = await finalizeVoiceUpload({
+      userId,
+      file: req.file,
+      keep: !!dbUser.keepVoiceNotes && !!userText,
+      durationMs: req.voiceIngest.durationMs,
+      waveformPeaks: req.voiceIngest.waveformPeaks,
+    });
+    if (!userText) {
+      throw new ChatTurnError('transcription_failed', 400, { message: 'Failed to transcribe audio' });
+    }
+
+    return { userText, inputAttachment };
+  },
+};
+
+// Read the reply aloud, then attach the recording and the spoken reply to the
+// saved messages once they exist.
+const speak = {
+  name: 'speak',
+  needs: ['userId', 'reply', 'language', 'characterId', 'tone', 'inputAttachment', 'saved'],
+  provides: ['assistantText', 'speech'],
+  async run(turn) {
+    const assistantText = normalizeAssistantReplyForTTS(turn.reply, turn.language);
+    const voiceProfile = CHARACTER_VOICES[turn.characterId] || CHARACTER_VOICES.default;
+    const speech = await generateVoiceReply(prepareTextForTTS(assistantText), {
+      characterId: turn.characterId,
+      format: 'mp3',
+      // Crisis replies are always read at the calm pace.
+      tone: turn.outcome === 'crisis' ? 'calm' : turn.tone || voiceProfile.defaultTone || 'calm',
+      emotion: turn.emo || null,
+    });
+
+    Promise.resolve(turn.saved)
+      .then((savedMessages) => {
+        if (!savedMessages) return;
+        attachVoiceTurn({
+          userId: turn.userId,
+          ...savedMessages,
+          inputAttachmentId: turn.inputAttachment ? turn.inputAttachment.id : null,
+          reply: speech,
+        });
+      })
+      .catch(() => {});
+
+    return { assistantText, speech };
+  },
+};
+
+module.exports = {
+  MAX_CONTEXT_MESSAGES,
+  FAST_CONTEXT_MESSAGES,
+  RICH_CONTEXT_MESSAGES,
+  resolveLanguage,
+  toContextMessages,
+  emotionForClient,
+  account,
+  readOptions,
+  requireText,
+  crisisPrescreen,
+  assertQuotaAvailable,
+  quota,
+  persona,
+  conversation,
+  crisisPrescreenReply,
+  quickReply,
+  history,
+  summary,
+  liteReply,
+  emotionalEngine,
+  crisisCheck,
+  trust,
+  timeline,
+  buildPrompt,
+  complete,
+  guardTruncation,
+  orchestrate,
+  suggestAbuMukh,
+  trimForVoice,
+  save,
+  whispers,
+  transcribeUpload,
+  speak,
+};
@@ -5,6 +5,8 @@
 
 const prisma = require('../../prisma');
 const { getPersonaSnapshot } = require('./memoryKernel');
+const { getUserMemoryMode } = require('./memoryMode');
+const logger = require('../../utils/logger').child({ component: 'Phase4' });
 
 function ensureObject(val) {
   if (!val || typeof val !== 'object') return {};
@@ -46,10 +48,7 @@ async function buildPhase4MemoryBlock({
       try {
         return await getPersonaSnapshot({ userId });
       } catch (err) {
-        console.error(
-          '[Phase4] getPersonaSnapshot error',
-          err && err.message ? err.message : err
-        );
+        logger.error('getPersonaSnapshot error', { err });
         return { facts: {}, summaryLinesEn: [], summaryLinesAr: [] };
       }
     })(),
@@ -363,10 +362,7 @@ async function buildPhase4MemoryBlock({
       }
     }
   } catch (err) {
-    console.error(
-      '[Phase4] persona snapshot render error',
-      err && err.message ? err.message : err
-    );
+    logger.error('persona snapshot render error', { err });
   }
 
   // Compact "known stored facts" view for explicit meta-questions like
@@ -541,7 +537,7 @@ async function buildPhase4MemoryBlock({
     }
 
     try {
-      console.log('[Phase4] known_user_facts_block', {
+      logger.debug('known_user_facts_block', {
         userId,
         hasName: nameValue !== 'unknown',
         hasAge: ageValue !== 'unknown',
@@ -554,16 +550,18 @@ async function buildPhase4MemoryBlock({
       });
     } catch (_) {}
   } catch (err) {
-    console.error(
-      '[Phase4] known facts render error',
-      err && err.message ? err.message : err
-    );
+    logger.error('known facts render error', { err });
   }
 
   // Semantic preference profile (UserMemoryFact-based, internal-only).
+  // Skipped in LIGHT memory mode, like the persona snapshot.
   try {
     const model = prisma && prisma.userMemoryFact;
-    if (model && typeof model.findMany === 'function') {
+    if (
+      model &&
+      typeof model.findMany === 'function' &&
+      (await getUserMemoryMode(userId)) !== 'LIGHT'
+    ) {
       const semanticFacts = await model.findMany({
         where: {
           userId,
@@ -731,10 +729,7 @@ async function buildPhase4MemoryBlock({
       }
     }
   } catch (err) {
-    console.error(
-      '[Phase4] semantic profile error',
-      err && err.message ? err.message : err
-    );
+    logger.error('semantic profile error', { err });
   }
 
   if (!lines.length) return '';
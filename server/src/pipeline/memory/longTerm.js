@@ -3,12 +3,11 @@
 
 const prisma = require('../../prisma');
 const { detectAnchorsFromMessage, deriveEmotionalReason } = require('../../services/emotionalReasoning');
-const OpenAI = require('openai');
+const { createChatCompletion, classifyJson, isLLMConfigured } = require('../../services/llm');
 const { clearCachedValue } = require('../../utils/ttlCache');
-
-const openaiClient = process.env.OPENAI_API_KEY
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
+const { normalizeMemoryMode } = require('./memoryMode');
+const { extractSemanticFactsFromMessage } = require('./semanticFacts');
+const logger = require('../../utils/logger').child({ component: 'LongTermMemory' });
 
 /**
  * Safely parse a JSON-like field from Prisma (which is already JS) into an object.
@@ -56,7 +55,7 @@ function detectNameByPattern(messageText) {
 // Returns a clean name string or null if no explicit new name is present.
 async function detectNameUsingLLM(messageText) {
   const text = String(messageText || '').trim();
-  if (!text || !openaiClient) {
+  if (!text || !isLLMConfigured()) {
     return null;
   }
 
@@ -73,7 +72,7 @@ async function detectNameUsingLLM(messageText) {
   const hasArabic = /[\u0600-\u06FF]/u.test(text);
   const languageHint = hasArabic ? 'ar' : 'en';
 
-  console.log('[LongTermMemory] detectNameUsingLLM cue', {
+  logger.debug('detectNameUsingLLM cue', {
     hasArabic,
     messageLength: text.length,
   });
@@ -93,7 +92,8 @@ async function detectNameUsingLLM(messageText) {
   ].join('\n');
 
   try {
-    const completion = await openaiClient.chat.completions.create({
+    const completion = await createChatCompletion({
+      task: 'name',
       model: 'gpt-4o-mini',
       temperature: 0,
       max_tokens: 16,
@@ -109,7 +109,7 @@ async function detectNameUsingLLM(messageText) {
     // Normalise trivial wrappers like quotes.
     out = out.replace(/^["'«»“”\s]+|["'«»“”\s]+$/gu, '').trim();
     if (!out) {
-      console.log('[LongTermMemory] detectNameUsingLLM candidate_empty', {
+      logger.debug('detectNameUsingLLM candidate_empty', {
         hasArabic,
       });
       return null;
@@ -128,7 +128,7 @@ async function detectNameUsingLLM(messageText) {
     candidate = candidate.replace(/[.,!?؟،]+$/gu, '').trim();
 
     if (!candidate) {
-      console.log('[LongTermMemory] detectNameUsingLLM candidate_empty_after_extract', {
+      logger.debug('detectNameUsingLLM candidate_empty_after_extract', {
         hasArabic,
       });
       return null;
@@ -136,14 +136,14 @@ async function detectNameUsingLLM(messageText) {
 
     // Basic validation: length and presence of letters.
     if (candidate.length < 2 || candidate.length > 40) {
-      console.log('[LongTermMemory] detectNameUsingLLM candidate_rejected_length', {
+      logger.debug('detectNameUsingLLM candidate_rejected_length', {
         hasArabic,
         candidateLength: candidate.length,
       });
       return null;
     }
     if (!/[A-Za-z\u0600-\u06FF]/u.test(candidate)) {
-      console.log('[LongTermMemory] detectNameUsingLLM candidate_rejected_chars', {
+      logger.debug('detectNameUsingLLM candidate_rejected_chars', {
         hasArabic,
       });
       return null;
@@ -161,126 +161,24 @@ async function detectNameUsingLLM(messageText) {
       'name',
     ]);
     if (banned.has(lower)) {
-      console.log('[LongTermMemory] detectNameUsingLLM candidate_rejected_banned', {
+      logger.debug('detectNameUsingLLM candidate_rejected_banned', {
         hasArabic,
       });
       return null;
     }
 
-    console.log('[LongTermMemory] detectNameUsingLLM candidate_accepted', {
+    logger.debug('detectNameUsingLLM candidate_accepted', {
       hasArabic,
       candidateLength: candidate.length,
     });
 
     return candidate;
   } catch (err) {
-    console.error(
-      '[LongTermMemory] detectNameUsingLLM error',
-      err && err.message ? err.message : err
-    );
+    logger.error('detectNameUsingLLM error', { err });
     return null;
   }
 }
 
-// --- Persona / semantic profile helpers ---
-
-// Very lightweight age detection for EN + AR messages.
-// Returns a normalised age string like "24" or null.
-function detectAgeFromText(messageText) {
-  const text = String(messageText || '').trim();
-  if (!text) return null;
-  const enMatch = text.match(/\b(i am|i'm|im)\s+(\d{1,2})\s*(?:years? old|yo|yrs?)?\b/i);
-  if (enMatch && enMatch[2]) {
-    const n = parseInt(enMatch[2], 10);
-    if (Number.isFinite(n) && n >= 10 && n <= 80) return String(n);
-  }
-  const arMatch = text.match(/(?:عمري|أنا عمري|انا عمري)\s+(\d{1,2})/i);
-  if (arMatch && arMatch[1]) {
-    const n = parseInt(arMatch[1], 10);
-    if (Number.isFinite(n) && n >= 10 && n <= 80) return String(n);
-  }
-  return null;
-}
-
-// Small lexicons for location, language, role/domain and themes.
-const COUNTRY_KEYWORDS = [
-  { value: 'Jordan', tokens: ['jordan', 'jordanian', 'الأردن', 'الاردن', 'اردن', 'أردني', 'اردني'] },
-  { value: 'Saudi Arabia', tokens: ['saudi', 'ksa', 'saudi arabia', 'السعودية', 'السعوديه', 'سعودي'] },
-  { value: 'United Arab Emirates', tokens: ['uae', 'dubai', 'abu dhabi', 'الإمارات', 'الامارات', 'اماراتي'] },
-  { value: 'Qatar', tokens: ['qatar', 'qatari', 'قطر', 'قطري'] },
-  { value: 'Egypt', tokens: ['egypt', 'egyptian', 'مصر', 'مصري'] },
-];
-
-const CITY_KEYWORDS = [
-  { value: 'Amman', tokens: ['amman', 'عمان', 'عمّان', 'بعمان', 'بعمّان'] },
-  { value: 'Dubai', tokens: ['dubai', 'دبي', 'بدبي'] },
-  { value: 'Riyadh', tokens: ['riyadh', 'الرياض'] },
-  { value: 'Jeddah', tokens: ['jeddah', 'جدة', 'جده'] },
-  { value: 'Doha', tokens: ['doha', 'الدوحة', 'الدوحه'] },
-  { value: 'Cairo', tokens: ['cairo', 'القاهرة', 'القاهره'] },
-];
-
-const ROLE_KEYWORDS = [
-  { value: 'student', tokens: ['i am a student', "i'm a student", 'im a student', 'i am student', 'انا طالب', 'انا طالبة', 'طالب جامعي', 'طالبة جامعية'] },
-  { value: 'high school student', tokens: ['high school', 'ثانوي', 'مدرسة ثانوية'] },
-  { value: 'university student', tokens: ['university student', 'في الجامعة', 'في الجامعه'] },
-  { value: 'software engineer', tokens: ['software engineer', 'software developer', 'مبرمج', 'مهندس برمجيات'] },
-  { value: 'developer', tokens: ['developer', 'programmer'] },
-];
-
-const DOMAIN_KEYWORDS = [
-  { value: 'computer science', tokens: ['computer science', 'cs ', 'cs.', 'cs student', 'علم الحاسوب', 'علوم الحاسوب'] },
-  { value: 'information technology', tokens: ['information technology', ' it ', 'نظم معلومات', 'تقنية معلومات'] },
-  { value: 'marketing', tokens: ['marketing', 'marketer', 'تسويق'] },
-  { value: 'medicine', tokens: ['medicine', 'medical school', 'med school', 'طب', 'كلية الطب'] },
-];
-
-const LANGUAGE_PRIMARY_KEYWORDS = [
-  { value: 'Arabic', tokens: ['my first language is arabic', 'native language is arabic', 'i speak arabic', 'احب احكي عربي', 'لغتي الام العربية', 'لغتي الأم العربية'] },
-  { value: 'English', tokens: ['my first language is english', 'native language is english', 'i speak english', 'i prefer english'] },
-];
-
-const DIALECT_KEYWORDS = [
-  { value: 'Jordanian Arabic', tokens: ['jordanian arabic', 'jordanian dialect', 'لهجة اردنية', 'لهجة أردنية'] },
-  { value: 'Gulf Arabic', tokens: ['gulf arabic', 'khaleeji', 'خليجي', 'لهجة خليجية'] },
-  { value: 'Egyptian Arabic', tokens: ['egyptian arabic', 'masri', 'مصري', 'لهجة مصرية'] },
-  { value: 'Levantine Arabic', tokens: ['levantine arabic', 'shami', 'شامي', 'لهجة شامية'] },
-];
-
-const HEALTH_KEYWORDS = [
-  { tokens: ['urticaria', 'cholinergic urticaria'], value: 'struggles with chronic urticaria' },
-  { tokens: ['skin condition', 'hives', 'حساسية', 'طفح جلدي'], value: 'struggles with a skin condition that flares under stress or heat' },
-  { tokens: ['allergy', 'allergic', 'مزمنة', 'chronic'], value: 'has ongoing health issues that cause stress' },
-];
-
-const ACADEMIC_KEYWORDS = [
-  { tokens: ['exam', 'exams', 'midterms', 'finals', 'university', 'assignment', 'grades', 'homework', 'امتحان', 'امتحانات', 'جامعة', 'اختبار'], value: 'stressed about university or exam performance' },
-];
-
-const FAMILY_KEYWORDS = [
-  { tokens: ['my parents', 'my family', 'my father', 'my mother', 'امي', 'أمي', 'ابوي', 'أبوي', 'اهلي', 'أهلي'], value: 'feels pressure or misunderstanding from family' },
-];
-
-const WORK_KEYWORDS = [
-  { tokens: ['job', 'work', '9-5', '9 to 5', 'manager', 'boss', 'شركة', 'دوام', 'startup', 'ستارت اب', 'ستارت أب'], value: 'experiences stress related to work or career' },
-];
-
-const PERSONALITY_TOKENS = [
-  { match: 'overthink', value: 'overthinks a lot' },
-  { match: 'over-think', value: 'overthinks a lot' },
-  { match: 'sensitive', value: 'sensitive' },
-  { match: 'perfectionist', value: 'perfectionist' },
-  { match: 'driven', value: 'driven' },
-  { match: 'ambitious', value: 'ambitious' },
-];
-
-const COPING_TOKENS = [
-  { tokens: ['go to the gym', 'hit the gym', 'gym', 'work out', 'workout', 'exercise', 'تمرين', 'نادي رياضي'], value: 'goes to the gym or exercises to cope' },
-  { tokens: ['watch youtube', 'youtube', 'scroll youtube', 'scroll tiktok', 'tiktok', 'تيك توك'], value: 'escapes into online content like YouTube or TikTok to cope' },
-  { tokens: ['play games', 'video games', 'gaming'], value: 'uses gaming as a way to cope' },
-  { tokens: ['journal', 'journaling', 'أكتب يومياتي'], value: 'likes to journal when stressed' },
-];
-
 // Persona kinds that should be stored as a single primary value per userId+kind.
 const PERSONA_SINGLETON_KINDS = new Set([
   'identity.name',
@@ -309,7 +207,7 @@ const PERSONA_SINGLETON_KINDS = new Set([
 // Best-effort long-term goal extraction via LLM (English + Arabic).
 async function detectGoalsUsingLLM(messageText) {
   const text = String(messageText || '').trim();
-  if (!text || !openaiClient) return null;
+  if (!text || !isLLMConfigured()) return null;
 
   // Gate on likely goal-related cues to avoid unnecessary calls.
   const cueRegex = /(my (biggest )?goal is|my dream is|i want to|i wanna|i would like to|i plan to|i'm planning to|i am planning to|i hope to|اريد ان|أريد أن|حاب|حابة|نفسي|خطتي|هدفي)/i;
@@ -333,7 +231,8 @@ async function detectGoalsUsingLLM(messageText) {
   ].join('\n');
 
   try {
-    const completion = await openaiClient.chat.completions.create({
+    const parsed = await classifyJson({
+      task: 'goals',
       model: 'gpt-4o-mini',
       temperature: 0,
       max_tokens: 96,
@@ -342,13 +241,6 @@ async function detectGoalsUsingLLM(messageText) {
         { role: 'user', content: userPrompt },
       ],
     });
-    const raw = completion.choices?.[0]?.message?.content || '';
-    let parsed = null;
-    try {
-      parsed = JSON.parse(raw);
-    } catch (_) {
-      return null;
-    }
     if (!parsed || typeof parsed !== 'object') return null;
     const primary = typeof parsed.primary === 'string' ? parsed.primary.trim() : '';
     const secondary = typeof parsed.secondary === 'string' ? parsed.secondary.trim() : '';
@@ -358,719 +250,11 @@ async function detectGoalsUsingLLM(messageText) {
     if (!out.primary && !out.secondary) return null;
     return out;
   } catch (err) {
-    console.error(
-      '[LongTermMemory] detectGoalsUsingLLM error',
-      err && err.message ? err.message : err
-    );
+    logger.error('detectGoalsUsingLLM error', { err });
     return null;
   }
 }
 
-function extractSemanticFactsFromMessage(messageText) {
-  const raw = String(messageText || '').trim();
-  if (!raw) return [];
-  const text = raw;
-  const lower = raw.toLowerCase();
-  const hasArabic = /[\u0600-\u06FF]/u.test(text);
-  const facts = [];
-
-  function pushFact(kind, value, confidence) {
-    if (!kind || !value) return;
-    const v = String(value || '').trim();
-    if (!v) return;
-    const conf = typeof confidence === 'number' && Number.isFinite(confidence)
-      ? confidence
-      : 0.9;
-    facts.push({ kind, value: v, confidence: conf });
-  }
-
-  function hasNear(haystack, a, b, maxDistance) {
-    if (!haystack || !a || !b) return false;
-    const ia = haystack.indexOf(a);
-    if (ia === -1) return false;
-    const ib = haystack.indexOf(b);
-    if (ib === -1) return false;
-    return Math.abs(ia - ib) <= maxDistance;
-  }
-
-  const seasonTokensEn = {
-    winter: ['winter'],
-    summer: ['summer'],
-    spring: ['spring'],
-    autumn: ['autumn', 'fall'],
-  };
-
-  const seasonTokensAr = {
-    winter: ['شتاء', 'شتوي', 'الجو الشتوي'],
-    summer: ['صيف', 'صيفي', 'الجو الصيفي'],
-    spring: ['ربيع', 'ربيعي'],
-    autumn: ['خريف', 'خريفي'],
-  };
-
-  const weatherTokensEn = {
-    rain: ['rain', 'rainy'],
-    snow: ['snow', 'snowy'],
-    sun: ['sun', 'sunny', 'sunshine'],
-    cold: ['cold', 'chilly', 'cool'],
-    hot: ['hot', 'warm', 'heat'],
-  };
-
-  const weatherTokensAr = {
-    rain: ['مطر', 'المطر', 'أمطار', 'ماطر', 'ماطرة'],
-    snow: ['ثلج', 'الثلج', 'ثلجية'],
-    sun: ['شمس', 'الشمس', 'مشمس'],
-    cold: ['بارد', 'الجو البارد', 'برد'],
-    hot: ['حار', 'الجو الحار', 'حارّة', 'حر'],
-  };
-
-  const petTokensEn = {
-    cats: ['cat', 'cats'],
-    dogs: ['dog', 'dogs'],
-  };
-
-  const petTokensAr = {
-    cats: ['قطة', 'قطط', 'القطط'],
-    dogs: ['كلب', 'كلاب', 'الكلاب'],
-  };
-
-  const hobbyTokensEn = {
-    gaming: ['gaming', 'video games', 'playing games', 'play games', 'play video games'],
-    gym: ['gym', 'go to the gym', 'work out', 'workout', 'lifting weights'],
-    drawing: ['drawing', 'draw', 'sketching', 'sketch'],
-    reading: ['reading', 'read books', 'reading books', 'bookworm'],
-    football: ['football', 'soccer'],
-    basketball: ['basketball'],
-  };
-
-  const hobbyTokensAr = {
-    gaming: ['ألعاب فيديو', 'العاب فيديو', 'ألعاب', 'العاب'],
-    gym: ['الجيم', 'النادي الرياضي', 'نادي رياضي', 'تمرين', 'أتمرن'],
-    drawing: ['رسم', 'أرسم', 'برسم'],
-    reading: ['القراءة', 'أقرأ', 'قراءة الكتب', 'قراءة'],
-    football: ['كرة القدم', 'كرة قدم', 'فوتبول'],
-    basketball: ['كرة السلة'],
-  };
-
-  const likeVerbsEn = ['love', 'like', 'enjoy', 'adore', 'favorite', 'favourite'];
-  const dislikeVerbsEn = ['hate', 'dislike', 'detest'];
-  const likeVerbsAr = ['احب', 'أحب', 'بحب', 'بعشق', 'اعشق', 'أعشق', 'المفضل', 'المفضلة'];
-  const dislikeVerbsAr = ['اكره', 'أكره', 'بكره', 'ما بحب', 'ما احب', 'ما أحب'];
-
-  function detectPrefsFromMap(tokensMapEn, tokensMapAr, kindLike, kindDislike) {
-    const isArabicContext = hasArabic;
-    const srcEn = lower;
-    const srcAr = text;
-    const maxDist = 40;
-    Object.keys(tokensMapEn).forEach((code) => {
-      let liked = false;
-      let disliked = false;
-
-      const enTokens = tokensMapEn[code] || [];
-      for (const token of enTokens) {
-        for (const v of likeVerbsEn) {
-          if (hasNear(srcEn, v, token, maxDist)) {
-            liked = true;
-            break;
-          }
-        }
-        for (const v of dislikeVerbsEn) {
-          if (hasNear(srcEn, v, token, maxDist)) {
-            disliked = true;
-            break;
-          }
-        }
-      }
-
-      if (isArabicContext) {
-        const arTokens = tokensMapAr[code] || [];
-        for (const token of arTokens) {
-          for (const v of likeVerbsAr) {
-            if (hasNear(srcAr, v, token, maxDist)) {
-              liked = true;
-              break;
-            }
-          }
-          for (const v of dislikeVerbsAr) {
-            if (hasNear(srcAr, v, token, maxDist)) {
-              disliked = true;
-              break;
-            }
-          }
-        }
-      }
-
-      if (liked && !disliked) {
-        pushFact(kindLike, code, 0.95);
-      } else if (disliked && !liked) {
-        pushFact(kindDislike, code, 0.95);
-      }
-    });
-  }
-
-  detectPrefsFromMap(seasonTokensEn, seasonTokensAr, 'preference.season.like', 'preference.season.dislike');
-  detectPrefsFromMap(weatherTokensEn, weatherTokensAr, 'preference.weather.like', 'preference.weather.dislike');
-  detectPrefsFromMap(petTokensEn, petTokensAr, 'preference.pets.like', 'preference.pets.dislike');
-  detectPrefsFromMap(hobbyTokensEn, hobbyTokensAr, 'preference.hobby.like', 'preference.hobby.dislike');
-
-  // Additional explicit handling for phrases like:
-  // - "my favorite weather is summer"
-  // - "favorite weather: rainy and cold"
-  // - "my favorite season is winter"
-  // and Arabic equivalents using المفضل/المفضّل.
-  try {
-    const lowerNoPunct = lower.replace(/[.,!?؟،]+/g, ' ');
-
-    function pickFirstFromMaps(maps, src) {
-      for (const map of maps) {
-        const keys = Object.keys(map || {});
-        for (const code of keys) {
-          const tokens = map[code] || [];
-          for (const tok of tokens) {
-            if (tok && src.includes(String(tok).toLowerCase())) {
-              return code;
-            }
-          }
-        }
-      }
-      return null;
-    }
-
-    // English: favorite weather / season
-    if (lower.includes('favorite weather') || lower.includes('favourite weather')) {
-      const primaryCode = pickFirstFromMaps([seasonTokensEn, weatherTokensEn], lowerNoPunct);
-      if (primaryCode) {
-        pushFact('preference.weather.like', primaryCode, 0.97);
-      }
-    }
-    if (lower.includes('favorite season') || lower.includes('favourite season')) {
-      const seasonCode = pickFirstFromMaps([seasonTokensEn], lowerNoPunct);
-      if (seasonCode) {
-        pushFact('preference.season.like', seasonCode, 0.97);
-      }
-    }
-
-    // Arabic: phrases like "جوي المفضل" / "الجو المفضل" / "فصلي المفضل".
-    if (hasArabic) {
-      const favWeatherMarkers = ['جوي المفضل', 'الجو المفضل', 'الجو المفضل عندي'];
-      const favSeasonMarkers = ['فصلي المفضل', 'الفصل المفضل'];
-
-      const hasFavWeather = favWeatherMarkers.some((m) => text.includes(m));
-      const hasFavSeason = favSeasonMarkers.some((m) => text.includes(m));
-
-      if (hasFavWeather) {
-        const primaryCodeAr = pickFirstFromMaps([seasonTokensAr, weatherTokensAr], text);
-        if (primaryCodeAr) {
-          pushFact('preference.weather.like', primaryCodeAr, 0.97);
-        }
-      }
-      if (hasFavSeason) {
-        const seasonCodeAr = pickFirstFromMaps([seasonTokensAr], text);
-        if (seasonCodeAr) {
-          pushFact('preference.season.like', seasonCodeAr, 0.97);
-        }
-      }
-    }
-  } catch (_) {
-    // best-effort only; fall back silently if anything goes wrong
-  }
-
-  // Favorite drink / food preferences (EN + AR), stored as short
-  // preference.drink.like / preference.food.like facts.
-  try {
-    const MAX_PREF_LEN = 40;
-
-    function normalisePreferenceValue(rawVal) {
-      if (!rawVal) return null;
-      let v = String(rawVal)
-        .replace(/["'«»]/g, '')
-        .trim();
-      // Cut at first line break if present.
-      const nlIdx = v.indexOf('\n');
-      if (nlIdx !== -1) {
-        v = v.slice(0, nlIdx).trim();
-      }
-      if (v.length > MAX_PREF_LEN) {
-        v = v.slice(0, MAX_PREF_LEN).trim();
-      }
-      if (v.length < 2) return null;
-      return v.toLowerCase();
-    }
-
-    // --- Favorite drink ---
-    let drinkCandidate = null;
-
-    const pronounValuesEn = ['it', 'this', 'that'];
-    const drinkTokensEn = [
-      'coffee',
-      'tea',
-      'green tea',
-      'black tea',
-      'latte',
-      'cappuccino',
-      'espresso',
-      'americano',
-      'mocha',
-      'hot chocolate',
-      'milk',
-      'juice',
-      'orange juice',
-      'apple juice',
-      'smoothie',
-      'soda',
-      'coke',
-      'pepsi',
-      'water',
-    ];
-    const drinkTokensAr = hasArabic
-      ? ['قهوة', 'نسكافيه', 'شاي', 'لاتيه', 'كابتشينو', 'عصير', 'ماء', 'بيبسي', 'كوكاكولا']
-      : [];
-
-    // Forward English patterns: "my favorite drink is X" or "favorite drink: X".
-    const drinkMatchEn = raw.match(
-      /\bmy favou?rite drink is\s+([^.,!?\n]+)|\bfavou?rite drink\s*[:\-]\s*([^.,!?\n]+)/i
-    );
-    if (drinkMatchEn) {
-      drinkCandidate = (drinkMatchEn[1] || drinkMatchEn[2] || '').trim();
-    }
-
-    // Reverse English pattern: "X is my favorite drink".
-    if (!drinkCandidate) {
-      const drinkMatchEnReverse = raw.match(
-        /([^.,!?\n]{2,40})\s+is\s+my\s+favou?rite\s+drink\b/i
-      );
-      if (drinkMatchEnReverse && drinkMatchEnReverse[1]) {
-        drinkCandidate = drinkMatchEnReverse[1].trim();
-      }
-    }
-
-    // Fallback for shapes like: "I love coffee so much it's my favorite drink".
-    // If we see a favorite/favourite drink phrase but no direct X is/=: pattern,
-    // scan the message for known drink tokens and use the first one found.
-    if (!drinkCandidate) {
-      const hasFavDrinkPhrase =
-        lower.includes('favorite drink') || lower.includes('favourite drink');
-      if (hasFavDrinkPhrase) {
-        let tokenCandidate = null;
-        for (const tok of drinkTokensEn) {
-          const t = String(tok || '').toLowerCase();
-          if (!t) continue;
-          if (lower.includes(t)) {
-            tokenCandidate = tok;
-            break;
-          }
-        }
-
-        if (!tokenCandidate && drinkTokensAr.length) {
-          for (const tok of drinkTokensAr) {
-            if (!tok) continue;
-            if (text.includes(tok)) {
-              tokenCandidate = tok;
-              break;
-            }
-          }
-        }
-
-        if (tokenCandidate) {
-          drinkCandidate = tokenCandidate;
-        }
-      }
-    }
-
-    // Arabic patterns: "مشروبي المفضل هو X" and reverse "X هو/هي مشروبي المفضل".
-    if (!drinkCandidate && hasArabic) {
-      const drinkMatchAr = text.match(
-        /(?:مشروبي المفضل هو|مشروبي المفضّل هو|مشروبي المفضل|مشروبي المفضّل)\s+([^،.!؟\n]+)/u
-      );
-      if (drinkMatchAr && drinkMatchAr[1]) {
-        drinkCandidate = String(drinkMatchAr[1]).trim();
-      }
-    }
-
-    if (!drinkCandidate && hasArabic) {
-      const drinkMatchArReverse = text.match(
-        /([^،.!؟\n]{2,40})\s+(?:هو|هي)\s+(?:مشروبي المفضل|مشروبي المفضّل)/u
-      );
-      if (drinkMatchArReverse && drinkMatchArReverse[1]) {
-        drinkCandidate = String(drinkMatchArReverse[1]).trim();
-      }
-    }
-
-    const normDrink = normalisePreferenceValue(drinkCandidate);
-    if (normDrink && !pronounValuesEn.includes(normDrink)) {
-      pushFact('preference.drink.like', normDrink, 0.96);
-    }
-
-    // --- Favorite food ---
-    let foodCandidate = null;
-
-    const foodMatchEn = raw.match(
-      /\bmy favou?rite food is\s+([^.,!?\n]+)|\bfavou?rite food\s*[:\-]\s*([^.,!?\n]+)/i
-    );
-    if (foodMatchEn) {
-      foodCandidate = (foodMatchEn[1] || foodMatchEn[2] || '').trim();
-    }
-
-    if (!foodCandidate && hasArabic) {
-      const foodMatchAr = text.match(
-        /(?:اكلتي المفضلة|أكلتي المفضلة|اكلتي المفضّلة|أكلتي المفضّلة)\s+([^،.!؟\n]+)/u
-      );
-      if (foodMatchAr && foodMatchAr[1]) {
-        foodCandidate = String(foodMatchAr[1]).trim();
-      }
-    }
-
-    const normFood = normalisePreferenceValue(foodCandidate);
-    if (normFood && !pronounValuesEn.includes(normFood)) {
-      pushFact('preference.food.like', normFood, 0.96);
-    }
-  } catch (_) {
-    // best-effort only
-  }
-
-  // DISABLED: Inferred trait detection - only store explicit user statements
-  // Social style traits like 'introvert' were being inferred from keyword presence.
-  // This caused false positives. Only store if user explicitly says "I am an introvert" etc.
-  // TODO: Re-enable with explicit self-declaration patterns like /i am (an? )?introvert/i
-  /*
-  const socialIntrovertEn = ['introvert', 'introverted'];
-  const socialExtrovertEn = ['extrovert', 'extroverted'];
-  const socialAmbivertEn = ['ambivert'];
-  ... (disabled)
-  */
-
-  // DISABLED: Inferred crowd preference - only store explicit statements
-  // This was inferring "dislikes crowds" from proximity of keywords.
-  // TODO: Re-enable with explicit patterns like "I hate crowds" or "أكره الزحمة"
-  /*
-  const crowdTokensEn = ['crowd', 'crowds', 'crowded'];
-  ... (disabled)
-  */
-
-  // --- Persona: age ---
-  const age = detectAgeFromText(text);
-  if (age) {
-    pushFact('profile.age', age, 0.98);
-  }
-
-  // --- Persona: location (country/city) ---
-  for (const entry of COUNTRY_KEYWORDS) {
-    for (const tok of entry.tokens) {
-      // Use text (not lower) for Arabic matching
-      if (text.includes(tok) || lower.includes(tok.toLowerCase())) {
-        pushFact('profile.location.country', entry.value, 0.95);
-        break;
-      }
-    }
-  }
-  for (const entry of CITY_KEYWORDS) {
-    for (const tok of entry.tokens) {
-      // Use text (not lower) for Arabic matching
-      const matchText = text.includes(tok);
-      const matchLower = lower.includes(tok.toLowerCase());
-      if (matchText || matchLower) {
-        console.log('[LongTermMemory] city_match_found', { city: entry.value, tok, matchText, matchLower });
-        pushFact('profile.location.city', entry.value, 0.95);
-        break;
-      }
-    }
-  }
-  // Debug: log text being checked
-  if (hasArabic) {
-    console.log('[LongTermMemory] city_check_debug', { textSample: text.substring(0, 50), hasArabic });
-  }
-
-  // --- Persona: language primary & dialect ---
-  for (const entry of LANGUAGE_PRIMARY_KEYWORDS) {
-    for (const tok of entry.tokens) {
-      if (text.includes(tok) || lower.includes(tok.toLowerCase())) {
-        pushFact('profile.language.primary', entry.value, 0.9);
-        break;
-      }
-    }
-  }
-  for (const entry of DIALECT_KEYWORDS) {
-    for (const tok of entry.tokens) {
-      if (text.includes(tok) || lower.includes(tok.toLowerCase())) {
-        pushFact('profile.language.dialect', entry.value, 0.9);
-        break;
-      }
-    }
-  }
-
-  // --- Persona: role & domain ---
-  for (const entry of ROLE_KEYWORDS) {
-    for (const tok of entry.tokens) {
-      if (text.includes(tok) || lower.includes(tok.toLowerCase())) {
-        pushFact('profile.role', entry.value, 0.95);
-        break;
-      }
-    }
-  }
-  for (const entry of DOMAIN_KEYWORDS) {
-    for (const tok of entry.tokens) {
-      if (text.includes(tok) || lower.includes(tok.toLowerCase())) {
-        pushFact('profile.domain', entry.value, 0.95);
-        break;
-      }
-    }
-  }
-
-  // --- Persona: job title / field (pattern-based EN + AR) ---
-  try {
-    let jobTitleCandidate = null;
-    let jobFieldCandidate = null;
-
-    // English: "I work as X", "I'm a X", "I work in X".
-    const enJobMatch = lower.match(
-      /\b(i work as|i'm working as|i am working as|i'm a|i am a|i'm an|i am an)\s+([^.,!?\n]{2,60})/i
-    );
-    if (enJobMatch && enJobMatch[2]) {
-      jobTitleCandidate = enJobMatch[2].trim();
-    }
-
-    const enFieldMatch = lower.match(
-      /\b(i work in|i'm working in|i am working in)\s+([^.,!?\n]{2,60})/i
-    );
-    if (enFieldMatch && enFieldMatch[2]) {
-      jobFieldCandidate = enFieldMatch[2].trim();
-    }
-
-    if (hasArabic) {
-      // Arabic: patterns like "أنا أعمل كـ X" or "أعمل في مجال X".
-      const arJobMatch = text.match(
-        /(?:انا أعمل ك|انا اعمل ك|أنا أعمل ك|أنا اعمل ك|اشتغل ك|أشتغل ك|أشتغل كـ|اشتغل كـ)\s*([^،.!؟\n]{2,40})/u
-      );
-      if (arJobMatch && arJobMatch[1]) {
-        const v = String(arJobMatch[1]).trim();
-        if (v) jobTitleCandidate = jobTitleCandidate || v;
-      }
-
-      const arFieldMatch = text.match(
-        /(?:أعمل في مجال|اعمل في مجال|أشتغل في مجال|اشتغل في مجال)\s+([^،.!؟\n]{2,40})/u
-      );
-      if (arFieldMatch && arFieldMatch[1]) {
-        const v = String(arFieldMatch[1]).trim();
-        if (v) jobFieldCandidate = jobFieldCandidate || v;
-      }
-    }
-
-    const normaliseJob = (val) => {
-      if (!val) return null;
-      let v = String(val)
-        .replace(/^["'«»]+|["'«»]+$/gu, '')
-        .trim();
-      if (!v) return null;
-      if (v.length > 60) v = v.slice(0, 60).trim();
-      if (v.length < 2) return null;
-      return v;
-    };
-
-    const normJobTitle = normaliseJob(jobTitleCandidate);
-    const normJobField = normaliseJob(jobFieldCandidate);
-
-    if (normJobTitle) {
-      pushFact('profile.job.title', normJobTitle, 0.94);
-    }
-    if (normJobField) {
-      pushFact('profile.job.field', normJobField, 0.94);
-    }
-  } catch (_) {
-    // best-effort only
-  }
-
-  // DISABLED: Inferred theme detection - only store explicit user statements
-  // These were inferring themes like "experiences stress related to work" from keyword presence.
-  // This caused false positives. Theme storage should only happen with explicit user statements.
-  // TODO: Re-enable with explicit patterns like "I'm stressed about work" or "الشغل متعبني"
-  /*
-  for (const entry of HEALTH_KEYWORDS) { ... }
-  for (const entry of ACADEMIC_KEYWORDS) { ... }
-  for (const entry of FAMILY_KEYWORDS) { ... }
-  for (const entry of WORK_KEYWORDS) { ... }
-  */
-
-  // --- Persona: stable mental traits (pattern-based EN + AR) ---
-  try {
-    const mentalLabels = [];
-
-    const MENTAL_TRAIT_TOKENS_EN = [
-      { token: 'anxious', label: 'long-term anxiety' },
-      { token: 'anxiety', label: 'long-term anxiety' },
-      { token: 'depressed', label: 'long-term depression' },
-      { token: 'depression', label: 'long-term depression' },
-      { token: 'numb', label: 'feeling emotionally numb for a long time' },
-      { token: 'empty', label: 'feeling emotionally empty for a long time' },
-      { token: 'stressed', label: 'long-term stress' },
-      { token: 'burnt out', label: 'long-term burnout' },
-      { token: 'burned out', label: 'long-term burnout' },
-    ];
-
-    const STABILITY_CUES_EN = [
-      'for years',
-      'for a long time',
-      'for so long',
-      'for months',
-      'for months now',
-      'since i was a kid',
-      'since childhood',
-      'since i was a child',
-      'since i was little',
-      'most of my life',
-      'all my life',
-      'always',
-      'constantly',
-      'all the time',
-    ];
-
-    for (const entry of MENTAL_TRAIT_TOKENS_EN) {
-      for (const cue of STABILITY_CUES_EN) {
-        if (hasNear(lower, entry.token, cue, 80)) {
-          if (!mentalLabels.includes(entry.label)) {
-            mentalLabels.push(entry.label);
-          }
-          break;
-        }
-      }
-    }
-
-    if (hasArabic) {
-      const MENTAL_TRAIT_TOKENS_AR = [
-        { token: 'قلق', label: 'قلق مزمن' },
-        { token: 'اكتئاب', label: 'اكتئاب مزمن' },
-        { token: 'مكتئب', label: 'اكتئاب مزمن' },
-        { token: 'تعبان نفسياً', label: 'تعب نفسي مستمر' },
-        { token: 'تعبان نفسيا', label: 'تعب نفسي مستمر' },
-      ];
-
-      const STABILITY_CUES_AR = [
-        'منذ سنوات',
-        'منذ سنين',
-        'من زمان',
-        'من فترة طويلة',
-        'من فتره طويله',
-        'طول الوقت',
-        'دايمًا',
-        'دائماً',
-        'دائما',
-        'على طول',
-        'أغلب حياتي',
-        'اغلب حياتي',
-      ];
-
-      for (const entry of MENTAL_TRAIT_TOKENS_AR) {
-        for (const cue of STABILITY_CUES_AR) {
-          if (hasNear(text, entry.token, cue, 80)) {
-            if (!mentalLabels.includes(entry.label)) {
-              mentalLabels.push(entry.label);
-            }
-            break;
-          }
-        }
-      }
-    }
-
-    if (mentalLabels.length) {
-      const main = mentalLabels[0];
-      pushFact('trait.mental.main', main, 0.95);
-      if (mentalLabels.length > 1) {
-        const secondary = mentalLabels[1];
-        if (secondary && secondary !== main) {
-          pushFact('trait.mental.secondary', secondary, 0.9);
-        }
-      }
-    }
-  } catch (_) {
-    // best-effort only
-  }
-
-  // --- Persona: personality keywords ---
-  const personalityValues = [];
-  for (const p of PERSONALITY_TOKENS) {
-    if (lower.includes(p.match.toLowerCase()) && !personalityValues.includes(p.value)) {
-      personalityValues.push(p.value);
-    }
-  }
-  if (personalityValues.length) {
-    pushFact('trait.personality.keywords', personalityValues.join(', '), 0.9);
-  }
-
-  // --- Persona: coping style ---
-  for (const c of COPING_TOKENS) {
-    for (const tok of c.tokens) {
-      if (lower.includes(tok.toLowerCase())) {
-        pushFact('trait.coping.style', c.value, 0.9);
-        break;
-      }
-    }
-  }
-
-  // --- EXPLICIT: Name extraction ("My name is X") ---
-  try {
-    const nameMatch = lower.match(/\b(?:my name is|i am called|call me|i'm|i am)\s+([a-z]{2,32})\b/i);
-    if (nameMatch && nameMatch[1]) {
-      const nameCand = nameMatch[1].trim();
-      const banned = ['a', 'an', 'the', 'not', 'very', 'so', 'really', 'just', 'here', 'there', 'building', 'working', 'going', 'doing', 'feeling', 'sad', 'happy', 'tired', 'fine', 'good', 'bad', 'ok', 'okay'];
-      if (!banned.includes(nameCand.toLowerCase()) && nameCand.length >= 2) {
-        pushFact('identity.name', nameCand.charAt(0).toUpperCase() + nameCand.slice(1), 0.98);
-      }
-    }
-  } catch (_) {}
-
-  // --- EXPLICIT: Location ("I live in X") ---
-  try {
-    const liveMatch = lower.match(/\b(?:i live in|i'm from|i am from|living in|based in)\s+([a-z]{2,32})\b/i);
-    if (liveMatch && liveMatch[1]) {
-      const city = liveMatch[1].trim();
-      const cityProper = city.charAt(0).toUpperCase() + city.slice(1);
-      pushFact('profile.location.city', cityProper, 0.95);
-    }
-  } catch (_) {}
-
-  // --- EXPLICIT: Drink preference ("I love coffee", "I hate tea") ---
-  try {
-    const drinks = ['coffee', 'tea', 'water', 'juice', 'milk', 'soda', 'latte', 'espresso', 'cappuccino', 'mocha'];
-    for (const drink of drinks) {
-      if (lower.includes('love ' + drink) || lower.includes('like ' + drink) || lower.includes('enjoy ' + drink)) {
-        pushFact('preference.drink.like', drink, 0.95);
-      }
-      if (lower.includes('hate ' + drink) || lower.includes('dislike ' + drink)) {
-        pushFact('preference.drink.dislike', drink, 0.95);
-      }
-    }
-  } catch (_) {}
-
-  // --- EXPLICIT: Weather preference ("I love/hate hot/cold weather") ---
-  try {
-    const weatherTypes = ['hot', 'cold', 'rainy', 'sunny', 'snowy', 'warm', 'cool'];
-    for (const wt of weatherTypes) {
-      if (lower.includes('love ' + wt + ' weather') || lower.includes('like ' + wt + ' weather')) {
-        pushFact('preference.weather.like', wt, 0.95);
-      }
-      if (lower.includes('hate ' + wt + ' weather') || lower.includes('dislike ' + wt + ' weather')) {
-        pushFact('preference.weather.dislike', wt, 0.95);
-      }
-    }
-  } catch (_) {}
-
-  // --- EXPLICIT: Dream/Goal ("My dream is X", "My goal is X") ---
-  try {
-    const dreamMatch = raw.match(/\b(?:my dream is to|my goal is to|i dream of|i want to)\s+([^.!?]{5,80})/i);
-    if (dreamMatch && dreamMatch[1]) {
-      pushFact('goal.long_term', dreamMatch[1].trim(), 0.95);
-    }
-  } catch (_) {}
-
-  // Instrumentation: log extracted facts
-  const extractedKinds = facts.map(f => f.kind);
-  console.log('[LongTermMemory] extractSemanticFacts RESULT', {
-    extractedFactsCount: facts.length,
-    extractedKinds,
-    textSample: text.substring(0, 50),
-  });
-
-  return facts;
-}
-
 /**
  * Update long-term emotional profile for a user.
  *
@@ -1103,7 +287,7 @@ async function updateLongTerm(userId, event, outcome) {
 
   // AUDIT 2.4: Skip storing if message contains credentials
   if (event.messageText && containsCredentials(event.messageText)) {
-    console.log('[MemoryKernel] Skipping long-term storage: credential-like content detected');
+    logger.info('Skipping long-term storage: credential-like content detected');
     return;
   }
 
@@ -1230,24 +414,36 @@ async function updateLongTerm(userId, event, outcome) {
     }
   }
 
+  // Memory mode gates fact extraction: LIGHT stores no facts at all,
+  // RICH additionally lets the LLM detect names and goals.
+  const memoryMode = normalizeMemoryMode(profile && profile.memoryMode);
+  const extractFacts = memoryMode !== 'LIGHT';
+  const useLLMDetection = memoryMode === 'RICH';
+
   // NEW: best-effort identity (name) detection and persistence to UserMemoryFact.
-  if (messageText) {
+  if (messageText && extractFacts) {
     try {
       let detectedName = detectNameByPattern(messageText);
-      if (!detectedName) {
+      if (!detectedName && useLLMDetection) {
         detectedName = await detectNameUsingLLM(messageText);
       }
       if (detectedName) {
         const kind = 'identity.name';
         const existing = await prisma.userMemoryFact.findFirst({
           where: { userId, kind },
-          select: { id: true },
+          select: { id: true, isPinned: true },
         });
 
         const isArabicName = /[\u0600-\u06FF]/u.test(detectedName);
         const isLatinName = /[A-Za-z]/.test(detectedName);
 
-        if (existing && existing.id) {
+        if (existing && existing.isPinned) {
+          // Pinned by the user in Settings; the extractor never overwrites it.
+          logger.debug('identity.name skipped_pinned', {
+            userId,
+            sourceMessageId: event.messageId || null,
+          });
+        } else if (existing && existing.id) {
           await prisma.userMemoryFact.update({
             where: { id: existing.id },
             data: {
@@ -1256,7 +452,7 @@ async function updateLongTerm(userId, event, outcome) {
               sourceMessageId: event.messageId || null,
             },
           });
-          console.log('[LongTermMemory] identity.name updated', {
+          logger.debug('identity.name updated', {
             userId,
             hasName: true,
             sourceMessageId: event.messageId || null,
@@ -1275,7 +471,7 @@ async function updateLongTerm(userId, event, outcome) {
               sourceMessageId: event.messageId || null,
             },
           });
-          console.log('[LongTermMemory] identity.name updated', {
+          logger.debug('identity.name updated', {
             userId,
             hasName: true,
             sourceMessageId: event.messageId || null,
@@ -1285,32 +481,29 @@ async function updateLongTerm(userId, event, outcome) {
             mode: 'create',
           });
         }
-        console.log('[LongTermMemory] identity.name upserted', {
+        logger.debug('identity.name upserted', {
           userId,
-          value: detectedName,
+          nameLength: detectedName.length,
           sourceMessageId: event.messageId || null,
         });
       } else {
-        console.log('[LongTermMemory] identity.name detection_skipped_or_rejected', {
+        logger.debug('identity.name detection_skipped_or_rejected', {
           userId,
           hasMessage: true,
           sourceMessageId: event.messageId || null,
         });
       }
     } catch (err) {
-      console.error(
-        '[LongTermMemory] identity.name update error',
-        err && err.message ? err.message : err
-      );
+      logger.error('identity.name update error', { err });
     }
   }
 
-  if (messageText) {
+  if (messageText && extractFacts) {
     try {
       // Long-term goal extraction via LLM (English + Arabic), mapped into
-      // goal.long_term and profile.goal.primary / secondary.
+      // goal.long_term and profile.goal.primary / secondary. RICH mode only.
       try {
-        const goals = await detectGoalsUsingLLM(messageText);
+        const goals = useLLMDetection ? await detectGoalsUsingLLM(messageText) : null;
         if (goals && (goals.primary || goals.secondary)) {
           const primary = goals.primary && goals.primary.trim ? goals.primary.trim() : goals.primary || '';
           const secondary = goals.secondary && goals.secondary.trim ? goals.secondary.trim() : goals.secondary || '';
@@ -1324,8 +517,9 @@ async function updateLongTerm(userId, event, outcome) {
             try {
               let existingGoal = await prisma.userMemoryFact.findFirst({
                 where: { userId, kind },
-                select: { id: true },
+                select: { id: true, isPinned: true },
               });
+              if (existingGoal && existingGoal.isPinned) return;
               const data = {
                 userId,
                 kind,
@@ -1339,10 +533,7 @@ async function updateLongTerm(userId, event, outcome) {
                 await prisma.userMemoryFact.create({ data });
               }
             } catch (goalErr) {
-              console.error(
-                '[LongTermMemory] long_term_goal upsert error',
-                goalErr && goalErr.message ? goalErr.message : goalErr
-              );
+              logger.error('long_term_goal upsert error', { err: goalErr });
             }
           };
 
@@ -1357,7 +548,7 @@ async function updateLongTerm(userId, event, outcome) {
           }
 
           try {
-            console.log('[LongTermMemory] goal_long_term_upserted', {
+            logger.debug('goal_long_term_upserted', {
               userId,
               hasPrimary: !!primary,
               hasSecondary: !!secondary,
@@ -1367,15 +558,12 @@ async function updateLongTerm(userId, event, outcome) {
           } catch (_) {}
         }
       } catch (goalOuterErr) {
-        console.error(
-          '[LongTermMemory] detectGoalsUsingLLM outer error',
-          goalOuterErr && goalOuterErr.message ? goalOuterErr.message : goalOuterErr
-        );
+        logger.error('detectGoalsUsingLLM outer error', { err: goalOuterErr });
       }
 
       const semanticFacts = extractSemanticFactsFromMessage(messageText);
       const extractedKinds = Array.isArray(semanticFacts) ? semanticFacts.map(f => f.kind) : [];
-      console.log('[LongTermMemory] extractSemanticFactsFromMessage result', {
+      logger.debug('extractSemanticFactsFromMessage result', {
         userId,
         messageLength: messageText.length,
         extractedFactsCount: Array.isArray(semanticFacts) ? semanticFacts.length : 0,
@@ -1406,12 +594,17 @@ async function updateLongTerm(userId, event, outcome) {
             try {
               existingPersonaFact = await prisma.userMemoryFact.findFirst({
                 where: { userId, kind },
-                select: { id: true },
+                select: { id: true, isPinned: true },
               });
             } catch (_) {
               existingPersonaFact = null;
             }
 
+            if (existingPersonaFact && existingPersonaFact.isPinned) {
+              logger.debug('persona_fact_skipped_pinned', { userId, kind });
+              continue;
+            }
+
             if (existingPersonaFact && existingPersonaFact.id) {
               await prisma.userMemoryFact.update({
                 where: { id: existingPersonaFact.id },
@@ -1422,24 +615,30 @@ async function updateLongTerm(userId, event, outcome) {
             }
 
             upsertedFactsCount++;
-            console.log('[LongTermMemory] persona_fact_upserted', {
+            logger.debug('persona_fact_upserted', {
               userId,
               kind,
-              value,
               sourceMessageId: event.messageId || null,
             });
           } else {
             // Preference-style facts can have multiple values per kind.
             let existingFact = null;
             try {
-              existingFact = await prisma.userMemoryFact.findFirst({
-                where: { userId, kind, value },
-                select: { id: true },
+              // UserMemoryFact.value is encrypted at rest, so it cannot be
+              // matched in the WHERE clause; compare the decrypted values.
+              const sameKind = await prisma.userMemoryFact.findMany({
+                where: { userId, kind },
+                select: { id: true, value: true, isPinned: true },
               });
+              existingFact = sameKind.find((f) => f.value === value) || null;
             } catch (_) {
               existingFact = null;
             }
 
+            if (existingFact && existingFact.isPinned) {
+              continue;
+            }
+
             if (existingFact && existingFact.id) {
               await prisma.userMemoryFact.update({
                 where: { id: existingFact.id },
@@ -1454,10 +653,9 @@ async function updateLongTerm(userId, event, outcome) {
             // never for persona/profile singleton facts.
             if (kind.startsWith('preference.') || kind === 'trait.social.style') {
               try {
-                console.log('[LongTermMemory] preference_fact_upserted', {
+                logger.debug('preference_fact_upserted', {
                   userId,
                   kind,
-                  value,
                   sourceMessageId: event.messageId || null,
                 });
               } catch (_) {}
@@ -1465,7 +663,7 @@ async function updateLongTerm(userId, event, outcome) {
           }
         }
         // Final instrumentation log
-        console.log('[LongTermMemory] FACTS_WRITE_COMPLETE', {
+        logger.debug('FACTS_WRITE_COMPLETE', {
           userId,
           extractedFactsCount: semanticFacts.length,
           upsertedFactsCount,
@@ -1474,14 +672,11 @@ async function updateLongTerm(userId, event, outcome) {
         // Invalidate persona snapshot cache so next request gets fresh facts
         try {
           clearCachedValue(`personaSnapshot:${userId}`);
-          console.log('[LongTermMemory] persona_cache_invalidated', { userId });
+          logger.debug('persona_cache_invalidated', { userId });
         } catch (_) {}
       }
     } catch (err) {
-      console.error(
-        '[LongTermMemory] semantic preferences update error',
-        err && err.message ? err.message : err
-      );
+      logger.error('semantic preferences update error', { err });
     }
   }
 
@@ -1540,5 +735,6 @@ async function updateLongTerm(userId, event, outcome) {
 
 module.exports = {
   updateLongTerm,
+  extractSemanticFactsFromMessage,
 };
 
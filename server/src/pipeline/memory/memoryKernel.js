@@ -7,6 +7,8 @@
 const prisma = require('../../prisma');
 const { updateShortTerm } = require('./shortTerm');
 const { updateLongTerm } = require('./longTerm');
+const { getUserMemoryMode } = require('./memoryMode');
+const logger = require('../../utils/logger').child({ component: 'MemoryKernel' });
 
 /**
  * @typedef {Object} MemoryEvent
@@ -51,7 +53,7 @@ async function recordEvent(event) {
       },
     });
   } catch (err) {
-    console.error('[MemoryKernel] Failed to enrich MessageEmotion', err && err.message ? err.message : err);
+    logger.error('Failed to enrich MessageEmotion', { err });
   }
 
   // Short-term: rolling window per conversation
@@ -62,7 +64,7 @@ async function recordEvent(event) {
       topics,
     });
   } catch (err) {
-    console.error('[MemoryKernel] updateShortTerm error', err && err.message ? err.message : err);
+    logger.error('updateShortTerm error', { err });
   }
 
   // Long-term: user profile & patterns (best effort)
@@ -73,7 +75,7 @@ async function recordEvent(event) {
       ...(shortSummary || {}),
     }, event.outcome || null);
   } catch (err) {
-    console.error('[MemoryKernel] updateLongTerm error', err && err.message ? err.message : err);
+    logger.error('updateLongTerm error', { err });
   }
 }
 
@@ -101,7 +103,7 @@ async function getIdentityMemory({ userId }) {
         // In some environments the generated Prisma client may be stale and not
         // yet include the UserMemoryFact delegate. Fall back to a raw query
         // against the underlying table so semantic memory still works.
-        console.error('[MemoryKernel] getIdentityMemory fact model missing on prisma client; using raw query fallback');
+        logger.error('getIdentityMemory fact model missing on prisma client; using raw query fallback');
 
         try {
           const rows = await prisma.$queryRaw`
@@ -115,10 +117,7 @@ async function getIdentityMemory({ userId }) {
             fact = rows[0];
           }
         } catch (rawErr) {
-          console.error(
-            '[MemoryKernel] getIdentityMemory raw fact query error',
-            rawErr && rawErr.message ? rawErr.message : rawErr
-          );
+          logger.error('getIdentityMemory raw fact query error', { err: rawErr });
         }
       } else {
         fact = await model.findFirst({
@@ -161,10 +160,7 @@ async function getIdentityMemory({ userId }) {
         }
       }
     } catch (err) {
-      console.error(
-        '[MemoryKernel] getIdentityMemory fact query error',
-        err && err.message ? err.message : err
-      );
+      logger.error('getIdentityMemory fact query error', { err });
     }
 
     // --- 2) Fallback: account-level name only if no semantic fact was usable ---
@@ -186,20 +182,14 @@ async function getIdentityMemory({ userId }) {
           }
         }
       } catch (err) {
-        console.error(
-          '[MemoryKernel] getIdentityMemory user fallback error',
-          err && err.message ? err.message : err
-        );
+        logger.error('getIdentityMemory user fallback error', { err });
       }
     }
   } catch (err) {
-    console.error(
-      '[MemoryKernel] getIdentityMemory error',
-      err && err.message ? err.message : err
-    );
+    logger.error('getIdentityMemory error', { err });
   }
 
-  console.log('[MemoryKernel] getIdentityMemory', {
+  logger.debug('getIdentityMemory', {
     userId: uid,
     hasName: !!result,
     source: result && result.source ? result.source : null,
@@ -227,11 +217,14 @@ async function getPersonaSnapshot({ userId }) {
   }
   const uid = Number(userId);
 
+  // LIGHT memory mode: the user opted out of persona facts in prompts.
+  if ((await getUserMemoryMode(uid)) === 'LIGHT') {
+    return { facts: {}, summaryLinesEn: [], summaryLinesAr: [] };
+  }
+
   const model = prisma && prisma.userMemoryFact;
   if (!model || typeof model.findMany !== 'function') {
-    console.error(
-      '[MemoryKernel] getPersonaSnapshot: userMemoryFact delegate missing on prisma client'
-    );
+    logger.error('getPersonaSnapshot: userMemoryFact delegate missing on prisma client');
     return { facts: {}, summaryLinesEn: [], summaryLinesAr: [] };
   }
 
@@ -283,10 +276,7 @@ async function getPersonaSnapshot({ userId }) {
       take: 96,
     });
   } catch (err) {
-    console.error(
-      '[MemoryKernel] getPersonaSnapshot fact query error',
-      err && err.message ? err.message : err
-    );
+    logger.error('getPersonaSnapshot fact query error', { err });
     return { facts: {}, summaryLinesEn: [], summaryLinesAr: [] };
   }
 
@@ -566,7 +556,7 @@ async function getPersonaSnapshot({ userId }) {
     summaryLinesAr.length = 6;
   }
 
-  console.log('[MemoryKernel] getPersonaSnapshot', {
+  logger.debug('getPersonaSnapshot', {
     userId: uid,
     factCount: rows.length,
     hasProfile: !!(
@@ -0,0 +1,88 @@
+// server/src/pipeline/memory/memoryMode.js
+// Per-user memory depth (UserEmotionProfile.memoryMode).
+//
+//   LIGHT    - emotion statistics only. No facts are extracted from messages
+//              and no persona snapshot is built for prompts.
+//   STANDARD - default. Facts the user states directly (pattern-based
+//              extraction) feed the persona snapshot.
+//   RICH     - STANDARD plus LLM-assisted name/goal detection and a longer
+//              window of recent messages sent with each reply.
+
+const prisma = require('../../prisma');
+const { getCachedValue, clearCachedValue } = require('../../utils/ttlCache');
+const logger = require('../../utils/logger').child({ component: 'MemoryMode' });
+
+const MEMORY_MODES = ['LIGHT', 'STANDARD', 'RICH'];
+const DEFAULT_MEMORY_MODE = 'STANDARD';
+
+const MEMORY_MODE_TTL_MS = 60 * 1000;
+
+function normalizeMemoryMode(value) {
+  const mode = String(value || '').trim().toUpperCase();
+  return MEMORY_MODES.includes(mode) ? mode : DEFAULT_MEMORY_MODE;
+}
+
+function memoryModeCacheKey(userId) {
+  return `memoryMode:${userId}`;
+}
+
+/**
+ * Current memory mode for a user. Cached briefly because it is read on
+ * every chat turn; setUserMemoryMode() clears the cache.
+ *
+ * @param {number} userId
+ * @returns {Promise<'LIGHT'|'STANDARD'|'RICH'>}
+ */
+async function getUserMemoryMode(userId) {
+  const uid = Number(userId);
+  if (!uid || !Number.isFinite(uid)) return DEFAULT_MEMORY_MODE;
+
+  try {
+    const res = await getCachedValue(memoryModeCacheKey(uid), MEMORY_MODE_TTL_MS, async () => {
+      const profile = await prisma.userEmotionProfile.findUnique({
+        where: { userId: uid },
+        select: { memoryMode: true },
+      });
+      return normalizeMemoryMode(profile && profile.memoryMode);
+    });
+    return normalizeMemoryMode(res.value);
+  } catch (err) {
+    logger.error('load error', { err });
+    return DEFAULT_MEMORY_MODE;
+  }
+}
+
+/**
+ * Persist a new memory mode and drop caches that depend on it.
+ *
+ * @param {number} userId
+ * @param {'LIGHT'|'STANDARD'|'RICH'} mode
+ * @returns {Promise<'LIGHT'|'STANDARD'|'RICH'>}
+ */
+async function setUserMemoryMode(userId, mode) {
+  const uid = Number(userId);
+  const memoryMode = normalizeMemoryMode(mode);
+
+  await prisma.userEmotionProfile.upsert({
+    where: { userId: uid },
+    create: { userId: uid, memoryMode },
+    update: { memoryMode },
+  });
+
+  clearCachedValue(memoryModeCacheKey(uid));
+  clearCachedValue(`personaSnapshot:${uid}`);
+  return memoryMode;
+}
+
+function isValidMemoryMode(value) {
+  return typeof value === 'string' && MEMORY_MODES.includes(value);
+}
+
+module.exports = {
+  MEMORY_MODES,
+  DEFAULT_MEMORY_MODE,
+  normalizeMemoryMode,
+  isValidMemoryMode,
+  getUserMemoryMode,
+  setUserMemoryMode,
+};
@@ -2,6 +2,7 @@
 // Short-term emotional memory (per-conversation rolling window)
 
 const prisma = require('../../prisma');
+const logger = require('../../utils/logger').child({ component: 'ShortTerm' });
 
 const DEFAULT_WINDOW_SIZE = 20;
 
@@ -88,7 +89,7 @@ async function updateShortTerm(conversationId, event) {
       },
     });
   } catch (err) {
-    console.error('[ShortTerm] Failed to update MessageEmotion with trend', err && err.message ? err.message : err);
+    logger.error('Failed to update MessageEmotion with trend', { err });
   }
 
   // Build rolling window over recent messages in this conversation.
@@ -225,7 +226,7 @@ async function updateShortTerm(conversationId, event) {
       },
     });
   } catch (err) {
-    console.error('[ShortTerm] Failed to update ConversationEmotionState', err && err.message ? err.message : err);
+    logger.error('Failed to update ConversationEmotionState', { err });
   }
 
   return {
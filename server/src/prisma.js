@@ -1,5 +1,19 @@
 const { PrismaClient } = require('@prisma/client');
-const { encryptMessage, decryptMessage } = require('./utils/crypto');
+const { encryptText, decryptText, isEncrypted } = require('./utils/crypto');
+const { buildSearchTokenHashes } = require('./utils/searchIndex');
+const logger = require('./utils/logger').child({ component: 'Prisma' });
+
+// Free-text columns that hold user content and are encrypted at rest,
+// keyed by Prisma model name. Equality/contains filters on these columns
+// cannot work (ciphertext is randomized); compare in application code.
+const ENCRYPTED_FIELDS = {
+  Message: ['content'],
+  UserMemoryFact: ['value'],
+  MirrorSession: ['summaryText'],
+  MessageEmotion: ['notes'],
+  Conversation: ['summary'],
+};
+const ENCRYPTED_FIELD_NAMES = new Set(Object.values(ENCRYPTED_FIELDS).flat());
 
 let prisma;
 
@@ -10,36 +24,59 @@ let prisma;
 if (!global._asrarPrisma) {
   const client = new PrismaClient();
 
-  // Prisma middleware: transparently encrypt/decrypt Message.content.
-  // - On writes to the Message model, content is encrypted before hitting the DB.
-  // - On reads from any model, any field named `content` that looks like an
-  //   encrypted payload is decrypted back into plain text.
+  // Prisma middleware: transparently encrypt/decrypt sensitive free-text
+  // columns (see ENCRYPTED_FIELDS).
+  // - On writes to those models, the fields are encrypted before hitting the DB.
+  // - On reads from any model, any field with one of those names that looks
+  //   like an encrypted payload is decrypted back into plain text.
   client.$use(async (params, next) => {
-    // Encrypt Message.content on write
-    if (params.model === 'Message') {
+    // Plaintext captured before encryption so the blind search index can be
+    // refreshed once the row exists.
+    let indexText = null;
+
+    const fields = ENCRYPTED_FIELDS[params.model];
+    if (fields && params.args) {
       const action = params.action;
+      const args = params.args;
 
-      if (action === 'create' || action === 'update' || action === 'upsert') {
-        if (params.args && params.args.data) {
-          params.args.data = encryptMessageContent(params.args.data);
+      if (action === 'create' || action === 'update') {
+        if (args.data) {
+          if (params.model === 'Message') indexText = getIndexableContent(args.data);
+          args.data = encryptFields(args.data, fields);
         }
+      } else if (action === 'upsert') {
+        if (args.create) args.create = encryptFields(args.create, fields);
+        if (args.update) args.update = encryptFields(args.update, fields);
       } else if (action === 'createMany') {
-        if (params.args && Array.isArray(params.args.data)) {
-          params.args.data = params.args.data.map((row) => encryptMessageContent(row));
+        if (Array.isArray(args.data)) {
+          args.data = args.data.map((row) => encryptFields(row, fields));
         }
       } else if (action === 'updateMany') {
-        if (params.args && params.args.data) {
-          params.args.data = encryptMessageContent(params.args.data);
+        if (args.data) {
+          args.data = encryptFields(args.data, fields);
         }
       }
     }
 
     const result = await next(params);
 
-    // Decrypt Message.content on read (including nested relations such as
+    if (indexText !== null && result && result.id && result.userId) {
+      // Fire-and-forget: search indexing must never fail or slow down the
+      // chat write itself.
+      refreshMessageSearchIndex(client, {
+        messageId: result.id,
+        userId: result.userId,
+        text: indexText,
+        replace: params.action !== 'create',
+      }).catch((err) => {
+        logger.error('search index update failed', { messageId: result.id, err });
+      });
+    }
+
+    // Decrypt on read (including nested relations such as
     // Conversation.include({ messages: { select: { content: true } } })).
     if (result == null) return result;
-    return decryptMessageContentDeep(result);
+    return decryptFieldsDeep(result);
   });
 
   global._asrarPrisma = client;
@@ -48,58 +85,70 @@ prisma = global._asrarPrisma;
 
 module.exports = prisma;
 
-function encryptMessageContent(data) {
+function encryptFields(data, fields) {
   if (!data || typeof data !== 'object') return data;
 
   // Shallow clone so we don't mutate caller-owned objects.
   const copy = { ...data };
 
-  if (typeof copy.content === 'string' && copy.content) {
-    // Avoid double-encrypting rows that are already in the enc:: format.
-    if (!copy.content.startsWith('enc::')) {
-      try {
-        copy.content = encryptMessage(copy.content);
-      } catch (err) {
-        // Do not log plaintext. Propagate so callers can fail fast.
-        throw err;
-      }
+  for (const field of fields) {
+    const value = copy[field];
+    // Avoid double-encrypting values that are already in an enc: format.
+    if (typeof value === 'string' && value && !isEncrypted(value)) {
+      // Do not log plaintext on failure. Propagate so callers can fail fast.
+      copy[field] = encryptText(value);
     }
   }
 
   return copy;
 }
 
-function decryptMessageContentDeep(value) {
+function getIndexableContent(data) {
+  if (!data || typeof data.content !== 'string') return null;
+  // Already-encrypted payloads are copied rows, not new text.
+  if (isEncrypted(data.content)) return null;
+  return data.content;
+}
+
+async function refreshMessageSearchIndex(client, { messageId, userId, text, replace }) {
+  if (replace) {
+    await client.messageSearchToken.deleteMany({ where: { messageId } });
+  }
+  const hashes = buildSearchTokenHashes(text);
+  if (!hashes.length) return;
+  await client.messageSearchToken.createMany({
+    data: hashes.map((tokenHash) => ({ messageId, userId, tokenHash })),
+    skipDuplicates: true,
+  });
+}
+
+function decryptFieldsDeep(value) {
   if (value == null) return value;
 
   if (Array.isArray(value)) {
     for (let i = 0; i < value.length; i += 1) {
-      value[i] = decryptMessageContentDeep(value[i]);
+      value[i] = decryptFieldsDeep(value[i]);
     }
     return value;
   }
 
   if (typeof value === 'object') {
-    // If this object has a `content` field, try to decrypt it. The helper is
-    // backward compatible: legacy plain text (no enc:: prefix) is returned
-    // as-is without requiring the key or throwing.
-    if (typeof value.content === 'string') {
-      try {
-        value.content = decryptMessage(value.content);
-      } catch (err) {
-        // On decryption failure, keep the stored value so callers still receive
-        // something, and only log a non-sensitive error message.
-        console.error(
-          '[Prisma][MessageEncryption] Failed to decrypt message content:',
-          err && err.message ? err.message : err
-        );
-      }
-    }
+    if (value instanceof Date || Buffer.isBuffer(value)) return value;
 
     for (const key of Object.keys(value)) {
       const child = value[key];
-      if (child && (typeof child === 'object' || Array.isArray(child))) {
-        value[key] = decryptMessageContentDeep(child);
+      // Only payloads carrying the enc: marker are touched; legacy plain text
+      // (and unrelated fields that share a name, e.g. JSON notes) pass through.
+      if (ENCRYPTED_FIELD_NAMES.has(key) && isEncrypted(child)) {
+        try {
+          value[key] = decryptText(child);
+        } catch (err) {
+          // On decryption failure, keep the stored value so callers still receive
+          // something, and only log a non-sensitive error message.
+          logger.error('failed to decrypt field', { field: key, err });
+        }
+      } else if (child && typeof child === 'object') {
+        value[key] = decryptFieldsDeep(child);
       }
     }
 
@@ -2,30 +2,54 @@
 
 const express = require('express');
 const prisma = require('../prisma');
-const { getPlanLimits } = require('../config/limits');
+const { getPlanLimits, effectivePlan } = require('../config/limits');
 const requireAuth = require('../middleware/requireAuth');
 const requireAdmin = require('../middleware/requireAdmin');
-const { isAdminEmail } = require('../middleware/requireAdmin');
+const { requirePermission } = require('../middleware/requireAdmin');
+const { PERMISSIONS, ROLE_PERMISSIONS, hasPermission } = require('../config/roles');
+const { auditAdminRequests, listAdminActions } = require('../services/adminAuditService');
+const { RoleError, setUserRole, listRoleHolders } = require('../services/roleService');
+const {
+  AdminUserError,
+  assertOutranks,
+  setPlanOverride,
+  extendPlanOverride,
+  clearPlanOverride,
+  grantBonusMessages,
+  resetUsage,
+  suspendUser,
+  unsuspendUser,
+  forceLogout,
+  deleteUser,
+} = require('../services/adminUserService');
+const { AccountDeletionError } = require('../services/accountDeletionService');
+const { runRetention } = require('../services/retentionService');
+const { getRetentionBounds } = require('../config/retention');
+const {
+  summarizeUsage,
+  topUsersByCost,
+  getMonthlyCostUsd,
+  resolveCostCeiling,
+} = require('../services/llmUsageService');
+const { startOfMonth } = require('../services/usageService');
 const router = express.Router();
 
-// Protect all admin routes
+// Protect all admin routes: staff roles only, then one permission per route
+// (config/roles.js). Every request is audit-logged, refused ones included.
 router.use(requireAuth);
+router.use(auditAdminRequests);
 router.use(requireAdmin);
 
 // GET /api/admin/stats
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission(PERMISSIONS.STATS_VIEW), async (req, res) => {
   try {
-    const email = (req.user?.email || '').toLowerCase();
-    if (!isAdminEmail(email)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     const now = new Date();
     const sevenDaysAgo = new Date(now);
     sevenDaysAgo.setDate(now.getDate() - 7);
     const fourteenDaysAgo = new Date(now);
     fourteenDaysAgo.setDate(now.getDate() - 13); // include today => 14 entries
 
+    const canSeeUsers = hasPermission(req.admin.role, PERMISSIONS.USERS_VIEW);
     const [totalUsers, usersLast7DaysRaw, last14Created, premiumUsersCount, recentUsers] = await Promise.all([
       prisma.user.count(),
       prisma.user.count({ where: { createdAt: { gte: sevenDaysAgo } } }),
@@ -35,19 +59,22 @@ router.get('/stats', async (req, res) => {
         orderBy: { createdAt: 'asc' },
       }),
       prisma.user.count({ where: { isPremium: true } }),
-      prisma.user.findMany({
-        orderBy: { createdAt: 'desc' },
-        take: 500,
-        include: { usage: true },
-      }),
+      canSeeUsers
+        ? prisma.user.findMany({
+            orderBy: { createdAt: 'desc' },
+            take: 500,
+            include: { usage: true },
+          })
+        : [],
     ]);
 
     const userIds = recentUsers.map((u) => u.id);
+    const canSeeMetadata = hasPermission(req.admin.role, PERMISSIONS.USERS_METADATA);
 
     let sessionAggregates = [];
     let latestSessions = [];
 
-    if (userIds.length > 0) {
+    if (canSeeMetadata && userIds.length > 0) {
       sessionAggregates = await prisma.userSession.groupBy({
         by: ['userId'],
         where: { userId: { in: userIds } },
@@ -120,8 +147,9 @@ router.get('/stats', async (req, res) => {
     }
 
     // Map recent users to a compact shape with usage + safe session metadata
+    // (empty without users:view; session fields stay null without users:metadata)
     const users = recentUsers.map((u) => {
-      const { dailyLimit, monthlyLimit } = getPlanLimits(u.email, u.plan);
+      const { dailyLimit, monthlyLimit } = getPlanLimits(u);
       const session = sessionsByUserId.get(u.id) || null;
 
       return {
@@ -129,6 +157,11 @@ router.get('/stats', async (req, res) => {
         email: u.email,
         name: u.name,
         plan: u.plan,
+        effectivePlan: effectivePlan(u),
+        planOverride: u.planOverride || null,
+        planOverrideExpiresAt: u.planOverrideExpiresAt || null,
+        suspendedAt: u.suspendedAt || null,
+        role: u.role || null,
         isPremium: !!u.isPremium,
         createdAt: u.createdAt,
         firstSeenAt: u.createdAt,
@@ -137,6 +170,7 @@ router.get('/stats', async (req, res) => {
         dailyLimit,
         monthlyUsed: u.usage ? u.usage.monthlyCount : 0,
         monthlyLimit: monthlyLimit || 0,
+        bonusMessages: u.usage ? u.usage.bonusMessages : 0,
         country: session ? session.country : null,
         deviceType: session ? session.deviceType : null,
         browser: session ? session.browser : null,
@@ -150,6 +184,8 @@ router.get('/stats', async (req, res) => {
     const estimatedMrr = Number((premiumUsers * 4.99).toFixed(2));
 
     return res.json({
+      // what the dashboard may show this viewer
+      viewer: req.admin,
       // new simplified fields
       totalUsers,
       premiumUsers,
@@ -172,13 +208,8 @@ router.get('/stats', async (req, res) => {
 });
 
 // GET /api/admin/users?q=search
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
-    const email = (req.user?.email || '').toLowerCase();
-    if (!isAdminEmail(email)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     const q = (req.query.q || '').toString().trim();
     const where = q
       ? {
@@ -196,6 +227,7 @@ router.get('/users', async (req, res) => {
         email: true,
         name: true,
         plan: true,
+        role: true,
         isPremium: true,
         createdAt: true,
         saveHistoryEnabled: true,
@@ -213,12 +245,8 @@ router.get('/users', async (req, res) => {
 });
 
 // GET /api/admin/user/:id
-router.get('/user/:id', async (req, res) => {
+router.get('/user/:id', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
-    const email = (req.user?.email || '').toLowerCase();
-    if (!isAdminEmail(email)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
     const user = await prisma.user.findUnique({
@@ -228,14 +256,22 @@ router.get('/user/:id', async (req, res) => {
         email: true,
         name: true,
         plan: true,
+        role: true,
         isPremium: true,
         createdAt: true,
         saveHistoryEnabled: true,
         photoUrl: true,
+        planOverride: true,
+        planOverrideExpiresAt: true,
+        suspendedAt: true,
+        suspensionReason: true,
+        usage: {
+          select: { dailyCount: true, monthlyCount: true, bonusMessages: true, dailyResetAt: true },
+        },
       },
     });
     if (!user) return res.status(404).json({ error: 'Not found' });
-    return res.json({ user });
+    return res.json({ user: { ...user, effectivePlan: effectivePlan(user) } });
   } catch (err) {
     console.error('[admin/user/:id] error', err && err.message ? err.message : err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -243,52 +279,376 @@ router.get('/user/:id', async (req, res) => {
 });
 
 // DELETE /api/admin/users/:id
-router.delete('/users/:id', async (req, res) => {
+// Full account deletion: data, stored files, subscription and a tombstone,
+// the same as a self-service deletion. Not for your own account or the last
+// admin.
+router.delete('/users/:id', requirePermission(PERMISSIONS.USERS_DELETE), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+
+  try {
+    const { counts, filesRemoved, subscriptionCancelled } = await deleteUser(req.user.id, id);
+    res.locals.audit = { details: { counts, filesRemoved, subscriptionCancelled } };
+    return res.json({ success: true, counts, filesRemoved, subscriptionCancelled });
+  } catch (err) {
+    if (err instanceof AdminUserError) {
+      const status = { NOT_FOUND: 404, LAST_ADMIN: 409 }[err.code] || 400;
+      return res.status(status).json({ error: err.message, code: err.code });
+    }
+    if (err instanceof AccountDeletionError) {
+      return res.status(502).json({
+        error: 'Could not cancel the subscription, so nothing was deleted',
+        code: err.code,
+      });
+    }
+    console.error('[admin/users/:id DELETE] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Manual retention run: applies every user's retention policy now
+// (the scheduler in services/retentionService.js does the same periodically).
+router.post('/run-retention', requirePermission(PERMISSIONS.RETENTION_RUN), async (req, res) => {
+  try {
+    const report = await runRetention({ trigger: 'admin', triggeredById: req.user.id });
+    res.json({ message: 'Retention run completed', ...report });
+  } catch (err) {
+    console.error('Retention error:', err && err.message ? err.message : err);
+    res.status(500).json({ message: 'Failed to run retention.' });
+  }
+});
+
+// GET /api/admin/retention/dry-run?userId=
+// What a retention run would purge right now, without deleting anything.
+router.get('/retention/dry-run', requirePermission(PERMISSIONS.RETENTION_VIEW), async (req, res) => {
+  try {
+    let userId = null;
+    if (req.query.userId !== undefined) {
+      userId = Number(req.query.userId);
+      if (!Number.isInteger(userId) || userId <= 0) {
+        return res.status(400).json({ error: 'Invalid userId' });
+      }
+    }
+    const report = await runRetention({ dryRun: true, userId });
+    return res.json({ ...report, bounds: getRetentionBounds() });
+  } catch (err) {
+    console.error('[admin/retention/dry-run] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/retention/runs - recent retention audit records
+router.get('/retention/runs', requirePermission(PERMISSIONS.RETENTION_VIEW), async (req, res) => {
+  try {
+    const take = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const runs = await prisma.retentionRun.findMany({
+      orderBy: { startedAt: 'desc' },
+      take,
+    });
+    return res.json({ runs });
+  } catch (err) {
+    console.error('[admin/retention/runs] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ----------------------------------------------------------------------
+// LLM usage and cost (services/llmUsageService.js)
+// ----------------------------------------------------------------------
+
+// ?days=N (1-366, default 30): the last N days up to now.
+function parseUsageRange(query) {
+  const days = Math.min(Math.max(parseInt(query.days, 10) || 30, 1), 366);
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  return { days, from, to };
+}
+
+// GET /api/admin/llm-usage?days=30
+// Cost and volume overall and by feature, model, plan and day, plus the
+// most expensive users.
+router.get('/llm-usage', requirePermission(PERMISSIONS.USAGE_VIEW), async (req, res) => {
+  try {
+    const { days, from, to } = parseUsageRange(req.query);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const [summary, topUsers] = await Promise.all([
+      summarizeUsage({ from, to }),
+      topUsersByCost({ from, to, limit }),
+    ]);
+    return res.json({ days, ...summary, topUsers });
+  } catch (err) {
+    console.error('[admin/llm-usage] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/llm-usage/users/:id?days=30
+// One user's breakdown, with this month's spend against their ceiling.
+router.get('/llm-usage/users/:id', requirePermission(PERMISSIONS.USAGE_VIEW), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true, plan: true, role: true, monthlyCostCeilingUsd: true },
+    });
+    if (!user) return res.status(404).json({ error: 'Not found' });
+
+    const { days, from, to } = parseUsageRange(req.query);
+    const [summary, monthSpentUsd] = await Promise.all([
+      summarizeUsage({ from, to, userId: id }),
+      getMonthlyCostUsd(id),
+    ]);
+    const { ceilingUsd, source } = resolveCostCeiling(user, getPlanLimits(user));
+    return res.json({
+      user: { id: user.id, email: user.email, plan: user.plan },
+      month: { since: startOfMonth(), spentUsd: monthSpentUsd, ceilingUsd, ceilingSource: source },
+      days,
+      ...summary,
+    });
+  } catch (err) {
+    console.error('[admin/llm-usage/users/:id] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/users/:id/cost-ceiling  { monthlyCostCeilingUsd: number|null }
+// null goes back to the plan default; 0 blocks chat until next month.
+router.patch('/users/:id/cost-ceiling', requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
   try {
-    const email = (req.user?.email || '').toLowerCase();
-    if (!isAdminEmail(email)) {
-      return res.status(403).json({ error: 'Forbidden' });
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+
+    const raw = req.body ? req.body.monthlyCostCeilingUsd : undefined;
+    const value = raw === null ? null : Number(raw);
+    if (raw === undefined || (value !== null && !(Number.isFinite(value) && value >= 0))) {
+      return res.status(400).json({ error: 'monthlyCostCeilingUsd must be a number >= 0 or null' });
     }
 
+    const exists = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!exists) return res.status(404).json({ error: 'Not found' });
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { monthlyCostCeilingUsd: value },
+      select: { id: true, email: true, plan: true, monthlyCostCeilingUsd: true },
+    });
+    return res.json({ user });
+  } catch (err) {
+    console.error('[admin/users/:id/cost-ceiling] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ----------------------------------------------------------------------
+// Account management (services/adminUserService.js). Every action takes a
+// `reason` in the body, kept in the audit log entry. Suspending and signing
+// out need a strictly higher role than the target's (config/roles.js).
+// ----------------------------------------------------------------------
+
+const MAX_REASON_LENGTH = 500;
+
+// Handler for /users/:id/... actions: checks the id and the reason, then
+// answers with what `action(id, reason, req)` returns, except `details`,
+// which goes into the audit entry.
+function manageUser(label, action) {
+  return async (req, res) => {
     const id = Number(req.params.id);
-    if (!Number.isFinite(id)) {
-      return res.status(400).json({ error: 'Invalid id' });
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required', code: 'REASON_REQUIRED' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({
+        error: `reason must be at most ${MAX_REASON_LENGTH} characters`,
+        code: 'REASON_TOO_LONG',
+      });
     }
 
     try {
-      await prisma.user.delete({
-        where: { id },
-      });
+      const { details, ...body } = await action(id, reason, req);
+      res.locals.audit = { details };
+      return res.json(body);
     } catch (err) {
-      console.error('[admin/users/:id DELETE] error', err && err.message ? err.message : err);
+      if (err instanceof AdminUserError) {
+        const status = { NOT_FOUND: 404, ROLE_TOO_HIGH: 403, NO_OVERRIDE: 409, NOT_SUSPENDED: 409 }[err.code] || 400;
+        return res.status(status).json({ error: err.message, code: err.code });
+      }
+      console.error(`[admin/${label}] error`, err && err.message ? err.message : err);
       return res.status(500).json({ error: 'Internal server error' });
     }
+  };
+}
 
-    return res.json({ success: true });
+const usageCounters = (usage) => ({
+  dailyCount: usage.dailyCount,
+  monthlyCount: usage.monthlyCount,
+  bonusMessages: usage.bonusMessages,
+});
+
+// PUT /api/admin/users/:id/plan-override  { plan, days, reason }
+// Puts the user on `plan` for `days` days (1-366), whatever they pay for.
+router.put(
+  '/users/:id/plan-override',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  manageUser('users/:id/plan-override', async (id, reason, req) => {
+    const { user, previous } = await setPlanOverride(id, {
+      plan: req.body.plan,
+      days: Number(req.body.days),
+    });
+    return { user, details: { previous } };
+  })
+);
+
+// POST /api/admin/users/:id/plan-override/extend  { days, reason }
+router.post(
+  '/users/:id/plan-override/extend',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  manageUser('users/:id/plan-override/extend', async (id, reason, req) => {
+    const { user, previous } = await extendPlanOverride(id, Number(req.body.days));
+    return { user, details: { previous } };
+  })
+);
+
+// DELETE /api/admin/users/:id/plan-override  { reason } - back to the billed plan
+router.delete(
+  '/users/:id/plan-override',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  manageUser('users/:id/plan-override', async (id) => {
+    const { user, previous } = await clearPlanOverride(id);
+    return { user, details: { previous } };
+  })
+);
+
+// POST /api/admin/users/:id/bonus-messages  { amount, reason }
+// One-off messages on top of the monthly limit.
+router.post(
+  '/users/:id/bonus-messages',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  manageUser('users/:id/bonus-messages', async (id, reason, req) => {
+    const usage = await grantBonusMessages(id, Number(req.body.amount));
+    return { usage: usageCounters(usage) };
+  })
+);
+
+// POST /api/admin/users/:id/usage/reset  { reason }
+// Zeroes the daily and monthly counters; bonus messages are kept.
+router.post(
+  '/users/:id/usage/reset',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  manageUser('users/:id/usage/reset', async (id) => {
+    const { usage, previous } = await resetUsage(id);
+    return { usage: usageCounters(usage), details: { previous } };
+  })
+);
+
+// POST /api/admin/users/:id/suspend  { reason }
+// The reason is also shown to staff on the account.
+router.post(
+  '/users/:id/suspend',
+  requirePermission(PERMISSIONS.USERS_SUSPEND),
+  manageUser('users/:id/suspend', async (id, reason, req) => {
+    if (id === req.user.id) {
+      throw new AdminUserError('You cannot suspend your own account', 'SELF_SUSPEND');
+    }
+    await assertOutranks(req.admin.role, id);
+    const { user, previous } = await suspendUser(id, reason);
+    return { user, details: { previous } };
+  })
+);
+
+// POST /api/admin/users/:id/unsuspend  { reason }
+router.post(
+  '/users/:id/unsuspend',
+  requirePermission(PERMISSIONS.USERS_SUSPEND),
+  manageUser('users/:id/unsuspend', async (id, reason, req) => {
+    await assertOutranks(req.admin.role, id);
+    const { user, previous } = await unsuspendUser(id);
+    return { user, details: { previous } };
+  })
+);
+
+// POST /api/admin/users/:id/logout  { reason } - ends every session of the user
+router.post(
+  '/users/:id/logout',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  manageUser('users/:id/logout', async (id, reason, req) => {
+    await assertOutranks(req.admin.role, id);
+    const revokedSessions = await forceLogout(id);
+    return { revokedSessions, details: { revokedSessions } };
+  })
+);
+
+// ----------------------------------------------------------------------
+// Roles (config/roles.js, services/roleService.js) and the audit log
+// ----------------------------------------------------------------------
+
+// GET /api/admin/roles - every role with its permissions, and who holds one
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const holders = await listRoleHolders();
+    const roles = Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions }));
+    return res.json({ roles, users: holders });
   } catch (err) {
-    console.error('[admin/users/:id DELETE] error', err && err.message ? err.message : err);
+    console.error('[admin/roles] error', err && err.message ? err.message : err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Manual retention endpoint
-router.post('/run-retention', async (req, res) => {
+async function changeRole(req, res, role) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const { user, previousRole } = await setUserRole(id, role);
+    res.locals.audit = { details: { previousRole, role: user.role } };
+    return res.json({ user });
+  } catch (err) {
+    if (err instanceof RoleError) {
+      const status = { NOT_FOUND: 404, LAST_ADMIN: 409 }[err.code] || 400;
+      return res.status(status).json({ error: err.message, code: err.code });
+    }
+    console.error('[admin/users/:id/role] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// PUT /api/admin/users/:id/role  { role: "admin"|"support"|"analyst"|"tester" }
+// Replaces whatever role the user had.
+router.put('/users/:id/role', requirePermission(PERMISSIONS.ROLES_MANAGE), (req, res) => {
+  const role = req.body && typeof req.body.role === 'string' ? req.body.role : '';
+  if (!ROLE_PERMISSIONS[role]) {
+    return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+  }
+  return changeRole(req, res, role);
+});
 
-    const deleted = await prisma.message.deleteMany({
-      where: {
-        createdAt: {
-          lt: thirtyDaysAgo,
-        },
-      },
-    });
+// DELETE /api/admin/users/:id/role - back to a regular user
+router.delete('/users/:id/role', requirePermission(PERMISSIONS.ROLES_MANAGE), (req, res) => changeRole(req, res, null));
 
-    res.json({ message: 'Old messages deleted', count: deleted.count });
+// GET /api/admin/audit-log?actorId=&targetUserId=&action=&before=&limit=50
+// Newest first; pass the last entry's id as `before` for the next page.
+router.get('/audit-log', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const toId = (value) => {
+      const n = Number(value);
+      return Number.isInteger(n) && n > 0 ? n : undefined;
+    };
+    const entries = await listAdminActions({
+      actorId: toId(req.query.actorId),
+      targetUserId: toId(req.query.targetUserId),
+      action: req.query.action ? String(req.query.action).slice(0, 100) : undefined,
+      before: toId(req.query.before),
+      limit: Math.min(Math.max(Number(req.query.limit) || 50, 1), 200),
+    });
+    return res.json({ entries });
   } catch (err) {
-    console.error('Retention error:', err);
-    res.status(500).json({ message: 'Failed to run retention.' });
+    console.error('[admin/audit-log] error', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -1,145 +1,98 @@
 // src/routes/auth.js
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const prisma = require('../prisma');
 const requireAuth = require('../middleware/requireAuth');
-const { LIMITS, getPlanLimits } = require('../config/limits');
+const { getPlanLimits, clientPlan } = require('../config/limits');
+const { ensureUsage, buildUsageSummary } = require('../services/usageService');
 const { sendWelcomeEmail, sendPasswordResetEmail } = require('../utils/email');
-const { recordUserSession } = require('../services/userSessionService');
+const { cancelScheduledDeletion } = require('../services/accountDeletionService');
+const {
+  EmailVerificationError,
+  sendVerificationLink,
+  resendVerificationLink,
+  verifyEmailToken,
+  markEmailVerified,
+  confirmEmailChange,
+} = require('../services/emailVerificationService');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  AuthSessionError,
+  createLoginSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  listActiveSessions,
+  markSessionReauthenticated,
+} = require('../services/authSessionService');
+const {
+  isTwoFactorEnabled,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge,
+} = require('../services/twoFactorService');
+const {
+  getLockout,
+  recordFailure,
+  clearFailures,
+  lockoutResponse,
+} = require('../services/accountLockoutService');
+const { applyBootstrapRole } = require('../services/roleService');
+const {
+  AUTH_COOKIE_NAME,
+  getAuthCookieOptions,
+  setAuthCookies,
+  clearAuthCookies,
+  readRefreshToken,
+} = require('../utils/authCookies');
+const logger = require('../utils/logger').child({ component: 'Auth' });
 
 const router = express.Router();
 
-const isRenderProd =
-  process.env.RENDER === 'true' || process.env.NODE_ENV === 'production';
-
-const AUTH_COOKIE_NAME = 'token';
-
-function getAuthCookieOptions() {
-  if (!isRenderProd) {
-    return {
-      httpOnly: true,
-      secure: false,
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    };
-  }
-
-  const base = {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'none',
-    maxAge: 7 * 24 * 60 * 60 * 1000,
-  };
-
-  const domain = process.env.COOKIE_DOMAIN;
-  if (domain) {
-    return { ...base, domain };
-  }
-
-  return base;
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
 }
 
-function getAuthCookieClearOptions() {
-  const { maxAge, ...rest } = getAuthCookieOptions();
-  return rest;
+// Logout also accepts an expired access token: the signature still proves
+// which session it came from.
+function decodeAccessToken(token) {
+  try {
+    return requireAuth.verifyAccessToken(token, { ignoreExpiration: true });
+  } catch {
+    return null;
+  }
 }
 
-function createJwtForUser(user) {
-  return jwt.sign(
-    {
-      id: user.id,
-      email: user.email,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+// Start a session and set its cookies. Returns the fields every login
+// response carries: the access token (also for Bearer clients) and its
+// lifetime. The refresh token only ever travels in its httpOnly cookie.
+async function startSession(req, res, user) {
+  const { accessToken, refreshToken } = await createLoginSession({ user, req });
+  setAuthCookies(res, { accessToken, refreshToken });
+  return { token: accessToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
 }
 
-function setTokenCookie(res, token) {
-  res.cookie(AUTH_COOKIE_NAME, token, getAuthCookieOptions());
+// 429 for an account locked by services/accountLockoutService.js.
+function sendAccountLocked(res, lockout, what) {
+  res.set('Retry-After', String(lockout.retryAfterSeconds));
+  return res.status(429).json(lockoutResponse(lockout, what));
 }
 
-router.get('/debug-cookie', (req, res) => {
-  res.json({
-    cookies: req.cookies || null,
-    hasToken: !!(req.cookies && req.cookies.token),
-  });
-});
-
-// Helpers for usage
-function startOfToday() {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  return d;
+// 403 for an account suspended from the admin dashboard
+// (services/adminUserService.js).
+function sendAccountSuspended(res) {
+  return res.status(403).json({ message: 'This account is suspended', code: 'ACCOUNT_SUSPENDED' });
 }
 
-function startOfMonth() {
-  const now = new Date();
-  return new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0);
-}
-
-// Mirror chat.js semantics: dailyResetAt is an unlock timestamp for the
-// free-plan 24h window, not "start of today".
-async function ensureUsage(userId) {
-  // Make sure a Usage row exists
-  let usage = await prisma.usage.findUnique({ where: { userId } });
-  const now = new Date();
-  if (!usage) {
-    usage = await prisma.usage.create({
-      data: {
-        userId,
-        dailyCount: 0,
-        monthlyCount: 0,
-        dailyResetAt: null,
-        monthlyResetAt: startOfMonth(),
-      },
-    });
-  }
-
-  const month0 = startOfMonth();
-  const needsDailyReset = !!usage.dailyResetAt && usage.dailyResetAt <= now;
-  const needsMonthlyReset = !usage.monthlyResetAt || usage.monthlyResetAt < month0;
-
-  if (needsDailyReset || needsMonthlyReset) {
-    const data = {};
-
-    if (needsDailyReset) {
-      data.dailyCount = 0;
-      data.dailyResetAt = null;
-    }
-
-    if (needsMonthlyReset) {
-      data.monthlyCount = 0;
-      data.monthlyResetAt = month0;
-    }
-
-    usage = await prisma.usage.update({
-      where: { userId },
-      data,
-    });
-  }
-
-  return usage;
-}
-
-function buildUsageSummary(user, usage) {
-  const { dailyLimit, monthlyLimit } = getPlanLimits(user.email, user.plan);
-  const dailyRemaining = Math.max(0, dailyLimit - (usage?.dailyCount || 0));
-  const dailyResetInSeconds = usage?.dailyResetAt ? Math.floor((usage.dailyResetAt - new Date()) / 1000) : null;
-  const monthlyRemaining = Math.max(
-    0,
-    (monthlyLimit || 0) - (usage?.monthlyCount || 0)
-  );
-  return {
-    dailyUsed: usage?.dailyCount || 0,
-    dailyLimit,
-    dailyRemaining,
-    monthlyUsed: usage?.monthlyCount || 0,
-    monthlyLimit: monthlyLimit || 0,
-    monthlyRemaining,
-  };
+// Count a failed password or 2FA code; answers 429 once that locks the
+// account, 401 with `failure` otherwise.
+async function rejectCredentials(req, res, email, failure) {
+  const { lockout } = await recordFailure('login', email, { ip: req.ip });
+  if (lockout) return sendAccountLocked(res, lockout);
+  return res.status(401).json(failure);
 }
 
 function getFrontendBaseUrl() {
@@ -152,7 +105,7 @@ function getFrontendBaseUrl() {
 
 // ---------- REGISTER ----------
 router.post('/register', async (req, res) => {
-  const { email, password, name } = req.body;
+  const { email, password, name, lang } = req.body;
 
   if (!email || !password) {
     return res.status(400).json({ message: 'Email and password are required' });
@@ -169,16 +122,15 @@ router.post('/register', async (req, res) => {
 
     const hash = await bcrypt.hash(password, 10);
 
-    const plan = (email || '').toLowerCase() === LIMITS.PREMIUM_TESTER_EMAIL ? 'pro' : 'free';
-
-    const newUser = await prisma.user.create({
+    const createdUser = await prisma.user.create({
       data: {
         email,
         passwordHash: hash,
         name: name,
-        plan,
+        plan: 'free',
       },
     });
+    const newUser = await applyBootstrapRole(createdUser);
 
     const usage = await ensureUsage(newUser.id);
 
@@ -186,24 +138,31 @@ router.post('/register', async (req, res) => {
       id: newUser.id,
       email: newUser.email,
       name: newUser.name,
-      plan: newUser.plan,
+      plan: clientPlan(newUser),
+      role: newUser.role || null,
       photoUrl: newUser.photoUrl,
       createdAt: newUser.createdAt,
+      emailVerified: false,
+      emailVerifiedAt: null,
     };
 
     // Best-effort welcome email; failure must not break signup
     try {
       await sendWelcomeEmail(newUser.email, newUser.name);
     } catch (emailErr) {
-      console.error('[auth/register] Welcome email error:', emailErr && emailErr.message ? emailErr.message : emailErr);
+      logger.error('register welcome email error', { err: emailErr });
     }
 
-    const token = createJwtForUser(safeUser);
+    try {
+      await sendVerificationLink({ user: newUser, language: lang === 'ar' ? 'ar' : 'en' });
+    } catch (verifyErr) {
+      logger.error('register verification link error', { err: verifyErr });
+    }
 
     // Minimal instrumentation of cookie settings (no secrets)
     try {
       const cookieOptions = getAuthCookieOptions();
-      console.log('[auth/register] setting auth cookie', {
+      logger.debug('register setting auth cookie', {
         cookieName: AUTH_COOKIE_NAME,
         httpOnly: !!cookieOptions.httpOnly,
         secure: !!cookieOptions.secure,
@@ -213,28 +172,64 @@ router.post('/register', async (req, res) => {
       });
     } catch (_) {}
 
-    setTokenCookie(res, token);
-    try {
-      await recordUserSession({ userId: newUser.id, req });
-    } catch (sessionErr) {
-      console.error(
-        '[auth/register] session error',
-        sessionErr && sessionErr.message ? sessionErr.message : sessionErr
-      );
-    }
+    const session = await startSession(req, res, newUser);
 
     return res.status(201).json({
       message: 'Account created successfully',
-      token,
+      ...session,
       user: { ...safeUser, usage: buildUsageSummary(safeUser, usage) },
     });
   } catch (err) {
-    console.error('Register error:', err);
+    logger.error('register error', { err });
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
 // ---------- LOGIN ----------
+// Session, cookies and the login response body, once every factor checked out.
+async function completeLogin(req, res, user) {
+  await clearFailures('login', user.email);
+  if (user.suspendedAt) return sendAccountSuspended(res);
+
+  user = await applyBootstrapRole(user);
+
+  const safeUser = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    plan: clientPlan(user),
+    role: user.role || null,
+    photoUrl: user.photoUrl,
+    createdAt: user.createdAt,
+    emailVerified: !!user.emailVerifiedAt,
+    emailVerifiedAt: user.emailVerifiedAt || null,
+    twoFactorEnabled: isTwoFactorEnabled(user),
+  };
+
+  const usage = await ensureUsage(user.id);
+
+  // Minimal instrumentation of cookie settings (no secrets)
+  try {
+    const cookieOptions = getAuthCookieOptions();
+    logger.debug('login setting auth cookie', {
+      cookieName: AUTH_COOKIE_NAME,
+      httpOnly: !!cookieOptions.httpOnly,
+      secure: !!cookieOptions.secure,
+      sameSite: cookieOptions.sameSite,
+      domain: cookieOptions.domain || null,
+      maxAge: cookieOptions.maxAge || null,
+    });
+  } catch (_) {}
+
+  const session = await startSession(req, res, user);
+
+  return res.json({
+    message: 'Logged in successfully',
+    ...session,
+    user: { ...safeUser, usage: buildUsageSummary(safeUser, usage) },
+  });
+}
+
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
 
@@ -243,73 +238,112 @@ router.post('/login', async (req, res) => {
   }
 
   try {
+    const lockout = await getLockout('login', email);
+    if (lockout) {
+      return sendAccountLocked(res, lockout);
+    }
+
     const user = await prisma.user.findUnique({
       where: { email },
     });
 
     if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return rejectCredentials(req, res, email, { message: 'Invalid email or password' });
     }
 
     const isMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return rejectCredentials(req, res, email, { message: 'Invalid email or password' });
     }
 
-    // If premium tester logs in and plan isn't pro, set to pro
-    const shouldBePro = (user.email || '').toLowerCase() === LIMITS.PREMIUM_TESTER_EMAIL;
-    if (shouldBePro && user.plan !== 'pro') {
-      await prisma.user.update({ where: { id: user.id }, data: { plan: 'pro' } });
-      user.plan = 'pro';
+    // Second step: no session until POST /login/2fa with a code
+    if (isTwoFactorEnabled(user)) {
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      });
     }
 
-    const safeUser = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      plan: user.plan,
-      photoUrl: user.photoUrl,
-      createdAt: user.createdAt,
-    };
+    return await completeLogin(req, res, user);
+  } catch (err) {
+    logger.error('login error', { err });
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    const usage = await ensureUsage(user.id);
+// Body: { challengeToken, code } — code is an authenticator code or a
+// recovery code. Shares the login rate limit (mounted under /login).
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code } = req.body || {};
+  const challenge = readLoginChallenge(challengeToken);
+  if (!challenge) {
+    return res.status(401).json({ message: 'Login expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
+  }
 
-    const token = createJwtForUser(safeUser);
+  try {
+    const user = await prisma.user.findUnique({ where: { id: challenge.id } });
+    if (!user || (user.tokenVersion || 0) !== challenge.tv || !isTwoFactorEnabled(user)) {
+      return res.status(401).json({ message: 'Login expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
+    }
 
-    // Minimal instrumentation of cookie settings (no secrets)
-    try {
-      const cookieOptions = getAuthCookieOptions();
-      console.log('[auth/login] setting auth cookie', {
-        cookieName: AUTH_COOKIE_NAME,
-        httpOnly: !!cookieOptions.httpOnly,
-        secure: !!cookieOptions.secure,
-        sameSite: cookieOptions.sameSite,
-        domain: cookieOptions.domain || null,
-        maxAge: cookieOptions.maxAge || null,
-      });
-    } catch (_) {}
+    const lockout = await getLockout('login', user.email);
+    if (lockout) {
+      return sendAccountLocked(res, lockout);
+    }
 
-    setTokenCookie(res, token);
-    try {
-      await recordUserSession({ userId: user.id, req });
-    } catch (sessionErr) {
-      console.error(
-        '[auth/login] session error',
-        sessionErr && sessionErr.message ? sessionErr.message : sessionErr
-      );
+    const factor = await verifySecondFactor(user, typeof code === 'string' ? code.trim() : '');
+    if (!factor) {
+      return rejectCredentials(req, res, user.email, { message: 'Invalid two-factor code', code: 'INVALID_CODE' });
     }
 
-    return res.json({
-      message: 'Logged in successfully',
-      token,
-      user: { ...safeUser, usage: buildUsageSummary(safeUser, usage) },
-    });
+    return await completeLogin(req, res, user);
   } catch (err) {
-    console.error('Login error:', err);
+    logger.error('login 2fa error', { err });
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// ---------- RE-AUTHENTICATE ----------
+// Unlocks sensitive actions (middleware/requireRecentAuth.js) on this session
+// for a few minutes. Accounts with 2FA confirm with a code, others with their
+// password. Body: { password } or { code }.
+router.post('/reauth', requireAuth, async (req, res) => {
+  const { password, code } = req.body || {};
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const lockout = await getLockout('login', user.email);
+    if (lockout) {
+      return sendAccountLocked(res, lockout);
+    }
+
+    let ok = false;
+    if (isTwoFactorEnabled(user)) {
+      ok = !!(await verifySecondFactor(user, typeof code === 'string' ? code.trim() : ''));
+    } else if (typeof password === 'string' && password) {
+      ok = await bcrypt.compare(password, user.passwordHash);
+    }
+    if (!ok) {
+      return rejectCredentials(req, res, user.email, {
+        message: isTwoFactorEnabled(user) ? 'Invalid two-factor code' : 'Password is incorrect',
+        code: 'INVALID_CREDENTIALS',
+        twoFactorRequired: isTwoFactorEnabled(user),
+      });
+    }
+
+    await clearFailures('login', user.email);
+    const until = await markSessionReauthenticated(req.user.sid);
+    return res.json({ ok: true, reauthenticatedUntil: until });
+  } catch (err) {
+    logger.error('reauth error', { err });
+    return res.status(500).json({ message: 'Failed to confirm your identity' });
+  }
+});
+
 // ---------- REQUEST PASSWORD RESET ----------
 router.post('/request-password-reset', async (req, res) => {
   try {
@@ -320,6 +354,13 @@ router.post('/request-password-reset', async (req, res) => {
       return res.status(400).json({ ok: false, message: 'Email is required' });
     }
 
+    // Every request counts, whether or not the email has an account.
+    const lockout = await getLockout('passwordReset', email);
+    if (lockout) {
+      return sendAccountLocked(res, lockout, 'reset requests for this email');
+    }
+    await recordFailure('passwordReset', email, { ip: req.ip });
+
     const user = await prisma.user.findUnique({ where: { email } });
 
     if (user) {
@@ -356,13 +397,13 @@ router.post('/request-password-reset', async (req, res) => {
           language: 'en',
         });
       } catch (emailErr) {
-        console.error('[auth/request-password-reset] email error:', emailErr && emailErr.message ? emailErr.message : emailErr);
+        logger.error('request-password-reset email error', { err: emailErr });
       }
     }
 
     return res.json({ ok: true });
   } catch (err) {
-    console.error('[auth/request-password-reset] error:', err && err.message ? err.message : err);
+    logger.error('request-password-reset error', { err });
     return res.status(500).json({ ok: true });
   }
 });
@@ -388,7 +429,7 @@ router.post('/reset-password/validate', async (req, res) => {
 
     return res.json({ ok: true, valid: true });
   } catch (err) {
-    console.error('[auth/reset-password/validate] error:', err && err.message ? err.message : err);
+    logger.error('reset-password validate error', { err });
     return res.status(500).json({ ok: false, valid: false, message: 'Invalid or expired reset link.' });
   }
 });
@@ -446,28 +487,184 @@ router.post('/reset-password', async (req, res) => {
 
     try {
       await prisma.$transaction([
-        prisma.user.update({ where: { id: user.id }, data: { passwordHash: hash } }),
+        // The version bump ends every existing session of this user
+        prisma.user.update({
+          where: { id: user.id },
+          data: { passwordHash: hash, tokenVersion: { increment: 1 } },
+        }),
         prisma.passwordResetToken.delete({ where: { id: tokenRow.id } }),
       ]);
     } catch (txErr) {
-      console.error('[auth/reset-password] transaction error:', txErr && txErr.message ? txErr.message : txErr);
+      logger.error('reset-password transaction error', { err: txErr });
       return res.status(500).json({ message: 'Failed to reset password.' });
     }
 
+    // Already unusable after the bump; this takes them off the devices list.
+    try {
+      await revokeAllSessions(user.id);
+    } catch (revokeErr) {
+      logger.error('reset-password revoke sessions error', { err: revokeErr });
+    }
+
     return res.json({ ok: true, message: 'Password has been reset successfully.' });
   } catch (err) {
-    console.error('[auth/reset-password] error:', err && err.message ? err.message : err);
+    logger.error('reset-password error', { err });
     return res.status(500).json({ message: 'Failed to reset password.' });
   }
 });
 
+// ---------- UNDO SCHEDULED ACCOUNT DELETION ----------
+// Public: the emailed link carries the token, the user may be logged out.
+router.post('/undo-account-deletion', async (req, res) => {
+  try {
+    const rawToken = req.body && typeof req.body.token === 'string' ? req.body.token : '';
+    if (!rawToken) {
+      return res.status(400).json({ ok: false, message: 'Invalid or expired link.' });
+    }
+
+    const cancelled = await cancelScheduledDeletion({ token: rawToken });
+    if (!cancelled) {
+      return res.status(400).json({ ok: false, message: 'Invalid or expired link.' });
+    }
+
+    return res.json({ ok: true, message: 'Account deletion cancelled.' });
+  } catch (err) {
+    logger.error('undo-account-deletion error', { err });
+    return res.status(500).json({ ok: false, message: 'Failed to cancel account deletion.' });
+  }
+});
+
+// ---------- EMAIL VERIFICATION ----------
+// Public: the emailed link carries the token, the user may be logged out.
+router.post('/verify-email', async (req, res) => {
+  try {
+    const rawToken = req.body && typeof req.body.token === 'string' ? req.body.token : '';
+    const verified = rawToken ? await verifyEmailToken(rawToken) : null;
+    if (!verified) {
+      return res.status(400).json({ ok: false, message: 'Invalid or expired link.' });
+    }
+    return res.json({ ok: true, email: verified.email });
+  } catch (err) {
+    logger.error('verify-email error', { err });
+    return res.status(500).json({ ok: false, message: 'Failed to verify email.' });
+  }
+});
+
+// Body: { lang?: "en" | "ar" }
+router.post('/resend-verification', requireAuth, async (req, res) => {
+  try {
+    const lang = req.body && req.body.lang === 'ar' ? 'ar' : 'en';
+    const sent = await resendVerificationLink({ userId: req.user.id, language: lang });
+    if (!sent) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err instanceof EmailVerificationError) {
+      const status = err.code === 'RESEND_TOO_SOON' ? 429 : 409;
+      return res.status(status).json({ message: err.message, code: err.code });
+    }
+    logger.error('resend-verification error', { err });
+    return res.status(500).json({ message: 'Failed to send verification email.' });
+  }
+});
+
+// Public, one call per emailed link (old and new address). The second
+// confirmation applies the change: { ok, status: "pending" | "completed" }.
+router.post('/confirm-email-change', async (req, res) => {
+  try {
+    const rawToken = req.body && typeof req.body.token === 'string' ? req.body.token : '';
+    const result = rawToken ? await confirmEmailChange(rawToken) : null;
+    if (!result) {
+      return res.status(400).json({ ok: false, message: 'Invalid or expired link.' });
+    }
+    return res.json({ ok: true, status: result.status, email: result.email });
+  } catch (err) {
+    if (err instanceof EmailVerificationError) {
+      return res.status(409).json({ ok: false, message: err.message, code: err.code });
+    }
+    logger.error('confirm-email-change error', { err });
+    return res.status(500).json({ ok: false, message: 'Failed to change email.' });
+  }
+});
+
+// ---------- REFRESH ----------
+// Rotates the refresh token (cookie only) and issues a new access token.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { accessToken, refreshToken } = await rotateRefreshToken(readRefreshToken(req));
+    setAuthCookies(res, { accessToken, refreshToken });
+    return res.json({ token: accessToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    if (err instanceof AuthSessionError) {
+      // A conflict means another tab just rotated; its cookies are fine.
+      if (err.status === 401) clearAuthCookies(res);
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    logger.error('refresh error', { err });
+    return res.status(500).json({ message: 'Failed to refresh session' });
+  }
+});
+
 // ---------- LOGOUT ----------
-router.post('/logout', (req, res) => {
-  // Clear the auth cookie with the same attributes used when setting it
-  res.clearCookie(AUTH_COOKIE_NAME, getAuthCookieClearOptions());
+// Ends the session behind the refresh cookie, or behind the access token when
+// only that is sent, then clears both cookies.
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken);
+    }
+    const accessToken = req.cookies?.[AUTH_COOKIE_NAME] || readBearerToken(req);
+    const payload = accessToken ? decodeAccessToken(accessToken) : null;
+    if (payload && Number.isInteger(payload.sid)) {
+      await revokeSession({ userId: payload.id, sessionId: payload.sid });
+    }
+  } catch (err) {
+    logger.error('logout revoke error', { err });
+  }
+  clearAuthCookies(res);
   res.json({ message: 'Logged out successfully' });
 });
 
+// ---------- DEVICES & SESSIONS ----------
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id, req.user.sid);
+    return res.json({ sessions });
+  } catch (err) {
+    logger.error('sessions error', { err });
+    return res.status(500).json({ message: 'Failed to load sessions' });
+  }
+});
+
+// Sign out every device except this one.
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, { exceptSessionId: req.user.sid });
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    logger.error('sessions revoke all error', { err });
+    return res.status(500).json({ message: 'Failed to sign out other devices' });
+  }
+});
+
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  const sessionId = Number(req.params.id);
+  if (!Number.isInteger(sessionId) || sessionId <= 0) {
+    return res.status(400).json({ message: 'Invalid session id' });
+  }
+  try {
+    const revoked = await revokeSession({ userId: req.user.id, sessionId });
+    if (!revoked) return res.status(404).json({ message: 'Session not found' });
+    if (sessionId === req.user.sid) clearAuthCookies(res);
+    return res.json({ ok: true, current: sessionId === req.user.sid });
+  } catch (err) {
+    logger.error('sessions revoke error', { err });
+    return res.status(500).json({ message: 'Failed to sign out device' });
+  }
+});
+
 // ---------- ME ----------
 router.get('/me', requireAuth, async (req, res) => {
   try {
@@ -479,11 +676,7 @@ router.get('/me', requireAuth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const shouldBePro = (user.email || '').toLowerCase() === LIMITS.PREMIUM_TESTER_EMAIL;
-    let effectiveUser = user;
-    if (shouldBePro && user.plan !== 'pro') {
-      effectiveUser = await prisma.user.update({ where: { id: user.id }, data: { plan: 'pro' } });
-    }
+    const effectiveUser = await applyBootstrapRole(user);
 
     const usage = await ensureUsage(effectiveUser.id);
 
@@ -491,10 +684,15 @@ router.get('/me', requireAuth, async (req, res) => {
       id: effectiveUser.id,
       email: effectiveUser.email,
       name: effectiveUser.name,
-      plan: effectiveUser.plan,
+      plan: clientPlan(effectiveUser),
+      role: effectiveUser.role || null,
       photoUrl: effectiveUser.photoUrl,
       createdAt: effectiveUser.createdAt,
+      emailVerified: !!effectiveUser.emailVerifiedAt,
+      emailVerifiedAt: effectiveUser.emailVerifiedAt || null,
+      twoFactorEnabled: isTwoFactorEnabled(effectiveUser),
       saveHistoryEnabled: effectiveUser.saveHistoryEnabled,
+      keepVoiceNotes: !!effectiveUser.keepVoiceNotes,
       isPremium: !!effectiveUser.isPremium,
       lemonCustomerId: effectiveUser.lemonCustomerId || null,
       lemonSubscriptionId: effectiveUser.lemonSubscriptionId || null,
@@ -508,7 +706,7 @@ router.get('/me', requireAuth, async (req, res) => {
     let dailyResetAt = null;
     let dailyResetInSeconds = null;
 
-    const { dailyLimit } = getPlanLimits(safeUser.email, safeUser.plan);
+    const { dailyLimit } = getPlanLimits(safeUser);
     const used = usage?.dailyCount || 0;
     if (dailyLimit > 0 && used >= dailyLimit) {
       const now = new Date();
@@ -537,7 +735,7 @@ router.get('/me', requireAuth, async (req, res) => {
       },
     });
   } catch (err) {
-    console.error('Me error:', err);
+    logger.error('me error', { err });
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -562,12 +760,12 @@ router.patch('/save-history', requireAuth, async (req, res) => {
         id: updatedUser.id,
         email: updatedUser.email,
         name: updatedUser.name,
-        plan: updatedUser.plan,
+        plan: clientPlan(updatedUser),
         saveHistoryEnabled: updatedUser.saveHistoryEnabled,
       },
     });
   } catch (err) {
-    console.error('Error updating save history preference:', err);
+    logger.error('save history preference error', { err });
     res.status(500).json({ message: 'Failed to update save history preference' });
   }
 });
@@ -577,8 +775,10 @@ const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
 const GOOGLE_USERINFO_URL = "https://www.googleapis.com/oauth2/v3/userinfo";
 
 router.get("/google/start", (req, res) => {
-  console.log("GOOGLE_CLIENT_ID:", process.env.GOOGLE_CLIENT_ID);
-  console.log("GOOGLE_REDIRECT_URI:", process.env.GOOGLE_REDIRECT_URI);
+  logger.debug("google start", {
+    clientIdSet: !!process.env.GOOGLE_CLIENT_ID,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI,
+  });
   const params = new URLSearchParams({
     client_id: process.env.GOOGLE_CLIENT_ID,
     redirect_uri: process.env.GOOGLE_REDIRECT_URI,
@@ -618,7 +818,7 @@ router.get("/google/callback", async (req, res) => {
     const tokenJson = await tokenRes.json();
 
     if (!tokenRes.ok) {
-      console.error("Google token error:", tokenJson);
+      logger.error("google token error", { status: tokenRes.status, error: tokenJson.error });
       return res.status(500).send("Failed to get tokens from Google.");
     }
 
@@ -632,7 +832,7 @@ router.get("/google/callback", async (req, res) => {
     const profile = await profileRes.json();
 
     if (!profile.email) {
-      console.error("Google profile has no email:", profile);
+      logger.error("google profile has no email", { fields: Object.keys(profile) });
       return res.status(500).send("Could not get email from Google profile.");
     }
 
@@ -660,7 +860,7 @@ router.get("/google/callback", async (req, res) => {
           email,
           name,
           passwordHash: randomPasswordHash,
-          plan: email === LIMITS.PREMIUM_TESTER_EMAIL ? 'pro' : 'free',
+          plan: 'free',
           // If you add provider fields later:
           // provider: "google",
           // providerId: profile.sub,
@@ -671,39 +871,50 @@ router.get("/google/callback", async (req, res) => {
       try {
         await sendWelcomeEmail(user.email, user.name);
       } catch (emailErr) {
-        console.error('[auth/google-callback] Welcome email error:', emailErr && emailErr.message ? emailErr.message : emailErr);
+        logger.error('google callback welcome email error', { err: emailErr });
       }
-    } else if (email === LIMITS.PREMIUM_TESTER_EMAIL && user.plan !== 'pro') {
-      user = await prisma.user.update({ where: { id: user.id }, data: { plan: 'pro' } });
     }
 
-    // 4) Prepare a "safe user" object like in /login
-    const safeUser = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      plan: user.plan,
-      createdAt: user.createdAt,
-    };
+    // Google already verified this address; no link needed. Before the
+    // bootstrap role, which needs a verified address.
+    if (profile.email_verified === true || profile.email_verified === 'true') {
+      try {
+        await markEmailVerified(user.id);
+        user = { ...user, emailVerifiedAt: user.emailVerifiedAt || new Date() };
+      } catch (verifyErr) {
+        logger.error('google callback mark verified error', { err: verifyErr });
+      }
+    }
+    user = await applyBootstrapRole(user);
 
-    const usage = await ensureUsage(user.id);
+    // 4) Make sure the usage row exists, like in /login
+    await ensureUsage(user.id);
 
-    const token = createJwtForUser(safeUser);
+    if (user.suspendedAt) {
+      return res.status(403).send("This account is suspended.");
+    }
 
-    // Keep cookie for browsers that allow it
-    setTokenCookie(res, token);
+    // Google proved the email, not the second factor: finish on the login
+    // page. The challenge goes in the fragment, which browsers never send.
+    if (isTwoFactorEnabled(user)) {
+      const loginUrl = new URL("/login", process.env.FRONTEND_URL);
+      loginUrl.hash = new URLSearchParams({ twoFactorChallenge: createLoginChallenge(user) }).toString();
+      return res.redirect(loginUrl.toString());
+    }
+
+    // Keep cookies for browsers that allow them
+    const session = await startSession(req, res, user);
 
     const frontendBase = process.env.FRONTEND_URL;
 
-    // Redirect to an intermediate frontend route with the token in the query string
+    // Redirect to an intermediate frontend route with the access token in the
+    // query string. The refresh token is only in its cookie.
     const redirectUrl = new URL("/google-auth-complete", frontendBase);
-    redirectUrl.searchParams.set("token", token);
-
-    console.log("[google-callback] redirecting to:", redirectUrl.toString());
+    redirectUrl.searchParams.set("token", session.token);
 
     return res.redirect(redirectUrl.toString());
   } catch (err) {
-    console.error("Google callback error:", err);
+    logger.error("google callback error", { err });
     return res.status(500).send("Something went wrong with Google login.");
   }
 });
@@ -2,7 +2,9 @@ const express = require('express');
 const crypto = require('node:crypto');
 const prisma = require('../prisma');
 const requireAuth = require('../middleware/requireAuth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const { API_KEY, WEBHOOK_SECRET, STORE_ID, VARIANT_ID, isLive } = require('../utils/lemonConfig');
+const { cancelSubscription, BillingError } = require('../services/billingService');
 
 const router = express.Router();
 
@@ -148,7 +150,7 @@ if (typeof fetch === 'undefined') {
 }
 
 // ---------- CREATE CHECKOUT ----------
-router.post('/create-checkout', async (req, res) => {
+router.post('/create-checkout', requireVerifiedEmail('checkout'), async (req, res) => {
   try {
     console.log('[Billing] /create-checkout hit');
 
@@ -312,39 +314,14 @@ router.post('/cancel', async (req, res) => {
     if (!API_KEY) {
       return res.status(500).json({ message: 'LemonSqueezy not configured' });
     }
-    const url = `https://api.lemonsqueezy.com/v1/subscriptions/${subId}/cancel`;
-    const lsRes = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${API_KEY}`,
-        Accept: 'application/vnd.api+json',
-      },
-    });
-    const text = await lsRes.text();
-    if (!lsRes.ok) {
-      return res.status(500).json({ message: 'Failed to cancel subscription', status: lsRes.status, detail: text });
-    }
-    let json;
-    try { json = JSON.parse(text); } catch (_) { json = null; }
-    const attrs = json?.data?.attributes || {};
-    const status = String(attrs?.status || 'unknown');
-    const cancelled = !!attrs?.cancelled || status === 'canceled' || status === 'cancelled';
-    const renewsAt = attrs?.renews_at || null;
-    const endsAt = attrs?.ends_at || null;
-    const currentPeriodEnd = attrs?.current_period_end || null;
-    const nextRenewal = cancelled ? (endsAt || currentPeriodEnd || null) : (renewsAt || currentPeriodEnd || null);
 
     // We keep user.plan/isPremium unchanged until webhook downgrades on actual end.
-    return res.json({
-      id: subId,
-      status,
-      cancelled,
-      renewsAt,
-      endsAt,
-      nextRenewal,
-      mode: isLive ? 'live' : 'test',
-    });
+    const result = await cancelSubscription(subId);
+    return res.json(result);
   } catch (err) {
+    if (err instanceof BillingError && err.status) {
+      return res.status(500).json({ message: err.message, status: err.status, detail: err.detail });
+    }
     console.error('[Billing] cancel error', err?.message || err);
     return res.status(500).json({ message: 'Failed to cancel subscription' });
   }
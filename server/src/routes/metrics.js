@@ -0,0 +1,36 @@
+// server/src/routes/metrics.js
+// Prometheus scrape endpoint (GET /api/metrics). Protected by
+// METRICS_TOKEN (Authorization: Bearer <token>) when it is set; without a
+// token it is open in development and disabled in production.
+
+const express = require('express');
+const crypto = require('crypto');
+const { renderMetrics } = require('../utils/metrics');
+
+const router = express.Router();
+
+function tokenMatches(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+router.get('/', (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Not Found' });
+    }
+  } else {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (!given || !tokenMatches(given, expected)) {
+      return res.status(401).json({ message: 'Invalid metrics token' });
+    }
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.send(renderMetrics());
+});
+
+module.exports = router;
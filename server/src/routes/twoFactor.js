@@ -0,0 +1,85 @@
+// server/src/routes/twoFactor.js
+// Two-factor settings of the signed-in user (/api/auth/2fa). Login with 2FA
+// is POST /api/auth/login/2fa in routes/auth.js.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const requireRecentAuth = require('../middleware/requireRecentAuth');
+const {
+  TwoFactorError,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../services/twoFactorService');
+const logger = require('../utils/logger').child({ component: 'TwoFactor' });
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function sendTwoFactorError(res, err, fallbackMessage, label) {
+  if (err instanceof TwoFactorError) {
+    const status = err.code === 'ALREADY_ENABLED' || err.code === 'NOT_ENABLED' ? 409 : 400;
+    return res.status(status).json({ message: err.message, code: err.code });
+  }
+  logger.error(`${label} error`, { err });
+  return res.status(500).json({ message: fallbackMessage });
+}
+
+// { enabled, enabledAt, recoveryCodesRemaining }
+router.get('/', async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status) return res.status(404).json({ message: 'User not found' });
+    return res.json(status);
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to load two-factor settings', 'status');
+  }
+});
+
+// { secret, otpauthUrl } — show as a QR code and as text for manual entry
+router.post('/setup', requireRecentAuth, async (req, res) => {
+  try {
+    const setup = await startEnrollment(req.user.id);
+    if (!setup) return res.status(404).json({ message: 'User not found' });
+    return res.json(setup);
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to start two-factor setup', 'setup');
+  }
+});
+
+// Body: { code } — { ok, recoveryCodes } (shown once)
+router.post('/enable', async (req, res) => {
+  const code = req.body && typeof req.body.code === 'string' ? req.body.code.trim() : '';
+  if (!code) {
+    return res.status(400).json({ message: 'Code is required', code: 'INVALID_CODE' });
+  }
+  try {
+    const { recoveryCodes } = await confirmEnrollment(req.user.id, code);
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to turn on two-factor authentication', 'enable');
+  }
+});
+
+router.post('/disable', requireRecentAuth, async (req, res) => {
+  try {
+    await disableTwoFactor(req.user.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to turn off two-factor authentication', 'disable');
+  }
+});
+
+// { ok, recoveryCodes } — the previous codes stop working
+router.post('/recovery-codes', requireRecentAuth, async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    return sendTwoFactorError(res, err, 'Failed to create recovery codes', 'recovery codes');
+  }
+});
+
+module.exports = router;
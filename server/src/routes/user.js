@@ -6,6 +6,49 @@ const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
 const { createUserExportPdf } = require('../utils/userExportPdf');
+const {
+  AccountDeletionError,
+  getDeletionSummary,
+  deleteAccountNow,
+  scheduleAccountDeletion,
+  cancelScheduledDeletion,
+} = require('../services/accountDeletionService');
+const { ATTACHMENT_KINDS, deleteAttachments } = require('../services/messageAttachmentService');
+const { clearCachedValue } = require('../utils/ttlCache');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createLoginSession,
+  revokeAllSessions,
+} = require('../services/authSessionService');
+const { setAuthCookies } = require('../utils/authCookies');
+const {
+  getLockout,
+  recordFailure,
+  clearFailures,
+  lockoutResponse,
+} = require('../services/accountLockoutService');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requireRecentAuth = require('../middleware/requireRecentAuth');
+const {
+  EmailVerificationError,
+  startEmailChange,
+  getPendingEmailChange,
+  cancelEmailChange,
+} = require('../services/emailVerificationService');
+const {
+  MEMORY_MODES,
+  isValidMemoryMode,
+  getUserMemoryMode,
+  setUserMemoryMode,
+} = require('../pipeline/memory/memoryMode');
+const { RETENTION_CLASSES } = require('../config/retention');
+const { clientPlan } = require('../config/limits');
+const {
+  getUserRetentionPolicy,
+  setUserRetentionPolicy,
+  validateRetentionPolicyInput,
+} = require('../services/retentionService');
+const logger = require('../utils/logger').child({ component: 'User' });
 
 const router = express.Router();
 
@@ -68,12 +111,12 @@ router.patch('/save-history', async (req, res) => {
         id: updatedUser.id,
         email: updatedUser.email,
         name: updatedUser.name,
-        plan: updatedUser.plan,
+        plan: clientPlan(updatedUser),
         saveHistoryEnabled: updatedUser.saveHistoryEnabled,
       },
     });
   } catch (err) {
-    console.error('Error updating save history preference:', err);
+    logger.error('save history preference error', { err });
     return res.status(500).json({ message: 'Failed to update save history preference' });
   }
 });
@@ -97,7 +140,8 @@ const storage = multer.diskStorage({
     }
     const baseSource = file.originalname || 'upload';
     const base = (path.basename(baseSource, path.extname(baseSource)) || 'upload').replace(/[^a-z0-9_-]/gi, '') || 'upload';
-    const name = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}_${base}${ext}`;
+    // The u<userId>_ prefix lets account deletion find every upload of a user.
+    const name = `u${req.user.id}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}_${base}${ext}`;
     cb(null, name);
   },
 });
@@ -159,14 +203,14 @@ router.post('/upload-photo', upload.single('photo'), async (req, res) => {
         id: updatedUser.id,
         email: updatedUser.email,
         name: updatedUser.name,
-        plan: updatedUser.plan,
+        plan: clientPlan(updatedUser),
         createdAt: updatedUser.createdAt,
         saveHistoryEnabled: updatedUser.saveHistoryEnabled,
         photoUrl: updatedUser.photoUrl,
       },
     });
   } catch (err) {
-    console.error('Upload photo error:', err);
+    logger.error('upload photo error', { err });
     return res.status(500).json({ message: 'Failed to upload photo' });
   }
 });
@@ -188,18 +232,25 @@ router.patch('/profile', async (req, res) => {
         id: updatedUser.id,
         email: updatedUser.email,
         name: updatedUser.name,
-        plan: updatedUser.plan,
+        plan: clientPlan(updatedUser),
         createdAt: updatedUser.createdAt,
         saveHistoryEnabled: updatedUser.saveHistoryEnabled,
         photoUrl: updatedUser.photoUrl,
       },
     });
   } catch (err) {
-    console.error('Update profile error:', err);
+    logger.error('update profile error', { err });
     return res.status(500).json({ message: 'Failed to update profile' });
   }
 });
 
+// 429 while wrong current passwords have locked the account; they count
+// towards the same lockout as failed logins.
+function sendAccountLocked(res, lockout) {
+  res.set('Retry-After', String(lockout.retryAfterSeconds));
+  return res.status(429).json(lockoutResponse(lockout));
+}
+
 // Change password
 router.patch('/password', async (req, res) => {
   const { currentPassword, newPassword, confirmPassword } = req.body || {};
@@ -215,21 +266,346 @@ router.patch('/password', async (req, res) => {
   try {
     const user = await prisma.user.findUnique({ where: { id: req.user.id } });
     if (!user) return res.status(404).json({ message: 'User not found' });
+    const lockout = await getLockout('login', user.email);
+    if (lockout) return sendAccountLocked(res, lockout);
     const ok = await bcrypt.compare(currentPassword, user.passwordHash);
     if (!ok) {
+      const { lockout: locked } = await recordFailure('login', user.email, { ip: req.ip });
+      if (locked) return sendAccountLocked(res, locked);
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
+    await clearFailures('login', user.email);
     const hash = await bcrypt.hash(newPassword, 10);
-    await prisma.user.update({ where: { id: user.id }, data: { passwordHash: hash } });
-    return res.json({ message: 'Password updated successfully' });
+    // Signs out every device; this one gets a fresh session below.
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash: hash, tokenVersion: { increment: 1 } },
+    });
+    await revokeAllSessions(user.id);
+    const { accessToken, refreshToken } = await createLoginSession({ user: updated, req });
+    setAuthCookies(res, { accessToken, refreshToken });
+    return res.json({
+      message: 'Password updated successfully',
+      token: accessToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
   } catch (err) {
-    console.error('Change password error:', err);
+    logger.error('change password error', { err });
     return res.status(500).json({ message: 'Failed to update password' });
   }
 });
 
+// --- Email change -----------------------------------------------------------
+// Confirmed from links sent to both addresses (POST /api/auth/confirm-email-change).
+
+// { pending: { newEmail, expiresAt, confirmedOld, confirmedNew } | null }
+router.get('/email-change', async (req, res) => {
+  try {
+    const pending = await getPendingEmailChange(req.user.id);
+    return res.json({ pending });
+  } catch (err) {
+    logger.error('get email change error', { err });
+    return res.status(500).json({ message: 'Failed to load email change' });
+  }
+});
+
+// Body: { newEmail, currentPassword, lang?: "en" | "ar" }
+router.post('/email-change', async (req, res) => {
+  const { newEmail, currentPassword, lang } = req.body || {};
+  if (!newEmail || !currentPassword) {
+    return res.status(400).json({ message: 'New email and current password are required' });
+  }
+  try {
+    const pending = await startEmailChange({
+      userId: req.user.id,
+      newEmail,
+      currentPassword,
+      language: lang === 'ar' ? 'ar' : 'en',
+      ip: req.ip,
+    });
+    if (!pending) return res.status(404).json({ message: 'User not found' });
+    return res.json({ ok: true, pending });
+  } catch (err) {
+    if (err instanceof EmailVerificationError) {
+      if (err.code === 'ACCOUNT_LOCKED') return sendAccountLocked(res, err.lockout);
+      const status = err.code === 'EMAIL_TAKEN' ? 409 : 400;
+      return res.status(status).json({ message: err.message, code: err.code });
+    }
+    logger.error('start email change error', { err });
+    return res.status(500).json({ message: 'Failed to start email change' });
+  }
+});
+
+router.delete('/email-change', async (req, res) => {
+  try {
+    const cancelled = await cancelEmailChange(req.user.id);
+    return res.json({ ok: true, cancelled });
+  } catch (err) {
+    logger.error('cancel email change error', { err });
+    return res.status(500).json({ message: 'Failed to cancel email change' });
+  }
+});
+
+// --- Long-term memory (UserMemoryFact) -------------------------------------
+// Lets users see and correct what pipeline/memory/longTerm.js extracted.
+// Pinned facts are never overwritten by the extractor.
+
+// Internal bookkeeping kinds that are not user-facing facts.
+const HIDDEN_MEMORY_KINDS = new Set(['profile.personality.portals_v1']);
+const MAX_MEMORY_VALUE_LENGTH = 200;
+
+function serializeMemoryFact(fact) {
+  return {
+    id: fact.id,
+    kind: fact.kind,
+    value: fact.value,
+    confidence: fact.confidence,
+    isPinned: fact.isPinned,
+    sourceMessageAt: fact.sourceMessage ? fact.sourceMessage.createdAt : null,
+    createdAt: fact.createdAt,
+    updatedAt: fact.updatedAt,
+  };
+}
+
+const memoryFactSelect = {
+  id: true,
+  kind: true,
+  value: true,
+  confidence: true,
+  isPinned: true,
+  createdAt: true,
+  updatedAt: true,
+  sourceMessage: { select: { createdAt: true } },
+};
+
+// runEmotionalEngine caches the persona snapshot; drop it so edits apply on the next reply.
+function invalidatePersonaSnapshot(userId) {
+  clearCachedValue(`personaSnapshot:${userId}`);
+}
+
+// List remembered facts grouped by kind
+router.get('/memory', async (req, res) => {
+  try {
+    const [facts, memoryMode] = await Promise.all([
+      prisma.userMemoryFact.findMany({
+        where: { userId: req.user.id, kind: { notIn: Array.from(HIDDEN_MEMORY_KINDS) } },
+        orderBy: [{ kind: 'asc' }, { updatedAt: 'desc' }],
+        select: memoryFactSelect,
+      }),
+      getUserMemoryMode(req.user.id),
+    ]);
+
+    const groups = [];
+    const byKind = new Map();
+    for (const fact of facts) {
+      let group = byKind.get(fact.kind);
+      if (!group) {
+        group = { kind: fact.kind, facts: [] };
+        byKind.set(fact.kind, group);
+        groups.push(group);
+      }
+      group.facts.push(serializeMemoryFact(fact));
+    }
+
+    return res.json({ memoryMode, total: facts.length, groups });
+  } catch (err) {
+    logger.error('list memory facts error', { err });
+    return res.status(500).json({ message: 'Failed to load memory' });
+  }
+});
+
+// Switch memory mode (LIGHT / STANDARD / RICH). When switching to LIGHT the
+// client may pass purgeFacts: true to also forget everything already stored.
+router.patch('/memory/mode', async (req, res) => {
+  const { memoryMode, purgeFacts } = req.body || {};
+
+  if (!isValidMemoryMode(memoryMode)) {
+    return res
+      .status(400)
+      .json({ message: `memoryMode must be one of ${MEMORY_MODES.join(', ')}` });
+  }
+  if (purgeFacts !== undefined && typeof purgeFacts !== 'boolean') {
+    return res.status(400).json({ message: 'Invalid value for purgeFacts' });
+  }
+  if (purgeFacts && memoryMode !== 'LIGHT') {
+    return res.status(400).json({ message: 'purgeFacts is only allowed when switching to LIGHT' });
+  }
+
+  try {
+    const saved = await setUserMemoryMode(req.user.id, memoryMode);
+
+    let purgedCount = 0;
+    if (purgeFacts) {
+      const { count } = await prisma.userMemoryFact.deleteMany({
+        where: { userId: req.user.id, kind: { notIn: Array.from(HIDDEN_MEMORY_KINDS) } },
+      });
+      purgedCount = count;
+      invalidatePersonaSnapshot(req.user.id);
+    }
+
+    return res.json({ memoryMode: saved, purgedCount });
+  } catch (err) {
+    logger.error('update memory mode error', { err });
+    return res.status(500).json({ message: 'Failed to update memory mode' });
+  }
+});
+
+// Voice note retention (opt-in). Turning it off deletes the kept recordings;
+// spoken replies stay with their messages.
+router.get('/voice-notes', async (req, res) => {
+  try {
+    const [user, total] = await Promise.all([
+      prisma.user.findUnique({ where: { id: req.user.id }, select: { keepVoiceNotes: true } }),
+      prisma.messageAttachment.count({
+        where: { userId: req.user.id, kind: ATTACHMENT_KINDS.VOICE_INPUT },
+      }),
+    ]);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    return res.json({ keepVoiceNotes: user.keepVoiceNotes, total });
+  } catch (err) {
+    logger.error('get voice notes error', { err });
+    return res.status(500).json({ message: 'Failed to load voice note settings' });
+  }
+});
+
+router.patch('/voice-notes', async (req, res) => {
+  const { keepVoiceNotes } = req.body || {};
+  if (typeof keepVoiceNotes !== 'boolean') {
+    return res.status(400).json({ message: 'Invalid value for keepVoiceNotes' });
+  }
+
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { keepVoiceNotes },
+    });
+
+    const deletedCount = keepVoiceNotes
+      ? 0
+      : await deleteAttachments({ userId: req.user.id, kind: ATTACHMENT_KINDS.VOICE_INPUT });
+    return res.json({ keepVoiceNotes, deletedCount });
+  } catch (err) {
+    logger.error('update voice notes error', { err });
+    return res.status(500).json({ message: 'Failed to update voice note settings' });
+  }
+});
+
+// Edit a fact's value and/or pin it
+router.patch('/memory/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ message: 'Invalid memory id' });
+  }
+
+  const { value, isPinned } = req.body || {};
+  const data = {};
+
+  if (value !== undefined) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed || trimmed.length > MAX_MEMORY_VALUE_LENGTH) {
+      return res
+        .status(400)
+        .json({ message: `Value must be 1-${MAX_MEMORY_VALUE_LENGTH} characters` });
+    }
+    data.value = trimmed;
+    // A user-confirmed value is as certain as it gets.
+    data.confidence = 1.0;
+  }
+
+  if (isPinned !== undefined) {
+    if (typeof isPinned !== 'boolean') {
+      return res.status(400).json({ message: 'Invalid value for isPinned' });
+    }
+    data.isPinned = isPinned;
+  }
+
+  if (!Object.keys(data).length) {
+    return res.status(400).json({ message: 'Nothing to update' });
+  }
+
+  try {
+    const existing = await prisma.userMemoryFact.findFirst({
+      where: { id, userId: req.user.id },
+      select: { id: true, kind: true },
+    });
+    if (!existing || HIDDEN_MEMORY_KINDS.has(existing.kind)) {
+      return res.status(404).json({ message: 'Memory not found' });
+    }
+
+    const fact = await prisma.userMemoryFact.update({
+      where: { id: existing.id },
+      data,
+      select: memoryFactSelect,
+    });
+    invalidatePersonaSnapshot(req.user.id);
+
+    return res.json({ fact: serializeMemoryFact(fact) });
+  } catch (err) {
+    logger.error('update memory fact error', { err });
+    return res.status(500).json({ message: 'Failed to update memory' });
+  }
+});
+
+// Forget a fact
+router.delete('/memory/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ message: 'Invalid memory id' });
+  }
+
+  try {
+    const { count } = await prisma.userMemoryFact.deleteMany({
+      where: {
+        id,
+        userId: req.user.id,
+        kind: { notIn: Array.from(HIDDEN_MEMORY_KINDS) },
+      },
+    });
+    if (!count) {
+      return res.status(404).json({ message: 'Memory not found' });
+    }
+    invalidatePersonaSnapshot(req.user.id);
+
+    return res.json({ success: true });
+  } catch (err) {
+    logger.error('delete memory fact error', { err });
+    return res.status(500).json({ message: 'Failed to delete memory' });
+  }
+});
+
+// Retention: how long each class of data is kept before automatic deletion
+router.get('/retention', async (req, res) => {
+  try {
+    const { policy, bounds } = await getUserRetentionPolicy(req.user.id);
+    return res.json({ classes: RETENTION_CLASSES, policy, bounds });
+  } catch (err) {
+    logger.error('get retention policy error', { err });
+    return res.status(500).json({ message: 'Failed to load retention settings' });
+  }
+});
+
+// Body: { policy: { messages: 90, sessions: 30, memoryFacts: null, ... } }
+// null keeps that class forever (only where the admin bounds allow it).
+router.patch('/retention', async (req, res) => {
+  const { policy: input } = req.body || {};
+  const { policy: partial, error } = validateRetentionPolicyInput(input);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const policy = await setUserRetentionPolicy(req.user.id, partial);
+    return res.json({ policy });
+  } catch (err) {
+    logger.error('update retention policy error', { err });
+    return res.status(500).json({ message: 'Failed to update retention settings' });
+  }
+});
+
 // Export all user data (GDPR-style JSON export)
-router.get('/export', async (req, res) => {
+router.get('/export', requireVerifiedEmail('export'), requireRecentAuth, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({ where: { id: req.user.id } });
     if (!user) {
@@ -259,6 +635,8 @@ router.get('/export', async (req, res) => {
         name: user.name,
         plan: user.plan,
         createdAt: user.createdAt,
+        emailVerifiedAt: user.emailVerifiedAt,
+        twoFactorEnabledAt: user.twoFactorEnabledAt,
         saveHistoryEnabled: user.saveHistoryEnabled,
         photoUrl: user.photoUrl,
       },
@@ -274,13 +652,13 @@ router.get('/export', async (req, res) => {
     );
     return res.status(200).send(json);
   } catch (err) {
-    console.error('User export error:', err && err.message ? err.message : err);
+    logger.error('user export error', { err });
     return res.status(500).json({ message: 'Failed to export data' });
   }
 });
 
 // Export user data as a styled PDF
-router.get('/export/pdf', async (req, res) => {
+router.get('/export/pdf', requireVerifiedEmail('export'), requireRecentAuth, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({ where: { id: req.user.id } });
     if (!user) {
@@ -320,60 +698,79 @@ router.get('/export/pdf', async (req, res) => {
 
     return res.status(200).send(buffer);
   } catch (err) {
-    console.error('User export PDF error:', err && err.message ? err.message : err);
+    logger.error('user export PDF error', { err });
     return res.status(500).json({ message: 'Failed to generate PDF export' });
   }
 });
 
-// Delete account and all related data (messages, usage, avatar file)
-router.delete('/delete', async (req, res) => {
-  const { confirm } = req.body || {};
+// What deleting the account would remove (shown before confirming)
+router.get('/delete/summary', async (req, res) => {
+  try {
+    const summary = await getDeletionSummary(req.user.id);
+    if (!summary) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    return res.json(summary);
+  } catch (err) {
+    logger.error('deletion summary error', { err });
+    return res.status(500).json({ message: 'Failed to load deletion summary' });
+  }
+});
+
+// Delete account and all related data.
+// Body: { confirm: "DELETE", mode?: "now" | "scheduled", lang?: "en" | "ar" }
+// "scheduled" keeps the account for a grace period and emails an undo link.
+router.delete('/delete', requireRecentAuth, async (req, res) => {
+  const { confirm, mode = 'now', lang } = req.body || {};
   if (confirm !== 'DELETE') {
     return res.status(400).json({ message: 'Confirmation must be "DELETE"' });
   }
+  if (mode !== 'now' && mode !== 'scheduled') {
+    return res.status(400).json({ message: 'mode must be "now" or "scheduled"' });
+  }
 
   try {
-    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (mode === 'scheduled') {
+      const scheduled = await scheduleAccountDeletion({ userId: req.user.id, language: lang });
+      if (!scheduled) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      return res.json({
+        success: true,
+        scheduled: true,
+        scheduledFor: scheduled.scheduledFor,
+        message: 'Account deletion scheduled. Check your email for the undo link.',
+      });
     }
 
-    // Delete DB records in a single transaction
-    await prisma.$transaction(async (tx) => {
-      await tx.message.deleteMany({ where: { userId: user.id } });
-      await tx.usage.deleteMany({ where: { userId: user.id } });
-      await tx.user.delete({ where: { id: user.id } });
-    });
-
-    // Best-effort avatar cleanup (outside the transaction)
-    try {
-      if (user.photoUrl && typeof user.photoUrl === 'string') {
-        const uploadsRoot = path.resolve(__dirname, '..', '..', 'uploads');
-        let relative = user.photoUrl;
-        if (relative.startsWith('/uploads/')) {
-          relative = relative.replace('/uploads/', '');
-        } else if (relative.startsWith('uploads/')) {
-          relative = relative.replace('uploads/', '');
-        }
-        const filePath = path.join(uploadsRoot, relative);
-        if (filePath.startsWith(uploadsRoot)) {
-          fs.unlink(filePath, (err) => {
-            if (err && err.code !== 'ENOENT') {
-              console.error('Failed to delete avatar file:', err.message || err);
-            }
-          });
-        }
-      }
-    } catch (fileErr) {
-      console.error('Avatar cleanup error:', fileErr && fileErr.message ? fileErr.message : fileErr);
+    const result = await deleteAccountNow(req.user.id, { trigger: 'user' });
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
     res.clearCookie(AUTH_COOKIE_NAME, getAuthCookieClearOptions());
     return res.json({ success: true, message: 'Account and all data deleted.' });
   } catch (err) {
-    console.error('Delete account+data error:', err && err.message ? err.message : err);
+    if (err instanceof AccountDeletionError) {
+      return res.status(502).json({
+        message: 'Could not cancel your subscription, so nothing was deleted. Please try again or contact support.',
+        code: err.code,
+      });
+    }
+    logger.error('delete account+data error', { err });
     return res.status(500).json({ message: 'Failed to delete account and data' });
   }
 });
 
+// Cancel a scheduled deletion from Settings
+router.post('/delete/cancel', async (req, res) => {
+  try {
+    const cancelled = await cancelScheduledDeletion({ userId: req.user.id });
+    return res.json({ success: true, cancelled });
+  } catch (err) {
+    logger.error('cancel account deletion error', { err });
+    return res.status(500).json({ message: 'Failed to cancel account deletion' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,151 @@
+// server/src/routes/voiceCall.js
+// WebSocket endpoint for the live voice call (GET /api/chat/voice/live,
+// upgraded). Express never sees these requests, so this module repeats the
+// checks the HTTP stack would do: CORS origin, the requireAuth access token
+// and its session (cookie `token`, or the `bearer.<jwt>` subprotocol since
+// browsers cannot set headers on a WebSocket) and request metadata. The call itself lives in
+// services/voiceCallService.js.
+
+const { authenticateAccessToken } = require('../middleware/requireAuth');
+const requestMetadata = require('../middleware/requestMetadata');
+const { acceptUpgrade, rejectUpgrade, parseProtocols } = require('../utils/webSocket');
+const { startVoiceCall } = require('../services/voiceCallService');
+const logger = require('../utils/logger').child({ component: 'VoiceCall' });
+
+const VOICE_CALL_PATH = '/api/chat/voice/live';
+const CALL_PROTOCOL = 'asrar-voice';
+const BEARER_PROTOCOL_PREFIX = 'bearer.';
+
+// Large enough for a start message with recent history and a recorder chunk.
+const MAX_FRAME_BYTES = 512 * 1024;
+
+// One live call per user: a new call replaces the previous one.
+const activeCalls = new Map();
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    if (part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Cookie first, then the subprotocol, like requireAuth.
+function readTokens(req, protocols) {
+  const tokens = [];
+  const fromCookie = readCookie(req, 'token');
+  if (fromCookie) tokens.push(fromCookie);
+  const bearer = protocols.find((p) => p.startsWith(BEARER_PROTOCOL_PREFIX));
+  if (bearer) tokens.push(bearer.slice(BEARER_PROTOCOL_PREFIX.length));
+  return tokens;
+}
+
+async function authenticate(tokens) {
+  let lastError = null;
+  for (const token of tokens) {
+    try {
+      return await authenticateAccessToken(token);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * End the user's live call, if they have one on this instance. Auth is only
+ * checked at the upgrade, so suspending an account or revoking its sessions
+ * calls this to cut off a call already in progress.
+ * @param {number} userId
+ * @returns {boolean} whether a call was closed
+ */
+function closeCallsFor(userId) {
+  const connection = activeCalls.get(userId);
+  if (!connection) return false;
+  activeCalls.delete(userId);
+  connection.close(4002, 'Session ended');
+  logger.info('call closed', { userId });
+  return true;
+}
+
+/**
+ * Serve the live voice call on an HTTP server's 'upgrade' event. Upgrades
+ * for other paths are refused.
+ *
+ * @param {import('http').Server} server
+ * @param {{ allowedOrigins: string[] }} options same origins as CORS
+ */
+function attachVoiceCallServer(server, { allowedOrigins }) {
+  server.on('upgrade', async (req, socket, head) => {
+    socket.on('error', () => socket.destroy());
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== VOICE_CALL_PATH) {
+      rejectUpgrade(socket, 404);
+      return;
+    }
+
+    // Browsers send cookies with cross-site WebSocket handshakes, so the
+    // origin check is what keeps other sites from opening calls.
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin)) {
+      logger.warn('blocked origin', { origin });
+      rejectUpgrade(socket, 403);
+      return;
+    }
+
+    const protocols = parseProtocols(req);
+    if (!protocols.includes(CALL_PROTOCOL)) {
+      rejectUpgrade(socket, 400, `Expected subprotocol ${CALL_PROTOCOL}`);
+      return;
+    }
+
+    const tokens = readTokens(req, protocols);
+    if (!tokens.length) {
+      rejectUpgrade(socket, 401, 'Not authenticated');
+      return;
+    }
+    let user;
+    try {
+      user = await authenticate(tokens);
+    } catch (err) {
+      logger.warn('invalid token', { err });
+      rejectUpgrade(socket, 401, 'Invalid token');
+      return;
+    }
+    if (!user || !user.id) {
+      rejectUpgrade(socket, 401, 'Invalid token');
+      return;
+    }
+    // The client may have given up while the session was looked up.
+    if (socket.destroyed) return;
+
+    requestMetadata(req, null, () => {});
+
+    const connection = acceptUpgrade(req, socket, head, {
+      protocol: CALL_PROTOCOL,
+      maxPayload: MAX_FRAME_BYTES,
+    });
+    if (!connection) return;
+
+    const previous = activeCalls.get(user.id);
+    if (previous) previous.close(4000, 'Replaced by a new call');
+    activeCalls.set(user.id, connection);
+    connection.on('close', () => {
+      if (activeCalls.get(user.id) === connection) activeCalls.delete(user.id);
+    });
+
+    startVoiceCall({ connection, userId: user.id, req });
+  });
+}
+
+module.exports = { VOICE_CALL_PATH, attachVoiceCallServer, closeCallsFor };
@@ -9,7 +9,22 @@
 
 require('dotenv').config({ path: require('path').join(__dirname, '..', '..', '.env') });
 
-const { encryptMessage, decryptMessage } = require('../utils/crypto');
+const crypto = require('crypto');
+const {
+  getKey,
+  encryptMessage,
+  decryptMessage,
+  getEncryptionKeyId,
+  needsReencryption,
+} = require('../utils/crypto');
+
+// Build a payload in the pre-keyring enc::<iv>:<ct>:<tag> format.
+function encryptLegacy(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ct = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return `enc::${iv.toString('hex')}:${ct.toString('hex')}:${cipher.getAuthTag().toString('hex')}`;
+}
 
 function assertEqual(label, a, b) {
   if (a !== b) {
@@ -35,6 +50,27 @@ function run() {
   const legacyOut = decryptMessage(legacy);
   assertEqual('Legacy plaintext passes through decryptMessage unchanged', legacy, legacyOut);
 
+  assertEqual('New payloads carry the active key id', 'enc:v2:', String(encrypted).slice(0, 7));
+
+  const legacyEncrypted = encryptLegacy(sample);
+  assertEqual('Legacy enc:: payload still decrypts', sample, decryptMessage(legacyEncrypted));
+  assertEqual('Legacy enc:: payload maps to key k1', 'k1', getEncryptionKeyId(legacyEncrypted));
+  assertEqual('Legacy enc:: payload needs re-encryption', true, needsReencryption(legacyEncrypted));
+
+  const lookalike = 'enc:: not really ciphertext';
+  assertEqual('Text that only looks encrypted passes through', lookalike, decryptMessage(lookalike));
+
+  // Rotation: add k2, new writes move to it, k1 rows still readable.
+  const previousKeys = process.env.MESSAGE_ENCRYPTION_KEYS;
+  process.env.MESSAGE_ENCRYPTION_KEYS = `k2:${crypto.randomBytes(32).toString('hex')}`;
+  const rotated = encryptMessage(sample);
+  assertEqual('After rotation new payloads use k2', 'k2', getEncryptionKeyId(rotated));
+  assertEqual('After rotation k2 payload decrypts', sample, decryptMessage(rotated));
+  assertEqual('After rotation k1 payload still decrypts', sample, decryptMessage(encrypted));
+  assertEqual('After rotation k1 payload needs re-encryption', true, needsReencryption(encrypted));
+  if (previousKeys === undefined) delete process.env.MESSAGE_ENCRYPTION_KEYS;
+  else process.env.MESSAGE_ENCRYPTION_KEYS = previousKeys;
+
   console.log('[Test] Message crypto sanity checks completed.');
 }
 
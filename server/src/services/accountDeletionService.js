@@ -0,0 +1,338 @@
+// server/src/services/accountDeletionService.js
+// Account deletion: summary of what will be removed, immediate deletion and
+// grace-period ("scheduled") deletion that can be undone from an emailed link.
+//
+// Deletion removes every user-owned row explicitly instead of relying on
+// cascades, cancels the LemonSqueezy subscription, deletes avatar and voice
+// files (including voice message audio in object storage), and writes an AccountDeletionTombstone that holds no personal data.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../prisma');
+const { cancelSubscription, BillingError } = require('./billingService');
+const { sendAccountDeletionScheduledEmail } = require('../utils/email');
+const { listAttachmentKeys, deleteStoredObjects } = require('./messageAttachmentService');
+const logger = require('../utils/logger').child({ component: 'AccountDeletion' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = Math.max(
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10) || 14,
+  1
+);
+
+const uploadsRoot = path.resolve(__dirname, '..', '..', 'uploads');
+const voiceDir = path.join(uploadsRoot, 'voice');
+
+// Every table holding user data, in a safe deletion order (children first).
+// `where` builds the filter for one user.
+const USER_DATA_TABLES = [
+  { key: 'searchIndexEntries', model: 'messageSearchToken', where: (userId) => ({ userId }) },
+  { key: 'messageEmotions', model: 'messageEmotion', where: (userId) => ({ message: { userId } }) },
+  { key: 'conversationStates', model: 'conversationEmotionState', where: (userId) => ({ conversation: { userId } }) },
+  { key: 'conversationStateMachines', model: 'conversationStateMachine', where: (userId) => ({ conversation: { userId } }) },
+  { key: 'memoryFacts', model: 'userMemoryFact', where: (userId) => ({ userId }) },
+  { key: 'emotionalEvents', model: 'emotionalEvent', where: (userId) => ({ userId }) },
+  { key: 'timelineEvents', model: 'emotionalTimelineEvent', where: (userId) => ({ userId }) },
+  { key: 'triggerEvents', model: 'emotionalTriggerEvent', where: (userId) => ({ userId }) },
+  { key: 'emotionalPatterns', model: 'emotionalPattern', where: (userId) => ({ userId }) },
+  { key: 'dailySummaries', model: 'emotionalDailySummary', where: (userId) => ({ userId }) },
+  { key: 'mirrorSessions', model: 'mirrorSession', where: (userId) => ({ userId }) },
+  { key: 'personaTrust', model: 'userPersonaTrust', where: (userId) => ({ userId }) },
+  { key: 'unlockedWhispers', model: 'userUnlockedWhisper', where: (userId) => ({ userId }) },
+  { key: 'safetyEvents', model: 'safetyEvent', where: (userId) => ({ userId }) },
+  { key: 'voiceAttachments', model: 'messageAttachment', where: (userId) => ({ userId }) },
+  { key: 'sessions', model: 'authSession', where: (userId) => ({ userId }) },
+  { key: 'activitySessions', model: 'userSession', where: (userId) => ({ userId }) },
+  { key: 'passwordResetTokens', model: 'passwordResetToken', where: (userId) => ({ userId }) },
+  { key: 'emailVerificationTokens', model: 'emailVerificationToken', where: (userId) => ({ userId }) },
+  { key: 'twoFactorRecoveryCodes', model: 'twoFactorRecoveryCode', where: (userId) => ({ userId }) },
+  { key: 'emotionProfile', model: 'userEmotionProfile', where: (userId) => ({ userId }) },
+  { key: 'usage', model: 'usage', where: (userId) => ({ userId }) },
+  { key: 'messages', model: 'message', where: (userId) => ({ userId }) },
+  { key: 'conversations', model: 'conversation', where: (userId) => ({ userId }) },
+  { key: 'deletionRequests', model: 'accountDeletionRequest', where: (userId) => ({ userId }) },
+];
+
+class AccountDeletionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AccountDeletionError';
+    this.code = code;
+  }
+}
+
+function hashToken(rawToken) {
+  return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+}
+
+function hasActiveSubscription(user) {
+  return !!(
+    user.lemonSubscriptionId &&
+    (user.isPremium || user.plan === 'premium' || user.plan === 'pro')
+  );
+}
+
+// Avatars are named "u<userId>_..." (see routes/user.js); uploads/voice holds
+// recordings from before they moved to a temp dir (services/messageAttachmentService.js).
+// The current avatar is included by path as well, since it may predate that
+// naming.
+function listUserFiles(user) {
+  const files = new Set();
+  const prefix = `u${user.id}_`;
+
+  for (const dir of [uploadsRoot, voiceDir]) {
+    try {
+      for (const name of fs.readdirSync(dir)) {
+        if (name.startsWith(prefix)) files.add(path.join(dir, name));
+      }
+    } catch (err) {
+      if (err && err.code !== 'ENOENT') {
+        logger.error('list files error', { err });
+      }
+    }
+  }
+
+  if (user.photoUrl && typeof user.photoUrl === 'string') {
+    const relative = user.photoUrl.replace(/^\/?uploads\//, '');
+    const filePath = path.resolve(uploadsRoot, relative);
+    if (filePath.startsWith(uploadsRoot + path.sep) && fs.existsSync(filePath)) {
+      files.add(filePath);
+    }
+  }
+
+  return Array.from(files);
+}
+
+function removeFiles(files) {
+  let removed = 0;
+  for (const filePath of files) {
+    try {
+      fs.unlinkSync(filePath);
+      removed += 1;
+    } catch (err) {
+      if (err && err.code !== 'ENOENT') {
+        logger.error('file delete error', { err });
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Exactly what deleting this account would remove.
+ *
+ * @param {number} userId
+ * @returns {Promise<{ counts: Record<string, number>, files: number,
+ *   subscription: { active: boolean }, scheduledFor: Date|null, graceDays: number }|null>}
+ */
+async function getDeletionSummary(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { deletionRequest: true },
+  });
+  if (!user) return null;
+
+  const counts = {};
+  await Promise.all(
+    USER_DATA_TABLES.map(async (table) => {
+      counts[table.key] = await prisma[table.model].count({ where: table.where(userId) });
+    })
+  );
+
+  return {
+    counts,
+    files: listUserFiles(user).length,
+    subscription: { active: hasActiveSubscription(user) },
+    scheduledFor: user.deletionRequest ? user.deletionRequest.scheduledFor : null,
+    graceDays: GRACE_DAYS,
+  };
+}
+
+async function cancelBillingForDeletion(user) {
+  if (!user.lemonSubscriptionId) return false;
+  try {
+    await cancelSubscription(user.lemonSubscriptionId);
+    return true;
+  } catch (err) {
+    // An expired or already-cancelled subscription is rejected by the API;
+    // that is only fatal while the user is still on a paid plan.
+    if (!hasActiveSubscription(user)) return false;
+    logger.error('subscription cancel failed', { userId: user.id, err });
+    throw new AccountDeletionError(
+      err instanceof BillingError ? err.message : 'Failed to cancel subscription',
+      'BILLING_CANCEL_FAILED'
+    );
+  }
+}
+
+/**
+ * Delete an account and everything it owns, now.
+ * Throws AccountDeletionError('BILLING_CANCEL_FAILED') without deleting
+ * anything if a paid subscription could not be cancelled.
+ *
+ * @param {number} userId
+ * @param {{ trigger?: 'user'|'scheduled'|'admin' }} [options]
+ * @returns {Promise<{ counts: Record<string, number>, filesRemoved: number, subscriptionCancelled: boolean }|null>}
+ */
+async function deleteAccountNow(userId, { trigger = 'user' } = {}) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { deletionRequest: true },
+  });
+  if (!user) return null;
+
+  const subscriptionCancelled = await cancelBillingForDeletion(user);
+  const files = listUserFiles(user);
+  const attachmentKeys = await listAttachmentKeys(user.id);
+
+  const counts = await prisma.$transaction(
+    async (tx) => {
+      const deleted = {};
+      for (const table of USER_DATA_TABLES) {
+        const { count } = await tx[table.model].deleteMany({ where: table.where(user.id) });
+        deleted[table.key] = count;
+      }
+      await tx.user.delete({ where: { id: user.id } });
+      return deleted;
+    },
+    { timeout: 60000 }
+  );
+
+  const filesRemoved = removeFiles(files) + (await deleteStoredObjects(attachmentKeys));
+
+  try {
+    await prisma.accountDeletionTombstone.create({
+      data: {
+        trigger,
+        plan: user.plan || null,
+        accountAgeDays: Math.max(0, Math.floor((Date.now() - user.createdAt.getTime()) / DAY_MS)),
+        deletedCounts: counts,
+        filesRemoved,
+        subscriptionCancelled,
+        requestedAt: user.deletionRequest ? user.deletionRequest.requestedAt : null,
+      },
+    });
+  } catch (err) {
+    logger.error('tombstone write error', { err });
+  }
+
+  return { counts, filesRemoved, subscriptionCancelled };
+}
+
+function buildUndoLink(rawToken) {
+  const frontendBase = process.env.FRONTEND_URL || 'http://localhost:5173';
+  try {
+    const url = new URL('/undo-account-deletion', frontendBase);
+    url.searchParams.set('token', rawToken);
+    return url.toString();
+  } catch {
+    return `${frontendBase.replace(/\/$/, '')}/undo-account-deletion?token=${encodeURIComponent(rawToken)}`;
+  }
+}
+
+/**
+ * Schedule deletion after the grace period and email an undo link.
+ * Calling it again restarts the grace period with a fresh link.
+ *
+ * @param {{ userId: number, language?: string }} params
+ * @returns {Promise<{ scheduledFor: Date }|null>}
+ */
+async function scheduleAccountDeletion({ userId, language }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true },
+  });
+  if (!user) return null;
+
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  const tokenHash = hashToken(rawToken);
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + GRACE_DAYS * DAY_MS);
+
+  await prisma.accountDeletionRequest.upsert({
+    where: { userId: user.id },
+    create: { userId: user.id, tokenHash, requestedAt, scheduledFor },
+    update: { tokenHash, requestedAt, scheduledFor },
+  });
+
+  try {
+    await sendAccountDeletionScheduledEmail({
+      to: user.email,
+      undoLink: buildUndoLink(rawToken),
+      scheduledFor,
+      language,
+    });
+  } catch (err) {
+    logger.error('undo email error', { err });
+  }
+
+  return { scheduledFor };
+}
+
+/**
+ * Cancel a scheduled deletion, either by the emailed token or by user id
+ * (authenticated request from Settings). Returns true if one was cancelled.
+ *
+ * @param {{ token?: string, userId?: number }} params
+ */
+async function cancelScheduledDeletion({ token, userId }) {
+  let where = null;
+  if (token) where = { tokenHash: hashToken(token) };
+  else if (userId) where = { userId };
+  if (!where) return false;
+
+  const { count } = await prisma.accountDeletionRequest.deleteMany({ where });
+  return count > 0;
+}
+
+/**
+ * Delete every account whose grace period has passed. Failures (e.g. billing)
+ * are logged and retried on the next run.
+ */
+async function processDueDeletions() {
+  const due = await prisma.accountDeletionRequest.findMany({
+    where: { scheduledFor: { lte: new Date() } },
+    select: { userId: true },
+    orderBy: { scheduledFor: 'asc' },
+    take: 50,
+  });
+
+  let deleted = 0;
+  for (const { userId } of due) {
+    try {
+      const result = await deleteAccountNow(userId, { trigger: 'scheduled' });
+      if (result) deleted += 1;
+    } catch (err) {
+      logger.error('scheduled deletion failed', { userId, err });
+    }
+  }
+  if (due.length) {
+    logger.info('scheduled run', { due: due.length, deleted });
+  }
+  return deleted;
+}
+
+let schedulerTimer = null;
+
+// Hourly check for scheduled deletions whose grace period has ended.
+function startAccountDeletionScheduler() {
+  if (schedulerTimer) return;
+  const tick = () => {
+    processDueDeletions().catch((err) => {
+      logger.error('scheduler error', { err });
+    });
+  };
+  schedulerTimer = setInterval(tick, 60 * 60 * 1000);
+  if (typeof schedulerTimer.unref === 'function') schedulerTimer.unref();
+}
+
+module.exports = {
+  AccountDeletionError,
+  getDeletionSummary,
+  deleteAccountNow,
+  scheduleAccountDeletion,
+  cancelScheduledDeletion,
+  processDueDeletions,
+  startAccountDeletionScheduler,
+};
@@ -0,0 +1,193 @@
+// server/src/services/accountLockoutService.js
+// Account-level brute-force protection, on top of the per-IP limiters in
+// middleware/rateLimit.js (which rotating IPs get around).
+//
+// Failures are counted per account in the shared rate-limit store
+// (services/rateLimitStore), so every server instance sees the same numbers
+// and a restart does not reset them. From the `threshold`-th failure within
+// the window the account is locked for `baseMs`, doubling with every further
+// failure up to `maxMs`. A successful login clears the count.
+//
+// Accounts are keyed by the normalized email as typed, whether or not it
+// belongs to a user, so a lockout says nothing about which emails exist.
+//
+// Scopes:
+//   login           wrong passwords and 2FA codes (login, /login/2fa, /reauth,
+//                   and the current password asked by PATCH /api/user/password
+//                   and POST /api/user/email-change). The first lockout in a
+//                   window emails the account owner.
+//   passwordReset   every reset email request counts, so nobody can flood
+//                   an inbox.
+//
+// Env (defaults in brackets):
+//   LOGIN_LOCKOUT_THRESHOLD           failures before the first lock [5]
+//   LOGIN_LOCKOUT_BASE_SECONDS        first lock [60], doubles per failure
+//   LOGIN_LOCKOUT_MAX_MINUTES         longest lock [60]
+//   PASSWORD_RESET_LOCKOUT_THRESHOLD  reset emails before the first lock [3]
+//
+// Store errors never block a login: the check is skipped and logged.
+
+const prisma = require('../prisma');
+const { getRateLimitStore } = require('./rateLimitStore');
+const { sendSuspiciousLoginEmail } = require('../utils/email');
+const logger = require('../utils/logger').child({ component: 'AccountLockout' });
+
+const MINUTE_MS = 60 * 1000;
+
+function readPositiveNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const SCOPES = {
+  login: {
+    threshold: readPositiveNumber('LOGIN_LOCKOUT_THRESHOLD', 5),
+    baseMs: readPositiveNumber('LOGIN_LOCKOUT_BASE_SECONDS', 60) * 1000,
+    maxMs: readPositiveNumber('LOGIN_LOCKOUT_MAX_MINUTES', 60) * MINUTE_MS,
+    windowMs: 24 * 60 * MINUTE_MS,
+    notify: true,
+  },
+  passwordReset: {
+    threshold: readPositiveNumber('PASSWORD_RESET_LOCKOUT_THRESHOLD', 3),
+    baseMs: 5 * MINUTE_MS,
+    maxMs: 24 * 60 * MINUTE_MS,
+    windowMs: 24 * 60 * MINUTE_MS,
+    notify: false,
+  },
+};
+
+function normalizeIdentifier(identifier) {
+  return String(identifier || '').trim().toLowerCase();
+}
+
+function keys(scope, identifier) {
+  const id = normalizeIdentifier(identifier);
+  return {
+    failures: `lockout:${scope}:failures:${id}`,
+    lock: `lockout:${scope}:lock:${id}`,
+    alert: `lockout:${scope}:alert:${id}`,
+  };
+}
+
+/**
+ * Lock length after the `failures`-th failure (0 below the threshold).
+ * @param {keyof SCOPES} scope
+ * @param {number} failures
+ */
+function lockDurationMs(scope, failures) {
+  const config = SCOPES[scope];
+  if (failures < config.threshold) return 0;
+  return Math.min(config.baseMs * 2 ** (failures - config.threshold), config.maxMs);
+}
+
+function toLockout(entry) {
+  const retryAfterSeconds = Math.max(1, Math.ceil((entry.resetAt.getTime() - Date.now()) / 1000));
+  return { lockedUntil: entry.resetAt, retryAfterSeconds };
+}
+
+/**
+ * @param {keyof SCOPES} scope
+ * @param {string} identifier email
+ * @returns {Promise<{ lockedUntil: Date, retryAfterSeconds: number }|null>}
+ */
+async function getLockout(scope, identifier) {
+  if (!normalizeIdentifier(identifier)) return null;
+  try {
+    const entry = await getRateLimitStore().get(keys(scope, identifier).lock);
+    return entry ? toLockout(entry) : null;
+  } catch (err) {
+    logger.error('lockout check failed', { scope, error: err && err.message ? err.message : String(err) });
+    return null;
+  }
+}
+
+async function notifyOwner(identifier, { failures, ip }) {
+  const user = await prisma.user.findUnique({
+    where: { email: normalizeIdentifier(identifier) },
+    select: { id: true, email: true },
+  });
+  if (!user) return;
+  logger.warn('login burst', { userId: user.id, failures, ip });
+  const frontendBase = process.env.FRONTEND_URL || 'http://localhost:5173';
+  await sendSuspiciousLoginEmail({
+    to: user.email,
+    attempts: failures,
+    ip,
+    resetLink: `${frontendBase.replace(/\/$/, '')}/forgot-password`,
+    language: 'en',
+  });
+}
+
+/**
+ * Count a failure (for passwordReset: a request) and lock the account once
+ * the threshold is reached.
+ *
+ * @param {keyof SCOPES} scope
+ * @param {string} identifier email
+ * @param {{ ip?: string }} [context]
+ * @returns {Promise<{ failures: number, lockout: { lockedUntil: Date, retryAfterSeconds: number }|null }>}
+ */
+async function recordFailure(scope, identifier, { ip } = {}) {
+  const config = SCOPES[scope];
+  if (!normalizeIdentifier(identifier)) return { failures: 0, lockout: null };
+  const k = keys(scope, identifier);
+
+  try {
+    const store = getRateLimitStore();
+    const { count: failures } = await store.increment(k.failures, config.windowMs);
+    const durationMs = lockDurationMs(scope, failures);
+    if (!durationMs) return { failures, lockout: null };
+
+    const lock = await store.increment(k.lock, durationMs);
+
+    // One email per window, however many instances see the burst.
+    if (config.notify && failures === config.threshold) {
+      const { count } = await store.increment(k.alert, config.windowMs);
+      if (count === 1) {
+        notifyOwner(identifier, { failures, ip }).catch((err) =>
+          logger.error('login burst email failed', { error: err && err.message ? err.message : String(err) })
+        );
+      }
+    }
+
+    return { failures, lockout: toLockout(lock) };
+  } catch (err) {
+    logger.error('failure not recorded', { scope, error: err && err.message ? err.message : String(err) });
+    return { failures: 0, lockout: null };
+  }
+}
+
+/**
+ * Body of the 429 answered while an account is locked.
+ * @param {{ retryAfterSeconds: number }} lockout
+ * @param {string} [what] what was tried too often
+ */
+function lockoutResponse(lockout, what = 'failed attempts') {
+  const minutes = Math.ceil(lockout.retryAfterSeconds / 60);
+  return {
+    message: `Too many ${what}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfterSeconds: lockout.retryAfterSeconds,
+  };
+}
+
+/** Forget the failures and any lock, e.g. after a successful login. */
+async function clearFailures(scope, identifier) {
+  if (!normalizeIdentifier(identifier)) return;
+  const k = keys(scope, identifier);
+  try {
+    const store = getRateLimitStore();
+    await Promise.all([store.reset(k.failures), store.reset(k.lock)]);
+  } catch (err) {
+    logger.error('failures not cleared', { scope, error: err && err.message ? err.message : String(err) });
+  }
+}
+
+module.exports = {
+  LOCKOUT_SCOPES: SCOPES,
+  lockDurationMs,
+  getLockout,
+  recordFailure,
+  clearFailures,
+  lockoutResponse,
+};
@@ -0,0 +1,121 @@
+// server/src/services/adminAuditService.js
+// Audit trail of admin actions (AdminAuditLog).
+//
+// auditAdminRequests() records every request that reaches routes/admin.js,
+// refused ones included, once the response is sent: who (id, email and role
+// at the time), which route, the target user, the HTTP status and the
+// request's params, query and body, plus the body's `reason` in its own
+// column (account changes require one). Handlers can add details through
+// res.locals.audit. Role grants made outside a request (the env bootstrap in
+// services/roleService.js) are written with recordAdminAction().
+//
+// Writing the log never fails the action itself; errors are logged.
+
+const prisma = require('../prisma');
+const logger = require('../utils/logger').child({ component: 'AdminAudit' });
+
+const SECRET_FIELD = /password|token|secret|code/i;
+const MAX_STRING_LENGTH = 500;
+
+// Copy of a params/query/body object that is safe to keep forever.
+function sanitize(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return value.slice(0, MAX_STRING_LENGTH);
+  if (typeof value !== 'object') return value;
+  if (depth > 3) return '[truncated]';
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => sanitize(v, depth + 1));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SECRET_FIELD.test(key) ? '[redacted]' : sanitize(v, depth + 1);
+  }
+  return out;
+}
+
+function isEmpty(value) {
+  return !value || (typeof value === 'object' && Object.keys(value).length === 0);
+}
+
+/**
+ * @param {{
+ *   actorId?: number|null, actorEmail?: string|null, actorRole?: string|null,
+ *   action: string, targetUserId?: number|null, status?: number|null,
+ *   details?: object|null, reason?: string|null, ip?: string|null,
+ * }} entry
+ */
+async function recordAdminAction(entry) {
+  try {
+    await prisma.adminAuditLog.create({
+      data: {
+        actorId: entry.actorId ?? null,
+        actorEmail: entry.actorEmail ?? null,
+        actorRole: entry.actorRole ?? null,
+        action: entry.action,
+        targetUserId: entry.targetUserId ?? null,
+        status: entry.status ?? null,
+        details: isEmpty(entry.details) ? undefined : sanitize(entry.details),
+        reason: typeof entry.reason === 'string' && entry.reason ? entry.reason.slice(0, MAX_STRING_LENGTH) : null,
+        ip: entry.ip ?? null,
+      },
+    });
+  } catch (err) {
+    logger.error('audit entry not written', {
+      action: entry.action,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+}
+
+function targetUserIdOf(req) {
+  const id = Number(req.params && req.params.id);
+  return req.route && /\/users?\/:id/.test(req.route.path) && Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Router-level middleware for routes/admin.js; mount after requireAuth.
+ * The action is "<METHOD> <route path>", e.g. "DELETE /users/:id".
+ */
+function auditAdminRequests(req, res, next) {
+  res.on('finish', () => {
+    const extra = res.locals.audit || {};
+    recordAdminAction({
+      actorId: req.user ? req.user.id : null,
+      actorEmail: req.user ? req.user.email : null,
+      actorRole: req.admin ? req.admin.role : null,
+      action: `${req.method} ${req.route ? req.route.path : req.path}`,
+      targetUserId: extra.targetUserId ?? targetUserIdOf(req),
+      status: res.statusCode,
+      details: {
+        ...(isEmpty(req.params) ? {} : { params: req.params }),
+        ...(isEmpty(req.query) ? {} : { query: req.query }),
+        ...(isEmpty(req.body) ? {} : { body: req.body }),
+        ...(extra.details || {}),
+      },
+      reason: req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : null,
+      ip: req.ip || null,
+    });
+  });
+  next();
+}
+
+/**
+ * Newest first. `before` is an entry id for paging.
+ * @param {{ actorId?: number, targetUserId?: number, action?: string, before?: number, limit?: number }} filter
+ */
+async function listAdminActions({ actorId, targetUserId, action, before, limit = 50 } = {}) {
+  const where = {};
+  if (actorId) where.actorId = actorId;
+  if (targetUserId) where.targetUserId = targetUserId;
+  if (action) where.action = { contains: action };
+  if (before) where.id = { lt: before };
+  return prisma.adminAuditLog.findMany({
+    where,
+    orderBy: { id: 'desc' },
+    take: limit,
+  });
+}
+
+module.exports = {
+  recordAdminAction,
+  auditAdminRequests,
+  listAdminActions,
+};
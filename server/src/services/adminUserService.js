@@ -0,0 +1,242 @@
+// server/src/services/adminUserService.js
+// Account fixes for support staff (routes/admin.js): plan overrides, bonus
+// messages, usage resets, suspension, forced logout and deletion.
+//
+// A plan override (User.planOverride) stands in for the billed plan until it
+// expires (config/limits.js effectivePlan); LemonSqueezy webhooks keep
+// writing User.plan underneath it. Bonus messages (Usage.bonusMessages) are
+// spent once the monthly limit is reached (services/usageService.js). A
+// suspended account is refused by requireAuth, at login and at refresh;
+// suspension and forced logout also hang up a live voice call, which is only
+// authenticated when it opens.
+
+const prisma = require('../prisma');
+const { PLANS } = require('../config/limits');
+const { outranks } = require('../config/roles');
+const { ensureUsage } = require('./usageService');
+const { revokeAllSessions, forgetSessionChecks } = require('./authSessionService');
+const { deleteAccountNow } = require('./accountDeletionService');
+const { closeCallsFor } = require('../routes/voiceCall');
+const logger = require('../utils/logger').child({ component: 'AdminUsers' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OVERRIDE_DAYS = 366;
+const MAX_BONUS_MESSAGES = 10000;
+
+class AdminUserError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AdminUserError';
+    this.code = code;
+  }
+}
+
+const USER_FIELDS = {
+  id: true,
+  email: true,
+  plan: true,
+  planOverride: true,
+  planOverrideExpiresAt: true,
+  suspendedAt: true,
+  suspensionReason: true,
+};
+
+async function findUser(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: USER_FIELDS });
+  if (!user) throw new AdminUserError('User not found', 'NOT_FOUND');
+  return user;
+}
+
+function checkDays(days) {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_OVERRIDE_DAYS) {
+    throw new AdminUserError(`days must be a whole number from 1 to ${MAX_OVERRIDE_DAYS}`, 'INVALID_DAYS');
+  }
+}
+
+function isOverrideActive(user) {
+  return !!user.planOverride && !!user.planOverrideExpiresAt && user.planOverrideExpiresAt > new Date();
+}
+
+/**
+ * Put the user on `plan` for `days` days from now, replacing any override.
+ * @returns {Promise<{ user: object, previous: { planOverride: string|null, planOverrideExpiresAt: Date|null } }>}
+ */
+async function setPlanOverride(userId, { plan, days }) {
+  if (!PLANS.includes(plan)) {
+    throw new AdminUserError(`plan must be one of: ${PLANS.join(', ')}`, 'INVALID_PLAN');
+  }
+  checkDays(days);
+  const current = await findUser(userId);
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { planOverride: plan, planOverrideExpiresAt: new Date(Date.now() + days * DAY_MS) },
+    select: USER_FIELDS,
+  });
+  return {
+    user,
+    previous: { planOverride: current.planOverride, planOverrideExpiresAt: current.planOverrideExpiresAt },
+  };
+}
+
+/**
+ * Push the expiry of the current override back by `days` days. Throws
+ * NO_OVERRIDE when none is in force.
+ */
+async function extendPlanOverride(userId, days) {
+  checkDays(days);
+  const current = await findUser(userId);
+  if (!isOverrideActive(current)) {
+    throw new AdminUserError('This user has no plan override to extend', 'NO_OVERRIDE');
+  }
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { planOverrideExpiresAt: new Date(current.planOverrideExpiresAt.getTime() + days * DAY_MS) },
+    select: USER_FIELDS,
+  });
+  return { user, previous: { planOverrideExpiresAt: current.planOverrideExpiresAt } };
+}
+
+/** Back to the billed plan. */
+async function clearPlanOverride(userId) {
+  const current = await findUser(userId);
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { planOverride: null, planOverrideExpiresAt: null },
+    select: USER_FIELDS,
+  });
+  return {
+    user,
+    previous: { planOverride: current.planOverride, planOverrideExpiresAt: current.planOverrideExpiresAt },
+  };
+}
+
+/**
+ * Add `amount` one-off messages on top of the monthly limit.
+ * @returns {Promise<object>} the Usage row
+ */
+async function grantBonusMessages(userId, amount) {
+  if (!Number.isInteger(amount) || amount < 1 || amount > MAX_BONUS_MESSAGES) {
+    throw new AdminUserError(`amount must be a whole number from 1 to ${MAX_BONUS_MESSAGES}`, 'INVALID_AMOUNT');
+  }
+  await findUser(userId);
+  await ensureUsage(userId);
+  return prisma.usage.update({
+    where: { userId },
+    data: { bonusMessages: { increment: amount } },
+  });
+}
+
+/**
+ * Zero the daily and monthly counters and lift a daily lock. Bonus
+ * messages are kept.
+ * @returns {Promise<{ usage: object, previous: { dailyCount: number, monthlyCount: number } }>}
+ */
+async function resetUsage(userId) {
+  await findUser(userId);
+  const current = await ensureUsage(userId);
+  const usage = await prisma.usage.update({
+    where: { userId },
+    data: { dailyCount: 0, monthlyCount: 0, dailyResetAt: null },
+  });
+  return { usage, previous: { dailyCount: current.dailyCount, monthlyCount: current.monthlyCount } };
+}
+
+/**
+ * Refuse to act on an account whose role is the same as or above the
+ * actor's (ROLE_TOO_HIGH), so staff cannot lock out their peers or seniors.
+ * @param {string|null} actorRole
+ * @param {number} userId
+ */
+async function assertOutranks(actorRole, userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { role: true } });
+  if (!user) throw new AdminUserError('User not found', 'NOT_FOUND');
+  if (!outranks(actorRole, user.role)) {
+    throw new AdminUserError('You cannot do this to an account with the same or a higher role', 'ROLE_TOO_HIGH');
+  }
+}
+
+/**
+ * Suspend the account. Its sessions stay, but requireAuth and refresh
+ * refuse them until unsuspended; force a logout to end them for good.
+ * Suspending again keeps the original date and replaces the reason.
+ */
+async function suspendUser(userId, reason) {
+  const current = await findUser(userId);
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { suspendedAt: current.suspendedAt || new Date(), suspensionReason: reason },
+    select: USER_FIELDS,
+  });
+  await forgetSessionChecks(userId);
+  closeCallsFor(userId);
+  logger.info('account suspended', { userId });
+  return { user, previous: { suspendedAt: current.suspendedAt, suspensionReason: current.suspensionReason } };
+}
+
+async function unsuspendUser(userId) {
+  const current = await findUser(userId);
+  if (!current.suspendedAt) {
+    throw new AdminUserError('This account is not suspended', 'NOT_SUSPENDED');
+  }
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { suspendedAt: null, suspensionReason: null },
+    select: USER_FIELDS,
+  });
+  await forgetSessionChecks(userId);
+  logger.info('account unsuspended', { userId });
+  return { user, previous: { suspendedAt: current.suspendedAt, suspensionReason: current.suspensionReason } };
+}
+
+/**
+ * Sign the user out everywhere.
+ * @returns {Promise<number>} sessions revoked
+ */
+async function forceLogout(userId) {
+  await findUser(userId);
+  const revoked = await revokeAllSessions(userId);
+  closeCallsFor(userId);
+  return revoked;
+}
+
+/**
+ * Delete the account and everything it owns, as a self-service deletion
+ * does (services/accountDeletionService.js). Refuses the actor's own account
+ * (SELF_DELETE) and the last admin (LAST_ADMIN). AccountDeletionError from a
+ * failed subscription cancel passes through; nothing is deleted then.
+ *
+ * @param {number} actorId the admin deleting
+ * @param {number} userId
+ * @returns {Promise<{ counts: Record<string, number>, filesRemoved: number, subscriptionCancelled: boolean }>}
+ */
+async function deleteUser(actorId, userId) {
+  if (userId === actorId) {
+    throw new AdminUserError('You cannot delete your own account here', 'SELF_DELETE');
+  }
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, role: true } });
+  if (!user) throw new AdminUserError('User not found', 'NOT_FOUND');
+  if (user.role === 'admin' && (await prisma.user.count({ where: { role: 'admin' } })) <= 1) {
+    throw new AdminUserError('The last admin account cannot be deleted', 'LAST_ADMIN');
+  }
+
+  const result = await deleteAccountNow(userId, { trigger: 'admin' });
+  if (!result) throw new AdminUserError('User not found', 'NOT_FOUND');
+  logger.info('account deleted by admin', { userId, actorId });
+  return result;
+}
+
+module.exports = {
+  AdminUserError,
+  MAX_OVERRIDE_DAYS,
+  MAX_BONUS_MESSAGES,
+  assertOutranks,
+  setPlanOverride,
+  extendPlanOverride,
+  clearPlanOverride,
+  grantBonusMessages,
+  resetUsage,
+  suspendUser,
+  unsuspendUser,
+  forceLogout,
+  deleteUser,
+};
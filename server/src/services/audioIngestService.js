@@ -0,0 +1,385 @@
+// server/src/services/audioIngestService.js
+// Validation and normalization of uploaded voice messages before STT.
+//
+//   1. Magic bytes: the file must really be one of the containers we accept,
+//      whatever MIME type the client claimed.
+//   2. ffprobe: there must be an audio stream in an allowed codec; a duration
+//      in the header that is already over the limit is rejected up front.
+//   3. ffmpeg: decode to 16 kHz mono 16-bit WAV (one format for every
+//      provider), stopping just past the limit so long uploads cost little.
+//      The real duration is measured on the decoded output, since browser
+//      recordings (MediaRecorder webm) often carry no duration header.
+//      The same samples give the waveform peaks stored with the message
+//      attachment (services/messageAttachmentService.js).
+//
+// Failures throw AudioIngestError with a stable `code` that the client maps
+// to a message (see src/voiceErrors.js, shown in VoiceMessageBubble.jsx).
+//
+// Needs ffmpeg/ffprobe on PATH (or FFMPEG_PATH / FFPROBE_PATH); see
+// DEPLOYMENT_CHECKLIST.md. When they are missing the upload is passed
+// through as-is after the magic-byte check, with a warning in the log, so
+// voice messages keep working but duration is not enforced.
+// VOICE_AUDIO_PROCESSING=off skips steps 2-3 the same way on purpose, for
+// local development.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const logger = require('../utils/logger').child({ component: 'AudioIngest' });
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const PROCESS_TIMEOUT_MS = parseInt(process.env.AUDIO_PROCESS_TIMEOUT_MS || '20000', 10);
+const MIN_SECONDS = 0.5;
+
+const TARGET_SAMPLE_RATE = 16000;
+const TARGET_BYTES_PER_SECOND = TARGET_SAMPLE_RATE * 2; // mono, 16-bit
+const WAV_HEADER_BYTES = 44;
+
+// Bars drawn by VoiceMessageBubble.jsx; also used for spoken replies.
+const WAVEFORM_BUCKETS = 48;
+const ANALYZE_SAMPLE_RATE = 8000;
+
+const ALLOWED_CODECS = new Set(['opus', 'vorbis', 'aac', 'mp3', 'flac']);
+
+const ERROR_STATUS = {
+  invalid_audio: 400,
+  unsupported_codec: 415,
+  audio_too_short: 400,
+  audio_too_long: 413,
+  audio_too_large: 413,
+  audio_processing_unavailable: 503,
+};
+
+class AudioIngestError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AudioIngestError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 400;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.code, message: this.message, ...this.details };
+  }
+}
+
+/**
+ * Identify the container from the first bytes of the file.
+ * @param {Buffer} head at least the first 16 bytes
+ * @returns {'webm'|'ogg'|'wav'|'mp3'|'mp4'|'aac'|null}
+ */
+function sniffAudioContainer(head) {
+  if (!head || head.length < 4) return null;
+
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) {
+    return 'webm'; // EBML (webm / matroska)
+  }
+  if (head.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  if (head.length >= 12 && head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (head.length >= 8 && head.toString('ascii', 4, 8) === 'ftyp') return 'mp4';
+  if (head.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return 'aac'; // ADTS
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return 'mp3'; // MPEG frame sync
+  return null;
+}
+
+async function readHead(filePath, length = 16) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buf, 0, length, 0);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      { timeout: PROCESS_TIMEOUT_MS, maxBuffer: 1024 * 1024 },
+      (err, stdout, stderr) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            reject(
+              new AudioIngestError(
+                'audio_processing_unavailable',
+                'Voice messages are temporarily unavailable.'
+              )
+            );
+            return;
+          }
+          err.stderr = String(stderr || '').slice(-500);
+          reject(err);
+          return;
+        }
+        resolve(String(stdout || ''));
+      }
+    );
+  });
+}
+
+function isPcmCodec(codec) {
+  return /^pcm_/.test(codec);
+}
+
+async function probeAudio(filePath) {
+  let stdout;
+  try {
+    stdout = await run(FFPROBE_PATH, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath,
+    ]);
+  } catch (err) {
+    if (err instanceof AudioIngestError) throw err;
+    throw new AudioIngestError('invalid_audio', 'The recording could not be read.');
+  }
+
+  let info;
+  try {
+    info = JSON.parse(stdout);
+  } catch {
+    info = {};
+  }
+  const streams = Array.isArray(info.streams) ? info.streams : [];
+  const audio = streams.find((s) => s.codec_type === 'audio');
+  if (!audio) {
+    throw new AudioIngestError('invalid_audio', 'The recording has no audio.');
+  }
+
+  const codec = String(audio.codec_name || '').toLowerCase();
+  const headerDuration = parseFloat(
+    audio.duration && audio.duration !== 'N/A' ? audio.duration : info.format && info.format.duration
+  );
+
+  return {
+    codec,
+    headerDurationSec: Number.isFinite(headerDuration) ? headerDuration : null,
+  };
+}
+
+async function normalizeAudio(inputPath, outputPath, maxSeconds) {
+  try {
+    await run(FFMPEG_PATH, [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(TARGET_SAMPLE_RATE),
+      '-c:a', 'pcm_s16le',
+      // Decode one second past the limit: enough to tell "too long" apart
+      // without spending time on an hour-long upload.
+      '-t', String(maxSeconds + 1),
+      '-f', 'wav',
+      outputPath,
+    ]);
+  } catch (err) {
+    if (err instanceof AudioIngestError) throw err;
+    logger.error('ffmpeg failed', { err });
+    throw new AudioIngestError('invalid_audio', 'The recording could not be decoded.');
+  }
+
+  const { size } = await fs.promises.stat(outputPath);
+  return Math.max(0, size - WAV_HEADER_BYTES) / TARGET_BYTES_PER_SECOND;
+}
+
+/**
+ * Peak amplitude per bucket of 16-bit little-endian mono PCM, scaled so the
+ * loudest bucket is 1 (quiet recordings still draw a visible waveform).
+ * @param {Buffer} pcm
+ * @param {number} [buckets]
+ * @returns {number[]|null} values in 0..1 with two decimals
+ */
+function computeWaveformPeaks(pcm, buckets = WAVEFORM_BUCKETS) {
+  const sampleCount = Math.floor((pcm ? pcm.length : 0) / 2);
+  if (!sampleCount) return null;
+
+  const perBucket = Math.max(1, Math.ceil(sampleCount / buckets));
+  const peaks = [];
+  for (let start = 0; start < sampleCount; start += perBucket) {
+    const end = Math.min(sampleCount, start + perBucket);
+    let peak = 0;
+    for (let i = start; i < end; i += 1) {
+      const v = Math.abs(pcm.readInt16LE(i * 2));
+      if (v > peak) peak = v;
+    }
+    peaks.push(peak);
+  }
+
+  const max = Math.max(...peaks);
+  return peaks.map((p) => (max ? Math.round((p / max) * 100) / 100 : 0));
+}
+
+function isProcessingEnabled() {
+  return String(process.env.VOICE_AUDIO_PROCESSING || 'on').toLowerCase() !== 'off';
+}
+
+let warnedMissingBinaries = false;
+
+// The upload as the client sent it, when steps 2-3 are skipped.
+function passThrough(file, container) {
+  return {
+    path: file.path,
+    mimetype: file.mimetype,
+    container,
+    codec: null,
+    durationSec: null,
+    normalized: false,
+  };
+}
+
+function isUnavailable(err) {
+  return err instanceof AudioIngestError && err.code === 'audio_processing_unavailable';
+}
+
+function warnMissingBinaries() {
+  if (warnedMissingBinaries) return;
+  warnedMissingBinaries = true;
+  logger.warn('ffprobe/ffmpeg not found; voice uploads are passed through unchecked (no duration limit)', {
+    ffprobe: FFPROBE_PATH,
+    ffmpeg: FFMPEG_PATH,
+  });
+}
+
+/**
+ * Validate and normalize a multer upload.
+ *
+ * @param {{ path: string, mimetype?: string }} file
+ * @param {{ maxSeconds: number }} options per-plan limit (config/limits.js)
+ * @returns {Promise<{ path: string, mimetype: string, container: string,
+ *   codec: string|null, durationSec: number|null, durationMs?: number,
+ *   waveformPeaks?: number[]|null, normalized: boolean }>}
+ *   `path` is the file to transcribe; when `normalized` it is a new temp
+ *   file the caller must delete.
+ */
+async function ingestVoiceUpload(file, { maxSeconds }) {
+  const container = sniffAudioContainer(await readHead(file.path));
+  if (!container) {
+    throw new AudioIngestError('unsupported_codec', 'This audio format is not supported.');
+  }
+
+  if (!isProcessingEnabled()) {
+    return passThrough(file, container);
+  }
+
+  let probe;
+  try {
+    probe = await probeAudio(file.path);
+  } catch (err) {
+    if (!isUnavailable(err)) throw err;
+    warnMissingBinaries();
+    return passThrough(file, container);
+  }
+  const { codec, headerDurationSec } = probe;
+  if (!ALLOWED_CODECS.has(codec) && !isPcmCodec(codec)) {
+    throw new AudioIngestError('unsupported_codec', 'This audio format is not supported.', {
+      codec,
+    });
+  }
+  if (headerDurationSec !== null && headerDurationSec > maxSeconds + 0.5) {
+    throw new AudioIngestError('audio_too_long', `Voice messages can be up to ${maxSeconds} seconds.`, {
+      maxSeconds,
+      durationSeconds: Math.round(headerDurationSec),
+    });
+  }
+
+  const outputPath = `${file.path}.norm.wav`;
+  let durationSec;
+  let waveformPeaks = null;
+  try {
+    durationSec = await normalizeAudio(file.path, outputPath, maxSeconds);
+    if (durationSec > maxSeconds + 0.5) {
+      // Decoding stops just past the limit, so the true length is unknown here.
+      throw new AudioIngestError('audio_too_long', `Voice messages can be up to ${maxSeconds} seconds.`, {
+        maxSeconds,
+      });
+    }
+    if (durationSec < MIN_SECONDS) {
+      throw new AudioIngestError('audio_too_short', 'The recording is too short.');
+    }
+    const wav = await fs.promises.readFile(outputPath);
+    waveformPeaks = computeWaveformPeaks(wav.subarray(WAV_HEADER_BYTES));
+  } catch (err) {
+    await fs.promises.unlink(outputPath).catch(() => {});
+    if (!isUnavailable(err)) throw err;
+    warnMissingBinaries();
+    return passThrough(file, container);
+  }
+
+  return {
+    path: outputPath,
+    mimetype: 'audio/wav',
+    container,
+    codec,
+    durationSec: Math.round(durationSec * 10) / 10,
+    durationMs: Math.round(durationSec * 1000),
+    waveformPeaks,
+    normalized: true,
+  };
+}
+
+/**
+ * Duration and waveform of audio we produced ourselves (the TTS reply), for
+ * its message attachment. Decodes from memory; returns nulls instead of
+ * throwing when ffmpeg is missing or the audio cannot be decoded.
+ *
+ * @param {Buffer} buffer encoded audio (e.g. mp3)
+ * @returns {Promise<{ durationMs: number|null, waveformPeaks: number[]|null }>}
+ */
+function analyzeAudioBuffer(buffer) {
+  const empty = { durationMs: null, waveformPeaks: null };
+  if (!isProcessingEnabled() || !buffer || !buffer.length) {
+    return Promise.resolve(empty);
+  }
+
+  return new Promise((resolve) => {
+    const child = execFile(
+      FFMPEG_PATH,
+      [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', 'pipe:0',
+        '-vn',
+        '-ac', '1',
+        '-ar', String(ANALYZE_SAMPLE_RATE),
+        '-f', 's16le',
+        'pipe:1',
+      ],
+      { timeout: PROCESS_TIMEOUT_MS, maxBuffer: 32 * 1024 * 1024, encoding: 'buffer' },
+      (err, stdout) => {
+        if (err) {
+          if (err.code !== 'ENOENT') {
+            logger.error('analyze failed', { err });
+          }
+          resolve(empty);
+          return;
+        }
+        const pcm = stdout || Buffer.alloc(0);
+        resolve({
+          durationMs: Math.round((pcm.length / 2 / ANALYZE_SAMPLE_RATE) * 1000) || null,
+          waveformPeaks: computeWaveformPeaks(pcm),
+        });
+      }
+    );
+    child.stdin.on('error', () => {});
+    child.stdin.end(buffer);
+  });
+}
+
+module.exports = {
+  AudioIngestError,
+  sniffAudioContainer,
+  computeWaveformPeaks,
+  ingestVoiceUpload,
+  analyzeAudioBuffer,
+};
@@ -0,0 +1,354 @@
+// server/src/services/authSessionService.js
+// Login sessions: a short-lived access token (JWT) plus a long-lived refresh
+// token that is rotated on every use.
+//
+// Every login, registration and Google sign-in starts an AuthSession row that
+// holds the SHA-256 hash of the current refresh token, its expiry and the
+// device data requestMetadata already collects. Access tokens carry the row
+// ID (`sid`) and the user's tokenVersion (`tv`); requireAuth rejects them once
+// the session is revoked or the version is bumped (password change or reset),
+// so logout and "sign out this device" take effect immediately rather than
+// when the JWT expires.
+//
+// Presenting a refresh token that was already rotated out means it was copied:
+// the session is revoked. Two tabs refreshing at the same moment look the
+// same, so a reuse within REFRESH_REUSE_GRACE_MS only fails the late request.
+//
+// Sensitive actions (middleware/requireRecentAuth.js) also want proof that
+// the person is still at the keyboard: a login or a re-authentication on this
+// session within REAUTH_WINDOW_MINUTES.
+//
+//   ACCESS_TOKEN_TTL_MINUTES  access JWT lifetime (default 15)
+//   REFRESH_TOKEN_TTL_DAYS    refresh token lifetime (default 30)
+//   REAUTH_WINDOW_MINUTES     how long a login or re-authentication counts as recent (default 10)
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const { getCachedValue, clearCachedValue } = require('../utils/ttlCache');
+const logger = require('../utils/logger').child({ component: 'AuthSessions' });
+
+function readPositiveNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const ACCESS_TOKEN_TTL_SECONDS = Math.round(readPositiveNumber('ACCESS_TOKEN_TTL_MINUTES', 15) * 60);
+const REFRESH_TOKEN_TTL_MS = readPositiveNumber('REFRESH_TOKEN_TTL_DAYS', 30) * 24 * 60 * 60 * 1000;
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+const REAUTH_WINDOW_MS = readPositiveNumber('REAUTH_WINDOW_MINUTES', 10) * 60 * 1000;
+
+// How long requireAuth trusts a session lookup. Revocations made by this
+// process clear the entry right away; other instances see them within this.
+const SESSION_CHECK_CACHE_MS = 30 * 1000;
+
+class AuthSessionError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'AuthSessionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function hashToken(rawToken) {
+  return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sessionCacheKey(sessionId) {
+  return `authSession:${sessionId}`;
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, sid: sessionId, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+function deviceFields(req) {
+  const meta = (req && req.requestMetadata) || {};
+  return {
+    country: typeof meta.country === 'string' ? meta.country : null,
+    deviceType: typeof meta.deviceType === 'string' ? meta.deviceType : null,
+    browser: typeof meta.browser === 'string' ? meta.browser : null,
+  };
+}
+
+/**
+ * Start a session for a user who just proved who they are.
+ *
+ * @param {{ user: { id: number, email: string, tokenVersion?: number }, req?: object }} args
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: number }>}
+ */
+async function createLoginSession({ user, req }) {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+  const session = await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      ...deviceFields(req),
+      refreshTokenHash: hashToken(refreshToken),
+      tokenVersion: user.tokenVersion || 0,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      lastUsedAt: now,
+    },
+  });
+  return {
+    accessToken: signAccessToken(user, session.id),
+    refreshToken,
+    sessionId: session.id,
+  };
+}
+
+async function revokeById(sessionId) {
+  await prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), refreshTokenHash: null, previousRefreshTokenHash: null },
+  });
+  clearCachedValue(sessionCacheKey(sessionId));
+}
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Throws AuthSessionError when the token is unknown, expired, revoked or
+ * was already used.
+ *
+ * @param {string} rawToken
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: number }>}
+ */
+async function rotateRefreshToken(rawToken) {
+  if (!rawToken || typeof rawToken !== 'string') {
+    throw new AuthSessionError('Not authenticated', 'no_refresh_token');
+  }
+  const tokenHash = hashToken(rawToken);
+  const now = new Date();
+
+  const session = await prisma.authSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: { select: { id: true, email: true, tokenVersion: true, suspendedAt: true } } },
+  });
+
+  if (!session) {
+    const rotated = await prisma.authSession.findFirst({
+      where: { previousRefreshTokenHash: tokenHash, revokedAt: null },
+    });
+    if (rotated) {
+      const sinceRotation = now.getTime() - new Date(rotated.lastUsedAt || 0).getTime();
+      if (sinceRotation <= REFRESH_REUSE_GRACE_MS) {
+        throw new AuthSessionError('Session was just refreshed', 'refresh_conflict', 409);
+      }
+      await revokeById(rotated.id);
+      logger.warn('refresh token reused, session revoked', { sessionId: rotated.id, userId: rotated.userId });
+    }
+    throw new AuthSessionError('Invalid refresh token', 'invalid_refresh_token');
+  }
+
+  if (session.revokedAt || !session.expiresAt || session.expiresAt <= now) {
+    throw new AuthSessionError('Session expired', 'session_expired');
+  }
+  if (!session.user || session.tokenVersion !== session.user.tokenVersion) {
+    await revokeById(session.id);
+    throw new AuthSessionError('Session expired', 'session_expired');
+  }
+  if (session.user.suspendedAt) {
+    throw new AuthSessionError('This account is suspended', 'account_suspended', 403);
+  }
+
+  const refreshToken = newRefreshToken();
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(refreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: now,
+    },
+  });
+  if (count !== 1) {
+    // Another request rotated this token between our read and write.
+    throw new AuthSessionError('Session was just refreshed', 'refresh_conflict', 409);
+  }
+
+  return {
+    accessToken: signAccessToken(session.user, session.id),
+    refreshToken,
+    sessionId: session.id,
+  };
+}
+
+// The session row behind an access token, cached for SESSION_CHECK_CACHE_MS
+// so requireAuth does not hit the database on every request.
+function lookupSessionCheck(sessionId) {
+  return getCachedValue(sessionCacheKey(sessionId), SESSION_CHECK_CACHE_MS, () =>
+    prisma.authSession.findUnique({
+      where: { id: sessionId },
+      select: {
+        userId: true,
+        revokedAt: true,
+        expiresAt: true,
+        user: { select: { tokenVersion: true, suspendedAt: true } },
+      },
+    })
+  );
+}
+
+/**
+ * Whether an access token payload still belongs to a live session: not
+ * revoked, not expired, and minted before the user's last password change.
+ *
+ * @param {{ id: number, sid?: number, tv?: number }} payload
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenSessionActive(payload) {
+  if (!payload || !Number.isInteger(payload.sid) || !Number.isInteger(payload.tv)) return false;
+  const { value: session } = await lookupSessionCheck(payload.sid);
+  if (!session || session.userId !== payload.id) return false;
+  if (session.revokedAt || !session.expiresAt || new Date(session.expiresAt) <= new Date()) return false;
+  return !!session.user && session.user.tokenVersion === payload.tv;
+}
+
+/**
+ * Whether the account behind an access token is suspended. Shares the cached
+ * lookup of isAccessTokenSessionActive, so call it after that.
+ */
+async function isAccessTokenUserSuspended(payload) {
+  if (!payload || !Number.isInteger(payload.sid)) return false;
+  const { value: session } = await lookupSessionCheck(payload.sid);
+  return !!(session && session.user && session.user.suspendedAt);
+}
+
+/**
+ * Drop this process's cached session checks of a user, e.g. after a
+ * suspension, so the next request sees it. Other instances see it within
+ * SESSION_CHECK_CACHE_MS.
+ */
+async function forgetSessionChecks(userId) {
+  const sessions = await prisma.authSession.findMany({
+    where: { userId, revokedAt: null },
+    select: { id: true },
+  });
+  sessions.forEach((s) => clearCachedValue(sessionCacheKey(s.id)));
+}
+
+/**
+ * Revoke one of the user's sessions. Resolves to false when the session is
+ * not theirs or already ended.
+ */
+async function revokeSession({ userId, sessionId }) {
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: sessionId, userId, revokedAt: null, refreshTokenHash: { not: null } },
+    data: { revokedAt: new Date(), refreshTokenHash: null, previousRefreshTokenHash: null },
+  });
+  clearCachedValue(sessionCacheKey(sessionId));
+  return count > 0;
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout without a valid
+ * access token). Unknown tokens are ignored.
+ */
+async function revokeSessionByRefreshToken(rawToken) {
+  if (!rawToken || typeof rawToken !== 'string') return;
+  const session = await prisma.authSession.findUnique({
+    where: { refreshTokenHash: hashToken(rawToken) },
+    select: { id: true },
+  });
+  if (session) await revokeById(session.id);
+}
+
+/**
+ * Revoke every live session of a user, optionally keeping one.
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+  const where = { userId, revokedAt: null, refreshTokenHash: { not: null } };
+  if (exceptSessionId) where.id = { not: exceptSessionId };
+  const sessions = await prisma.authSession.findMany({ where, select: { id: true } });
+  if (!sessions.length) return 0;
+  await prisma.authSession.updateMany({
+    where: { id: { in: sessions.map((s) => s.id) } },
+    data: { revokedAt: new Date(), refreshTokenHash: null, previousRefreshTokenHash: null },
+  });
+  sessions.forEach((s) => clearCachedValue(sessionCacheKey(s.id)));
+  return sessions.length;
+}
+
+/**
+ * Record that the user just confirmed their password or 2FA code on this
+ * session.
+ * @returns {Promise<Date>} until when sensitive actions are allowed
+ */
+async function markSessionReauthenticated(sessionId) {
+  const now = new Date();
+  await prisma.authSession.update({
+    where: { id: sessionId },
+    data: { reauthenticatedAt: now },
+  });
+  return new Date(now.getTime() + REAUTH_WINDOW_MS);
+}
+
+/**
+ * Whether the session logged in or re-authenticated within the window.
+ * Not cached: it gates deletes and exports, which are rare.
+ * @param {number} sessionId
+ */
+async function isRecentlyAuthenticated(sessionId) {
+  if (!Number.isInteger(sessionId)) return false;
+  const session = await prisma.authSession.findUnique({
+    where: { id: sessionId },
+    select: { createdAt: true, reauthenticatedAt: true, revokedAt: true },
+  });
+  if (!session || session.revokedAt) return false;
+  const since = Date.now() - REAUTH_WINDOW_MS;
+  return [session.createdAt, session.reauthenticatedAt].some(
+    (at) => at && new Date(at).getTime() >= since
+  );
+}
+
+/**
+ * The user's signed-in devices, most recently used first.
+ * @param {number} userId
+ * @param {number|null} [currentSessionId] flagged as `current`
+ */
+async function listActiveSessions(userId, currentSessionId = null) {
+  const rows = await prisma.authSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      refreshTokenHash: { not: null },
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: [{ lastUsedAt: 'desc' }, { createdAt: 'desc' }],
+    select: {
+      id: true,
+      country: true,
+      deviceType: true,
+      browser: true,
+      createdAt: true,
+      lastUsedAt: true,
+    },
+  });
+  return rows.map((row) => ({ ...row, current: row.id === currentSessionId }));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  AuthSessionError,
+  createLoginSession,
+  rotateRefreshToken,
+  isAccessTokenSessionActive,
+  isAccessTokenUserSuspended,
+  forgetSessionChecks,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  listActiveSessions,
+  markSessionReauthenticated,
+  isRecentlyAuthenticated,
+};
@@ -0,0 +1,75 @@
+// server/src/services/billingService.js
+// LemonSqueezy subscription calls shared by routes/billing.js and the
+// account-deletion flow.
+
+const { API_KEY, isLive } = require('../utils/lemonConfig');
+
+// Ensure fetch exists (Render should be Node 18+, but guard anyway)
+if (typeof fetch === 'undefined') {
+  global.fetch = require('node-fetch');
+}
+
+class BillingError extends Error {
+  constructor(message, { status, detail } = {}) {
+    super(message);
+    this.name = 'BillingError';
+    this.status = status || null;
+    this.detail = detail || null;
+  }
+}
+
+/**
+ * Cancel a subscription at the end of its current period.
+ * Throws BillingError when LemonSqueezy is not configured or rejects the call.
+ *
+ * @param {string} subscriptionId
+ * @returns {Promise<{ id: string, status: string, cancelled: boolean, renewsAt: string|null,
+ *   endsAt: string|null, nextRenewal: string|null, mode: 'live'|'test' }>}
+ */
+async function cancelSubscription(subscriptionId) {
+  const subId = subscriptionId ? String(subscriptionId) : '';
+  if (!subId) {
+    throw new BillingError('No active subscription to cancel');
+  }
+  if (!API_KEY) {
+    throw new BillingError('LemonSqueezy not configured');
+  }
+
+  const url = `https://api.lemonsqueezy.com/v1/subscriptions/${subId}/cancel`;
+  const lsRes = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${API_KEY}`,
+      Accept: 'application/vnd.api+json',
+    },
+  });
+  const text = await lsRes.text();
+  if (!lsRes.ok) {
+    throw new BillingError('Failed to cancel subscription', { status: lsRes.status, detail: text });
+  }
+
+  let json;
+  try { json = JSON.parse(text); } catch { json = null; }
+  const attrs = json?.data?.attributes || {};
+  const status = String(attrs?.status || 'unknown');
+  const cancelled = !!attrs?.cancelled || status === 'canceled' || status === 'cancelled';
+  const renewsAt = attrs?.renews_at || null;
+  const endsAt = attrs?.ends_at || null;
+  const currentPeriodEnd = attrs?.current_period_end || null;
+  const nextRenewal = cancelled ? (endsAt || currentPeriodEnd || null) : (renewsAt || currentPeriodEnd || null);
+
+  return {
+    id: subId,
+    status,
+    cancelled,
+    renewsAt,
+    endsAt,
+    nextRenewal,
+    mode: isLive ? 'live' : 'test',
+  };
+}
+
+module.exports = {
+  BillingError,
+  cancelSubscription,
+};
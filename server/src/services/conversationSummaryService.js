@@ -0,0 +1,175 @@
+// server/src/services/conversationSummaryService.js
+// Rolling conversation summaries.
+//
+// The chat routes only send the model a sliding window of recent messages
+// (MAX_CONTEXT_MESSAGES). Everything older used to be forgotten. This service
+// keeps an incremental summary on Conversation.summary instead: every
+// CONVERSATION_SUMMARY_EVERY saved messages, the previous summary plus the
+// messages saved since are folded into a new summary by a cheap model call.
+// The result is injected as [CONVERSATION_SUMMARY] into the engine prompts,
+// so long relationships with one persona stay coherent at a flat token cost.
+//
+// Summaries are encrypted at rest (see ENCRYPTED_FIELDS in src/prisma.js) and
+// only exist for conversations whose messages are saved.
+
+const prisma = require('../prisma');
+const { createChatCompletion, isLLMConfigured } = require('./llm');
+const logger = require('../utils/logger').child({ component: 'ConversationSummary' });
+
+const SUMMARY_EVERY_MESSAGES =
+  parseInt(process.env.CONVERSATION_SUMMARY_EVERY || '10', 10) || 10;
+const MAX_MESSAGES_PER_PASS = 60;
+const MAX_CHARS_PER_MESSAGE = 500;
+const MAX_SUMMARY_CHARS = 1200;
+
+// One pass per conversation at a time within this process.
+const inFlight = new Set();
+
+/**
+ * Current summary for a conversation owned by `userId`, or null.
+ * @param {{ conversationId: number, userId: number }} params
+ * @returns {Promise<string|null>}
+ */
+async function getConversationSummary({ conversationId, userId }) {
+  const id = Number(conversationId);
+  if (!Number.isFinite(id) || !userId) return null;
+  try {
+    const conv = await prisma.conversation.findFirst({
+      where: { id, userId },
+      select: { summary: true },
+    });
+    const summary = conv && typeof conv.summary === 'string' ? conv.summary.trim() : '';
+    return summary || null;
+  } catch (err) {
+    logger.error('load error', { err });
+    return null;
+  }
+}
+
+function buildSummaryPrompt({ previousSummary, messages, isArabic }) {
+  const transcript = messages
+    .map((m) => {
+      const who = m.role === 'assistant' ? 'Companion' : 'User';
+      return `${who}: ${String(m.content || '').slice(0, MAX_CHARS_PER_MESSAGE)}`;
+    })
+    .join('\n');
+
+  const system = [
+    'You maintain the running memory of a private conversation between a user and an emotional-support companion.',
+    'Merge the previous summary with the new messages into ONE updated summary.',
+    'Keep: what the user shared about their life, feelings and worries, ongoing topics, plans or promises, and what the companion suggested.',
+    'Drop small talk and greetings. Refer to people as "the user" and "the companion". Do not quote messages verbatim, diagnose, or invent details.',
+    'Maximum 120 words, plain prose, no lists or headings.',
+    isArabic ? 'Write the summary in Arabic (Modern Standard Arabic).' : 'Write the summary in English.',
+    'Output only the summary text.',
+  ].join('\n');
+
+  const user = [
+    'Previous summary:',
+    previousSummary || '(none yet)',
+    '',
+    'New messages:',
+    transcript,
+  ].join('\n');
+
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user },
+  ];
+}
+
+async function runSummaryPass({ conversationId, userId }) {
+  const conv = await prisma.conversation.findFirst({
+    where: { id: conversationId, userId },
+    select: { id: true, summary: true, summarizedThroughMessageId: true },
+  });
+  if (!conv) return;
+
+  const throughId = conv.summarizedThroughMessageId || 0;
+  const pending = await prisma.message.count({
+    where: { conversationId: conv.id, id: { gt: throughId } },
+  });
+  if (pending < SUMMARY_EVERY_MESSAGES) return;
+
+  const messages = await prisma.message.findMany({
+    where: { conversationId: conv.id, id: { gt: throughId } },
+    orderBy: { id: 'asc' },
+    take: MAX_MESSAGES_PER_PASS,
+    select: { id: true, role: true, content: true },
+  });
+  if (!messages.length) return;
+
+  const arabicCount = messages.filter((m) => /[\u0600-\u06FF]/u.test(m.content || '')).length;
+  const isArabic = arabicCount * 2 >= messages.length;
+
+  const completion = await createChatCompletion({
+    task: 'summary',
+    model: process.env.OPENAI_CORE_MODEL || 'gpt-4o-mini',
+    temperature: 0.2,
+    max_tokens: 300,
+    messages: buildSummaryPrompt({
+      previousSummary: conv.summary || '',
+      messages,
+      isArabic,
+    }),
+  });
+
+  const summary = String(completion?.choices?.[0]?.message?.content || '')
+    .trim()
+    .slice(0, MAX_SUMMARY_CHARS);
+  if (!summary) return;
+
+  const lastId = messages[messages.length - 1].id;
+
+  // Conditional write: if another instance already advanced the summary,
+  // this pass is stale and is dropped.
+  const { count } = await prisma.conversation.updateMany({
+    where: {
+      id: conv.id,
+      summarizedThroughMessageId: conv.summarizedThroughMessageId,
+    },
+    data: {
+      summary,
+      summaryUpdatedAt: new Date(),
+      summarizedThroughMessageId: lastId,
+    },
+  });
+
+  logger.info('updated', {
+    conversationId: conv.id,
+    messagesFolded: messages.length,
+    summaryLength: summary.length,
+    applied: count > 0,
+  });
+}
+
+/**
+ * Queue a background summary pass after messages were saved. Cheap to call
+ * on every turn: it only calls the model once enough new messages exist.
+ * Never throws.
+ *
+ * @param {{ conversationId: number, userId: number }} params
+ */
+function scheduleConversationSummary({ conversationId, userId }) {
+  const id = Number(conversationId);
+  if (!Number.isFinite(id) || !userId) return;
+  if (!isLLMConfigured()) return;
+  if (inFlight.has(id)) return;
+
+  inFlight.add(id);
+  setImmediate(() => {
+    runSummaryPass({ conversationId: id, userId })
+      .catch((err) => {
+        logger.error('pass error', { conversationId: id, err });
+      })
+      .finally(() => {
+        inFlight.delete(id);
+      });
+  });
+}
+
+module.exports = {
+  getConversationSummary,
+  scheduleConversationSummary,
+  SUMMARY_EVERY_MESSAGES,
+};
@@ -0,0 +1,194 @@
+// server/src/services/crisisScreen.js
+// Deterministic crisis pre-screen and the persona-independent crisis reply.
+//
+// The LLM classifier falls back to NEUTRAL/CASUAL whenever it fails, so it
+// can never be the only line of defence. This keyword screen runs on every
+// text and voice turn, before quick phrases and the lite engine, and flags
+// explicit self-harm / harm-to-others language in English and Arabic
+// (MSA + common dialect spellings). It is intentionally biased towards
+// false positives: a supportive crisis reply to a dark joke is cheap, a
+// missed disclosure is not.
+//
+// Pure module (no DB, no network) so it stays trivially testable.
+
+const { normalizeArabic } = require('../utils/arabicText');
+const { getCrisisResources } = require('../config/crisisHotlines');
+
+const EN_SELF_HARM_PATTERNS = [
+  /\bkill(?:ing)?\s+my\s*self\b/,
+  /\bsuicid(?:e|al)\b/,
+  /\bend(?:ing)?\s+(?:my|it)\s+(?:life|all)\b/,
+  /\btake\s+my\s+(?:own\s+)?life\b/,
+  /\b(?:want|wanna)\s+(?:to\s+)?die\b/,
+  /\b(?:don'?t|do\s+not)\s+want\s+to\s+(?:live|be\s+alive|exist)\b/,
+  /\bbetter\s+off\s+dead\b/,
+  /\bno\s+reason\s+to\s+live\b/,
+  /\b(?:hurt|harm|cut|cutting|hurting|harming)\s+my\s*self\b/,
+  /\bself[-\s]?harm/,
+  /\boverdos(?:e|ing)\b/,
+];
+
+const EN_HARM_OTHERS_PATTERNS = [
+  /\b(?:kill|murder|hurt)\s+(?:him|her|them|someone|somebody|people|everyone)\b/,
+  /\bgoing\s+to\s+(?:kill|murder)\b/,
+];
+
+// Matched against normalizeArabic() output: alef variants folded to ا,
+// ة -> ه, ى -> ي, no diacritics.
+const AR_SELF_HARM_PHRASES = [
+  'انتحار',
+  'انتحر',
+  'بنتحر',
+  'رح انتحر',
+  'راح انتحر',
+  'اقتل نفسي',
+  'بقتل نفسي',
+  'قتل نفسي',
+  'انهي حياتي',
+  'انهاء حياتي',
+  'اخلص من حياتي',
+  'ابي اموت',
+  'ابغي اموت',
+  'بدي اموت',
+  'بدي موت',
+  'نفسي اموت',
+  'عايز اموت',
+  'عاوز اموت',
+  'اريد ان اموت',
+  'اريد الموت',
+  'اتمني الموت',
+  'ما بدي عيش',
+  'مابي اعيش',
+  'مش عايز اعيش',
+  'اذي نفسي',
+  'اذيت نفسي',
+  'ايذاء النفس',
+  'اجرح نفسي',
+  'جرحت نفسي',
+];
+
+const AR_HARM_OTHERS_PHRASES = [
+  'اقتله',
+  'اقتلها',
+  'اقتلهم',
+  'بقتله',
+  'بقتلها',
+  'اقتل حد',
+  'اقتل شخص',
+];
+
+/**
+ * Keyword pre-screen.
+ * @param {string} text
+ * @returns {{ flagged: boolean, category: ('self_harm'|'harm_others'|null) }}
+ */
+function prescreenCrisisText(text) {
+  const normalized = normalizeArabic(text).replace(/[’`]/g, "'");
+  if (!normalized) return { flagged: false, category: null };
+
+  if (
+    EN_SELF_HARM_PATTERNS.some((re) => re.test(normalized)) ||
+    AR_SELF_HARM_PHRASES.some((p) => normalized.includes(p))
+  ) {
+    return { flagged: true, category: 'self_harm' };
+  }
+
+  if (
+    EN_HARM_OTHERS_PATTERNS.some((re) => re.test(normalized)) ||
+    AR_HARM_OTHERS_PHRASES.some((p) => normalized.includes(p))
+  ) {
+    return { flagged: true, category: 'harm_others' };
+  }
+
+  return { flagged: false, category: null };
+}
+
+/**
+ * Combine the keyword screen with the classifier's severity.
+ * @param {{ prescreen?: { flagged:boolean, category:string|null }, severityLevel?: string }} params
+ * @returns {{ isCrisis: boolean, detectedBy: (string|null), category: (string|null) }}
+ */
+function evaluateCrisis({ prescreen, severityLevel }) {
+  const byKeyword = !!(prescreen && prescreen.flagged);
+  const byClassifier = String(severityLevel || '').toUpperCase() === 'HIGH_RISK';
+  if (!byKeyword && !byClassifier) {
+    return { isCrisis: false, detectedBy: null, category: null };
+  }
+  let detectedBy = 'classifier';
+  if (byKeyword && byClassifier) detectedBy = 'keyword+classifier';
+  else if (byKeyword) detectedBy = 'keyword';
+  return {
+    isCrisis: true,
+    detectedBy,
+    category: (prescreen && prescreen.category) || null,
+  };
+}
+
+/**
+ * Persona-independent crisis reply. Replaces the character's answer for the
+ * whole turn: no role-play, no dialect styling, same text for every persona.
+ *
+ * @param {{ language?: ('ar'|'en'), country?: string }} params
+ * @returns {{ text: string, resources: ReturnType<typeof getCrisisResources> }}
+ */
+function buildCrisisResponse({ language, country }) {
+  const isAr = language === 'ar';
+  const resources = getCrisisResources(country);
+
+  const lines = [];
+  if (isAr) {
+    lines.push(
+      'أنا آسف جداً إنك تمر بهذا، وممتن إنك حكيت لي. سأخرج من دور الشخصية للحظة، لأن سلامتك الآن هي الأهم.'
+    );
+    if (resources.emergency) {
+      lines.push(
+        `إذا كنت قد تؤذي نفسك أو شخصاً آخر الآن، اتصل بالطوارئ فوراً على ${resources.emergency}.`
+      );
+    }
+    if (resources.lines.length) {
+      lines.push(
+        ['يمكنك أيضاً التحدث مع شخص مختص الآن:']
+          .concat(resources.lines.map((l) => `- ${l.name.ar}: ${l.phone}`))
+          .join('\n')
+      );
+    } else {
+      lines.push(
+        `يمكنك إيجاد خط مساندة مجاني وسري في بلدك عبر ${resources.directoryUrl}`
+      );
+    }
+    lines.push(
+      'لست وحدك في هذا. إن استطعت، تواصل مع شخص تثق به وأخبره بما تشعر به. وأنا ما زلت هنا، ويمكنك أن تكمل الحديث معي.'
+    );
+  } else {
+    lines.push(
+      "I'm really sorry you're going through this, and I'm glad you told me. I'm stepping out of the character for a moment, because your safety matters most right now."
+    );
+    if (resources.emergency) {
+      lines.push(
+        `If you might hurt yourself or someone else right now, please call emergency services on ${resources.emergency}.`
+      );
+    }
+    if (resources.lines.length) {
+      lines.push(
+        ['You can also talk to someone trained to help, right now:']
+          .concat(resources.lines.map((l) => `- ${l.name.en}: ${l.phone}`))
+          .join('\n')
+      );
+    } else {
+      lines.push(
+        `You can find a free, confidential helpline in your country at ${resources.directoryUrl}`
+      );
+    }
+    lines.push(
+      "You don't have to carry this alone. If you can, reach out to someone you trust and tell them how you're feeling. I'm still here, and you can keep talking to me."
+    );
+  }
+
+  return { text: lines.join('\n\n'), resources };
+}
+
+module.exports = {
+  prescreenCrisisText,
+  evaluateCrisis,
+  buildCrisisResponse,
+};
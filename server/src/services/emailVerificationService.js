@@ -0,0 +1,371 @@
+// server/src/services/emailVerificationService.js
+// Email verification and email change.
+//
+// Registration emails a "verify" link; opening it sets User.emailVerifiedAt.
+// Until then config/emailVerification.js decides which features are blocked
+// (middleware/requireVerifiedEmail.js).
+//
+// Changing the email sends two links: one to the current address (proves the
+// account owner asked) and one to the new address (proves they read it). The
+// change is applied when the second of the two is opened, and the new address
+// counts as verified. Starting another change replaces the pending one.
+// Sessions stay signed in; access tokens pick up the new address at their
+// next refresh.
+//
+// Tokens are stored as SHA-256 hashes in EmailVerificationToken, like
+// password reset tokens, and carry the address they were sent to: a link for
+// an address the account no longer uses does nothing.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const prisma = require('../prisma');
+const { sendEmailVerificationEmail, sendEmailChangeEmail } = require('../utils/email');
+const { getLockout, recordFailure, clearFailures } = require('./accountLockoutService');
+const logger = require('../utils/logger').child({ component: 'EmailVerification' });
+
+const HOUR_MS = 60 * 60 * 1000;
+// Both lifetimes are quoted in the email copy (utils/email.js).
+const VERIFY_TOKEN_TTL_MS = 48 * HOUR_MS;
+const EMAIL_CHANGE_TTL_MS = 24 * HOUR_MS;
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const PURPOSE_VERIFY = 'verify';
+const PURPOSE_CHANGE_OLD = 'email_change_old';
+const PURPOSE_CHANGE_NEW = 'email_change_new';
+const CHANGE_PURPOSES = [PURPOSE_CHANGE_OLD, PURPOSE_CHANGE_NEW];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class EmailVerificationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'EmailVerificationError';
+    this.code = code;
+  }
+}
+
+function hashToken(rawToken) {
+  return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+}
+
+function normalizeEmail(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function buildLink(pathname, rawToken) {
+  const frontendBase = process.env.FRONTEND_URL || 'http://localhost:5173';
+  try {
+    const url = new URL(pathname, frontendBase);
+    url.searchParams.set('token', rawToken);
+    return url.toString();
+  } catch {
+    return `${frontendBase.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(rawToken)}`;
+  }
+}
+
+async function createToken({ userId, purpose, email, newEmail = null, ttlMs }) {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  await prisma.emailVerificationToken.create({
+    data: {
+      userId,
+      token: hashToken(rawToken),
+      purpose,
+      email,
+      newEmail,
+      expiresAt: new Date(Date.now() + ttlMs),
+    },
+  });
+  return rawToken;
+}
+
+async function findLiveToken(rawToken, purposes) {
+  if (!rawToken || typeof rawToken !== 'string') return null;
+  const row = await prisma.emailVerificationToken.findUnique({
+    where: { token: hashToken(rawToken) },
+  });
+  if (!row || !purposes.includes(row.purpose) || row.expiresAt <= new Date()) return null;
+  return row;
+}
+
+/**
+ * Email a fresh verification link, replacing any earlier one.
+ * Email failures are logged, not thrown.
+ *
+ * @param {{ user: { id: number, email: string }, language?: string }} params
+ */
+async function sendVerificationLink({ user, language }) {
+  await prisma.emailVerificationToken.deleteMany({
+    where: { userId: user.id, purpose: PURPOSE_VERIFY },
+  });
+  const rawToken = await createToken({
+    userId: user.id,
+    purpose: PURPOSE_VERIFY,
+    email: user.email,
+    ttlMs: VERIFY_TOKEN_TTL_MS,
+  });
+
+  try {
+    await sendEmailVerificationEmail({
+      to: user.email,
+      verifyLink: buildLink('/verify-email', rawToken),
+      language,
+    });
+  } catch (err) {
+    logger.error('verification email error', { error: err && err.message ? err.message : String(err) });
+  }
+}
+
+/**
+ * Resend the verification link from Settings. Throws EmailVerificationError
+ * ALREADY_VERIFIED, or RESEND_TOO_SOON within a minute of the last link.
+ *
+ * @param {{ userId: number, language?: string }} params
+ * @returns {Promise<boolean>} false if the user does not exist
+ */
+async function resendVerificationLink({ userId, language }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, emailVerifiedAt: true },
+  });
+  if (!user) return false;
+  if (user.emailVerifiedAt) {
+    throw new EmailVerificationError('Email is already verified', 'ALREADY_VERIFIED');
+  }
+
+  const latest = await prisma.emailVerificationToken.findFirst({
+    where: { userId, purpose: PURPOSE_VERIFY },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < RESEND_INTERVAL_MS) {
+    throw new EmailVerificationError('Please wait a minute before requesting another email', 'RESEND_TOO_SOON');
+  }
+
+  await sendVerificationLink({ user, language });
+  return true;
+}
+
+/**
+ * Mark the account email verified from an emailed link.
+ * @param {string} rawToken
+ * @returns {Promise<{ email: string }|null>} null for an invalid or expired link
+ */
+async function verifyEmailToken(rawToken) {
+  const row = await findLiveToken(rawToken, [PURPOSE_VERIFY]);
+  if (!row) return null;
+
+  // Only while the account still uses the address the link was sent to.
+  const { count } = await prisma.user.updateMany({
+    where: { id: row.userId, email: row.email },
+    data: { emailVerifiedAt: new Date() },
+  });
+  await prisma.emailVerificationToken.deleteMany({
+    where: { userId: row.userId, purpose: PURPOSE_VERIFY },
+  });
+  return count > 0 ? { email: row.email } : null;
+}
+
+/**
+ * Mark the account email verified without a link (the identity provider
+ * already verified it). Leaves an earlier verification date in place.
+ * @param {number} userId
+ */
+async function markEmailVerified(userId) {
+  await prisma.user.updateMany({
+    where: { id: userId, emailVerifiedAt: null },
+    data: { emailVerifiedAt: new Date() },
+  });
+  await prisma.emailVerificationToken.deleteMany({
+    where: { userId, purpose: PURPOSE_VERIFY },
+  });
+}
+
+// ACCOUNT_LOCKED carries the lockout so the route can answer 429.
+function lockedError(lockout) {
+  const err = new EmailVerificationError('Too many failed attempts', 'ACCOUNT_LOCKED');
+  err.lockout = lockout;
+  return err;
+}
+
+/**
+ * Start an email change: check the password, then email a confirmation link
+ * to both the current and the new address. Throws EmailVerificationError
+ * INVALID_EMAIL, SAME_EMAIL, EMAIL_TAKEN, INVALID_PASSWORD or ACCOUNT_LOCKED
+ * (services/accountLockoutService.js, 'login' scope).
+ *
+ * @param {{ userId: number, newEmail: string, currentPassword: string, language?: string, ip?: string }} params
+ * @returns {Promise<{ newEmail: string, expiresAt: Date }|null>} null if the user does not exist
+ */
+async function startEmailChange({ userId, newEmail, currentPassword, language, ip }) {
+  const target = normalizeEmail(newEmail);
+  if (!target || !EMAIL_PATTERN.test(target)) {
+    throw new EmailVerificationError('Please enter a valid email address', 'INVALID_EMAIL');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, passwordHash: true },
+  });
+  if (!user) return null;
+
+  if (normalizeEmail(user.email) === target) {
+    throw new EmailVerificationError('This is already your email address', 'SAME_EMAIL');
+  }
+
+  // Wrong passwords count towards the login lockout.
+  const lockout = await getLockout('login', user.email);
+  if (lockout) throw lockedError(lockout);
+  const ok = typeof currentPassword === 'string' && (await bcrypt.compare(currentPassword, user.passwordHash));
+  if (!ok) {
+    const { lockout: locked } = await recordFailure('login', user.email, { ip });
+    if (locked) throw lockedError(locked);
+    throw new EmailVerificationError('Current password is incorrect', 'INVALID_PASSWORD');
+  }
+  await clearFailures('login', user.email);
+
+  const taken = await prisma.user.findUnique({ where: { email: target }, select: { id: true } });
+  if (taken) {
+    throw new EmailVerificationError('This email address is already in use', 'EMAIL_TAKEN');
+  }
+
+  await prisma.emailVerificationToken.deleteMany({
+    where: { userId: user.id, purpose: { in: CHANGE_PURPOSES } },
+  });
+  const oldToken = await createToken({
+    userId: user.id,
+    purpose: PURPOSE_CHANGE_OLD,
+    email: user.email,
+    newEmail: target,
+    ttlMs: EMAIL_CHANGE_TTL_MS,
+  });
+  const newToken = await createToken({
+    userId: user.id,
+    purpose: PURPOSE_CHANGE_NEW,
+    email: target,
+    newEmail: target,
+    ttlMs: EMAIL_CHANGE_TTL_MS,
+  });
+
+  const sends = [
+    { to: user.email, rawToken: oldToken, side: 'old' },
+    { to: target, rawToken: newToken, side: 'new' },
+  ];
+  for (const { to, rawToken, side } of sends) {
+    try {
+      await sendEmailChangeEmail({
+        to,
+        confirmLink: buildLink('/confirm-email-change', rawToken),
+        side,
+        newEmail: target,
+        language,
+      });
+    } catch (err) {
+      logger.error('email change email error', { side, error: err && err.message ? err.message : String(err) });
+    }
+  }
+
+  return { newEmail: target, expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_MS) };
+}
+
+/**
+ * The email change waiting for confirmation, if any.
+ * @param {number} userId
+ * @returns {Promise<{ newEmail: string, expiresAt: Date, confirmedOld: boolean, confirmedNew: boolean }|null>}
+ */
+async function getPendingEmailChange(userId) {
+  const rows = await prisma.emailVerificationToken.findMany({
+    where: { userId, purpose: { in: CHANGE_PURPOSES }, expiresAt: { gt: new Date() } },
+    select: { purpose: true, newEmail: true, confirmedAt: true, expiresAt: true },
+  });
+  if (!rows.length) return null;
+  const byPurpose = Object.fromEntries(rows.map((row) => [row.purpose, row]));
+  return {
+    newEmail: rows[0].newEmail,
+    expiresAt: rows[0].expiresAt,
+    confirmedOld: !!(byPurpose[PURPOSE_CHANGE_OLD] && byPurpose[PURPOSE_CHANGE_OLD].confirmedAt),
+    confirmedNew: !!(byPurpose[PURPOSE_CHANGE_NEW] && byPurpose[PURPOSE_CHANGE_NEW].confirmedAt),
+  };
+}
+
+/** Drop a pending email change. */
+async function cancelEmailChange(userId) {
+  const { count } = await prisma.emailVerificationToken.deleteMany({
+    where: { userId, purpose: { in: CHANGE_PURPOSES } },
+  });
+  return count > 0;
+}
+
+/**
+ * Confirm one half of an email change; the second confirmation applies it.
+ * Throws EmailVerificationError EMAIL_TAKEN if the new address was claimed
+ * by another account in the meantime.
+ *
+ * @param {string} rawToken
+ * @returns {Promise<{ status: 'pending'|'completed', email: string }|null>}
+ *   null for an invalid or expired link
+ */
+async function confirmEmailChange(rawToken) {
+  const row = await findLiveToken(rawToken, CHANGE_PURPOSES);
+  if (!row) return null;
+
+  if (!row.confirmedAt) {
+    await prisma.emailVerificationToken.update({
+      where: { id: row.id },
+      data: { confirmedAt: new Date() },
+    });
+  }
+
+  const pair = await prisma.emailVerificationToken.findMany({
+    where: {
+      userId: row.userId,
+      purpose: { in: CHANGE_PURPOSES },
+      newEmail: row.newEmail,
+      expiresAt: { gt: new Date() },
+    },
+  });
+  const oldHalf = pair.find((t) => t.purpose === PURPOSE_CHANGE_OLD);
+  const newHalf = pair.find((t) => t.purpose === PURPOSE_CHANGE_NEW);
+  if (!oldHalf || !newHalf) return null;
+  if (!oldHalf.confirmedAt || !newHalf.confirmedAt) {
+    return { status: 'pending', email: row.newEmail };
+  }
+
+  const taken = await prisma.user.findUnique({ where: { email: row.newEmail }, select: { id: true } });
+  if (taken && taken.id !== row.userId) {
+    await cancelEmailChange(row.userId);
+    throw new EmailVerificationError('This email address is already in use', 'EMAIL_TAKEN');
+  }
+
+  let count = 0;
+  try {
+    // Only from the address the old-side link was sent to.
+    ({ count } = await prisma.user.updateMany({
+      where: { id: row.userId, email: oldHalf.email },
+      data: { email: row.newEmail, emailVerifiedAt: new Date() },
+    }));
+  } catch (err) {
+    if (err && err.code === 'P2002') {
+      await cancelEmailChange(row.userId);
+      throw new EmailVerificationError('This email address is already in use', 'EMAIL_TAKEN');
+    }
+    throw err;
+  }
+
+  await prisma.emailVerificationToken.deleteMany({ where: { userId: row.userId } });
+  if (!count) return null;
+
+  logger.info('email changed', { userId: row.userId });
+  return { status: 'completed', email: row.newEmail };
+}
+
+module.exports = {
+  EmailVerificationError,
+  sendVerificationLink,
+  resendVerificationLink,
+  verifyEmailToken,
+  markEmailVerified,
+  startEmailChange,
+  getPendingEmailChange,
+  cancelEmailChange,
+  confirmEmailChange,
+};
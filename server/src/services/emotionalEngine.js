@@ -3,7 +3,7 @@
 // Provides message-level emotion classification, maintains conversation-level
 // emotional state, and builds an emotionally-aware system prompt.
 
-const OpenAI = require('openai');
+const { classifyJson } = require('./llm');
 const prisma = require('../prisma');
 const { personas, defaultPersona } = require('../config/personas');
 const {
@@ -23,6 +23,7 @@ const {
   getPersonaSnapshot,
 } = require('../pipeline/memory/memoryKernel');
 const { getCachedValue } = require('../utils/ttlCache');
+const logger = require('../utils/logger').child({ component: 'EmoEngine' });
 
 // Engine mode runners (lite/balanced/deep)
 let runLiteEngine = null;
@@ -222,8 +223,6 @@ function decideEngineMode({ enginePreference, isPremiumUser, severityLevel, long
  * @property {Date} lastUpdatedAt
  */
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 const personaStyleBlockCache = new Map();
 
 function getDialectGuidance(language, dialect) {
@@ -274,7 +273,7 @@ function getDialectGuidance(language, dialect) {
 }
 
 /**
- * Classifies the user's message emotion using OpenAI and returns a structured object.
+ * Classifies the user's message emotion via the configured LLM provider and returns a structured object.
  * Falls back to a neutral default on any error or parse failure.
  * Prompt is deliberately compact for latency reasons.
  * @param {Object} params
@@ -311,7 +310,8 @@ async function classifyEmotion({ userMessage, recentMessages = [], language = 'e
   ].join('\n');
 
   try {
-    const completion = await openai.chat.completions.create({
+    const parsed = await classifyJson({
+      task: 'emotion',
       model: 'gpt-4o-mini',
       temperature: 0,
       max_tokens: 64,
@@ -320,9 +320,7 @@ async function classifyEmotion({ userMessage, recentMessages = [], language = 'e
         { role: 'user', content: user },
       ],
     });
-    const raw = completion.choices?.[0]?.message?.content?.trim() || '';
-    try {
-      const parsed = JSON.parse(raw);
+    if (parsed) {
       const out = {
         primaryEmotion: String(parsed.primaryEmotion || 'NEUTRAL').toUpperCase(),
         intensity: Math.max(1, Math.min(5, parseInt(parsed.intensity, 10) || 1)),
@@ -336,9 +334,8 @@ async function classifyEmotion({ userMessage, recentMessages = [], language = 'e
           : 'CASUAL'),
       };
       return out;
-    } catch (_) {
-      // fall through to neutral
     }
+    // unparseable classification: fall through to neutral
   } catch (e) {
     // swallow error and fallback
   }
@@ -687,7 +684,7 @@ function buildSystemPrompt({ personaText, personaId, emotion, convoState, langua
     }
   }
 
-  console.log('[SystemPrompt] identity block', {
+  logger.debug('system prompt identity block', {
     hasIdentity: !!(identityMemory && identityMemory.name),
   });
 
@@ -723,14 +720,11 @@ function buildSystemPrompt({ personaText, personaId, emotion, convoState, langua
       }
     }
   } catch (err) {
-    console.error(
-      '[SystemPrompt] persona snapshot block error',
-      err && err.message ? err.message : err
-    );
+    logger.error('persona snapshot block error', { err });
     personaProfileBlock = '';
   }
 
-  console.log('[SystemPrompt] persona snapshot block', {
+  logger.debug('system prompt persona snapshot block', {
     hasPersonaSnapshot: !!personaSnapshot,
     hasPersonaLines:
       !!personaSnapshot &&
@@ -831,7 +825,7 @@ function buildSystemPrompt({ personaText, personaId, emotion, convoState, langua
     }
   }
 
-  console.log('[SystemPrompt] language selection', {
+  logger.debug('system prompt language selection', {
     requestedLanguage: language,
     replyLanguage,
     finalLanguage: replyLanguage,
@@ -880,19 +874,14 @@ function buildSystemPrompt({ personaText, personaId, emotion, convoState, langua
     ...premiumToolkitBlock,
   ].join('\n');
 
-  console.log('[Diagnostic] Dialect Guidance', {
+  logger.debug('system prompt built', {
     language,
     replyLanguage,
     dialect: dialect == null ? null : String(dialect),
+    length: typeof systemPrompt === 'string' ? systemPrompt.length : null,
+    hasIdentityBlock: !!identityBlock,
+    hasPersonaBlock: !!personaProfileBlock,
   });
-  try {
-    console.log('[Diagnostic] Final System Prompt Metadata', {
-      length: typeof systemPrompt === 'string' ? systemPrompt.length : null,
-      hasIdentityBlock: !!identityBlock,
-      hasPersonaBlock: !!personaProfileBlock,
-      hasPhase4: phase4Block ? true : false,
-    });
-  } catch (_) {}
 
   return systemPrompt;
 }
@@ -915,7 +904,7 @@ function selectModelForResponse({ engine, isPremiumUser }) {
   const selectedModel = isPremiumUser ? premiumModel : coreModel;
   
   // AUDIT: Tier gating proof log
-  console.log('[TierGating]', {
+  logger.info('tier gating', {
     isPremiumUser: !!isPremiumUser,
     modelSelected: selectedModel,
   });
@@ -933,9 +922,10 @@ function selectModelForResponse({ engine, isPremiumUser }) {
  * @param {number|undefined|null} params.conversationId
  * @param {number} params.userId
  * @param {string} params.dialect
+ * @param {string=} params.conversationSummary Rolling summary of messages older than the context window
  * @returns {Promise<{ emo: Emotion, convoState: ConversationEmotionState|null, systemPrompt: string }>}
  */
-async function runEmotionalEngine({ userMessage, recentMessages, personaId, personaText, language, conversationId, userId, dialect }) {
+async function runEmotionalEngine({ userMessage, recentMessages, personaId, personaText, language, conversationId, userId, dialect, conversationSummary }) {
   try {
     const tStart = Date.now();
 
@@ -1000,10 +990,7 @@ async function runEmotionalEngine({ userMessage, recentMessages, personaId, pers
             try {
               return await getPersonaSnapshot({ userId });
             } catch (err) {
-              console.error(
-                '[EmoEngine] getPersonaSnapshot error',
-                err && err.message ? err.message : err
-              );
+              logger.error('getPersonaSnapshot error', { err });
               return null;
             }
           });
@@ -1011,10 +998,7 @@ async function runEmotionalEngine({ userMessage, recentMessages, personaId, pers
           cacheMeta.personaHit = res.hit;
           cacheMeta.personaMs = res.durationMs;
         } catch (err) {
-          console.error(
-            '[EmoEngine] persona snapshot cache error',
-            err && err.message ? err.message : err
-          );
+          logger.error('persona snapshot cache error', { err });
           personaSnapshot = null;
         }
       })(),
@@ -1141,6 +1125,7 @@ async function runEmotionalEngine({ userMessage, recentMessages, personaId, pers
       identityMemory,
       recentAssistantReplies,
       personaSnapshot,
+      conversationSummary,
     });
 
     const systemPrompt = phase4Block
@@ -1148,9 +1133,9 @@ async function runEmotionalEngine({ userMessage, recentMessages, personaId, pers
       : systemPromptBase;
 
     const totalMs = Date.now() - tStart;
-    console.log('[EmoEngine][Timing]', {
-      userId: userId == null ? 'null' : String(userId),
-      conversationId: conversationId == null ? 'null' : String(conversationId),
+    logger.info('engine timing', {
+      userId,
+      conversationId,
       classifyMs,
       snapshotMs,
       triggersMs,
@@ -1199,7 +1184,7 @@ async function runEmotionalEngine({ userMessage, recentMessages, personaId, pers
       emo: fallbackEmotion,
       severityLevel: 'CASUAL',
       convoState: null,
-      systemPrompt: buildSystemPrompt({ personaText, personaId: personaId || 'default', emotion: fallbackEmotion, convoState: null, language, dialect }),
+      systemPrompt: buildSystemPrompt({ personaText, personaId: personaId || 'default', emotion: fallbackEmotion, convoState: null, language, dialect, conversationSummary }),
       flowState: { currentState: 'NEUTRAL' },
       longTermSnapshot: null,
       triggers: [],
@@ -3,9 +3,8 @@
 // server/src/services/emotionalEngine/modes/balancedEngine.js
 // Default emotionally-aware engine using existing emotional pipeline results.
 
-const OpenAI = require('openai');
+const { createChatCompletion } = require('../../llm');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 /**
  * Balanced engine: medium-depth reasoning using a richer system prompt
@@ -43,7 +42,7 @@ async function runBalancedEngine({ userMessage, recentMessages, systemPrompt, mo
 
   messages.push({ role: 'user', content: String(userMessage || '').slice(0, 1000) });
 
-  const completion = await openai.chat.completions.create({
+  const completion = await createChatCompletion({
     model: routedModel,
     temperature: 0.8,
     max_tokens: 320,
@@ -4,9 +4,8 @@
 // Deep, premium-only mode with higher-quality model and longer, more
 // emotionally layered replies.
 
-const OpenAI = require('openai');
+const { createChatCompletion } = require('../../llm');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 /**
  * Deep engine: uses a premium model (gpt-4.1 / gpt-4o-mini-2024-12-17 / gpt-5.1)
@@ -36,7 +35,7 @@ async function runDeepEngine({ userMessage, recentMessages, systemPrompt, model
 
   messages.push({ role: 'user', content: String(userMessage || '') });
 
-  const completion = await openai.chat.completions.create({
+  const completion = await createChatCompletion({
     model: premiumModel,
     temperature: 0.9,
     max_tokens: 640,
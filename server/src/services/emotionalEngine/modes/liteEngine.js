@@ -4,11 +4,10 @@
 // Ultra-fast, low-cost reply mode using a minimal system prompt and short output.
 // Updated: Now includes memory facts for cross-persona consistency.
 
-const OpenAI = require('openai');
+const { createChatCompletion } = require('../../llm');
 const { detectArabicContamination, enforceEnglishOnly } = require('../../../utils/languageEnforcement');
 const { getPersonaSnapshot, getIdentityMemory } = require('../../../pipeline/memory/memoryKernel');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 /**
  * Build a compact memory facts block for lite engine.
@@ -87,9 +86,10 @@ async function buildLiteMemoryBlock({ userId, isArabic }) {
  * @param {string=} params.model         Explicit model override (e.g. gpt-4o-mini / gpt-4o)
  * @param {boolean=} params.isPremiumUser Whether the caller is premium/tester
  * @param {number=} params.userId        User ID for memory lookup
+ * @param {string=} params.conversationSummary Rolling summary of earlier messages in this conversation
  * @returns {Promise<{ role: 'assistant', text: string, model: string }>}
  */
-async function runLiteEngine({ userMessage, recentMessages, personaText, language, dialect, model, isPremiumUser, userId }) {
+async function runLiteEngine({ userMessage, recentMessages, personaText, language, dialect, model, isPremiumUser, userId, conversationSummary }) {
   const coreModel = process.env.OPENAI_CORE_MODEL || 'gpt-4o-mini';
   const premiumModel = process.env.OPENAI_PREMIUM_MODEL || 'gpt-4o';
 
@@ -130,6 +130,13 @@ async function runLiteEngine({ userMessage, recentMessages, personaText, languag
     sysLines.push(memoryBlock);
   }
 
+  // The lite window is only 3 messages, so the rolling summary is what keeps
+  // it from losing the thread of a long conversation.
+  if (typeof conversationSummary === 'string' && conversationSummary.trim()) {
+    sysLines.push('');
+    sysLines.push('[CONVERSATION_SUMMARY]', conversationSummary.trim(), '[/CONVERSATION_SUMMARY]');
+  }
+
   const systemPrompt = sysLines.join('\n');
 
   const messages = [];
@@ -146,7 +153,7 @@ async function runLiteEngine({ userMessage, recentMessages, personaText, languag
 
   messages.push({ role: 'user', content: String(userMessage || '').slice(0, 400) });
 
-  const completion = await openai.chat.completions.create({
+  const completion = await createChatCompletion({
     model: routedModel,
     temperature: 0.6,
     max_tokens: 40,
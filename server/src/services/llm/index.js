@@ -0,0 +1,232 @@
+// server/src/services/llm/index.js
+// Single entry point for every model call (chat, JSON classification, STT,
+// TTS). Callers never construct SDK clients themselves; the concrete provider
+// is chosen by config:
+//
+//   LLM_PROVIDER        openai (default) | openai-compatible | stub
+//   LLM_AUDIO_PROVIDER  optional override for STT/TTS only, e.g. run chat on a
+//                       self-hosted model but keep audio on OpenAI
+//
+// Every provider exposes the same shape:
+//   chatCompletion(params)      -> OpenAI-shaped completion object
+//   chatCompletionStream(params, { onDelta, signal })?
+//                               -> { content, finishReason, usage }
+//   classifyJson(params)?       -> parsed object (optional; derived otherwise)
+//   transcribe({ filePath, model })                     -> string
+//   synthesizeSpeech({ text, voice, model, format, speed, instructions? })
+//                               -> { buffer, format }
+//
+// `params.task` is a short label ("chat", "emotion", "name", "goals",
+// "mirror", ...) used by the stub to pick a canned answer. It is stripped
+// before the request reaches a real provider.
+//
+// Token usage of every chat completion is counted here, per model, for the
+// llm_tokens_total metric (GET /api/metrics), and every call (tokens, audio
+// seconds, TTS characters) goes to the usage ledger with the feature derived
+// from `params.task` (services/llmUsageService.js). transcribe() takes an
+// optional `durationMs` of the audio for that; it is not sent to the provider.
+
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createStubProvider } = require('./stubProvider');
+const { recordLLMUsage } = require('../../utils/metrics');
+const { recordLlmUsage, featureForTask } = require('../llmUsageService');
+const logger = require('../../utils/logger').child({ component: 'LLM' });
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  stub: createStubProvider,
+};
+
+const instances = new Map();
+
+function resolveProviderName(raw) {
+  const name = String(raw || 'openai').trim().toLowerCase();
+  if (FACTORIES[name]) return name;
+  logger.warn('unknown provider, falling back to openai', { requested: name });
+  return 'openai';
+}
+
+function getInstance(name) {
+  if (!instances.has(name)) {
+    instances.set(name, FACTORIES[name]());
+  }
+  return instances.get(name);
+}
+
+function getLLMProvider() {
+  return getInstance(resolveProviderName(process.env.LLM_PROVIDER));
+}
+
+function getAudioProvider() {
+  return getInstance(
+    resolveProviderName(process.env.LLM_AUDIO_PROVIDER || process.env.LLM_PROVIDER)
+  );
+}
+
+function isLLMConfigured() {
+  return getLLMProvider().isConfigured();
+}
+
+function isAudioConfigured() {
+  return getAudioProvider().isConfigured();
+}
+
+// The model that answered when the provider says so (self-hosted overrides),
+// else the one requested.
+function recordUsage(provider, params, result) {
+  const model = (result && result.model) || (params && params.model) || 'unknown';
+  const usage = (result && result.usage) || {};
+  recordLLMUsage(model, result && result.usage);
+  recordLlmUsage({
+    feature: featureForTask(params && params.task),
+    provider: provider.name,
+    model,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+  });
+}
+
+function stripTask(params) {
+  const rest = { ...(params || {}) };
+  delete rest.task;
+  return rest;
+}
+
+/**
+ * Run a chat completion on the configured provider. Returns the OpenAI
+ * response shape ({ choices: [{ message: { content }, finish_reason }], usage }).
+ */
+async function createChatCompletion(params) {
+  const provider = getLLMProvider();
+  const completion = await provider.chatCompletion(
+    provider.name === 'stub' ? params : stripTask(params)
+  );
+  recordUsage(provider, params, completion);
+  return completion;
+}
+
+/**
+ * Stream a chat completion, calling onDelta(text) for every content delta.
+ * Resolves with the full text once the model is done. Aborting `signal`
+ * cancels the upstream request (the promise then rejects with AbortError).
+ * Providers without native streaming fall back to one delta with the whole
+ * answer.
+ *
+ * @param {Object} params - same as createChatCompletion
+ * @param {{ onDelta?: (text: string) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ content: string, finishReason: string|null, usage: Object|null }>}
+ */
+async function streamChatCompletion(params, options = {}) {
+  const provider = getLLMProvider();
+  const payload = provider.name === 'stub' ? params : stripTask(params);
+  if (typeof provider.chatCompletionStream === 'function') {
+    const streamed = await provider.chatCompletionStream(payload, options);
+    recordUsage(provider, params, streamed);
+    return streamed;
+  }
+  const completion = await provider.chatCompletion(payload);
+  recordUsage(provider, params, completion);
+  const content = completion.choices?.[0]?.message?.content || '';
+  if (content && options.onDelta) options.onDelta(content);
+  return {
+    content,
+    finishReason: completion.choices?.[0]?.finish_reason || null,
+    usage: completion.usage || null,
+  };
+}
+
+/**
+ * Parse a model answer that is supposed to be JSON. Tolerates ```json fences
+ * and leading chatter, which self-hosted models add quite often.
+ */
+function parseJsonLoose(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  const unfenced = text.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+      return JSON.parse(unfenced.slice(start, end + 1));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Ask the model for a strict-JSON answer and return the parsed object, or
+ * null when the answer is not valid JSON. Transport errors are thrown so the
+ * caller keeps its own fallback and logging.
+ */
+async function classifyJson(params) {
+  const provider = getLLMProvider();
+  if (typeof provider.classifyJson === 'function') {
+    // Native classifiers report no token usage; the call is still counted.
+    const parsed = await provider.classifyJson(params);
+    recordUsage(provider, params, null);
+    return parsed;
+  }
+  const completion = await provider.chatCompletion(stripTask(params));
+  recordUsage(provider, params, completion);
+  const parsed = parseJsonLoose(completion.choices?.[0]?.message?.content);
+  return parsed && typeof parsed === 'object' ? parsed : null;
+}
+
+/**
+ * Speech to text. `durationMs` (optional) is the length of the audio, for
+ * the usage ledger.
+ *
+ * @param {{ filePath: string, model: string, durationMs?: number }} params
+ * @returns {Promise<string>}
+ */
+async function transcribe({ durationMs, ...params }) {
+  const provider = getAudioProvider();
+  const text = await provider.transcribe(params);
+  recordLlmUsage({
+    feature: 'voice',
+    provider: provider.name,
+    model: params.model,
+    audioSeconds: Number(durationMs) > 0 ? Number(durationMs) / 1000 : 0,
+  });
+  return text;
+}
+
+async function synthesizeSpeech(params) {
+  const provider = getAudioProvider();
+  const speech = await provider.synthesizeSpeech(params);
+  recordLlmUsage({
+    feature: 'voice',
+    provider: provider.name,
+    model: params.model,
+    characters: String(params.text || '').length,
+  });
+  return speech;
+}
+
+/**
+ * Test hook: replace the stub provider's canned answers. Other providers are
+ * unaffected.
+ */
+function setStubFixtures(fixtures) {
+  getInstance('stub').setFixtures(fixtures);
+}
+
+module.exports = {
+  getLLMProvider,
+  getAudioProvider,
+  isLLMConfigured,
+  isAudioConfigured,
+  createChatCompletion,
+  streamChatCompletion,
+  classifyJson,
+  transcribe,
+  synthesizeSpeech,
+  parseJsonLoose,
+  setStubFixtures,
+};
@@ -0,0 +1,150 @@
+// server/src/services/llm/openaiCompatibleProvider.js
+// Plain-HTTP adapter for self-hosted servers that speak the OpenAI wire
+// format (vLLM, llama.cpp server, Ollama /v1, LocalAI, ...).
+
+const fs = require('fs');
+const path = require('path');
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Build the OpenAI-compatible provider.
+ *
+ * Env:
+ *   LLM_BASE_URL     e.g. http://localhost:8000/v1 (required)
+ *   LLM_API_KEY      optional bearer token
+ *   LLM_MODEL        optional; replaces the OpenAI model names requested by
+ *                    callers, since self-hosted servers rarely serve "gpt-4o-mini"
+ *   LLM_TIMEOUT_MS   per-request timeout (default 60000)
+ */
+function createOpenAICompatibleProvider() {
+  const baseUrl = trimSlash(process.env.LLM_BASE_URL);
+  const apiKey = process.env.LLM_API_KEY || '';
+  const modelOverride = process.env.LLM_MODEL || '';
+  const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+
+  function headers(extra) {
+    const h = { ...(extra || {}) };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+  }
+
+  async function request(endpoint, init, callerSignal) {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const res = await fetch(`${baseUrl}${endpoint}`, {
+      ...init,
+      signal: callerSignal ? AbortSignal.any([callerSignal, timeoutSignal]) : timeoutSignal,
+    });
+    if (!res.ok) {
+      let detail = '';
+      try {
+        detail = (await res.text()).slice(0, 200);
+      } catch {
+        // The status code alone still makes a useful error.
+      }
+      const err = new Error(`LLM provider ${endpoint} failed with HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res;
+  }
+
+  async function chatCompletion(params) {
+    const body = { ...params };
+    if (modelOverride) body.model = modelOverride;
+    const res = await request('/chat/completions', {
+      method: 'POST',
+      headers: headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body),
+    });
+    return res.json();
+  }
+
+  // Reads the `data: {...}` lines of an OpenAI-style SSE body.
+  async function chatCompletionStream(params, { onDelta, signal } = {}) {
+    const body = { ...params, stream: true };
+    if (modelOverride) body.model = modelOverride;
+    const res = await request(
+      '/chat/completions',
+      {
+        method: 'POST',
+        headers: headers({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body),
+      },
+      signal
+    );
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let pending = '';
+    const decoder = new TextDecoder();
+
+    for await (const bytes of res.body) {
+      pending += decoder.decode(bytes, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const data = trimmed.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+        let chunk = null;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        const choice = chunk.choices?.[0];
+        const delta = choice?.delta?.content || '';
+        if (delta) {
+          content += delta;
+          if (onDelta) onDelta(delta);
+        }
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (chunk.usage) usage = chunk.usage;
+      }
+    }
+    return { content, finishReason, usage };
+  }
+
+  async function transcribe({ filePath, model }) {
+    const data = await fs.promises.readFile(filePath);
+    const form = new FormData();
+    form.append('model', model);
+    form.append('file', new Blob([data]), path.basename(filePath));
+    const res = await request('/audio/transcriptions', {
+      method: 'POST',
+      headers: headers(),
+      body: form,
+    });
+    const json = await res.json();
+    return (json && json.text) || '';
+  }
+
+  async function synthesizeSpeech({ text, voice, model, format, speed, instructions }) {
+    const body = { model, voice, input: text, response_format: format };
+    if (typeof speed === 'number') body.speed = speed;
+    if (instructions) body.instructions = instructions;
+    const res = await request('/audio/speech', {
+      method: 'POST',
+      headers: headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body),
+    });
+    const arrayBuffer = await res.arrayBuffer();
+    return { buffer: Buffer.from(arrayBuffer), format };
+  }
+
+  return {
+    name: 'openai-compatible',
+    isConfigured: () => !!baseUrl,
+    chatCompletion,
+    chatCompletionStream,
+    transcribe,
+    synthesizeSpeech,
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
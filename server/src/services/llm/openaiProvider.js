@@ -0,0 +1,91 @@
+// server/src/services/llm/openaiProvider.js
+// Official OpenAI adapter (default provider).
+
+const fs = require('fs');
+const OpenAI = require('openai');
+
+/**
+ * Build the OpenAI provider.
+ *
+ * Chat completions honour the SDK defaults (including OPENAI_BASE_URL).
+ * Audio (STT + TTS) uses a dedicated client pinned to the official API:
+ * some proxies configured through OPENAI_BASE_URL do not expose
+ * /v1/audio/speech and used to answer 404.
+ *
+ * Clients are created on first use: the SDK throws when the key is missing,
+ * and that must not take the whole server down at require() time.
+ */
+function createOpenAIProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  let chatClient = null;
+  let audioClient = null;
+
+  function getChatClient() {
+    if (!chatClient) chatClient = new OpenAI({ apiKey });
+    return chatClient;
+  }
+
+  function getAudioClient() {
+    if (!audioClient) {
+      audioClient = new OpenAI({
+        apiKey,
+        baseURL: 'https://api.openai.com/v1',
+      });
+    }
+    return audioClient;
+  }
+
+  async function chatCompletion(params) {
+    return getChatClient().chat.completions.create(params);
+  }
+
+  async function chatCompletionStream(params, { onDelta, signal } = {}) {
+    const stream = await getChatClient().chat.completions.create(
+      { ...params, stream: true, stream_options: { include_usage: true } },
+      { signal }
+    );
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    for await (const chunk of stream) {
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content || '';
+      if (delta) {
+        content += delta;
+        if (onDelta) onDelta(delta);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+    }
+    return { content, finishReason, usage };
+  }
+
+  async function transcribe({ filePath, model }) {
+    const resp = await getAudioClient().audio.transcriptions.create({
+      model,
+      file: fs.createReadStream(filePath),
+    });
+    return (resp && (resp.text || resp.data?.text)) || '';
+  }
+
+  async function synthesizeSpeech({ text, voice, model, format, speed, instructions }) {
+    const payload = { model, voice, input: text, response_format: format };
+    if (typeof speed === 'number') payload.speed = speed;
+    if (instructions) payload.instructions = instructions;
+    const response = await getAudioClient().audio.speech.create(payload);
+    const arrayBuffer = await response.arrayBuffer();
+    return { buffer: Buffer.from(arrayBuffer), format };
+  }
+
+  return {
+    name: 'openai',
+    isConfigured: () => !!apiKey,
+    chatCompletion,
+    chatCompletionStream,
+    transcribe,
+    synthesizeSpeech,
+  };
+}
+
+module.exports = { createOpenAIProvider };
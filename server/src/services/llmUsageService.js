@@ -0,0 +1,243 @@
+// server/src/services/llmUsageService.js
+// Usage ledger: one LlmUsage row per provider call (chat completion, JSON
+// classification, STT, TTS) with the model, tokens, audio seconds, TTS
+// characters, the calling feature and its cost (config/llmPricing.js).
+// Rows never hold prompts, transcripts or replies.
+//
+// services/llm records every call here. The user comes from the request
+// context (utils/requestContext.js), so callers do not thread it through;
+// calls made outside a request are stored with userId null. Ledger writes
+// are fire-and-forget: a failed write is logged and never fails the turn.
+//
+// Monthly cost ceilings (User.monthlyCostCeilingUsd, else the plan default
+// from config/limits.js) are checked by the chat quota stage before a turn
+// starts, so the turn that crosses the ceiling still completes.
+
+const prisma = require('../prisma');
+const { estimateCostUsd } = require('../config/llmPricing');
+const { effectivePlan } = require('../config/limits');
+const { getRequestContext } = require('../utils/requestContext');
+const { getCachedValue } = require('../utils/ttlCache');
+const { startOfMonth } = require('./usageService');
+const logger = require('../utils/logger').child({ component: 'LLMUsage' });
+
+const FEATURES = ['chat', 'classify', 'mirror', 'memory', 'voice'];
+
+// services/llm `params.task` label -> ledger feature
+const FEATURE_BY_TASK = {
+  chat: 'chat',
+  emotion: 'classify',
+  mirror: 'mirror',
+  summary: 'memory',
+  name: 'memory',
+  goals: 'memory',
+};
+
+const PLAN_CACHE_MS = 60 * 1000;
+
+function featureForTask(task) {
+  return FEATURE_BY_TASK[task] || 'chat';
+}
+
+async function lookupPlan(userId) {
+  const { value } = await getCachedValue(`llmUsage:plan:${userId}`, PLAN_CACHE_MS, async () => {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { plan: true, planOverride: true, planOverrideExpiresAt: true },
+    });
+    return effectivePlan(user);
+  });
+  return value;
+}
+
+const count = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : 0);
+
+/**
+ * Add one provider call to the ledger. Resolves once the row is written (or
+ * the write failed and was logged); callers do not need to wait for it.
+ *
+ * @param {{ feature: string, provider: string, model: string,
+ *   promptTokens?: number, completionTokens?: number,
+ *   audioSeconds?: number, characters?: number }} call
+ * @returns {Promise<void>}
+ */
+function recordLlmUsage(call) {
+  const ctx = getRequestContext();
+  const userId = ctx && Number.isInteger(ctx.userId) ? ctx.userId : null;
+  const row = {
+    feature: FEATURES.includes(call.feature) ? call.feature : 'chat',
+    provider: String(call.provider || 'unknown'),
+    model: String(call.model || 'unknown'),
+    promptTokens: Math.round(count(call.promptTokens)),
+    completionTokens: Math.round(count(call.completionTokens)),
+    audioSeconds: count(call.audioSeconds),
+    characters: Math.round(count(call.characters)),
+  };
+  row.costUsd = estimateCostUsd(row);
+
+  return (async () => {
+    const plan = userId ? await lookupPlan(userId) : null;
+    await prisma.llmUsage.create({ data: { ...row, userId, plan } });
+  })().catch((err) => {
+    logger.error('ledger write failed', { feature: row.feature, model: row.model, err });
+  });
+}
+
+/**
+ * What the user has spent on provider calls since the start of the month.
+ * @param {number} userId
+ * @returns {Promise<number>} USD
+ */
+async function getMonthlyCostUsd(userId) {
+  const result = await prisma.llmUsage.aggregate({
+    where: { userId, createdAt: { gte: startOfMonth() } },
+    _sum: { costUsd: true },
+  });
+  return (result && result._sum && result._sum.costUsd) || 0;
+}
+
+/**
+ * The user's own ceiling when an admin set one, else the plan default.
+ * @returns {{ ceilingUsd: number|null, source: 'user'|'plan'|null }}
+ */
+function resolveCostCeiling(dbUser, limits) {
+  if (dbUser && typeof dbUser.monthlyCostCeilingUsd === 'number') {
+    return { ceilingUsd: dbUser.monthlyCostCeilingUsd, source: 'user' };
+  }
+  if (limits && typeof limits.monthlyCostCeilingUsd === 'number') {
+    return { ceilingUsd: limits.monthlyCostCeilingUsd, source: 'plan' };
+  }
+  return { ceilingUsd: null, source: null };
+}
+
+/**
+ * Whether the user is still under their monthly cost ceiling. Users
+ * without a ceiling are not queried.
+ *
+ * @returns {Promise<{ ok: boolean, ceilingUsd: number|null, spentUsd: number|null }>}
+ */
+async function checkCostCeiling({ userId, dbUser, limits }) {
+  const { ceilingUsd } = resolveCostCeiling(dbUser, limits);
+  if (ceilingUsd === null) return { ok: true, ceilingUsd: null, spentUsd: null };
+  const spentUsd = await getMonthlyCostUsd(userId);
+  return { ok: spentUsd < ceilingUsd, ceilingUsd, spentUsd };
+}
+
+// ----------------------------------------------------------------------
+// Aggregation (admin dashboard)
+// ----------------------------------------------------------------------
+
+const SUM_FIELDS = {
+  promptTokens: true,
+  completionTokens: true,
+  audioSeconds: true,
+  characters: true,
+  costUsd: true,
+};
+
+function toSummary(row) {
+  const sum = (row && row._sum) || {};
+  return {
+    calls: (row && row._count && row._count._all) || 0,
+    promptTokens: sum.promptTokens || 0,
+    completionTokens: sum.completionTokens || 0,
+    audioSeconds: sum.audioSeconds || 0,
+    characters: sum.characters || 0,
+    costUsd: sum.costUsd || 0,
+  };
+}
+
+function groupRows(rows, key) {
+  return (Array.isArray(rows) ? rows : [])
+    .map((row) => ({ [key]: row[key], ...toSummary(row) }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+}
+
+/**
+ * Ledger totals for a time range, overall and by feature, model, plan and
+ * UTC day. Pass userId for a single user's breakdown.
+ *
+ * @param {{ from: Date, to: Date, userId?: number|null }} range
+ */
+async function summarizeUsage({ from, to, userId = null }) {
+  const where = { createdAt: { gte: from, lt: to } };
+  if (userId !== null) where.userId = userId;
+  const groupBy = (field) =>
+    prisma.llmUsage.groupBy({ by: [field], where, _count: { _all: true }, _sum: SUM_FIELDS });
+
+  const [totals, byFeature, byModel, byPlan, byDay] = await Promise.all([
+    prisma.llmUsage.aggregate({ where, _count: { _all: true }, _sum: SUM_FIELDS }),
+    groupBy('feature'),
+    groupBy('model'),
+    groupBy('plan'),
+    prisma.$queryRaw`
+      SELECT date_trunc('day', "createdAt") AS "day",
+             COUNT(*)::int AS "calls",
+             COALESCE(SUM("costUsd"), 0)::float8 AS "costUsd"
+      FROM "LlmUsage"
+      WHERE "createdAt" >= ${from} AND "createdAt" < ${to}
+        AND (${userId}::int IS NULL OR "userId" = ${userId}::int)
+      GROUP BY 1
+      ORDER BY 1
+    `,
+  ]);
+
+  return {
+    from,
+    to,
+    totals: toSummary(totals),
+    byFeature: groupRows(byFeature, 'feature'),
+    byModel: groupRows(byModel, 'model'),
+    byPlan: groupRows(byPlan, 'plan'),
+    byDay: (Array.isArray(byDay) ? byDay : []).map((row) => ({
+      day: new Date(row.day).toISOString().slice(0, 10),
+      calls: Number(row.calls) || 0,
+      costUsd: Number(row.costUsd) || 0,
+    })),
+  };
+}
+
+/**
+ * The users with the highest cost in a time range.
+ * @param {{ from: Date, to: Date, limit?: number }} range
+ */
+async function topUsersByCost({ from, to, limit = 20 }) {
+  const rows = await prisma.llmUsage.groupBy({
+    by: ['userId'],
+    where: { createdAt: { gte: from, lt: to }, userId: { not: null } },
+    _count: { _all: true },
+    _sum: SUM_FIELDS,
+    orderBy: { _sum: { costUsd: 'desc' } },
+    take: limit,
+  });
+  const ids = rows.map((row) => row.userId);
+  const users = ids.length
+    ? await prisma.user.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, email: true, name: true, plan: true, monthlyCostCeilingUsd: true },
+      })
+    : [];
+  const byId = new Map(users.map((u) => [u.id, u]));
+  return rows.map((row) => {
+    const user = byId.get(row.userId) || {};
+    return {
+      userId: row.userId,
+      email: user.email || null,
+      name: user.name || null,
+      plan: user.plan || null,
+      monthlyCostCeilingUsd: user.monthlyCostCeilingUsd ?? null,
+      ...toSummary(row),
+    };
+  });
+}
+
+module.exports = {
+  FEATURES,
+  featureForTask,
+  recordLlmUsage,
+  getMonthlyCostUsd,
+  resolveCostCeiling,
+  checkCostCeiling,
+  summarizeUsage,
+  topUsersByCost,
+};
@@ -0,0 +1,279 @@
+// server/src/services/messageAttachmentService.js
+// Audio attached to chat messages (MessageAttachment).
+//
+// Uploads land in a private temp directory (never under the public uploads/
+// folder) and are deleted as soon as transcription is done. Two kinds of
+// audio are kept, both encrypted with the message keyring and written to
+// object storage (services/storage), and only readable through an
+// owner-checked route:
+//
+//   voice_input  the user's recording, only when they opted in
+//                (User.keepVoiceNotes)
+//   voice_reply  the spoken reply, whenever the turn is saved to history
+//
+// Rows are created when the audio is stored and linked to their Message
+// once the turn has been saved (attachVoiceTurn). Deleting a Message
+// cascades to its attachment rows but not to storage, so code deleting
+// messages calls deleteMessageAttachmentObjects first.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const prisma = require('../prisma');
+const { getStorage } = require('./storage');
+const { encryptBuffer, decryptBuffer } = require('../utils/crypto');
+const { analyzeAudioBuffer } = require('./audioIngestService');
+const logger = require('../utils/logger').child({ component: 'Attachments' });
+
+const ATTACHMENT_KINDS = {
+  VOICE_INPUT: 'voice_input',
+  VOICE_REPLY: 'voice_reply',
+};
+
+const ATTACHMENT_SELECT = {
+  id: true,
+  kind: true,
+  mimeType: true,
+  sizeBytes: true,
+  durationMs: true,
+  waveformPeaks: true,
+  createdAt: true,
+};
+
+const VOICE_TMP_DIR = path.resolve(
+  process.env.VOICE_UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'asrar-voice')
+);
+
+function ensureVoiceTmpDir() {
+  fs.mkdirSync(VOICE_TMP_DIR, { recursive: true, mode: 0o700 });
+  return VOICE_TMP_DIR;
+}
+
+/**
+ * Delete a multer temp upload. Safe to call more than once.
+ * @param {{ path?: string }|null|undefined} file
+ */
+async function removeTempUpload(file) {
+  if (!file || typeof file.path !== 'string') return;
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') {
+      logger.error('temp delete error', { err });
+    }
+  }
+}
+
+function baseMimeType(mimeType) {
+  return String(mimeType || 'application/octet-stream').split(';')[0].trim();
+}
+
+async function storeAttachment({ userId, messageId = null, kind, audio, mimeType, durationMs, waveformPeaks }) {
+  const storageKey = `voice/u${userId}/${crypto.randomUUID()}.bin`;
+
+  await getStorage().putObject(storageKey, encryptBuffer(audio), {
+    contentType: 'application/octet-stream',
+  });
+
+  try {
+    return await prisma.messageAttachment.create({
+      data: {
+        userId,
+        messageId,
+        kind,
+        storageKey,
+        mimeType: baseMimeType(mimeType),
+        sizeBytes: audio.length,
+        durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+        waveformPeaks: Array.isArray(waveformPeaks) ? waveformPeaks : undefined,
+      },
+      select: ATTACHMENT_SELECT,
+    });
+  } catch (err) {
+    await getStorage().deleteObject(storageKey).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Call right after transcription. Keeps the recording when the user opted in,
+ * then always deletes the temp upload. A storage failure never fails the
+ * voice turn; the recording is just not kept.
+ *
+ * @param {{ userId: number, file: object, keep: boolean,
+ *   durationMs?: number|null, waveformPeaks?: number[]|null }} params
+ *   durationMs / waveformPeaks come from ingestVoiceUpload
+ * @returns {Promise<object|null>} the voice_input attachment, not yet linked
+ *   to a message
+ */
+async function finalizeVoiceUpload({ userId, file, keep, durationMs = null, waveformPeaks = null }) {
+  let attachment = null;
+  try {
+    if (keep && file && file.path) {
+      attachment = await storeAttachment({
+        userId,
+        kind: ATTACHMENT_KINDS.VOICE_INPUT,
+        audio: await fs.promises.readFile(file.path),
+        mimeType: file.mimetype,
+        durationMs,
+        waveformPeaks,
+      });
+    }
+  } catch (err) {
+    logger.error('store error', { err });
+  } finally {
+    await removeTempUpload(file);
+  }
+  return attachment;
+}
+
+/**
+ * Attach a saved voice turn's audio to its messages: link the kept recording
+ * (if any) to the user message and store the spoken reply on the assistant
+ * message. Runs after the response has been sent; failures are logged only.
+ *
+ * @param {{ userId: number, userMessageId?: number|null,
+ *   assistantMessageId?: number|null, inputAttachmentId?: number|null,
+ *   reply?: { buffer: Buffer, mimeType: string }|null }} params
+ * @returns {Promise<void>}
+ */
+async function attachVoiceTurn({ userId, userMessageId, assistantMessageId, inputAttachmentId, reply }) {
+  try {
+    if (inputAttachmentId && userMessageId) {
+      await prisma.messageAttachment.updateMany({
+        where: { id: inputAttachmentId, userId, messageId: null },
+        data: { messageId: userMessageId },
+      });
+    }
+
+    if (assistantMessageId && reply && Buffer.isBuffer(reply.buffer) && reply.buffer.length) {
+      const { durationMs, waveformPeaks } = await analyzeAudioBuffer(reply.buffer);
+      await storeAttachment({
+        userId,
+        messageId: assistantMessageId,
+        kind: ATTACHMENT_KINDS.VOICE_REPLY,
+        audio: reply.buffer,
+        mimeType: reply.mimeType,
+        durationMs,
+        waveformPeaks,
+      });
+    }
+  } catch (err) {
+    logger.error('attach error', { err });
+  }
+}
+
+/**
+ * Decrypted audio for one of the user's attachments, or null when it does
+ * not exist or belongs to someone else.
+ *
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }|null>}
+ */
+async function getAttachmentAudio({ id, userId }) {
+  const attachment = await prisma.messageAttachment.findFirst({
+    where: { id, userId },
+    select: { storageKey: true, mimeType: true },
+  });
+  if (!attachment) return null;
+
+  const payload = await getStorage().getObject(attachment.storageKey);
+  if (!payload) return null;
+  return { buffer: decryptBuffer(payload), mimeType: attachment.mimeType };
+}
+
+/**
+ * Public shape of an attachment in API responses.
+ * @param {{ id: number, kind: string, mimeType: string, durationMs: number|null,
+ *   waveformPeaks: any }} attachment
+ */
+function serializeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    kind: attachment.kind,
+    mimeType: attachment.mimeType,
+    durationMs: attachment.durationMs,
+    waveformPeaks: Array.isArray(attachment.waveformPeaks) ? attachment.waveformPeaks : null,
+    audioUrl: `/api/chat/attachments/${attachment.id}/audio`,
+  };
+}
+
+/**
+ * Remove stored objects by key. Failures are logged, not thrown, so callers
+ * deleting database rows are never blocked by storage.
+ * @param {string[]} storageKeys
+ * @returns {Promise<number>} objects removed
+ */
+async function deleteStoredObjects(storageKeys) {
+  let removed = 0;
+  for (const key of storageKeys) {
+    try {
+      await getStorage().deleteObject(key);
+      removed += 1;
+    } catch (err) {
+      logger.error('object delete error', { err });
+    }
+  }
+  return removed;
+}
+
+async function listAttachmentKeys(userId) {
+  const attachments = await prisma.messageAttachment.findMany({
+    where: { userId },
+    select: { storageKey: true },
+  });
+  return attachments.map((a) => a.storageKey);
+}
+
+/**
+ * Remove the stored audio of every attachment on the matching messages.
+ * Call before deleting the messages; the rows then go with the cascade.
+ * @param {object} messageWhere Prisma where clause on Message
+ * @returns {Promise<number>} objects removed
+ */
+async function deleteMessageAttachmentObjects(messageWhere) {
+  const attachments = await prisma.messageAttachment.findMany({
+    where: { message: messageWhere },
+    select: { storageKey: true },
+  });
+  if (!attachments.length) return 0;
+  return deleteStoredObjects(attachments.map((a) => a.storageKey));
+}
+
+/**
+ * Delete attachments (audio and rows). Pass `id` for a single attachment,
+ * `kind` to limit to one kind.
+ * @param {{ userId: number, id?: number, kind?: string }} params
+ * @returns {Promise<number>} attachments deleted
+ */
+async function deleteAttachments({ userId, id, kind }) {
+  const where = { userId };
+  if (id) where.id = id;
+  if (kind) where.kind = kind;
+  const attachments = await prisma.messageAttachment.findMany({
+    where,
+    select: { id: true, storageKey: true },
+  });
+  if (!attachments.length) return 0;
+
+  await deleteStoredObjects(attachments.map((a) => a.storageKey));
+  const { count } = await prisma.messageAttachment.deleteMany({
+    where: { id: { in: attachments.map((a) => a.id) }, userId },
+  });
+  return count;
+}
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  VOICE_TMP_DIR,
+  ensureVoiceTmpDir,
+  removeTempUpload,
+  finalizeVoiceUpload,
+  attachVoiceTurn,
+  getAttachmentAudio,
+  serializeAttachment,
+  listAttachmentKeys,
+  deleteStoredObjects,
+  deleteMessageAttachmentObjects,
+  deleteAttachments,
+};
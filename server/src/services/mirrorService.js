@@ -2,12 +2,10 @@
 // AI Mirror Mode: compute emotional patterns and ask the LLM to reflect them
 // back in a gentle, non-clinical narrative.
 
-const OpenAI = require('openai');
 const prisma = require('../prisma');
 const { logEmotionalEvent } = require('./timelineService');
 const { getPersonaSnapshot } = require('../pipeline/memory/memoryKernel');
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { createChatCompletion } = require('./llm');
 
 // Thresholds for deciding when there is enough persona-level history.
 // We allow early, honest micro-mirrors once there is a modest signal,
@@ -423,7 +421,8 @@ async function callLLMForMirror({ insights, personaMeta, lang, personaSnapshot,
   ].join('\n\n');
 
   try {
-    const completion = await openai.chat.completions.create({
+    const completion = await createChatCompletion({
+      task: 'mirror',
       model: process.env.OPENAI_CORE_MODEL || 'gpt-4o-mini',
       temperature: 0.75,
       max_tokens: 450,
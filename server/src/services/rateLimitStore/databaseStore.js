@@ -0,0 +1,78 @@
+// server/src/services/rateLimitStore/databaseStore.js
+// Postgres driver (RateLimitCounter table). Shared by every instance that
+// uses the same database. Expired rows are swept now and then.
+
+const prisma = require('../../prisma');
+const logger = require('../../utils/logger').child({ component: 'RateLimitStore' });
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+function isUniqueViolation(err) {
+  return !!(err && err.code === 'P2002');
+}
+
+function createDatabaseStore() {
+  let lastSweepAt = Date.now();
+
+  function maybeSweep(now) {
+    if (now.getTime() - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    lastSweepAt = now.getTime();
+    prisma.rateLimitCounter
+      .deleteMany({ where: { resetAt: { lte: now } } })
+      .catch((err) => logger.error('sweep error', { err }));
+  }
+
+  async function increment(key, windowMs) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+    maybeSweep(now);
+
+    // Restart an expired window first. Conditional, so when instances race
+    // only one of them resets it and the others count into the new window.
+    await prisma.rateLimitCounter.updateMany({
+      where: { key, resetAt: { lte: now } },
+      data: { count: 0, resetAt },
+    });
+
+    const upsert = () =>
+      prisma.rateLimitCounter.upsert({
+        where: { key },
+        create: { key, count: 1, resetAt },
+        update: { count: { increment: 1 } },
+      });
+
+    let row;
+    try {
+      row = await upsert();
+    } catch (err) {
+      // Two instances created the row at the same time; the loser retries as
+      // an update.
+      if (!isUniqueViolation(err)) throw err;
+      row = await upsert();
+    }
+    return { count: row.count, resetAt: row.resetAt };
+  }
+
+  return {
+    increment,
+
+    async decrement(key) {
+      await prisma.rateLimitCounter.updateMany({
+        where: { key, count: { gt: 0 }, resetAt: { gt: new Date() } },
+        data: { count: { decrement: 1 } },
+      });
+    },
+
+    async get(key) {
+      const row = await prisma.rateLimitCounter.findUnique({ where: { key } });
+      if (!row || row.resetAt.getTime() <= Date.now()) return null;
+      return { count: row.count, resetAt: row.resetAt };
+    },
+
+    async reset(key) {
+      await prisma.rateLimitCounter.deleteMany({ where: { key } });
+    },
+  };
+}
+
+module.exports = { createDatabaseStore };
@@ -0,0 +1,47 @@
+// server/src/services/rateLimitStore/index.js
+// Shared counters for rate limiting and account lockout. Callers only use the
+// store returned by getRateLimitStore(); the backend is chosen by config:
+//
+//   RATE_LIMIT_STORE   database (default) | redis | memory
+//
+// "database" and "redis" are shared by every server instance and survive
+// restarts; "memory" is per process (single-instance or local development).
+//
+// Every store counts hits in fixed windows and exposes the same shape:
+//   increment(key, windowMs) -> { count, resetAt }  starts a new window when
+//                                                   the last one ran out
+//   decrement(key)           -> void (undo one hit; missing keys are fine)
+//   get(key)                 -> { count, resetAt }, or null when missing/expired
+//   reset(key)               -> void
+
+const { createMemoryStore } = require('./memoryStore');
+const { createDatabaseStore } = require('./databaseStore');
+const { createRedisStore } = require('./redisStore');
+const logger = require('../../utils/logger').child({ component: 'RateLimitStore' });
+
+const FACTORIES = {
+  database: createDatabaseStore,
+  redis: createRedisStore,
+  memory: createMemoryStore,
+};
+
+let instance = null;
+let instanceName = null;
+
+function resolveStoreName(raw) {
+  const name = String(raw || 'database').trim().toLowerCase();
+  if (FACTORIES[name]) return name;
+  logger.warn('unknown store, falling back to database', { requested: name });
+  return 'database';
+}
+
+function getRateLimitStore() {
+  const name = resolveStoreName(process.env.RATE_LIMIT_STORE);
+  if (!instance || instanceName !== name) {
+    instance = FACTORIES[name]();
+    instanceName = name;
+  }
+  return instance;
+}
+
+module.exports = { getRateLimitStore };
@@ -0,0 +1,55 @@
+// server/src/services/rateLimitStore/memoryStore.js
+// In-process driver: counters live in a Map and are lost on restart. Only
+// suitable for a single server instance.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt.getTime() <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  if (typeof sweep.unref === 'function') sweep.unref();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.resetAt.getTime() <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async increment(key, windowMs) {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: new Date(Date.now() + windowMs) };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async decrement(key) {
+      const entry = live(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
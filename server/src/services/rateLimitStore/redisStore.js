@@ -0,0 +1,211 @@
+// server/src/services/rateLimitStore/redisStore.js
+// Redis driver; also works with RESP-compatible servers (Valkey, KeyDB,
+// Dragonfly, ...). Speaks the protocol over a plain socket, so no client
+// library is needed. Each update is a Lua script, so it is atomic across
+// instances.
+
+const net = require('net');
+const tls = require('tls');
+
+// KEYS[1] counter, ARGV[1] window in ms -> { count, ms left }
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+
+const DECREMENT_SCRIPT = `
+local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+if count > 0 then redis.call('DECR', KEYS[1]) end
+return 0`;
+
+const GET_SCRIPT = `
+local count = redis.call('GET', KEYS[1])
+if not count then return nil end
+return { tonumber(count), redis.call('PTTL', KEYS[1]) }`;
+
+/** Serialize one command as a RESP array of bulk strings. */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply from `buffer` at `offset`.
+ * @returns {{ value: any, offset: number }|null} null when the reply is not
+ *   complete yet. Error replies come back as Error values.
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+/**
+ * One lazily opened connection; commands are pipelined and matched to
+ * replies in order. A broken connection fails its pending commands and the
+ * next command reconnects.
+ */
+function createConnection({ url, timeoutMs }) {
+  const parsed = new URL(url);
+  const useTls = parsed.protocol === 'rediss:';
+  const host = parsed.hostname || '127.0.0.1';
+  const port = Number(parsed.port) || 6379;
+  const password = parsed.password ? decodeURIComponent(parsed.password) : '';
+  const username = parsed.username ? decodeURIComponent(parsed.username) : '';
+  const db = Number((parsed.pathname || '').replace('/', '')) || 0;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function fail(err) {
+    const waiting = pending;
+    pending = [];
+    buffer = Buffer.alloc(0);
+    if (socket) {
+      socket.destroy();
+      socket = null;
+    }
+    for (const entry of waiting) {
+      clearTimeout(entry.timer);
+      entry.reject(err);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let reply;
+    try {
+      while (pending.length && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const entry = pending.shift();
+        clearTimeout(entry.timer);
+        if (reply.value instanceof Error) entry.reject(reply.value);
+        else entry.resolve(reply.value);
+      }
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => fail(new Error('Redis command timed out')), timeoutMs);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    const current = useTls
+      ? tls.connect({ host, port, servername: host })
+      : net.createConnection({ host, port });
+    socket = current;
+    current.setNoDelay(true);
+    current.on('data', onData);
+    // Ignore late events of a socket that was already replaced.
+    current.on('error', (err) => {
+      if (socket === current) fail(err);
+    });
+    current.on('close', () => {
+      if (socket === current) fail(new Error('Redis connection closed'));
+    });
+
+    // Queued before anything else, so their replies come first.
+    if (password) {
+      send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+    }
+    if (db) send(['SELECT', db]).catch(() => {});
+  }
+
+  return {
+    command(args) {
+      if (!socket) connect();
+      return send(args);
+    },
+  };
+}
+
+/**
+ * Env:
+ *   REDIS_URL              redis://[user:password@]host:port[/db], rediss:// for TLS (required)
+ *   REDIS_KEY_PREFIX       default "asrar:ratelimit:"
+ *   REDIS_TIMEOUT_MS       per-command timeout (default 2000)
+ */
+function createRedisStore() {
+  const url = process.env.REDIS_URL || '';
+  if (!url) {
+    throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL');
+  }
+  const prefix = process.env.REDIS_KEY_PREFIX || 'asrar:ratelimit:';
+  const connection = createConnection({
+    url,
+    timeoutMs: Number(process.env.REDIS_TIMEOUT_MS) || 2000,
+  });
+
+  const evalScript = (script, key, ...args) =>
+    connection.command(['EVAL', script, 1, prefix + key, ...args]);
+
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await evalScript(INCREMENT_SCRIPT, key, Math.max(1, Math.ceil(windowMs)));
+      return { count, resetAt: new Date(Date.now() + ttl) };
+    },
+
+    async decrement(key) {
+      await evalScript(DECREMENT_SCRIPT, key);
+    },
+
+    async get(key) {
+      const reply = await evalScript(GET_SCRIPT, key);
+      if (!reply || reply[1] < 0) return null;
+      return { count: reply[0], resetAt: new Date(Date.now() + reply[1]) };
+    },
+
+    async reset(key) {
+      await connection.command(['DEL', prefix + key]);
+    },
+  };
+}
+
+module.exports = { createRedisStore, encodeCommand, parseReply };
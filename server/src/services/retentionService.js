@@ -0,0 +1,349 @@
+// server/src/services/retentionService.js
+// Per-user, per-data-class retention.
+//
+// Users pick a retention period for each class in RETENTION_CLASSES (stored in
+// UserEmotionProfile.retentionPolicy as { [class]: days|null }), clamped to the
+// admin bounds from config/retention.js. runRetention() walks users in
+// batches and deletes rows older than each effective period. Deletes are
+// cutoff-based, so a run that is interrupted or repeated is harmless.
+// Every non-dry run writes a RetentionRun audit row with the purged counts.
+
+const prisma = require('../prisma');
+const { RETENTION_CLASSES, getRetentionBounds } = require('../config/retention');
+const { deleteMessageAttachmentObjects } = require('./messageAttachmentService');
+const logger = require('../utils/logger').child({ component: 'Retention' });
+
+const USER_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tables covered by each data class and the timestamp that ages them.
+// `beforeDelete(ids)` runs on each batch before its rows are deleted.
+const CLASS_TARGETS = {
+  messages: [
+    {
+      model: 'message',
+      dateField: 'createdAt',
+      // Attachment rows cascade with the message; their stored audio does not.
+      beforeDelete: (ids) => deleteMessageAttachmentObjects({ id: { in: ids } }),
+    },
+  ],
+  emotionalEvents: [
+    { model: 'emotionalEvent', dateField: 'timestamp' },
+    { model: 'emotionalTimelineEvent', dateField: 'createdAt' },
+    { model: 'emotionalTriggerEvent', dateField: 'createdAt' },
+  ],
+  dailySummaries: [{ model: 'emotionalDailySummary', dateField: 'date' }],
+  mirrorSessions: [{ model: 'mirrorSession', dateField: 'generatedAt' }],
+  // Facts the user pinned in Settings are kept regardless of age.
+  memoryFacts: [{ model: 'userMemoryFact', dateField: 'updatedAt', where: { isPinned: false } }],
+  // A device that is still signed in is kept until it signs out or its
+  // refresh token expires (services/authSessionService.js).
+  sessions: [
+    { model: 'userSession', dateField: 'createdAt' },
+    {
+      model: 'authSession',
+      dateField: 'createdAt',
+      where: () => ({ OR: [{ refreshTokenHash: null }, { expiresAt: { lt: new Date() } }] }),
+    },
+  ],
+};
+
+function clampDays(days, bound) {
+  let value = Math.max(days, bound.minDays);
+  if (bound.maxDays !== null) value = Math.min(value, bound.maxDays);
+  return value;
+}
+
+/**
+ * Effective policy for a stored (possibly stale or partial) user policy.
+ * Missing classes get the admin default; values outside the current bounds
+ * are clamped, so tightening a bound applies to existing users too.
+ *
+ * @param {object|null} rawPolicy UserEmotionProfile.retentionPolicy
+ * @param {object} [bounds] getRetentionBounds()
+ * @returns {Record<string, number|null>} days per class, null = keep forever
+ */
+function resolveRetentionPolicy(rawPolicy, bounds = getRetentionBounds()) {
+  const stored = rawPolicy && typeof rawPolicy === 'object' && !Array.isArray(rawPolicy)
+    ? rawPolicy
+    : {};
+  const policy = {};
+
+  for (const dataClass of RETENTION_CLASSES) {
+    const bound = bounds[dataClass];
+    const value = Object.prototype.hasOwnProperty.call(stored, dataClass)
+      ? stored[dataClass]
+      : undefined;
+
+    if (value === null) {
+      policy[dataClass] = bound.maxDays === null ? null : bound.maxDays;
+    } else if (Number.isInteger(value) && value > 0) {
+      policy[dataClass] = clampDays(value, bound);
+    } else {
+      policy[dataClass] = bound.defaultDays;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Validate a user-submitted partial policy against the admin bounds.
+ * @returns {{ policy?: Record<string, number|null>, error?: string }}
+ */
+function validateRetentionPolicyInput(input, bounds = getRetentionBounds()) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'policy must be an object' };
+  }
+
+  const policy = {};
+  for (const [dataClass, value] of Object.entries(input)) {
+    const bound = bounds[dataClass];
+    if (!bound) {
+      return { error: `Unknown data class "${dataClass}"` };
+    }
+    if (value === null) {
+      if (bound.maxDays !== null) {
+        return { error: `${dataClass} cannot be kept longer than ${bound.maxDays} days` };
+      }
+      policy[dataClass] = null;
+      continue;
+    }
+    if (!Number.isInteger(value) || value < bound.minDays) {
+      return { error: `${dataClass} must be at least ${bound.minDays} days` };
+    }
+    if (bound.maxDays !== null && value > bound.maxDays) {
+      return { error: `${dataClass} cannot be kept longer than ${bound.maxDays} days` };
+    }
+    policy[dataClass] = value;
+  }
+  return { policy };
+}
+
+async function getUserRetentionPolicy(userId) {
+  const profile = await prisma.userEmotionProfile.findUnique({
+    where: { userId },
+    select: { retentionPolicy: true },
+  });
+  const bounds = getRetentionBounds();
+  return {
+    policy: resolveRetentionPolicy(profile && profile.retentionPolicy, bounds),
+    bounds,
+  };
+}
+
+/**
+ * Merge a validated partial policy into the user's stored policy.
+ * @returns {Promise<Record<string, number|null>>} the new effective policy
+ */
+async function setUserRetentionPolicy(userId, partialPolicy) {
+  const profile = await prisma.userEmotionProfile.findUnique({
+    where: { userId },
+    select: { retentionPolicy: true },
+  });
+  const current =
+    profile && profile.retentionPolicy && typeof profile.retentionPolicy === 'object'
+      ? profile.retentionPolicy
+      : {};
+  const retentionPolicy = { ...current, ...partialPolicy };
+
+  await prisma.userEmotionProfile.upsert({
+    where: { userId },
+    create: { userId, retentionPolicy },
+    update: { retentionPolicy },
+  });
+
+  return resolveRetentionPolicy(retentionPolicy);
+}
+
+async function purgeTarget({ target, userId, cutoff, dryRun }) {
+  const delegate = prisma[target.model];
+  const extra = typeof target.where === 'function' ? target.where() : target.where;
+  const where = { ...(extra || {}), userId, [target.dateField]: { lt: cutoff } };
+
+  if (dryRun) {
+    return delegate.count({ where });
+  }
+
+  let purged = 0;
+  while (true) {
+    const rows = await delegate.findMany({
+      where,
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: DELETE_BATCH_SIZE,
+    });
+    if (!rows.length) break;
+
+    const ids = rows.map((r) => r.id);
+    if (target.beforeDelete) await target.beforeDelete(ids);
+    const { count } = await delegate.deleteMany({
+      where: { id: { in: ids } },
+    });
+    purged += count;
+    if (rows.length < DELETE_BATCH_SIZE) break;
+  }
+  return purged;
+}
+
+function emptyCounts() {
+  return RETENTION_CLASSES.reduce((acc, dataClass) => {
+    acc[dataClass] = 0;
+    return acc;
+  }, {});
+}
+
+async function applyRetention({ dryRun, userId, now }) {
+  const bounds = getRetentionBounds();
+  const counts = emptyCounts();
+  let usersScanned = 0;
+  let usersAffected = 0;
+  let cursorId = 0;
+
+  while (true) {
+    const users = await prisma.user.findMany({
+      where: userId ? { id: userId } : { id: { gt: cursorId } },
+      orderBy: { id: 'asc' },
+      take: USER_BATCH_SIZE,
+      select: { id: true, emotionProfile: { select: { retentionPolicy: true } } },
+    });
+    if (!users.length) break;
+    cursorId = users[users.length - 1].id;
+
+    for (const user of users) {
+      usersScanned += 1;
+      const policy = resolveRetentionPolicy(
+        user.emotionProfile && user.emotionProfile.retentionPolicy,
+        bounds
+      );
+      let userPurged = 0;
+
+      for (const dataClass of RETENTION_CLASSES) {
+        const days = policy[dataClass];
+        if (days === null) continue;
+        const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+        for (const target of CLASS_TARGETS[dataClass]) {
+          try {
+            const n = await purgeTarget({ target, userId: user.id, cutoff, dryRun });
+            counts[dataClass] += n;
+            userPurged += n;
+          } catch (err) {
+            // One failing table must not stop the run; the next run retries it.
+            logger.error('purge failed', { model: target.model, userId: user.id, err });
+          }
+        }
+      }
+
+      if (userPurged > 0) usersAffected += 1;
+    }
+
+    if (userId || users.length < USER_BATCH_SIZE) break;
+  }
+
+  return { usersScanned, usersAffected, counts };
+}
+
+let activeRun = null;
+
+/**
+ * Apply every user's retention policy.
+ *
+ * @param {{ dryRun?: boolean, trigger?: string, triggeredById?: number, userId?: number }} [options]
+ *   dryRun: only count what would be purged, write nothing (no audit row).
+ *   userId: limit the run to one user.
+ * @returns {Promise<{ runId: number|null, dryRun: boolean, usersScanned: number,
+ *   usersAffected: number, counts: Record<string, number>, startedAt: Date, finishedAt: Date }>}
+ */
+async function runRetention({ dryRun = false, trigger = 'admin', triggeredById = null, userId = null } = {}) {
+  const startedAt = new Date();
+
+  if (dryRun) {
+    const result = await applyRetention({ dryRun: true, userId, now: startedAt });
+    return { runId: null, dryRun: true, ...result, startedAt, finishedAt: new Date() };
+  }
+
+  // Only one purge at a time per process; concurrent callers share it.
+  if (activeRun) return activeRun;
+
+  activeRun = (async () => {
+    const run = await prisma.retentionRun.create({
+      data: { trigger, triggeredById, startedAt },
+    });
+
+    try {
+      const result = await applyRetention({ dryRun: false, userId, now: startedAt });
+      const finishedAt = new Date();
+      await prisma.retentionRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'completed',
+          usersScanned: result.usersScanned,
+          usersAffected: result.usersAffected,
+          purgedCounts: result.counts,
+          finishedAt,
+        },
+      });
+      logger.info('run completed', { runId: run.id, trigger, ...result.counts });
+      return { runId: run.id, dryRun: false, ...result, startedAt, finishedAt };
+    } catch (err) {
+      await prisma.retentionRun
+        .update({
+          where: { id: run.id },
+          data: {
+            status: 'failed',
+            error: String(err && err.message ? err.message : err).slice(0, 500),
+            finishedAt: new Date(),
+          },
+        })
+        .catch(() => {});
+      throw err;
+    }
+  })();
+
+  try {
+    return await activeRun;
+  } finally {
+    activeRun = null;
+  }
+}
+
+let schedulerTimer = null;
+
+/**
+ * Start the in-process retention scheduler. Runs shortly after boot and then
+ * every RETENTION_INTERVAL_HOURS (default 24). Disable with
+ * RETENTION_SCHEDULER_ENABLED=false, e.g. when a cron job calls the admin
+ * endpoint instead.
+ */
+function startRetentionScheduler() {
+  if (schedulerTimer) return;
+  if (String(process.env.RETENTION_SCHEDULER_ENABLED || 'true').toLowerCase() === 'false') {
+    logger.info('scheduler disabled');
+    return;
+  }
+
+  const intervalHours = Number(process.env.RETENTION_INTERVAL_HOURS || 24) || 24;
+  const intervalMs = Math.max(intervalHours, 1) * 60 * 60 * 1000;
+
+  const tick = () => {
+    runRetention({ trigger: 'scheduler' }).catch((err) => {
+      logger.error('scheduled run error', { err });
+    });
+  };
+
+  const firstRun = setTimeout(tick, 5 * 60 * 1000);
+  if (typeof firstRun.unref === 'function') firstRun.unref();
+
+  schedulerTimer = setInterval(tick, intervalMs);
+  if (typeof schedulerTimer.unref === 'function') schedulerTimer.unref();
+}
+
+module.exports = {
+  resolveRetentionPolicy,
+  validateRetentionPolicyInput,
+  getUserRetentionPolicy,
+  setUserRetentionPolicy,
+  runRetention,
+  startRetentionScheduler,
+};
@@ -0,0 +1,125 @@
+// server/src/services/roleService.js
+// Granting and revoking roles (config/roles.js), and the env bootstrap.
+//
+// Bootstrap: a deployment needs a first admin before anyone can grant roles
+// through the API. Accounts listed in ADMIN_EMAILS (comma-separated; ADMIN_EMAIL
+// also works) get the admin role, and the one in PREMIUM_TESTER_EMAIL the
+// tester role, the next time they log in or load /me — only while they hold
+// no role, once the address is verified (emailVerifiedAt, by link or by
+// Google), and recorded in the audit log. Registering an address proves
+// nothing, and the role outlives the address, so an unverified sign-up must
+// never get it. From then on the role is managed in the database: taking an
+// address off the list revokes nothing.
+
+const prisma = require('../prisma');
+const { isRole } = require('../config/roles');
+const { recordAdminAction } = require('./adminAuditService');
+const logger = require('../utils/logger').child({ component: 'Roles' });
+
+class RoleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RoleError';
+    this.code = code;
+  }
+}
+
+function readEmailList(...names) {
+  const raw = names.map((name) => process.env[name]).find(Boolean) || '';
+  return raw
+    .split(',')
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const BOOTSTRAP_ROLES = [
+  { role: 'admin', emails: readEmailList('ADMIN_EMAILS', 'ADMIN_EMAIL') },
+  { role: 'tester', emails: readEmailList('PREMIUM_TESTER_EMAIL') },
+];
+
+/** The role the env lists hand to this email, or null. */
+function bootstrapRoleFor(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!normalized) return null;
+  const match = BOOTSTRAP_ROLES.find((entry) => entry.emails.includes(normalized));
+  return match ? match.role : null;
+}
+
+/**
+ * Give a role-less user with a verified email their bootstrap role, if any.
+ * @param {{ id: number, email: string, role?: string|null, emailVerifiedAt?: Date|null }} user
+ * @returns {Promise<object>} the user, with `role` updated when granted
+ */
+async function applyBootstrapRole(user) {
+  if (!user || user.role || !user.emailVerifiedAt) return user;
+  const role = bootstrapRoleFor(user.email);
+  if (!role) return user;
+
+  // Conditional, so concurrent logins grant (and log) it once.
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, role: null, emailVerifiedAt: { not: null } },
+    data: { role },
+  });
+  if (count === 1) {
+    logger.info('bootstrap role granted', { userId: user.id, role });
+    await recordAdminAction({
+      action: 'role.bootstrap',
+      targetUserId: user.id,
+      details: { role, source: role === 'admin' ? 'ADMIN_EMAILS' : 'PREMIUM_TESTER_EMAIL' },
+    });
+  }
+  return { ...user, role };
+}
+
+/**
+ * Set or clear (role = null) a user's role. Throws RoleError INVALID_ROLE,
+ * NOT_FOUND, or LAST_ADMIN when it would leave no admin.
+ *
+ * @param {number} userId
+ * @param {string|null} role
+ * @returns {Promise<{ user: { id: number, email: string, role: string|null }, previousRole: string|null }>}
+ */
+async function setUserRole(userId, role) {
+  if (role !== null && !isRole(role)) {
+    throw new RoleError('Unknown role', 'INVALID_ROLE');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true },
+    });
+    if (!current) throw new RoleError('User not found', 'NOT_FOUND');
+
+    if (current.role === 'admin' && role !== 'admin') {
+      const admins = await tx.user.count({ where: { role: 'admin' } });
+      if (admins <= 1) {
+        throw new RoleError('The last admin cannot lose the admin role', 'LAST_ADMIN');
+      }
+    }
+
+    const user = await tx.user.update({
+      where: { id: userId },
+      data: { role },
+      select: { id: true, email: true, role: true },
+    });
+    return { user, previousRole: current.role || null };
+  });
+}
+
+/** Everyone holding a role, for the roles screen. */
+async function listRoleHolders() {
+  return prisma.user.findMany({
+    where: { role: { not: null } },
+    select: { id: true, email: true, name: true, role: true },
+    orderBy: [{ role: 'asc' }, { email: 'asc' }],
+  });
+}
+
+module.exports = {
+  RoleError,
+  bootstrapRoleFor,
+  applyBootstrapRole,
+  setUserRole,
+  listRoleHolders,
+};
@@ -0,0 +1,136 @@
+// server/src/services/safetyService.js
+// Persistence side of the crisis-escalation subsystem (see crisisScreen.js
+// for detection and the reply template).
+
+const prisma = require('../prisma');
+const { buildCrisisResponse } = require('./crisisScreen');
+const logger = require('../utils/logger').child({ component: 'Safety' });
+
+/**
+ * Record that a turn was answered with the crisis template.
+ *
+ * Privacy: no message content is stored, only how the turn was detected and
+ * coarse context (persona, source, country from edge headers).
+ *
+ * Never throws: a failed audit write must not block the crisis reply.
+ */
+async function recordSafetyEvent({
+  userId,
+  conversationId,
+  personaId,
+  source,
+  detectedBy,
+  category,
+  country,
+  language,
+}) {
+  if (!userId) return null;
+  try {
+    return await prisma.safetyEvent.create({
+      data: {
+        userId,
+        conversationId: Number.isFinite(Number(conversationId)) ? Number(conversationId) : null,
+        personaId: personaId || null,
+        source: source || 'text',
+        detectedBy: detectedBy || 'classifier',
+        category: category || null,
+        severityLevel: 'HIGH_RISK',
+        country: country && country !== 'UNKNOWN' ? country : null,
+        language: language || null,
+      },
+    });
+  } catch (err) {
+    logger.error('recordSafetyEvent failed', { err });
+    return null;
+  }
+}
+
+/**
+ * Answer a turn with the persona-independent crisis template instead of the
+ * character's reply: persists both messages (when history is on), writes a
+ * SafetyEvent row, and returns the template plus the resources it used.
+ * Shared by the text and voice routes and the live voice call; callers only
+ * shape the response. `req` only needs `requestMetadata` (country).
+ */
+async function completeCrisisTurn({
+  req,
+  userId,
+  characterId,
+  conversationId,
+  userText,
+  shouldSave,
+  crisis,
+  language,
+  source,
+}) {
+  const country =
+    (req.requestMetadata && req.requestMetadata.country) || 'UNKNOWN';
+  const { text, resources } = buildCrisisResponse({ language, country });
+
+  let savedMessages = null;
+  if (shouldSave) {
+    try {
+      const [userMessage, assistantMessage] = await prisma.$transaction([
+        prisma.message.create({
+          data: {
+            userId,
+            characterId,
+            conversationId,
+            role: 'user',
+            content: userText,
+          },
+        }),
+        prisma.message.create({
+          data: {
+            userId,
+            characterId,
+            conversationId,
+            role: 'assistant',
+            content: text,
+          },
+        }),
+        prisma.conversation.update({
+          where: { id: conversationId },
+          data: { updatedAt: new Date() },
+        }),
+      ]);
+      savedMessages = { userMessageId: userMessage.id, assistantMessageId: assistantMessage.id };
+    } catch (err) {
+      logger.error('message persistence error', { err });
+    }
+  }
+
+  await recordSafetyEvent({
+    userId,
+    conversationId,
+    personaId: characterId,
+    source,
+    detectedBy: crisis.detectedBy,
+    category: crisis.category,
+    country,
+    language,
+  });
+
+  logger.info('crisis template served', {
+    userId,
+    conversationId,
+    source,
+    detectedBy: crisis.detectedBy,
+    category: crisis.category || 'none',
+    country,
+  });
+
+  return {
+    text,
+    savedMessages,
+    safety: {
+      crisis: true,
+      country: resources.country,
+      emergency: resources.emergency,
+      lines: resources.lines,
+      directoryUrl: resources.directoryUrl,
+    },
+  };
+}
+
+module.exports = { recordSafetyEvent, completeCrisisTurn };
@@ -0,0 +1,105 @@
+// server/src/services/searchService.js
+// Conversation search over encrypted message history, backed by the blind
+// index in MessageSearchToken (see utils/searchIndex.js for how rows are
+// built; the Prisma middleware writes them on Message create).
+
+const prisma = require('../prisma');
+const {
+  tokenizeForSearch,
+  hashSearchToken,
+  buildSearchSnippet,
+} = require('../utils/searchIndex');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TOKENS = 8;
+const MAX_MESSAGE_CANDIDATES = 200;
+const MAX_MATCHES_PER_CONVERSATION = 3;
+const DEFAULT_CONVERSATION_LIMIT = 20;
+
+/**
+ * Find the user's conversations containing every word of `query`.
+ *
+ * Matching is whole-word after normalization (Arabic letter variants,
+ * diacritics, definite article, case). Candidates come from the hashed index;
+ * each one is re-checked against its decrypted content before it is returned,
+ * so a truncated-hash collision can never surface an unrelated message.
+ *
+ * @param {{ userId: number, query: string, characterId?: string, limit?: number }} params
+ * @returns {Promise<Array<{
+ *   conversationId: number, characterId: string, title: string|null, updatedAt: Date,
+ *   matches: Array<{ messageId: number, role: string, createdAt: Date, snippet: object }>
+ * }>>}
+ */
+async function searchConversations({ userId, query, characterId, limit }) {
+  const queryTokens = tokenizeForSearch(String(query || '').slice(0, MAX_QUERY_LENGTH)).slice(
+    0,
+    MAX_QUERY_TOKENS
+  );
+  if (!userId || !queryTokens.length) return [];
+
+  const conversationLimit = Math.min(
+    Math.max(Number(limit) || DEFAULT_CONVERSATION_LIMIT, 1),
+    50
+  );
+  const hashes = queryTokens.map(hashSearchToken);
+
+  const where = { userId, tokenHash: { in: hashes } };
+  if (characterId) where.message = { characterId: String(characterId) };
+
+  // A message matches when it has a row for every query hash; the
+  // (messageId, tokenHash) unique constraint makes the count exact.
+  const groups = await prisma.messageSearchToken.groupBy({
+    by: ['messageId'],
+    where,
+    having: { tokenHash: { _count: { equals: hashes.length } } },
+    orderBy: { messageId: 'desc' },
+    take: MAX_MESSAGE_CANDIDATES,
+  });
+  if (!groups.length) return [];
+
+  const rows = await prisma.message.findMany({
+    where: { id: { in: groups.map((g) => g.messageId) }, userId },
+    orderBy: { createdAt: 'desc' },
+    select: {
+      id: true,
+      role: true,
+      content: true,
+      createdAt: true,
+      conversation: {
+        select: { id: true, characterId: true, title: true, updatedAt: true },
+      },
+    },
+  });
+
+  const byConversation = new Map();
+  for (const row of rows) {
+    if (!row.conversation) continue;
+    const messageTokens = new Set(tokenizeForSearch(row.content));
+    if (!queryTokens.every((t) => messageTokens.has(t))) continue;
+
+    let entry = byConversation.get(row.conversation.id);
+    if (!entry) {
+      if (byConversation.size >= conversationLimit) continue;
+      entry = {
+        conversationId: row.conversation.id,
+        characterId: row.conversation.characterId,
+        title: row.conversation.title,
+        updatedAt: row.conversation.updatedAt,
+        matches: [],
+      };
+      byConversation.set(row.conversation.id, entry);
+    }
+    if (entry.matches.length >= MAX_MATCHES_PER_CONVERSATION) continue;
+
+    entry.matches.push({
+      messageId: row.id,
+      role: row.role === 'assistant' ? 'ai' : 'user',
+      createdAt: row.createdAt,
+      snippet: buildSearchSnippet(row.content, queryTokens),
+    });
+  }
+
+  return Array.from(byConversation.values());
+}
+
+module.exports = { searchConversations };
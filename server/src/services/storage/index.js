@@ -0,0 +1,45 @@
+// server/src/services/storage/index.js
+// Object storage for user audio. Callers only use the driver returned by
+// getStorage(); the concrete driver is chosen by config:
+//
+//   STORAGE_DRIVER   local (default) | s3
+//
+// Every driver exposes the same shape:
+//   putObject(key, buffer, { contentType })  -> void
+//   getObject(key)                           -> Buffer, or null when missing
+//   deleteObject(key)                        -> void (missing keys are fine)
+//
+// Keys are "/"-separated relative paths, e.g. "voice/u12/<uuid>.bin".
+// Nothing stored here is served statically; reads go through owner-checked
+// routes.
+
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { assertValidKey } = require('./storageKey');
+const logger = require('../../utils/logger').child({ component: 'Storage' });
+
+const FACTORIES = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let instance = null;
+let instanceName = null;
+
+function resolveDriverName(raw) {
+  const name = String(raw || 'local').trim().toLowerCase();
+  if (FACTORIES[name]) return name;
+  logger.warn('unknown driver, falling back to local', { requested: name });
+  return 'local';
+}
+
+function getStorage() {
+  const name = resolveDriverName(process.env.STORAGE_DRIVER);
+  if (!instance || instanceName !== name) {
+    instance = FACTORIES[name]();
+    instanceName = name;
+  }
+  return instance;
+}
+
+module.exports = { getStorage, assertValidKey };
@@ -0,0 +1,63 @@
+// server/src/services/storage/localStorage.js
+// Local-disk driver. Files live under STORAGE_LOCAL_DIR (default
+// server/storage), which is outside the statically served uploads/ folder.
+
+const fs = require('fs');
+const path = require('path');
+const { assertValidKey } = require('./storageKey');
+
+/**
+ * Build the local-disk driver.
+ *
+ * Env:
+ *   STORAGE_LOCAL_DIR   root directory for stored objects (default server/storage)
+ */
+function createLocalStorage() {
+  const root = path.resolve(
+    process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', '..', 'storage')
+  );
+
+  function resolveKey(key) {
+    assertValidKey(key);
+    const filePath = path.resolve(root, ...key.split('/'));
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async function putObject(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash never leaves a half-written object.
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, buffer, { mode: 0o600 });
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async function getObject(key) {
+    try {
+      return await fs.promises.readFile(resolveKey(key));
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function deleteObject(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (err) {
+      if (!err || err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  return {
+    name: 'local',
+    putObject,
+    getObject,
+    deleteObject,
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,179 @@
+// server/src/services/storage/s3Storage.js
+// S3-compatible driver (AWS S3, MinIO, Cloudflare R2, ...). Requests are
+// signed with AWS Signature V4 over plain fetch, so no SDK is needed.
+
+const crypto = require('crypto');
+const { assertValidKey } = require('./storageKey');
+const logger = require('../../utils/logger').child({ component: 'Storage' });
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone).
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * AWS Signature V4 headers for one S3 request (unsigned query string, signed
+ * payload hash).
+ *
+ * @param {{ method: string, url: URL, headers: object, payloadHash: string,
+ *   region: string, accessKeyId: string, secretAccessKey: string, now?: Date }} req
+ * @returns {object} lower-cased headers to send, including authorization (not host)
+ */
+function signRequest({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(allHeaders).map((h) => h.toLowerCase()).sort();
+  const lowerHeaders = {};
+  for (const [k, v] of Object.entries(allHeaders)) {
+    lowerHeaders[k.toLowerCase()] = String(v).trim();
+  }
+  const canonicalHeaders = names.map((h) => `${h}:${lowerHeaders[h]}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join('\n');
+
+  const signingKey = hmac(
+    hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'),
+    'aws4_request'
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  delete lowerHeaders.host; // fetch sets it
+  return {
+    ...lowerHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Build the S3-compatible driver.
+ *
+ * Env:
+ *   S3_BUCKET              bucket name (required)
+ *   S3_ACCESS_KEY_ID       access key (required)
+ *   S3_SECRET_ACCESS_KEY   secret key (required)
+ *   S3_REGION              default us-east-1 (MinIO accepts any value)
+ *   S3_ENDPOINT            e.g. http://localhost:9000 for MinIO; defaults to AWS
+ *   S3_FORCE_PATH_STYLE    "true" for http://host/bucket/key addressing (MinIO)
+ *   S3_TIMEOUT_MS          per-request timeout (default 15000)
+ */
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET || '';
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID || '';
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY || '';
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = String(
+    process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+  ).replace(/\/+$/, '');
+  const forcePathStyle = String(process.env.S3_FORCE_PATH_STYLE || '').toLowerCase() === 'true';
+  const timeoutMs = parseInt(process.env.S3_TIMEOUT_MS || '15000', 10);
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    logger.error('S3 driver selected but S3_BUCKET / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY are missing');
+  }
+
+  function objectUrl(key) {
+    assertValidKey(key);
+    const base = new URL(endpoint);
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (forcePathStyle) {
+      base.pathname = `${base.pathname.replace(/\/+$/, '')}/${bucket}/${encodedKey}`;
+    } else {
+      base.hostname = `${bucket}.${base.hostname}`;
+      base.pathname = `${base.pathname.replace(/\/+$/, '')}/${encodedKey}`;
+    }
+    return base;
+  }
+
+  async function request(method, key, { body, contentType } = {}) {
+    const url = objectUrl(key);
+    const payload = body || Buffer.alloc(0);
+    const headers = contentType ? { 'content-type': contentType } : {};
+    const signed = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: sha256Hex(payload),
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+    return fetch(url, {
+      method,
+      headers: signed,
+      body: method === 'PUT' ? payload : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  }
+
+  async function failure(res, action) {
+    const detail = await res.text().catch(() => '');
+    const err = new Error(`S3 ${action} failed with status ${res.status}`);
+    err.status = res.status;
+    err.detail = detail.slice(0, 500);
+    return err;
+  }
+
+  async function putObject(key, buffer, { contentType } = {}) {
+    const res = await request('PUT', key, {
+      body: buffer,
+      contentType: contentType || 'application/octet-stream',
+    });
+    if (!res.ok) throw await failure(res, 'put');
+  }
+
+  async function getObject(key) {
+    const res = await request('GET', key);
+    if (res.status === 404) return null;
+    if (!res.ok) throw await failure(res, 'get');
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  async function deleteObject(key) {
+    const res = await request('DELETE', key);
+    // S3 answers 204 for missing keys as well; some stand-ins use 404.
+    if (!res.ok && res.status !== 404) throw await failure(res, 'delete');
+  }
+
+  return {
+    name: 's3',
+    putObject,
+    getObject,
+    deleteObject,
+  };
+}
+
+module.exports = { createS3Storage, signRequest };
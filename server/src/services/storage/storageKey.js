@@ -0,0 +1,18 @@
+// server/src/services/storage/storageKey.js
+// Shared key validation for the storage drivers.
+
+const KEY_RE = /^[A-Za-z0-9._-]+(?:\/[A-Za-z0-9._-]+)*$/;
+
+// Keys are generated server-side; this guards against ".." and odd
+// characters ever reaching a driver.
+function assertValidKey(key) {
+  if (
+    typeof key !== 'string' ||
+    !KEY_RE.test(key) ||
+    key.split('/').some((part) => part === '.' || part === '..')
+  ) {
+    throw new Error('Invalid storage key');
+  }
+}
+
+module.exports = { assertValidKey };
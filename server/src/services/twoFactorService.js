@@ -0,0 +1,246 @@
+// server/src/services/twoFactorService.js
+// Optional TOTP two-factor authentication.
+//
+// Enrollment: startEnrollment() stores a fresh secret as pending and returns
+// the otpauth:// URI for the authenticator app; confirmEnrollment() turns 2FA
+// on once the app produces a valid code and hands out recovery codes. Secrets
+// are encrypted at rest (utils/crypto.js). Recovery codes are one-time and
+// stored as SHA-256 hashes.
+//
+// Login: a correct password for a 2FA account yields a short-lived challenge
+// token instead of a session; POST /api/auth/login/2fa trades it plus a code
+// for the session. Codes are accepted once: the time step of the last good
+// code is stored and older or equal steps are refused.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const { encryptText, decryptText } = require('../utils/crypto');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const logger = require('../utils/logger').child({ component: 'TwoFactor' });
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+const LOGIN_CHALLENGE_PURPOSE = 'login_2fa';
+// No 0/O or 1/I/L, so codes survive being read off paper.
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+class TwoFactorError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+  }
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Ten characters (~49 bits) shown as XXXXX-XXXXX.
+function newRecoveryCode() {
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(bytes, (b) => RECOVERY_CODE_ALPHABET[b % RECOVERY_CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/** Whether a user row (with the 2FA columns) has 2FA switched on. */
+function isTwoFactorEnabled(user) {
+  return !!(user && user.twoFactorEnabledAt && user.twoFactorSecret);
+}
+
+async function replaceRecoveryCodes(userId, client = prisma) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await client.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) })),
+  });
+  return codes;
+}
+
+/**
+ * @param {number} userId
+ * @returns {Promise<{ enabled: boolean, enabledAt: Date|null, recoveryCodesRemaining: number }|null>}
+ */
+async function getTwoFactorStatus(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorEnabledAt: true, twoFactorSecret: true },
+  });
+  if (!user) return null;
+  const enabled = isTwoFactorEnabled(user);
+  const recoveryCodesRemaining = enabled
+    ? await prisma.twoFactorRecoveryCode.count({ where: { userId, usedAt: null } })
+    : 0;
+  return { enabled, enabledAt: enabled ? user.twoFactorEnabledAt : null, recoveryCodesRemaining };
+}
+
+/**
+ * Begin enrollment with a new secret. Throws TwoFactorError ALREADY_ENABLED.
+ * @param {number} userId
+ * @returns {Promise<{ secret: string, otpauthUrl: string }|null>}
+ */
+async function startEnrollment(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { email: true, twoFactorEnabledAt: true, twoFactorSecret: true },
+  });
+  if (!user) return null;
+  if (isTwoFactorEnabled(user)) {
+    throw new TwoFactorError('Two-factor authentication is already on', 'ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorPendingSecret: encryptText(secret) },
+  });
+  return { secret, otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email }) };
+}
+
+/**
+ * Finish enrollment with a code from the app. Throws TwoFactorError
+ * NO_PENDING_SETUP or INVALID_CODE.
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorPendingSecret: true },
+  });
+  if (!user || !user.twoFactorPendingSecret) {
+    throw new TwoFactorError('Start the setup first', 'NO_PENDING_SETUP');
+  }
+
+  const secret = decryptText(user.twoFactorPendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw new TwoFactorError('That code is not valid', 'INVALID_CODE');
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+      },
+    });
+    return replaceRecoveryCodes(userId, tx);
+  });
+
+  logger.info('two-factor enabled', { userId });
+  return { recoveryCodes };
+}
+
+/** Switch 2FA off and drop the secret and recovery codes. */
+async function disableTwoFactor(userId) {
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+      },
+    }),
+  ]);
+  logger.info('two-factor disabled', { userId });
+}
+
+/**
+ * New recovery codes; the old ones stop working. Throws TwoFactorError
+ * NOT_ENABLED.
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorEnabledAt: true, twoFactorSecret: true },
+  });
+  if (!isTwoFactorEnabled(user)) {
+    throw new TwoFactorError('Two-factor authentication is off', 'NOT_ENABLED');
+  }
+  return prisma.$transaction((tx) => replaceRecoveryCodes(userId, tx));
+}
+
+/**
+ * Check a second factor: a current authenticator code or an unused recovery
+ * code. Either is consumed on success.
+ *
+ * @param {{ id: number, twoFactorSecret: string|null, twoFactorLastStep?: number|null }} user
+ * @param {string} code
+ * @returns {Promise<'totp'|'recovery'|null>} which kind matched
+ */
+async function verifySecondFactor(user, code) {
+  if (!isTwoFactorEnabled(user) || !code || typeof code !== 'string') return null;
+
+  const step = verifyCode(decryptText(user.twoFactorSecret), code);
+  if (step !== null) {
+    // Conditional update, so two requests racing with one code can't both win.
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+    return count === 1 ? 'totp' : null;
+  }
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (count > 0) {
+    logger.info('recovery code used', { userId: user.id });
+    return 'recovery';
+  }
+  return null;
+}
+
+/**
+ * Short-lived proof that the password step of a login succeeded. Carries the
+ * token version, so a password reset voids it.
+ * @param {{ id: number, tokenVersion?: number }} user
+ */
+function createLoginChallenge(user) {
+  return jwt.sign(
+    { id: user.id, tv: user.tokenVersion || 0, purpose: LOGIN_CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS }
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {{ id: number, tv: number }|null} null when invalid or expired
+ */
+function readLoginChallenge(token) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== LOGIN_CHALLENGE_PURPOSE || !Number.isInteger(payload.id)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  TwoFactorError,
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge,
+};
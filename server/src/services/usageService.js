@@ -0,0 +1,203 @@
+// server/src/services/usageService.js
+// Plan usage and companion access shared by the chat routes (HTTP and the
+// live voice call socket): one counted message per text or voice turn.
+
+const prisma = require('../prisma');
+const { LIMITS, getPlanLimits } = require('../config/limits');
+const logger = require('../utils/logger').child({ component: 'UsageLimit' });
+
+// Companion access (free vs premium)
+const FREE_CHARACTER_IDS = Array.isArray(LIMITS.FREE_CHARACTER_IDS)
+  ? LIMITS.FREE_CHARACTER_IDS
+  : ['sheikh-al-hara', 'abu-mukh', 'daloua'];
+
+const PREMIUM_ONLY_CHARACTER_IDS = Array.isArray(LIMITS.PROHIBITED_FOR_FREE_IDS)
+  ? LIMITS.PROHIBITED_FOR_FREE_IDS
+  : ['walaa', 'hiba'];
+
+function isCharacterPremiumOnly(characterId) {
+  if (!characterId) return false;
+  const id = String(characterId);
+  if (FREE_CHARACTER_IDS.includes(id)) return false;
+  if (PREMIUM_ONLY_CHARACTER_IDS.includes(id)) return true;
+  // For safety, treat unknown characters as premium-only
+  return true;
+}
+
+function startOfMonth() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0);
+}
+
+/**
+ * Usage semantics:
+ * - dailyCount: number of free messages/voice requests used in the current 24h lock window.
+ * - dailyResetAt: timestamp when the current 24h window unlocks.
+   * null => not currently locked.
+   * > now => locked until that instant.
+   * <= now => window expired; we reset counts and clear the lock.
+ */
+async function ensureUsage(userId) {
+  let usage = await prisma.usage.findUnique({ where: { userId } });
+  const now = new Date();
+  if (!usage) {
+    usage = await prisma.usage.create({
+      data: {
+        userId,
+        dailyCount: 0,
+        monthlyCount: 0,
+        dailyResetAt: null,
+        monthlyResetAt: startOfMonth(),
+      },
+    });
+  }
+
+  const month0 = startOfMonth();
+  const needsDailyReset = !!usage.dailyResetAt && usage.dailyResetAt <= now;
+  const needsMonthlyReset = !usage.monthlyResetAt || usage.monthlyResetAt < month0;
+
+  if (needsDailyReset || needsMonthlyReset) {
+    const data = {};
+
+    if (needsDailyReset) {
+      data.dailyCount = 0;
+      data.dailyResetAt = null; // clear the lock; next limit hit will start a fresh 24h window
+    }
+
+    if (needsMonthlyReset) {
+      data.monthlyCount = 0;
+      data.monthlyResetAt = month0;
+    }
+
+    usage = await prisma.usage.update({
+      where: { userId },
+      data,
+    });
+  }
+
+  return usage;
+}
+
+function buildUsageSummary(user, usage) {
+  const { dailyLimit, monthlyLimit } = getPlanLimits(user);
+  const dailyRemaining = Math.max(0, dailyLimit - (usage?.dailyCount || 0));
+  const bonusMessages = usage?.bonusMessages || 0;
+  const monthlyRemaining = Math.max(
+    0,
+    (monthlyLimit || 0) - (usage?.monthlyCount || 0)
+  ) + bonusMessages;
+  return {
+    dailyUsed: usage?.dailyCount || 0,
+    dailyLimit,
+    dailyRemaining,
+    monthlyUsed: usage?.monthlyCount || 0,
+    monthlyLimit: monthlyLimit || 0,
+    monthlyRemaining,
+    bonusMessages,
+  };
+}
+
+// Whether applyUsageLimitAndIncrement would let one more message through,
+// without counting it. For refusing work up front (a live voice call) before
+// any paid call is made; the turn itself still goes through the atomic
+// limiter.
+function checkUsageLimit({ usage, monthlyLimit, isTester }) {
+  const limit = monthlyLimit || 0;
+  const used = usage?.monthlyCount || 0;
+  if (isTester || limit <= 0 || used < limit || (usage?.bonusMessages || 0) > 0) {
+    return { ok: true };
+  }
+  return { ok: false, used, limit, remaining: 0 };
+}
+
+// Atomic usage limiter for both text and voice.
+// Ensures that each valid request (text or voice) counts as exactly one message
+// and that all non-tester users respect their configured monthly limit, even
+// under concurrent requests.
+async function applyUsageLimitAndIncrement({
+  userId,
+  usage,
+  monthlyLimit,
+  isPremiumUser,
+  isFreePlanUser,
+  isTester,
+  plan,
+}) {
+  // Testers bypass all limits and are not counted.
+  if (isTester) {
+    return { ok: true, usage, limitType: null };
+  }
+  // All non-tester users share the same semantics: a single monthly cap based on
+  // getPlanLimits. Daily counters remain in the schema for compatibility but no
+  // longer drive any quota behavior.
+  const limit = monthlyLimit || 0;
+
+  // If no configured monthly limit, treat as unlimited but still track usage.
+  if (limit <= 0) {
+    const updated = await prisma.usage.update({
+      where: { userId },
+      data: { monthlyCount: { increment: 1 } },
+    });
+    return { ok: true, usage: updated, limitType: 'monthly' };
+  }
+
+  // Atomic check+increment: only increment if current monthlyCount < limit.
+  const result = await prisma.usage.updateMany({
+    where: { userId, monthlyCount: { lt: limit } },
+    data: { monthlyCount: { increment: 1 } },
+  });
+
+  if (result.count === 0) {
+    // Already at or above the monthly limit: spend an admin-granted bonus
+    // message if there is one (still counted in monthlyCount).
+    const bonus = await prisma.usage.updateMany({
+      where: { userId, bonusMessages: { gt: 0 } },
+      data: { bonusMessages: { decrement: 1 }, monthlyCount: { increment: 1 } },
+    });
+    if (bonus.count === 1) {
+      const freshUsage = await prisma.usage.findUnique({ where: { userId } });
+      return { ok: true, limitType: 'bonus', usage: freshUsage };
+    }
+
+    const freshUsage = await prisma.usage.findUnique({ where: { userId } });
+    const used = freshUsage?.monthlyCount || 0;
+    const remaining = Math.max(0, limit - used);
+
+    logger.warn('monthly limit reached', {
+      userId,
+      plan: plan || null,
+      isPremiumUser: !!isPremiumUser,
+      isFreePlanUser: !!isFreePlanUser,
+      isTester: !!isTester,
+      monthlyUsed: used,
+      monthlyLimit: limit,
+      remaining,
+    });
+
+    return {
+      ok: false,
+      limitType: 'monthly',
+      used,
+      limit,
+      remaining,
+      usage: freshUsage,
+    };
+  }
+
+  // Successful increment; fetch the latest usage row so summaries are accurate.
+  const freshUsage = await prisma.usage.findUnique({ where: { userId } });
+  return {
+    ok: true,
+    limitType: 'monthly',
+    usage: freshUsage,
+  };
+}
+
+module.exports = {
+  isCharacterPremiumOnly,
+  startOfMonth,
+  ensureUsage,
+  buildUsageSummary,
+  checkUsageLimit,
+  applyUsageLimitAndIncrement,
+};
@@ -0,0 +1,624 @@
+// server/src/services/voiceCallService.js
+// Live voice call: one hands-free conversation over a WebSocket (see
+// routes/voiceCall.js for the upgrade and auth). The client streams recorder
+// chunks for each utterance; once it ends we transcribe, count one message
+// against the plan, run the same chat pipeline stages as a text turn (see
+// pipeline/chat) and stream the spoken reply back sentence by sentence.
+//
+// IMPORTANT: like routes/chat.js, never log transcripts or replies here.
+//
+// Client -> server (JSON text frames unless noted):
+//   { type: 'start', characterId, conversationId?, lang?, dialect?, tone?,
+//     save?, mimeType?, messages? }     once, before any audio
+//   <binary frame>                      recorder chunk of the current utterance
+//   { type: 'end_utterance' }           the user stopped talking (client VAD)
+//   { type: 'cancel' }                  barge-in: drop the reply in progress
+//   { type: 'stop' }                    hang up
+//
+// Server -> client:
+//   { type: 'ready', conversationId, usage, voiceMaxSeconds }
+//   { type: 'partial_transcript', text }
+//   { type: 'transcript', text, final: true, inputAttachment }
+//   { type: 'reply_text', text, emotion, safety? }
+//   { type: 'audio_chunk', seq, text, audio, mimeType }   base64 audio
+//   { type: 'reply_done', assistantText, usage, emotion, conversationId }
+//   { type: 'error', error, message?, ... }
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const prisma = require('../prisma');
+const { getPlanLimits, hasPremiumPlan } = require('../config/limits');
+const { CHARACTER_PERSONAS } = require('../config/characterPersonas');
+const { CHARACTER_VOICES } = require('../config/characterVoices');
+const {
+  transcribeAudio,
+  generateVoiceReply,
+  normalizeAssistantReplyForTTS,
+} = require('./voiceService');
+const {
+  prepareTextForTTS,
+  splitIntoSpeechChunks,
+  joinAudioBuffers,
+  streamSpeech,
+} = require('./voiceRenderingService');
+const { isLLMConfigured } = require('./llm');
+const {
+  isCharacterPremiumOnly,
+  ensureUsage,
+  buildUsageSummary,
+} = require('./usageService');
+const { AudioIngestError, ingestVoiceUpload } = require('./audioIngestService');
+const {
+  VOICE_TMP_DIR,
+  ensureVoiceTmpDir,
+  removeTempUpload,
+  finalizeVoiceUpload,
+  attachVoiceTurn,
+  serializeAttachment,
+} = require('./messageAttachmentService');
+const {
+  ChatTurnError,
+  createPipeline,
+  stages,
+  stageMetrics,
+  logTurnTiming,
+} = require('../pipeline/chat');
+const { newRequestId, runWithRequestContext } = require('../utils/requestContext');
+const logger = require('../utils/logger').child({ component: 'VoiceCall' });
+
+const { resolveLanguage, toContextMessages, assertQuotaAvailable } = stages;
+
+function intEnv(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Env:
+ *   VOICE_CALL_PARTIAL_MS        interval between partial transcripts while
+ *                                the user talks (default 1500, 0 disables)
+ *   VOICE_CALL_MAX_PARTIALS      partial transcripts per utterance (default 4).
+ *                                Each one transcribes everything said so far,
+ *                                so this bounds the STT spend of a long one
+ *   VOICE_CALL_END_TIMEOUT_MS    end the utterance when no audio arrived for
+ *                                this long (default 2500)
+ *   VOICE_CALL_MAX_UTTERANCE_KB  cap on buffered audio per utterance (default 4096)
+ *   VOICE_CALL_CHUNK_MAX_CHARS   max characters per spoken chunk (default 160)
+ *   VOICE_CALL_IDLE_TIMEOUT_MS   hang up after this long without traffic
+ *                                (default 120000)
+ */
+function getCallConfig() {
+  return {
+    partialIntervalMs: intEnv('VOICE_CALL_PARTIAL_MS', 1500),
+    maxPartials: intEnv('VOICE_CALL_MAX_PARTIALS', 4),
+    endTimeoutMs: intEnv('VOICE_CALL_END_TIMEOUT_MS', 2500),
+    maxUtteranceBytes: intEnv('VOICE_CALL_MAX_UTTERANCE_KB', 4096) * 1024,
+    chunkMaxChars: intEnv('VOICE_CALL_CHUNK_MAX_CHARS', 160) || 160,
+    idleTimeoutMs: intEnv('VOICE_CALL_IDLE_TIMEOUT_MS', 120000),
+    maxParallel: intEnv('TTS_MAX_PARALLEL', 4) || 4,
+  };
+}
+
+// Context turns kept in memory for the LLM during a call.
+const CALL_HISTORY_LIMIT = 20;
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+};
+
+function formatFromMimeType(mimeType) {
+  if (mimeType === 'audio/wav') return 'wav';
+  if (mimeType === 'audio/mpeg') return 'mp3';
+  return null;
+}
+
+async function writeUtteranceFile(buffer, mimeType) {
+  ensureVoiceTmpDir();
+  const baseType = String(mimeType || 'audio/webm').split(';')[0].trim();
+  const ext = AUDIO_EXTENSIONS[baseType] || '.webm';
+  const filePath = path.join(VOICE_TMP_DIR, `call-${crypto.randomUUID()}${ext}`);
+  await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+  return { path: filePath, mimetype: baseType, size: buffer.length };
+}
+
+// Validate + transcribe the utterance (same checks as POST /voice).
+const transcribeUtterance = {
+  name: 'transcribe',
+  needs: ['userId', 'dbUser', 'limits', 'audio', 'mimeType', 'saveFlag', 'onTranscript'],
+  provides: ['userText', 'inputAttachment'],
+  async run({ userId, dbUser, limits, audio, mimeType, saveFlag, onTranscript }) {
+    const file = await writeUtteranceFile(audio, mimeType);
+    let ingest;
+    try {
+      ingest = await ingestVoiceUpload(file, { maxSeconds: limits.voiceMaxSeconds });
+    } catch (err) {
+      await removeTempUpload(file);
+      if (err instanceof AudioIngestError) {
+        throw new ChatTurnError(err.code, err.status, err.toJSON());
+      }
+      throw err;
+    }
+
+    const userText = await transcribeAudio(ingest.path, { durationMs: ingest.durationMs });
+    if (ingest.normalized) removeTempUpload({ path: ingest.path });
+
+    const inputAttachment = await finalizeVoiceUpload({
+      userId,
+      file,
+      keep: !!dbUser.keepVoiceNotes && !!userText && saveFlag,
+      durationMs: ingest.durationMs,
+      waveformPeaks: ingest.waveformPeaks,
+    });
+
+    if (!userText) {
+      throw new ChatTurnError('transcription_failed', 400, { message: 'Failed to transcribe audio' });
+    }
+    onTranscript(userText, inputAttachment);
+    return { userText, inputAttachment };
+  },
+};
+
+// A call is always answered by the deep engine (no quick phrases or lite
+// engine) in a few short spoken sentences.
+const voiceCallPipeline = createPipeline(
+  'voice_call',
+  [
+    stages.account,
+    transcribeUtterance,
+    stages.crisisPrescreen,
+    stages.quota,
+    stages.persona,
+    stages.conversation,
+    stages.crisisPrescreenReply,
+    stages.summary,
+    stages.emotionalEngine,
+    stages.crisisCheck,
+    stages.trust,
+    stages.timeline,
+    stages.buildPrompt({
+      severityAwareMode: true,
+      outputRules: () => `OUTPUT RULES (VERY IMPORTANT):
+- This is a live voice call: answer in 1–3 short spoken sentences.
+- No lists, headings or emojis.
+- Ask at most ONE short follow-up question.`,
+      temperature: () => 0.6,
+    }),
+    stages.complete({ onEmpty: 'fallback' }),
+    stages.guardTruncation({ recover: false }),
+    stages.orchestrate({ verbosityMode: 'short' }),
+    stages.trimForVoice,
+    stages.save,
+  ],
+  {
+    inputs: [
+      'req',
+      'userId',
+      'audio',
+      'mimeType',
+      'onTranscript',
+      'characterId',
+      'language',
+      'dialect',
+      'tone',
+      'requestedConversationId',
+      'saveFlag',
+      'engine',
+      'recentMessages',
+    ],
+  }
+).use(stageMetrics);
+
+// Stages that still run after a barge-in.
+const CRISIS_STAGES = new Set(['crisisPrescreen', 'crisisPrescreenReply', 'crisisCheck']);
+
+/**
+ * Run one call on an accepted connection. Returns immediately; the call
+ * lives until the socket closes.
+ *
+ * @param {{ connection: import('../utils/webSocket').WebSocketConnection,
+ *   userId: number, req: import('http').IncomingMessage }} params
+ *   `req` is the upgrade request (requestMetadata already applied)
+ */
+function startVoiceCall({ connection, userId, req }) {
+  const config = getCallConfig();
+  // One ID for the call; every turn gets its own request ID on top.
+  const callId = newRequestId(req.headers && req.headers['x-request-id']);
+
+  let session = null; // set by 'start'
+  let starting = false;
+  let chunks = [];
+  let chunksSize = 0;
+  // Callers stream in real time, so wall-clock time since the first chunk is
+  // the audio length of a partial transcript (the raw chunks are not probed).
+  let utteranceStartedAt = 0;
+  let endTimer = null;
+  let partialTimer = null;
+  let partialInFlight = false;
+  let partialDirty = false;
+  let partialCount = 0;
+  let currentTurn = null;
+  let turnChain = Promise.resolve();
+  let ended = false;
+  let idleTimer = null;
+
+  const touch = () => {
+    clearTimeout(idleTimer);
+    if (config.idleTimeoutMs > 0) {
+      idleTimer = setTimeout(() => connection.close(4008, 'Idle timeout'), config.idleTimeoutMs);
+    }
+  };
+
+  const send = (payload) => {
+    if (ended) return;
+    touch();
+    connection.send(JSON.stringify(payload));
+  };
+
+  const sendError = (error, extra = {}) => send({ type: 'error', error, ...extra });
+
+  const clearUtteranceTimers = () => {
+    clearTimeout(endTimer);
+    clearInterval(partialTimer);
+    endTimer = null;
+    partialTimer = null;
+  };
+
+  const takeUtterance = () => {
+    clearUtteranceTimers();
+    const audio = chunksSize ? Buffer.concat(chunks) : null;
+    chunks = [];
+    chunksSize = 0;
+    utteranceStartedAt = 0;
+    partialDirty = false;
+    partialCount = 0;
+    return audio;
+  };
+
+  async function sendPartialTranscript() {
+    if (partialInFlight || !partialDirty || !chunksSize) return;
+    if (partialCount >= config.maxPartials) return;
+    partialInFlight = true;
+    partialDirty = false;
+    partialCount += 1;
+    let file = null;
+    try {
+      file = await writeUtteranceFile(Buffer.concat(chunks), session.mimeType);
+      const text = await transcribeAudio(file.path, { durationMs: Date.now() - utteranceStartedAt });
+      // The utterance may have ended while we were transcribing.
+      if (text && chunksSize) send({ type: 'partial_transcript', text });
+    } catch (err) {
+      logger.error('partial transcript error', { callId, err });
+    } finally {
+      await removeTempUpload(file);
+      partialInFlight = false;
+    }
+  }
+
+  async function handleStart(msg) {
+    if (session || starting) {
+      sendError('already_started');
+      return;
+    }
+    starting = true;
+    if (!isLLMConfigured()) {
+      sendError('llm_not_configured', { message: 'LLM provider is not configured on the server' });
+      connection.close(1011, 'LLM not configured');
+      return;
+    }
+
+    const [dbUser, usage] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      ensureUsage(userId),
+    ]);
+    if (!dbUser) {
+      connection.close(4001, 'User not found');
+      return;
+    }
+
+    const limits = getPlanLimits(dbUser);
+    const { isTester, voiceMaxSeconds } = limits;
+    const isPremiumUser = hasPremiumPlan(dbUser);
+    const characterId = typeof msg.characterId === 'string' ? msg.characterId : 'daloua';
+    if (!CHARACTER_PERSONAS[characterId]) {
+      sendError('unknown_character', { message: 'Unknown character' });
+      connection.close(4004, 'Unknown character');
+      return;
+    }
+    if (!isPremiumUser && !isTester && isCharacterPremiumOnly(characterId)) {
+      sendError('premium_required');
+      connection.close(4003, 'Premium required');
+      return;
+    }
+    // Partial transcripts are paid STT calls made before any turn reaches the
+    // quota stage, so a user who could not get a reply cannot open a call.
+    try {
+      await assertQuotaAvailable({ userId, dbUser, usage, limits });
+    } catch (err) {
+      if (!(err instanceof ChatTurnError)) throw err;
+      sendError(err.code, err.toJSON());
+      connection.close(4029, 'Usage limit reached');
+      return;
+    }
+
+    let conversationId = null;
+    if (msg.conversationId && Number.isFinite(Number(msg.conversationId))) {
+      const existing = await prisma.conversation.findFirst({
+        where: { id: Number(msg.conversationId), userId },
+        select: { id: true },
+      });
+      if (existing) conversationId = existing.id;
+    }
+
+    const { language, dialect } = resolveLanguage(msg);
+    session = {
+      characterId,
+      conversationId,
+      language,
+      dialect,
+      tone: typeof msg.tone === 'string' ? msg.tone : null,
+      save: msg.save !== false,
+      mimeType: typeof msg.mimeType === 'string' ? msg.mimeType : 'audio/webm',
+      history: toContextMessages(msg.messages).slice(-CALL_HISTORY_LIMIT),
+      voiceMaxSeconds,
+    };
+
+    send({
+      type: 'ready',
+      conversationId,
+      usage: buildUsageSummary(dbUser, usage),
+      voiceMaxSeconds,
+    });
+  }
+
+  function handleAudio(data) {
+    if (!session) {
+      sendError('not_started');
+      return;
+    }
+    if (chunksSize + data.length > config.maxUtteranceBytes) {
+      takeUtterance();
+      sendError('audio_too_long', {
+        message: `Voice messages can be up to ${session.voiceMaxSeconds} seconds.`,
+        maxSeconds: session.voiceMaxSeconds,
+      });
+      return;
+    }
+
+    if (!chunksSize) utteranceStartedAt = Date.now();
+    chunks.push(data);
+    chunksSize += data.length;
+    partialDirty = true;
+
+    clearTimeout(endTimer);
+    if (config.endTimeoutMs > 0) {
+      endTimer = setTimeout(endUtterance, config.endTimeoutMs);
+    }
+    if (config.partialIntervalMs > 0 && !partialTimer) {
+      partialTimer = setInterval(() => {
+        // Own request context so the STT call is attributed to the caller.
+        runWithRequestContext({ requestId: newRequestId(), callId, userId }, sendPartialTranscript);
+      }, config.partialIntervalMs);
+    }
+  }
+
+  function cancelTurn() {
+    if (currentTurn) currentTurn.cancelled = true;
+  }
+
+  function endUtterance() {
+    const audio = takeUtterance();
+    if (!audio) return;
+    // Talking over the reply counts as barge-in.
+    cancelTurn();
+    const turn = { cancelled: false };
+    turnChain = turnChain
+      .then(() => {
+        if (ended) return null;
+        currentTurn = turn;
+        return runWithRequestContext({ requestId: newRequestId(), callId, userId }, () =>
+          runTurn(audio, turn)
+        );
+      })
+      .catch((err) => {
+        if (err instanceof ChatTurnError) {
+          sendError(err.code, err.toJSON());
+          return;
+        }
+        logger.error('turn error', { callId, err });
+        sendError('turn_failed', { message: 'Failed to process voice chat.' });
+      })
+      .finally(() => {
+        if (currentTurn === turn) currentTurn = null;
+      });
+  }
+
+  async function runTurn(audio, cancel) {
+    const turn = await voiceCallPipeline.run(
+      {
+        channel: 'voice_call',
+        req,
+        userId,
+        audio,
+        mimeType: session.mimeType,
+        onTranscript: (text, inputAttachment) =>
+          send({
+            type: 'transcript',
+            text,
+            final: true,
+            inputAttachment: inputAttachment ? serializeAttachment(inputAttachment) : null,
+          }),
+        characterId: session.characterId,
+        language: session.language,
+        dialect: session.dialect,
+        tone: session.tone,
+        requestedConversationId: session.conversationId,
+        saveFlag: session.save,
+        engine: 'deep',
+        recentMessages: session.history,
+      },
+      {
+        hooks: [
+          {
+            // Barge-in stops the turn, but a crisis reply is always finished
+            // (and its safety event recorded).
+            before(stage, t) {
+              if (cancel.cancelled && !CRISIS_STAGES.has(stage.name)) {
+                t.halted = 'cancelled';
+              }
+            },
+          },
+        ],
+      }
+    );
+    logTurnTiming(turn);
+
+    if (turn.conversationId) session.conversationId = turn.conversationId;
+    if (turn.halted || !turn.outcome) return;
+
+    rememberTurn(turn.userText, turn.reply);
+
+    const voiceProfile = CHARACTER_VOICES[session.characterId] || CHARACTER_VOICES.default;
+    const reply = await speakReply({
+      turn: cancel,
+      text: turn.reply,
+      // Crisis replies are always read at the calm pace.
+      tone: turn.outcome === 'crisis' ? 'calm' : session.tone || voiceProfile.defaultTone || 'calm',
+      emotion: turn.emotion || null,
+      safety: turn.safety,
+      usage: buildUsageSummary(turn.dbUser, turn.usage),
+    });
+
+    const savedMessages = await turn.saved;
+    if (savedMessages) {
+      attachVoiceTurn({
+        userId,
+        ...savedMessages,
+        inputAttachmentId: turn.inputAttachment ? turn.inputAttachment.id : null,
+        reply,
+      });
+    }
+  }
+
+  function rememberTurn(userText, assistantText) {
+    session.history.push(
+      { role: 'user', content: userText },
+      { role: 'assistant', content: assistantText }
+    );
+    session.history = session.history.slice(-CALL_HISTORY_LIMIT);
+  }
+
+  // Stream the reply as audio_chunk frames and finish with reply_done.
+  // Returns the joined audio for the message attachment (null if nothing
+  // was spoken or the chunks cannot be joined).
+  async function speakReply({ turn, text, tone, emotion, safety, usage }) {
+    const assistantText = normalizeAssistantReplyForTTS(text, session.language);
+    send({ type: 'reply_text', text: assistantText, emotion, ...(safety ? { safety } : {}) });
+
+    const spoken = splitIntoSpeechChunks(prepareTextForTTS(assistantText), {
+      maxChars: config.chunkMaxChars,
+    });
+    const { delivered } = await streamSpeech({
+      chunks: spoken,
+      maxParallel: config.maxParallel,
+      isCancelled: () => turn.cancelled || ended,
+      synthesize: (chunk) =>
+        generateVoiceReply(chunk, {
+          characterId: session.characterId,
+          format: 'mp3',
+          tone,
+          emotion,
+        }),
+      onChunk: (result, seq) =>
+        send({
+          type: 'audio_chunk',
+          seq,
+          text: spoken[seq],
+          audio: result.base64,
+          mimeType: result.mimeType,
+        }),
+    });
+
+    if (!turn.cancelled) {
+      send({
+        type: 'reply_done',
+        assistantText,
+        usage,
+        emotion,
+        conversationId: session.conversationId,
+      });
+    }
+
+    if (!delivered.length) return null;
+    const mimeTypes = new Set(delivered.map((r) => r.mimeType));
+    const [mimeType] = mimeTypes;
+    const buffer =
+      mimeTypes.size === 1
+        ? joinAudioBuffers(delivered.map((r) => r.buffer), formatFromMimeType(mimeType))
+        : null;
+    return buffer ? { buffer, mimeType } : null;
+  }
+
+  function handleControl(msg) {
+    switch (msg.type) {
+      case 'start':
+        handleStart(msg).catch((err) => {
+          logger.error('start error', { callId, err });
+          sendError('start_failed');
+          connection.close(1011, 'Start failed');
+        });
+        return;
+      case 'end_utterance':
+        endUtterance();
+        return;
+      case 'cancel':
+        cancelTurn();
+        takeUtterance();
+        return;
+      case 'stop':
+        connection.close(1000, 'Call ended');
+        return;
+      default:
+        sendError('unknown_message');
+    }
+  }
+
+  touch();
+
+  connection.on('message', (data, isBinary) => {
+    touch();
+    if (isBinary) {
+      handleAudio(data);
+      return;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      sendError('invalid_message');
+      return;
+    }
+    if (!msg || typeof msg.type !== 'string') {
+      sendError('invalid_message');
+      return;
+    }
+    handleControl(msg);
+  });
+
+  connection.on('close', () => {
+    ended = true;
+    clearTimeout(idleTimer);
+    cancelTurn();
+    takeUtterance();
+  });
+}
+
+module.exports = {
+  getCallConfig,
+  startVoiceCall,
+};
@@ -0,0 +1,382 @@
+// server/src/services/voiceRenderingService.js
+// Turns a reply into TTS requests.
+//
+//   trimForVoiceReply()      keeps spoken replies compact
+//   prepareTextForTTS()      strips list markers that sound odd read aloud
+//   resolveVoiceParams()     persona voice + tone pacing (config/tones.js) +
+//                            detected emotion -> { voice, speed, instructions }
+//   splitIntoSpeechChunks()  sentence-level chunks so long replies can be
+//                            synthesized in parallel
+//   renderSpeech()           synthesizes the chunks (bounded parallelism) and
+//                            joins the audio back into one buffer
+//
+// Everything here is deterministic given its inputs; the provider call is
+// passed in, so voiceService.generateVoiceReply stays the only caller that
+// talks to services/llm.
+
+const { CHARACTER_VOICES } = require('../config/characterVoices');
+const { TONES } = require('../config/tones');
+const logger = require('../utils/logger').child({ component: 'VoiceRendering' });
+
+const DEFAULT_TONE = 'calm';
+const MIN_SPEED = 0.8;
+const MAX_SPEED = 1.15;
+const DEFAULT_CHUNK_MAX_CHARS = 240;
+const DEFAULT_MAX_PARALLEL = 4;
+
+// Speed change at full intensity (5); scaled linearly below that.
+const EMOTION_SPEED_DELTA = {
+  NEUTRAL: 0,
+  SAD: -0.1,
+  ANXIOUS: -0.08,
+  ANGRY: -0.05,
+  LONELY: -0.08,
+  STRESSED: -0.08,
+  HOPEFUL: 0.05,
+  GRATEFUL: 0.03,
+};
+
+// Delivery hints for models that accept `instructions`.
+const EMOTION_GUIDANCE = {
+  SAD: 'The listener is sad: speak gently and warmly, leaving room between sentences.',
+  ANXIOUS: 'The listener is anxious: keep a slow, steady, grounding rhythm.',
+  ANGRY: 'The listener is upset: stay calm and even, never match their intensity.',
+  LONELY: 'The listener feels lonely: sound close, warm and present.',
+  STRESSED: 'The listener is stressed: keep a calm, unhurried pace.',
+  HOPEFUL: 'The listener is hopeful: let some gentle brightness into your voice.',
+  GRATEFUL: 'The listener is grateful: sound warm and appreciative.',
+};
+
+// Emotions where a strong intensity calls for an extra-soft delivery.
+const HEAVY_EMOTIONS = new Set(['SAD', 'ANXIOUS', 'ANGRY', 'LONELY', 'STRESSED']);
+
+// Containers whose chunks can be joined back into one playable file.
+const JOINABLE_FORMATS = new Set(['mp3', 'wav']);
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function normalizeEmotion(emotion) {
+  if (!emotion || typeof emotion !== 'object') return { label: 'NEUTRAL', intensity: 1 };
+  const label = String(emotion.primaryEmotion || 'NEUTRAL').toUpperCase();
+  const intensity = Math.max(1, Math.min(5, parseInt(emotion.intensity, 10) || 1));
+  return {
+    label: Object.prototype.hasOwnProperty.call(EMOTION_SPEED_DELTA, label) ? label : 'NEUTRAL',
+    intensity,
+  };
+}
+
+// Voice mode keeps spoken replies compact (four sentences / 600 characters)
+// while preserving a trailing safety footer; HIGH_RISK replies are never cut.
+function trimForVoiceReply(text, severityLevel) {
+  const s = String(text || '').trim();
+  if (!s) return s;
+
+  if (String(severityLevel || '').toUpperCase() === 'HIGH_RISK') {
+    return s;
+  }
+
+  const parts = s.split(/\n\n+/);
+  let footer = '';
+  let body = s;
+
+  if (parts.length > 1) {
+    footer = parts[parts.length - 1];
+    body = parts.slice(0, -1).join('\n\n');
+  }
+
+  const sentences = body.split(/(?<=[.!؟?])\s+/).filter(Boolean);
+  const maxSentences = 4;
+  const trimmedBody = sentences.slice(0, maxSentences).join(' ') || body;
+
+  const MAX_CHARS = 600;
+  const finalBody =
+    trimmedBody.length > MAX_CHARS ? trimmedBody.slice(0, MAX_CHARS) : trimmedBody;
+
+  return footer ? `${finalBody}\n\n${footer}` : finalBody;
+}
+
+// Remove list markers and extra spacing before text is read aloud.
+function prepareTextForTTS(text) {
+  let s = String(text || '').trim();
+  if (!s) return s;
+
+  // Remove bullet markers and numbers that sound weird when read out
+  s = s
+    .replace(/^[-*\u2022]\s+/gm, '')       // - bullet, * bullet, • bullet
+    .replace(/^\d+\.\s+/gm, '')            // "1. " , "2. " etc.
+    .replace(/\s{2,}/g, ' ');              // collapse extra spaces
+
+  // Optional: avoid super long "paragraphs" by adding small pauses
+  s = s.replace(/([.!؟?])\s+/g, '$1 ');     // normalize spacing after punctuation
+
+  return s;
+}
+
+/**
+ * Whether a TTS model accepts free-form delivery `instructions`
+ * (gpt-4o-mini-tts and later; tts-1 / tts-1-hd do not).
+ * @param {string} model
+ */
+function supportsInstructions(model) {
+  return /gpt-4o.*tts/i.test(String(model || ''));
+}
+
+/**
+ * Combine persona voice, tone and detected emotion into TTS parameters.
+ *
+ * - voice: CHARACTER_VOICES[characterId].voiceId (default profile otherwise)
+ * - tone: the requested tone if known, else the persona's defaultTone, else calm
+ * - speed: the tone's tts.speed, shifted by the emotion's delta scaled by
+ *   intensity/5, clamped to [0.8, 1.15]
+ * - instructions: persona style + tone + emotion guidance, only when the
+ *   model supports them (null otherwise)
+ *
+ * @param {{ characterId?: string, tone?: string,
+ *   emotion?: { primaryEmotion?: string, intensity?: number }|null,
+ *   model?: string }} input
+ * @returns {{ voice: string, tone: string, speed: number, instructions: string|null }}
+ */
+function resolveVoiceParams({ characterId, tone, emotion, model } = {}) {
+  const profile = CHARACTER_VOICES[characterId] || CHARACTER_VOICES.default;
+  const voice = profile.voiceId || CHARACTER_VOICES.default.voiceId;
+
+  const toneKey = TONES[tone]
+    ? tone
+    : TONES[profile.defaultTone]
+    ? profile.defaultTone
+    : DEFAULT_TONE;
+  const toneCfg = TONES[toneKey];
+  const baseSpeed = toneCfg.tts && typeof toneCfg.tts.speed === 'number' ? toneCfg.tts.speed : 1;
+
+  const { label, intensity } = normalizeEmotion(emotion);
+  const delta = EMOTION_SPEED_DELTA[label] * (intensity / 5);
+  const speed = round2(Math.min(MAX_SPEED, Math.max(MIN_SPEED, baseSpeed + delta)));
+
+  let instructions = null;
+  if (supportsInstructions(model)) {
+    const parts = [];
+    if (profile.styleDescription) parts.push(`Voice: ${profile.styleDescription}`);
+    if (toneCfg.description) parts.push(`Tone: ${toneCfg.description}`);
+    if (EMOTION_GUIDANCE[label]) parts.push(EMOTION_GUIDANCE[label]);
+    if (HEAVY_EMOTIONS.has(label) && intensity >= 4) {
+      parts.push('Their feelings are strong right now: keep your voice especially soft and steady.');
+    }
+    instructions = parts.join('\n');
+  }
+
+  return { voice, tone: toneKey, speed, instructions };
+}
+
+// Break a sentence that is longer than maxChars at the last space (or Arabic
+// comma / comma / semicolon) that fits; hard-cut only when there is none.
+function wrapLongSentence(sentence, maxChars) {
+  const pieces = [];
+  let rest = sentence;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars + 1);
+    let cut = Math.max(
+      window.lastIndexOf(' '),
+      window.lastIndexOf('،') + 1,
+      window.lastIndexOf(',') + 1,
+      window.lastIndexOf(';') + 1
+    );
+    if (cut <= 0) cut = maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split text into speakable chunks of at most `maxChars`, on sentence
+ * boundaries (. ! ? ؟ … and line breaks). Consecutive short sentences are
+ * packed together so a reply is not split into needlessly many requests.
+ *
+ * @param {string} text
+ * @param {{ maxChars?: number }} [options]
+ * @returns {string[]}
+ */
+function splitIntoSpeechChunks(text, { maxChars = DEFAULT_CHUNK_MAX_CHARS } = {}) {
+  const clean = String(text || '').replace(/[ \t]+/g, ' ').trim();
+  if (!clean) return [];
+  if (clean.length <= maxChars) return [clean];
+
+  const sentences = clean
+    .split(/(?<=[.!?؟…])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .flatMap((s) => (s.length > maxChars ? wrapLongSentence(s, maxChars) : [s]));
+
+  const chunks = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (!current) {
+      current = sentence;
+    } else if (current.length + 1 + sentence.length <= maxChars) {
+      current = `${current} ${sentence}`;
+    } else {
+      chunks.push(current);
+      current = sentence;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function findWavChunk(buffer, id) {
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (chunkId === id) return { start: offset + 8, size: Math.min(size, buffer.length - offset - 8) };
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Join synthesized chunks into one file. MP3 frames concatenate as-is; WAV
+ * keeps the first header and sums the PCM data. Returns null for formats
+ * (or WAV layouts) that cannot be joined.
+ *
+ * @param {Buffer[]} buffers
+ * @param {string} format
+ * @returns {Buffer|null}
+ */
+function joinAudioBuffers(buffers, format) {
+  if (buffers.length === 1) return buffers[0];
+  if (format === 'mp3') return Buffer.concat(buffers);
+  if (format !== 'wav') return null;
+
+  const parts = buffers.map((b) => ({ buffer: b, data: findWavChunk(b, 'data') }));
+  if (parts.some((p) => !p.data)) return null;
+
+  const first = parts[0];
+  const header = Buffer.from(first.buffer.subarray(0, first.data.start));
+  const pcm = Buffer.concat(
+    parts.map((p) => p.buffer.subarray(p.data.start, p.data.start + p.data.size))
+  );
+  header.writeUInt32LE(header.length - 8 + pcm.length, 4);
+  header.writeUInt32LE(pcm.length, first.data.start - 4);
+  return Buffer.concat([header, pcm]);
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Synthesize `text`, chunked and in parallel when it is long and the format
+ * can be joined. Falls back to a single request when the provider answers
+ * in a container that cannot be joined (e.g. asked mp3, got ogg).
+ *
+ * @param {{ text: string, format: string,
+ *   synthesize: (chunk: string) => Promise<{ buffer: Buffer, format?: string }>,
+ *   maxChars?: number, maxParallel?: number }} params
+ * @returns {Promise<{ buffer: Buffer, format: string, chunks: number }>}
+ */
+async function renderSpeech({
+  text,
+  format,
+  synthesize,
+  maxChars = DEFAULT_CHUNK_MAX_CHARS,
+  maxParallel = DEFAULT_MAX_PARALLEL,
+}) {
+  const chunks = JOINABLE_FORMATS.has(format)
+    ? splitIntoSpeechChunks(text, { maxChars })
+    : [String(text || '').trim()];
+
+  if (chunks.length > 1) {
+    const results = await mapWithConcurrency(chunks, Math.max(1, maxParallel), (chunk) =>
+      synthesize(chunk)
+    );
+    const formats = new Set(results.map((r) => r.format || format));
+    if (formats.size === 1) {
+      const [actualFormat] = formats;
+      const joined = joinAudioBuffers(results.map((r) => r.buffer), actualFormat);
+      if (joined) return { buffer: joined, format: actualFormat, chunks: chunks.length };
+    }
+  }
+
+  const single = await synthesize(chunks.length > 1 ? chunks.join(' ') : chunks[0]);
+  return { buffer: single.buffer, format: single.format || format, chunks: 1 };
+}
+
+/**
+ * Synthesize chunks with bounded parallelism and hand each one to `onChunk`
+ * in order as soon as it (and every chunk before it) is ready, so playback
+ * can start while later sentences are still being synthesized. Used by the
+ * live voice call.
+ *
+ * A chunk whose synthesis fails (or returns null) is skipped. Once
+ * `isCancelled()` returns true no new chunks are started or delivered.
+ *
+ * @param {{ chunks: string[],
+ *   synthesize: (chunk: string) => Promise<object|null>,
+ *   onChunk: (result: object, index: number) => (void|Promise<void>),
+ *   maxParallel?: number, isCancelled?: () => boolean }} params
+ * @returns {Promise<{ delivered: object[] }>} delivered results, in order
+ */
+async function streamSpeech({
+  chunks,
+  synthesize,
+  onChunk,
+  maxParallel = DEFAULT_MAX_PARALLEL,
+  isCancelled = () => false,
+}) {
+  const ready = chunks.map(() => {
+    let resolve;
+    const promise = new Promise((r) => {
+      resolve = r;
+    });
+    return { promise, resolve };
+  });
+
+  const work = mapWithConcurrency(chunks, Math.max(1, maxParallel), async (chunk, index) => {
+    let result = null;
+    if (!isCancelled()) {
+      try {
+        result = await synthesize(chunk);
+      } catch (err) {
+        logger.error('chunk synthesis failed', { err });
+      }
+    }
+    ready[index].resolve(result);
+  });
+
+  const delivered = [];
+  for (let index = 0; index < chunks.length; index += 1) {
+    const result = await ready[index].promise;
+    if (isCancelled()) break;
+    if (!result) continue;
+    await onChunk(result, index);
+    delivered.push(result);
+  }
+  await work;
+  return { delivered };
+}
+
+module.exports = {
+  EMOTION_SPEED_DELTA,
+  trimForVoiceReply,
+  prepareTextForTTS,
+  supportsInstructions,
+  resolveVoiceParams,
+  splitIntoSpeechChunks,
+  joinAudioBuffers,
+  renderSpeech,
+  streamSpeech,
+};
@@ -1,46 +1,35 @@
 // server/src/services/voiceService.js
-// Final, Render-friendly version with dedicated TTS client
-// - Uses a separate OpenAI client for TTS + STT
-// - Avoids /v1/audio/speech 404 issues caused by wrong base URLs
-
-const OpenAI = require("openai");
-const fs = require("fs");
-const { CHARACTER_VOICES } = require("../config/characterVoices");
-
-// ------------------------------------
-// 🎤 Dedicated OpenAI client for audio
-// ------------------------------------
-// This client is ONLY for:
-//   - STT: /audio/transcriptions
-//   - TTS: /audio/speech
-//
-// It *ignores* any OPENAI_BASE_URL / OPENAI_TTS_BASE_URL that might be used
-// elsewhere. We always talk directly to official OpenAI:
-//   https://api.openai.com/v1
-// using the primary OPENAI_API_KEY.
-
-const openaiTTS = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  baseURL: "https://api.openai.com/v1",
-});
-
-// Small debug line so Render logs show exactly which base URL is used.
+// Speech-to-text and text-to-speech for voice chat.
+// - Provider calls go through services/llm (LLM_AUDIO_PROVIDER / LLM_PROVIDER)
+// - The OpenAI adapter pins audio to the official API base URL, which avoids
+//   the /v1/audio/speech 404s we used to get through proxies
+
+const { resolveVoiceParams, renderSpeech } = require("./voiceRenderingService");
+const {
+  getAudioProvider,
+  isAudioConfigured,
+  transcribe,
+  synthesizeSpeech,
+} = require("./llm");
+
+// Small debug line so Render logs show which audio provider is active.
 // This never prints any secrets.
-console.log("[voiceService] Using TTS baseURL:", "https://api.openai.com/v1");
+console.log("[voiceService] Using audio provider:", getAudioProvider().name);
 
 // ------------------------------------
 // 🔊 TRANSCRIBE AUDIO (STT)
 // ------------------------------------
 /**
- * Transcribe an audio file using OpenAI Whisper.
+ * Transcribe an audio file with the configured audio provider.
  *
  * @param {string|{path:string}} input - path or multer file object
+ * @param {{ durationMs?: number }} [options] - audio length, for the usage ledger
  * @returns {Promise<string>} - transcript text or '' on failure
  */
-async function transcribeAudio(input) {
-  // If we have no key at all, bail
-  if (!process.env.OPENAI_API_KEY) {
-    console.error("[voiceService] STT called but no OPENAI_API_KEY set");
+async function transcribeAudio(input, options = {}) {
+  // If the provider has no credentials at all, bail
+  if (!isAudioConfigured()) {
+    console.error("[voiceService] STT called but audio provider is not configured");
     return "";
   }
 
@@ -58,15 +47,8 @@ async function transcribeAudio(input) {
   }
 
   try {
-    const stream = fs.createReadStream(filePath);
-
-    const resp = await openaiTTS.audio.transcriptions.create({
-      model,
-      file: stream,
-    });
-
-    const text = (resp && (resp.text || resp.data?.text)) || "";
-    return text.trim();
+    const text = await transcribe({ filePath, model, durationMs: options.durationMs });
+    return String(text || "").trim();
   } catch (err) {
     console.error("[voiceService] STT error:", err?.message || err);
     return "";
@@ -77,16 +59,28 @@ async function transcribeAudio(input) {
 // 🔈 GENERATE VOICE REPLY (TTS)
 // ------------------------------------
 /**
- * Generate a voice reply with OpenAI TTS.
+ * Generate a voice reply with the configured TTS provider.
+ *
+ * Voice, speed and (where the model supports them) delivery instructions
+ * come from the persona, the selected tone and the detected emotion, see
+ * services/voiceRenderingService.js. Long replies are synthesized as
+ * sentence chunks in parallel.
+ *
+ * Env:
+ *   OPENAI_TTS_MODEL       default tts-1 (gpt-4o-mini-tts also takes instructions)
+ *   OPENAI_TTS_FORMAT      default mp3
+ *   TTS_CHUNK_MAX_CHARS    max characters per chunk (default 240)
+ *   TTS_MAX_PARALLEL       chunks synthesized at once (default 4)
  *
  * @param {string} text
- * @param {{ characterId?: string, format?: string }} options
+ * @param {{ characterId?: string, format?: string, tone?: string,
+ *   emotion?: { primaryEmotion?: string, intensity?: number }|null }} options
  * @returns {Promise<{ base64: string, buffer: Buffer, mimeType: string, voiceId: string }|null>}
  */
 async function generateVoiceReply(text, options = {}) {
-  // Same key check as STT
-  if (!process.env.OPENAI_API_KEY) {
-    console.error("[voiceService] TTS called but no OPENAI_API_KEY set");
+  // Same config check as STT
+  if (!isAudioConfigured()) {
+    console.error("[voiceService] TTS called but audio provider is not configured");
     return null;
   }
 
@@ -95,33 +89,44 @@ async function generateVoiceReply(text, options = {}) {
     return null;
   }
 
-  const { characterId, format } = options;
+  const { characterId, format, tone, emotion } = options;
 
   // Model & format (use tts-1 by default, which is supported on /v1/audio/speech)
   const model = process.env.OPENAI_TTS_MODEL || "tts-1";
   const outputFormat = format || process.env.OPENAI_TTS_FORMAT || "mp3";
 
-  // Voice selection from CHARACTER_VOICES
-  const profile = CHARACTER_VOICES[characterId] || CHARACTER_VOICES.default;
-  const voiceId = profile.voiceId || process.env.OPENAI_TTS_VOICE || "alloy";
+  const params = resolveVoiceParams({ characterId, tone, emotion, model });
+  const voiceId = params.voice;
 
   try {
-    const response = await openaiTTS.audio.speech.create({
-      model,
-      voice: voiceId,
-      input: safeText,
+    // Providers may answer in a different container than requested (the
+    // offline stub always returns WAV), so derive the MIME type from what
+    // actually came back.
+    const speech = await renderSpeech({
+      text: safeText,
       format: outputFormat,
+      maxChars: parseInt(process.env.TTS_CHUNK_MAX_CHARS || "240", 10) || 240,
+      maxParallel: parseInt(process.env.TTS_MAX_PARALLEL || "4", 10) || 4,
+      synthesize: (chunk) =>
+        synthesizeSpeech({
+          text: chunk,
+          voice: voiceId,
+          model,
+          format: outputFormat,
+          speed: params.speed,
+          ...(params.instructions ? { instructions: params.instructions } : {}),
+        }),
     });
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
+    const buffer = speech.buffer;
+    const actualFormat = speech.format || outputFormat;
 
     const base64 = buffer.toString("base64");
 
     let mimeType = "audio/mpeg";
-    if (outputFormat === "wav") mimeType = "audio/wav";
-    else if (outputFormat === "ogg") mimeType = "audio/ogg";
-    else if (outputFormat === "flac") mimeType = "audio/flac";
+    if (actualFormat === "wav") mimeType = "audio/wav";
+    else if (actualFormat === "ogg") mimeType = "audio/ogg";
+    else if (actualFormat === "flac") mimeType = "audio/flac";
 
     return { base64, buffer, mimeType, voiceId };
   } catch (err) {
@@ -0,0 +1,34 @@
+// server/src/utils/arabicText.js
+// Arabic text normalization for matching (keyword screens, search).
+
+// Harakat (tashkeel), superscript alef and Quranic annotation marks.
+const ARABIC_DIACRITICS_RE = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL_RE = /\u0640/g;
+
+/**
+ * Fold the spelling variants people type interchangeably so that a single
+ * canonical form can be compared:
+ *   - strip diacritics and tatweel
+ *   - أ إ آ ٱ -> ا
+ *   - ى -> ي, ة -> ه, ؤ -> و, ئ -> ي
+ *   - lowercase (for mixed Arabic/Latin text) and collapse whitespace
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeArabic(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(ARABIC_DIACRITICS_RE, '')
+    .replace(TATWEEL_RE, '')
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+    .replace(/\u0649/g, '\u064A')
+    .replace(/\u0629/g, '\u0647')
+    .replace(/\u0624/g, '\u0648')
+    .replace(/\u0626/g, '\u064A')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { normalizeArabic };
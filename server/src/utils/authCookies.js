@@ -0,0 +1,64 @@
+// server/src/utils/authCookies.js
+// The two login cookies: `token` holds the short-lived access JWT (also
+// returned in JSON for clients that send it as a Bearer header), and
+// `refresh_token` holds the rotating refresh token. The refresh cookie is
+// scoped to /api/auth so it only travels to the refresh and logout routes.
+
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+} = require('../services/authSessionService');
+
+const AUTH_COOKIE_NAME = 'token';
+const REFRESH_COOKIE_NAME = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const isRenderProd =
+  process.env.RENDER === 'true' || process.env.NODE_ENV === 'production';
+
+function baseCookieOptions() {
+  if (!isRenderProd) {
+    return { httpOnly: true, secure: false, sameSite: 'lax' };
+  }
+  const base = { httpOnly: true, secure: true, sameSite: 'none' };
+  const domain = process.env.COOKIE_DOMAIN;
+  return domain ? { ...base, domain } : base;
+}
+
+function getAuthCookieOptions() {
+  return { ...baseCookieOptions(), maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 };
+}
+
+function getRefreshCookieOptions() {
+  return { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH, maxAge: REFRESH_TOKEN_TTL_MS };
+}
+
+/**
+ * Set both login cookies.
+ * @param {import('express').Response} res
+ * @param {{ accessToken: string, refreshToken?: string }} tokens
+ */
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie(AUTH_COOKIE_NAME, accessToken, getAuthCookieOptions());
+  if (refreshToken) res.cookie(REFRESH_COOKIE_NAME, refreshToken, getRefreshCookieOptions());
+}
+
+// Cleared with the same attributes they were set with, minus maxAge.
+function clearAuthCookies(res) {
+  res.clearCookie(AUTH_COOKIE_NAME, baseCookieOptions());
+  res.clearCookie(REFRESH_COOKIE_NAME, { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
+}
+
+function readRefreshToken(req) {
+  const value = req.cookies && req.cookies[REFRESH_COOKIE_NAME];
+  return typeof value === 'string' && value ? value : null;
+}
+
+module.exports = {
+  AUTH_COOKIE_NAME,
+  REFRESH_COOKIE_NAME,
+  getAuthCookieOptions,
+  setAuthCookies,
+  clearAuthCookies,
+  readRefreshToken,
+};
@@ -1,17 +1,28 @@
 // server/src/utils/crypto.js
 // Application-level encryption helpers for sensitive message content.
-// Uses AES-256-GCM with a 32-byte key from MESSAGE_ENCRYPTION_KEY.
+// Uses AES-256-GCM with 32-byte keys from a small keyring (see getKeyring()).
+//
+// Ciphertext formats:
+//   enc:v2:<kid>:<ivHex>:<cipherHex>:<authTagHex>   current, key id embedded
+//   enc::<ivHex>:<cipherHex>:<authTagHex>           legacy, always MESSAGE_ENCRYPTION_KEY
+// Anything else is treated as legacy plain text.
 
 const crypto = require("crypto");
 
-const PREFIX = "enc::"; // marker to distinguish encrypted payloads from legacy plain text
+const PREFIX = "enc::"; // legacy marker, kept readable forever
+const V2_PREFIX = "enc:v2:";
+// Full-shape match, so user text that merely starts with "enc:" is still
+// treated (and encrypted) as plain text.
+const ENCRYPTED_RE =
+  /^enc:(?::[0-9a-f]+:[0-9a-f]*:[0-9a-f]+|v2:[A-Za-z0-9_-]{1,32}:[0-9a-f]+:[0-9a-f]*:[0-9a-f]+)$/;
 
-function getKey() {
-  const raw = process.env.MESSAGE_ENCRYPTION_KEY;
-  if (!raw) {
-    throw new Error("MESSAGE_ENCRYPTION_KEY is not set");
-  }
+// Key id under which MESSAGE_ENCRYPTION_KEY lives in the keyring. Legacy
+// enc:: rows were all written with this key.
+const PRIMARY_KEY_ID = "k1";
+const KEY_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
 
+// Turn a configured secret into a 32-byte AES-256 key.
+function deriveKey(raw) {
   const trimmed = String(raw).trim();
 
   // 1) If the key is provided as 64-char hex (32 bytes), use it directly.
@@ -30,20 +41,119 @@ function getKey() {
   }
 
   // 3) Fallback: derive a 32-byte key from the string using SHA-256.
-  //    This allows using an arbitrary passphrase-like value in MESSAGE_ENCRYPTION_KEY
+  //    This allows using an arbitrary passphrase-like value
   //    while always producing a fixed-size AES-256 key.
   return crypto.createHash("sha256").update(trimmed, "utf8").digest();
 }
 
-// Encrypt plain text into a single string: enc::<ivHex>:<cipherHex>:<authTagHex>
+// The original single key (kid "k1"). Also used to derive sub-keys such as
+// the search-index key when no dedicated secret is configured.
+function getKey() {
+  const raw = process.env.MESSAGE_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error("MESSAGE_ENCRYPTION_KEY is not set");
+  }
+  return deriveKey(raw);
+}
+
+let cachedKeyring = null;
+let cachedKeyringSource = null;
+
+/**
+ * Keyring loaded from env:
+ *   MESSAGE_ENCRYPTION_KEY             -> kid "k1"
+ *   MESSAGE_ENCRYPTION_KEYS            -> extra keys, "k2:<secret>,k3:<secret>"
+ *   MESSAGE_ENCRYPTION_ACTIVE_KEY_ID   -> kid used for new writes
+ *                                         (default: last kid in MESSAGE_ENCRYPTION_KEYS, else k1)
+ *
+ * Rotation: add a new kid to MESSAGE_ENCRYPTION_KEYS, deploy, run
+ * server/scripts/reencrypt_to_active_key.js, and only then remove old keys.
+ *
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ */
+function getKeyring() {
+  const source = [
+    process.env.MESSAGE_ENCRYPTION_KEY || "",
+    process.env.MESSAGE_ENCRYPTION_KEYS || "",
+    process.env.MESSAGE_ENCRYPTION_ACTIVE_KEY_ID || "",
+  ].join("\n");
+  if (cachedKeyring && cachedKeyringSource === source) return cachedKeyring;
+
+  const keys = new Map();
+  let lastExtraKeyId = null;
+
+  if (process.env.MESSAGE_ENCRYPTION_KEY) {
+    keys.set(PRIMARY_KEY_ID, getKey());
+  }
+
+  const extra = String(process.env.MESSAGE_ENCRYPTION_KEYS || "").trim();
+  if (extra) {
+    for (const entry of extra.split(",")) {
+      const trimmedEntry = entry.trim();
+      if (!trimmedEntry) continue;
+      const sep = trimmedEntry.indexOf(":");
+      const kid = sep > 0 ? trimmedEntry.slice(0, sep).trim() : "";
+      const secret = sep > 0 ? trimmedEntry.slice(sep + 1).trim() : "";
+      if (!KEY_ID_RE.test(kid) || !secret) {
+        throw new Error("MESSAGE_ENCRYPTION_KEYS must be a comma-separated list of <kid>:<key>");
+      }
+      if (kid === PRIMARY_KEY_ID) {
+        throw new Error(`Key id "${PRIMARY_KEY_ID}" is reserved for MESSAGE_ENCRYPTION_KEY`);
+      }
+      if (keys.has(kid)) {
+        throw new Error(`Duplicate key id "${kid}" in MESSAGE_ENCRYPTION_KEYS`);
+      }
+      keys.set(kid, deriveKey(secret));
+      lastExtraKeyId = kid;
+    }
+  }
+
+  if (!keys.size) {
+    throw new Error("MESSAGE_ENCRYPTION_KEY is not set");
+  }
+
+  const activeKeyId =
+    String(process.env.MESSAGE_ENCRYPTION_ACTIVE_KEY_ID || "").trim() ||
+    lastExtraKeyId ||
+    PRIMARY_KEY_ID;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active encryption key "${activeKeyId}" is not in the keyring`);
+  }
+
+  cachedKeyring = { activeKeyId, keys };
+  cachedKeyringSource = source;
+  return cachedKeyring;
+}
+
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+function getKeyById(kid) {
+  const key = getKeyring().keys.get(kid);
+  if (!key) {
+    throw new Error(`Unknown encryption key id "${kid}"`);
+  }
+  return key;
+}
+
+// The key id is bound as additional authenticated data so a payload cannot
+// be relabelled with another kid without failing authentication.
+function v2Aad(kid) {
+  return Buffer.from(`v2:${kid}`, "utf8");
+}
+
+// Encrypt plain text into a single string: enc:v2:<kid>:<ivHex>:<cipherHex>:<authTagHex>
 function encryptText(plainText) {
   if (plainText == null) return plainText;
   if (plainText === "") return "";
 
-  const key = getKey();
+  const kid = getActiveKeyId();
+  const key = getKeyById(kid);
   const iv = crypto.randomBytes(12); // 96-bit nonce recommended for GCM
 
   const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(v2Aad(kid));
   const ciphertext = Buffer.concat([
     cipher.update(String(plainText), "utf8"),
     cipher.final(),
@@ -54,42 +164,133 @@ function encryptText(plainText) {
   const ctHex = ciphertext.toString("hex");
   const tagHex = authTag.toString("hex");
 
-  return `${PREFIX}${ivHex}:${ctHex}:${tagHex}`;
+  return `${V2_PREFIX}${kid}:${ivHex}:${ctHex}:${tagHex}`;
+}
+
+function decryptWithKey(key, ivHex, ctHex, tagHex, aad) {
+  const iv = Buffer.from(ivHex, "hex");
+  const ciphertext = Buffer.from(ctHex, "hex");
+  const authTag = Buffer.from(tagHex, "hex");
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(authTag);
+
+  const decrypted = Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]);
+
+  return decrypted.toString("utf8");
 }
 
-// Decrypts the format produced by encryptText.
-// If the input does not start with the PREFIX, it is returned as-is
+// Decrypts both formats produced by encryptText (current and legacy).
+// If the input is not an encrypted payload, it is returned as-is
 // to remain backward compatible with existing plain text records.
 function decryptText(encrypted) {
   if (encrypted == null) return encrypted;
   if (encrypted === "") return "";
 
-  if (!String(encrypted).startsWith(PREFIX)) {
+  const value = String(encrypted);
+  if (!isEncrypted(value)) {
     // assume legacy plain text
     return encrypted;
   }
 
-  const withoutPrefix = String(encrypted).slice(PREFIX.length);
-  const parts = withoutPrefix.split(":");
+  if (value.startsWith(V2_PREFIX)) {
+    const parts = value.slice(V2_PREFIX.length).split(":");
+    if (parts.length !== 4) {
+      throw new Error("Invalid encrypted message format");
+    }
+    const [kid, ivHex, ctHex, tagHex] = parts;
+    return decryptWithKey(getKeyById(kid), ivHex, ctHex, tagHex, v2Aad(kid));
+  }
+
+  const parts = value.slice(PREFIX.length).split(":");
   if (parts.length !== 3) {
     throw new Error("Invalid encrypted message format");
   }
 
   const [ivHex, ctHex, tagHex] = parts;
-  const iv = Buffer.from(ivHex, "hex");
-  const ciphertext = Buffer.from(ctHex, "hex");
-  const authTag = Buffer.from(tagHex, "hex");
+  return decryptWithKey(getKeyById(PRIMARY_KEY_ID), ivHex, ctHex, tagHex, null);
+}
 
-  const key = getKey();
-  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-  decipher.setAuthTag(authTag);
+function isEncrypted(value) {
+  return typeof value === "string" && ENCRYPTED_RE.test(value);
+}
 
-  const decrypted = Buffer.concat([
-    decipher.update(ciphertext),
-    decipher.final(),
+/**
+ * Key id a stored value was encrypted with: the embedded kid for v2,
+ * "k1" for legacy enc:: payloads, null for plain text.
+ */
+function getEncryptionKeyId(value) {
+  if (!isEncrypted(value)) return null;
+  if (value.startsWith(V2_PREFIX)) {
+    return value.slice(V2_PREFIX.length).split(":")[0] || null;
+  }
+  return PRIMARY_KEY_ID;
+}
+
+// True when a stored value should be rewritten: plain text, legacy format,
+// or encrypted under a key that is no longer the active one.
+function needsReencryption(value) {
+  if (typeof value !== "string" || value === "") return false;
+  if (!value.startsWith(V2_PREFIX)) return true;
+  return getEncryptionKeyId(value) !== getActiveKeyId();
+}
+
+// Binary payloads (stored voice notes). Layout:
+//   "AB2" | kidLength (1 byte) | kid | iv (12) | authTag (16) | ciphertext
+// The key id is bound as AAD like the v2 text format.
+const BINARY_MAGIC = Buffer.from("AB2", "ascii");
+
+function binaryAad(kid) {
+  return Buffer.from(`bin:v2:${kid}`, "utf8");
+}
+
+function encryptBuffer(plain) {
+  const kid = getActiveKeyId();
+  const key = getKeyById(kid);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(binaryAad(kid));
+  const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+  const kidBuf = Buffer.from(kid, "utf8");
+
+  return Buffer.concat([
+    BINARY_MAGIC,
+    Buffer.from([kidBuf.length]),
+    kidBuf,
+    iv,
+    cipher.getAuthTag(),
+    ciphertext,
   ]);
+}
 
-  return decrypted.toString("utf8");
+function decryptBuffer(payload) {
+  const buf = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  if (buf.length < 4 || !buf.subarray(0, 3).equals(BINARY_MAGIC)) {
+    throw new Error("Invalid encrypted binary format");
+  }
+  const kidLength = buf[3];
+  const kidEnd = 4 + kidLength;
+  const kid = buf.subarray(4, kidEnd).toString("utf8");
+  const iv = buf.subarray(kidEnd, kidEnd + 12);
+  const authTag = buf.subarray(kidEnd + 12, kidEnd + 28);
+  const ciphertext = buf.subarray(kidEnd + 28);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKeyById(kid), iv);
+  decipher.setAAD(binaryAad(kid));
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Key id of an encryptBuffer payload, or null when it is not one.
+function getBufferKeyId(payload) {
+  const buf = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || []);
+  if (buf.length < 4 || !buf.subarray(0, 3).equals(BINARY_MAGIC)) return null;
+  return buf.subarray(4, 4 + buf[3]).toString("utf8");
 }
 
 // Backwards-compatible exports used elsewhere in the codebase
@@ -101,4 +302,18 @@ function decryptMessage(text) {
   return decryptText(text);
 }
 
-module.exports = { encryptText, decryptText, encryptMessage, decryptMessage };
+module.exports = {
+  getKey,
+  getKeyring,
+  getActiveKeyId,
+  encryptText,
+  decryptText,
+  encryptMessage,
+  decryptMessage,
+  isEncrypted,
+  getEncryptionKeyId,
+  needsReencryption,
+  encryptBuffer,
+  decryptBuffer,
+  getBufferKeyId,
+};
@@ -306,7 +306,351 @@ async function sendPasswordResetEmail({ to, resetLink, language }) {
   }
 }
 
+async function sendAccountDeletionScheduledEmail({ to, undoLink, scheduledFor, language }) {
+  if (!to || !undoLink) return;
+
+  const transporter = getTransporter();
+  if (!transporter) return;
+
+  const fromAddress = process.env.SUPPORT_EMAIL_FROM || 'support@asrarai.com';
+  const from = `Asrar AI Support <${fromAddress}>`;
+
+  const isArabic = language === 'ar';
+  const when = new Date(scheduledFor).toLocaleDateString(isArabic ? 'ar' : 'en-GB', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+  const subject = isArabic
+    ? 'تمت جدولة حذف حسابك — أسرار AI'
+    : 'Your Asrar AI account is scheduled for deletion';
+
+  const copy = isArabic
+    ? {
+        greeting: 'مرحباً،',
+        heading: 'تمت جدولة حذف حسابك',
+        body: `سيتم حذف حسابك وجميع بياناتك نهائياً بتاريخ ${when}.`,
+        undo: 'إذا غيّرت رأيك، اضغط على الزر أدناه قبل هذا التاريخ لإلغاء الحذف:',
+        button: 'إلغاء حذف الحساب',
+        footer: 'إذا لم تطلب حذف حسابك، اضغط على الزر أعلاه فوراً ثم غيّر كلمة المرور.',
+      }
+    : {
+        greeting: 'Hi,',
+        heading: 'Your account is scheduled for deletion',
+        body: `Your Asrar AI account and all of its data will be permanently deleted on ${when}.`,
+        undo: 'Changed your mind? Click the button below before that date to keep your account:',
+        button: 'Undo account deletion',
+        footer: "If you didn’t request this, click the button above right away and change your password.",
+      };
+
+  const text = [
+    copy.greeting,
+    '',
+    copy.body,
+    copy.undo,
+    undoLink,
+    '',
+    copy.footer,
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="${isArabic ? 'ar' : 'en'}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${subject}</title>
+  </head>
+  <body style="margin:0;padding:0;background-color:#050914;color:#f5f5f5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;${isArabic ? 'direction:rtl;text-align:right;' : ''}">
+    <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%" style="background-color:#050914;padding:24px 0;">
+      <tr>
+        <td align="center" style="padding:0 16px;">
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width:600px;background-color:#070b1c;border-radius:18px;border:1px solid #1c2238;box-shadow:0 18px 50px rgba(0,0,0,0.65);overflow:hidden;">
+            <tr>
+              <td style="padding:24px 24px 8px 24px;text-align:center;border-bottom:1px solid #1c2238;background:radial-gradient(circle at top,#151b33 0,#050914 60%);">
+                <div style="font-family:'Cinzel','Times New Roman',serif;font-size:24px;letter-spacing:0.24em;text-transform:uppercase;color:#f8fafc;margin-bottom:4px;">ASRAR AI</div>
+                <div style="font-size:12px;letter-spacing:0.16em;text-transform:uppercase;color:#9ca3af;">Private Emotional Space</div>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:24px 24px 8px 24px;">
+                <p style="margin:0 0 12px 0;font-size:16px;line-height:1.6;color:#e5e7eb;">${copy.greeting}</p>
+                <h1 style="margin:0 0 10px 0;font-size:20px;line-height:1.5;color:#f9fafb;font-weight:600;">${copy.heading}</h1>
+                <p style="margin:0 0 10px 0;font-size:14px;line-height:1.7;color:#d1d5db;">${copy.body}</p>
+                <p style="margin:0 0 16px 0;font-size:14px;line-height:1.7;color:#d1d5db;">${copy.undo}</p>
+              </td>
+            </tr>
+            <tr>
+              <td align="center" style="padding:0 24px 20px 24px;">
+                <a
+                  href="${undoLink}"
+                  style="display:inline-block;padding:11px 28px;border-radius:999px;background-image:linear-gradient(135deg,#22c55e,#4ade80);color:#020617;font-size:14px;font-weight:600;text-decoration:none;letter-spacing:0.04em;text-transform:uppercase;"
+                >
+                  ${copy.button}
+                </a>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:0 24px 18px 24px;">
+                <p style="margin:0 0 8px 0;font-size:13px;line-height:1.6;color:#d1d5db;">${copy.footer}</p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject,
+      text,
+      html,
+    });
+  } catch (err) {
+    console.error('[email] Failed to send account deletion email:', err && err.message ? err.message : err);
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared layout of the single-button emails below. `copy` values are plain
+// text and escaped here.
+function renderActionEmailHtml({ isArabic, subject, copy, link }) {
+  const paragraphs = copy.paragraphs
+    .map(
+      (line) =>
+        `<p style="margin:0 0 10px 0;font-size:14px;line-height:1.7;color:#d1d5db;">${escapeHtml(line)}</p>`
+    )
+    .join('\n                ');
+
+  return `<!DOCTYPE html>
+<html lang="${isArabic ? 'ar' : 'en'}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(subject)}</title>
+  </head>
+  <body style="margin:0;padding:0;background-color:#050914;color:#f5f5f5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;${isArabic ? 'direction:rtl;text-align:right;' : ''}">
+    <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%" style="background-color:#050914;padding:24px 0;">
+      <tr>
+        <td align="center" style="padding:0 16px;">
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width:600px;background-color:#070b1c;border-radius:18px;border:1px solid #1c2238;box-shadow:0 18px 50px rgba(0,0,0,0.65);overflow:hidden;">
+            <tr>
+              <td style="padding:24px 24px 8px 24px;text-align:center;border-bottom:1px solid #1c2238;background:radial-gradient(circle at top,#151b33 0,#050914 60%);">
+                <div style="font-family:'Cinzel','Times New Roman',serif;font-size:24px;letter-spacing:0.24em;text-transform:uppercase;color:#f8fafc;margin-bottom:4px;">ASRAR AI</div>
+                <div style="font-size:12px;letter-spacing:0.16em;text-transform:uppercase;color:#9ca3af;">Private Emotional Space</div>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:24px 24px 8px 24px;">
+                <p style="margin:0 0 12px 0;font-size:16px;line-height:1.6;color:#e5e7eb;">${escapeHtml(copy.greeting)}</p>
+                <h1 style="margin:0 0 10px 0;font-size:20px;line-height:1.5;color:#f9fafb;font-weight:600;">${escapeHtml(copy.heading)}</h1>
+                ${paragraphs}
+              </td>
+            </tr>
+            <tr>
+              <td align="center" style="padding:6px 24px 20px 24px;">
+                <a
+                  href="${escapeHtml(link)}"
+                  style="display:inline-block;padding:11px 28px;border-radius:999px;background-image:linear-gradient(135deg,#22c55e,#4ade80);color:#020617;font-size:14px;font-weight:600;text-decoration:none;letter-spacing:0.04em;text-transform:uppercase;"
+                >
+                  ${escapeHtml(copy.button)}
+                </a>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:0 24px 18px 24px;">
+                <p style="margin:0 0 8px 0;font-size:13px;line-height:1.6;color:#d1d5db;">${escapeHtml(copy.footer)}</p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+}
+
+function renderActionEmailText({ copy, link }) {
+  return [copy.greeting, '', ...copy.paragraphs, link, '', copy.footer].join('\n');
+}
+
+async function sendEmailVerificationEmail({ to, verifyLink, language }) {
+  if (!to || !verifyLink) return;
+
+  const transporter = getTransporter();
+  if (!transporter) return;
+
+  const fromAddress = process.env.SUPPORT_EMAIL_FROM || 'support@asrarai.com';
+  const from = `Asrar AI Support <${fromAddress}>`;
+
+  const isArabic = language === 'ar';
+
+  const subject = isArabic ? 'أكّد بريدك الإلكتروني — أسرار AI' : 'Confirm your email for Asrar AI';
+
+  const copy = isArabic
+    ? {
+        greeting: 'مرحباً،',
+        heading: 'أكّد بريدك الإلكتروني',
+        paragraphs: [
+          'اضغط على الزر أدناه لتأكيد أن هذا البريد الإلكتروني يخصك.',
+          'ينتهي هذا الرابط خلال 48 ساعة.',
+        ],
+        button: 'تأكيد البريد الإلكتروني',
+        footer: 'إذا لم تنشئ حساباً في أسرار AI، يمكنك تجاهل هذه الرسالة.',
+      }
+    : {
+        greeting: 'Hi,',
+        heading: 'Confirm your email address',
+        paragraphs: [
+          'Click the button below to confirm that this email address belongs to you.',
+          'This link expires in 48 hours.',
+        ],
+        button: 'Confirm email',
+        footer: 'If you didn’t create an Asrar AI account, you can ignore this email.',
+      };
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject,
+      text: renderActionEmailText({ copy, link: verifyLink }),
+      html: renderActionEmailHtml({ isArabic, subject, copy, link: verifyLink }),
+    });
+  } catch (err) {
+    console.error('[email] Failed to send verification email:', err && err.message ? err.message : err);
+  }
+}
+
+// One half of an email change. `side` "old" goes to the current address,
+// "new" to the address being switched to; both links must be opened.
+async function sendEmailChangeEmail({ to, confirmLink, side, newEmail, language }) {
+  if (!to || !confirmLink) return;
+
+  const transporter = getTransporter();
+  if (!transporter) return;
+
+  const fromAddress = process.env.SUPPORT_EMAIL_FROM || 'support@asrarai.com';
+  const from = `Asrar AI Support <${fromAddress}>`;
+
+  const isArabic = language === 'ar';
+  const isOld = side === 'old';
+
+  const subject = isArabic
+    ? 'تأكيد تغيير البريد الإلكتروني — أسرار AI'
+    : 'Confirm your Asrar AI email change';
+
+  const copy = isArabic
+    ? {
+        greeting: 'مرحباً،',
+        heading: isOld ? 'طلب تغيير بريدك الإلكتروني' : 'أكّد بريدك الإلكتروني الجديد',
+        paragraphs: [
+          isOld
+            ? `طُلب تغيير البريد الإلكتروني لحسابك في أسرار AI إلى ${newEmail}.`
+            : 'طُلب استخدام هذا البريد الإلكتروني لحساب في أسرار AI.',
+          'اضغط على الزر أدناه للموافقة. لن يتم التغيير إلا بعد تأكيد الرابطين المرسلين إلى البريد القديم والجديد خلال 24 ساعة.',
+        ],
+        button: 'تأكيد التغيير',
+        footer: isOld
+          ? 'إذا لم تطلب هذا التغيير، تجاهل هذه الرسالة وغيّر كلمة المرور.'
+          : 'إذا لم تطلب هذا، يمكنك تجاهل هذه الرسالة.',
+      }
+    : {
+        greeting: 'Hi,',
+        heading: isOld ? 'Email change requested' : 'Confirm your new email address',
+        paragraphs: [
+          isOld
+            ? `Someone asked to change the email of your Asrar AI account to ${newEmail}.`
+            : 'Someone asked to use this email address for an Asrar AI account.',
+          'Click the button below to approve. The change only happens once the links sent to both the old and the new address are confirmed within 24 hours.',
+        ],
+        button: 'Confirm change',
+        footer: isOld
+          ? 'If you didn’t ask for this, ignore this email and change your password.'
+          : 'If you didn’t ask for this, you can ignore this email.',
+      };
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject,
+      text: renderActionEmailText({ copy, link: confirmLink }),
+      html: renderActionEmailHtml({ isArabic, subject, copy, link: confirmLink }),
+    });
+  } catch (err) {
+    console.error('[email] Failed to send email change email:', err && err.message ? err.message : err);
+  }
+}
+
+// Sent when failed logins lock an account (services/accountLockoutService.js).
+async function sendSuspiciousLoginEmail({ to, attempts, ip, resetLink, language }) {
+  if (!to || !resetLink) return;
+
+  const transporter = getTransporter();
+  if (!transporter) return;
+
+  const fromAddress = process.env.SUPPORT_EMAIL_FROM || 'support@asrarai.com';
+  const from = `Asrar AI Support <${fromAddress}>`;
+
+  const isArabic = language === 'ar';
+
+  const subject = isArabic
+    ? 'محاولات تسجيل دخول فاشلة إلى حسابك — أسرار AI'
+    : 'Failed sign-in attempts on your Asrar AI account';
+
+  const copy = isArabic
+    ? {
+        greeting: 'مرحباً،',
+        heading: 'أوقفنا تسجيل الدخول إلى حسابك مؤقتاً',
+        paragraphs: [
+          `رصدنا ${attempts} محاولات فاشلة لتسجيل الدخول إلى حسابك${ip ? ` (آخرها من عنوان IP ${ip})` : ''}، لذلك أوقفنا تسجيل الدخول لبضع دقائق.`,
+          'إذا كنت أنت، انتظر قليلاً ثم حاول مرة أخرى. إذا لم تكن أنت، ننصحك بتغيير كلمة المرور وتفعيل التحقق بخطوتين من الإعدادات.',
+        ],
+        button: 'إعادة تعيين كلمة المرور',
+        footer: 'لم يتمكن أحد من الدخول إلى حسابك بهذه المحاولات.',
+      }
+    : {
+        greeting: 'Hi,',
+        heading: 'We paused sign-ins to your account',
+        paragraphs: [
+          `We saw ${attempts} failed attempts to sign in to your account${ip ? ` (the latest from IP address ${ip})` : ''}, so we paused sign-ins for a few minutes.`,
+          'If this was you, wait a little and try again. If it wasn’t, we recommend resetting your password and turning on two-factor authentication in Settings.',
+        ],
+        button: 'Reset password',
+        footer: 'None of these attempts got into your account.',
+      };
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject,
+      text: renderActionEmailText({ copy, link: resetLink }),
+      html: renderActionEmailHtml({ isArabic, subject, copy, link: resetLink }),
+    });
+  } catch (err) {
+    console.error('[email] Failed to send suspicious login email:', err && err.message ? err.message : err);
+  }
+}
+
 module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendAccountDeletionScheduledEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeEmail,
+  sendSuspiciousLoginEmail,
 };
@@ -0,0 +1,167 @@
+// server/src/utils/logger.js
+// Structured JSON logger: one line per entry with the time, level, component,
+// message, the current request ID (see ./requestContext.js) and any fields.
+//
+//   LOG_LEVEL  debug | info (default) | warn | error | silent
+//              (tests default to warn)
+//
+// Privacy: chat content must never reach the logs (see routes/chat.js). Any
+// field whose name marks it as content (message text, prompts, replies,
+// transcripts), as a credential or as an email address is replaced by
+// "[redacted]", however deep it sits, so a stray `{ messages }` in a log call
+// cannot leak a conversation. Strings (messages, error messages, any field)
+// are scrubbed too: email addresses, JWTs, bearer tokens and token/code query
+// parameters in them are masked. Log IDs, counts, lengths and flags instead.
+
+const { getRequestContext } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[redacted]';
+
+const REDACTED_KEYS = new Set([
+  'content',
+  'text',
+  'body',
+  'reply',
+  'prompt',
+  'messages',
+  'transcript',
+  'partial',
+  'summary',
+  'password',
+  'token',
+  'secret',
+  'authorization',
+  'cookie',
+  'cookies',
+  'email',
+]);
+
+// userText, rawReply, systemPrompt, textSample, accessToken, newEmail, ...
+const REDACTED_SUFFIX = /(text|reply|prompt|sample|summary|transcript|password|token|secret|email)$/i;
+
+// Credentials and addresses that turn up inside free text, e.g. an error
+// message quoting the failing address or a reset link.
+const SCRUBBED_PATTERNS = [
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[token]'],
+  [/\b(Bearer\s+)[^\s"',]+/gi, '$1[token]'],
+  [/([?&#](?:token|code|access_token|refresh_token)=)[^&\s"']+/gi, '$1[token]'],
+];
+
+const MAX_DEPTH = 6;
+
+// Flags and counts are never content, whatever the field is called
+// (hasSummary, promptTokens stay readable).
+function shouldRedact(key, value) {
+  if (value == null || typeof value === 'boolean' || typeof value === 'number') return false;
+  return REDACTED_KEYS.has(key.toLowerCase()) || REDACTED_SUFFIX.test(key);
+}
+
+function scrub(text) {
+  let out = text;
+  for (const [pattern, replacement] of SCRUBBED_PATTERNS) {
+    out = out.replace(pattern, replacement);
+  }
+  return out;
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: scrub(String(err.message)) };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  return out;
+}
+
+/**
+ * Copy a value for logging: content fields redacted, strings scrubbed,
+ * errors reduced to name/message/code, no cycles, nothing JSON.stringify
+ * would choke on.
+ */
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return scrub(value);
+  if (typeof value === 'bigint') return String(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[buffer ${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[depth]';
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === 'function') continue;
+    out[key] = shouldRedact(key, item) ? REDACTED : redact(item, depth + 1);
+  }
+  return out;
+}
+
+function currentLevel() {
+  const raw = String(process.env.LOG_LEVEL || '').trim().toLowerCase();
+  if (LEVELS[raw]) return LEVELS[raw];
+  return process.env.NODE_ENV === 'test' ? LEVELS.warn : LEVELS.info;
+}
+
+function defaultSink(level, line) {
+  if (level === 'warn' || level === 'error') {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+}
+
+let sink = defaultSink;
+
+/**
+ * Test hook: send log lines to fn(level, line) instead of stdout/stderr.
+ * Returns the previous sink; pass null to restore the default.
+ */
+function setLogSink(fn) {
+  const previous = sink;
+  sink = typeof fn === 'function' ? fn : defaultSink;
+  return previous;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < currentLevel()) return;
+
+  const context = getRequestContext();
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    ...bindings,
+    msg: typeof msg === 'string' ? scrub(msg) : msg,
+    ...(context ? redact(context) : {}),
+    ...(extra && typeof extra === 'object' ? redact(extra) : {}),
+  };
+
+  try {
+    sink(level, JSON.stringify(entry));
+  } catch {
+    // Logging must never break a request.
+  }
+}
+
+/**
+ * @param {Object} [bindings]  fields on every entry, e.g. { component: 'Chat' }
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
+module.exports.setLogSink = setLogSink;
@@ -0,0 +1,228 @@
+// server/src/utils/metrics.js
+// In-process metrics in the Prometheus text format, served by GET
+// /api/metrics (routes/metrics.js). Values live in memory and reset on
+// restart; each instance is scraped on its own.
+//
+// Labels must stay low-cardinality: stage and route names, models, status
+// codes. Never user or conversation IDs.
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`[Metrics] duplicate metric "${metric.name}"`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series are keyed by label values in declaration order; missing labels
+  // become "" so a series never changes shape.
+  seriesFor(labels = {}, create) {
+    const values = this.labelNames.map((n) => (labels[n] == null ? '' : String(labels[n])));
+    const key = values.join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      const named = {};
+      this.labelNames.forEach((n, i) => {
+        named[n] = values[i];
+      });
+      series = create(named);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames = []) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    if (!(value >= 0)) return;
+    this.seriesFor(labels, (named) => ({ labels: named, value: 0 })).value += value;
+  }
+
+  get(labels) {
+    return this.seriesFor(labels, (named) => ({ labels: named, value: 0 })).value;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+// Latency buckets in seconds, from a cached lookup to a slow completion.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) return;
+    const series = this.seriesFor(labels, (named) => ({
+      labels: named,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+function counter(name, help, labelNames) {
+  return register(new Counter(name, help, labelNames));
+}
+
+function histogram(name, help, labelNames, buckets) {
+  return register(new Histogram(name, help, labelNames, buckets));
+}
+
+/** Every registered metric in the Prometheus text exposition format. */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) lines.push(...metric.render());
+  return lines.join('\n') + '\n';
+}
+
+/** Test hook: drop every recorded value (the metrics stay registered). */
+function resetMetrics() {
+  for (const metric of registry.values()) metric.reset();
+}
+
+// ----------------------------------------------------------------------
+// Application metrics
+// ----------------------------------------------------------------------
+
+const chatStageDuration = histogram(
+  'chat_stage_duration_seconds',
+  'Time spent in each chat turn stage (pipeline stages, emotional engine steps, db_save).',
+  ['channel', 'stage']
+);
+
+const llmTokens = counter(
+  'llm_tokens_total',
+  'Tokens reported by the LLM provider, by model and kind (prompt, completion).',
+  ['model', 'kind']
+);
+
+const httpRequests = counter(
+  'http_requests_total',
+  'HTTP requests by method, route and status.',
+  ['method', 'route', 'status']
+);
+
+const httpErrors = counter(
+  'http_request_errors_total',
+  'HTTP responses with status >= 400, by method, route and status.',
+  ['method', 'route', 'status']
+);
+
+const httpDuration = histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method and route.',
+  ['method', 'route']
+);
+
+/**
+ * @param {string} channel  text | voice | call
+ * @param {string} stage
+ * @param {number} ms
+ */
+function observeChatStage(channel, stage, ms) {
+  chatStageDuration.observe({ channel, stage }, ms / 1000);
+}
+
+/**
+ * Count the tokens of one completion (OpenAI `usage` shape).
+ * @param {string} model
+ * @param {{ prompt_tokens?: number, completion_tokens?: number }|null} usage
+ */
+function recordLLMUsage(model, usage) {
+  if (!usage) return;
+  const label = model || 'unknown';
+  if (typeof usage.prompt_tokens === 'number') {
+    llmTokens.inc({ model: label, kind: 'prompt' }, usage.prompt_tokens);
+  }
+  if (typeof usage.completion_tokens === 'number') {
+    llmTokens.inc({ model: label, kind: 'completion' }, usage.completion_tokens);
+  }
+}
+
+/**
+ * @param {{ method: string, route: string, status: number, ms: number }} request
+ */
+function recordHttpRequest({ method, route, status, ms }) {
+  httpRequests.inc({ method, route, status });
+  if (status >= 400) httpErrors.inc({ method, route, status });
+  httpDuration.observe({ method, route }, ms / 1000);
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  counter,
+  histogram,
+  renderMetrics,
+  resetMetrics,
+  chatStageDuration,
+  llmTokens,
+  httpRequests,
+  httpErrors,
+  httpDuration,
+  observeChatStage,
+  recordLLMUsage,
+  recordHttpRequest,
+};
@@ -0,0 +1,86 @@
+// server/src/utils/replyText.js
+// Reply length controls and truncation cleanup shared by the text, voice and
+// live call routes.
+
+function detectLongFormIntent(text) {
+  const raw = String(text || '').toLowerCase();
+  if (!raw) return false;
+  const longKeywords = [
+    'explain',
+    'detailed',
+    'detail',
+    'steps',
+    'plan',
+    'guide',
+    'how to',
+    'analysis',
+    'why',
+    'long answer',
+    'تفصيل',
+    'تفصيلي',
+    'شرح',
+    'خطوات',
+    'خطة',
+    'حلول',
+    'ارشدني',
+  ];
+  return (
+    raw.length > 220 ||
+    longKeywords.some((kw) => raw.includes(kw))
+  );
+}
+
+function computeVerbosityControls({ userText, severityLevel }) {
+  const len = (userText || '').length;
+  const longIntent = detectLongFormIntent(userText);
+  const sev = String(severityLevel || 'CASUAL').toUpperCase();
+
+  let verbosityMode = 'short';
+  if (longIntent || sev === 'HIGH_RISK' || sev === 'SUPPORT' || sev === 'VENTING' || len > 200) {
+    verbosityMode = 'normal';
+  }
+
+  let maxTokens = 180;
+  if (verbosityMode === 'short' && len < 120 && sev === 'CASUAL') {
+    maxTokens = 140;
+  } else if (longIntent || len > 240 || sev === 'HIGH_RISK' || sev === 'SUPPORT') {
+    maxTokens = 320;
+  } else {
+    maxTokens = 220;
+  }
+
+  return { maxTokens, verbosityMode, longIntent };
+}
+
+// P0-C FIX: Shared truncation detection helper for all routes
+function isTruncated(text, finishReason) {
+  if (!text) return false;
+  // Rule 1: OpenAI says length limit hit
+  if (finishReason === 'length') return true;
+  const trimmed = text.trim();
+  // Rule 2: Ends with numbered list marker (1. 2. etc)
+  if (/\d+\.\s*$/.test(trimmed)) return true;
+  // Rule 3: Ends with bullet/dash
+  if (/[-•]\s*$/.test(trimmed)) return true;
+  // Rule 4: Ends with colon (incomplete list)
+  if ((/:\s*$/.test(trimmed)) && trimmed.length > 20) return true;
+  // Rule 5: No terminal punctuation on longer text
+  if (trimmed.length > 30 && !/[.!?؟]$/.test(trimmed)) return true;
+  return false;
+}
+
+// P0-C FIX: Clean dangling markers from truncated text
+function cleanTruncatedText(text) {
+  return text
+    .replace(/\n?\d+\.\s*$/, '')
+    .replace(/[-•]\s*$/, '')
+    .replace(/:\s*$/, '')
+    .trim();
+}
+
+module.exports = {
+  detectLongFormIntent,
+  computeVerbosityControls,
+  isTruncated,
+  cleanTruncatedText,
+};
@@ -0,0 +1,48 @@
+// server/src/utils/requestContext.js
+// Per-request context (correlation ID, user ID) carried through async calls,
+// so logs deep in the chat pipeline, the memory kernel or a background memory
+// update still say which request they belong to.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller-supplied ID (load balancer, frontend) only if it is short
+// and boring; anything else gets a fresh one.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+function newRequestId(candidate) {
+  if (typeof candidate === 'string' && REQUEST_ID_PATTERN.test(candidate)) {
+    return candidate;
+  }
+  return crypto.randomUUID();
+}
+
+/**
+ * Run fn inside a request context. Everything it awaits or schedules
+ * (setImmediate, timers, promises) sees the same context.
+ * @param {{ requestId: string, userId?: number }} context
+ * @param {Function} fn
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/** The current request context, or null outside of one. */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/** Add a field (e.g. userId once authenticated) to the current context. */
+function setRequestContextValue(key, value) {
+  const store = storage.getStore();
+  if (store) store[key] = value;
+}
+
+module.exports = {
+  newRequestId,
+  runWithRequestContext,
+  getRequestContext,
+  setRequestContextValue,
+};
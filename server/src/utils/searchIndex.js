@@ -0,0 +1,154 @@
+// server/src/utils/searchIndex.js
+// Blind index for searching encrypted message history.
+//
+// Message.content is stored AES-GCM encrypted, so the database cannot match
+// on it. Instead every message is tokenized at write time and each token is
+// stored as a keyed HMAC in MessageSearchToken. A query is tokenized the same
+// way, hashed with the same key, and matched on the hashes; plaintext never
+// reaches the index. Without the key the table only reveals how many distinct
+// words a message has and which messages share a word.
+//
+// Pure module (no DB): the Prisma middleware writes the rows and
+// services/searchService.js reads them.
+
+const crypto = require('crypto');
+const { normalizeArabic } = require('./arabicText');
+const { getKey } = require('./crypto');
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKENS_PER_MESSAGE = 256;
+// 128 bits of the HMAC output is plenty to keep collisions negligible while
+// halving the index size; search results are re-verified on plaintext anyway.
+const TOKEN_HASH_HEX_LENGTH = 32;
+
+// Arabic definite-article prefixes. Folded away so "البيت", "بالبيت" and
+// "بيت" all index as the same token. The bare article needs a 2-letter stem,
+// the prefixed forms a 3-letter one, which keeps words like "والد" intact.
+const AR_ARTICLE_RE = /^ال(?=.{2,}$)/u;
+const AR_PREFIXED_ARTICLE_RE = /^[وفبك]ال(?=.{3,}$)/u;
+
+let cachedKey = null;
+let cachedKeySource = null;
+
+/**
+ * HMAC key for the blind index. SEARCH_INDEX_KEY should be set explicitly so
+ * the index survives a rotation of MESSAGE_ENCRYPTION_KEY; when it is absent
+ * a sub-key is derived from the message key instead.
+ * @returns {Buffer}
+ */
+function getSearchIndexKey() {
+  const explicit = process.env.SEARCH_INDEX_KEY
+    ? String(process.env.SEARCH_INDEX_KEY).trim()
+    : '';
+  const source = explicit ? `explicit:${explicit}` : 'derived';
+  if (cachedKey && cachedKeySource === source) return cachedKey;
+
+  cachedKey = explicit
+    ? crypto.createHash('sha256').update(explicit, 'utf8').digest()
+    : crypto.createHmac('sha256', getKey()).update('asrar-search-index-v1').digest();
+  cachedKeySource = source;
+  return cachedKey;
+}
+
+function canonicalizeToken(token) {
+  if (AR_PREFIXED_ARTICLE_RE.test(token)) return token.slice(3);
+  if (AR_ARTICLE_RE.test(token)) return token.slice(2);
+  return token;
+}
+
+/**
+ * Split text into canonical search tokens: Arabic-normalized, lowercased,
+ * punctuation-free, article-stripped, de-duplicated.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeForSearch(text) {
+  const normalized = normalizeArabic(text);
+  if (!normalized) return [];
+
+  const seen = new Set();
+  for (const raw of normalized.split(/[^\p{L}\p{N}]+/u)) {
+    if (!raw) continue;
+    const token = canonicalizeToken(raw);
+    if (token.length < MIN_TOKEN_LENGTH) continue;
+    seen.add(token);
+    if (seen.size >= MAX_TOKENS_PER_MESSAGE) break;
+  }
+  return Array.from(seen);
+}
+
+/**
+ * @param {string} token canonical token from tokenizeForSearch()
+ * @returns {string} truncated hex HMAC
+ */
+function hashSearchToken(token) {
+  return crypto
+    .createHmac('sha256', getSearchIndexKey())
+    .update(token, 'utf8')
+    .digest('hex')
+    .slice(0, TOKEN_HASH_HEX_LENGTH);
+}
+
+/**
+ * Hashed, de-duplicated tokens for a piece of text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function buildSearchTokenHashes(text) {
+  return Array.from(new Set(tokenizeForSearch(text).map(hashSearchToken)));
+}
+
+/**
+ * Cut a short excerpt of `text` around the first word that matches one of the
+ * query tokens. Works on the original (un-normalized) text so the snippet is
+ * shown exactly as the user wrote it.
+ *
+ * @param {string} text decrypted message content
+ * @param {string[]} queryTokens output of tokenizeForSearch(query)
+ * @param {{ radius?: number }} [options]
+ * @returns {{ text: string, matchStart: number, matchLength: number } | null}
+ */
+function buildSearchSnippet(text, queryTokens, options = {}) {
+  const source = String(text || '');
+  const wanted = new Set(queryTokens || []);
+  if (!source || !wanted.size) return null;
+  const radius = options.radius || 60;
+
+  const wordRe = /\S+/g;
+  let match = null;
+  let m;
+  while ((m = wordRe.exec(source)) !== null) {
+    if (tokenizeForSearch(m[0]).some((t) => wanted.has(t))) {
+      match = { index: m.index, length: m[0].length };
+      break;
+    }
+  }
+  if (!match) return null;
+
+  let start = Math.max(0, match.index - radius);
+  let end = Math.min(source.length, match.index + match.length + radius);
+  // Snap to whitespace so the excerpt does not start or end mid-word.
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < match.index) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > match.index + match.length) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    matchStart: prefix.length + (match.index - start),
+    matchLength: match.length,
+  };
+}
+
+module.exports = {
+  tokenizeForSearch,
+  hashSearchToken,
+  buildSearchTokenHashes,
+  buildSearchSnippet,
+};
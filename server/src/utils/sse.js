@@ -0,0 +1,70 @@
+// server/src/utils/sse.js
+// Minimal Server-Sent Events writer for streaming chat replies.
+//
+// Every frame is a single `data: <json>\n\n` line whose payload carries a
+// `type` field ("meta", "delta", "heartbeat", "done", "error"), matching the
+// frame shape /api/chat/message has always used for its final "done" frame.
+
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+/**
+ * Switch the response into SSE mode and return a small controller.
+ *
+ * - Heartbeat frames keep proxies (Render, Vercel, nginx) from closing an idle
+ *   connection while the emotional engine is still thinking.
+ * - `signal` is aborted as soon as the client disconnects, so upstream model
+ *   calls can be cancelled instead of burning tokens for nobody.
+ *
+ * @param {import('express').Response} res
+ * @param {{ heartbeatMs?: number }} [options]
+ */
+function openEventStream(res, options = {}) {
+  const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable nginx response buffering so deltas are flushed immediately.
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  function send(payload) {
+    if (closed || res.writableEnded) return false;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    return true;
+  }
+
+  const heartbeat = setInterval(() => {
+    send({ type: 'heartbeat', ts: Date.now() });
+  }, heartbeatMs);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+  function cleanup() {
+    closed = true;
+    clearInterval(heartbeat);
+  }
+
+  res.on('close', () => {
+    const clientGone = !res.writableEnded;
+    cleanup();
+    if (clientGone) controller.abort();
+  });
+
+  function end(payload) {
+    if (payload) send(payload);
+    cleanup();
+    if (!res.writableEnded) res.end();
+  }
+
+  return {
+    send,
+    end,
+    signal: controller.signal,
+    isClosed: () => closed || controller.signal.aborted,
+  };
+}
+
+module.exports = { openEventStream };
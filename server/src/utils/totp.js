@@ -0,0 +1,115 @@
+// server/src/utils/totp.js
+// Time-based one-time passwords (RFC 6238, the scheme authenticator apps
+// use): HMAC-SHA1, 6 digits, 30-second steps, base32 secrets.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** A new random secret, base32 (160 bits, as RFC 4226 recommends). */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The code an authenticator app shows at `now`.
+ * @param {string} secret base32
+ */
+function generateCode(secret, now = Date.now()) {
+  return codeForStep(secret, currentStep(now));
+}
+
+/**
+ * Check a code, allowing one step of clock drift either way.
+ *
+ * @param {string} secret base32
+ * @param {string} code
+ * @param {{ now?: number, window?: number }} [options]
+ * @returns {number|null} the matching time step (store it to refuse replays),
+ *   or null when the code is wrong
+ */
+function verifyCode(secret, code, { now = Date.now(), window = 1 } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const expected = Buffer.from(clean);
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift += 1) {
+    const candidate = Buffer.from(codeForStep(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, expected)) return step + drift;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code).
+ * @param {{ secret: string, accountName: string, issuer?: string }} params
+ */
+function buildOtpauthUrl({ secret, accountName, issuer = 'Asrar AI' }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  base32Encode,
+  base32Decode,
+};
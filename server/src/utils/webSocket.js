@@ -0,0 +1,383 @@
+// server/src/utils/webSocket.js
+// Minimal server side of RFC 6455 for the live voice call: handshake, text /
+// binary messages (with fragmentation), ping/pong and the close handshake.
+// Browsers are the only clients, so there are no extensions (no
+// permessage-deflate) and we avoid a dependency, the same trade-off as the
+// S3 storage driver.
+
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  INVALID_DATA: 1007,
+  POLICY_VIOLATION: 1008,
+  TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011,
+};
+
+// How long to wait for the peer's close frame before dropping the socket.
+const CLOSE_TIMEOUT_MS = 5000;
+
+/**
+ * Sec-WebSocket-Accept for a client's Sec-WebSocket-Key.
+ * @param {string} key
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(`${key}${HANDSHAKE_GUID}`).digest('base64');
+}
+
+/**
+ * Subprotocols offered in Sec-WebSocket-Protocol, in order.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string[]}
+ */
+function parseProtocols(req) {
+  return String(req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN + opcode; server frames are never masked
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * One accepted connection.
+ *
+ * Events:
+ *   'message' (data: string|Buffer, isBinary: boolean)
+ *   'close'   (code: number, reason: string), emitted once
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {import('net').Socket} socket
+   * @param {{ protocol?: string|null, maxPayload: number, heartbeatMs: number }} options
+   */
+  constructor(socket, { protocol = null, maxPayload, heartbeatMs }) {
+    super();
+    this.socket = socket;
+    this.protocol = protocol;
+    this.maxPayload = maxPayload;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.fragmentOpcode = null;
+    this.closeSent = false;
+    this.closed = false;
+    this.awaitingPong = false;
+
+    socket.setNoDelay(true);
+    socket.setTimeout(0);
+    socket.on('data', (chunk) => this.onData(chunk));
+    // Upgraded sockets are half-open; finish our side when the peer hangs up
+    // without a close frame so 'close' still fires (as 1006).
+    socket.on('end', () => socket.end());
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.onSocketClose());
+
+    if (heartbeatMs > 0) {
+      this.heartbeat = setInterval(() => {
+        if (this.awaitingPong) {
+          socket.destroy();
+          return;
+        }
+        this.awaitingPong = true;
+        this.writeFrame(OPCODES.PING, Buffer.alloc(0));
+      }, heartbeatMs);
+      this.heartbeat.unref();
+    }
+  }
+
+  get isOpen() {
+    return !this.closeSent && !this.closed;
+  }
+
+  /**
+   * Send a text (string) or binary (Buffer) message. Ignored once closing.
+   * @param {string|Buffer} data
+   */
+  send(data) {
+    if (!this.isOpen) return;
+    if (Buffer.isBuffer(data)) {
+      this.writeFrame(OPCODES.BINARY, data);
+    } else {
+      this.writeFrame(OPCODES.TEXT, Buffer.from(String(data), 'utf8'));
+    }
+  }
+
+  /**
+   * Start the close handshake.
+   * @param {number} [code]
+   * @param {string} [reason] at most 123 bytes
+   */
+  close(code = CLOSE_CODES.NORMAL, reason = '') {
+    if (this.closeSent || this.closed) return;
+    this.closeCode = code;
+    this.closeReason = reason;
+    const reasonBuf = Buffer.from(String(reason), 'utf8').subarray(0, 123);
+    const payload = Buffer.alloc(2 + reasonBuf.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBuf.copy(payload, 2);
+    this.writeFrame(OPCODES.CLOSE, payload);
+    this.closeSent = true;
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT_MS);
+    this.closeTimer.unref();
+  }
+
+  writeFrame(opcode, payload) {
+    if (this.closed || this.socket.destroyed) return;
+    this.socket.write(encodeFrame(opcode, payload));
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    while (!this.closed) {
+      const frame = this.readFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  // Parse one complete frame off the front of the buffer, or return null
+  // until more bytes arrive.
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const rsv = buf[0] & 0x70;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      if (big > BigInt(this.maxPayload)) {
+        this.fail(CLOSE_CODES.TOO_BIG, 'Message too big');
+        return null;
+      }
+      length = Number(big);
+      offset = 10;
+    }
+
+    if (rsv || !masked) {
+      this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Protocol error');
+      return null;
+    }
+    if (length > this.maxPayload) {
+      this.fail(CLOSE_CODES.TOO_BIG, 'Message too big');
+      return null;
+    }
+    if (buf.length < offset + 4 + length) return null;
+
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i += 1) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buf.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode >= 0x8) {
+      if (!fin || payload.length > 125) {
+        this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Protocol error');
+        return;
+      }
+      this.handleControlFrame(opcode, payload);
+      return;
+    }
+
+    if (opcode === OPCODES.CONTINUATION) {
+      if (this.fragmentOpcode === null) {
+        this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Protocol error');
+        return;
+      }
+    } else if (opcode === OPCODES.TEXT || opcode === OPCODES.BINARY) {
+      if (this.fragmentOpcode !== null) {
+        this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Protocol error');
+        return;
+      }
+      this.fragmentOpcode = opcode;
+    } else {
+      this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Protocol error');
+      return;
+    }
+
+    this.fragmentsSize += payload.length;
+    if (this.fragmentsSize > this.maxPayload) {
+      this.fail(CLOSE_CODES.TOO_BIG, 'Message too big');
+      return;
+    }
+    this.fragments.push(payload);
+    if (!fin) return;
+
+    const data = this.fragments.length === 1 ? this.fragments[0] : Buffer.concat(this.fragments);
+    const isBinary = this.fragmentOpcode === OPCODES.BINARY;
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.fragmentOpcode = null;
+
+    // Messages that arrive after we started closing are dropped.
+    if (!this.isOpen) return;
+    if (isBinary) {
+      this.emit('message', data, true);
+      return;
+    }
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch {
+      this.fail(CLOSE_CODES.INVALID_DATA, 'Invalid UTF-8');
+      return;
+    }
+    this.emit('message', text, false);
+  }
+
+  handleControlFrame(opcode, payload) {
+    if (opcode === OPCODES.PING) {
+      if (this.isOpen) this.writeFrame(OPCODES.PONG, payload);
+      return;
+    }
+    if (opcode === OPCODES.PONG) {
+      this.awaitingPong = false;
+      return;
+    }
+    if (opcode === OPCODES.CLOSE) {
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.NORMAL;
+      const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+      if (!this.closeSent) {
+        this.closeCode = code;
+        this.closeReason = reason;
+        this.writeFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+        this.closeSent = true;
+      }
+      this.socket.end();
+      return;
+    }
+    this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Protocol error');
+  }
+
+  fail(code, reason) {
+    this.buffer = Buffer.alloc(0);
+    this.close(code, reason);
+    this.socket.end();
+  }
+
+  onSocketClose() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    clearTimeout(this.closeTimer);
+    this.emit(
+      'close',
+      typeof this.closeCode === 'number' ? this.closeCode : 1006,
+      this.closeReason || ''
+    );
+  }
+}
+
+/**
+ * Answer an upgrade request with an HTTP error and drop the socket.
+ * @param {import('net').Socket} socket
+ * @param {number} status
+ * @param {string} [message]
+ */
+function rejectUpgrade(socket, status, message) {
+  const body = message || STATUS_CODES[status] || '';
+  if (socket.writable) {
+    socket.write(
+      `HTTP/1.1 ${status} ${STATUS_CODES[status] || ''}\r\n` +
+        'Connection: close\r\n' +
+        'Content-Type: text/plain; charset=utf-8\r\n' +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n` +
+        body
+    );
+  }
+  socket.destroy();
+}
+
+/**
+ * Complete the handshake for an HTTP 'upgrade' event. Rejects requests that
+ * are not version 13 WebSocket upgrades with 400 and returns null.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} head
+ * @param {{ protocol?: string|null, maxPayload?: number, heartbeatMs?: number }} [options]
+ *   protocol: the subprotocol to confirm (must be one the client offered)
+ * @returns {WebSocketConnection|null}
+ */
+function acceptUpgrade(req, socket, head, { protocol = null, maxPayload = 1024 * 1024, heartbeatMs = 30000 } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  const isUpgrade =
+    req.method === 'GET' &&
+    String(req.headers.upgrade || '').toLowerCase() === 'websocket' &&
+    req.headers['sec-websocket-version'] === '13' &&
+    typeof key === 'string' &&
+    Buffer.from(key, 'base64').length === 16;
+  if (!isUpgrade) {
+    rejectUpgrade(socket, 400);
+    return null;
+  }
+
+  const headers = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+  ];
+  if (protocol) headers.push(`Sec-WebSocket-Protocol: ${protocol}`);
+  socket.write(`${headers.join('\r\n')}\r\n\r\n`);
+
+  const connection = new WebSocketConnection(socket, { protocol, maxPayload, heartbeatMs });
+  if (head && head.length) connection.onData(Buffer.from(head));
+  return connection;
+}
+
+module.exports = {
+  CLOSE_CODES,
+  acceptKey,
+  parseProtocols,
+  acceptUpgrade,
+  rejectUpgrade,
+  WebSocketConnection,
+};
@@ -0,0 +1,74 @@
+// server/test/audioIngestService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point at binaries that cannot exist, as on a host without ffmpeg.
+process.env.FFMPEG_PATH = path.join(os.tmpdir(), 'missing-ffmpeg');
+process.env.FFPROBE_PATH = path.join(os.tmpdir(), 'missing-ffprobe');
+
+const {
+  AudioIngestError,
+  sniffAudioContainer,
+  computeWaveformPeaks,
+  ingestVoiceUpload,
+  analyzeAudioBuffer,
+} = require('../src/services/audioIngestService');
+
+const WEBM_HEAD = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0xf7, 0x81, 0x01, 0x42, 0xf2, 0x81]);
+
+async function upload(t, bytes, mimetype = 'audio/webm') {
+  const filePath = path.join(os.tmpdir(), `audio-ingest-${process.pid}-${Date.now()}-${Math.random()}`);
+  await fs.promises.writeFile(filePath, bytes);
+  t.after(() => fs.promises.unlink(filePath).catch(() => {}));
+  return { path: filePath, mimetype };
+}
+
+test('sniffAudioContainer trusts the magic bytes, not the MIME type', () => {
+  assert.equal(sniffAudioContainer(WEBM_HEAD), 'webm');
+  assert.equal(sniffAudioContainer(Buffer.from('OggS\0\x02\0\0')), 'ogg');
+  assert.equal(sniffAudioContainer(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), 'wav');
+  assert.equal(sniffAudioContainer(Buffer.from('\0\0\0\x20ftypM4A ')), 'mp4');
+  assert.equal(sniffAudioContainer(Buffer.from('ID3\x04\0\0\0\0')), 'mp3');
+  assert.equal(sniffAudioContainer(Buffer.from('<html><body>')), null);
+  assert.equal(sniffAudioContainer(Buffer.from('ab')), null);
+});
+
+test('computeWaveformPeaks scales the loudest bucket to 1', () => {
+  const pcm = Buffer.alloc(8);
+  pcm.writeInt16LE(100, 0);
+  pcm.writeInt16LE(-400, 2);
+  pcm.writeInt16LE(200, 4);
+  pcm.writeInt16LE(0, 6);
+  assert.deepEqual(computeWaveformPeaks(pcm, 2), [1, 0.5]);
+  assert.equal(computeWaveformPeaks(Buffer.alloc(0)), null);
+});
+
+test('passes uploads through when ffprobe / ffmpeg are missing', async (t) => {
+  const file = await upload(t, Buffer.concat([WEBM_HEAD, Buffer.alloc(64)]));
+  const result = await ingestVoiceUpload(file, { maxSeconds: 30 });
+  assert.deepEqual(result, {
+    path: file.path,
+    mimetype: 'audio/webm',
+    container: 'webm',
+    codec: null,
+    durationSec: null,
+    normalized: false,
+  });
+});
+
+test('still rejects files that are not audio without ffmpeg', async (t) => {
+  const file = await upload(t, Buffer.from('<html><body>not audio</body></html>'));
+  await assert.rejects(ingestVoiceUpload(file, { maxSeconds: 30 }), (err) => {
+    assert.ok(err instanceof AudioIngestError);
+    assert.equal(err.code, 'unsupported_codec');
+    assert.equal(err.status, 415);
+    return true;
+  });
+});
+
+test('analyzeAudioBuffer returns nulls when ffmpeg is missing', async () => {
+  assert.deepEqual(await analyzeAudioBuffer(Buffer.from('mp3 bytes')), { durationMs: null, waveformPeaks: null });
+});
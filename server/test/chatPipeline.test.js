@@ -0,0 +1,140 @@
+// server/test/chatPipeline.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ChatTurnError, createPipeline } = require('../src/pipeline/chat/pipeline');
+
+const double = {
+  name: 'double',
+  needs: ['value'],
+  provides: ['doubled'],
+  run: ({ value }) => ({ doubled: value * 2 }),
+};
+
+test('createPipeline rejects a stage whose needs nothing provides', () => {
+  assert.throws(
+    () => createPipeline('broken', [double]),
+    /stage "double" needs "value", which no earlier stage provides/
+  );
+  assert.doesNotThrow(() => createPipeline('ok', [double], { inputs: ['value'] }));
+});
+
+test('createPipeline rejects duplicate stage names', () => {
+  assert.throws(
+    () => createPipeline('dupes', [double, double], { inputs: ['value'] }),
+    /duplicate stage "double"/
+  );
+});
+
+test('run merges declared outputs and records a timing per stage', async () => {
+  const pipeline = createPipeline(
+    'math',
+    [
+      double,
+      {
+        name: 'describe',
+        needs: ['doubled'],
+        provides: ['label'],
+        run: async ({ doubled }) => ({ label: `=${doubled}` }),
+      },
+    ],
+    { inputs: ['value'] }
+  );
+
+  const turn = await pipeline.run({ channel: 'test', value: 21 });
+  assert.equal(turn.doubled, 42);
+  assert.equal(turn.label, '=42');
+  assert.deepEqual(Object.keys(turn.timings), ['double', 'describe']);
+  assert.equal(turn.halted, null);
+});
+
+test('run rejects an output the stage did not declare', async () => {
+  const pipeline = createPipeline('leaky', [
+    { name: 'leaky', provides: ['a'], run: () => ({ a: 1, b: 2 }) },
+  ]);
+  await assert.rejects(pipeline.run({ channel: 'test' }), /returned undeclared field "b"/);
+});
+
+test('when() skips a stage and it gets no timing', async () => {
+  const pipeline = createPipeline('skip', [{ ...double, when: (turn) => !turn.skip }], {
+    inputs: ['value', 'skip'],
+  });
+
+  const turn = await pipeline.run({ channel: 'test', value: 2, skip: true });
+  assert.equal(turn.doubled, undefined);
+  assert.deepEqual(turn.timings, {});
+});
+
+test('hooks run around every stage, pipeline hooks before run hooks', async () => {
+  const calls = [];
+  const pipeline = createPipeline(
+    'hooks',
+    [double, { name: 'noop', run: () => undefined }],
+    { inputs: ['value'] }
+  );
+  pipeline.use({
+    before: (stage) => calls.push(`pipeline:before:${stage.name}`),
+    after: (stage, turn, ms) => calls.push(`pipeline:after:${stage.name}:${typeof ms}`),
+  });
+
+  await pipeline.run(
+    { channel: 'test', value: 1 },
+    { hooks: [{ before: async (stage) => calls.push(`run:before:${stage.name}`) }] }
+  );
+
+  assert.deepEqual(calls, [
+    'pipeline:before:double',
+    'run:before:double',
+    'pipeline:after:double:number',
+    'pipeline:before:noop',
+    'run:before:noop',
+    'pipeline:after:noop:number',
+  ]);
+});
+
+test('a halted turn skips the remaining stages', async () => {
+  const ran = [];
+  const stage = (name, output) => ({
+    name,
+    run: () => {
+      ran.push(name);
+      return output;
+    },
+  });
+
+  const fromStage = createPipeline('halt', [stage('a', { halted: 'done' }), stage('b')]);
+  const turn = await fromStage.run({ channel: 'test' });
+  assert.equal(turn.halted, 'done');
+  assert.deepEqual(ran, ['a']);
+
+  ran.length = 0;
+  const fromHook = createPipeline('halt-hook', [stage('a'), stage('b')]);
+  const hooked = await fromHook.run(
+    { channel: 'test' },
+    {
+      hooks: [
+        {
+          before(s, t) {
+            if (s.name === 'b') t.halted = 'cancelled';
+          },
+        },
+      ],
+    }
+  );
+  assert.equal(hooked.halted, 'cancelled');
+  assert.deepEqual(ran, ['a']);
+});
+
+test('ChatTurnError carries the route status and body', () => {
+  const err = new ChatTurnError('usage_limit_reached', 429, {
+    error: 'usage_limit_reached',
+    message: 'Monthly message limit reached.',
+  });
+  assert.equal(err.status, 429);
+  assert.equal(err.code, 'usage_limit_reached');
+  assert.equal(err.message, 'Monthly message limit reached.');
+  assert.deepEqual(err.toJSON(), {
+    error: 'usage_limit_reached',
+    message: 'Monthly message limit reached.',
+  });
+});
@@ -0,0 +1,85 @@
+// server/test/crisisScreen.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { prescreenCrisisText, evaluateCrisis, buildCrisisResponse } = require('../src/services/crisisScreen');
+
+test('prescreenCrisisText flags English self-harm language', () => {
+  for (const text of [
+    'I want to kill myself',
+    "honestly I'm feeling suicidal tonight",
+    'I just want to end it all',
+    "I don’t want to live anymore",
+    'everyone would be better off dead without me... I mean me',
+    'I have been cutting myself again',
+    'thinking about an overdose',
+  ]) {
+    assert.deepEqual(prescreenCrisisText(text), { flagged: true, category: 'self_harm' }, text);
+  }
+});
+
+test('prescreenCrisisText flags Arabic self-harm language, with or without hamza and diacritics', () => {
+  for (const text of [
+    'أفكر في الانتحار',
+    'بدي موت خلص',
+    'أريد أن أموت',
+    'أُرِيدُ أَنْ أَمُوتَ',
+    'رح اقتل نفسي',
+    'مش عايز اعيش',
+    'جرحت نفسي امبارح',
+  ]) {
+    assert.deepEqual(prescreenCrisisText(text), { flagged: true, category: 'self_harm' }, text);
+  }
+});
+
+test('prescreenCrisisText flags harm to others in both languages', () => {
+  assert.deepEqual(prescreenCrisisText("I'm going to kill him"), { flagged: true, category: 'harm_others' });
+  assert.deepEqual(prescreenCrisisText('والله بقتله'), { flagged: true, category: 'harm_others' });
+});
+
+test('prescreenCrisisText leaves everyday language alone', () => {
+  for (const text of [
+    '',
+    'hello there',
+    'this traffic is killing me',
+    'I could die laughing at that movie',
+    'my phone battery died',
+    'I skilled myself up in cooking this year',
+    'مرحبا كيف حالك',
+    'أنا تعبان من الشغل اليوم',
+    'الحياة حلوة',
+  ]) {
+    assert.deepEqual(prescreenCrisisText(text), { flagged: false, category: null }, text);
+  }
+});
+
+test('evaluateCrisis combines the keyword screen with the classifier', () => {
+  const flagged = { flagged: true, category: 'self_harm' };
+  const clear = { flagged: false, category: null };
+  assert.deepEqual(evaluateCrisis({ prescreen: clear, severityLevel: 'LOW' }), {
+    isCrisis: false,
+    detectedBy: null,
+    category: null,
+  });
+  assert.equal(evaluateCrisis({ prescreen: flagged }).detectedBy, 'keyword');
+  assert.equal(evaluateCrisis({ prescreen: clear, severityLevel: 'high_risk' }).detectedBy, 'classifier');
+  assert.equal(evaluateCrisis({ prescreen: flagged, severityLevel: 'HIGH_RISK' }).detectedBy, 'keyword+classifier');
+});
+
+test('buildCrisisResponse uses the country hotline in the right language', () => {
+  const en = buildCrisisResponse({ language: 'en', country: 'US' });
+  assert.equal(en.resources.emergency, '911');
+  assert.match(en.text, /call emergency services on 911/);
+  assert.match(en.text, /988 Suicide & Crisis Lifeline: 988/);
+
+  const ar = buildCrisisResponse({ language: 'ar', country: 'gb' });
+  assert.equal(ar.resources.country, 'GB');
+  assert.match(ar.text, /999/);
+  assert.match(ar.text, /جمعية السامريين: 116 123/);
+});
+
+test('buildCrisisResponse falls back to the helpline directory for unknown countries', () => {
+  const { text, resources } = buildCrisisResponse({ language: 'en', country: 'UNKNOWN' });
+  assert.equal(resources.country, 'UNKNOWN');
+  assert.ok(text.includes(resources.directoryUrl));
+});
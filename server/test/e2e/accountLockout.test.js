@@ -0,0 +1,112 @@
+// server/test/e2e/accountLockout.test.js
+// Per-account lockout of logins, current-password checks and password-reset
+// requests (services/accountLockoutService.js) on the shared database
+// rate-limit store.
+// Register, login and request-password-reset share the per-IP auth limiter
+// (10 per window); this file stays below it.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp } = require('../helpers/harness');
+
+describe('/api/auth account lockout', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    // Read at load time.
+    process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+    process.env.PASSWORD_RESET_LOCKOUT_THRESHOLD = '2';
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    delete process.env.LOGIN_LOCKOUT_THRESHOLD;
+    delete process.env.PASSWORD_RESET_LOCKOUT_THRESHOLD;
+    if (app) await app.close();
+  });
+
+  test('failed logins lock the account, even for the right password, until the lock runs out', async () => {
+    const { user, password } = await app.registerUser();
+    const email = user.email;
+    const login = (pw) => app.post('/api/auth/login', { body: { email, password: pw } });
+
+    assert.equal((await login('wrong one')).status, 401);
+    assert.equal((await login('wrong two')).status, 401);
+    const locked = await login('wrong three');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(locked.body.retryAfterSeconds > 0 && locked.body.retryAfterSeconds <= 60);
+    assert.equal(locked.headers.get('retry-after'), String(locked.body.retryAfterSeconds));
+
+    const stillLocked = await login(password);
+    assert.equal(stillLocked.status, 429);
+    assert.equal(stillLocked.body.code, 'ACCOUNT_LOCKED');
+
+    // Counters live in the shared store: the lock, the one-per-window owner
+    // alert and the per-IP limiter hits.
+    const counters = await app.prisma.rateLimitCounter.findMany();
+    const keys = counters.map((c) => c.key);
+    assert.ok(keys.includes(`lockout:login:lock:${email}`));
+    assert.equal(counters.find((c) => c.key === `lockout:login:alert:${email}`).count, 1);
+    assert.ok(keys.some((k) => k.startsWith('ip:auth:')));
+
+    await app.prisma.rateLimitCounter.updateMany({
+      where: { key: `lockout:login:lock:${email}` },
+      data: { resetAt: new Date(Date.now() - 1000) },
+    });
+    const unlocked = await login(password);
+    assert.equal(unlocked.status, 200);
+    assert.ok(unlocked.body.token);
+    assert.equal(
+      await app.prisma.rateLimitCounter.findUnique({ where: { key: `lockout:login:failures:${email}` } }),
+      null
+    );
+  });
+
+  test('wrong current passwords on password and email changes count towards the login lockout', async () => {
+    const { token, user, password } = await app.registerUser();
+    const changePassword = (currentPassword) =>
+      app.patch('/api/user/password', {
+        token,
+        body: { currentPassword, newPassword: 'a brand new password', confirmPassword: 'a brand new password' },
+      });
+    const changeEmail = (currentPassword) =>
+      app.post('/api/user/email-change', { token, body: { newEmail: 'moved@example.test', currentPassword } });
+
+    assert.equal((await changePassword('wrong one')).status, 400);
+    const wrongEmail = await changeEmail('wrong two');
+    assert.equal(wrongEmail.status, 400);
+    assert.equal(wrongEmail.body.code, 'INVALID_PASSWORD');
+    const locked = await changePassword('wrong three');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(locked.headers.get('retry-after'), String(locked.body.retryAfterSeconds));
+
+    const lockedEmail = await changeEmail(password);
+    assert.equal(lockedEmail.status, 429);
+    assert.equal(lockedEmail.body.code, 'ACCOUNT_LOCKED');
+
+    await app.prisma.rateLimitCounter.updateMany({
+      where: { key: `lockout:login:lock:${user.email}` },
+      data: { resetAt: new Date(Date.now() - 1000) },
+    });
+    assert.equal((await changeEmail(password)).status, 200);
+    assert.equal(
+      await app.prisma.rateLimitCounter.findUnique({ where: { key: `lockout:login:failures:${user.email}` } }),
+      null
+    );
+  });
+
+  test('password reset requests back off per email, whether or not it has an account', async () => {
+    const email = 'Nobody-Here@Example.test';
+    const request = (value) => app.post('/api/auth/request-password-reset', { body: { email: value } });
+
+    assert.equal((await request(email)).status, 200);
+    assert.equal((await request(email.toLowerCase())).status, 200);
+    const locked = await request(email);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    // First lock of the reset scope is five minutes.
+    assert.ok(locked.body.retryAfterSeconds > 240 && locked.body.retryAfterSeconds <= 300);
+  });
+});
@@ -0,0 +1,115 @@
+// server/test/e2e/admin.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp, eventually, TEST_ADMIN_EMAIL } = require('../helpers/harness');
+
+const MESSAGE = 'I have been so stressed about work deadlines all week and I cannot switch off.';
+
+describe('/api/admin LLM usage', { skip: dbSkipReason() }, () => {
+  let app;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    admin = await app.registerUser({ email: TEST_ADMIN_EMAIL, verified: true });
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  async function chatTurn(token) {
+    return app.post('/api/chat/message', {
+      token,
+      body: { content: MESSAGE, characterId: 'daloua', lang: 'en' },
+    });
+  }
+
+  test('every provider call of a turn lands in the ledger with user, plan and feature', async () => {
+    const { token, user } = await app.registerUser();
+    const res = await chatTurn(token);
+    assert.equal(res.status, 200);
+
+    const rows = await eventually(async () => {
+      const found = await app.prisma.llmUsage.findMany({ where: { userId: user.id } });
+      return found.some((r) => r.feature === 'chat') && found.some((r) => r.feature === 'classify')
+        ? found
+        : null;
+    });
+    const chat = rows.find((r) => r.feature === 'chat');
+    assert.equal(chat.plan, 'free');
+    assert.equal(chat.provider, 'stub');
+    assert.ok(chat.promptTokens > 0);
+    assert.ok(chat.costUsd > 0);
+  });
+
+  test('GET /llm-usage is admin-only and aggregates by feature, model and user', async () => {
+    const { token, user } = await app.registerUser();
+    assert.equal((await app.get('/api/admin/llm-usage', { token })).status, 403);
+
+    assert.equal((await chatTurn(token)).status, 200);
+    await eventually(() => app.prisma.llmUsage.findFirst({ where: { userId: user.id, feature: 'chat' } }));
+
+    const res = await app.get('/api/admin/llm-usage?days=7', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.days, 7);
+    assert.ok(res.body.totals.calls > 0);
+    assert.ok(res.body.totals.costUsd > 0);
+    assert.ok(res.body.byFeature.some((r) => r.feature === 'chat'));
+    assert.ok(res.body.byModel.length > 0);
+    assert.ok(res.body.byDay.length >= 1);
+    assert.ok(res.body.topUsers.some((r) => r.userId === user.id && r.email === user.email));
+
+    const perUser = await app.get(`/api/admin/llm-usage/users/${user.id}`, { token: admin.token });
+    assert.equal(perUser.status, 200);
+    assert.ok(perUser.body.month.spentUsd > 0);
+    assert.equal(perUser.body.month.ceilingUsd, null);
+  });
+
+  test('a monthly cost ceiling blocks the next turn without counting it', async () => {
+    const { token, user } = await app.registerUser();
+    assert.equal((await chatTurn(token)).status, 200);
+    await eventually(() => app.prisma.llmUsage.findFirst({ where: { userId: user.id, feature: 'chat' } }));
+
+    const invalid = await app.patch(`/api/admin/users/${user.id}/cost-ceiling`, {
+      token: admin.token,
+      body: { monthlyCostCeilingUsd: -1 },
+    });
+    assert.equal(invalid.status, 400);
+
+    const set = await app.patch(`/api/admin/users/${user.id}/cost-ceiling`, {
+      token: admin.token,
+      body: { monthlyCostCeilingUsd: 0.0000001 },
+    });
+    assert.equal(set.status, 200);
+    assert.equal(set.body.user.monthlyCostCeilingUsd, 0.0000001);
+
+    const blocked = await chatTurn(token);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.error, 'usage_limit_reached');
+    assert.equal(blocked.body.limitType, 'cost');
+    const usage = await app.prisma.usage.findUnique({ where: { userId: user.id } });
+    assert.equal(usage.monthlyCount, 1);
+
+    const cleared = await app.patch(`/api/admin/users/${user.id}/cost-ceiling`, {
+      token: admin.token,
+      body: { monthlyCostCeilingUsd: null },
+    });
+    assert.equal(cleared.status, 200);
+    assert.equal((await chatTurn(token)).status, 200);
+  });
+
+  test('GET /stats counts chat activity sessions, not logins', async () => {
+    const { token, user, password } = await app.registerUser();
+    const again = await app.post('/api/auth/login', { body: { email: user.email, password } });
+    assert.equal(again.status, 200);
+    assert.equal((await chatTurn(token)).status, 200);
+
+    const res = await app.get('/api/admin/stats', { token: admin.token });
+    assert.equal(res.status, 200);
+    const row = res.body.users.find((u) => u.id === user.id);
+    assert.equal(row.totalSessions, 1);
+    assert.equal(await app.prisma.authSession.count({ where: { userId: user.id } }), 2);
+  });
+});
@@ -0,0 +1,129 @@
+// server/test/e2e/adminRoles.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  dbSkipReason,
+  startTestApp,
+  eventually,
+  TEST_ADMIN_EMAIL,
+  TEST_SPARE_ADMIN_EMAIL,
+} = require('../helpers/harness');
+
+describe('/api/admin roles and audit log', { skip: dbSkipReason() }, () => {
+  let app;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    // ADMIN_EMAILS bootstraps the first admin once its email is verified.
+    admin = await app.registerUser({ email: TEST_ADMIN_EMAIL, verified: true });
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  const grant = (userId, role) =>
+    app.put(`/api/admin/users/${userId}/role`, { token: admin.token, body: { role } });
+
+  test('the bootstrap admin has the admin role; regular users are refused', async () => {
+    assert.equal(admin.user.role, 'admin');
+    const entry = await eventually(() =>
+      app.prisma.adminAuditLog.findFirst({ where: { action: 'role.bootstrap', targetUserId: admin.user.id } })
+    );
+    assert.equal(entry.actorId, null);
+
+    const { token } = await app.registerUser();
+    const res = await app.get('/api/admin/stats', { token });
+    assert.equal(res.status, 403);
+  });
+
+  test('an unverified sign-up of a listed address gets no role until it is verified', async () => {
+    const unverified = await app.registerUser({ email: TEST_SPARE_ADMIN_EMAIL });
+    assert.equal(unverified.user.role, null);
+    assert.equal((await app.get('/api/auth/me', { token: unverified.token })).body.user.role, null);
+    assert.equal((await app.get('/api/admin/stats', { token: unverified.token })).status, 403);
+    const stored = await app.prisma.user.findUnique({ where: { id: unverified.user.id } });
+    assert.equal(stored.role, null);
+
+    await app.prisma.user.update({ where: { id: unverified.user.id }, data: { emailVerifiedAt: new Date() } });
+    assert.equal((await app.get('/api/auth/me', { token: unverified.token })).body.user.role, 'admin');
+
+    // Back to one admin for the LAST_ADMIN check below.
+    assert.equal((await app.delete(`/api/admin/users/${unverified.user.id}/role`, { token: admin.token })).status, 200);
+  });
+
+  test('support sees accounts and usage but no session metadata, and cannot delete or grant', async () => {
+    const support = await app.registerUser();
+    const other = await app.registerUser();
+    assert.equal((await grant(support.user.id, 'support')).status, 200);
+
+    const stats = await app.get('/api/admin/stats', { token: support.token });
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.viewer.role, 'support');
+    assert.ok(stats.body.users.length > 0);
+    assert.ok(stats.body.users.every((u) => u.country === null && u.deviceType === null && u.totalSessions === 0));
+
+    assert.equal((await app.get('/api/admin/llm-usage', { token: support.token })).status, 200);
+
+    const del = await app.delete(`/api/admin/users/${other.user.id}`, { token: support.token });
+    assert.equal(del.status, 403);
+    assert.equal(del.body.code, 'PERMISSION_DENIED');
+    assert.ok(await app.prisma.user.findUnique({ where: { id: other.user.id } }));
+
+    const escalate = await app.put(`/api/admin/users/${support.user.id}/role`, {
+      token: support.token,
+      body: { role: 'admin' },
+    });
+    assert.equal(escalate.status, 403);
+
+    const refused = await eventually(() =>
+      app.prisma.adminAuditLog.findFirst({
+        where: { actorId: support.user.id, action: 'DELETE /users/:id', status: 403 },
+      })
+    );
+    assert.equal(refused.actorRole, 'support');
+    assert.equal(refused.targetUserId, other.user.id);
+  });
+
+  test('revoking takes effect at once, is audit-logged, and the last admin stays', async () => {
+    const analyst = await app.registerUser();
+    assert.equal((await grant(analyst.user.id, 'nope')).status, 400);
+    assert.equal((await grant(analyst.user.id, 'analyst')).status, 200);
+    assert.equal((await app.get('/api/admin/stats', { token: analyst.token })).status, 200);
+
+    const revoke = await app.delete(`/api/admin/users/${analyst.user.id}/role`, { token: admin.token });
+    assert.equal(revoke.status, 200);
+    assert.equal(revoke.body.user.role, null);
+    assert.equal((await app.get('/api/admin/stats', { token: analyst.token })).status, 403);
+
+    const self = await app.delete(`/api/admin/users/${admin.user.id}/role`, { token: admin.token });
+    assert.equal(self.status, 409);
+    assert.equal(self.body.code, 'LAST_ADMIN');
+
+    const log = await eventually(async () => {
+      const res = await app.get(`/api/admin/audit-log?targetUserId=${analyst.user.id}`, { token: admin.token });
+      return res.body.entries.some((e) => e.action === 'DELETE /users/:id/role') ? res : null;
+    });
+    const entry = log.body.entries.find((e) => e.action === 'DELETE /users/:id/role');
+    assert.equal(entry.actorEmail, TEST_ADMIN_EMAIL);
+    assert.equal(entry.status, 200);
+    assert.equal(entry.details.previousRole, 'analyst');
+  });
+
+  test('testers get tester limits and premium access without staff access', async () => {
+    const tester = await app.registerUser();
+    assert.equal((await grant(tester.user.id, 'tester')).status, 200);
+
+    const me = await app.get('/api/auth/me', { token: tester.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.role, 'tester');
+    assert.equal(me.body.user.plan, 'pro');
+    assert.ok(me.body.user.usage.monthlyLimit > 500);
+    const stored = await app.prisma.user.findUnique({ where: { id: tester.user.id } });
+    assert.equal(stored.plan, 'free');
+
+    assert.equal((await app.get('/api/admin/stats', { token: tester.token })).status, 403);
+  });
+});
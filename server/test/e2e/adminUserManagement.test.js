@@ -0,0 +1,182 @@
+// server/test/e2e/adminUserManagement.test.js
+// Plan overrides, bonus messages, usage resets, suspension, forced logout and
+// deletion (services/adminUserService.js).
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp, eventually, TEST_ADMIN_EMAIL } = require('../helpers/harness');
+
+const MESSAGE = 'I have been so stressed about work deadlines all week and I cannot switch off.';
+
+describe('/api/admin account management', { skip: dbSkipReason() }, () => {
+  let app;
+  let admin;
+
+  before(async () => {
+    app = await startTestApp();
+    admin = await app.registerUser({ email: TEST_ADMIN_EMAIL, verified: true });
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  const act = (method, path, body) => app[method](`/api/admin/users${path}`, { token: admin.token, body });
+
+  test('every action needs a reason, which lands in the audit log', async () => {
+    const { user } = await app.registerUser();
+
+    const missing = await act('put', `/${user.id}/plan-override`, { plan: 'pro', days: 30 });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'REASON_REQUIRED');
+
+    const blank = await act('post', `/${user.id}/suspend`, { reason: '   ' });
+    assert.equal(blank.status, 400);
+    const stored = await app.prisma.user.findUnique({ where: { id: user.id } });
+    assert.equal(stored.suspendedAt, null);
+
+    const res = await act('post', `/${user.id}/bonus-messages`, { amount: 5, reason: 'Ticket 1234: lost replies' });
+    assert.equal(res.status, 200);
+    const entry = await eventually(() =>
+      app.prisma.adminAuditLog.findFirst({
+        where: { targetUserId: user.id, action: 'POST /users/:id/bonus-messages', status: 200 },
+      })
+    );
+    assert.equal(entry.reason, 'Ticket 1234: lost replies');
+    assert.equal(entry.actorEmail, TEST_ADMIN_EMAIL);
+  });
+
+  test('a plan override grants the plan until it is removed', async () => {
+    const { token, user } = await app.registerUser();
+
+    assert.equal((await act('put', `/${user.id}/plan-override`, { plan: 'gold', days: 30, reason: 'x' })).status, 400);
+    assert.equal((await act('post', `/${user.id}/plan-override/extend`, { days: 7, reason: 'x' })).status, 409);
+
+    const set = await act('put', `/${user.id}/plan-override`, { plan: 'pro', days: 30, reason: 'Payment stuck' });
+    assert.equal(set.status, 200);
+    const expiresAt = new Date(set.body.user.planOverrideExpiresAt);
+
+    const me = await app.get('/api/auth/me', { token });
+    assert.equal(me.body.user.plan, 'pro');
+    assert.ok(me.body.user.usage.monthlyLimit > 50);
+    const stored = await app.prisma.user.findUnique({ where: { id: user.id } });
+    assert.equal(stored.plan, 'free');
+
+    const extended = await act('post', `/${user.id}/plan-override/extend`, { days: 7, reason: 'Still stuck' });
+    assert.equal(extended.status, 200);
+    assert.equal(new Date(extended.body.user.planOverrideExpiresAt) - expiresAt, 7 * 24 * 60 * 60 * 1000);
+
+    const view = await app.get(`/api/admin/user/${user.id}`, { token: admin.token });
+    assert.equal(view.body.user.effectivePlan, 'pro');
+
+    assert.equal((await act('delete', `/${user.id}/plan-override`, { reason: 'Payment went through' })).status, 200);
+    assert.equal((await app.get('/api/auth/me', { token })).body.user.plan, 'free');
+  });
+
+  test('bonus messages let turns through past the monthly limit; a reset zeroes the counters', async () => {
+    const { token, user } = await app.registerUser();
+    await app.prisma.usage.update({ where: { userId: user.id }, data: { monthlyCount: 50 } });
+
+    const grant = await act('post', `/${user.id}/bonus-messages`, { amount: 1, reason: 'Goodwill' });
+    assert.equal(grant.body.usage.bonusMessages, 1);
+
+    const first = await app.post('/api/chat/message', { token, body: { content: MESSAGE, characterId: 'daloua' } });
+    assert.equal(first.status, 200);
+    const usage = await app.prisma.usage.findUnique({ where: { userId: user.id } });
+    assert.equal(usage.bonusMessages, 0);
+    assert.equal(usage.monthlyCount, 51);
+
+    const second = await app.post('/api/chat/message', { token, body: { content: MESSAGE, characterId: 'daloua' } });
+    assert.equal(second.status, 429);
+
+    const reset = await act('post', `/${user.id}/usage/reset`, { reason: 'Counted twice' });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.usage.monthlyCount, 0);
+    assert.equal(reset.body.usage.dailyCount, 0);
+  });
+
+  test('a suspended account is refused until unsuspended', async () => {
+    const target = await app.registerUser();
+    const call = await app.openVoiceCall(target.token);
+
+    const self = await act('post', `/${admin.user.id}/suspend`, { reason: 'oops' });
+    assert.equal(self.status, 400);
+
+    assert.equal((await act('post', `/${target.user.id}/suspend`, { reason: 'Abuse report' })).status, 200);
+    assert.deepEqual(await call.closed, { code: 4002, reason: 'Session ended' });
+
+    const me = await app.get('/api/auth/me', { token: target.token });
+    assert.equal(me.status, 403);
+    assert.equal(me.body.code, 'account_suspended');
+
+    const refresh = await app.refresh(target.refreshToken);
+    assert.equal(refresh.status, 403);
+
+    const login = await app.post('/api/auth/login', {
+      body: { email: target.user.email, password: target.password },
+    });
+    assert.equal(login.status, 403);
+    assert.equal(login.body.code, 'ACCOUNT_SUSPENDED');
+
+    const view = await app.get(`/api/admin/user/${target.user.id}`, { token: admin.token });
+    assert.equal(view.body.user.suspensionReason, 'Abuse report');
+
+    assert.equal((await act('post', `/${target.user.id}/unsuspend`, { reason: 'Appeal accepted' })).status, 200);
+    assert.equal((await app.get('/api/auth/me', { token: target.token })).status, 200);
+  });
+
+  test('suspension and forced logout need a higher role than the target', async () => {
+    const support = await app.registerUser();
+    const peer = await app.registerUser();
+    for (const { user } of [support, peer]) {
+      const grant = await app.put(`/api/admin/users/${user.id}/role`, { token: admin.token, body: { role: 'support' } });
+      assert.equal(grant.status, 200);
+    }
+    const asSupport = (path) => app.post(`/api/admin/users${path}`, { token: support.token, body: { reason: 'Testing' } });
+
+    for (const path of [`/${peer.user.id}/suspend`, `/${peer.user.id}/logout`, `/${admin.user.id}/suspend`]) {
+      const res = await asSupport(path);
+      assert.equal(res.status, 403, path);
+      assert.equal(res.body.code, 'ROLE_TOO_HIGH');
+    }
+    assert.equal((await app.get('/api/auth/me', { token: peer.token })).status, 200);
+
+    assert.equal((await app.delete(`/api/admin/users/${peer.user.id}/role`, { token: admin.token })).status, 200);
+    assert.equal((await asSupport(`/${peer.user.id}/suspend`)).status, 200);
+    assert.equal((await asSupport(`/${peer.user.id}/unsuspend`)).status, 200);
+  });
+
+  test('deleting an account goes through the deletion service, never for your own account', async () => {
+    const self = await act('delete', `/${admin.user.id}`);
+    assert.equal(self.status, 400);
+    assert.equal(self.body.code, 'SELF_DELETE');
+
+    const target = await app.registerUser();
+    const res = await act('delete', `/${target.user.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.counts.sessions, 1);
+
+    assert.equal(await app.prisma.user.findUnique({ where: { id: target.user.id } }), null);
+    assert.equal(await app.prisma.usage.findUnique({ where: { userId: target.user.id } }), null);
+    const tombstone = await app.prisma.accountDeletionTombstone.findFirst({ orderBy: { id: 'desc' } });
+    assert.equal(tombstone.trigger, 'admin');
+    assert.equal((await app.get('/api/auth/me', { token: target.token })).status, 401);
+
+    assert.equal((await act('delete', `/${target.user.id}`)).status, 404);
+  });
+
+  test('a forced logout ends every session and the live call', async () => {
+    const target = await app.registerUser();
+    const call = await app.openVoiceCall(target.token);
+
+    const res = await act('post', `/${target.user.id}/logout`, { reason: 'Reported stolen phone' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revokedSessions, 1);
+    assert.deepEqual(await call.closed, { code: 4002, reason: 'Session ended' });
+
+    assert.equal((await app.get('/api/auth/me', { token: target.token })).status, 401);
+    const refresh = await app.refresh(target.refreshToken);
+    assert.equal(refresh.status, 401);
+  });
+});
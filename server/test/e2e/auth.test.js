@@ -0,0 +1,80 @@
+// server/test/e2e/auth.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp } = require('../helpers/harness');
+
+describe('/api/auth', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  test('register creates a free account, sets the auth cookie and returns a token', async () => {
+    const res = await app.post('/api/auth/register', {
+      body: { email: 'reem@example.test', password: 'correct horse battery', name: 'Reem' },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(typeof res.body.token, 'string');
+    // The refresh token is only set as an httpOnly cookie.
+    assert.equal(res.body.refreshToken, undefined);
+    assert.equal(res.body.user.email, 'reem@example.test');
+    assert.equal(res.body.user.plan, 'free');
+    assert.ok(res.body.user.usage);
+    assert.match(res.headers.get('set-cookie') || '', /^token=/);
+
+    const stored = await app.prisma.user.findUnique({ where: { email: 'reem@example.test' } });
+    assert.notEqual(stored.passwordHash, 'correct horse battery');
+    assert.ok(await app.prisma.usage.findUnique({ where: { userId: stored.id } }));
+  });
+
+  test('register rejects missing fields and duplicate emails', async () => {
+    const missing = await app.post('/api/auth/register', { body: { email: 'x@example.test' } });
+    assert.equal(missing.status, 400);
+
+    const duplicate = await app.post('/api/auth/register', {
+      body: { email: 'reem@example.test', password: 'another password', name: 'Reem' },
+    });
+    assert.equal(duplicate.status, 409);
+  });
+
+  test('login checks the password', async () => {
+    const wrong = await app.post('/api/auth/login', {
+      body: { email: 'reem@example.test', password: 'not the password' },
+    });
+    assert.equal(wrong.status, 401);
+
+    const ok = await app.post('/api/auth/login', {
+      body: { email: 'reem@example.test', password: 'correct horse battery' },
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.email, 'reem@example.test');
+    assert.equal(typeof ok.body.token, 'string');
+  });
+
+  test('/me requires a token and returns the account', async () => {
+    const anonymous = await app.get('/api/auth/me');
+    assert.equal(anonymous.status, 401);
+
+    const login = await app.post('/api/auth/login', {
+      body: { email: 'reem@example.test', password: 'correct horse battery' },
+    });
+    const me = await app.get('/api/auth/me', { token: login.body.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.email, 'reem@example.test');
+    assert.equal(me.body.user.isPremium, false);
+    assert.equal(me.body.user.usage.dailyLimitReached, false);
+  });
+
+  test('logout clears the auth cookie', async () => {
+    const res = await app.post('/api/auth/logout');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('set-cookie') || '', /^token=;/);
+  });
+});
@@ -0,0 +1,93 @@
+// server/test/e2e/billing.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp, signWebhook } = require('../helpers/harness');
+
+function subscriptionEvent({ eventName, status, userId, email }) {
+  return {
+    meta: { event_name: eventName, custom_data: userId ? { app_user_id: String(userId) } : {} },
+    data: {
+      type: 'subscriptions',
+      id: '9001',
+      attributes: {
+        event_name: eventName,
+        status,
+        customer_id: 4242,
+        user_email: email,
+      },
+    },
+  };
+}
+
+describe('/api/billing/webhook', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  test('rejects unsigned and wrongly signed payloads', async () => {
+    const payload = subscriptionEvent({ eventName: 'subscription_created', status: 'active', email: 'x@example.test' });
+
+    const unsigned = await app.post('/api/billing/webhook', { body: payload });
+    assert.equal(unsigned.status, 400);
+
+    const forged = signWebhook(payload, 'not-the-secret');
+    const res = await app.post('/api/billing/webhook', forged);
+    assert.equal(res.status, 401);
+  });
+
+  test('an active subscription upgrades the account and resets monthly usage', async () => {
+    const { token, user } = await app.registerUser();
+    await app.prisma.usage.update({ where: { userId: user.id }, data: { monthlyCount: 12 } });
+
+    const res = await app.post(
+      '/api/billing/webhook',
+      signWebhook(subscriptionEvent({ eventName: 'subscription_created', status: 'active', userId: user.id }))
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true });
+
+    const me = await app.get('/api/auth/me', { token });
+    assert.equal(me.body.user.isPremium, true);
+    assert.equal(me.body.user.plan, 'premium');
+    assert.equal(me.body.user.lemonCustomerId, '4242');
+    assert.equal(me.body.user.lemonSubscriptionId, '9001');
+    assert.equal(me.body.user.usage.monthlyUsed, 0);
+  });
+
+  test('matches the account by email and downgrades it when the subscription ends', async () => {
+    const { token, user } = await app.registerUser({ email: 'layla@example.test' });
+    await app.prisma.user.update({ where: { id: user.id }, data: { isPremium: true, plan: 'premium' } });
+
+    const res = await app.post(
+      '/api/billing/webhook',
+      signWebhook(subscriptionEvent({ eventName: 'subscription_expired', status: 'expired', email: 'layla@example.test' }))
+    );
+    assert.equal(res.status, 200);
+
+    const me = await app.get('/api/auth/me', { token });
+    assert.equal(me.body.user.isPremium, false);
+    assert.equal(me.body.user.plan, 'free');
+  });
+
+  test('acknowledges events for unknown customers and non-subscription events', async () => {
+    const unknown = await app.post(
+      '/api/billing/webhook',
+      signWebhook(subscriptionEvent({ eventName: 'subscription_created', status: 'active', email: 'nobody@example.test' }))
+    );
+    assert.equal(unknown.status, 200);
+
+    const order = await app.post(
+      '/api/billing/webhook',
+      signWebhook({ meta: { event_name: 'order_created' }, data: { type: 'orders', id: '1', attributes: {} } })
+    );
+    assert.equal(order.status, 200);
+    assert.equal(await app.prisma.user.count({ where: { isPremium: true } }), 1);
+  });
+});
@@ -0,0 +1,230 @@
+// server/test/e2e/chat.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  dbSkipReason,
+  startTestApp,
+  silentWav,
+  eventually,
+  loadFixture,
+} = require('../helpers/harness');
+
+const STRESSED_MESSAGE = 'I have been so stressed about work deadlines all week and I cannot switch off.';
+
+describe('/api/chat', { skip: dbSkipReason() }, () => {
+  let app;
+  let fixtures;
+
+  before(async () => {
+    app = await startTestApp();
+    fixtures = loadFixture('llm');
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  test('/message requires authentication', async () => {
+    const res = await app.post('/api/chat/message', { body: { content: 'hello' } });
+    assert.equal(res.status, 401);
+  });
+
+  test('/message rejects an empty message', async () => {
+    const { token } = await app.registerUser();
+    const res = await app.post('/api/chat/message', { token, body: { content: '   ' } });
+    assert.equal(res.status, 400);
+  });
+
+  test('/message answers, counts usage and stores the turn encrypted', async () => {
+    const { token, user } = await app.registerUser();
+    const res = await app.post('/api/chat/message', {
+      token,
+      body: { content: STRESSED_MESSAGE, characterId: 'daloua', lang: 'en' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(typeof res.body.reply, 'string');
+    assert.ok(res.body.reply.length > 0);
+    assert.equal(typeof res.body.conversationId, 'number');
+    assert.equal(res.body.usage.monthlyUsed, 1);
+
+    const history = await eventually(async () => {
+      const list = await app.get(`/api/chat/conversations/${res.body.conversationId}/messages`, { token });
+      return list.body.length >= 2 ? list : null;
+    });
+    assert.equal(history.status, 200);
+    assert.deepEqual(
+      history.body.map((m) => m.from),
+      ['user', 'ai']
+    );
+    assert.equal(history.body[0].text, STRESSED_MESSAGE);
+
+    // Message content is encrypted at rest.
+    const [raw] = await app.prisma.$queryRawUnsafe(
+      'SELECT content FROM "Message" WHERE "userId" = $1 AND role = $2',
+      user.id,
+      'user'
+    );
+    assert.notEqual(raw.content, STRESSED_MESSAGE);
+  });
+
+  test('/message echoes the request ID and feeds /api/metrics', async () => {
+    const { token } = await app.registerUser();
+    const res = await app.post('/api/chat/message', {
+      token,
+      headers: { 'X-Request-Id': 'e2e-request-0001' },
+      body: { content: STRESSED_MESSAGE, characterId: 'daloua', lang: 'en' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-request-id'), 'e2e-request-0001');
+
+    const metrics = await eventually(async () => {
+      const scrape = await app.get('/api/metrics');
+      return /stage="db_save"/.test(scrape.body) ? scrape : null;
+    });
+    assert.equal(metrics.status, 200);
+    assert.match(metrics.headers.get('content-type'), /^text\/plain/);
+    for (const stage of ['classify', 'snapshot', 'triggers', 'phase4', 'llm', 'orchestrate', 'db_save']) {
+      assert.match(metrics.body, new RegExp(`chat_stage_duration_seconds_count\\{channel="text",stage="${stage}"\\}`));
+    }
+    assert.match(metrics.body, /llm_tokens_total\{model="[^"]+",kind="completion"\} [1-9]/);
+    assert.match(
+      metrics.body,
+      /http_requests_total\{method="POST",route="\/api\/chat\/message",status="200"\} [1-9]/
+    );
+  });
+
+  test('/message keeps companions premium-only for free accounts', async () => {
+    const { token } = await app.registerUser();
+    const res = await app.post('/api/chat/message', {
+      token,
+      body: { content: STRESSED_MESSAGE, characterId: 'hiba' },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'premium_required');
+  });
+
+  test('/message stops at the monthly limit', async () => {
+    const { token, user } = await app.registerUser();
+    await app.prisma.usage.update({ where: { userId: user.id }, data: { monthlyCount: 50 } });
+
+    const res = await app.post('/api/chat/message', {
+      token,
+      body: { content: STRESSED_MESSAGE, characterId: 'daloua' },
+    });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, 'usage_limit_reached');
+  });
+
+  test('a live voice call will not start past the monthly limit or the cost ceiling', async () => {
+    const { token, user } = await app.registerUser();
+    const start = { type: 'start', characterId: 'daloua', mimeType: 'audio/wav' };
+
+    await app.prisma.usage.update({ where: { userId: user.id }, data: { monthlyCount: 50 } });
+    const overLimit = await app.openVoiceCall(token);
+    overLimit.send(start);
+    assert.deepEqual(await overLimit.closed, { code: 4029, reason: 'Usage limit reached' });
+    assert.equal(overLimit.messages[0].error, 'usage_limit_reached');
+    assert.equal(overLimit.messages[0].limitType, 'monthly');
+
+    await app.prisma.usage.update({ where: { userId: user.id }, data: { monthlyCount: 0 } });
+    await app.prisma.user.update({ where: { id: user.id }, data: { monthlyCostCeilingUsd: 0 } });
+    const overCeiling = await app.openVoiceCall(token);
+    overCeiling.send(start);
+    assert.deepEqual(await overCeiling.closed, { code: 4029, reason: 'Usage limit reached' });
+    assert.equal(overCeiling.messages[0].limitType, 'cost');
+
+    await app.prisma.user.update({ where: { id: user.id }, data: { monthlyCostCeilingUsd: null } });
+    const allowed = await app.openVoiceCall(token);
+    allowed.send(start);
+    await eventually(() => allowed.messages.some((m) => m.type === 'ready'));
+    allowed.send({ type: 'stop' });
+    assert.equal((await allowed.closed).code, 1000);
+  });
+
+  test('one utterance in a live voice call gets at most VOICE_CALL_MAX_PARTIALS partial transcripts', async (t) => {
+    const saved = { ...process.env };
+    t.after(() => {
+      for (const name of ['VOICE_CALL_PARTIAL_MS', 'VOICE_CALL_MAX_PARTIALS', 'VOICE_CALL_END_TIMEOUT_MS']) {
+        if (saved[name] === undefined) delete process.env[name];
+        else process.env[name] = saved[name];
+      }
+    });
+    Object.assign(process.env, {
+      VOICE_CALL_PARTIAL_MS: '20',
+      VOICE_CALL_MAX_PARTIALS: '2',
+      VOICE_CALL_END_TIMEOUT_MS: '0',
+    });
+
+    const { token } = await app.registerUser();
+    const call = await app.openVoiceCall(token);
+    call.send({ type: 'start', characterId: 'daloua', mimeType: 'audio/wav' });
+    await eventually(() => call.messages.some((m) => m.type === 'ready'));
+
+    for (let i = 0; i < 12; i += 1) {
+      call.send(Buffer.alloc(64, i));
+      await new Promise((resolve) => setTimeout(resolve, 30));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    call.send({ type: 'stop' });
+    await call.closed;
+
+    assert.equal(call.messages.filter((m) => m.type === 'partial_transcript').length, 2);
+  });
+
+  test('/message answers a crisis message past the limit and does not count it', async () => {
+    const { token, user } = await app.registerUser();
+    await app.prisma.usage.update({ where: { userId: user.id }, data: { monthlyCount: 50 } });
+
+    const res = await app.post('/api/chat/message', {
+      token,
+      body: { content: 'I want to kill myself', characterId: 'daloua', lang: 'en' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.engine, 'safety');
+    assert.equal(res.body.safety.crisis, true);
+
+    const usage = await app.prisma.usage.findUnique({ where: { userId: user.id } });
+    assert.equal(usage.monthlyCount, 50);
+  });
+
+  test('/voice transcribes the upload and returns a spoken reply', async () => {
+    const { token, user } = await app.registerUser();
+    const form = new FormData();
+    form.append('audio', new Blob([silentWav(1.5)], { type: 'audio/wav' }), 'voice.wav');
+    form.append('characterId', 'daloua');
+    form.append('lang', 'en');
+
+    const res = await app.post('/api/chat/voice', { token, form });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.type, 'voice');
+    assert.equal(res.body.userText, fixtures.transcript);
+    assert.equal(typeof res.body.assistantText, 'string');
+    assert.ok(res.body.assistantText.length > 0);
+    assert.equal(typeof res.body.audio, 'string');
+    assert.ok(Buffer.from(res.body.audio, 'base64').subarray(0, 4).equals(Buffer.from('RIFF')));
+
+    const messages = await eventually(async () => {
+      const rows = await app.prisma.message.findMany({ where: { userId: user.id }, orderBy: { id: 'asc' } });
+      return rows.length >= 2 ? rows : null;
+    });
+    assert.equal(messages[0].content, fixtures.transcript);
+
+    // The spoken reply is stored as an attachment once the response is sent.
+    await eventually(() =>
+      app.prisma.messageAttachment.findFirst({ where: { userId: user.id, kind: 'voice_reply' } })
+    );
+  });
+
+  test('/voice rejects uploads that are not audio', async () => {
+    const { token } = await app.registerUser();
+    const form = new FormData();
+    form.append('audio', new Blob([Buffer.from('definitely not audio')], { type: 'audio/wav' }), 'voice.wav');
+
+    const res = await app.post('/api/chat/voice', { token, form });
+    assert.equal(res.status, 415);
+    assert.equal(res.body.error, 'unsupported_codec');
+  });
+});
@@ -0,0 +1,191 @@
+// server/test/e2e/emailVerification.test.js
+// Email verification and email change (services/emailVerificationService.js).
+// Separate from auth.test.js so the auth rate limiter (10 per IP per window)
+// is fresh.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { dbSkipReason, startTestApp } = require('../helpers/harness');
+
+describe('/api/auth email verification', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  // No SMTP in tests, so the emailed token is unknown: swap the stored hash
+  // for one we hold the raw token of.
+  async function plantToken(userId, purpose) {
+    const row = await app.prisma.emailVerificationToken.findFirst({
+      where: { userId, purpose },
+      orderBy: { createdAt: 'desc' },
+    });
+    assert.ok(row, `no ${purpose} token for user ${userId}`);
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    await app.prisma.emailVerificationToken.update({
+      where: { id: row.id },
+      data: { token: crypto.createHash('sha256').update(rawToken).digest('hex') },
+    });
+    return rawToken;
+  }
+
+  test('new accounts are unverified and blocked from export until the link is opened', async () => {
+    const { token, user } = await app.registerUser();
+    assert.equal(user.emailVerified, false);
+
+    const blocked = await app.get('/api/user/export', { token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'EMAIL_NOT_VERIFIED');
+    assert.equal(blocked.body.feature, 'export');
+    const checkout = await app.post('/api/billing/create-checkout', { token });
+    assert.equal(checkout.status, 403);
+    assert.equal(checkout.body.feature, 'checkout');
+
+    const rawToken = await plantToken(user.id, 'verify');
+    const verified = await app.post('/api/auth/verify-email', { body: { token: rawToken } });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.email, user.email);
+
+    const me = await app.get('/api/auth/me', { token });
+    assert.equal(me.body.user.emailVerified, true);
+    assert.ok(me.body.user.emailVerifiedAt);
+    assert.equal((await app.get('/api/user/export', { token })).status, 200);
+
+    // Links are single use.
+    const reused = await app.post('/api/auth/verify-email', { body: { token: rawToken } });
+    assert.equal(reused.status, 400);
+  });
+
+  test('expired or unknown links are rejected', async () => {
+    const { user } = await app.registerUser();
+    const rawToken = await plantToken(user.id, 'verify');
+    await app.prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id },
+      data: { expiresAt: new Date(Date.now() - 1000) },
+    });
+
+    assert.equal((await app.post('/api/auth/verify-email', { body: { token: rawToken } })).status, 400);
+    assert.equal((await app.post('/api/auth/verify-email', { body: { token: 'nope' } })).status, 400);
+    assert.equal((await app.post('/api/auth/verify-email', { body: {} })).status, 400);
+    const stored = await app.prisma.user.findUnique({ where: { id: user.id } });
+    assert.equal(stored.emailVerifiedAt, null);
+  });
+
+  test('resending is throttled and replaces the previous link', async () => {
+    const { token, user } = await app.registerUser();
+
+    const tooSoon = await app.post('/api/auth/resend-verification', { token });
+    assert.equal(tooSoon.status, 429);
+    assert.equal(tooSoon.body.code, 'RESEND_TOO_SOON');
+
+    const first = await plantToken(user.id, 'verify');
+    await app.prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id },
+      data: { createdAt: new Date(Date.now() - 2 * 60 * 1000) },
+    });
+    const resent = await app.post('/api/auth/resend-verification', { token, body: { lang: 'ar' } });
+    assert.equal(resent.status, 200);
+    assert.equal(await app.prisma.emailVerificationToken.count({ where: { userId: user.id } }), 1);
+    assert.equal((await app.post('/api/auth/verify-email', { body: { token: first } })).status, 400);
+
+    const second = await plantToken(user.id, 'verify');
+    assert.equal((await app.post('/api/auth/verify-email', { body: { token: second } })).status, 200);
+    const already = await app.post('/api/auth/resend-verification', { token });
+    assert.equal(already.status, 409);
+    assert.equal(already.body.code, 'ALREADY_VERIFIED');
+  });
+
+  test('an email change needs the password and a free address', async () => {
+    const { token, password } = await app.registerUser();
+    const other = await app.registerUser();
+
+    const wrongPassword = await app.post('/api/user/email-change', {
+      token,
+      body: { newEmail: 'new-address@example.test', currentPassword: 'not it' },
+    });
+    assert.equal(wrongPassword.status, 400);
+    assert.equal(wrongPassword.body.code, 'INVALID_PASSWORD');
+
+    const taken = await app.post('/api/user/email-change', {
+      token,
+      body: { newEmail: other.user.email, currentPassword: password },
+    });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'EMAIL_TAKEN');
+
+    const invalid = await app.post('/api/user/email-change', {
+      token,
+      body: { newEmail: 'not-an-email', currentPassword: password },
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_EMAIL');
+  });
+
+  test('the email changes once both the old and the new address confirm', async () => {
+    const { token, user, password } = await app.registerUser();
+    const newEmail = `moved-${crypto.randomBytes(4).toString('hex')}@example.test`;
+
+    const started = await app.post('/api/user/email-change', {
+      token,
+      body: { newEmail: newEmail.toUpperCase(), currentPassword: password },
+    });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.pending.newEmail, newEmail);
+
+    const oldLink = await plantToken(user.id, 'email_change_old');
+    const newLink = await plantToken(user.id, 'email_change_new');
+
+    const half = await app.post('/api/auth/confirm-email-change', { body: { token: oldLink } });
+    assert.equal(half.status, 200);
+    assert.equal(half.body.status, 'pending');
+    const pending = await app.get('/api/user/email-change', { token });
+    assert.equal(pending.body.pending.confirmedOld, true);
+    assert.equal(pending.body.pending.confirmedNew, false);
+    assert.equal((await app.get('/api/auth/me', { token })).body.user.email, user.email);
+
+    const done = await app.post('/api/auth/confirm-email-change', { body: { token: newLink } });
+    assert.equal(done.status, 200);
+    assert.equal(done.body.status, 'completed');
+
+    const me = await app.get('/api/auth/me', { token });
+    assert.equal(me.body.user.email, newEmail);
+    assert.equal(me.body.user.emailVerified, true);
+    assert.equal((await app.get('/api/user/email-change', { token })).body.pending, null);
+    assert.equal((await app.post('/api/auth/confirm-email-change', { body: { token: oldLink } })).status, 400);
+
+    const login = await app.post('/api/auth/login', { body: { email: newEmail, password } });
+    assert.equal(login.status, 200);
+  });
+
+  test('a new change request replaces the pending one; links expire', async () => {
+    const { token, user, password } = await app.registerUser();
+
+    await app.post('/api/user/email-change', {
+      token,
+      body: { newEmail: `first-${user.id}@example.test`, currentPassword: password },
+    });
+    const staleLink = await plantToken(user.id, 'email_change_new');
+    await app.post('/api/user/email-change', {
+      token,
+      body: { newEmail: `second-${user.id}@example.test`, currentPassword: password },
+    });
+    assert.equal((await app.post('/api/auth/confirm-email-change', { body: { token: staleLink } })).status, 400);
+
+    const oldLink = await plantToken(user.id, 'email_change_old');
+    await app.prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id },
+      data: { expiresAt: new Date(Date.now() - 1000) },
+    });
+    assert.equal((await app.post('/api/auth/confirm-email-change', { body: { token: oldLink } })).status, 400);
+
+    const cancelled = await app.delete('/api/user/email-change', { token });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.cancelled, true);
+  });
+});
@@ -0,0 +1,72 @@
+// server/test/e2e/portals.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp, loadFixture } = require('../helpers/harness');
+const { seedHistory } = require('../helpers/seed');
+
+// One answer per portal, in PORTAL_KEY_ORDER.
+const ANSWERS = [
+  'wooden',
+  'long_short',
+  'keep_walking',
+  'alarm',
+  'strong_blurred',
+  'stone',
+  'work',
+  'sleep',
+  'few_close',
+  'strong_tired',
+  'rain',
+].map((optionId, index) => ({ portalId: index + 1, optionId }));
+
+describe('/api/portals', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  test('a new account is not ready and cannot submit', async () => {
+    const { token } = await app.registerUser();
+
+    const readiness = await app.get('/api/portals/readiness', { token });
+    assert.equal(readiness.status, 200);
+    assert.equal(readiness.body.ready, false);
+    assert.equal(readiness.body.readinessPercent, 0);
+    assert.ok(readiness.body.reasons.includes('NOT_ENOUGH_MESSAGES'));
+
+    const submit = await app.post('/api/portals/submit', { token, body: { answers: ANSWERS } });
+    assert.equal(submit.status, 400);
+    assert.equal(submit.body.message, 'Not enough history yet');
+  });
+
+  test('an engaged account is ready and gets a reflection from its answers', async () => {
+    const { token, user } = await app.registerUser();
+    await seedHistory(app.prisma, { userId: user.id, ...loadFixture('readiness-scenarios').ready });
+
+    const readiness = await app.get('/api/portals/readiness', { token });
+    assert.equal(readiness.body.ready, true);
+    assert.deepEqual(readiness.body.reasons, []);
+
+    const incomplete = await app.post('/api/portals/submit', { token, body: { answers: ANSWERS.slice(0, 5) } });
+    assert.equal(incomplete.status, 400);
+    assert.equal(incomplete.body.message, 'Incomplete answers');
+
+    const submit = await app.post('/api/portals/submit', { token, body: { answers: ANSWERS } });
+    assert.equal(submit.status, 200);
+    assert.equal(submit.body.traits.hiddenFatigue, 3);
+    assert.equal(submit.body.traits.pressure, 2);
+    assert.match(submit.body.summaryEn, /11 portals/);
+    assert.match(submit.body.summaryAr, /البوابات/);
+  });
+
+  test('readiness requires authentication', async () => {
+    const res = await app.get('/api/portals/readiness');
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,147 @@
+// server/test/e2e/sessions.test.js
+// Access/refresh sessions (services/authSessionService.js). Separate from
+// auth.test.js so the auth rate limiter (10 per IP per window) is fresh.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { dbSkipReason, readCookie, startTestApp } = require('../helpers/harness');
+
+describe('/api/auth sessions', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  async function login(email, password = 'correct horse battery') {
+    const res = await app.post('/api/auth/login', { body: { email, password } });
+    assert.equal(res.status, 200);
+    return res.body;
+  }
+
+  test('refresh rotates the refresh token; a replayed one ends the session', async () => {
+    const first = await app.registerUser();
+    assert.equal(typeof first.refreshToken, 'string');
+
+    const rotated = await app.refresh(first.refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.expiresIn <= 15 * 60);
+    const rotatedToken = readCookie(rotated, 'refresh_token');
+    assert.notEqual(rotatedToken, first.refreshToken);
+    assert.match(rotated.headers.get('set-cookie') || '', /refresh_token=.*Path=\/api\/auth/);
+    assert.equal((await app.get('/api/auth/me', { token: rotated.body.token })).status, 200);
+
+    // Right after a rotation the old token only loses the race (other tab).
+    const racing = await app.refresh(first.refreshToken);
+    assert.equal(racing.status, 409);
+
+    // Later it means the token was copied: the whole session ends.
+    await app.prisma.authSession.updateMany({
+      where: { userId: first.user.id, refreshTokenHash: { not: null } },
+      data: { lastUsedAt: new Date(Date.now() - 60 * 1000) },
+    });
+    const replay = await app.refresh(first.refreshToken);
+    assert.equal(replay.status, 401);
+    const afterReplay = await app.refresh(rotatedToken);
+    assert.equal(afterReplay.status, 401);
+    const me = await app.get('/api/auth/me', { token: rotated.body.token });
+    assert.equal(me.status, 401);
+    assert.equal(me.body.code, 'session_revoked');
+  });
+
+  test('the refresh token is only read from its cookie; logout revokes the session behind the access token', async () => {
+    const { token, refreshToken } = await app.registerUser();
+
+    const inBody = await app.post('/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(inBody.status, 401);
+    assert.equal((await app.post('/api/auth/logout', { body: { refreshToken } })).status, 200);
+    // Neither call touched the session.
+    const rotated = await app.refresh(refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.equal(rotated.body.refreshToken, undefined);
+    assert.match(rotated.headers.get('set-cookie') || '', /refresh_token=[^;]+;.*HttpOnly/);
+
+    const res = await app.post('/api/auth/logout', { token });
+    assert.equal(res.status, 200);
+    assert.equal((await app.get('/api/auth/me', { token })).status, 401);
+    const refresh = await app.refresh(readCookie(rotated, 'refresh_token'));
+    assert.equal(refresh.status, 401);
+  });
+
+  test('a password reset signs out every device', async () => {
+    const { token, refreshToken, user } = await app.registerUser();
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    await app.prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        token: crypto.createHash('sha256').update(rawToken).digest('hex'),
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      },
+    });
+    const reset = await app.post('/api/auth/reset-password', {
+      body: { token: rawToken, password: 'a brand new password' },
+    });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await app.get('/api/auth/me', { token })).status, 401);
+    assert.equal((await app.refresh(refreshToken)).status, 401);
+    const stored = await app.prisma.user.findUnique({ where: { id: user.id } });
+    assert.equal(stored.tokenVersion, 1);
+  });
+
+  test('changing the password keeps only the current device signed in', async () => {
+    const here = await app.registerUser();
+    const elsewhere = await login(here.user.email);
+
+    const res = await app.patch('/api/user/password', {
+      token: here.token,
+      body: {
+        currentPassword: here.password,
+        newPassword: 'another long password',
+        confirmPassword: 'another long password',
+      },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(typeof res.body.token, 'string');
+
+    assert.equal((await app.get('/api/auth/me', { token: res.body.token })).status, 200);
+    assert.equal((await app.get('/api/auth/me', { token: here.token })).status, 401);
+    assert.equal((await app.get('/api/auth/me', { token: elsewhere.token })).status, 401);
+  });
+
+  test('devices can be listed and signed out one by one', async () => {
+    const phone = await app.registerUser();
+    const laptop = await login(phone.user.email);
+
+    const list = await app.get('/api/auth/sessions', { token: laptop.token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.sessions.length, 2);
+    const current = list.body.sessions.filter((s) => s.current);
+    assert.equal(current.length, 1);
+    assert.ok(!('refreshTokenHash' in current[0]));
+    const phoneId = list.body.sessions.find((s) => !s.current).id;
+
+    const stranger = await app.registerUser();
+    const foreign = await app.delete(`/api/auth/sessions/${phoneId}`, { token: stranger.token });
+    assert.equal(foreign.status, 404);
+
+    const revoke = await app.delete(`/api/auth/sessions/${phoneId}`, { token: laptop.token });
+    assert.equal(revoke.status, 200);
+    assert.equal((await app.get('/api/auth/me', { token: phone.token })).status, 401);
+    assert.equal((await app.get('/api/auth/me', { token: laptop.token })).status, 200);
+
+    const again = await login(phone.user.email);
+    const others = await app.delete('/api/auth/sessions', { token: laptop.token });
+    assert.equal(others.status, 200);
+    assert.equal(others.body.revoked, 1);
+    assert.equal((await app.get('/api/auth/me', { token: again.token })).status, 401);
+    const remaining = await app.get('/api/auth/sessions', { token: laptop.token });
+    assert.deepEqual(remaining.body.sessions.map((s) => s.current), [true]);
+  });
+});
@@ -0,0 +1,120 @@
+// server/test/e2e/twoFactor.test.js
+// TOTP two-factor login, recovery codes, re-authentication for sensitive
+// actions and the admin 2FA requirement. Register, login, /login/2fa and
+// /reauth share the auth rate limiter (10 per IP per window); this file uses
+// exactly 10.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dbSkipReason, startTestApp, TEST_ADMIN_EMAIL } = require('../helpers/harness');
+const { generateCode } = require('../../src/utils/totp');
+
+describe('/api/auth two-factor authentication', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    // requireAdmin reads this at load time.
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    delete process.env.ADMIN_REQUIRE_2FA;
+    if (app) await app.close();
+  });
+
+  async function enroll(token) {
+    const setup = await app.post('/api/auth/2fa/setup', { token });
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\//);
+
+    const wrong = await app.post('/api/auth/2fa/enable', { token, body: { code: '000000' } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'INVALID_CODE');
+
+    const code = generateCode(setup.body.secret);
+    const enabled = await app.post('/api/auth/2fa/enable', { token, body: { code } });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+    return { secret: setup.body.secret, code, recoveryCodes: enabled.body.recoveryCodes };
+  }
+
+  test('login asks for a code once 2FA is on; codes and recovery codes work once', async () => {
+    const { token, user, password } = await app.registerUser();
+    const { secret, code: enrollmentCode, recoveryCodes } = await enroll(token);
+
+    const status = await app.get('/api/auth/2fa', { token });
+    assert.equal(status.body.enabled, true);
+    assert.equal(status.body.recoveryCodesRemaining, 10);
+    const stored = await app.prisma.user.findUnique({ where: { id: user.id } });
+    assert.notEqual(stored.twoFactorSecret, secret);
+
+    const login = await app.post('/api/auth/login', { body: { email: user.email, password } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.twoFactorRequired, true);
+    assert.equal(login.body.token, undefined);
+    const { challengeToken } = login.body;
+
+    // The code used to turn 2FA on was already spent.
+    const replayed = await app.post('/api/auth/login/2fa', {
+      body: { challengeToken, code: enrollmentCode },
+    });
+    assert.equal(replayed.status, 401);
+
+    const nextCode = generateCode(secret, Date.now() + 30 * 1000);
+    const done = await app.post('/api/auth/login/2fa', { body: { challengeToken, code: nextCode } });
+    assert.equal(done.status, 200);
+    assert.ok(done.body.token);
+    assert.equal(done.body.user.twoFactorEnabled, true);
+
+    const recovered = await app.post('/api/auth/login/2fa', {
+      body: { challengeToken, code: recoveryCodes[0].toLowerCase() },
+    });
+    assert.equal(recovered.status, 200);
+    const reusedRecovery = await app.post('/api/auth/login/2fa', {
+      body: { challengeToken, code: recoveryCodes[0] },
+    });
+    assert.equal(reusedRecovery.status, 401);
+    assert.equal(reusedRecovery.body.code, 'INVALID_CODE');
+    assert.equal((await app.get('/api/auth/2fa', { token })).body.recoveryCodesRemaining, 9);
+
+    // New codes replace the old ones; turning 2FA off drops everything.
+    const regenerated = await app.post('/api/auth/2fa/recovery-codes', { token });
+    assert.equal(regenerated.status, 200);
+    assert.equal((await app.get('/api/auth/2fa', { token })).body.recoveryCodesRemaining, 10);
+    assert.equal((await app.post('/api/auth/2fa/disable', { token })).status, 200);
+    assert.equal((await app.get('/api/auth/2fa', { token })).body.enabled, false);
+    assert.equal(await app.prisma.twoFactorRecoveryCode.count({ where: { userId: user.id } }), 0);
+  });
+
+  test('sensitive actions need a recent login or re-authentication', async () => {
+    const { token, user, password } = await app.registerUser();
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    await app.prisma.authSession.updateMany({ where: { userId: user.id }, data: { createdAt: longAgo } });
+
+    const blocked = await app.post('/api/auth/2fa/setup', { token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'REAUTH_REQUIRED');
+    assert.equal((await app.delete('/api/chat/delete-all', { token })).status, 403);
+
+    const wrong = await app.post('/api/auth/reauth', { token, body: { password: 'not it' } });
+    assert.equal(wrong.status, 401);
+    const ok = await app.post('/api/auth/reauth', { token, body: { password } });
+    assert.equal(ok.status, 200);
+    assert.ok(new Date(ok.body.reauthenticatedUntil) > new Date());
+
+    assert.equal((await app.post('/api/auth/2fa/setup', { token })).status, 200);
+    assert.equal((await app.delete('/api/chat/delete-all', { token })).status, 200);
+  });
+
+  test('ADMIN_REQUIRE_2FA keeps admins without 2FA out of admin routes', async () => {
+    const admin = await app.registerUser({ email: TEST_ADMIN_EMAIL, verified: true });
+
+    const refused = await app.get('/api/admin/stats', { token: admin.token });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'TWO_FACTOR_REQUIRED');
+
+    await enroll(admin.token);
+    assert.equal((await app.get('/api/admin/stats', { token: admin.token })).status, 200);
+  });
+});
@@ -0,0 +1,127 @@
+// server/test/golden/orchestrateResponse.test.js
+const test = require('node:test');
+
+const { orchestrateResponse } = require('../../src/services/responseOrchestrator');
+const { assertGolden } = require('../helpers/golden');
+
+const DIRECTIVE_EN =
+  'You should write the deadlines down tonight. You need to pick the smallest one first. ' +
+  'You must give yourself a real break afterwards.';
+
+const CASES = {
+  casual_en: {
+    rawReply: 'Haha, that sounds like a fun weekend! What did you cook?',
+    language: 'en',
+    severityLevel: 'CASUAL',
+    emotion: { primaryEmotion: 'HAPPY', intensity: 2 },
+  },
+  casual_en_short_mode: {
+    rawReply: 'That sounds like a lovely plan. Cooking with friends is the best. Enjoy it.',
+    language: 'en',
+    severityLevel: 'CASUAL',
+    verbosityMode: 'short',
+  },
+  venting_en_softened: {
+    rawReply: DIRECTIVE_EN,
+    language: 'en',
+    severityLevel: 'VENTING',
+    emotion: { primaryEmotion: 'STRESSED', intensity: 3 },
+  },
+  venting_en_high_trust_keeps_directness: {
+    rawReply: DIRECTIVE_EN,
+    language: 'en',
+    severityLevel: 'VENTING',
+    emotion: { primaryEmotion: 'STRESSED', intensity: 3 },
+    trustSnapshot: { trustScore: 85 },
+  },
+  support_en_sad_state: {
+    rawReply:
+      'That loss is still so fresh. It makes sense that evenings are the hardest. ' +
+      'Maybe tonight you could call your sister. Or write her a few lines. Whatever feels lighter.',
+    language: 'en',
+    severityLevel: 'SUPPORT',
+    emotion: { primaryEmotion: 'SAD', intensity: 4 },
+    convoState: { currentState: 'SAD_SUPPORT' },
+  },
+  support_en_anxiety_calming: {
+    rawReply: 'Exams can feel huge the night before. What is one topic you already know well?',
+    language: 'en',
+    severityLevel: 'SUPPORT',
+    emotion: { primaryEmotion: 'ANXIOUS', intensity: 4 },
+    convoState: { currentState: 'ANXIETY_CALMING' },
+  },
+  support_ar: {
+    rawReply: 'لازم ترتاح شوي الليلة. الضغط في الشغل كبير، وما في داعي تحمله لوحدك.',
+    language: 'ar',
+    severityLevel: 'SUPPORT',
+    emotion: { primaryEmotion: 'LONELY', intensity: 3 },
+    convoState: { currentState: 'LONELY_COMPANIONSHIP' },
+  },
+  high_risk_en_footer: {
+    rawReply: 'I am really glad you told me. You matter, and you do not have to carry this alone tonight.',
+    language: 'en',
+    severityLevel: 'HIGH_RISK',
+    emotion: { primaryEmotion: 'SAD', intensity: 5, notes: 'mentions wanting to end my life' },
+  },
+  high_risk_ar_footer: {
+    rawReply: 'أنا سعيد إنك حكيت لي. وجودك مهم، ومش لازم تحمل هذا لوحدك الليلة.',
+    language: 'ar',
+    severityLevel: 'HIGH_RISK',
+    emotion: { primaryEmotion: 'SAD', intensity: 5 },
+  },
+  model_disclaimer_is_stripped: {
+    rawReply:
+      "I'm not a therapist, but it sounds exhausting. What helped you rest last time?",
+    language: 'en',
+    severityLevel: 'VENTING',
+    emotion: { primaryEmotion: 'STRESSED', intensity: 2 },
+  },
+  triggers_are_not_repeated: {
+    rawReply: 'The divorce changed a lot at once. How are the evenings since the divorce?',
+    language: 'en',
+    severityLevel: 'VENTING',
+    triggers: [{ topic: 'divorce', emotion: 'SAD', score: 0.8 }],
+  },
+  free_core_fast_flattens_lists: {
+    rawReply:
+      'Here are a few ideas.\n- Take a short walk.\n- Drink some water.\n1. Write one line in a journal.\n' +
+      '2. Text a friend. 3. Sleep early.',
+    language: 'en',
+    severityLevel: 'VENTING',
+    engineMode: 'CORE_FAST',
+    isPremiumUser: false,
+  },
+  premium_deep_keeps_lists: {
+    rawReply:
+      'Here are a few ideas.\n- Take a short walk.\n- Drink some water.\n1. Write one line in a journal.\n' +
+      '2. Text a friend.',
+    language: 'en',
+    severityLevel: 'SUPPORT',
+    engineMode: 'PREMIUM_DEEP',
+    isPremiumUser: true,
+    emotion: { primaryEmotion: 'ANXIOUS', intensity: 3 },
+  },
+  english_reply_with_arabic_is_cleaned: {
+    rawReply: 'That sounds hard, habibi. يا رب تكون بخير. What happened next?',
+    language: 'en',
+    severityLevel: 'CASUAL',
+  },
+  emojis_are_clamped: {
+    rawReply: 'Yay 🎉🎉🎉🎉 that is amazing news 😄😄!',
+    language: 'en',
+    severityLevel: 'CASUAL',
+    verbosityMode: 'short',
+  },
+  empty_reply: {
+    rawReply: '',
+    language: 'en',
+  },
+};
+
+test('orchestrateResponse matches the golden outputs', async () => {
+  const outputs = {};
+  for (const [name, params] of Object.entries(CASES)) {
+    outputs[name] = await orchestrateResponse(params);
+  }
+  assertGolden('orchestrateResponse', outputs);
+});
@@ -0,0 +1,54 @@
+// server/test/golden/portals.test.js
+const { describe, test, before, after } = require('node:test');
+
+const { prismaSkipReason, dbSkipReason, startTestApp, loadFixture } = require('../helpers/harness');
+const { seedHistory } = require('../helpers/seed');
+const { assertGolden } = require('../helpers/golden');
+
+// Answer maps are keyed by portal index (0-based), as the submit route builds them.
+const ANSWER_SETS = {
+  first_options: ['steel', 'long_short', 'run', 'alarm', 'strong_blurred', 'stone', 'time', 'sleep', 'no_one', 'strong_tired', 'rain'],
+  last_options: ['glass', 'balanced', 'stare', 'freeze', 'fragmented', 'rope', 'mirror', 'someone', 'anyone', 'quiet_notice', 'heartbeat'],
+  mixed: ['neon', 'spam_short', 'film', 'floor', 'shadow_light', 'cracks', 'work', 'scroll', 'one_person', 'complicated', 'static'],
+  partial_and_unknown: ['wooden', null, 'keep_walking', 'not-an-option'],
+};
+
+function toAnswersMap(list) {
+  const map = {};
+  list.forEach((answer, index) => {
+    if (answer) map[index] = answer;
+  });
+  return map;
+}
+
+test('scoreTraits matches the golden outputs', { skip: prismaSkipReason() }, () => {
+  const { scoreTraits } = require('../../src/services/portalsService');
+  const outputs = {};
+  for (const [name, answers] of Object.entries(ANSWER_SETS)) {
+    outputs[name] = scoreTraits(toAnswersMap(answers));
+  }
+  assertGolden('scoreTraits', outputs);
+});
+
+describe('computeReadiness', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  test('matches the golden outputs', async () => {
+    const { computeReadiness } = require('../../src/services/portalsService');
+    const outputs = {};
+    for (const [name, scenario] of Object.entries(loadFixture('readiness-scenarios'))) {
+      const { user } = await app.registerUser();
+      await seedHistory(app.prisma, { userId: user.id, ...scenario });
+      outputs[name] = await computeReadiness({ userId: user.id });
+    }
+    assertGolden('computeReadiness', outputs);
+  });
+});
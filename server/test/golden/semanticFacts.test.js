@@ -0,0 +1,32 @@
+// server/test/golden/semanticFacts.test.js
+const test = require('node:test');
+
+const { assertGolden } = require('../helpers/golden');
+const { extractSemanticFactsFromMessage } = require('../../src/pipeline/memory/semanticFacts');
+
+const MESSAGES = [
+  'My name is Omar and I am 27 years old.',
+  "I'm a nurse from Amman, Jordan, and I work night shifts at the hospital.",
+  'I live in Dubai with my wife and two kids.',
+  'I love rainy weather but I hate hot weather.',
+  'I have two cats and I really love winter.',
+  'My favorite food is mansaf and I drink coffee every morning.',
+  'My dream is to open a small bakery by the sea.',
+  'I am studying computer science at university and exams start next week.',
+  'I have anxiety and I usually cope by going for long walks.',
+  'I am an introvert and I prefer quiet evenings at home.',
+  'اسمي سارة وعمري ٢٤ سنة.',
+  'أنا من القاهرة وأشتغل مهندسة برمجيات.',
+  'بحب الشتاء والمطر كثير، وعندي قطة.',
+  'أنا طالبة في الجامعة وعندي امتحانات الأسبوع الجاي.',
+  'Just a normal day, nothing special.',
+  '',
+];
+
+test('extractSemanticFactsFromMessage matches the golden outputs', () => {
+  const outputs = MESSAGES.map((message) => ({
+    message,
+    facts: extractSemanticFactsFromMessage(message),
+  }));
+  assertGolden('extractSemanticFactsFromMessage', outputs);
+});
@@ -0,0 +1,83 @@
+// server/test/golden/timeline.test.js
+const { describe, test, before, after } = require('node:test');
+
+const { dbSkipReason, startTestApp, loadFixture } = require('../helpers/harness');
+const { DAY_MS, daysAgoAt } = require('../helpers/seed');
+const { assertGolden } = require('../helpers/golden');
+
+const PERSONA_ID = 'daloua';
+
+// Dates depend on when the suite runs; compare them as "days ago" instead.
+function daysAgo(date, now) {
+  const day = new Date(date);
+  day.setHours(12, 0, 0, 0);
+  const today = new Date(now);
+  today.setHours(12, 0, 0, 0);
+  return Math.round((today - day) / DAY_MS);
+}
+
+function normalizeTimeline(timeline, now) {
+  return {
+    ...timeline,
+    points: timeline.points.map((point) => {
+      const rest = { ...point };
+      delete rest.date;
+      delete rest.dateKey;
+      return {
+        daysAgo: daysAgo(point.date, now),
+        ...rest,
+        keyEvents: point.keyEvents.map((event) => {
+          const copy = { ...event };
+          delete copy.timestamp;
+          return copy;
+        }),
+      };
+    }),
+    keyEvents: timeline.keyEvents.map((event) => ({
+      type: event.type,
+      daysAgo: daysAgo(event.timestamp, now),
+    })),
+  };
+}
+
+describe('getTimeline', { skip: dbSkipReason() }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  test('matches the golden outputs', async () => {
+    const { logEmotionalEvent, getTimeline } = require('../../src/services/timelineService');
+    const { user } = await app.registerUser();
+    const now = new Date();
+
+    // Through the real write path, so the daily summaries are built the way
+    // the chat routes build them.
+    for (const ev of loadFixture('timeline-events')) {
+      await logEmotionalEvent({
+        userId: user.id,
+        personaId: PERSONA_ID,
+        timestamp: daysAgoAt(ev.daysAgo, ev.time, now),
+        dominantEmotion: ev.emotion,
+        intensity: ev.intensity,
+        source: ev.source,
+        eventType: ev.eventType,
+      });
+    }
+
+    const outputs = {};
+    for (const range of ['7d', '30d', '90d']) {
+      const timeline = await getTimeline({ userId: user.id, personaId: PERSONA_ID, range });
+      outputs[range] = normalizeTimeline(timeline, now);
+    }
+    outputs.other_persona = await getTimeline({ userId: user.id, personaId: 'hiba', range: '30d' });
+    outputs.missing_persona = await getTimeline({ userId: user.id, personaId: null, range: '30d' });
+
+    assertGolden('getTimeline', outputs);
+  });
+});
@@ -0,0 +1,39 @@
+// server/test/helpers/golden.js
+// Golden-file assertions: expected outputs live as JSON under
+// test/golden/expected/. After an intended behaviour change, regenerate them
+// with `npm run test:golden:update` and review the diff like any other code.
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden', 'expected');
+
+function isUpdating() {
+  return process.env.UPDATE_GOLDEN === '1';
+}
+
+/**
+ * Compare `actual` (after a JSON round trip, so Dates become ISO strings and
+ * undefined keys drop out) with test/golden/expected/<name>.json.
+ * @param {string} name
+ * @param {any} actual
+ */
+function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  const normalized = JSON.parse(JSON.stringify(actual));
+
+  if (isUpdating()) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(normalized, null, 2)}\n`);
+    return;
+  }
+
+  if (!fs.existsSync(file)) {
+    assert.fail(`Missing golden file ${path.relative(process.cwd(), file)}; run "npm run test:golden:update"`);
+  }
+  const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(normalized, expected, `Output differs from golden file ${name}.json`);
+}
+
+module.exports = { assertGolden };
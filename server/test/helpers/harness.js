@@ -0,0 +1,390 @@
+// server/test/helpers/harness.js
+// Boots the Express app (src/app.js) against a throwaway Postgres schema with
+// the stub LLM provider, so HTTP routes can be driven end to end without
+// network access or API keys.
+//
+// Needs TEST_DATABASE_URL (any Postgres the tests may create schemas in) and
+// a generated Prisma client (`npx prisma generate`). Without them the suites
+// that use this harness are skipped, except under `npm run test:e2e`, where
+// they fail; see dbSkipReason() and server/README.md.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+const SERVER_ROOT = path.resolve(__dirname, '..', '..');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Fixed secrets so encrypted columns, JWTs and webhook signatures are
+// reproducible across runs. Never used outside tests.
+const TEST_JWT_SECRET = 'test-jwt-secret';
+const TEST_WEBHOOK_SECRET = 'test-webhook-secret';
+const TEST_ENCRYPTION_KEY = 'a'.repeat(64);
+const TEST_ADMIN_EMAIL = 'admin@example.test';
+// Also in ADMIN_EMAILS, for suites that need a listed address nobody holds yet.
+const TEST_SPARE_ADMIN_EMAIL = 'spare-admin@example.test';
+
+/**
+ * `npm run test:e2e` sets REQUIRE_TEST_DATABASE: there a missing database or
+ * Prisma client is a broken setup, not a reason to skip, so throw and let the
+ * suite fail with the reason instead of reporting green.
+ */
+function skipOrFail(reason) {
+  if (reason && process.env.REQUIRE_TEST_DATABASE) {
+    throw new Error(`${reason} (required by test:e2e, see server/README.md)`);
+  }
+  return reason;
+}
+
+function prismaUnavailable() {
+  try {
+    require('@prisma/client');
+    return false;
+  } catch (err) {
+    const detail = String(err && err.message ? err.message : err).split('\n')[0];
+    return `Prisma client unavailable (${detail}); run "npx prisma generate"`;
+  }
+}
+
+/**
+ * Why the generated Prisma client cannot be loaded, or false when it can.
+ * Suites that only import DB-backed modules (without touching the DB) use
+ * this on its own. Meant for node:test's `skip` option, which treats null as
+ * "skip", hence false rather than null. Throws under test:e2e; see skipOrFail().
+ * @returns {string|false}
+ */
+function prismaSkipReason() {
+  return skipOrFail(prismaUnavailable());
+}
+
+/**
+ * Why the database-backed suites cannot run here, or false when they can.
+ * Throws under test:e2e; see skipOrFail().
+ * @returns {string|false}
+ */
+function dbSkipReason() {
+  if (!process.env.TEST_DATABASE_URL) return skipOrFail('TEST_DATABASE_URL is not set');
+  return prismaSkipReason();
+}
+
+function withSchema(databaseUrl, schema) {
+  const url = new URL(databaseUrl);
+  url.searchParams.set('schema', schema);
+  return url.toString();
+}
+
+/**
+ * Environment for the app under test. Set before the first require of
+ * anything under src/, since several modules read their config at load time.
+ */
+function applyTestEnv({ databaseUrl, storageDir }) {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DATABASE_URL: databaseUrl,
+    JWT_SECRET: TEST_JWT_SECRET,
+    MESSAGE_ENCRYPTION_KEY: TEST_ENCRYPTION_KEY,
+    LLM_PROVIDER: 'stub',
+    LLM_STUB_FIXTURES: path.join(FIXTURES_DIR, 'llm.json'),
+    VOICE_AUDIO_PROCESSING: 'off',
+    VOICE_UPLOAD_TMP_DIR: path.join(storageDir, 'voice-tmp'),
+    STORAGE_DRIVER: 'local',
+    STORAGE_LOCAL_DIR: path.join(storageDir, 'storage'),
+    LEMON_MODE: 'test',
+    LEMON_TEST_WEBHOOK_SECRET: TEST_WEBHOOK_SECRET,
+    ADMIN_EMAILS: `${TEST_ADMIN_EMAIL},${TEST_SPARE_ADMIN_EMAIL}`,
+  });
+  delete process.env.SEARCH_INDEX_KEY;
+  delete process.env.MESSAGE_ENCRYPTION_KEYS;
+  delete process.env.MESSAGE_ENCRYPTION_ACTIVE_KEY_ID;
+  delete process.env.SMTP_HOST;
+}
+
+function migrate(databaseUrl) {
+  const prismaBin = path.join(SERVER_ROOT, 'node_modules', '.bin', 'prisma');
+  execFileSync(prismaBin, ['migrate', 'deploy'], {
+    cwd: SERVER_ROOT,
+    env: { ...process.env, DATABASE_URL: databaseUrl },
+    stdio: 'pipe',
+    timeout: 120000,
+  });
+}
+
+async function resetDatabase(prisma, schema) {
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT tablename FROM pg_tables WHERE schemaname = $1 AND tablename <> '_prisma_migrations'`,
+    schema
+  );
+  if (!rows.length) return;
+  const tables = rows.map((r) => `"${schema}"."${r.tablename}"`).join(', ');
+  await prisma.$executeRawUnsafe(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`);
+}
+
+/**
+ * Value of a cookie set by a response, or null.
+ * @param {{ headers: Headers }} res
+ * @param {string} name
+ */
+function readCookie(res, name) {
+  for (const cookie of res.headers.getSetCookie()) {
+    const [pair] = cookie.split(';');
+    const eq = pair.indexOf('=');
+    if (pair.slice(0, eq) === name) return decodeURIComponent(pair.slice(eq + 1)) || null;
+  }
+  return null;
+}
+
+function createClient(baseUrl) {
+  /**
+   * @param {string} method
+   * @param {string} urlPath
+   * @param {{ body?: any, form?: FormData, token?: string, headers?: object }} [options]
+   * @returns {Promise<{ status: number, headers: Headers, body: any }>}
+   */
+  async function request(method, urlPath, { body, form, token, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const res = await fetch(`${baseUrl}${urlPath}`, init);
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      // Plain-text responses stay strings.
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return {
+    request,
+    get: (urlPath, options) => request('GET', urlPath, options),
+    post: (urlPath, options) => request('POST', urlPath, options),
+    put: (urlPath, options) => request('PUT', urlPath, options),
+    patch: (urlPath, options) => request('PATCH', urlPath, options),
+    delete: (urlPath, options) => request('DELETE', urlPath, options),
+  };
+}
+
+/**
+ * Create a fresh schema, migrate it, load the app and listen on an ephemeral
+ * port. Call close() when the suite is done; it drops the schema.
+ */
+async function startTestApp() {
+  const schema = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  const databaseUrl = withSchema(process.env.TEST_DATABASE_URL, schema);
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asrar-test-'));
+
+  applyTestEnv({ databaseUrl, storageDir });
+  migrate(databaseUrl);
+
+  const prisma = require('../../src/prisma');
+  const { app } = require('../../src/app');
+  const { attachVoiceCallServer } = require('../../src/routes/voiceCall');
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  attachVoiceCallServer(server, { allowedOrigins: [] });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const client = createClient(baseUrl);
+
+  /**
+   * Open a live voice call (routes/voiceCall.js). `send` writes a JSON
+   * control message or an audio chunk, `messages` collects the server's, and `closed` settles
+   * when the server closes the call (rejects if it is still open after
+   * `timeoutMs`).
+   * @returns {Promise<{ send: (payload: object|Buffer) => void, messages: object[],
+   *   closed: Promise<{ code: number, reason: string }> }>}
+   */
+  function openVoiceCall(token, { timeoutMs = 3000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}/api/chat/voice/live`, {
+        headers: {
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          'Sec-WebSocket-Version': '13',
+          'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+          'Sec-WebSocket-Protocol': `asrar-voice, bearer.${token}`,
+        },
+      });
+      req.on('response', (res) => reject(new Error(`voice call refused: ${res.statusCode}`)));
+      req.on('error', reject);
+      req.on('upgrade', (res, socket) => {
+        const messages = [];
+        const closed = new Promise((resolveClose, rejectClose) => {
+          const timer = setTimeout(() => {
+            socket.destroy();
+            rejectClose(new Error(`voice call still open after ${timeoutMs}ms`));
+          }, timeoutMs);
+          socket.on('close', () => clearTimeout(timer));
+          let buffered = Buffer.alloc(0);
+          socket.on('data', (data) => {
+            buffered = Buffer.concat([buffered, data]);
+            // Server frames are unmasked and control messages stay under
+            // 64 KB, so the length is 7 or 16 bits.
+            while (buffered.length >= 4) {
+              const short = buffered[1] & 0x7f;
+              const offset = short === 126 ? 4 : 2;
+              const length = short === 126 ? buffered.readUInt16BE(2) : short;
+              if (buffered.length < offset + length) return;
+              const payload = buffered.subarray(offset, offset + length);
+              const opcode = buffered[0] & 0x0f;
+              if (opcode === 0x1) messages.push(JSON.parse(payload.toString('utf8')));
+              if (opcode === 0x8) {
+                resolveClose({ code: payload.readUInt16BE(0), reason: payload.subarray(2).toString('utf8') });
+                socket.destroy();
+                return;
+              }
+              buffered = buffered.subarray(offset + length);
+            }
+          });
+          socket.on('close', () => resolveClose({ code: 1006, reason: '' }));
+        });
+        // Client frames are masked (RFC 6455 5.3); short payloads only. A
+        // Buffer goes out as a binary frame (audio), anything else as JSON.
+        const send = (payload) => {
+          const binary = Buffer.isBuffer(payload);
+          const data = binary ? payload : Buffer.from(JSON.stringify(payload), 'utf8');
+          const mask = crypto.randomBytes(4);
+          const masked = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]));
+          socket.write(Buffer.concat([Buffer.from([binary ? 0x82 : 0x81, 0x80 | data.length]), mask, masked]));
+        };
+        resolve({ send, messages, closed });
+      });
+      req.end();
+    });
+  }
+
+  // `verified` marks the email verified as the link would and loads /me,
+  // which is when an ADMIN_EMAILS address gets its bootstrap role.
+  async function registerUser({ email, password = 'correct horse battery', name = 'Test User', verified = false } = {}) {
+    const res = await client.post('/api/auth/register', {
+      body: { email: email || `user-${crypto.randomBytes(4).toString('hex')}@example.test`, password, name },
+    });
+    if (res.status !== 201) {
+      throw new Error(`register failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    let user = res.body.user;
+    if (verified) {
+      await prisma.user.update({ where: { id: user.id }, data: { emailVerifiedAt: new Date() } });
+      const me = await client.get('/api/auth/me', { token: res.body.token });
+      user = { ...user, role: me.body.user.role, emailVerified: true, emailVerifiedAt: me.body.user.emailVerifiedAt };
+    }
+    return { token: res.body.token, refreshToken: readCookie(res, 'refresh_token'), user, password };
+  }
+
+  // The refresh token is only ever sent as a cookie.
+  function refresh(refreshToken) {
+    return client.post('/api/auth/refresh', { headers: { Cookie: `refresh_token=${refreshToken}` } });
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    // Fire-and-forget work started by the last requests (memory updates,
+    // attachments) may still be running; give it a moment before the schema
+    // disappears under it.
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    try {
+      await prisma.$executeRawUnsafe(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+    } finally {
+      await prisma.$disconnect();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    ...client,
+    baseUrl,
+    prisma,
+    registerUser,
+    refresh,
+    openVoiceCall,
+    resetDatabase: () => resetDatabase(prisma, schema),
+    close,
+  };
+}
+
+/**
+ * Lemon Squeezy signs the raw body with HMAC-SHA256 (hex) in X-Signature.
+ * @param {object} payload
+ * @returns {{ body: string, headers: object }}
+ */
+function signWebhook(payload, secret = TEST_WEBHOOK_SECRET) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return { body, headers: { 'X-Signature': signature } };
+}
+
+/**
+ * Silent mono 16-bit PCM WAV, the smallest upload the voice route accepts.
+ * @param {number} seconds
+ * @returns {Buffer}
+ */
+function silentWav(seconds = 1) {
+  const sampleRate = 8000;
+  const dataSize = Math.round(seconds * sampleRate) * 2;
+  const buf = Buffer.alloc(44 + dataSize);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(36 + dataSize, 4);
+  buf.write('WAVE', 8, 'ascii');
+  buf.write('fmt ', 12, 'ascii');
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36, 'ascii');
+  buf.writeUInt32LE(dataSize, 40);
+  return buf;
+}
+
+/**
+ * Poll until `check` returns a truthy value, for effects the routes finish
+ * after responding (memory updates, voice attachments).
+ * @template T
+ * @param {() => Promise<T>|T} check
+ * @returns {Promise<T>}
+ */
+async function eventually(check, { timeoutMs = 3000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('eventually(): condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Load a JSON fixture from test/fixtures.
+ * @param {string} name file name without extension
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+module.exports = {
+  TEST_JWT_SECRET,
+  TEST_WEBHOOK_SECRET,
+  TEST_ADMIN_EMAIL,
+  TEST_SPARE_ADMIN_EMAIL,
+  prismaSkipReason,
+  dbSkipReason,
+  startTestApp,
+  readCookie,
+  signWebhook,
+  silentWav,
+  eventually,
+  loadFixture,
+};
@@ -0,0 +1,67 @@
+// server/test/helpers/seed.js
+// Direct-to-DB history for suites that need more than a few requests can
+// create (portals readiness, the emotional timeline).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Noon local time, `daysAgo` days before now. Noon keeps every timestamp on
+ * the intended calendar day whatever the machine's timezone.
+ */
+function daysAgoAtNoon(daysAgo, now = new Date()) {
+  const d = new Date(now.getTime() - daysAgo * DAY_MS);
+  d.setHours(12, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Local time `hh:mm`, `daysAgo` days before now.
+ * @param {number} daysAgo
+ * @param {string} time e.g. "09:30"
+ */
+function daysAgoAt(daysAgo, time, now = new Date()) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const d = daysAgoAtNoon(daysAgo, now);
+  d.setHours(hours, minutes, 0, 0);
+  return d;
+}
+
+/**
+ * Messages spread evenly over `days` days, memory facts and (optionally) an
+ * emotion profile, the inputs computeReadiness() looks at. Scenarios live in
+ * test/fixtures/readiness-scenarios.json.
+ */
+async function seedHistory(prisma, { userId, messages = 0, days = 1, facts = 0, profile = null }) {
+  const conversation = await prisma.conversation.create({
+    data: { userId, characterId: 'daloua' },
+  });
+
+  const rows = [];
+  for (let i = 0; i < messages; i += 1) {
+    const createdAt = daysAgoAtNoon(i % Math.max(1, days));
+    createdAt.setMinutes(i % 60);
+    rows.push({
+      userId,
+      characterId: 'daloua',
+      conversationId: conversation.id,
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content: `seeded message ${i}`,
+      createdAt,
+    });
+  }
+  if (rows.length) await prisma.message.createMany({ data: rows });
+
+  for (let i = 0; i < facts; i += 1) {
+    await prisma.userMemoryFact.create({
+      data: { userId, kind: `seed.fact_${i}`, value: `value ${i}`, confidence: 0.9 },
+    });
+  }
+
+  if (profile) {
+    await prisma.userEmotionProfile.create({ data: { userId, ...profile } });
+  }
+
+  return { conversationId: conversation.id };
+}
+
+module.exports = { DAY_MS, daysAgoAtNoon, daysAgoAt, seedHistory };
@@ -0,0 +1,44 @@
+// server/test/llmPricing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getModelPrice, estimateCostUsd } = require('../src/config/llmPricing');
+const { setLogSink } = require('../src/utils/logger');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+test('chat models are priced per million input and output tokens', () => {
+  close(estimateCostUsd({ model: 'gpt-4o-mini', promptTokens: 1_000_000, completionTokens: 0 }), 0.15);
+  close(estimateCostUsd({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 500 }), 0.0025 + 0.005);
+});
+
+test('dated model names use the longest matching prefix', () => {
+  assert.deepEqual(getModelPrice('gpt-4o-mini-2024-07-18'), getModelPrice('gpt-4o-mini'));
+  assert.deepEqual(getModelPrice('gpt-4o-2024-08-06'), getModelPrice('gpt-4o'));
+  assert.equal(getModelPrice('gpt-4oops'), null);
+});
+
+test('audio is priced per minute (STT) and per character (TTS)', () => {
+  close(estimateCostUsd({ model: 'whisper-1', audioSeconds: 90 }), 0.009);
+  close(estimateCostUsd({ model: 'tts-1', characters: 2000 }), 0.03);
+});
+
+test('unknown models cost nothing and LLM_PRICES_JSON overrides prices', () => {
+  assert.equal(estimateCostUsd({ model: 'llama-3-70b', promptTokens: 5000 }), 0);
+  assert.equal(estimateCostUsd({ model: '', promptTokens: 5000 }), 0);
+
+  const previous = process.env.LLM_PRICES_JSON;
+  const levels = [];
+  const previousSink = setLogSink((level) => levels.push(level));
+  try {
+    process.env.LLM_PRICES_JSON = JSON.stringify({ 'llama-3-70b': { input: 1, output: 1 } });
+    close(estimateCostUsd({ model: 'llama-3-70b', promptTokens: 5000 }), 0.005);
+    process.env.LLM_PRICES_JSON = 'not json';
+    assert.equal(estimateCostUsd({ model: 'llama-3-70b', promptTokens: 5000 }), 0);
+    assert.deepEqual(levels, ['error']);
+  } finally {
+    setLogSink(previousSink);
+    if (previous === undefined) delete process.env.LLM_PRICES_JSON;
+    else process.env.LLM_PRICES_JSON = previous;
+  }
+});
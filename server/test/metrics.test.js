@@ -0,0 +1,75 @@
+// server/test/metrics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Counter,
+  Histogram,
+  renderMetrics,
+  resetMetrics,
+  observeChatStage,
+  recordLLMUsage,
+  recordHttpRequest,
+} = require('../src/utils/metrics');
+const stageMetrics = require('../src/pipeline/chat/stageMetrics');
+
+test('a counter renders one line per label set, with escaped values', () => {
+  const counter = new Counter('demo_total', 'Demo.', ['route']);
+  counter.inc({ route: '/a' });
+  counter.inc({ route: '/a' }, 2);
+  counter.inc({ route: 'say "hi"\n' });
+
+  assert.deepEqual(counter.render(), [
+    '# HELP demo_total Demo.',
+    '# TYPE demo_total counter',
+    'demo_total{route="/a"} 3',
+    'demo_total{route="say \\"hi\\"\\n"} 1',
+  ]);
+});
+
+test('a histogram renders cumulative buckets, sum and count', () => {
+  const histogram = new Histogram('demo_seconds', 'Demo.', ['stage'], [0.1, 1]);
+  histogram.observe({ stage: 'llm' }, 0.05);
+  histogram.observe({ stage: 'llm' }, 0.5);
+  histogram.observe({ stage: 'llm' }, 3);
+
+  assert.deepEqual(histogram.render().slice(2), [
+    'demo_seconds_bucket{stage="llm",le="0.1"} 1',
+    'demo_seconds_bucket{stage="llm",le="1"} 2',
+    'demo_seconds_bucket{stage="llm",le="+Inf"} 3',
+    'demo_seconds_sum{stage="llm"} 3.55',
+    'demo_seconds_count{stage="llm"} 3',
+  ]);
+});
+
+test('application metrics: stages, engine steps, tokens and HTTP errors', () => {
+  resetMetrics();
+
+  stageMetrics.after({ name: 'llm' }, { channel: 'text' }, 1200);
+  stageMetrics.after(
+    { name: 'emotionalEngine' },
+    { channel: 'voice', engineTimings: { classifyMs: 80, snapshotMs: 5, triggersMs: 3, phase4Ms: 20 } },
+    130
+  );
+  observeChatStage('text', 'db_save', 15);
+  recordLLMUsage('gpt-4o-mini', { prompt_tokens: 120, completion_tokens: 30 });
+  recordLLMUsage('gpt-4o-mini', { prompt_tokens: 80, completion_tokens: 20 });
+  recordLLMUsage('gpt-4o-mini', null);
+  recordHttpRequest({ method: 'POST', route: '/api/chat/message', status: 200, ms: 900 });
+  recordHttpRequest({ method: 'POST', route: '/api/chat/message', status: 500, ms: 40 });
+
+  const text = renderMetrics();
+  assert.match(text, /chat_stage_duration_seconds_count\{channel="text",stage="llm"\} 1/);
+  for (const stage of ['emotionalEngine', 'classify', 'snapshot', 'triggers', 'phase4']) {
+    assert.match(text, new RegExp(`chat_stage_duration_seconds_count\\{channel="voice",stage="${stage}"\\} 1`));
+  }
+  assert.match(text, /chat_stage_duration_seconds_count\{channel="text",stage="db_save"\} 1/);
+  assert.match(text, /llm_tokens_total\{model="gpt-4o-mini",kind="prompt"\} 200/);
+  assert.match(text, /llm_tokens_total\{model="gpt-4o-mini",kind="completion"\} 50/);
+  assert.match(text, /http_requests_total\{method="POST",route="\/api\/chat\/message",status="200"\} 1/);
+  assert.match(text, /http_request_errors_total\{method="POST",route="\/api\/chat\/message",status="500"\} 1/);
+  assert.doesNotMatch(text, /http_request_errors_total\{[^}]*status="200"/);
+
+  resetMetrics();
+  assert.doesNotMatch(renderMetrics(), /llm_tokens_total\{/);
+});
@@ -0,0 +1,55 @@
+// server/test/totp.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  base32Encode,
+  base32Decode,
+} = require('../src/utils/totp');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890" (6-digit codes).
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips and matches the RFC secret', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+  assert.equal(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+  assert.throws(() => base32Decode('not base32!'));
+  assert.equal(base32Decode(generateSecret()).length, 20);
+});
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(generateCode(RFC_SECRET, 59 * 1000), '287082');
+  assert.equal(generateCode(RFC_SECRET, 1111111109 * 1000), '081804');
+  assert.equal(generateCode(RFC_SECRET, 1234567890 * 1000), '005924');
+  assert.equal(generateCode(RFC_SECRET, 2000000000 * 1000), '279037');
+});
+
+test('verifyCode allows one step of drift and returns the matching step', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 30000);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now), { now }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 30000), { now }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 30000), { now }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 60000), { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 30000), { now, window: 0 }), null);
+  assert.equal(verifyCode(RFC_SECRET, ' 005 924 ', { now }), step);
+  assert.equal(verifyCode(RFC_SECRET, '12345', { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, undefined, { now }), null);
+});
+
+test('otpauth URLs carry the issuer, account and parameters', () => {
+  const url = new URL(buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'a+b@example.test' }));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.host, 'totp');
+  assert.equal(decodeURIComponent(url.pathname), '/Asrar AI:a+b@example.test');
+  assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(url.searchParams.get('issuer'), 'Asrar AI');
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
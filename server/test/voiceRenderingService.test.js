@@ -0,0 +1,285 @@
+// server/test/voiceRenderingService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CHARACTER_VOICES } = require('../src/config/characterVoices');
+const { TONES } = require('../src/config/tones');
+const {
+  supportsInstructions,
+  resolveVoiceParams,
+  splitIntoSpeechChunks,
+  joinAudioBuffers,
+  renderSpeech,
+  streamSpeech,
+} = require('../src/services/voiceRenderingService');
+
+function wav(samples) {
+  const data = Buffer.alloc(samples * 2, 1);
+  const buf = Buffer.alloc(44);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(36 + data.length, 4);
+  buf.write('WAVE', 8, 'ascii');
+  buf.write('fmt ', 12, 'ascii');
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(8000, 24);
+  buf.writeUInt32LE(16000, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36, 'ascii');
+  buf.writeUInt32LE(data.length, 40);
+  return Buffer.concat([buf, data]);
+}
+
+test.describe('resolveVoiceParams: voice', () => {
+  test('uses the persona voice', () => {
+    assert.equal(resolveVoiceParams({ characterId: 'daloua' }).voice, 'shimmer');
+    assert.equal(resolveVoiceParams({ characterId: 'sheikh-al-hara' }).voice, 'onyx');
+  });
+
+  test('falls back to the default profile for unknown personas', () => {
+    assert.equal(resolveVoiceParams({ characterId: 'nobody' }).voice, CHARACTER_VOICES.default.voiceId);
+  });
+});
+
+test.describe('resolveVoiceParams: tone and speed', () => {
+  test('uses the tone speed from config/tones.js', () => {
+    for (const tone of Object.keys(TONES)) {
+      const { speed } = resolveVoiceParams({ characterId: 'daloua', tone });
+      assert.equal(speed, TONES[tone].tts.speed, tone);
+    }
+  });
+
+  test('falls back to the persona default tone, then calm', () => {
+    assert.equal(resolveVoiceParams({ characterId: 'walaa' }).tone, 'strict');
+    assert.equal(resolveVoiceParams({ characterId: 'walaa', tone: 'shouty' }).tone, 'strict');
+    assert.equal(resolveVoiceParams({ characterId: 'nobody' }).tone, 'calm');
+  });
+
+  test('slows down for heavy emotions, scaled by intensity', () => {
+    const full = resolveVoiceParams({ tone: 'calm', emotion: { primaryEmotion: 'SAD', intensity: 5 } });
+    const light = resolveVoiceParams({ tone: 'calm', emotion: { primaryEmotion: 'SAD', intensity: 1 } });
+    assert.equal(full.speed, 0.85);
+    assert.equal(light.speed, 0.93);
+  });
+
+  test('speeds up slightly for hopeful replies', () => {
+    const { speed } = resolveVoiceParams({
+      tone: 'energetic',
+      emotion: { primaryEmotion: 'HOPEFUL', intensity: 5 },
+    });
+    assert.equal(speed, 1.1);
+  });
+
+  test('clamps speed to [0.8, 1.15]', () => {
+    const slow = resolveVoiceParams({ tone: 'soft', emotion: { primaryEmotion: 'SAD', intensity: 5 } });
+    assert.equal(slow.speed, 0.8);
+  });
+
+  test('treats unknown emotions and bad intensities as neutral / 1', () => {
+    const unknown = resolveVoiceParams({ tone: 'strict', emotion: { primaryEmotion: 'BORED', intensity: 5 } });
+    assert.equal(unknown.speed, 1);
+    const clamped = resolveVoiceParams({ tone: 'calm', emotion: { primaryEmotion: 'sad', intensity: 99 } });
+    assert.equal(clamped.speed, 0.85);
+  });
+});
+
+test.describe('resolveVoiceParams: instructions', () => {
+  test('only for models that support them', () => {
+    assert.equal(supportsInstructions('tts-1'), false);
+    assert.equal(supportsInstructions('tts-1-hd'), false);
+    assert.equal(supportsInstructions('gpt-4o-mini-tts'), true);
+    assert.equal(resolveVoiceParams({ characterId: 'daloua', model: 'tts-1' }).instructions, null);
+  });
+
+  test('combine persona style, tone and emotion guidance', () => {
+    const { instructions } = resolveVoiceParams({
+      characterId: 'daloua',
+      tone: 'soft',
+      emotion: { primaryEmotion: 'ANXIOUS', intensity: 4 },
+      model: 'gpt-4o-mini-tts',
+    });
+    const lines = instructions.split('\n');
+    assert.equal(lines[0], `Voice: ${CHARACTER_VOICES.daloua.styleDescription}`);
+    assert.equal(lines[1], `Tone: ${TONES.soft.description}`);
+    assert.match(lines[2], /anxious/);
+    assert.match(lines[3], /especially soft/);
+  });
+
+  test('skip the strong-feelings line below intensity 4', () => {
+    const { instructions } = resolveVoiceParams({
+      characterId: 'daloua',
+      emotion: { primaryEmotion: 'ANXIOUS', intensity: 3 },
+      model: 'gpt-4o-mini-tts',
+    });
+    assert.equal(instructions.split('\n').length, 3);
+  });
+});
+
+test.describe('splitIntoSpeechChunks', () => {
+  test('returns short text as one chunk and nothing for empty text', () => {
+    assert.deepEqual(splitIntoSpeechChunks('Hello there.'), ['Hello there.']);
+    assert.deepEqual(splitIntoSpeechChunks('   '), []);
+  });
+
+  test('splits on sentence ends, including the Arabic question mark', () => {
+    const chunks = splitIntoSpeechChunks('كيف حالك اليوم؟ أنا هنا معك. احكي لي!', { maxChars: 20 });
+    assert.deepEqual(chunks, ['كيف حالك اليوم؟', 'أنا هنا معك.', 'احكي لي!']);
+  });
+
+  test('packs short sentences up to maxChars', () => {
+    const chunks = splitIntoSpeechChunks('One. Two. Three. Four.', { maxChars: 10 });
+    assert.deepEqual(chunks, ['One. Two.', 'Three.', 'Four.']);
+  });
+
+  test('wraps a long sentence at word boundaries', () => {
+    const sentence = 'word '.repeat(30).trim() + '.';
+    const chunks = splitIntoSpeechChunks(sentence, { maxChars: 40 });
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) assert.ok(chunk.length <= 40, chunk);
+    assert.equal(chunks.join(' '), sentence);
+  });
+
+  test('keeps every word, in order', () => {
+    const text = 'First line here.\nSecond one follows! Third? ' + 'Long '.repeat(20) + 'end.';
+    const chunks = splitIntoSpeechChunks(text, { maxChars: 30 });
+    assert.equal(chunks.join(' ').split(/\s+/).join(' '), text.split(/\s+/).join(' '));
+  });
+});
+
+test.describe('joinAudioBuffers', () => {
+  test('concatenates mp3 chunks', () => {
+    const joined = joinAudioBuffers([Buffer.from('ab'), Buffer.from('cd')], 'mp3');
+    assert.equal(joined.toString(), 'abcd');
+  });
+
+  test('merges wav data and fixes the header sizes', () => {
+    const joined = joinAudioBuffers([wav(10), wav(5)], 'wav');
+    assert.equal(joined.length, 44 + 30);
+    assert.equal(joined.readUInt32LE(4), 36 + 30);
+    assert.equal(joined.readUInt32LE(40), 30);
+  });
+
+  test('refuses formats it cannot join', () => {
+    assert.equal(joinAudioBuffers([Buffer.from('a'), Buffer.from('b')], 'ogg'), null);
+  });
+});
+
+test.describe('renderSpeech', () => {
+  test('synthesizes chunks with bounded parallelism and keeps their order', async () => {
+    let active = 0;
+    let peak = 0;
+    const calls = [];
+    const synthesize = async (chunk) => {
+      calls.push(chunk);
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setImmediate(resolve));
+      active -= 1;
+      return { buffer: Buffer.from(`[${chunk}]`), format: 'mp3' };
+    };
+
+    const result = await renderSpeech({
+      text: 'One. Two. Three. Four. Five.',
+      format: 'mp3',
+      synthesize,
+      maxChars: 6,
+      maxParallel: 2,
+    });
+
+    assert.equal(result.chunks, 5);
+    assert.equal(result.format, 'mp3');
+    assert.equal(result.buffer.toString(), '[One.][Two.][Three.][Four.][Five.]');
+    assert.equal(peak, 2);
+    assert.equal(calls.length, 5);
+  });
+
+  test('falls back to one request when chunks come back unjoinable', async () => {
+    const calls = [];
+    const synthesize = async (chunk) => {
+      calls.push(chunk);
+      return { buffer: Buffer.from('x'), format: 'ogg' };
+    };
+
+    const result = await renderSpeech({ text: 'One. Two.', format: 'mp3', synthesize, maxChars: 5 });
+    assert.equal(result.chunks, 1);
+    assert.equal(result.format, 'ogg');
+    assert.deepEqual(calls, ['One.', 'Two.', 'One. Two.']);
+  });
+
+  test('does not chunk formats that cannot be joined', async () => {
+    const calls = [];
+    const synthesize = async (chunk) => {
+      calls.push(chunk);
+      return { buffer: Buffer.from('x') };
+    };
+
+    const result = await renderSpeech({ text: 'One. Two.', format: 'flac', synthesize, maxChars: 5 });
+    assert.deepEqual(calls, ['One. Two.']);
+    assert.equal(result.format, 'flac');
+  });
+});
+
+test.describe('streamSpeech', () => {
+  test('delivers chunks in order even when later ones finish first', async () => {
+    const delays = { a: 3, b: 1, c: 2 };
+    const order = [];
+    const synthesize = async (chunk) => {
+      for (let i = 0; i < delays[chunk]; i += 1) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      return { chunk };
+    };
+
+    const { delivered } = await streamSpeech({
+      chunks: ['a', 'b', 'c'],
+      synthesize,
+      maxParallel: 3,
+      onChunk: (result, index) => order.push(`${index}:${result.chunk}`),
+    });
+
+    assert.deepEqual(order, ['0:a', '1:b', '2:c']);
+    assert.equal(delivered.length, 3);
+  });
+
+  test('skips chunks that fail', async () => {
+    const order = [];
+    const synthesize = async (chunk) => {
+      if (chunk === 'bad') throw new Error('boom');
+      if (chunk === 'empty') return null;
+      return { chunk };
+    };
+
+    await streamSpeech({
+      chunks: ['one', 'bad', 'empty', 'two'],
+      synthesize,
+      onChunk: (result) => order.push(result.chunk),
+    });
+
+    assert.deepEqual(order, ['one', 'two']);
+  });
+
+  test('stops delivering and starting chunks once cancelled', async () => {
+    let cancelled = false;
+    const calls = [];
+    const order = [];
+
+    await streamSpeech({
+      chunks: ['one', 'two', 'three', 'four'],
+      synthesize: async (chunk) => {
+        calls.push(chunk);
+        return { chunk };
+      },
+      maxParallel: 1,
+      onChunk: (result) => {
+        order.push(result.chunk);
+        cancelled = true;
+      },
+      isCancelled: () => cancelled,
+    });
+
+    assert.deepEqual(order, ['one']);
+    assert.ok(calls.length < 4);
+  });
+});
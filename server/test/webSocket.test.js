@@ -0,0 +1,437 @@
+// server/test/webSocket.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const { acceptKey, acceptUpgrade, parseProtocols, WebSocketConnection } = require('../src/utils/webSocket');
+
+// Client frames must be masked.
+function clientFrame(opcode, payload, { fin = true, rsv = 0 } = {}) {
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload);
+  for (let i = 0; i < masked.length; i += 1) masked[i] ^= mask[i % 4];
+
+  const first = (fin ? 0x80 : 0) | rsv | opcode;
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([first, 0x80 | payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = first;
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = first;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, mask, masked]);
+}
+
+function closePayload(code, reason = '') {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return payload;
+}
+
+function readServerFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let start = offset + 2;
+    if (length === 126) {
+      length = buffer.readUInt16BE(offset + 2);
+      start = offset + 4;
+    } else if (length === 127) {
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      start = offset + 10;
+    }
+    if (start + length > buffer.length) break;
+    frames.push({ fin: (buffer[offset] & 0x80) !== 0, opcode, payload: buffer.subarray(start, start + length) });
+    offset = start + length;
+  }
+  return frames;
+}
+
+// Start a server that echoes every message back and records the close.
+async function withServer(options, run) {
+  const closes = [];
+  const connections = [];
+  const server = http.createServer();
+  server.on('upgrade', (req, socket, head) => {
+    const ws = acceptUpgrade(req, socket, head, { protocol: 'echo', heartbeatMs: 0, ...options });
+    if (!ws) return;
+    connections.push(ws);
+    ws.on('message', (data, isBinary) => ws.send(isBinary ? data : `echo:${data}`));
+    ws.on('close', (code) => closes.push(code));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(server.address().port, closes, connections);
+  } finally {
+    // The close callback never fires while upgraded sockets are counted, so
+    // just stop listening.
+    server.close();
+  }
+}
+
+function connect(port, extraHeaders = '') {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const key = crypto.randomBytes(16).toString('base64');
+    let received = Buffer.alloc(0);
+    const closed = new Promise((r) => socket.on('close', r));
+    socket.on('error', reject);
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+    });
+    socket.write(
+      'GET /live HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13\r\n${extraHeaders}\r\n`
+    );
+    resolve({
+      socket,
+      key,
+      closed,
+      received: () => received,
+      waitFor: async (predicate) => {
+        for (let i = 0; i < 200; i += 1) {
+          if (predicate(received)) return received;
+          await new Promise((r) => setTimeout(r, 5));
+        }
+        throw new Error('timed out');
+      },
+    });
+  });
+}
+
+function splitHandshake(buffer) {
+  const end = buffer.indexOf('\r\n\r\n');
+  return { head: buffer.subarray(0, end).toString(), rest: buffer.subarray(end + 4) };
+}
+
+test('acceptKey matches the RFC 6455 example', () => {
+  assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('parseProtocols splits the offered subprotocols', () => {
+  assert.deepEqual(parseProtocols({ headers: { 'sec-websocket-protocol': 'a, bearer.x.y' } }), [
+    'a',
+    'bearer.x.y',
+  ]);
+  assert.deepEqual(parseProtocols({ headers: {} }), []);
+});
+
+test('completes the handshake and echoes text, binary and fragmented messages', async () => {
+  await withServer({}, async (port) => {
+    const client = await connect(port);
+    await client.waitFor((b) => b.includes('\r\n\r\n'));
+    const { head } = splitHandshake(client.received());
+    assert.match(head, /^HTTP\/1\.1 101/);
+    assert.match(head, new RegExp(`Sec-WebSocket-Accept: ${acceptKey(client.key).replace(/[+/=]/g, '\\$&')}`));
+    assert.match(head, /Sec-WebSocket-Protocol: echo/);
+
+    client.socket.write(clientFrame(0x1, Buffer.from('مرحبا')));
+    client.socket.write(clientFrame(0x2, Buffer.alloc(300, 7)));
+    client.socket.write(clientFrame(0x1, Buffer.from('hel'), { fin: false }));
+    client.socket.write(clientFrame(0x0, Buffer.from('lo')));
+
+    await client.waitFor((b) => readServerFrames(splitHandshake(b).rest).length >= 3);
+    const frames = readServerFrames(splitHandshake(client.received()).rest);
+    assert.equal(frames[0].payload.toString(), 'echo:مرحبا');
+    assert.equal(frames[1].opcode, 0x2);
+    assert.equal(frames[1].payload.length, 300);
+    assert.equal(frames[2].payload.toString(), 'echo:hello');
+    client.socket.destroy();
+  });
+});
+
+test('answers pings and completes the close handshake', async () => {
+  await withServer({}, async (port, closes) => {
+    const client = await connect(port);
+    await client.waitFor((b) => b.includes('\r\n\r\n'));
+
+    client.socket.write(clientFrame(0x9, Buffer.from('hi')));
+    const code = Buffer.alloc(2);
+    code.writeUInt16BE(1000, 0);
+    client.socket.write(clientFrame(0x8, code));
+
+    await client.waitFor((b) => readServerFrames(splitHandshake(b).rest).length >= 2);
+    const frames = readServerFrames(splitHandshake(client.received()).rest);
+    assert.equal(frames[0].opcode, 0xa);
+    assert.equal(frames[0].payload.toString(), 'hi');
+    assert.equal(frames[1].opcode, 0x8);
+    assert.equal(frames[1].payload.readUInt16BE(0), 1000);
+
+    await client.closed;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(closes, [1000]);
+  });
+});
+
+test('closes with 1009 when a message exceeds maxPayload', async () => {
+  await withServer({ maxPayload: 100 }, async (port, closes) => {
+    const client = await connect(port);
+    await client.waitFor((b) => b.includes('\r\n\r\n'));
+    client.socket.write(clientFrame(0x2, Buffer.alloc(200)));
+
+    await client.waitFor((b) => readServerFrames(splitHandshake(b).rest).length >= 1);
+    const [frame] = readServerFrames(splitHandshake(client.received()).rest);
+    assert.equal(frame.opcode, 0x8);
+    assert.equal(frame.payload.readUInt16BE(0), 1009);
+    client.socket.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(closes, [1009]);
+  });
+});
+
+test('closes with 1002 on unmasked client frames', async () => {
+  await withServer({}, async (port) => {
+    const client = await connect(port);
+    await client.waitFor((b) => b.includes('\r\n\r\n'));
+    client.socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+
+    await client.waitFor((b) => readServerFrames(splitHandshake(b).rest).length >= 1);
+    const [frame] = readServerFrames(splitHandshake(client.received()).rest);
+    assert.equal(frame.payload.readUInt16BE(0), 1002);
+    client.socket.destroy();
+  });
+});
+
+test('rejects requests that are not WebSocket upgrades', async () => {
+  await withServer({}, async (port) => {
+    const client = await new Promise((resolve) => {
+      const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+    });
+    let received = '';
+    client.on('data', (chunk) => {
+      received += chunk;
+    });
+    client.write('GET /live HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+    await new Promise((resolve) => client.on('close', resolve));
+    assert.match(received, /^HTTP\/1\.1 400/);
+  });
+});
+
+// Connect and wait for the 101 response.
+async function open(port) {
+  const client = await connect(port);
+  await client.waitFor((b) => b.includes('\r\n\r\n'));
+  client.frames = () => readServerFrames(splitHandshake(client.received()).rest);
+  client.waitForFrames = (count) =>
+    client.waitFor((b) => readServerFrames(splitHandshake(b).rest).length >= count);
+  return client;
+}
+
+// Send `frames` and expect the server to answer with a close frame carrying
+// `code` and then drop the connection.
+async function expectClose(port, frames, code) {
+  const client = await open(port);
+  for (const frame of frames) client.socket.write(frame);
+  await client.waitForFrames(1);
+  const last = client.frames().at(-1);
+  assert.equal(last.opcode, 0x8);
+  assert.equal(last.payload.readUInt16BE(0), code);
+  await client.closed;
+  return client;
+}
+
+test('reassembles frames that arrive a byte at a time', async () => {
+  await withServer({}, async (port) => {
+    const client = await open(port);
+    const bytes = Buffer.concat([
+      clientFrame(0x1, Buffer.from('sl'), { fin: false }),
+      clientFrame(0x0, Buffer.alloc(200, 'o'), { fin: false }),
+      clientFrame(0x0, Buffer.from('w')),
+    ]);
+    for (const byte of bytes) client.socket.write(Buffer.from([byte]));
+
+    await client.waitForFrames(1);
+    assert.equal(client.frames()[0].payload.toString(), `echo:sl${'o'.repeat(200)}w`);
+    client.socket.destroy();
+  });
+});
+
+test('answers control frames interleaved with the fragments of a message', async () => {
+  await withServer({}, async (port) => {
+    const client = await open(port);
+    client.socket.write(clientFrame(0x2, Buffer.from([1, 2]), { fin: false }));
+    client.socket.write(clientFrame(0x9, Buffer.from('mid')));
+    client.socket.write(clientFrame(0xa, Buffer.alloc(0)));
+    client.socket.write(clientFrame(0x0, Buffer.from([3])));
+
+    await client.waitForFrames(2);
+    const [pong, message] = client.frames();
+    assert.equal(pong.opcode, 0xa);
+    assert.equal(pong.payload.toString(), 'mid');
+    assert.equal(message.opcode, 0x2);
+    assert.deepEqual([...message.payload], [1, 2, 3]);
+    client.socket.destroy();
+  });
+});
+
+test('sends and reads messages with a 64-bit length', async () => {
+  await withServer({}, async (port) => {
+    const client = await open(port);
+    client.socket.write(clientFrame(0x2, Buffer.alloc(70000, 9)));
+
+    await client.waitForFrames(1);
+    const [frame] = client.frames();
+    assert.equal(frame.fin, true);
+    assert.equal(frame.payload.length, 70000);
+    client.socket.destroy();
+  });
+});
+
+test('closes with 1002 on fragmentation errors', async () => {
+  await withServer({}, async (port, closes) => {
+    // A continuation with nothing to continue.
+    await expectClose(port, [clientFrame(0x0, Buffer.from('x'))], 1002);
+    // A new message before the previous one finished.
+    await expectClose(
+      port,
+      [clientFrame(0x1, Buffer.from('a'), { fin: false }), clientFrame(0x1, Buffer.from('b'))],
+      1002
+    );
+    // Control frames cannot be fragmented or carry more than 125 bytes.
+    await expectClose(port, [clientFrame(0x9, Buffer.from('x'), { fin: false })], 1002);
+    await expectClose(port, [clientFrame(0x9, Buffer.alloc(126))], 1002);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(closes, [1002, 1002, 1002, 1002]);
+  });
+});
+
+test('closes with 1002 on reserved bits and unknown opcodes', async () => {
+  await withServer({}, async (port) => {
+    await expectClose(port, [clientFrame(0x1, Buffer.from('x'), { rsv: 0x40 })], 1002);
+    await expectClose(port, [clientFrame(0x3, Buffer.from('x'))], 1002);
+    await expectClose(port, [clientFrame(0xb, Buffer.from('x'))], 1002);
+  });
+});
+
+test('closes with 1007 on invalid UTF-8, even split across fragments', async () => {
+  await withServer({}, async (port) => {
+    await expectClose(port, [clientFrame(0x1, Buffer.from([0xc3, 0x28]))], 1007);
+
+    // 'é' split between two fragments is valid once reassembled.
+    const client = await open(port);
+    client.socket.write(clientFrame(0x1, Buffer.from([0xc3]), { fin: false }));
+    client.socket.write(clientFrame(0x0, Buffer.from([0xa9])));
+    await client.waitForFrames(1);
+    assert.equal(client.frames()[0].payload.toString(), 'echo:é');
+    client.socket.destroy();
+  });
+});
+
+test('closes with 1009 when the fragments together exceed maxPayload', async () => {
+  await withServer({ maxPayload: 100 }, async (port) => {
+    await expectClose(
+      port,
+      [clientFrame(0x2, Buffer.alloc(60), { fin: false }), clientFrame(0x0, Buffer.alloc(60))],
+      1009
+    );
+  });
+});
+
+test('a server-initiated close waits for the echo and drops later messages', async () => {
+  await withServer({}, async (port, closes, connections) => {
+    const client = await open(port);
+    const [ws] = connections;
+    const messages = [];
+    ws.on('message', (data) => messages.push(data));
+
+    ws.close(1001, 'restarting');
+    assert.equal(ws.isOpen, false);
+    ws.send('ignored');
+    await client.waitForFrames(1);
+    const [frame] = client.frames();
+    assert.equal(frame.opcode, 0x8);
+    assert.equal(frame.payload.readUInt16BE(0), 1001);
+    assert.equal(frame.payload.subarray(2).toString(), 'restarting');
+
+    // Data still in flight is discarded; the socket closes on the echo.
+    client.socket.write(clientFrame(0x1, Buffer.from('late')));
+    client.socket.write(clientFrame(0x8, closePayload(1001)));
+    await client.closed;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(client.frames().length, 1);
+    assert.deepEqual(messages, []);
+    assert.deepEqual(closes, [1001]);
+  });
+});
+
+test('a close frame without a code is answered and reported as 1000', async () => {
+  await withServer({}, async (port, closes) => {
+    const client = await open(port);
+    client.socket.write(clientFrame(0x8, Buffer.alloc(0)));
+    await client.closed;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(client.frames()[0].opcode, 0x8);
+    assert.deepEqual(closes, [1000]);
+  });
+});
+
+test('reports 1006 when the peer drops without a close frame', async () => {
+  await withServer({}, async (port, closes) => {
+    const client = await open(port);
+    client.socket.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(closes, [1006]);
+  });
+});
+
+// Just enough of net.Socket for WebSocketConnection.
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.destroyed = false;
+  }
+  setNoDelay() {}
+  setTimeout() {}
+  write(chunk) {
+    this.written.push(chunk);
+  }
+  end() {}
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.emit('close');
+  }
+}
+
+test('drops the socket when the peer never answers a close', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const socket = new FakeSocket();
+  const ws = new WebSocketConnection(socket, { maxPayload: 1024, heartbeatMs: 0 });
+  const closes = [];
+  ws.on('close', (code) => closes.push(code));
+
+  ws.close(1000);
+  t.mock.timers.tick(4999);
+  assert.equal(socket.destroyed, false);
+  t.mock.timers.tick(1);
+  assert.equal(socket.destroyed, true);
+  assert.deepEqual(closes, [1000]);
+});
+
+test('pings on the heartbeat and drops a peer that stops answering', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const socket = new FakeSocket();
+  const ws = new WebSocketConnection(socket, { maxPayload: 1024, heartbeatMs: 1000 });
+
+  t.mock.timers.tick(1000);
+  assert.deepEqual(readServerFrames(socket.written[0]).map((f) => f.opcode), [0x9]);
+  ws.onData(clientFrame(0xa, Buffer.alloc(0)));
+  t.mock.timers.tick(1000);
+  assert.equal(socket.destroyed, false);
+  t.mock.timers.tick(1000);
+  assert.equal(socket.destroyed, true);
+});
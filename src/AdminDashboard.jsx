@@ -7,6 +7,19 @@ import AsrarFooter from "./AsrarFooter";
 import { useAuth, TOKEN_KEY } from "./hooks/useAuth";
 import { API_BASE } from "./apiBase";
 import HomeSplash from "./components/HomeSplash";
+import { getLlmUsage, getUserLlmUsage, setUserCostCeiling } from "./api/adminUsage";
+import { ROLES, grantRole, revokeRole, getAuditLog } from "./api/adminRoles";
+import {
+  getAdminUser,
+  setPlanOverride,
+  extendPlanOverride,
+  clearPlanOverride,
+  grantBonusMessages,
+  resetUsage,
+  suspendUser,
+  unsuspendUser,
+  forceLogout,
+} from "./api/adminUsers";
 
 // Stat Card Component
 function StatCard({ label, value, subtext, isAr }) {
@@ -95,24 +108,28 @@ function UsersTable({ users, selectedUser, onSelectUser, onDeleteUser, deletingU
               {u.dailyUsed ?? 0} / {u.dailyLimit && u.dailyLimit > 0 ? u.dailyLimit : ""}
             </div>
             <div className="admin-table-cell" data-label={isAr ? "حذف" : "Delete"}>
-              <button
-                type="button"
-                className="admin-delete-button"
-                disabled={isDeleting}
-                onClick={(e) => {
-                  e.stopPropagation();
-                  if (!onDeleteUser) return;
-                  onDeleteUser(u);
-                }}
-              >
-                {isDeleting
-                  ? isAr
-                    ? "جاري الحذف..."
-                    : "Deleting..."
-                  : isAr
-                  ? "حذف"
-                  : "Delete"}
-              </button>
+              {onDeleteUser ? (
+                <button
+                  type="button"
+                  className="admin-delete-button"
+                  disabled={isDeleting}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (!onDeleteUser) return;
+                    onDeleteUser(u);
+                  }}
+                >
+                  {isDeleting
+                    ? isAr
+                      ? "جاري الحذف..."
+                      : "Deleting..."
+                    : isAr
+                    ? "حذف"
+                    : "Delete"}
+                </button>
+              ) : (
+                "—"
+              )}
             </div>
           </button>
         );
@@ -145,6 +162,16 @@ function UserDetailsPanel({ user, isAr }) {
       <div className="admin-details-label">{isAr ? "الخطة" : "Plan"}</div>
       <div className="admin-details-value">{user.plan || (user.isPremium ? "premium" : "free")}</div>
 
+      {user.suspendedAt && (
+        <>
+          <div className="admin-details-label">{isAr ? "الحالة" : "Status"}</div>
+          <div className="admin-details-value">{isAr ? "موقوف" : "Suspended"}</div>
+        </>
+      )}
+
+      <div className="admin-details-label">{isAr ? "الدور" : "Role"}</div>
+      <div className="admin-details-value">{user.role || "—"}</div>
+
       <div className="admin-details-label">{isAr ? "مميز؟" : "Premium?"}</div>
       <div className="admin-details-value">{user.isPremium ? "Yes" : "No"}</div>
 
@@ -194,6 +221,664 @@ function UserDetailsPanel({ user, isAr }) {
   );
 }
 
+function formatUsd(value) {
+  const n = Number(value) || 0;
+  return `$${n.toFixed(n >= 1 ? 2 : 4)}`;
+}
+
+const FEATURE_LABELS = {
+  chat: { en: "Chat", ar: "المحادثة" },
+  classify: { en: "Classification", ar: "التصنيف" },
+  mirror: { en: "Mirror", ar: "المرآة" },
+  memory: { en: "Memory", ar: "الذاكرة" },
+  voice: { en: "Voice", ar: "الصوت" },
+};
+
+// One breakdown of the LLM usage ledger (by feature, model or plan).
+function CostBreakdown({ title, rows, keyName, isAr }) {
+  return (
+    <div className="admin-cost-breakdown">
+      <h3 className="admin-cost-breakdown-title">{title}</h3>
+      {rows.length === 0 ? (
+        <div className="admin-table-empty">{isAr ? "لا توجد بيانات." : "No data."}</div>
+      ) : (
+        <table className="admin-cost-table">
+          <thead>
+            <tr>
+              <th>{title}</th>
+              <th>{isAr ? "الطلبات" : "Calls"}</th>
+              <th>{isAr ? "الرموز" : "Tokens"}</th>
+              <th>{isAr ? "التكلفة" : "Cost"}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const key = row[keyName];
+              const label =
+                keyName === "feature" && FEATURE_LABELS[key]
+                  ? FEATURE_LABELS[key][isAr ? "ar" : "en"]
+                  : key || "—";
+              return (
+                <tr key={key || "none"}>
+                  <td>{label}</td>
+                  <td>{row.calls}</td>
+                  <td>{(row.promptTokens + row.completionTokens).toLocaleString()}</td>
+                  <td>{formatUsd(row.costUsd)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// LLM cost over the last N days: totals, breakdowns and the top users.
+function CostPanel({ isAr, onSelectUserId }) {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let aborted = false;
+    getLlmUsage({ days })
+      .then((data) => {
+        if (!aborted) setUsage(data);
+      })
+      .catch((e) => {
+        if (!aborted) setError(e.message || "Failed to load LLM usage");
+      })
+      .finally(() => {
+        if (!aborted) setLoading(false);
+      });
+    return () => { aborted = true; };
+  }, [days]);
+
+  const handleDaysChange = (nextDays) => {
+    setLoading(true);
+    setError("");
+    setDays(nextDays);
+  };
+
+  const totals = usage?.totals;
+
+  return (
+    <div className="admin-card admin-cost-card">
+      <div className="admin-card-inner">
+        <div className="admin-card-header admin-cost-header">
+          <h2 className="admin-card-title">{isAr ? "تكلفة الذكاء الاصطناعي" : "LLM Cost"}</h2>
+          <select
+            className="admin-filter-select"
+            value={days}
+            onChange={(e) => handleDaysChange(Number(e.target.value))}
+          >
+            <option value={7}>{isAr ? "آخر ٧ أيام" : "Last 7 days"}</option>
+            <option value={30}>{isAr ? "آخر ٣٠ يوماً" : "Last 30 days"}</option>
+            <option value={90}>{isAr ? "آخر ٩٠ يوماً" : "Last 90 days"}</option>
+          </select>
+        </div>
+
+        {loading && <div className="admin-loading">{isAr ? "جاري التحميل..." : "Loading..."}</div>}
+        {error && !loading && (
+          <div className="admin-error">{isAr ? `خطأ: ${error}` : `Error: ${error}`}</div>
+        )}
+
+        {!loading && !error && totals && (
+          <>
+            <div className="admin-cost-totals">
+              <div>
+                <div className="admin-stat-label">{isAr ? "التكلفة" : "Cost"}</div>
+                <div className="admin-cost-total-value">{formatUsd(totals.costUsd)}</div>
+              </div>
+              <div>
+                <div className="admin-stat-label">{isAr ? "الطلبات" : "Calls"}</div>
+                <div className="admin-cost-total-value">{totals.calls.toLocaleString()}</div>
+              </div>
+              <div>
+                <div className="admin-stat-label">{isAr ? "الرموز" : "Tokens"}</div>
+                <div className="admin-cost-total-value">
+                  {(totals.promptTokens + totals.completionTokens).toLocaleString()}
+                </div>
+              </div>
+              <div>
+                <div className="admin-stat-label">{isAr ? "دقائق الصوت" : "Audio minutes"}</div>
+                <div className="admin-cost-total-value">{(totals.audioSeconds / 60).toFixed(1)}</div>
+              </div>
+            </div>
+
+            <div className="admin-cost-grid">
+              <CostBreakdown title={isAr ? "الميزة" : "Feature"} rows={usage.byFeature} keyName="feature" isAr={isAr} />
+              <CostBreakdown title={isAr ? "النموذج" : "Model"} rows={usage.byModel} keyName="model" isAr={isAr} />
+              <CostBreakdown title={isAr ? "الخطة" : "Plan"} rows={usage.byPlan} keyName="plan" isAr={isAr} />
+            </div>
+
+            <h3 className="admin-cost-breakdown-title">{isAr ? "الأعلى تكلفة" : "Top users"}</h3>
+            {usage.topUsers.length === 0 ? (
+              <div className="admin-table-empty">{isAr ? "لا توجد بيانات." : "No data."}</div>
+            ) : (
+              <table className="admin-cost-table">
+                <thead>
+                  <tr>
+                    <th>{isAr ? "البريد" : "Email"}</th>
+                    <th>{isAr ? "الخطة" : "Plan"}</th>
+                    <th>{isAr ? "الطلبات" : "Calls"}</th>
+                    <th>{isAr ? "التكلفة" : "Cost"}</th>
+                    <th>{isAr ? "الحد الشهري" : "Monthly ceiling"}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.topUsers.map((row) => (
+                    <tr
+                      key={row.userId}
+                      className="admin-cost-row-clickable"
+                      onClick={() => onSelectUserId && onSelectUserId(row.userId)}
+                    >
+                      <td>{row.email || `#${row.userId}`}</td>
+                      <td>{row.plan || "—"}</td>
+                      <td>{row.calls}</td>
+                      <td>{formatUsd(row.costUsd)}</td>
+                      <td>{row.monthlyCostCeilingUsd == null ? "—" : formatUsd(row.monthlyCostCeilingUsd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// The selected user's spend this month and their cost ceiling (keyed by
+// user, so it remounts when the selection changes).
+function UserCostSection({ userId, isAr, canEditCeiling }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [ceilingInput, setCeilingInput] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let aborted = false;
+    getUserLlmUsage(userId)
+      .then((next) => {
+        if (aborted) return;
+        setData(next);
+        setCeilingInput(next.month.ceilingSource === "user" ? String(next.month.ceilingUsd) : "");
+      })
+      .catch((e) => {
+        if (!aborted) setError(e.message || "Failed to load user usage");
+      });
+    return () => { aborted = true; };
+  }, [userId]);
+
+  const saveCeiling = async (value) => {
+    setSaving(true);
+    setError("");
+    try {
+      await setUserCostCeiling(userId, value);
+      const next = await getUserLlmUsage(userId);
+      setData(next);
+      setCeilingInput(next.month.ceilingSource === "user" ? String(next.month.ceilingUsd) : "");
+    } catch (e) {
+      setError(e.message || "Failed to update cost ceiling");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const value = Number(ceilingInput);
+    if (ceilingInput.trim() === "" || !Number.isFinite(value) || value < 0) {
+      setError(isAr ? "أدخل مبلغاً صالحاً بالدولار." : "Enter a valid amount in USD.");
+      return;
+    }
+    saveCeiling(value);
+  };
+
+  if (error && !data) {
+    return <div className="admin-delete-error">{error}</div>;
+  }
+  if (!data) {
+    return <div className="admin-details-placeholder">{isAr ? "جاري التحميل..." : "Loading..."}</div>;
+  }
+
+  const { month } = data;
+  const ceilingLabel =
+    month.ceilingUsd == null
+      ? isAr ? "بدون حد" : "No ceiling"
+      : `${formatUsd(month.ceilingUsd)} (${month.ceilingSource === "user"
+          ? isAr ? "مخصص" : "custom"
+          : isAr ? "حد الخطة" : "plan default"})`;
+
+  return (
+    <div className="admin-user-cost">
+      <div className="admin-details-grid">
+        <div className="admin-details-label">{isAr ? "تكلفة هذا الشهر" : "Cost this month"}</div>
+        <div className="admin-details-value">{formatUsd(month.spentUsd)}</div>
+
+        <div className="admin-details-label">{isAr ? "الحد الشهري" : "Monthly ceiling"}</div>
+        <div className="admin-details-value">{ceilingLabel}</div>
+
+        {data.byFeature.map((row) => (
+          <React.Fragment key={row.feature}>
+            <div className="admin-details-label">
+              {FEATURE_LABELS[row.feature] ? FEATURE_LABELS[row.feature][isAr ? "ar" : "en"] : row.feature}
+            </div>
+            <div className="admin-details-value">
+              {formatUsd(row.costUsd)} · {row.calls} {isAr ? "طلب" : "calls"}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+
+      {canEditCeiling && (
+        <div className="admin-cost-ceiling-form">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            className="admin-search-input"
+            placeholder={isAr ? "الحد بالدولار" : "Ceiling in USD"}
+            value={ceilingInput}
+            onChange={(e) => setCeilingInput(e.target.value)}
+          />
+          <button type="button" className="admin-pagination-button" disabled={saving} onClick={handleSave}>
+            {isAr ? "حفظ" : "Save"}
+          </button>
+          <button
+            type="button"
+            className="admin-pagination-button"
+            disabled={saving || month.ceilingSource !== "user"}
+            onClick={() => saveCeiling(null)}
+          >
+            {isAr ? "حد الخطة" : "Plan default"}
+          </button>
+        </div>
+      )}
+      {error && <div className="admin-delete-error">{error}</div>}
+    </div>
+  );
+}
+
+const ROLE_LABELS = {
+  admin: { en: "Admin", ar: "مدير" },
+  support: { en: "Support", ar: "الدعم" },
+  analyst: { en: "Analyst", ar: "محلل" },
+  tester: { en: "Tester", ar: "مختبر" },
+};
+
+// Grant or revoke the selected user's role (keyed by user, like UserCostSection).
+function UserRoleSection({ user, isAr, onChanged }) {
+  const [role, setRole] = useState(user.role || "");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const apply = async (action) => {
+    setSaving(true);
+    setError("");
+    try {
+      const data = await action();
+      setRole(data.user.role || "");
+      if (onChanged) onChanged(data.user);
+    } catch (e) {
+      setError(
+        e.code === "LAST_ADMIN"
+          ? isAr ? "لا يمكن إزالة آخر مدير." : "The last admin cannot lose the admin role."
+          : e.message || "Failed to update role"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="admin-user-role">
+      <div className="admin-cost-ceiling-form">
+        <select
+          className="admin-filter-select"
+          value={role}
+          disabled={saving}
+          onChange={(e) => setRole(e.target.value)}
+        >
+          <option value="">{isAr ? "بدون دور" : "No role"}</option>
+          {ROLES.map((r) => (
+            <option key={r} value={r}>{ROLE_LABELS[r][isAr ? "ar" : "en"]}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="admin-pagination-button"
+          disabled={saving || role === (user.role || "")}
+          onClick={() => apply(() => (role ? grantRole(user.id, role) : revokeRole(user.id)))}
+        >
+          {isAr ? "حفظ الدور" : "Save role"}
+        </button>
+      </div>
+      {error && <div className="admin-delete-error">{error}</div>}
+    </div>
+  );
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "—");
+
+// Support fixes for the selected user: plan override, bonus messages, usage
+// reset, suspension and forced logout. Each one needs a reason, which goes
+// into the audit log (keyed by user, like UserCostSection).
+function UserManageSection({ userId, isAr, canManage, canSuspend, onChanged }) {
+  const [details, setDetails] = useState(null);
+  const [reason, setReason] = useState("");
+  const [plan, setPlan] = useState("pro");
+  const [days, setDays] = useState("30");
+  const [amount, setAmount] = useState("50");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    let aborted = false;
+    getAdminUser(userId)
+      .then((data) => {
+        if (!aborted) setDetails(data.user);
+      })
+      .catch((e) => {
+        if (!aborted) setError(e.message || "Failed to load user");
+      });
+    return () => { aborted = true; };
+  }, [userId]);
+
+  const run = async (action, doneMessage) => {
+    if (!reason.trim()) {
+      setError(isAr ? "اكتب سبب الإجراء أولاً." : "Enter a reason first.");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await action(reason.trim());
+      const data = await getAdminUser(userId);
+      setDetails(data.user);
+      setReason("");
+      setNotice(doneMessage);
+      if (onChanged) onChanged(data.user);
+    } catch (e) {
+      setError(e.message || "Action failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!details) {
+    return error
+      ? <div className="admin-delete-error">{error}</div>
+      : <div className="admin-details-placeholder">{isAr ? "جاري التحميل..." : "Loading..."}</div>;
+  }
+
+  const overrideActive =
+    !!details.planOverride && new Date(details.planOverrideExpiresAt) > new Date();
+  const usage = details.usage || { dailyCount: 0, monthlyCount: 0, bonusMessages: 0 };
+
+  return (
+    <div className="admin-user-manage">
+      <div className="admin-details-grid">
+        <div className="admin-details-label">{isAr ? "الخطة الفعلية" : "Effective plan"}</div>
+        <div className="admin-details-value">
+          {details.effectivePlan || "free"}
+          {overrideActive
+            ? ` (${isAr ? "يدوية حتى" : "override until"} ${formatDate(details.planOverrideExpiresAt)})`
+            : ""}
+        </div>
+
+        <div className="admin-details-label">{isAr ? "رسائل إضافية" : "Bonus messages"}</div>
+        <div className="admin-details-value">{usage.bonusMessages}</div>
+
+        <div className="admin-details-label">{isAr ? "الحالة" : "Status"}</div>
+        <div className="admin-details-value">
+          {details.suspendedAt
+            ? `${isAr ? "موقوف منذ" : "Suspended since"} ${formatDate(details.suspendedAt)}: ${details.suspensionReason || "—"}`
+            : isAr ? "نشط" : "Active"}
+        </div>
+      </div>
+
+      <input
+        type="text"
+        className="admin-search-input"
+        maxLength={500}
+        placeholder={isAr ? "سبب الإجراء (مطلوب، يُحفظ في السجل)" : "Reason (required, kept in the audit log)"}
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      />
+
+      {canManage && (
+        <>
+          <div className="admin-cost-ceiling-form">
+            <select
+              className="admin-filter-select"
+              value={plan}
+              disabled={saving}
+              onChange={(e) => setPlan(e.target.value)}
+            >
+              <option value="free">free</option>
+              <option value="pro">pro</option>
+              <option value="premium">premium</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="366"
+              className="admin-search-input"
+              placeholder={isAr ? "أيام" : "Days"}
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+            />
+            <button
+              type="button"
+              className="admin-pagination-button"
+              disabled={saving}
+              onClick={() =>
+                run(
+                  (r) => setPlanOverride(userId, { plan, days: Number(days), reason: r }),
+                  isAr ? "تم تعيين الخطة." : "Plan set."
+                )
+              }
+            >
+              {isAr ? "تعيين الخطة" : "Set plan"}
+            </button>
+            <button
+              type="button"
+              className="admin-pagination-button"
+              disabled={saving || !overrideActive}
+              onClick={() =>
+                run(
+                  (r) => extendPlanOverride(userId, { days: Number(days), reason: r }),
+                  isAr ? "تم تمديد الخطة." : "Plan extended."
+                )
+              }
+            >
+              {isAr ? "تمديد" : "Extend"}
+            </button>
+            <button
+              type="button"
+              className="admin-pagination-button"
+              disabled={saving || !details.planOverride}
+              onClick={() =>
+                run(
+                  (r) => clearPlanOverride(userId, { reason: r }),
+                  isAr ? "عادت الخطة المدفوعة." : "Back to the billed plan."
+                )
+              }
+            >
+              {isAr ? "إلغاء" : "Remove"}
+            </button>
+          </div>
+
+          <div className="admin-cost-ceiling-form">
+            <input
+              type="number"
+              min="1"
+              max="10000"
+              className="admin-search-input"
+              placeholder={isAr ? "عدد الرسائل" : "Messages"}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+            <button
+              type="button"
+              className="admin-pagination-button"
+              disabled={saving}
+              onClick={() =>
+                run(
+                  (r) => grantBonusMessages(userId, { amount: Number(amount), reason: r }),
+                  isAr ? "تمت إضافة الرسائل." : "Messages granted."
+                )
+              }
+            >
+              {isAr ? "منح رسائل" : "Grant messages"}
+            </button>
+            <button
+              type="button"
+              className="admin-pagination-button"
+              disabled={saving}
+              onClick={() =>
+                run((r) => resetUsage(userId, { reason: r }), isAr ? "تم تصفير الاستخدام." : "Usage reset.")
+              }
+            >
+              {isAr ? "تصفير الاستخدام" : "Reset usage"}
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="admin-cost-ceiling-form">
+        {canSuspend && (
+          <button
+            type="button"
+            className="admin-delete-button"
+            disabled={saving}
+            onClick={() =>
+              details.suspendedAt
+                ? run((r) => unsuspendUser(userId, { reason: r }), isAr ? "تم رفع الإيقاف." : "Account unsuspended.")
+                : run((r) => suspendUser(userId, { reason: r }), isAr ? "تم إيقاف الحساب." : "Account suspended.")
+            }
+          >
+            {details.suspendedAt
+              ? isAr ? "رفع الإيقاف" : "Unsuspend"
+              : isAr ? "إيقاف الحساب" : "Suspend"}
+          </button>
+        )}
+        {canManage && (
+          <button
+            type="button"
+            className="admin-delete-button"
+            disabled={saving}
+            onClick={() =>
+              run(
+                (r) => forceLogout(userId, { reason: r }),
+                isAr ? "تم تسجيل خروج المستخدم من كل الأجهزة." : "Signed out everywhere."
+              )
+            }
+          >
+            {isAr ? "تسجيل الخروج من كل الأجهزة" : "Force logout"}
+          </button>
+        )}
+      </div>
+
+      {notice && <div className="admin-details-placeholder">{notice}</div>}
+      {error && <div className="admin-delete-error">{error}</div>}
+    </div>
+  );
+}
+
+// Who did what through the admin API, newest first.
+const AUDIT_PAGE_SIZE = 50;
+
+function AuditLogPanel({ isAr }) {
+  const [entries, setEntries] = useState([]);
+  const [before, setBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [hasMore, setHasMore] = useState(false);
+
+  useEffect(() => {
+    let aborted = false;
+    getAuditLog({ before, limit: AUDIT_PAGE_SIZE })
+      .then((data) => {
+        if (aborted) return;
+        setEntries((prev) => (before ? [...prev, ...data.entries] : data.entries));
+        setHasMore(data.entries.length === AUDIT_PAGE_SIZE);
+      })
+      .catch((e) => {
+        if (!aborted) setError(e.message || "Failed to load audit log");
+      })
+      .finally(() => {
+        if (!aborted) setLoading(false);
+      });
+    return () => { aborted = true; };
+  }, [before]);
+
+  const loadMore = () => {
+    setLoading(true);
+    setError("");
+    setBefore(entries[entries.length - 1].id);
+  };
+
+  return (
+    <div className="admin-card admin-cost-card">
+      <div className="admin-card-inner">
+        <div className="admin-card-header">
+          <h2 className="admin-card-title">{isAr ? "سجل الإجراءات" : "Audit log"}</h2>
+        </div>
+
+        {error && <div className="admin-error">{isAr ? `خطأ: ${error}` : `Error: ${error}`}</div>}
+
+        {entries.length === 0 && !loading ? (
+          <div className="admin-table-empty">{isAr ? "لا توجد بيانات." : "No data."}</div>
+        ) : (
+          <table className="admin-cost-table">
+            <thead>
+              <tr>
+                <th>{isAr ? "الوقت" : "Time"}</th>
+                <th>{isAr ? "المنفذ" : "Actor"}</th>
+                <th>{isAr ? "الإجراء" : "Action"}</th>
+                <th>{isAr ? "المستخدم" : "User"}</th>
+                <th>{isAr ? "الحالة" : "Status"}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td>{new Date(entry.createdAt).toISOString().slice(0, 16).replace("T", " ")}</td>
+                  <td>
+                    {entry.actorEmail || (isAr ? "النظام" : "system")}
+                    {entry.actorRole ? ` (${entry.actorRole})` : ""}
+                  </td>
+                  <td>{entry.action}</td>
+                  <td>{entry.targetUserId ? `#${entry.targetUserId}` : "—"}</td>
+                  <td>{entry.status ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {loading && <div className="admin-loading">{isAr ? "جاري التحميل..." : "Loading..."}</div>}
+        {hasMore && !loading && (
+          <button
+            type="button"
+            className="admin-pagination-button"
+            onClick={loadMore}
+          >
+            {isAr ? "المزيد" : "Load more"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
 export default function AdminDashboard() {
   const { user, logout } = useAuth();
   const [lang, setLang] = useState(() => (typeof window !== "undefined" ? (localStorage.getItem("asrar-lang") || "ar") : "ar"));
@@ -251,6 +936,9 @@ export default function AdminDashboard() {
     return () => { aborted = true; };
   }, []);
 
+  // What this viewer's role allows (config/roles.js on the server)
+  const can = (permission) => !!stats?.viewer?.permissions?.includes(permission);
+
   // Derived users from stats
   const allUsers = Array.isArray(stats?.users) ? stats.users : [];
   const filteredUsers = allUsers.filter((u) => {
@@ -364,6 +1052,34 @@ export default function AdminDashboard() {
     }
   };
 
+  const handleRoleChanged = (changed) => {
+    setStats((prev) =>
+      prev && Array.isArray(prev.users)
+        ? { ...prev, users: prev.users.map((u) => (u.id === changed.id ? { ...u, role: changed.role } : u)) }
+        : prev
+    );
+    setSelectedUser((prev) => (prev && prev.id === changed.id ? { ...prev, role: changed.role } : prev));
+  };
+
+  // After a plan override, suspension or usage change (UserManageSection)
+  const handleAccountChanged = (changed) => {
+    const patch = {
+      effectivePlan: changed.effectivePlan,
+      planOverride: changed.planOverride,
+      planOverrideExpiresAt: changed.planOverrideExpiresAt,
+      suspendedAt: changed.suspendedAt,
+      dailyUsed: changed.usage ? changed.usage.dailyCount : 0,
+      monthlyUsed: changed.usage ? changed.usage.monthlyCount : 0,
+      bonusMessages: changed.usage ? changed.usage.bonusMessages : 0,
+    };
+    setStats((prev) =>
+      prev && Array.isArray(prev.users)
+        ? { ...prev, users: prev.users.map((u) => (u.id === changed.id ? { ...u, ...patch } : u)) }
+        : prev
+    );
+    setSelectedUser((prev) => (prev && prev.id === changed.id ? { ...prev, ...patch } : prev));
+  };
+
   if (isPageLoading) {
     return <HomeSplash />;
   }
@@ -469,7 +1185,7 @@ export default function AdminDashboard() {
                     users={currentUsers}
                     selectedUser={selectedUser}
                     onSelectUser={setSelectedUser}
-                    onDeleteUser={handleDeleteUser}
+                    onDeleteUser={can("users:delete") ? handleDeleteUser : null}
                     deletingUserId={deletingUserId}
                     isAr={isAr}
                   />
@@ -532,9 +1248,48 @@ export default function AdminDashboard() {
                     <h2 className="admin-card-title">{isAr ? "تفاصيل المستخدم" : "User Details"}</h2>
                   </div>
                   <UserDetailsPanel user={selectedUser} isAr={isAr} />
+                  {selectedUser && can("roles:manage") && (
+                    <UserRoleSection
+                      key={`role-${selectedUser.id}`}
+                      user={selectedUser}
+                      isAr={isAr}
+                      onChanged={handleRoleChanged}
+                    />
+                  )}
+                  {selectedUser && (can("users:manage") || can("users:suspend")) && (
+                    <UserManageSection
+                      key={`manage-${selectedUser.id}`}
+                      userId={selectedUser.id}
+                      isAr={isAr}
+                      canManage={can("users:manage")}
+                      canSuspend={can("users:suspend")}
+                      onChanged={handleAccountChanged}
+                    />
+                  )}
+                  {selectedUser && can("usage:view") && (
+                    <UserCostSection
+                      key={selectedUser.id}
+                      userId={selectedUser.id}
+                      isAr={isAr}
+                      canEditCeiling={can("limits:manage")}
+                    />
+                  )}
                 </div>
               </div>
             </div>
+
+            {/* LLM Cost */}
+            {can("usage:view") && (
+              <CostPanel
+                isAr={isAr}
+                onSelectUserId={(id) => {
+                  const match = allUsers.find((u) => u.id === id);
+                  if (match) setSelectedUser(match);
+                }}
+              />
+            )}
+
+            {can("audit:view") && <AuditLogPanel isAr={isAr} />}
           </>
         )}
       </main>
@@ -19,23 +19,17 @@ import GoogleAuthComplete from "./GoogleAuthComplete";
 import AdminDashboard from "./AdminDashboard";
 import ForgotPassword from "./ForgotPassword";
 import ResetPassword from "./ResetPassword";
+import UndoAccountDeletion from "./UndoAccountDeletion";
+import VerifyEmail from "./VerifyEmail";
+import ConfirmEmailChange from "./ConfirmEmailChange";
 import HomeSplash from "./components/HomeSplash";
 
 
 import { AuthProvider, useAuth } from "./hooks/useAuth"; // <-- make sure path is correct
+import { isStaffUser } from "./api/adminRoles";
 import "./Global.css";
 import "./App.css";
 
-const DEFAULT_ADMIN_EMAIL = "zaynzayn9696@gmail.com";
-const RAW_ADMIN_EMAILS =
-  import.meta.env.VITE_ADMIN_EMAILS ||
-  import.meta.env.VITE_ADMIN_EMAIL ||
-  DEFAULT_ADMIN_EMAIL;
-
-const ADMIN_EMAILS = RAW_ADMIN_EMAILS.split(",")
-  .map((value) => value.trim().toLowerCase())
-  .filter(Boolean);
-
 // Wrapper that protects routes
 function ProtectedRoute({ children }) {
   const { user, isAuthLoading } = useAuth();
@@ -78,8 +72,7 @@ function AdminRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
 
-  const email = (user.email || "").toLowerCase();
-  if (!ADMIN_EMAILS.includes(email)) {
+  if (!isStaffUser(user)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -141,6 +134,10 @@ function App() {
               </GuestOnlyRoute>
             }
           />
+          {/* Works logged in or out: the emailed link is the credential */}
+          <Route path="/undo-account-deletion" element={<UndoAccountDeletion />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/confirm-email-change" element={<ConfirmEmailChange />} />
 
           {/* Protected pages */}
           <Route
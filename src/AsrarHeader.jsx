@@ -2,18 +2,9 @@
 import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "./hooks/useAuth";
+import { isStaffUser } from "./api/adminRoles";
 import defaultAvatar from "./assets/favicon.png";
 
-const DEFAULT_ADMIN_EMAIL = "zaynzayn9696@gmail.com";
-const RAW_ADMIN_EMAILS =
-  import.meta.env.VITE_ADMIN_EMAILS ||
-  import.meta.env.VITE_ADMIN_EMAIL ||
-  DEFAULT_ADMIN_EMAIL;
-
-const ADMIN_EMAILS = RAW_ADMIN_EMAILS.split(",")
-  .map((value) => value.trim().toLowerCase())
-  .filter(Boolean);
-
 export default function AsrarHeader({
   lang,
   isAr,
@@ -157,12 +148,11 @@ export default function AsrarHeader({
               <Link to="/history" className="asrar-dash-header-link">
                 {nav.history}
               </Link>
-              {user?.email &&
-                ADMIN_EMAILS.includes(user.email.toLowerCase()) && (
-                  <Link to="/admin" className="asrar-dash-header-link">
-                    {isAr ? "الإدارة" : "Admin"}
-                  </Link>
-                )}
+              {isStaffUser(user) && (
+                <Link to="/admin" className="asrar-dash-header-link">
+                  {isAr ? "الإدارة" : "Admin"}
+                </Link>
+              )}
 
               {/* user avatar + dropdown */}
               <div className="asrar-dash-header-user">
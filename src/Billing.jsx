@@ -205,6 +205,12 @@ export default function Billing() {
         const status = err?.status || err?.response?.status;
         if (status === 401) {
           navigate("/login?next=/billing");
+        } else if (err?.body?.code === "EMAIL_NOT_VERIFIED") {
+          alert(
+            isAr
+              ? "يرجى تأكيد بريدك الإلكتروني أولاً. يمكنك إعادة إرسال رابط التأكيد من الإعدادات."
+              : "Please verify your email address first. You can resend the link from Settings."
+          );
         } else {
           alert(isAr ? "تعذر إنشاء عملية الدفع حالياً." : "Payment could not be started. Please try again.");
         }
@@ -245,6 +251,12 @@ export default function Billing() {
         const status = err?.status || err?.response?.status;
         if (status === 401) {
           navigate("/login?next=/billing");
+        } else if (err?.body?.code === "EMAIL_NOT_VERIFIED") {
+          alert(
+            isAr
+              ? "يرجى تأكيد بريدك الإلكتروني أولاً. يمكنك إعادة إرسال رابط التأكيد من الإعدادات."
+              : "Please verify your email address first. You can resend the link from Settings."
+          );
         } else {
           alert(isAr ? "تعذر إنشاء عملية الدفع حالياً." : "Payment could not be started. Please try again.");
         }
@@ -61,6 +61,8 @@ const CHARACTERS = [
 const FREE_CHARACTER_IDS = ["sheikh-al-hara", "abu-mukh", "daloua"];
 
 const CHAT_HISTORY_KEY = "asrar-chat-history";
+// Read (and cleared) by ChatPage to open a specific conversation from search.
+const OPEN_CONVERSATION_KEY = "asrar-open-conversation";
 
 const getInitialLang = () => {
   if (typeof window !== "undefined") {
@@ -78,6 +80,14 @@ const TEXT = {
     emptyGlobal: "You haven't started any conversations yet.",
     noHistoryForChar: "No history yet with this companion.",
     resumeButton: "Resume chat",
+    searchPlaceholder: "Search your conversations…",
+    searchButton: "Search",
+    searchClear: "Clear",
+    searchNoResults: "No messages match your search.",
+    searchHistoryOff:
+      "Search only covers history saved on the server. Turn on \"Save history\" in Settings to use it.",
+    searchError: "Search failed. Please try again.",
+    searchYou: "You",
   },
   ar: {
     eyebrow: "السجل",
@@ -87,6 +97,14 @@ const TEXT = {
     emptyGlobal: "لم تبدأ أي محادثة بعد.",
     noHistoryForChar: "لا يوجد سجل بعد مع هذا الرفيق.",
     resumeButton: "متابعة المحادثة",
+    searchPlaceholder: "ابحث في محادثاتك…",
+    searchButton: "بحث",
+    searchClear: "مسح",
+    searchNoResults: "لا توجد رسائل مطابقة لبحثك.",
+    searchHistoryOff:
+      "البحث يشمل فقط السجل المحفوظ على الخادم. فعّل \"حفظ السجل\" من الإعدادات لاستخدامه.",
+    searchError: "تعذّر البحث. حاول مرة أخرى.",
+    searchYou: "أنت",
   },
 };
 
@@ -105,6 +123,10 @@ export default function ChatHistory() {
 
   const [historyMap, setHistoryMap] = useState({});
   const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [searchMessage, setSearchMessage] = useState("");
   const [windowWidth, setWindowWidth] = useState(
     typeof window !== "undefined" ? window.innerWidth : 1200
   );
@@ -213,6 +235,7 @@ export default function ChatHistory() {
           const text = (conv.firstUserMessage || "").trim();
           if (!text) return;
           map[c.id] = {
+            summary: (conv.summary || "").trim(),
             messages: [
               {
                 from: "user",
@@ -294,6 +317,77 @@ export default function ChatHistory() {
     navigate("/chat");
   };
 
+  const handleSearch = async (e) => {
+    if (e) e.preventDefault();
+    const q = searchQuery.trim();
+    if (!q) return;
+
+    setSearchLoading(true);
+    setSearchMessage("");
+    try {
+      const token = localStorage.getItem(TOKEN_KEY);
+      const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
+      const res = await fetch(
+        `${API_BASE}/api/chat/search?q=${encodeURIComponent(q)}`,
+        { method: "GET", credentials: "include", headers }
+      );
+      if (!res.ok) {
+        console.error("[ChatHistory] search failed", res.status);
+        setSearchResults([]);
+        setSearchMessage(t.searchError);
+        return;
+      }
+      const data = await res.json().catch(() => null);
+      const list = data && Array.isArray(data.conversations) ? data.conversations : [];
+      setSearchResults(list);
+      if (data && data.historyDisabled) {
+        setSearchMessage(t.searchHistoryOff);
+      } else if (!list.length) {
+        setSearchMessage(t.searchNoResults);
+      }
+    } catch (err) {
+      console.error("[ChatHistory] search failed", err);
+      setSearchResults([]);
+      setSearchMessage(t.searchError);
+    } finally {
+      setSearchLoading(false);
+    }
+  };
+
+  const handleClearSearch = () => {
+    setSearchQuery("");
+    setSearchResults(null);
+    setSearchMessage("");
+  };
+
+  const handleOpenSearchResult = (result) => {
+    const isLocked = isFreePlan && !FREE_CHARACTER_IDS.includes(result.characterId);
+    if (isLocked) {
+      navigate("/billing");
+      return;
+    }
+    if (typeof window !== "undefined") {
+      localStorage.setItem("asrar-selected-character", result.characterId);
+      localStorage.setItem(OPEN_CONVERSATION_KEY, String(result.conversationId));
+    }
+    navigate("/chat");
+  };
+
+  const renderSnippet = (snippet) => {
+    if (!snippet || !snippet.text) return null;
+    const { text, matchStart, matchLength } = snippet;
+    if (!(matchLength > 0)) return text;
+    return (
+      <>
+        {text.slice(0, matchStart)}
+        <mark className="asrar-history-search-mark">
+          {text.slice(matchStart, matchStart + matchLength)}
+        </mark>
+        {text.slice(matchStart + matchLength)}
+      </>
+    );
+  };
+
   const getName = (c) => (isAr ? c.nameAr : c.nameEn);
   const getRole = (c) => (isAr ? c.roleAr : c.roleEn);
 
@@ -322,6 +416,13 @@ export default function ChatHistory() {
     return text.slice(0, 120) + "…";
   };
 
+  // Rolling server-side summary of the conversation, when one exists.
+  const getSummaryPreview = (entry) => {
+    const summary = (entry && entry.summary) || "";
+    if (summary.length <= 140) return summary;
+    return summary.slice(0, 140) + "…";
+  };
+
   const [isPageLoading, setIsPageLoading] = useState(true);
 
   useEffect(() => {
@@ -359,6 +460,74 @@ export default function ChatHistory() {
           <h1 className="asrar-dash-title">{t.title}</h1>
           <p className="asrar-dash-subtitle">{t.subtitle}</p>
 
+          <form className="asrar-history-search" onSubmit={handleSearch} role="search">
+            <input
+              type="search"
+              className="asrar-history-search-input"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder={t.searchPlaceholder}
+              maxLength={200}
+              dir="auto"
+            />
+            <button
+              type="submit"
+              className="asrar-history-search-btn"
+              disabled={searchLoading || !searchQuery.trim()}
+            >
+              {t.searchButton}
+            </button>
+            {searchResults !== null && (
+              <button
+                type="button"
+                className="asrar-history-search-btn asrar-history-search-btn--ghost"
+                onClick={handleClearSearch}
+              >
+                {t.searchClear}
+              </button>
+            )}
+          </form>
+
+          {searchResults !== null && (
+            <div className="asrar-history-search-results">
+              {searchMessage && (
+                <p className="asrar-history-empty-global">{searchMessage}</p>
+              )}
+              {searchResults.map((result) => {
+                const c = CHARACTERS.find((x) => x.id === result.characterId);
+                return (
+                  <button
+                    key={result.conversationId}
+                    type="button"
+                    className="asrar-history-search-result"
+                    onClick={() => handleOpenSearchResult(result)}
+                  >
+                    <div className="asrar-history-search-result-head">
+                      {c && (
+                        <img
+                          src={c.avatar}
+                          alt={getName(c)}
+                          className="asrar-history-search-avatar"
+                        />
+                      )}
+                      <span className="asrar-dash-char-name">
+                        {result.title || (c ? getName(c) : result.characterId)}
+                      </span>
+                    </div>
+                    {(result.matches || []).map((m) => (
+                      <div key={m.messageId} className="asrar-history-search-snippet" dir="auto">
+                        <span className="asrar-history-search-role">
+                          {m.role === "user" ? t.searchYou : c ? getName(c) : ""}:
+                        </span>{" "}
+                        {renderSnippet(m.snippet)}
+                      </div>
+                    ))}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
           {loading && (
             <div className="asrar-history-skeleton-wrap">
               <div className="asrar-history-skeleton-card" />
@@ -402,6 +571,11 @@ export default function ChatHistory() {
                         <div className="asrar-history-snippet">
                           {getLastSnippet(entry)}
                         </div>
+                        {getSummaryPreview(entry) && (
+                          <div className="asrar-history-summary" dir="auto">
+                            {getSummaryPreview(entry)}
+                          </div>
+                        )}
                       </div>
                     </button>
                   );
@@ -461,6 +635,11 @@ export default function ChatHistory() {
                         <div className="asrar-history-snippet">
                           {getLastSnippet(entry)}
                         </div>
+                        {getSummaryPreview(entry) && (
+                          <div className="asrar-history-summary" dir="auto">
+                            {getSummaryPreview(entry)}
+                          </div>
+                        )}
                       </div>
                     </button>
                   );
@@ -6,6 +6,8 @@ import AsrarHeader from "./AsrarHeader";
 import HomeSplash from "./components/HomeSplash";
 
 import VoiceMessageBubble from "./VoiceMessageBubble"; // tap-to-play audio bubble for voice replies
+import VoiceCallScreen from "./VoiceCallScreen";
+import { VOICE_ERROR_CODES, getVoiceErrorText } from "./voiceErrors";
 import WhispersBadge from "./WhispersBadge";
 import WhisperUnlockCard from "./WhisperUnlockCard";
 import WhispersPanel from "./WhispersPanel";
@@ -15,6 +17,8 @@ import ChatMoodBackdrop from "./components/ChatMoodBackdrop";
 import CurrentMoodBadge from "./components/CurrentMoodBadge";
 import { deriveUIMoodFromTimeline } from "./components/moodUtils";
 import { API_BASE } from "./apiBase";
+import { isEventStream, readChatStream } from "./api/chatStream";
+import { voiceFieldsFromAttachments } from "./api/attachments";
 
 import abuZainAvatar from "./assets/abu_zain.png";
 import hanaAvatar from "./assets/hana.png";
@@ -208,6 +212,13 @@ function isArabicText(str) {
   return isArabic(str);
 }
 
+// Monthly cost ceiling reached (429 usage_limit_reached with limitType "cost").
+function getCostLimitText(isArabicConversation) {
+  return isArabicConversation
+    ? "تم الوصول إلى حد الاستخدام لهذا الشهر. يمكنك الانتظار حتى الشهر القادم أو التواصل مع الدعم."
+    : "You have reached your usage limit for this month. Please wait until next month or contact support.";
+}
+
 function getSupportedMimeType() {
   if (typeof window === 'undefined' || !window.MediaRecorder) return '';
 
@@ -290,6 +301,7 @@ export default function ChatPage() {
   const [isRecording, setIsRecording] = useState(false);
   const [isSendingVoice, setIsSendingVoice] = useState(false);
   const recorderRef = useRef(null);
+  const [isCallOpen, setIsCallOpen] = useState(false);
 
   const [showLockedModal, setShowLockedModal] = useState(false);
   const [showLimitModal, setShowLimitModal] = useState(false);
@@ -385,14 +397,13 @@ export default function ChatPage() {
   const [hasHydratedHistory, setHasHydratedHistory] = useState(false);
   const [showScrollToBottom, setShowScrollToBottom] = useState(false);
 
+  // True while reply tokens are streaming into the last AI message.
   const [isAiTyping, setIsAiTyping] = useState(false);
-  const [aiTypingBuffer, setAiTypingBuffer] = useState("");
-  const [aiTypingMessageId, setAiTypingMessageId] = useState(null);
 
   const messagesContainerRef = useRef(null);
   const inputRef = useRef(null);
   const engineMenuRef = useRef(null);
-  const aiTypingIntervalRef = useRef(null);
+  const chatStreamAbortRef = useRef(null);
 
   // helper: pick any available mic deviceId
   const getAnyMicDeviceId = async () => {
@@ -455,8 +466,10 @@ export default function ChatPage() {
 
     const monthlyLimit = usageInfo.monthlyLimit;
     const monthlyUsed = usageInfo.monthlyUsed;
+    // Bonus messages granted by support come on top of the plan limit.
+    const bonusMessages = usageInfo.bonusMessages || 0;
 
-    if (monthlyLimit && monthlyLimit > 0 && monthlyUsed >= monthlyLimit) {
+    if (monthlyLimit && monthlyLimit > 0 && monthlyUsed >= monthlyLimit + bonusMessages) {
       setLimitExceeded(true);
       setLimitUsage(usageInfo);
       setLimitResetSeconds(null);
@@ -467,7 +480,13 @@ export default function ChatPage() {
 
   const [reloadConversationsToken, setReloadConversationsToken] = useState(0);
 
-  const mergeServerMessagesWithLocalVoiceHistory = (serverMsgs, convId) => {
+  const mergeServerMessagesWithLocalVoiceHistory = (rawServerMsgs, convId) => {
+    // Saved voice turns carry their audio as attachments; local base64 audio
+    // (below) still wins when this device has it.
+    const serverMsgs = rawServerMsgs.map((m) => ({
+      ...m,
+      ...voiceFieldsFromAttachments(m.attachments),
+    }));
     let finalMsgs = serverMsgs;
     try {
       if (typeof window !== "undefined" && user && user.id) {
@@ -589,6 +608,16 @@ export default function ChatPage() {
         if (Array.isArray(list)) setConversations(list);
 
         let cid = (Array.isArray(list) && list.length) ? list[0].id : null;
+        // Opened from a Chat History search result: jump to that conversation
+        // instead of the latest one, as long as it belongs to this companion.
+        let requestedId = null;
+        try {
+          requestedId = Number(localStorage.getItem("asrar-open-conversation")) || null;
+          localStorage.removeItem("asrar-open-conversation");
+        } catch (_) {}
+        if (requestedId && Array.isArray(list) && list.some((c) => c.id === requestedId)) {
+          cid = requestedId;
+        }
         if (!cid && !reloadConversationsToken) {
           const createRes = await fetch(`${API_BASE}/api/chat/conversations`, {
             method: 'POST', credentials: 'include', headers,
@@ -690,6 +719,9 @@ export default function ChatPage() {
               createdAt: m.createdAt || new Date().toISOString(),
               audioBase64: m.audioBase64 || null,
               audioMimeType: m.audioMimeType || null,
+              audioUrl: m.audioUrl || null,
+              waveformPeaks: m.waveformPeaks || null,
+              durationMs: m.durationMs || null,
             }))
           );
         } else {
@@ -1428,14 +1460,12 @@ useEffect(() => {
     const trimmed = source.trim();
     if (!trimmed || isSending) return;
 
-    // Reset any in-progress AI typing animation when a new text send starts
-    if (aiTypingIntervalRef.current) {
-      clearInterval(aiTypingIntervalRef.current);
-      aiTypingIntervalRef.current = null;
+    // Drop any reply stream that is still open when a new text send starts
+    if (chatStreamAbortRef.current) {
+      chatStreamAbortRef.current.abort();
+      chatStreamAbortRef.current = null;
     }
     setIsAiTyping(false);
-    setAiTypingBuffer("");
-    setAiTypingMessageId(null);
 
     setIsEngineMenuOpen(false);
 
@@ -1452,6 +1482,7 @@ useEffect(() => {
     }
 
     const suggested = suggestBetterCompanion(trimmed, selectedCharacterId);
+    const aiMessageId = userMessage.id + 1;
 
     setIsSending(true);
 
@@ -1482,10 +1513,14 @@ useEffect(() => {
             "Content-Type": "application/json",
           };
 
+      const streamAbort = new AbortController();
+      chatStreamAbortRef.current = streamAbort;
+
       const res = await fetch(`${API_BASE}/api/chat/message`, {
         method: "POST",
         credentials: "include",
         headers,
+        signal: streamAbort.signal,
         body: JSON.stringify({
           messages: payloadMessages,
           characterId: selectedCharacterId,
@@ -1497,10 +1532,47 @@ useEffect(() => {
           save: user?.saveHistoryEnabled !== false,
           tone: selectedTone,
           engine: selectedEngine,
+          stream: true,
         }),
       });
 
-      const data = await res.json().catch(() => ({}));
+      // Streamed replies: render deltas into the AI bubble as they arrive.
+      // The final "done" frame carries the authoritative (orchestrated) text,
+      // which replaces whatever was streamed.
+      let data = {};
+      let hasStreamedBubble = false;
+      if (res.ok && isEventStream(res)) {
+        const terminal = await readChatStream(res, (frame) => {
+          if (frame.type !== "delta" || !frame.text) return;
+          if (!hasStreamedBubble) {
+            hasStreamedBubble = true;
+            setIsAiTyping(true);
+            setMessages((prev) => [
+              ...prev,
+              {
+                id: aiMessageId,
+                from: "ai",
+                text: frame.text,
+                createdAt: new Date().toISOString(),
+              },
+            ]);
+            return;
+          }
+          setMessages((prev) =>
+            prev.map((m) =>
+              m.id === aiMessageId ? { ...m, text: `${m.text}${frame.text}` } : m
+            )
+          );
+        });
+        setIsAiTyping(false);
+        if (!terminal || terminal.type !== "done") {
+          throw new Error((terminal && terminal.message) || "Chat stream ended without a reply");
+        }
+        data = terminal;
+      } else {
+        data = await res.json().catch(() => ({}));
+      }
+
       if (!res.ok) {
         console.error("Chat send error", {
           status: res.status,
@@ -1533,7 +1605,9 @@ useEffect(() => {
             }
           }
           const isPrem = !!(user?.isPremium || user?.plan === 'premium' || user?.plan === 'pro');
-          if (isArabicConversation) {
+          if (data.limitType === "cost") {
+            setModalText(getCostLimitText(isArabicConversation));
+          } else if (isArabicConversation) {
             setModalText(
               data.limitType === "monthly"
                 ? (isPrem
@@ -1570,12 +1644,14 @@ useEffect(() => {
         return;
       }
 
-      // 1) Build and append assistant message, then animate it with a fast typing effect.
+      // 1) Build the final assistant message (replacing the streamed bubble if there is one).
       const aiText = data.reply || (isArabicConversation
         ? `واجهت مشكلة بسيطة في الاتصال. حاول مرة أخرى بعد قليل.`
         : "I had a small issue connecting. Please try again in a moment.");
       let finalText = aiText;
-      if (suggested) {
+      // Crisis replies come from the safety template; never append companion tips to them.
+      const isCrisisReply = !!(data.safety && data.safety.crisis);
+      if (suggested && !isCrisisReply) {
         const suggestedName = isArabicConversation ? (suggested.nameAr || '') : (suggested.nameEn || '');
         const lower = String(finalText).toLowerCase();
         const alreadyMentions = (
@@ -1592,13 +1668,19 @@ useEffect(() => {
       }
 
       const aiMessage = {
-        id: userMessage.id + 1,
+        id: aiMessageId,
         from: "ai",
         text: finalText,
         createdAt: new Date().toISOString(),
       };
 
-      setMessages((prev) => [...prev, aiMessage]);
+      if (hasStreamedBubble) {
+        setMessages((prev) =>
+          prev.map((m) => (m.id === aiMessageId ? { ...m, text: finalText } : m))
+        );
+      } else {
+        setMessages((prev) => [...prev, aiMessage]);
+      }
       
       // Bug 5 fix: Apply mood instantly from response emotion data (no refresh needed)
       if (data.emotion && data.emotion.primaryEmotion) {
@@ -1627,28 +1709,6 @@ useEffect(() => {
         }
       }
 
-      const fullText = String(finalText || "");
-      if (fullText) {
-        setAiTypingBuffer("");
-        setIsAiTyping(true);
-        setAiTypingMessageId(aiMessage.id);
-
-        let i = 0;
-        const typingInterval = setInterval(() => {
-          i++;
-          setAiTypingBuffer(fullText.slice(0, i));
-          if (i >= fullText.length) {
-            clearInterval(typingInterval);
-            aiTypingIntervalRef.current = null;
-            setIsAiTyping(false);
-            setAiTypingBuffer("");
-            setAiTypingMessageId(null);
-          }
-        }, 12);
-
-        aiTypingIntervalRef.current = typingInterval;
-      }
-
       // 2) Non-critical UI updates (usage, whispers, limit banner) in a follow-up tick.
       setTimeout(() => {
         if (data.usage) {
@@ -1698,6 +1758,8 @@ useEffect(() => {
         }, 0);
       }
     } catch (err) {
+      setIsAiTyping(false);
+      if (err && err.name === "AbortError") return;
       console.error("Failed to send chat message", err);
       const errorMessage = {
         id: userMessage.id + 1,
@@ -1707,9 +1769,14 @@ useEffect(() => {
           : "Something went wrong while generating a reply. Please try again later.",
         createdAt: new Date().toISOString(),
       };
-      setMessages((prev) => [...prev, errorMessage]);
+      // A failed stream may have left a partial AI bubble behind.
+      setMessages((prev) => [
+        ...prev.filter((m) => m.id !== aiMessageId),
+        errorMessage,
+      ]);
     } finally {
       setIsSending(false);
+      chatStreamAbortRef.current = null;
     }
   };
 
@@ -1739,6 +1806,76 @@ useEffect(() => {
     }
   };
 
+  // Live call: each spoken turn is appended as plain text messages; the
+  // recordings and replies are attached server-side and show up as voice
+  // bubbles when the conversation is reloaded.
+  const handleCallTurn = ({ userText, assistantText, emotion }) => {
+    setMessages((prev) => {
+      const lastId =
+        prev.length && typeof prev[prev.length - 1].id === "number"
+          ? prev[prev.length - 1].id
+          : prev.length;
+      const nowIso = new Date().toISOString();
+      const next = [...prev];
+      if (userText) {
+        next.push({ id: lastId + 1, from: "user", text: userText, createdAt: nowIso });
+      }
+      next.push({ id: lastId + 2, from: "ai", text: assistantText, createdAt: nowIso });
+      return next;
+    });
+    if (emotion && emotion.primaryEmotion) {
+      applyStableMood(String(emotion.primaryEmotion).toLowerCase());
+    }
+  };
+
+  const handleCallReplyDone = (data) => {
+    if (data.conversationId && !conversationId) {
+      setConversationId(data.conversationId);
+    }
+    if (data.usage) {
+      setUsageInfo(data.usage);
+      if (setUser) {
+        setUser((prev) => (prev ? { ...prev, usage: data.usage } : prev));
+      }
+    }
+    fetchEmotionalData();
+  };
+
+  const handleCallError = (data) => {
+    setIsCallOpen(false);
+    if (data.error === "premium_required") {
+      setModalText(
+        isArabicConversation
+          ? "هذه الشخصية متاحة فقط في الخطة المدفوعة. بإمكانك الترقية لفتح جميع الرفقاء."
+          : "This companion is available on the Premium plan. Upgrade to unlock all characters."
+      );
+      setShowLockedModal(true);
+      return;
+    }
+    const nextUsage = data.usage || usageInfo;
+    if (nextUsage) {
+      setUsageInfo(nextUsage);
+      if (setUser) {
+        setUser((prev) => (prev ? { ...prev, usage: nextUsage } : prev));
+      }
+    }
+    if (data.limitType === "cost") {
+      setModalText(getCostLimitText(isArabicConversation));
+      setShowLimitModal(true);
+      return;
+    }
+    setModalText(
+      isArabicConversation
+        ? (isPremiumUser
+            ? "وصلت إلى حد ٥٠٠ رسالة هذا الشهر في خطة برو. يمكنك الانتظار حتى الشهر القادم أو التواصل مع الدعم إذا كان هذا غير متوقع."
+            : "وصلت إلى حد ٥٠ رسالة هذا الشهر في الخطة المجانية. بإمكانك الترقية إلى برو للحصول على ٥٠٠ رسالة شهريًا.")
+        : (isPremiumUser
+            ? "You have reached your 500 messages limit for this month on the Pro plan. Please wait until next month or contact support if this seems incorrect."
+            : "You have reached your 50 messages limit for this month on the free plan. You can upgrade to Pro to get 500 messages per month.")
+    );
+    setShowLimitModal(true);
+  };
+
   // Voice flow:
   // 1) Mic button -> handleToggleRecording -> startRecording / stopRecording
   // 2) MediaRecorder captures audio and onstop sends it to /api/chat/voice
@@ -2039,6 +2176,11 @@ useEffect(() => {
                 }
               }
               const isPrem = !!(user?.isPremium || user?.plan === 'premium' || user?.plan === 'pro');
+              if (data.limitType === "cost") {
+                setModalText(getCostLimitText(isArabicConversation));
+                setShowLimitModal(true);
+                return;
+              }
               setModalText(
                 isArabicConversation
                   ? (isPrem
@@ -2051,6 +2193,28 @@ useEffect(() => {
               setShowLimitModal(true);
               return;
             }
+            // Rejected recording (too long, unsupported format, ...): keep the
+            // user's bubble so they can replay it, with the reason underneath.
+            if (data && VOICE_ERROR_CODES.has(data.error)) {
+              const rejectedMessage = userAudioBase64
+                ? {
+                    id: messages.length ? messages[messages.length - 1].id + 1 : 1,
+                    from: "user",
+                    text: "",
+                    createdAt: new Date().toISOString(),
+                    audioBase64: userAudioBase64,
+                    audioMimeType: mime,
+                    voiceError: data,
+                  }
+                : {
+                    id: messages.length ? messages[messages.length - 1].id + 1 : 1,
+                    from: "system",
+                    text: getVoiceErrorText(data, isArabicConversation),
+                    createdAt: new Date().toISOString(),
+                  };
+              setMessages((prev) => [...prev, rejectedMessage]);
+              return;
+            }
             const errorMessage = {
               id: messages.length ? messages[messages.length - 1].id + 1 : 1,
               from: "system",
@@ -2123,6 +2287,8 @@ useEffect(() => {
               createdAt: nowIso,
               audioBase64: userAudioBase64 || null,
               audioMimeType: mime,
+              waveformPeaks: data.inputAttachment ? data.inputAttachment.waveformPeaks : null,
+              durationMs: data.inputAttachment ? data.inputAttachment.durationMs : null,
             };
 
             // If we didn't get any audio back from the server, still show the
@@ -2223,7 +2389,9 @@ useEffect(() => {
           track.stop();
         }
       }
-    } catch (_) {}
+    } catch {
+      // The tracks may already be stopped; the mic is released either way.
+    }
     setIsRecording(false);
   };
 
@@ -2232,6 +2400,16 @@ useEffect(() => {
     return () => clearTimeout(tId);
   }, []);
 
+  // Close an open reply stream when leaving the page; the server then aborts
+  // the model call instead of generating for nobody.
+  useEffect(() => {
+    return () => {
+      if (chatStreamAbortRef.current) {
+        chatStreamAbortRef.current.abort();
+      }
+    };
+  }, []);
+
   if (isPageLoading) {
     return <HomeSplash />;
   }
@@ -2339,17 +2517,12 @@ useEffect(() => {
             )}
 
             {messages.map((msg) => {
-              const isAiVoice = msg.from === "ai" && !!msg.audioBase64;
-              const isUserVoice = msg.from === "user" && !!msg.audioBase64;
-              const isTextOnly = !msg.audioBase64; // any message without audio uses text bubble
+              const hasAudio = !!(msg.audioBase64 || msg.audioUrl);
+              const isAiVoice = msg.from === "ai" && hasAudio;
+              const isUserVoice = msg.from === "user" && hasAudio;
+              const isTextOnly = !hasAudio; // any message without audio uses text bubble
 
-              const isCurrentAiTyping =
-                isAiTyping && msg.id === aiTypingMessageId;
-
-              const isAiTextMessage =
-                msg.from === "ai" && isTextOnly && !isAiVoice;
-              const currentRenderedText =
-                isCurrentAiTyping ? aiTypingBuffer : msg.text;
+              const currentRenderedText = msg.text;
 
               const isAssistant = msg.from === "ai" || msg.from === "assistant";
 
@@ -2386,6 +2559,9 @@ useEffect(() => {
                     {isAiVoice && (
                       <VoiceMessageBubble
                         audioBase64={msg.audioBase64}
+                        audioUrl={msg.audioUrl}
+                        waveformPeaks={msg.waveformPeaks}
+                        durationMs={msg.durationMs}
                         from={msg.from}
                         isArabic={isArabicConversation}
                         mimeType={msg.audioMimeType}
@@ -2396,9 +2572,13 @@ useEffect(() => {
                     {isUserVoice && !isAiVoice && (
                       <VoiceMessageBubble
                         audioBase64={msg.audioBase64}
+                        audioUrl={msg.audioUrl}
+                        waveformPeaks={msg.waveformPeaks}
+                        durationMs={msg.durationMs}
                         from={msg.from}
                         isArabic={isArabicConversation}
                         mimeType={msg.audioMimeType}
+                        error={msg.voiceError || null}
                       />
                     )}
 
@@ -2472,7 +2652,7 @@ useEffect(() => {
 
           <footer className="asrar-chat-composer">
             <div className="asrar-chat-dock">
-              {isSending && (
+              {isSending && !isAiTyping && (
                 <div className="asrar-chat-row asrar-chat-row--assistant">
                   <div className="asrar-chat-bubble asrar-chat-bubble--typing">
                     <div className="asrar-typing-content">
@@ -2636,6 +2816,26 @@ useEffect(() => {
                     </svg>
                   </span>
                 </button>
+                <button
+                  type="button"
+                  className="asrar-mic-btn asrar-chat-voice-btn asrar-call-start-btn"
+                  onClick={() => setIsCallOpen(true)}
+                  disabled={isSending || isRecording || isSendingVoice || isBlocked || limitExceeded}
+                  title={isAr ? "مكالمة صوتية" : "Voice call"}
+                  aria-label={isAr ? "مكالمة صوتية" : "Voice call"}
+                >
+                  <span className="icon" aria-hidden="true">
+                    <svg
+                      width="18"
+                      height="18"
+                      viewBox="0 0 24 24"
+                      fill="currentColor"
+                      xmlns="http://www.w3.org/2000/svg"
+                    >
+                      <path d="M6.6 10.8a15.1 15.1 0 0 0 6.6 6.6l2.2-2.2a1 1 0 0 1 1-.25 11.4 11.4 0 0 0 3.6.57 1 1 0 0 1 1 1V20a1 1 0 0 1-1 1A17 17 0 0 1 3 4a1 1 0 0 1 1-1h3.5a1 1 0 0 1 1 1c0 1.25.2 2.45.57 3.6a1 1 0 0 1-.25 1l-2.2 2.2Z" />
+                    </svg>
+                  </span>
+                </button>
                 <button
                   type="submit"
                   className="asrar-send-btn"
@@ -2683,6 +2883,27 @@ useEffect(() => {
         </div>
       </main>
 
+      {isCallOpen && (
+        <VoiceCallScreen
+          characterName={characterDisplayName}
+          avatar={character.avatar}
+          isArabic={isArabicConversation}
+          callOptions={{
+            characterId: selectedCharacterId,
+            conversationId: conversationId || undefined,
+            lang: conversationLang,
+            dialect: selectedDialect || "msa",
+            tone: selectedTone,
+            save: user?.saveHistoryEnabled !== false,
+            messages: messages.map((m) => ({ from: m.from, text: m.text })),
+          }}
+          onTurn={handleCallTurn}
+          onReplyDone={handleCallReplyDone}
+          onCallError={handleCallError}
+          onClose={() => setIsCallOpen(false)}
+        />
+      )}
+
       {pendingDeleteConversationId && (
         <div
           className="asrar-modal-backdrop"
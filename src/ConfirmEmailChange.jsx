@@ -0,0 +1,161 @@
+// src/ConfirmEmailChange.jsx
+import React, { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import asrarLogo from "./assets/asrar-logo.png";
+import "./AuthPage.css";
+import { API_BASE } from "./apiBase";
+import { useAuth } from "./hooks/useAuth";
+
+const getInitialLang = () => {
+  if (typeof window !== "undefined") {
+    return localStorage.getItem("asrar-lang") || "ar";
+  }
+  return "ar";
+};
+
+const CHANGE_TEXT = {
+  en: {
+    title: "Change your email",
+    subtitle: "Confirm the new email address of your Asrar AI account.",
+    loading: "Confirming...",
+    pending:
+      "Confirmed. Now open the link we sent to your other email address to finish the change.",
+    completed: (email) => `Done! Your account now uses ${email}.`,
+    invalidToken:
+      "This link is invalid or has expired. You can start the change again from Settings.",
+    taken: "This email address is already used by another account. The change was cancelled.",
+    genericError: "Something went wrong while changing your email. Please try again.",
+    continueSignedIn: "Go to settings",
+    backToLogin: "Go to login",
+  },
+  ar: {
+    title: "تغيير بريدك الإلكتروني",
+    subtitle: "تأكيد البريد الإلكتروني الجديد لحسابك في أسرار AI.",
+    loading: "جاري التأكيد...",
+    pending:
+      "تم التأكيد. افتح الآن الرابط الذي أرسلناه إلى بريدك الآخر لإكمال التغيير.",
+    completed: (email) => `تم! حسابك يستخدم الآن ${email}.`,
+    invalidToken:
+      "هذا الرابط غير صالح أو منتهي الصلاحية. يمكنك بدء التغيير من جديد من الإعدادات.",
+    taken: "هذا البريد الإلكتروني مستخدم في حساب آخر. تم إلغاء التغيير.",
+    genericError: "حدث خطأ أثناء تغيير بريدك الإلكتروني. يرجى المحاولة مرة أخرى.",
+    continueSignedIn: "الذهاب إلى الإعدادات",
+    backToLogin: "الذهاب لتسجيل الدخول",
+  },
+};
+
+const ConfirmEmailChange = () => {
+  const [lang] = useState(getInitialLang);
+  const isArabic = lang === "ar";
+  const t = CHANGE_TEXT[isArabic ? "ar" : "en"];
+
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { user, setUser } = useAuth();
+
+  const rawToken = new URLSearchParams(location.search || "").get("token") || "";
+  const [status, setStatus] = useState(rawToken ? "loading" : "invalid");
+  const [newEmail, setNewEmail] = useState("");
+
+  useEffect(() => {
+    if (!rawToken) return;
+
+    const confirm = async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/auth/confirm-email-change`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ token: rawToken }),
+        });
+
+        const data = await res.json().catch(() => ({}));
+
+        if (res.ok && data && data.ok) {
+          setNewEmail(data.email || "");
+          setStatus(data.status === "completed" ? "completed" : "pending");
+          if (data.status === "completed") {
+            setUser((current) =>
+              current
+                ? { ...current, email: data.email, emailVerified: true, emailVerifiedAt: new Date().toISOString() }
+                : current
+            );
+          }
+        } else if (res.status === 409) {
+          setStatus("taken");
+        } else if (res.status === 400) {
+          setStatus("invalid");
+        } else {
+          setStatus("error");
+        }
+      } catch (err) {
+        console.error("Confirm email change error:", err);
+        setStatus("error");
+      }
+    };
+
+    confirm();
+  }, [rawToken, setUser]);
+
+  const renderBody = () => {
+    if (status === "loading") {
+      return (
+        <p className="auth-subtitle" style={{ marginTop: "16px" }}>
+          {t.loading}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {status === "completed" && (
+          <div className="auth-success-banner">{t.completed(newEmail)}</div>
+        )}
+        {status === "pending" && (
+          <div className="auth-success-banner">{t.pending}</div>
+        )}
+        {status === "invalid" && (
+          <div className="auth-error-banner">{t.invalidToken}</div>
+        )}
+        {status === "taken" && (
+          <div className="auth-error-banner">{t.taken}</div>
+        )}
+        {status === "error" && (
+          <div className="auth-error-banner">{t.genericError}</div>
+        )}
+        <button
+          type="button"
+          className="auth-primary-button"
+          style={{ marginTop: "20px" }}
+          onClick={() => navigate(user ? "/settings" : "/login")}
+        >
+          {user ? t.continueSignedIn : t.backToLogin}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className={`auth-page ${isArabic ? "auth-page-rtl" : ""}`}>
+      <div className="auth-glow-ring" />
+
+      <div
+        className="auth-card auth-card-anim"
+        dir={isArabic ? "rtl" : "ltr"}
+      >
+        <div className="auth-logo-wrap">
+          <Link to="/" className="auth-logo-link">
+            <img src={asrarLogo} alt="Asrar AI" className="auth-logo" />
+          </Link>
+        </div>
+
+        <h1 className="auth-title">{t.title}</h1>
+        <p className="auth-subtitle">{t.subtitle}</p>
+
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmEmailChange;
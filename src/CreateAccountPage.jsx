@@ -3,7 +3,8 @@ import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import asrarLogo from "./assets/asrar-logo.png";
 import "./AuthPage.css";
-import { useAuth, TOKEN_KEY } from "./hooks/useAuth";
+import { useAuth } from "./hooks/useAuth";
+import { storeAuthTokens } from "./api/authSession";
 import { API_BASE } from "./apiBase";
 
 const getInitialLang = () => {
@@ -90,7 +91,7 @@ const CreateAccountPage = () => {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
-      body: JSON.stringify({ name, email, password }),
+      body: JSON.stringify({ name, email, password, lang }),
     });
 
     const data = await res.json().catch(() => ({}));
@@ -105,9 +106,7 @@ const CreateAccountPage = () => {
       return;
     }
 
-    if (data.token && typeof window !== "undefined") {
-      localStorage.setItem(TOKEN_KEY, data.token);
-    }
+    storeAuthTokens(data);
 
     if (data.user) {
       setUser(data.user);
@@ -363,6 +363,12 @@ export default function Dashboard() {
         const status = err?.status || err?.response?.status;
         if (status === 401) {
           navigate("/login?next=/dashboard");
+        } else if (err?.body?.code === "EMAIL_NOT_VERIFIED") {
+          alert(
+            isAr
+              ? "يرجى تأكيد بريدك الإلكتروني أولاً. يمكنك إعادة إرسال رابط التأكيد من الإعدادات."
+              : "Please verify your email address first. You can resend the link from Settings."
+          );
         } else {
           alert(isAr ? "تعذر إنشاء عملية الدفع حالياً." : "Payment could not be started. Please try again.");
         }
@@ -403,6 +409,12 @@ export default function Dashboard() {
         const status = err?.status || err?.response?.status;
         if (status === 401) {
           navigate("/login?next=/dashboard");
+        } else if (err?.body?.code === "EMAIL_NOT_VERIFIED") {
+          alert(
+            isAr
+              ? "يرجى تأكيد بريدك الإلكتروني أولاً. يمكنك إعادة إرسال رابط التأكيد من الإعدادات."
+              : "Please verify your email address first. You can resend the link from Settings."
+          );
         } else {
           alert(isAr ? "تعذر إنشاء عملية الدفع حالياً." : "Payment could not be started. Please try again.");
         }
@@ -24,6 +24,8 @@ const FORGOT_TEXT = {
     genericError:
       "Something went wrong while requesting a reset link. Please try again.",
     backToLogin: "Back to login",
+    tooManyRequests: (minutes) =>
+      `Too many reset requests for this email. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
   },
   ar: {
     title: "نسيت كلمة المرور؟",
@@ -36,6 +38,8 @@ const FORGOT_TEXT = {
     genericError:
       "حدث خطأ أثناء طلب رابط إعادة التعيين. يرجى المحاولة مرة أخرى.",
     backToLogin: "العودة لتسجيل الدخول",
+    tooManyRequests: (minutes) =>
+      `طلبات كثيرة لإعادة تعيين كلمة المرور لهذا البريد. يرجى المحاولة بعد ${minutes} دقيقة.`,
   },
 };
 
@@ -76,8 +80,10 @@ const ForgotPassword = () => {
       });
 
       // Regardless of whether the email exists or not, backend returns ok
-      if (res.ok) {
-        setMessage(t.success);
+      if (res.status === 429) {
+        const data = await res.json().catch(() => ({}));
+        const seconds = data.retryAfterSeconds || Number(res.headers.get("Retry-After")) || 60;
+        setError(t.tooManyRequests(Math.max(1, Math.ceil(seconds / 60))));
       } else {
         setMessage(t.success);
       }
@@ -1,7 +1,8 @@
 // src/GoogleAuthComplete.jsx
 import React, { useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { useAuth, TOKEN_KEY } from "./hooks/useAuth";
+import { useAuth } from "./hooks/useAuth";
+import { storeAuthTokens } from "./api/authSession";
 import { API_BASE } from "./apiBase";
 
 export default function GoogleAuthComplete() {
@@ -20,10 +21,9 @@ export default function GoogleAuthComplete() {
           return;
         }
 
-        // Save token for future /auth/me calls
-        if (typeof window !== "undefined") {
-          localStorage.setItem(TOKEN_KEY, token);
-        }
+        // Save the access token for future /auth/me calls; the refresh
+        // token was set as a cookie by the callback.
+        storeAuthTokens({ token });
 
         // Fetch the full user using the Bearer token
         const res = await fetch(`${API_BASE}/api/auth/me`, {
@@ -1,9 +1,10 @@
 // src/LoginPage.jsx
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import asrarLogo from "./assets/asrar-logo.png";
 import "./AuthPage.css";
-import { useAuth, TOKEN_KEY } from "./hooks/useAuth";
+import { useAuth } from "./hooks/useAuth";
+import { storeAuthTokens } from "./api/authSession";
 import { API_BASE } from "./apiBase";
 
 const getInitialLang = () => {
@@ -25,6 +26,14 @@ const LOGIN_TEXT = {
     button: "Log in",
     footerText: "Don’t have an account?",
     footerLink: "Create free account",
+    twoFactorTitle: "Two-factor authentication",
+    twoFactorHint: "Enter the 6-digit code from your authenticator app, or one of your recovery codes.",
+    twoFactorLabel: "Code",
+    twoFactorButton: "Verify",
+    twoFactorBack: "Back to login",
+    accountLocked: (minutes) =>
+      `Too many failed attempts. For your security, sign-in is paused for ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    accountSuspended: "This account is suspended. Please contact support.",
   },
   ar: {
     title: "تسجيل الدخول إلى حسابك",
@@ -37,9 +46,34 @@ const LOGIN_TEXT = {
     button: "تسجيل الدخول",
     footerText: "ليس لديك حساب؟",
     footerLink: "إنشاء حساب جديد",
+    twoFactorTitle: "التحقق بخطوتين",
+    twoFactorHint: "أدخل الرمز المكوّن من 6 أرقام من تطبيق المصادقة، أو أحد رموز الاسترداد.",
+    twoFactorLabel: "الرمز",
+    twoFactorButton: "تحقق",
+    twoFactorBack: "العودة لتسجيل الدخول",
+    accountLocked: (minutes) =>
+      `محاولات فاشلة كثيرة. لحمايتك، أوقفنا تسجيل الدخول لمدة ${minutes} دقيقة.`,
+    accountSuspended: "تم إيقاف هذا الحساب. يرجى التواصل مع الدعم.",
   },
 };
 
+// Google sign-in of a 2FA account lands here with the challenge in the fragment.
+const readChallengeFromHash = () => {
+  if (typeof window === "undefined") return "";
+  const params = new URLSearchParams((window.location.hash || "").replace(/^#/, ""));
+  return params.get("twoFactorChallenge") || "";
+};
+
+// 429 ACCOUNT_LOCKED from the server (services/accountLockoutService.js) and
+// 403 ACCOUNT_SUSPENDED (services/adminUserService.js)
+const lockedMessage = (t, data) => {
+  if (data.code === "ACCOUNT_LOCKED") {
+    return t.accountLocked(Math.max(1, Math.ceil((data.retryAfterSeconds || 60) / 60)));
+  }
+  if (data.code === "ACCOUNT_SUSPENDED") return t.accountSuspended;
+  return null;
+};
+
 const LoginPage = () => {
   const [lang] = useState(getInitialLang);
   const isArabic = lang === "ar";
@@ -49,10 +83,80 @@ const LoginPage = () => {
   const [password, setPassword] = useState("");
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState("");
+  const [challengeToken, setChallengeToken] = useState(readChallengeFromHash);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
 
   const navigate = useNavigate();
   const { setUser } = useAuth();
 
+  useEffect(() => {
+    if (challengeToken && typeof window !== "undefined" && window.location.hash) {
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+  }, [challengeToken]);
+
+  const finishLogin = (data) => {
+    storeAuthTokens(data);
+
+    // 🔑 mark user as logged in in React
+    if (data.user) {
+      setUser(data.user);
+    }
+
+    // Decide where to send them based on any preselected character
+    let targetPath = "/dashboard";
+    if (typeof window !== "undefined") {
+      const preselected = localStorage.getItem("asrar-selected-character");
+      if (preselected) {
+        targetPath = "/chat";
+      }
+    }
+
+    // 🔑 go to dashboard
+    navigate(targetPath);
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!twoFactorCode.trim()) return;
+
+    try {
+      setSubmitting(true);
+      const res = await fetch(`${API_BASE}/api/auth/login/2fa`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ challengeToken, code: twoFactorCode.trim() }),
+      });
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        if (data.code === "CHALLENGE_EXPIRED") {
+          setChallengeToken("");
+          setTwoFactorCode("");
+        }
+        setError(
+          lockedMessage(t, data) ||
+            data.message ||
+            (isArabic ? "رمز التحقق غير صحيح." : "Invalid two-factor code.")
+        );
+        return;
+      }
+
+      finishLogin(data);
+    } catch (err) {
+      console.error("Two-factor login error:", err);
+      setError(
+        isArabic
+          ? "حدث خطأ غير متوقع أثناء تسجيل الدخول."
+          : "Unexpected error while logging in."
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
@@ -79,7 +183,8 @@ const LoginPage = () => {
 
       if (!res.ok) {
         setError(
-          data.message ||
+          lockedMessage(t, data) ||
+            data.message ||
             (isArabic
               ? "فشل تسجيل الدخول. تأكد من البيانات."
               : "Login failed. Please check your credentials.")
@@ -87,26 +192,13 @@ const LoginPage = () => {
         return;
       }
 
-      if (data.token && typeof window !== "undefined") {
-        localStorage.setItem(TOKEN_KEY, data.token);
-      }
-
-      // 🔑 mark user as logged in in React
-      if (data.user) {
-        setUser(data.user);
-      }
-
-      // Decide where to send them based on any preselected character
-      let targetPath = "/dashboard";
-      if (typeof window !== "undefined") {
-        const preselected = localStorage.getItem("asrar-selected-character");
-        if (preselected) {
-          targetPath = "/chat";
-        }
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setPassword("");
+        return;
       }
 
-      // 🔑 go to dashboard
-      navigate(targetPath);
+      finishLogin(data);
     } catch (err) {
       console.error("Login error:", err);
       setError(
@@ -133,13 +225,52 @@ const LoginPage = () => {
           </Link>
         </div>
 
-        <h1 className="auth-title">{t.title}</h1>
-        <p className="auth-subtitle">{t.subtitle}</p>
+        <h1 className="auth-title">{challengeToken ? t.twoFactorTitle : t.title}</h1>
+        <p className="auth-subtitle">{challengeToken ? t.twoFactorHint : t.subtitle}</p>
 
         {error && (
           <div className="auth-error-banner">{error}</div>
         )}
 
+        {challengeToken ? (
+          <form className="auth-form" onSubmit={handleTwoFactorSubmit}>
+            <div className="auth-field">
+              <label className="auth-label">{t.twoFactorLabel}</label>
+              <input
+                type="text"
+                className="auth-input"
+                inputMode="text"
+                autoComplete="one-time-code"
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="auth-primary-button"
+              disabled={submitting}
+            >
+              {t.twoFactorButton}
+            </button>
+
+            <div className="auth-row auth-row-meta">
+              <button
+                type="button"
+                className="auth-link-button auth-link-button-small"
+                onClick={() => {
+                  setChallengeToken("");
+                  setTwoFactorCode("");
+                  setError("");
+                }}
+              >
+                {t.twoFactorBack}
+              </button>
+            </div>
+          </form>
+        ) : (
+        <>
         <button
           type="button"
           className="auth-primary-button"
@@ -212,6 +343,8 @@ const LoginPage = () => {
             {t.footerLink}
           </Link>
         </p>
+        </>
+        )}
       </div>
     </div>
   );
@@ -7,7 +7,24 @@ import "./Settings.css";
 import "./AuthPage.css";
 import AsrarHeader from "./AsrarHeader";
 import { useAuth, TOKEN_KEY } from "./hooks/useAuth";
+import { storeAuthTokens } from "./api/authSession";
 import { API_BASE } from "./apiBase";
+import { listSessions, signOutSession, signOutOtherSessions } from "./api/sessions";
+import {
+  resendVerificationEmail,
+  getPendingEmailChange,
+  startEmailChange,
+  cancelEmailChange,
+} from "./api/emailVerification";
+import {
+  isReauthRequired,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  reauthenticate,
+} from "./api/twoFactor";
 import AsrarFooter from "./AsrarFooter";
 import defaultAvatar from "./assets/favicon.png";
 import HomeSplash from "./components/HomeSplash";
@@ -43,14 +60,131 @@ const SETTINGS_TEXT = {
     passwordHint: "Use at least 8 characters, including a number or symbol.",
     updatePassword: "Update password",
 
+    devicesTitle: "Devices & sessions",
+    devicesHint: "Devices signed in to your account. Sign out any you do not recognise.",
+    devicesEmpty: "No other devices are signed in.",
+    devicesLoadError: "Could not load your devices.",
+    devicesThisDevice: "This device",
+    devicesLastActive: "Last active",
+    devicesSignedIn: "Signed in",
+    devicesSignOut: "Sign out",
+    devicesSignOutOthers: "Sign out all other devices",
+    devicesUnknownLocation: "Unknown location",
+    deviceTypes: { mobile: "Phone", desktop: "Computer" },
+
+    emailTitle: "Email address",
+    emailVerifiedBadge: "Verified",
+    emailUnverified:
+      "Your email address is not verified yet. Open the link we emailed you to unlock upgrades and data export.",
+    emailResend: "Resend verification email",
+    emailResent: "Sent! Check your inbox (and spam folder).",
+    emailResendTooSoon: "Please wait a minute before requesting another email.",
+    emailChangeHint: "We'll email a confirmation link to both your current and your new address.",
+    emailNewLabel: "New email",
+    emailChange: "Change email",
+    emailChangePending: (email) =>
+      `Waiting for confirmation of ${email}. Open the links sent to both addresses within 24 hours.`,
+    emailChangeCancel: "Cancel change",
+    emailChangeMissing: "Enter the new email and your current password.",
+    exportNeedsVerifiedEmail: "Verify your email address to download your data.",
+
+    twoFactorTitle: "Two-factor authentication",
+    twoFactorOnBadge: "On",
+    twoFactorOffHint:
+      "Add a second step to your login: a 6-digit code from an authenticator app such as Google Authenticator or 1Password.",
+    twoFactorOnHint: (n) =>
+      `Logins ask for a code from your authenticator app. ${n} unused recovery code${n === 1 ? "" : "s"} left.`,
+    twoFactorSetup: "Set up two-factor authentication",
+    twoFactorScanHint:
+      "Open the link below on this device, or type the key into your authenticator app. Then enter the code it shows.",
+    twoFactorOpenApp: "Open in authenticator app",
+    twoFactorKeyLabel: "Setup key",
+    twoFactorCodeLabel: "Code from the app",
+    twoFactorEnable: "Turn on",
+    twoFactorDisable: "Turn off two-factor authentication",
+    twoFactorDisableConfirm:
+      "Turn off two-factor authentication? Your account will only be protected by your password.",
+    twoFactorRegenerate: "New recovery codes",
+    twoFactorRecoveryHint:
+      "Save these recovery codes somewhere safe. Each one can be used once to log in if you lose your phone. They won't be shown again.",
+    twoFactorRecoveryDone: "I saved them",
+
+    reauthTitle: "Confirm it's you",
+    reauthPasswordHint: "For your security, enter your password to continue.",
+    reauthCodeHint: "For your security, enter a code from your authenticator app (or a recovery code) to continue.",
+    reauthPasswordLabel: "Password",
+    reauthCodeLabel: "Code",
+    reauthContinue: "Continue",
+
     deleteAccountQuestion: "Need to leave Asrar?",
     deleteAccount: "Delete account",
+    deleteSummaryTitle: "This will permanently remove:",
+    deleteSummaryLoading: "Checking what will be deleted...",
+    deleteSubscriptionNote: "Your active subscription will be cancelled.",
+    deleteTypeConfirm: "Type DELETE to confirm.",
+    deleteLater: (days) => `Delete in ${days} days (undo by email)`,
+    deleteNow: "Delete now",
+    deleteScheduledNotice: (date) => `Your account is scheduled for deletion on ${date}.`,
+    deleteScheduledSuccess: "Deletion scheduled. We emailed you a link to undo it.",
+    deleteCancelScheduled: "Keep my account",
+    deleteCancelledSuccess: "Scheduled deletion cancelled.",
+    deletionCounts: {
+      conversations: "Conversations",
+      messages: "Messages",
+      memoryFacts: "Remembered details",
+      emotionalEvents: "Mood entries",
+      dailySummaries: "Daily mood summaries",
+      mirrorSessions: "Mirror sessions",
+      sessions: "Login sessions",
+      voiceAttachments: "Saved voice messages",
+      files: "Uploaded files (avatar, voice notes)",
+    },
 
     saveHistory: "Save my chat history",
+    keepVoiceNotes: "Keep my voice notes",
+    keepVoiceNotesHint:
+      "Off by default: recordings are deleted right after they are transcribed. When on, they are stored encrypted and only you can play them back.",
+    keepVoiceNotesCount: (n) => `${n} saved voice note${n === 1 ? "" : "s"}`,
+    keepVoiceNotesConfirmOff: "Turning this off deletes your saved voice notes. Continue?",
     deleteConversations: "Delete all my conversations",
     confirmDelete: "Are you sure? This action is irreversible.",
     cancel: "Cancel",
     confirm: "Confirm",
+
+    memoryTitle: "What Asrar remembers about me",
+    memoryHint:
+      "Details picked up from your chats so your companions remember you. Pin a detail to stop it from being changed automatically.",
+    memoryEmpty: "Nothing remembered yet.",
+    memoryLoadError: "Could not load your memory.",
+    memoryConfidence: "Confidence",
+    memoryFrom: "From a message on",
+    memoryEdit: "Edit",
+    memorySave: "Save",
+    memoryPin: "Pin",
+    memoryUnpin: "Unpin",
+    memoryPinned: "Pinned",
+    memoryDelete: "Forget",
+    memoryConfirmDelete: "Forget this detail?",
+
+    memoryModeLabel: "Memory depth",
+    memoryModes: {
+      LIGHT: {
+        title: "Light",
+        body: "Only mood trends are kept. No personal details are extracted from your messages and none are used in replies.",
+      },
+      STANDARD: {
+        title: "Standard",
+        body: "Details you state directly (name, age, city, work, likes and dislikes) are remembered and used to personalise replies.",
+      },
+      RICH: {
+        title: "Rich",
+        body: "Everything in Standard, plus AI-assisted detection of your name and goals, and more of the recent conversation in every reply.",
+      },
+    },
+    memoryPurgeQuestion: (count) =>
+      `Light mode stops storing new details. Also forget the ${count} detail(s) already stored?`,
+    memoryPurgeKeep: "Keep them",
+    memoryPurgeForget: "Forget them",
   },
   ar: {
     eyebrow: "الحساب",
@@ -74,17 +208,722 @@ const SETTINGS_TEXT = {
     passwordHint: "استخدم 8 أحرف على الأقل، مع رقم أو رمز.",
     updatePassword: "تحديث كلمة المرور",
 
+    devicesTitle: "الأجهزة والجلسات",
+    devicesHint: "الأجهزة المسجّل دخولها إلى حسابك. سجّل خروج أي جهاز لا تعرفه.",
+    devicesEmpty: "لا توجد أجهزة أخرى مسجّل دخولها.",
+    devicesLoadError: "تعذّر تحميل أجهزتك.",
+    devicesThisDevice: "هذا الجهاز",
+    devicesLastActive: "آخر نشاط",
+    devicesSignedIn: "تاريخ الدخول",
+    devicesSignOut: "تسجيل الخروج",
+    devicesSignOutOthers: "تسجيل الخروج من كل الأجهزة الأخرى",
+    devicesUnknownLocation: "موقع غير معروف",
+    deviceTypes: { mobile: "هاتف", desktop: "كمبيوتر" },
+
+    emailTitle: "البريد الإلكتروني",
+    emailVerifiedBadge: "مؤكَّد",
+    emailUnverified:
+      "لم يتم تأكيد بريدك الإلكتروني بعد. افتح الرابط الذي أرسلناه إليك لتفعيل الترقية وتنزيل بياناتك.",
+    emailResend: "إعادة إرسال رسالة التأكيد",
+    emailResent: "تم الإرسال! تحقق من بريدك الوارد (ومجلد الرسائل غير المرغوب فيها).",
+    emailResendTooSoon: "يرجى الانتظار دقيقة قبل طلب رسالة أخرى.",
+    emailChangeHint: "سنرسل رابط تأكيد إلى بريدك الحالي وإلى بريدك الجديد.",
+    emailNewLabel: "البريد الإلكتروني الجديد",
+    emailChange: "تغيير البريد الإلكتروني",
+    emailChangePending: (email) =>
+      `بانتظار تأكيد ${email}. افتح الرابطين المرسلين إلى البريدين خلال 24 ساعة.`,
+    emailChangeCancel: "إلغاء التغيير",
+    emailChangeMissing: "أدخل البريد الجديد وكلمة المرور الحالية.",
+    exportNeedsVerifiedEmail: "أكّد بريدك الإلكتروني لتتمكن من تنزيل بياناتك.",
+
+    twoFactorTitle: "التحقق بخطوتين",
+    twoFactorOnBadge: "مفعّل",
+    twoFactorOffHint:
+      "أضف خطوة ثانية لتسجيل الدخول: رمز من 6 أرقام من تطبيق مصادقة مثل Google Authenticator أو 1Password.",
+    twoFactorOnHint: (n) =>
+      `يطلب تسجيل الدخول رمزًا من تطبيق المصادقة. رموز الاسترداد المتبقية: ${n}.`,
+    twoFactorSetup: "إعداد التحقق بخطوتين",
+    twoFactorScanHint:
+      "افتح الرابط أدناه على هذا الجهاز، أو اكتب المفتاح في تطبيق المصادقة، ثم أدخل الرمز الذي يظهر.",
+    twoFactorOpenApp: "فتح في تطبيق المصادقة",
+    twoFactorKeyLabel: "مفتاح الإعداد",
+    twoFactorCodeLabel: "الرمز من التطبيق",
+    twoFactorEnable: "تفعيل",
+    twoFactorDisable: "إيقاف التحقق بخطوتين",
+    twoFactorDisableConfirm:
+      "هل تريد إيقاف التحقق بخطوتين؟ سيكون حسابك محميًا بكلمة المرور فقط.",
+    twoFactorRegenerate: "رموز استرداد جديدة",
+    twoFactorRecoveryHint:
+      "احفظ رموز الاسترداد هذه في مكان آمن. يمكن استخدام كل رمز مرة واحدة لتسجيل الدخول إذا فقدت هاتفك. لن تظهر مرة أخرى.",
+    twoFactorRecoveryDone: "حفظتها",
+
+    reauthTitle: "تأكيد هويتك",
+    reauthPasswordHint: "لحمايتك، أدخل كلمة المرور للمتابعة.",
+    reauthCodeHint: "لحمايتك، أدخل رمزًا من تطبيق المصادقة (أو رمز استرداد) للمتابعة.",
+    reauthPasswordLabel: "كلمة المرور",
+    reauthCodeLabel: "الرمز",
+    reauthContinue: "متابعة",
+
     deleteAccountQuestion: "تفكر تترك أسرار؟",
     deleteAccount: "حذف الحساب",
+    deleteSummaryTitle: "سيتم حذف ما يلي نهائياً:",
+    deleteSummaryLoading: "جاري التحقق مما سيتم حذفه...",
+    deleteSubscriptionNote: "سيتم إلغاء اشتراكك الحالي.",
+    deleteTypeConfirm: "اكتب DELETE للتأكيد.",
+    deleteLater: (days) => `احذف بعد ${days} يوماً (يمكن التراجع عبر البريد)`,
+    deleteNow: "احذف الآن",
+    deleteScheduledNotice: (date) => `حسابك مجدول للحذف بتاريخ ${date}.`,
+    deleteScheduledSuccess: "تمت جدولة الحذف. أرسلنا لك رابطاً للتراجع عبر البريد.",
+    deleteCancelScheduled: "احتفظ بحسابي",
+    deleteCancelledSuccess: "تم إلغاء الحذف المجدول.",
+    deletionCounts: {
+      conversations: "المحادثات",
+      messages: "الرسائل",
+      memoryFacts: "التفاصيل المحفوظة",
+      emotionalEvents: "سجلات المزاج",
+      dailySummaries: "ملخصات المزاج اليومية",
+      mirrorSessions: "جلسات المرآة",
+      sessions: "جلسات تسجيل الدخول",
+      voiceAttachments: "الرسائل الصوتية المحفوظة",
+      files: "الملفات المرفوعة (الصورة، الرسائل الصوتية)",
+    },
 
     saveHistory: "احفظ سجل محادثاتي",
+    keepVoiceNotes: "احتفظ برسائلي الصوتية",
+    keepVoiceNotesHint:
+      "متوقف افتراضياً: تُحذف التسجيلات مباشرة بعد تحويلها إلى نص. عند التفعيل تُحفظ مشفّرة ولا يمكن تشغيلها إلا لك.",
+    keepVoiceNotesCount: (n) => `الرسائل الصوتية المحفوظة: ${n}`,
+    keepVoiceNotesConfirmOff: "إيقاف هذا الخيار يحذف رسائلك الصوتية المحفوظة. هل تريد المتابعة؟",
     deleteConversations: "احذف جميع محادثاتي",
     confirmDelete: "هل أنت متأكد؟ هذا الإجراء لا يمكن التراجع عنه.",
     cancel: "إلغاء",
     confirm: "تأكيد",
+
+    memoryTitle: "ماذا يتذكّر أسرار عني",
+    memoryHint:
+      "تفاصيل التقطناها من محادثاتك حتى يتذكّرك رفقاؤك. ثبّت أي تفصيلة حتى لا تتغيّر تلقائيًا.",
+    memoryEmpty: "لا يوجد شيء محفوظ بعد.",
+    memoryLoadError: "تعذّر تحميل الذاكرة.",
+    memoryConfidence: "درجة الثقة",
+    memoryFrom: "من رسالة بتاريخ",
+    memoryEdit: "تعديل",
+    memorySave: "حفظ",
+    memoryPin: "تثبيت",
+    memoryUnpin: "إلغاء التثبيت",
+    memoryPinned: "مثبّت",
+    memoryDelete: "انسَ هذا",
+    memoryConfirmDelete: "هل تريد أن ينسى أسرار هذه التفصيلة؟",
+
+    memoryModeLabel: "عمق الذاكرة",
+    memoryModes: {
+      LIGHT: {
+        title: "خفيفة",
+        body: "نحتفظ فقط باتجاهات مزاجك. لا نستخرج أي تفاصيل شخصية من رسائلك ولا نستخدمها في الردود.",
+      },
+      STANDARD: {
+        title: "عادية",
+        body: "نتذكّر التفاصيل التي تذكرها بوضوح (الاسم، العمر، المدينة، العمل، ما تحب وما لا تحب) ونستخدمها لتخصيص الردود.",
+      },
+      RICH: {
+        title: "غنية",
+        body: "كل ما في العادية، مع اكتشاف اسمك وأهدافك بمساعدة الذكاء الاصطناعي، وجزء أطول من المحادثة الأخيرة في كل رد.",
+      },
+    },
+    memoryPurgeQuestion: (count) =>
+      `الوضع الخفيف يوقف حفظ تفاصيل جديدة. هل تريد أيضًا حذف ${count} من التفاصيل المحفوظة؟`,
+    memoryPurgeKeep: "احتفظ بها",
+    memoryPurgeForget: "احذفها",
   },
 };
 
+// Friendly labels for UserMemoryFact kinds; unknown kinds fall back to the raw key.
+const MEMORY_KIND_LABELS = {
+  "identity.name": { en: "Name", ar: "الاسم" },
+  "profile.age": { en: "Age", ar: "العمر" },
+  "profile.location.country": { en: "Country", ar: "الدولة" },
+  "profile.location.city": { en: "City", ar: "المدينة" },
+  "profile.language.primary": { en: "Language", ar: "اللغة" },
+  "profile.language.dialect": { en: "Dialect", ar: "اللهجة" },
+  "profile.role": { en: "Role", ar: "الدور" },
+  "profile.domain": { en: "Field", ar: "المجال" },
+  "profile.job.title": { en: "Job title", ar: "المسمى الوظيفي" },
+  "profile.job.field": { en: "Work field", ar: "مجال العمل" },
+  "goal.long_term": { en: "Long-term goal", ar: "هدف بعيد المدى" },
+  "profile.goal.primary": { en: "Main goal", ar: "الهدف الرئيسي" },
+  "profile.goal.secondary": { en: "Other goal", ar: "هدف آخر" },
+  "preference.hobby.like": { en: "Hobbies you enjoy", ar: "هوايات تحبها" },
+  "preference.hobby.dislike": { en: "Hobbies you dislike", ar: "هوايات لا تحبها" },
+  "preference.food.like": { en: "Food you like", ar: "أكل تحبه" },
+  "preference.drink.like": { en: "Drinks you like", ar: "مشروبات تحبها" },
+  "preference.drink.dislike": { en: "Drinks you dislike", ar: "مشروبات لا تحبها" },
+  "preference.pets.like": { en: "Pets you like", ar: "حيوانات أليفة تحبها" },
+  "preference.pets.dislike": { en: "Pets you dislike", ar: "حيوانات أليفة لا تحبها" },
+  "preference.weather.like": { en: "Weather you like", ar: "طقس تحبه" },
+  "preference.weather.dislike": { en: "Weather you dislike", ar: "طقس لا تحبه" },
+  "preference.season.like": { en: "Favourite season", ar: "فصلك المفضل" },
+  "preference.season.dislike": { en: "Season you dislike", ar: "فصل لا تحبه" },
+};
+
+const getMemoryKindLabel = (kind, isAr) => {
+  const entry = MEMORY_KIND_LABELS[kind];
+  if (!entry) return kind;
+  return isAr ? entry.ar : entry.en;
+};
+
+const formatSessionDate = (value, isAr) => {
+  if (!value) return "";
+  try {
+    return new Date(value).toLocaleString(isAr ? "ar" : "en", {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  } catch {
+    return "";
+  }
+};
+
+const getCountryName = (code, isAr) => {
+  if (!code || code === "UNKNOWN") return null;
+  try {
+    return new Intl.DisplayNames([isAr ? "ar" : "en"], { type: "region" }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// Signed-in devices from UserSession (country, device type, browser), with
+// per-device sign-out. Signing out this device logs the user out here too.
+function DevicesCard({ t, isAr, onSignedOutHere }) {
+  const [sessions, setSessions] = useState([]);
+  const [loadError, setLoadError] = useState(false);
+  const [actionError, setActionError] = useState("");
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions()
+      .then((data) => {
+        if (cancelled) return;
+        setSessions(Array.isArray(data.sessions) ? data.sessions : []);
+        setLoadError(false);
+      })
+      .catch((err) => {
+        console.error("[Settings] load sessions error", err);
+        if (!cancelled) setLoadError(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSignOut = async (session) => {
+    if (busyId) return;
+    setBusyId(session.id);
+    setActionError("");
+    try {
+      await signOutSession(session.id);
+      if (session.current) {
+        onSignedOutHere();
+        return;
+      }
+      setSessions((list) => list.filter((s) => s.id !== session.id));
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutOthers = async () => {
+    if (busyId) return;
+    setBusyId("others");
+    setActionError("");
+    try {
+      await signOutOtherSessions();
+      setSessions((list) => list.filter((s) => s.current));
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const hasOthers = sessions.some((s) => !s.current);
+
+  return (
+    <div className="asrar-settings-card asrar-settings-card--devices">
+      <h2 className="asrar-settings-card-title">{t.devicesTitle}</h2>
+      <p className="asrar-settings-hint">{t.devicesHint}</p>
+
+      {loadError && <p className="asrar-settings-memory-empty">{t.devicesLoadError}</p>}
+      {actionError && (
+        <div className="auth-error-banner" style={{ marginTop: "0.8rem" }}>
+          {actionError}
+        </div>
+      )}
+
+      <ul className="asrar-settings-memory-list">
+        {sessions.map((session) => {
+          const device = [
+            session.browser && session.browser !== "Other" ? session.browser : null,
+            t.deviceTypes[session.deviceType] || null,
+          ]
+            .filter(Boolean)
+            .join(" · ");
+          const place = getCountryName(session.country, isAr) || t.devicesUnknownLocation;
+          return (
+            <li key={session.id} className="asrar-settings-memory-item">
+              <div className="asrar-settings-memory-value">
+                {device || t.deviceTypes.desktop}
+                {session.current && (
+                  <span className="asrar-settings-memory-pin-badge">{t.devicesThisDevice}</span>
+                )}
+              </div>
+              <div className="asrar-settings-memory-meta">
+                {place}
+                {session.lastUsedAt &&
+                  ` · ${t.devicesLastActive} ${formatSessionDate(session.lastUsedAt, isAr)}`}
+                {` · ${t.devicesSignedIn} ${formatSessionDate(session.createdAt, isAr)}`}
+              </div>
+              <div className="asrar-settings-memory-actions">
+                <button
+                  type="button"
+                  className="asrar-settings-delete-btn"
+                  disabled={busyId !== null}
+                  onClick={() => handleSignOut(session)}
+                >
+                  {t.devicesSignOut}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {!loadError && sessions.length > 0 && !hasOthers && (
+        <p className="asrar-settings-memory-empty">{t.devicesEmpty}</p>
+      )}
+
+      {hasOthers && (
+        <div className="asrar-settings-actions">
+          <button
+            type="button"
+            className="asrar-settings-update-btn"
+            disabled={busyId !== null}
+            onClick={handleSignOutOthers}
+          >
+            {t.devicesSignOutOthers}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Verification state of the account email (resend link) and the two-link
+// email change: the new address applies once both emailed links are opened.
+function EmailCard({ t, isAr, user }) {
+  const [pending, setPending] = useState(null);
+  const [newEmail, setNewEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getPendingEmailChange()
+      .then((data) => {
+        if (!cancelled) setPending(data.pending || null);
+      })
+      .catch((err) => console.error("[Settings] load email change error", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.email]);
+
+  const handleResend = async () => {
+    if (busy) return;
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await resendVerificationEmail(isAr ? "ar" : "en");
+      setNotice(t.emailResent);
+    } catch (err) {
+      setError(err.code === "RESEND_TOO_SOON" ? t.emailResendTooSoon : err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChange = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    setError("");
+    setNotice("");
+    if (!newEmail.trim() || !password) {
+      setError(t.emailChangeMissing);
+      return;
+    }
+    setBusy(true);
+    try {
+      const data = await startEmailChange({
+        newEmail: newEmail.trim(),
+        currentPassword: password,
+        lang: isAr ? "ar" : "en",
+      });
+      setPending(data.pending);
+      setNewEmail("");
+      setPassword("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      await cancelEmailChange();
+      setPending(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="asrar-settings-card asrar-settings-card--email" onSubmit={handleChange}>
+      <h2 className="asrar-settings-card-title">{t.emailTitle}</h2>
+
+      <div className="asrar-settings-memory-value">
+        {user?.email}
+        {user?.emailVerified && (
+          <span className="asrar-settings-memory-pin-badge">{t.emailVerifiedBadge}</span>
+        )}
+      </div>
+
+      {user && !user.emailVerified && (
+        <div className="asrar-settings-email-unverified">
+          <p className="asrar-settings-hint">{t.emailUnverified}</p>
+          <button
+            type="button"
+            className="asrar-settings-update-btn"
+            disabled={busy}
+            onClick={handleResend}
+          >
+            {t.emailResend}
+          </button>
+        </div>
+      )}
+
+      {pending ? (
+        <div className="asrar-settings-email-pending">
+          <p className="asrar-settings-hint">{t.emailChangePending(pending.newEmail)}</p>
+          <button
+            type="button"
+            className="asrar-settings-delete-btn"
+            disabled={busy}
+            onClick={handleCancel}
+          >
+            {t.emailChangeCancel}
+          </button>
+        </div>
+      ) : (
+        <>
+          <p className="asrar-settings-hint">{t.emailChangeHint}</p>
+          <div className="asrar-settings-field">
+            <label className="asrar-settings-label">{t.emailNewLabel}</label>
+            <input
+              type="email"
+              className="asrar-settings-input"
+              value={newEmail}
+              onChange={(e) => setNewEmail(e.target.value)}
+            />
+          </div>
+          <div className="asrar-settings-field">
+            <label className="asrar-settings-label">{t.currentPassword}</label>
+            <input
+              type="password"
+              className="asrar-settings-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+          <div className="asrar-settings-actions">
+            <button type="submit" className="asrar-settings-update-btn" disabled={busy}>
+              {t.emailChange}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <div className="auth-error-banner" style={{ marginTop: "0.8rem" }}>
+          {error}
+        </div>
+      )}
+      {notice && !error && (
+        <div className="auth-success-banner" style={{ marginTop: "0.8rem" }}>
+          {notice}
+        </div>
+      )}
+    </form>
+  );
+}
+
+// Sensitive endpoints answer 403 REAUTH_REQUIRED when the login is older than
+// the re-auth window; ask the user to confirm and run the request once more.
+async function withReauth(action, requestReauth) {
+  try {
+    return await action();
+  } catch (err) {
+    if (isReauthRequired(err) && (await requestReauth())) {
+      return action();
+    }
+    throw err;
+  }
+}
+
+function ReauthModal({ t, user, onDone }) {
+  const usesCode = !!user?.twoFactorEnabled;
+  const [value, setValue] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy || !value.trim()) return;
+    setBusy(true);
+    setError("");
+    try {
+      await reauthenticate(usesCode ? { code: value.trim() } : { password: value });
+      onDone(true);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="asrar-modal-backdrop">
+      <form className="asrar-modal" onSubmit={handleSubmit}>
+        <div className="asrar-modal-body">
+          <div>
+            <strong>{t.reauthTitle}</strong>
+          </div>
+          <div style={{ marginTop: "0.5rem" }}>
+            {usesCode ? t.reauthCodeHint : t.reauthPasswordHint}
+          </div>
+          <div className="asrar-settings-field" style={{ marginTop: "0.75rem" }}>
+            <label className="asrar-settings-label">
+              {usesCode ? t.reauthCodeLabel : t.reauthPasswordLabel}
+            </label>
+            <input
+              type={usesCode ? "text" : "password"}
+              className="asrar-settings-input"
+              autoComplete={usesCode ? "one-time-code" : "current-password"}
+              autoFocus
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+            />
+          </div>
+          {error && (
+            <div className="auth-error-banner" style={{ marginTop: "0.8rem" }}>
+              {error}
+            </div>
+          )}
+        </div>
+        <div className="asrar-modal-actions">
+          <button type="button" className="asrar-btn ghost" onClick={() => onDone(false)}>
+            {t.cancel}
+          </button>
+          <button type="submit" className="asrar-btn primary" disabled={busy}>
+            {t.reauthContinue}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// TOTP enrollment (otpauth link + setup key, then a code from the app),
+// recovery codes (shown once) and turning 2FA off.
+function TwoFactorCard({ t, setUser, requestReauth }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = () =>
+    getTwoFactorStatus()
+      .then(setStatus)
+      .catch((err) => console.error("[Settings] load two-factor status error", err));
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const run = async (action) => {
+    if (busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      if (!isReauthRequired(err)) setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetup = () =>
+    run(async () => {
+      setSetup(await withReauth(startTwoFactorSetup, requestReauth));
+      setCode("");
+    });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    run(async () => {
+      const data = await enableTwoFactor(code.trim());
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode("");
+      setUser((prev) => (prev ? { ...prev, twoFactorEnabled: true } : prev));
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = () => {
+    if (typeof window !== "undefined" && !window.confirm(t.twoFactorDisableConfirm)) return;
+    run(async () => {
+      await withReauth(disableTwoFactor, requestReauth);
+      setRecoveryCodes(null);
+      setUser((prev) => (prev ? { ...prev, twoFactorEnabled: false } : prev));
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = () =>
+    run(async () => {
+      const data = await withReauth(regenerateRecoveryCodes, requestReauth);
+      setRecoveryCodes(data.recoveryCodes);
+      await loadStatus();
+    });
+
+  return (
+    <form className="asrar-settings-card asrar-settings-card--two-factor" onSubmit={handleEnable}>
+      <h2 className="asrar-settings-card-title">
+        {t.twoFactorTitle}
+        {status?.enabled && (
+          <span className="asrar-settings-memory-pin-badge">{t.twoFactorOnBadge}</span>
+        )}
+      </h2>
+
+      {recoveryCodes ? (
+        <div className="asrar-settings-two-factor-recovery">
+          <p className="asrar-settings-hint">{t.twoFactorRecoveryHint}</p>
+          <ul className="asrar-settings-recovery-codes">
+            {recoveryCodes.map((c) => (
+              <li key={c}>{c}</li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            className="asrar-settings-update-btn"
+            onClick={() => setRecoveryCodes(null)}
+          >
+            {t.twoFactorRecoveryDone}
+          </button>
+        </div>
+      ) : status?.enabled ? (
+        <>
+          <p className="asrar-settings-hint">{t.twoFactorOnHint(status.recoveryCodesRemaining)}</p>
+          <div className="asrar-settings-actions">
+            <button
+              type="button"
+              className="asrar-settings-update-btn"
+              disabled={busy}
+              onClick={handleRegenerate}
+            >
+              {t.twoFactorRegenerate}
+            </button>
+            <button
+              type="button"
+              className="asrar-settings-delete-btn"
+              disabled={busy}
+              onClick={handleDisable}
+            >
+              {t.twoFactorDisable}
+            </button>
+          </div>
+        </>
+      ) : setup ? (
+        <>
+          <p className="asrar-settings-hint">{t.twoFactorScanHint}</p>
+          <a className="asrar-settings-two-factor-link" href={setup.otpauthUrl}>
+            {t.twoFactorOpenApp}
+          </a>
+          <div className="asrar-settings-field">
+            <label className="asrar-settings-label">{t.twoFactorKeyLabel}</label>
+            <code className="asrar-settings-two-factor-secret">
+              {setup.secret.replace(/(.{4})/g, "$1 ").trim()}
+            </code>
+          </div>
+          <div className="asrar-settings-field">
+            <label className="asrar-settings-label">{t.twoFactorCodeLabel}</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="asrar-settings-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </div>
+          <div className="asrar-settings-actions">
+            <button type="button" className="asrar-btn ghost" onClick={() => setSetup(null)}>
+              {t.cancel}
+            </button>
+            <button type="submit" className="asrar-settings-update-btn" disabled={busy}>
+              {t.twoFactorEnable}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="asrar-settings-hint">{t.twoFactorOffHint}</p>
+          <div className="asrar-settings-actions">
+            <button
+              type="button"
+              className="asrar-settings-update-btn"
+              disabled={busy || !status}
+              onClick={handleSetup}
+            >
+              {t.twoFactorSetup}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <div className="auth-error-banner" style={{ marginTop: "0.8rem" }}>
+          {error}
+        </div>
+      )}
+    </form>
+  );
+}
+
 export default function Settings() {
   const navigate = useNavigate();
   const { user, setUser, logout } = useAuth();
@@ -112,9 +951,25 @@ export default function Settings() {
   const [errorMessage, setErrorMessage] = useState("");
   const [showDeleteAccountModal, setShowDeleteAccountModal] = useState(false);
   const [isUpdatingSaveHistory, setIsUpdatingSaveHistory] = useState(false); // track toggle loading state
+  const [keepVoiceNotes, setKeepVoiceNotes] = useState(!!user?.keepVoiceNotes);
+  const [voiceNotesTotal, setVoiceNotesTotal] = useState(0);
+  const [isUpdatingVoiceNotes, setIsUpdatingVoiceNotes] = useState(false);
   const [deleteConfirmValue, setDeleteConfirmValue] = useState("");
+  const [deletionSummary, setDeletionSummary] = useState(null);
+  const [isDeletingAccount, setIsDeletingAccount] = useState(false);
   const [isDeletingConversations, setIsDeletingConversations] = useState(false);
 
+  // MEMORY STATES
+  const [memoryGroups, setMemoryGroups] = useState([]);
+  const [memoryError, setMemoryError] = useState("");
+  const [editingFactId, setEditingFactId] = useState(null);
+  const [editingFactValue, setEditingFactValue] = useState("");
+  const [busyFactId, setBusyFactId] = useState(null);
+  const [memoryMode, setMemoryMode] = useState("STANDARD");
+  const [isUpdatingMemoryMode, setIsUpdatingMemoryMode] = useState(false);
+  const [showMemoryPurgeModal, setShowMemoryPurgeModal] = useState(false);
+  const [reauthPrompt, setReauthPrompt] = useState(null);
+
   // --- LOAD SETTINGS FROM BACKEND (FIXED with credentials) -------------
   useEffect(() => {
     async function fetchUserSettings() {
@@ -136,6 +991,204 @@ export default function Settings() {
     }
   }, [user]);
 
+  // LOAD DELETION SUMMARY (also tells us whether a deletion is scheduled)
+  const fetchDeletionSummary = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/user/delete/summary`, { credentials: "include" });
+      if (!res.ok) return;
+      const data = await res.json();
+      setDeletionSummary(data);
+    } catch (err) {
+      console.error("[Settings] load deletion summary error", err);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeletionSummary();
+  }, []);
+
+  useEffect(() => {
+    if (showDeleteAccountModal) fetchDeletionSummary();
+  }, [showDeleteAccountModal]);
+
+  // LOAD VOICE NOTE SETTING
+  useEffect(() => {
+    async function fetchVoiceNotes() {
+      try {
+        const res = await fetch(`${API_BASE}/api/user/voice-notes`, { credentials: "include" });
+        if (!res.ok) return;
+        const data = await res.json();
+        setKeepVoiceNotes(!!data.keepVoiceNotes);
+        setVoiceNotesTotal(data.total || 0);
+      } catch (err) {
+        console.error("[Settings] load voice notes error", err);
+      }
+    }
+    fetchVoiceNotes();
+  }, []);
+
+  // LOAD REMEMBERED FACTS
+  useEffect(() => {
+    async function fetchMemory() {
+      try {
+        const res = await fetch(`${API_BASE}/api/user/memory`, { credentials: "include" });
+        if (!res.ok) {
+          setMemoryError("load");
+          return;
+        }
+        const data = await res.json();
+        setMemoryGroups(Array.isArray(data.groups) ? data.groups : []);
+        if (data.memoryMode) setMemoryMode(data.memoryMode);
+        setMemoryError("");
+      } catch (err) {
+        console.error("[Settings] load memory error", err);
+        setMemoryError("load");
+      }
+    }
+    fetchMemory();
+  }, []);
+
+  const replaceMemoryFact = (updated) => {
+    setMemoryGroups((groups) =>
+      groups.map((group) => ({
+        ...group,
+        facts: group.facts.map((f) => (f.id === updated.id ? updated : f)),
+      }))
+    );
+  };
+
+  const removeMemoryFact = (factId) => {
+    setMemoryGroups((groups) =>
+      groups
+        .map((group) => ({
+          ...group,
+          facts: group.facts.filter((f) => f.id !== factId),
+        }))
+        .filter((group) => group.facts.length > 0)
+    );
+  };
+
+  const patchMemoryFact = async (factId, body) => {
+    if (busyFactId) return false;
+    setBusyFactId(factId);
+    setErrorMessage("");
+    try {
+      const res = await fetch(`${API_BASE}/api/user/memory/${factId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.fact) {
+        setErrorMessage(data?.message || (isAr ? "تعذّر تحديث الذاكرة" : "Failed to update memory"));
+        return false;
+      }
+      replaceMemoryFact(data.fact);
+      return true;
+    } catch (err) {
+      console.error("[Settings] update memory error", err);
+      setErrorMessage(isAr ? "تعذّر تحديث الذاكرة" : "Failed to update memory");
+      return false;
+    } finally {
+      setBusyFactId(null);
+    }
+  };
+
+  const handleSaveFact = async (factId) => {
+    const trimmed = (editingFactValue || "").trim();
+    if (!trimmed) return;
+    const ok = await patchMemoryFact(factId, { value: trimmed });
+    if (ok) {
+      setEditingFactId(null);
+      setEditingFactValue("");
+    }
+  };
+
+  const handleDeleteFact = async (factId) => {
+    if (busyFactId) return;
+    if (typeof window !== "undefined" && !window.confirm(t.memoryConfirmDelete)) return;
+    setBusyFactId(factId);
+    setErrorMessage("");
+    try {
+      const res = await fetch(`${API_BASE}/api/user/memory/${factId}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        setErrorMessage(data?.message || (isAr ? "تعذّر حذف التفصيلة" : "Failed to delete memory"));
+        return;
+      }
+      removeMemoryFact(factId);
+    } catch (err) {
+      console.error("[Settings] delete memory error", err);
+      setErrorMessage(isAr ? "تعذّر حذف التفصيلة" : "Failed to delete memory");
+    } finally {
+      setBusyFactId(null);
+    }
+  };
+
+  const memoryFactCount = memoryGroups.reduce(
+    (sum, group) => sum + (Array.isArray(group.facts) ? group.facts.length : 0),
+    0
+  );
+
+  const updateMemoryMode = async (nextMode, purgeFacts = false) => {
+    if (isUpdatingMemoryMode) return;
+    setIsUpdatingMemoryMode(true);
+    setErrorMessage("");
+    try {
+      const res = await fetch(`${API_BASE}/api/user/memory/mode`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ memoryMode: nextMode, purgeFacts }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setErrorMessage(
+          data?.message || (isAr ? "تعذّر تغيير وضع الذاكرة" : "Failed to change memory mode")
+        );
+        return;
+      }
+      setMemoryMode(data.memoryMode || nextMode);
+      if (purgeFacts) {
+        setMemoryGroups([]);
+        setEditingFactId(null);
+      }
+    } catch (err) {
+      console.error("[Settings] update memory mode error", err);
+      setErrorMessage(isAr ? "تعذّر تغيير وضع الذاكرة" : "Failed to change memory mode");
+    } finally {
+      setIsUpdatingMemoryMode(false);
+      setShowMemoryPurgeModal(false);
+    }
+  };
+
+  const handleSelectMemoryMode = (nextMode) => {
+    if (nextMode === memoryMode || isUpdatingMemoryMode) return;
+    // Switching down to LIGHT: offer to forget what is already stored.
+    if (nextMode === "LIGHT" && memoryFactCount > 0) {
+      setShowMemoryPurgeModal(true);
+      return;
+    }
+    updateMemoryMode(nextMode);
+  };
+
+  const formatMemoryDate = (value) => {
+    if (!value) return "";
+    try {
+      return new Date(value).toLocaleDateString(isAr ? "ar" : "en", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      });
+    } catch {
+      return "";
+    }
+  };
+
   // SWITCH LANGUAGE
   const handleLangSwitch = (newLang) => {
     setLang(newLang);
@@ -199,6 +1252,8 @@ export default function Settings() {
         setPasswordError(data?.message || (isAr ? "فشل تحديث كلمة المرور" : "Failed to update password"));
         return;
       }
+      // Other devices are signed out; this one gets a fresh session.
+      storeAuthTokens(data);
       setCurrentPassword("");
       setNewPassword("");
       setConfirmPassword("");
@@ -209,9 +1264,11 @@ export default function Settings() {
     }
   };
 
-  // DELETE ACCOUNT
-  const handleDeleteAccount = async () => {
+  // DELETE ACCOUNT ("now" or "scheduled" after the grace period)
+  const handleDeleteAccount = async (mode) => {
+    if (isDeletingAccount) return;
     setErrorMessage("");
+    setSuccessMessage("");
     if (deleteConfirmValue.trim() !== "DELETE") {
       setErrorMessage(
         isAr
@@ -220,20 +1277,33 @@ export default function Settings() {
       );
       return;
     }
+    setIsDeletingAccount(true);
     try {
-      const res = await fetch(`${API_BASE}/api/user/delete`, {
-        method: "DELETE",
-        credentials: "include",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ confirm: "DELETE" }),
-      });
-      const data = await res.json().catch(() => ({}));
+      const send = () =>
+        fetch(`${API_BASE}/api/user/delete`, {
+          method: "DELETE",
+          credentials: "include",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ confirm: "DELETE", mode, lang: isAr ? "ar" : "en" }),
+        });
+      let res = await send();
+      let data = await res.json().catch(() => ({}));
+      if (isReauthResponse(res, data)) {
+        if (!(await requestReauth())) return;
+        res = await send();
+        data = await res.json().catch(() => ({}));
+      }
       if (!res.ok) {
         setErrorMessage(
           data?.message || (isAr ? "فشل حذف الحساب" : "Failed to delete account")
         );
         return;
       }
+      if (mode === "scheduled") {
+        setDeletionSummary((prev) => (prev ? { ...prev, scheduledFor: data.scheduledFor } : prev));
+        setSuccessMessage(t.deleteScheduledSuccess);
+        return;
+      }
       try {
         if (typeof window !== "undefined") {
           localStorage.removeItem("asrar-chat-history");
@@ -249,11 +1319,58 @@ export default function Settings() {
           : "An error occurred while deleting account"
       );
     } finally {
+      setIsDeletingAccount(false);
       setShowDeleteAccountModal(false);
       setDeleteConfirmValue("");
     }
   };
 
+  const handleCancelScheduledDeletion = async () => {
+    setErrorMessage("");
+    setSuccessMessage("");
+    try {
+      const res = await fetch(`${API_BASE}/api/user/delete/cancel`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setErrorMessage(
+          data?.message || (isAr ? "تعذّر إلغاء الحذف" : "Failed to cancel deletion")
+        );
+        return;
+      }
+      setDeletionSummary((prev) => (prev ? { ...prev, scheduledFor: null } : prev));
+      setSuccessMessage(t.deleteCancelledSuccess);
+    } catch (err) {
+      console.error("Cancel account deletion error", err);
+      setErrorMessage(isAr ? "تعذّر إلغاء الحذف" : "Failed to cancel deletion");
+    }
+  };
+
+  const deletionCountRows = deletionSummary
+    ? Object.keys(t.deletionCounts)
+        .map((key) => {
+          let count = 0;
+          if (key === "files") count = deletionSummary.files || 0;
+          else if (key === "emotionalEvents") {
+            const c = deletionSummary.counts || {};
+            count = (c.emotionalEvents || 0) + (c.timelineEvents || 0) + (c.triggerEvents || 0);
+          } else count = (deletionSummary.counts || {})[key] || 0;
+          return { key, label: t.deletionCounts[key], count };
+        })
+        .filter((row) => row.count > 0)
+    : [];
+
+  // Resolves true once the user re-entered their password (or 2FA code).
+  const requestReauth = () =>
+    new Promise((resolve) => {
+      setReauthPrompt({ resolve });
+    });
+
+  const isReauthResponse = (res, body) =>
+    res.status === 403 && body?.code === "REAUTH_REQUIRED";
+
   // Download full user data as PDF
   const handleDownloadData = async () => {
     setErrorMessage("");
@@ -264,6 +1381,15 @@ export default function Settings() {
         credentials: "include",
       });
       if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        if (isReauthResponse(res, body)) {
+          if (await requestReauth()) await handleDownloadData();
+          return;
+        }
+        if (body?.code === "EMAIL_NOT_VERIFIED") {
+          setErrorMessage(t.exportNeedsVerifiedEmail);
+          return;
+        }
         setErrorMessage(
           isAr
             ? "تعذّر إنشاء ملف الـ PDF. يرجى المحاولة لاحقًا."
@@ -339,6 +1465,44 @@ export default function Settings() {
     }
   };
 
+  // KEEP VOICE NOTES TOGGLE (turning it off deletes saved recordings)
+  const toggleKeepVoiceNotes = async () => {
+    if (isUpdatingVoiceNotes) return;
+    const next = !keepVoiceNotes;
+    if (
+      !next &&
+      voiceNotesTotal > 0 &&
+      typeof window !== "undefined" &&
+      !window.confirm(t.keepVoiceNotesConfirmOff)
+    ) {
+      return;
+    }
+    setIsUpdatingVoiceNotes(true);
+    setErrorMessage("");
+    try {
+      const res = await fetch(`${API_BASE}/api/user/voice-notes`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ keepVoiceNotes: next }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setErrorMessage(
+          data?.message || (isAr ? "تعذّر تحديث الإعداد" : "Failed to update setting")
+        );
+        return;
+      }
+      setKeepVoiceNotes(!!data.keepVoiceNotes);
+      if (!data.keepVoiceNotes) setVoiceNotesTotal(0);
+    } catch (err) {
+      console.error("Failed to update voice note preference", err);
+      setErrorMessage(isAr ? "تعذّر تحديث الإعداد" : "Failed to update setting");
+    } finally {
+      setIsUpdatingVoiceNotes(false);
+    }
+  };
+
   // DELETE-ALL FIXED (now also sends Bearer token like other protected calls)
   const deleteAllConversations = async () => {
     const token =
@@ -373,11 +1537,20 @@ export default function Settings() {
 
       const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
 
-      const res = await fetch(`${API_BASE}/api/chat/delete-all`, {
-        method: "DELETE",
-        credentials: "include",
-        headers,
-      });
+      const send = () =>
+        fetch(`${API_BASE}/api/chat/delete-all`, {
+          method: "DELETE",
+          credentials: "include",
+          headers,
+        });
+      let res = await send();
+      if (res.status === 403) {
+        const data = await res.json().catch(() => ({}));
+        if (isReauthResponse(res, data)) {
+          if (!(await requestReauth())) return false;
+          res = await send();
+        }
+      }
 
       if (!res.ok) {
         const data = await res.json().catch(() => ({}));
@@ -569,6 +1742,23 @@ export default function Settings() {
                 </button>
               </div>
 
+              {deletionSummary?.scheduledFor && (
+                <div className="asrar-settings-deletion-notice">
+                  <span>
+                    {t.deleteScheduledNotice(
+                      new Date(deletionSummary.scheduledFor).toLocaleDateString(isAr ? "ar" : "en")
+                    )}
+                  </span>
+                  <button
+                    type="button"
+                    className="asrar-settings-update-btn"
+                    onClick={handleCancelScheduledDeletion}
+                  >
+                    {t.deleteCancelScheduled}
+                  </button>
+                </div>
+              )}
+
               <div className="asrar-settings-danger-zone">
                 <span>{t.deleteAccountQuestion}</span>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
@@ -590,6 +1780,12 @@ export default function Settings() {
               </div>
             </form>
 
+            {/* EMAIL CARD */}
+            <EmailCard t={t} isAr={isAr} user={user} />
+
+            {/* TWO-FACTOR CARD */}
+            <TwoFactorCard t={t} setUser={setUser} requestReauth={requestReauth} />
+
             {/* HISTORY CARD (FIXED + RESTORED) */}
             <form className="asrar-settings-card asrar-settings-card--history">
               <h2 className="asrar-settings-card-title">History</h2>
@@ -612,6 +1808,28 @@ export default function Settings() {
                 </button>
               </div>
 
+              <div className="asrar-settings-field asrar-settings-field-row">
+                <label className="asrar-settings-label">{t.keepVoiceNotes}</label>
+                <button
+                  type="button"
+                  className={
+                    "asrar-toggle " +
+                    (keepVoiceNotes ? "asrar-toggle--on" : "asrar-toggle--off") +
+                    (isUpdatingVoiceNotes ? " asrar-toggle--loading" : "")
+                  }
+                  onClick={toggleKeepVoiceNotes}
+                  disabled={isUpdatingVoiceNotes}
+                  aria-pressed={keepVoiceNotes}
+                  aria-label={t.keepVoiceNotes}
+                >
+                  <span className="asrar-toggle-thumb" />
+                </button>
+              </div>
+              <p className="asrar-settings-hint">
+                {t.keepVoiceNotesHint}
+                {keepVoiceNotes && voiceNotesTotal > 0 && ` ${t.keepVoiceNotesCount(voiceNotesTotal)}`}
+              </p>
+
               <div className="asrar-settings-actions">
                 <button
                   type="button"
@@ -623,6 +1841,152 @@ export default function Settings() {
                 </button>
               </div>
             </form>
+
+            {/* MEMORY CARD */}
+            <div className="asrar-settings-card asrar-settings-card--memory">
+              <h2 className="asrar-settings-card-title">{t.memoryTitle}</h2>
+              <p className="asrar-settings-hint">{t.memoryHint}</p>
+
+              <div className="asrar-settings-field">
+                <label className="asrar-settings-label">{t.memoryModeLabel}</label>
+                <div className="asrar-settings-memory-modes" role="radiogroup">
+                  {["LIGHT", "STANDARD", "RICH"].map((mode) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      role="radio"
+                      aria-checked={memoryMode === mode}
+                      className={
+                        "asrar-settings-memory-mode" +
+                        (memoryMode === mode ? " asrar-settings-memory-mode--active" : "")
+                      }
+                      disabled={isUpdatingMemoryMode}
+                      onClick={() => handleSelectMemoryMode(mode)}
+                    >
+                      <span className="asrar-settings-memory-mode-title">
+                        {t.memoryModes[mode].title}
+                      </span>
+                      <span className="asrar-settings-memory-mode-body">
+                        {t.memoryModes[mode].body}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {memoryError && (
+                <p className="asrar-settings-memory-empty">{t.memoryLoadError}</p>
+              )}
+              {!memoryError && memoryGroups.length === 0 && (
+                <p className="asrar-settings-memory-empty">{t.memoryEmpty}</p>
+              )}
+
+              {memoryGroups.map((group) => (
+                <div key={group.kind} className="asrar-settings-memory-group">
+                  <h3 className="asrar-settings-memory-kind">
+                    {getMemoryKindLabel(group.kind, isAr)}
+                  </h3>
+                  <ul className="asrar-settings-memory-list">
+                    {group.facts.map((fact) => {
+                      const isEditing = editingFactId === fact.id;
+                      const isBusy = busyFactId === fact.id;
+                      const sourceDate = formatMemoryDate(fact.sourceMessageAt);
+                      return (
+                        <li key={fact.id} className="asrar-settings-memory-item">
+                          {isEditing ? (
+                            <input
+                              type="text"
+                              className="asrar-settings-input"
+                              value={editingFactValue}
+                              maxLength={200}
+                              onChange={(e) => setEditingFactValue(e.target.value)}
+                              onKeyDown={(e) => {
+                                if (e.key === "Enter") {
+                                  e.preventDefault();
+                                  handleSaveFact(fact.id);
+                                }
+                              }}
+                              autoFocus
+                            />
+                          ) : (
+                            <div className="asrar-settings-memory-value">
+                              {fact.value}
+                              {fact.isPinned && (
+                                <span className="asrar-settings-memory-pin-badge">
+                                  {t.memoryPinned}
+                                </span>
+                              )}
+                            </div>
+                          )}
+                          <div className="asrar-settings-memory-meta">
+                            {t.memoryConfidence}: {Math.round((Number(fact.confidence) || 0) * 100)}%
+                            {sourceDate && ` · ${t.memoryFrom} ${sourceDate}`}
+                          </div>
+                          <div className="asrar-settings-memory-actions">
+                            {isEditing ? (
+                              <>
+                                <button
+                                  type="button"
+                                  className="asrar-btn primary"
+                                  disabled={isBusy || !editingFactValue.trim()}
+                                  onClick={() => handleSaveFact(fact.id)}
+                                >
+                                  {t.memorySave}
+                                </button>
+                                <button
+                                  type="button"
+                                  className="asrar-btn ghost"
+                                  onClick={() => {
+                                    setEditingFactId(null);
+                                    setEditingFactValue("");
+                                  }}
+                                >
+                                  {t.cancel}
+                                </button>
+                              </>
+                            ) : (
+                              <>
+                                <button
+                                  type="button"
+                                  className="asrar-btn ghost"
+                                  disabled={isBusy}
+                                  onClick={() => {
+                                    setEditingFactId(fact.id);
+                                    setEditingFactValue(fact.value || "");
+                                  }}
+                                >
+                                  {t.memoryEdit}
+                                </button>
+                                <button
+                                  type="button"
+                                  className="asrar-btn ghost"
+                                  disabled={isBusy}
+                                  aria-pressed={!!fact.isPinned}
+                                  onClick={() => patchMemoryFact(fact.id, { isPinned: !fact.isPinned })}
+                                >
+                                  {fact.isPinned ? t.memoryUnpin : t.memoryPin}
+                                </button>
+                                <button
+                                  type="button"
+                                  className="asrar-settings-delete-btn"
+                                  disabled={isBusy}
+                                  onClick={() => handleDeleteFact(fact.id)}
+                                >
+                                  {t.memoryDelete}
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </div>
+
+            {/* DEVICES & SESSIONS CARD */}
+            <DevicesCard t={t} isAr={isAr} onSignedOutHere={handleLogout} />
           </div>
         </section>
       </main>
@@ -653,13 +2017,53 @@ export default function Settings() {
         </div>
       )}
 
+      {showMemoryPurgeModal && (
+        <div className="asrar-modal-backdrop">
+          <div className="asrar-modal">
+            <div className="asrar-modal-body">{t.memoryPurgeQuestion(memoryFactCount)}</div>
+            <div className="asrar-modal-actions">
+              <button
+                className="asrar-btn ghost"
+                disabled={isUpdatingMemoryMode}
+                onClick={() => updateMemoryMode("LIGHT", false)}
+              >
+                {t.memoryPurgeKeep}
+              </button>
+              <button
+                className="asrar-btn primary"
+                disabled={isUpdatingMemoryMode}
+                onClick={() => updateMemoryMode("LIGHT", true)}
+              >
+                {t.memoryPurgeForget}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showDeleteAccountModal && (
         <div className="asrar-modal-backdrop">
           <div className="asrar-modal">
             <div className="asrar-modal-body">
-              {isAr
-                ? "هل تريد حذف حسابك وبياناتك نهائياً؟ هذا الإجراء لا يمكن التراجع عنه. اكتب DELETE للتأكيد."
-                : "Delete your account and all data permanently? This cannot be undone. Type DELETE to confirm."}
+              {deletionSummary ? (
+                <>
+                  <div>{t.deleteSummaryTitle}</div>
+                  <ul className="asrar-settings-deletion-list">
+                    {deletionCountRows.map((row) => (
+                      <li key={row.key}>
+                        <span>{row.label}</span>
+                        <strong>{row.count}</strong>
+                      </li>
+                    ))}
+                  </ul>
+                  {deletionSummary.subscription?.active && (
+                    <div>{t.deleteSubscriptionNote}</div>
+                  )}
+                </>
+              ) : (
+                <div>{t.deleteSummaryLoading}</div>
+              )}
+              <div style={{ marginTop: '0.75rem' }}>{t.deleteTypeConfirm}</div>
               <div style={{ marginTop: '0.75rem' }}>
                 <input
                   type="text"
@@ -674,14 +2078,38 @@ export default function Settings() {
               <button className="asrar-btn ghost" onClick={() => setShowDeleteAccountModal(false)}>
                 {t.cancel}
               </button>
-              <button className="asrar-btn primary" onClick={handleDeleteAccount}>
-                {t.confirm}
+              {!deletionSummary?.scheduledFor && (
+                <button
+                  className="asrar-btn ghost"
+                  disabled={isDeletingAccount}
+                  onClick={() => handleDeleteAccount("scheduled")}
+                >
+                  {t.deleteLater(deletionSummary?.graceDays || 14)}
+                </button>
+              )}
+              <button
+                className="asrar-btn primary"
+                disabled={isDeletingAccount}
+                onClick={() => handleDeleteAccount("now")}
+              >
+                {t.deleteNow}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {reauthPrompt && (
+        <ReauthModal
+          t={t}
+          user={user}
+          onDone={(ok) => {
+            reauthPrompt.resolve(ok);
+            setReauthPrompt(null);
+          }}
+        />
+      )}
+
       {successMessage && (
         <div className="asrar-success">{successMessage}</div>
       )}
@@ -0,0 +1,135 @@
+// src/UndoAccountDeletion.jsx
+import React, { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import asrarLogo from "./assets/asrar-logo.png";
+import "./AuthPage.css";
+import { API_BASE } from "./apiBase";
+
+const getInitialLang = () => {
+  if (typeof window !== "undefined") {
+    return localStorage.getItem("asrar-lang") || "ar";
+  }
+  return "ar";
+};
+
+const UNDO_TEXT = {
+  en: {
+    title: "Keep your account",
+    subtitle: "Cancel the scheduled deletion of your Asrar AI account.",
+    loading: "Cancelling the deletion...",
+    success: "Your account will not be deleted. Everything stays as it was.",
+    invalidToken:
+      "This link is invalid or has expired. If your account still exists, you can cancel the deletion from Settings.",
+    genericError:
+      "Something went wrong while cancelling the deletion. Please try again.",
+    backToLogin: "Go to login",
+  },
+  ar: {
+    title: "الاحتفاظ بحسابك",
+    subtitle: "إلغاء الحذف المجدول لحسابك في أسرار AI.",
+    loading: "جاري إلغاء الحذف...",
+    success: "لن يتم حذف حسابك. كل شيء يبقى كما كان.",
+    invalidToken:
+      "هذا الرابط غير صالح أو منتهي الصلاحية. إذا كان حسابك لا يزال موجودًا، يمكنك إلغاء الحذف من الإعدادات.",
+    genericError: "حدث خطأ أثناء إلغاء الحذف. يرجى المحاولة مرة أخرى.",
+    backToLogin: "الذهاب لتسجيل الدخول",
+  },
+};
+
+const UndoAccountDeletion = () => {
+  const [lang] = useState(getInitialLang);
+  const isArabic = lang === "ar";
+  const t = UNDO_TEXT[isArabic ? "ar" : "en"];
+
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const rawToken = new URLSearchParams(location.search || "").get("token") || "";
+  const [status, setStatus] = useState(rawToken ? "loading" : "invalid");
+
+  useEffect(() => {
+    if (!rawToken) return;
+
+    const undo = async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/auth/undo-account-deletion`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ token: rawToken }),
+        });
+
+        const data = await res.json().catch(() => ({}));
+
+        if (res.ok && data && data.ok) {
+          setStatus("success");
+        } else if (res.status === 400) {
+          setStatus("invalid");
+        } else {
+          setStatus("error");
+        }
+      } catch (err) {
+        console.error("Undo account deletion error:", err);
+        setStatus("error");
+      }
+    };
+
+    undo();
+  }, [rawToken]);
+
+  const renderBody = () => {
+    if (status === "loading") {
+      return (
+        <p className="auth-subtitle" style={{ marginTop: "16px" }}>
+          {t.loading}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {status === "success" && (
+          <div className="auth-success-banner">{t.success}</div>
+        )}
+        {status === "invalid" && (
+          <div className="auth-error-banner">{t.invalidToken}</div>
+        )}
+        {status === "error" && (
+          <div className="auth-error-banner">{t.genericError}</div>
+        )}
+        <button
+          type="button"
+          className="auth-primary-button"
+          style={{ marginTop: "20px" }}
+          onClick={() => navigate("/login")}
+        >
+          {t.backToLogin}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className={`auth-page ${isArabic ? "auth-page-rtl" : ""}`}>
+      <div className="auth-glow-ring" />
+
+      <div
+        className="auth-card auth-card-anim"
+        dir={isArabic ? "rtl" : "ltr"}
+      >
+        <div className="auth-logo-wrap">
+          <Link to="/" className="auth-logo-link">
+            <img src={asrarLogo} alt="Asrar AI" className="auth-logo" />
+          </Link>
+        </div>
+
+        <h1 className="auth-title">{t.title}</h1>
+        <p className="auth-subtitle">{t.subtitle}</p>
+
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default UndoAccountDeletion;
@@ -0,0 +1,144 @@
+// src/VerifyEmail.jsx
+import React, { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import asrarLogo from "./assets/asrar-logo.png";
+import "./AuthPage.css";
+import { API_BASE } from "./apiBase";
+import { useAuth } from "./hooks/useAuth";
+
+const getInitialLang = () => {
+  if (typeof window !== "undefined") {
+    return localStorage.getItem("asrar-lang") || "ar";
+  }
+  return "ar";
+};
+
+const VERIFY_TEXT = {
+  en: {
+    title: "Confirm your email",
+    subtitle: "Verify the email address of your Asrar AI account.",
+    loading: "Confirming your email...",
+    success: "Your email address is confirmed. Thank you!",
+    invalidToken:
+      "This link is invalid or has expired. You can send a new one from Settings.",
+    genericError: "Something went wrong while confirming your email. Please try again.",
+    continueSignedIn: "Go to dashboard",
+    backToLogin: "Go to login",
+  },
+  ar: {
+    title: "تأكيد بريدك الإلكتروني",
+    subtitle: "تأكيد البريد الإلكتروني لحسابك في أسرار AI.",
+    loading: "جاري تأكيد بريدك الإلكتروني...",
+    success: "تم تأكيد بريدك الإلكتروني. شكراً لك!",
+    invalidToken:
+      "هذا الرابط غير صالح أو منتهي الصلاحية. يمكنك إرسال رابط جديد من الإعدادات.",
+    genericError: "حدث خطأ أثناء تأكيد بريدك الإلكتروني. يرجى المحاولة مرة أخرى.",
+    continueSignedIn: "الذهاب إلى لوحة التحكم",
+    backToLogin: "الذهاب لتسجيل الدخول",
+  },
+};
+
+const VerifyEmail = () => {
+  const [lang] = useState(getInitialLang);
+  const isArabic = lang === "ar";
+  const t = VERIFY_TEXT[isArabic ? "ar" : "en"];
+
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { user, setUser } = useAuth();
+
+  const rawToken = new URLSearchParams(location.search || "").get("token") || "";
+  const [status, setStatus] = useState(rawToken ? "loading" : "invalid");
+
+  useEffect(() => {
+    if (!rawToken) return;
+
+    const verify = async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/auth/verify-email`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ token: rawToken }),
+        });
+
+        const data = await res.json().catch(() => ({}));
+
+        if (res.ok && data && data.ok) {
+          setStatus("success");
+          // Signed in here as the same account: show it verified right away
+          setUser((current) =>
+            current && current.email === data.email
+              ? { ...current, emailVerified: true, emailVerifiedAt: new Date().toISOString() }
+              : current
+          );
+        } else if (res.status === 400) {
+          setStatus("invalid");
+        } else {
+          setStatus("error");
+        }
+      } catch (err) {
+        console.error("Verify email error:", err);
+        setStatus("error");
+      }
+    };
+
+    verify();
+  }, [rawToken, setUser]);
+
+  const renderBody = () => {
+    if (status === "loading") {
+      return (
+        <p className="auth-subtitle" style={{ marginTop: "16px" }}>
+          {t.loading}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {status === "success" && (
+          <div className="auth-success-banner">{t.success}</div>
+        )}
+        {status === "invalid" && (
+          <div className="auth-error-banner">{t.invalidToken}</div>
+        )}
+        {status === "error" && (
+          <div className="auth-error-banner">{t.genericError}</div>
+        )}
+        <button
+          type="button"
+          className="auth-primary-button"
+          style={{ marginTop: "20px" }}
+          onClick={() => navigate(user ? "/dashboard" : "/login")}
+        >
+          {user ? t.continueSignedIn : t.backToLogin}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className={`auth-page ${isArabic ? "auth-page-rtl" : ""}`}>
+      <div className="auth-glow-ring" />
+
+      <div
+        className="auth-card auth-card-anim"
+        dir={isArabic ? "rtl" : "ltr"}
+      >
+        <div className="auth-logo-wrap">
+          <Link to="/" className="auth-logo-link">
+            <img src={asrarLogo} alt="Asrar AI" className="auth-logo" />
+          </Link>
+        </div>
+
+        <h1 className="auth-title">{t.title}</h1>
+        <p className="auth-subtitle">{t.subtitle}</p>
+
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
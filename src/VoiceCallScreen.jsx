@@ -0,0 +1,194 @@
+// src/VoiceCallScreen.jsx
+// Hands-free "call" with a companion over the live voice socket
+// (see src/api/voiceCall.js). Each finished turn is handed to the chat page
+// so it shows up in the conversation.
+import React, { useEffect, useRef, useState } from "react";
+import "./VoiceCallScreen.css";
+import { startVoiceCall } from "./api/voiceCall";
+import { VOICE_ERROR_CODES, getVoiceErrorText } from "./voiceErrors";
+
+const STATUS_TEXT = {
+  en: {
+    connecting: "Connecting…",
+    listening: "Listening…",
+    hearing: "I'm listening…",
+    thinking: "Thinking…",
+    speaking: "Speaking…",
+    ended: "Call ended",
+  },
+  ar: {
+    connecting: "جارٍ الاتصال…",
+    listening: "أنا أسمعك…",
+    hearing: "أسمعك…",
+    thinking: "أفكّر…",
+    speaking: "أتحدث…",
+    ended: "انتهت المكالمة",
+  },
+};
+
+// Errors the chat page handles itself (upgrade / limit modals).
+const PAGE_ERRORS = new Set(["usage_limit_reached", "premium_required"]);
+
+function getCallErrorText(error, isArabic) {
+  if (VOICE_ERROR_CODES.has(error && error.error)) {
+    return getVoiceErrorText(error, isArabic);
+  }
+  if (error && error.error === "transcription_failed") {
+    return isArabic ? "لم أسمعك جيداً، أعد ما قلته من فضلك." : "I didn't catch that. Could you say it again?";
+  }
+  if (error && error.error === "mic_denied") {
+    return isArabic
+      ? "لا يمكن الوصول إلى الميكروفون. تحقق من أذونات المتصفح."
+      : "We can't access your microphone. Check your browser permissions.";
+  }
+  return isArabic ? "حدث خطأ في المكالمة. حاول مرة أخرى." : "Something went wrong with the call. Please try again.";
+}
+
+export default function VoiceCallScreen({
+  characterName,
+  avatar,
+  isArabic,
+  callOptions,
+  onTurn,
+  onReplyDone,
+  onCallError,
+  onClose,
+}) {
+  const [status, setStatus] = useState("connecting");
+  const [partialText, setPartialText] = useState("");
+  const [userText, setUserText] = useState("");
+  const [replyText, setReplyText] = useState("");
+  const [errorText, setErrorText] = useState("");
+  const [muted, setMuted] = useState(false);
+
+  const callRef = useRef(null);
+  const transcriptRef = useRef("");
+  // Latest props for the socket handlers, so the call is not restarted
+  // whenever the chat page re-renders.
+  const propsRef = useRef({ callOptions, onTurn, onReplyDone, onCallError, isArabic });
+  useEffect(() => {
+    propsRef.current = { callOptions, onTurn, onReplyDone, onCallError, isArabic };
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    const lang = () => propsRef.current.isArabic;
+
+    startVoiceCall(propsRef.current.callOptions, {
+      onStatus: (next) => {
+        if (!cancelled) setStatus(next);
+      },
+      onPartial: (text) => {
+        setPartialText(text);
+        setErrorText("");
+      },
+      onTranscript: (msg) => {
+        transcriptRef.current = msg.text || "";
+        setUserText(msg.text || "");
+        setPartialText("");
+        setReplyText("");
+      },
+      onReply: (msg) => {
+        setReplyText(msg.text || "");
+        if (propsRef.current.onTurn) {
+          propsRef.current.onTurn({
+            userText: transcriptRef.current,
+            assistantText: msg.text || "",
+            emotion: msg.emotion || null,
+          });
+        }
+        transcriptRef.current = "";
+      },
+      onReplyDone: (msg) => {
+        if (propsRef.current.onReplyDone) propsRef.current.onReplyDone(msg);
+      },
+      onError: (msg) => {
+        if (PAGE_ERRORS.has(msg.error)) {
+          if (propsRef.current.onCallError) propsRef.current.onCallError(msg);
+          return;
+        }
+        setPartialText("");
+        setErrorText(getCallErrorText(msg, lang()));
+      },
+      onEnd: ({ code }) => {
+        if (cancelled) return;
+        if (code === 4000) {
+          setErrorText(
+            lang()
+              ? "بدأت مكالمة جديدة من جهاز أو نافذة أخرى."
+              : "A new call was started from another window or device."
+          );
+        } else if (code !== 1000 && code !== 4003 && code !== 4029) {
+          setErrorText(getCallErrorText(null, lang()));
+        }
+      },
+    })
+      .then((call) => {
+        if (cancelled) {
+          call.hangUp();
+          return;
+        }
+        callRef.current = call;
+      })
+      .catch((err) => {
+        console.error("Voice call: could not start", err);
+        if (cancelled) return;
+        setStatus("ended");
+        setErrorText(getCallErrorText({ error: "mic_denied" }, lang()));
+      });
+
+    return () => {
+      cancelled = true;
+      if (callRef.current) callRef.current.hangUp();
+      callRef.current = null;
+    };
+  }, []);
+
+  const toggleMute = () => {
+    const next = !muted;
+    setMuted(next);
+    if (callRef.current) callRef.current.setMuted(next);
+  };
+
+  const statusText = STATUS_TEXT[isArabic ? "ar" : "en"][status] || "";
+  const isLive = status !== "ended";
+
+  return (
+    <div className="asrar-call-overlay" role="dialog" aria-modal="true" dir={isArabic ? "rtl" : "ltr"}>
+      <div className="asrar-call-screen">
+        <div className={`asrar-call-avatar asrar-call-avatar--${status}`}>
+          {avatar ? <img src={avatar} alt="" /> : null}
+        </div>
+        <h2 className="asrar-call-name">{characterName}</h2>
+        <p className="asrar-call-status" aria-live="polite">
+          {muted && isLive ? (isArabic ? "الميكروفون مكتوم" : "Microphone muted") : statusText}
+        </p>
+
+        <div className="asrar-call-transcript">
+          {(partialText || userText) && (
+            <p className="asrar-call-line asrar-call-line--user">{partialText || userText}</p>
+          )}
+          {replyText && !partialText && (
+            <p className="asrar-call-line asrar-call-line--ai">{replyText}</p>
+          )}
+          {errorText && <p className="asrar-call-line asrar-call-line--error">{errorText}</p>}
+        </div>
+
+        <div className="asrar-call-controls">
+          <button
+            type="button"
+            className={"asrar-call-btn" + (muted ? " asrar-call-btn--active" : "")}
+            onClick={toggleMute}
+            disabled={!isLive}
+            aria-pressed={muted}
+          >
+            {muted ? (isArabic ? "إلغاء الكتم" : "Unmute") : isArabic ? "كتم" : "Mute"}
+          </button>
+          <button type="button" className="asrar-call-btn asrar-call-btn--end" onClick={onClose}>
+            {isArabic ? "إنهاء المكالمة" : "End call"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,10 @@
 // src/VoiceMessageBubble.jsx
 // Simple tap-to-play voice message bubble used in the chat view.
+// Audio comes either inline (audioBase64, fresh replies) or from a saved
+// message attachment (audioUrl), which is fetched on first play.
 import React, { useEffect, useRef, useState } from "react";
+import { getVoiceErrorText } from "./voiceErrors";
+import { fetchAttachmentAudioUrl, formatVoiceDuration } from "./api/attachments";
 
 const SPEED_OPTIONS = [
   { value: 1.25, label: "1.25x" },
@@ -8,13 +12,30 @@ const SPEED_OPTIONS = [
 
 const VOICE_SPEED_STORAGE_KEY = "asrar-voice-speed";
 
-export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeType = "audio/mpeg" }) {
+export default function VoiceMessageBubble({
+  audioBase64,
+  audioUrl = null,
+  waveformPeaks = null,
+  durationMs = null,
+  from,
+  isArabic,
+  mimeType = "audio/mpeg",
+  error = null,
+}) {
   const audioRef = useRef(null);
   const trackRef = useRef(null);
+  const playOnLoadRef = useRef(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
   const [playbackRate, setPlaybackRate] = useState(1);
   const [isScrubbing, setIsScrubbing] = useState(false);
+  const [remoteSrc, setRemoteSrc] = useState(null);
+  const [isLoadingAudio, setIsLoadingAudio] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  const src = audioBase64
+    ? `data:${mimeType || "audio/mpeg"};base64,${audioBase64}`
+    : remoteSrc;
 
   // hydrate playback speed from localStorage once
   useEffect(() => {
@@ -30,9 +51,14 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
     } catch (_) {}
   }, []);
 
+  // object URLs for fetched attachments are ours to release
+  useEffect(() => {
+    if (!remoteSrc) return undefined;
+    return () => URL.revokeObjectURL(remoteSrc);
+  }, [remoteSrc]);
+
   useEffect(() => {
-    if (!audioBase64) return undefined;
-    const src = `data:${mimeType || "audio/mpeg"};base64,${audioBase64}`;
+    if (!src) return undefined;
     const audioEl = new Audio(src);
     audioRef.current = audioEl;
     audioEl.playbackRate = playbackRate;
@@ -53,12 +79,22 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
     audioEl.addEventListener("timeupdate", onTimeUpdate);
     audioEl.addEventListener("ended", onEnded);
 
+    // first tap on a saved message: play as soon as its audio has arrived
+    if (playOnLoadRef.current) {
+      playOnLoadRef.current = false;
+      audioEl
+        .play()
+        .then(() => setIsPlaying(true))
+        .catch(() => setIsPlaying(false));
+    }
+
     return () => {
       audioEl.pause();
       audioEl.removeEventListener("timeupdate", onTimeUpdate);
       audioEl.removeEventListener("ended", onEnded);
+      if (audioRef.current === audioEl) audioRef.current = null;
     };
-  }, [audioBase64, mimeType]);
+  }, [src]);
 
   // keep playbackRate in sync with the audio element and persist choice
   useEffect(() => {
@@ -76,9 +112,25 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
     } catch (_) {}
   }, [playbackRate]);
 
+  const loadRemoteAudio = () => {
+    if (!audioUrl || isLoadingAudio) return;
+    setIsLoadingAudio(true);
+    setLoadFailed(false);
+    fetchAttachmentAudioUrl(audioUrl)
+      .then((url) => {
+        playOnLoadRef.current = true;
+        setRemoteSrc(url);
+      })
+      .catch(() => setLoadFailed(true))
+      .finally(() => setIsLoadingAudio(false));
+  };
+
   const handleToggle = () => {
     const audioEl = audioRef.current;
-    if (!audioEl) return;
+    if (!audioEl) {
+      if (!audioBase64 && !remoteSrc) loadRemoteAudio();
+      return;
+    }
     if (isPlaying) {
       audioEl.pause();
       setIsPlaying(false);
@@ -156,14 +208,18 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
     ? "Your voice note"
     : "Voice reply";
 
+  const durationLabel = formatVoiceDuration(durationMs);
+  const peaks = Array.isArray(waveformPeaks) && waveformPeaks.length ? waveformPeaks : null;
+
   return (
-    <div className="asrar-voice-bubble">
+    <div className={"asrar-voice-bubble" + (error ? " asrar-voice-bubble--error" : "")}>
       <button
         type="button"
         className="asrar-voice-play-btn"
         onClick={handleToggle}
         aria-label={label}
         aria-pressed={isPlaying}
+        aria-busy={isLoadingAudio}
       >
         <span className="asrar-voice-play-btn-icon" aria-hidden="true">
           {isPlaying ? (
@@ -181,7 +237,10 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
         </span>
       </button>
       <div className="asrar-voice-meta">
-        <div className="asrar-voice-label">{label}</div>
+        <div className="asrar-voice-label">
+          {label}
+          {durationLabel && <span className="asrar-voice-duration">{durationLabel}</span>}
+        </div>
         <div className="asrar-voice-speed-row">
           {SPEED_OPTIONS.map((opt) => (
             <button
@@ -198,7 +257,7 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
           ))}
         </div>
         <div
-          className="asrar-voice-progress-track"
+          className={"asrar-voice-progress-track" + (peaks ? " asrar-voice-waveform" : "")}
           ref={trackRef}
           onMouseDown={handleTrackMouseDown}
           onMouseMove={handleTrackMouseMove}
@@ -208,11 +267,36 @@ export default function VoiceMessageBubble({ audioBase64, from, isArabic, mimeTy
           onTouchMove={handleTrackTouchMove}
           onTouchEnd={handleTrackTouchEnd}
         >
-          <div
-            className="asrar-voice-progress-bar"
-            style={{ width: `${Math.min(100, Math.max(0, progress))}%` }}
-          />
+          {peaks ? (
+            peaks.map((peak, i) => (
+              <span
+                key={i}
+                className={
+                  "asrar-voice-waveform-bar" +
+                  (((i + 0.5) / peaks.length) * 100 <= progress
+                    ? " asrar-voice-waveform-bar--played"
+                    : "")
+                }
+                style={{ height: `${Math.max(12, Math.min(100, peak * 100))}%` }}
+              />
+            ))
+          ) : (
+            <div
+              className="asrar-voice-progress-bar"
+              style={{ width: `${Math.min(100, Math.max(0, progress))}%` }}
+            />
+          )}
         </div>
+        {loadFailed && (
+          <div className="asrar-voice-error" role="alert">
+            {isArabic ? "تعذّر تحميل الرسالة الصوتية." : "This voice message could not be loaded."}
+          </div>
+        )}
+        {error && (
+          <div className="asrar-voice-error" role="alert">
+            {getVoiceErrorText(error, isArabic)}
+          </div>
+        )}
       </div>
     </div>
   );
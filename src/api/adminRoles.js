@@ -0,0 +1,66 @@
+// src/api/adminRoles.js
+// Staff roles and the admin audit log (/api/admin/roles, /api/admin/audit-log).
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+// Roles that open the admin dashboard (server/src/config/roles.js); "tester"
+// is a role too, but not a staff one.
+export const STAFF_ROLES = ["admin", "support", "analyst"];
+export const ROLES = [...STAFF_ROLES, "tester"];
+
+export function isStaffUser(user) {
+  return !!user && STAFF_ROLES.includes(user.role);
+}
+
+function authHeaders() {
+  const token = typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  return {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+async function request(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    credentials: "include",
+    headers: authHeaders(),
+    ...options,
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const error = new Error(body?.error || body?.message || fallbackMessage);
+    error.status = res.status;
+    error.code = body?.code || null;
+    error.body = body;
+    throw error;
+  }
+  return res.json();
+}
+
+// { roles: [{ role, permissions }], users: [{ id, email, name, role }] }
+export function getRoles() {
+  return request("/api/admin/roles", { method: "GET" }, "Failed to load roles");
+}
+
+// { user: { id, email, role } }
+export function grantRole(userId, role) {
+  return request(
+    `/api/admin/users/${userId}/role`,
+    { method: "PUT", body: JSON.stringify({ role }) },
+    "Failed to grant role"
+  );
+}
+
+// { user: { id, email, role: null } }
+export function revokeRole(userId) {
+  return request(`/api/admin/users/${userId}/role`, { method: "DELETE" }, "Failed to revoke role");
+}
+
+// { entries: [{ id, actorEmail, actorRole, action, targetUserId, status, details, createdAt }] }
+export function getAuditLog({ before, targetUserId, limit = 50 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (before) params.set("before", String(before));
+  if (targetUserId) params.set("targetUserId", String(targetUserId));
+  return request(`/api/admin/audit-log?${params}`, { method: "GET" }, "Failed to load audit log");
+}
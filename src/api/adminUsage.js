@@ -0,0 +1,52 @@
+// src/api/adminUsage.js
+// LLM usage and cost endpoints of the admin dashboard (/api/admin/llm-usage).
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+function authHeaders() {
+  const token = typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  return {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+async function request(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    credentials: "include",
+    headers: authHeaders(),
+    ...options,
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const error = new Error(body?.error || body?.message || fallbackMessage);
+    error.status = res.status;
+    error.body = body;
+    throw error;
+  }
+  return res.json();
+}
+
+// { days, from, to, totals, byFeature, byModel, byPlan, byDay, topUsers }
+export function getLlmUsage({ days = 30 } = {}) {
+  return request(`/api/admin/llm-usage?days=${days}`, { method: "GET" }, "Failed to load LLM usage");
+}
+
+// { user, month: { spentUsd, ceilingUsd, ceilingSource }, totals, byFeature, ... }
+export function getUserLlmUsage(userId, { days = 30 } = {}) {
+  return request(
+    `/api/admin/llm-usage/users/${userId}?days=${days}`,
+    { method: "GET" },
+    "Failed to load user usage"
+  );
+}
+
+// monthlyCostCeilingUsd: USD, or null for the plan default
+export function setUserCostCeiling(userId, monthlyCostCeilingUsd) {
+  return request(
+    `/api/admin/users/${userId}/cost-ceiling`,
+    { method: "PATCH", body: JSON.stringify({ monthlyCostCeilingUsd }) },
+    "Failed to update cost ceiling"
+  );
+}
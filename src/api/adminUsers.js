@@ -0,0 +1,80 @@
+// src/api/adminUsers.js
+// Account fixes from the admin dashboard (/api/admin/user/:id and
+// /api/admin/users/:id/...). Every change takes a reason for the audit log.
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+function authHeaders() {
+  const token = typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  return {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+async function request(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    credentials: "include",
+    headers: authHeaders(),
+    ...options,
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const error = new Error(body?.error || body?.message || fallbackMessage);
+    error.status = res.status;
+    error.code = body?.code || null;
+    error.body = body;
+    throw error;
+  }
+  return res.json();
+}
+
+const send = (method, path, body, fallbackMessage) =>
+  request(`/api/admin/users/${path}`, { method, body: JSON.stringify(body) }, fallbackMessage);
+
+// { user: { ..., effectivePlan, planOverride, planOverrideExpiresAt, suspendedAt,
+//   suspensionReason, usage: { dailyCount, monthlyCount, bonusMessages } } }
+export function getAdminUser(userId) {
+  return request(`/api/admin/user/${userId}`, { method: "GET" }, "Failed to load user");
+}
+
+// plan: "free" | "pro" | "premium"; days: 1-366. { user }
+export function setPlanOverride(userId, { plan, days, reason }) {
+  return send("PUT", `${userId}/plan-override`, { plan, days, reason }, "Failed to set plan");
+}
+
+// { user }
+export function extendPlanOverride(userId, { days, reason }) {
+  return send("POST", `${userId}/plan-override/extend`, { days, reason }, "Failed to extend plan");
+}
+
+// { user }
+export function clearPlanOverride(userId, { reason }) {
+  return send("DELETE", `${userId}/plan-override`, { reason }, "Failed to remove plan override");
+}
+
+// { usage: { dailyCount, monthlyCount, bonusMessages } }
+export function grantBonusMessages(userId, { amount, reason }) {
+  return send("POST", `${userId}/bonus-messages`, { amount, reason }, "Failed to grant messages");
+}
+
+// { usage: { dailyCount, monthlyCount, bonusMessages } }
+export function resetUsage(userId, { reason }) {
+  return send("POST", `${userId}/usage/reset`, { reason }, "Failed to reset usage");
+}
+
+// { user }
+export function suspendUser(userId, { reason }) {
+  return send("POST", `${userId}/suspend`, { reason }, "Failed to suspend account");
+}
+
+// { user }
+export function unsuspendUser(userId, { reason }) {
+  return send("POST", `${userId}/unsuspend`, { reason }, "Failed to unsuspend account");
+}
+
+// { revokedSessions }
+export function forceLogout(userId, { reason }) {
+  return send("POST", `${userId}/logout`, { reason }, "Failed to sign the user out");
+}
@@ -0,0 +1,52 @@
+// src/api/attachments.js
+// Audio of saved voice messages (GET /api/chat/attachments/:id/audio).
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+/**
+ * Fetch an attachment's audio and return an object URL for it. The caller
+ * owns the URL and should revoke it with URL.revokeObjectURL when done.
+ * @param {string} audioUrl path returned by the messages endpoint
+ */
+export async function fetchAttachmentAudioUrl(audioUrl) {
+  const token =
+    typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+
+  const res = await fetch(`${API_BASE}${audioUrl}`, {
+    method: "GET",
+    credentials: "include",
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  if (!res.ok) {
+    const error = new Error("Failed to load voice message");
+    error.status = res.status;
+    throw error;
+  }
+  return URL.createObjectURL(await res.blob());
+}
+
+/**
+ * Map the first voice attachment of a server message onto the fields the
+ * chat view uses for audio bubbles.
+ */
+export function voiceFieldsFromAttachments(attachments) {
+  const voice = Array.isArray(attachments)
+    ? attachments.find((a) => a && (a.kind === "voice_input" || a.kind === "voice_reply"))
+    : null;
+  if (!voice) return {};
+  return {
+    audioUrl: voice.audioUrl,
+    audioMimeType: voice.mimeType || null,
+    waveformPeaks: Array.isArray(voice.waveformPeaks) ? voice.waveformPeaks : null,
+    durationMs: typeof voice.durationMs === "number" ? voice.durationMs : null,
+  };
+}
+
+/** "0:07", "1:32" */
+export function formatVoiceDuration(ms) {
+  if (typeof ms !== "number" || !Number.isFinite(ms) || ms <= 0) return "";
+  const total = Math.round(ms / 1000);
+  const minutes = Math.floor(total / 60);
+  const seconds = String(total % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
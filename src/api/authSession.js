@@ -0,0 +1,83 @@
+// src/api/authSession.js
+// Access tokens in the browser. The access token (~15 minutes) is sent as a
+// Bearer header by the API helpers and renewed through /api/auth/refresh.
+// The refresh token lives only in an httpOnly cookie the server rotates on
+// every refresh; scripts never see it.
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+// Where older builds kept a copy of the refresh token; cleared on sight.
+const LEGACY_REFRESH_TOKEN_KEY = "asrar_refresh_token";
+
+// Access tokens live ~15 minutes; renew them this long before they expire.
+const REFRESH_MARGIN_MS = 60 * 1000;
+// When the token cannot be read (cookie-only sessions), renew this often.
+const FALLBACK_REFRESH_MS = 10 * 60 * 1000;
+
+// Save the access token of a login, registration, refresh or password change.
+export function storeAuthTokens({ token } = {}) {
+  if (typeof window === "undefined") return;
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  localStorage.removeItem(LEGACY_REFRESH_TOKEN_KEY);
+}
+
+export function clearAuthTokens() {
+  if (typeof window === "undefined") return;
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(LEGACY_REFRESH_TOKEN_KEY);
+}
+
+// Milliseconds until an access token should be renewed.
+export function msUntilRefresh(token) {
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    return Math.max(0, payload.exp * 1000 - Date.now() - REFRESH_MARGIN_MS);
+  } catch {
+    return FALLBACK_REFRESH_MS;
+  }
+}
+
+let refreshInFlight = null;
+
+// The refresh cookie is sent by the browser; there is no body.
+function requestRefresh() {
+  return fetch(`${API_BASE}/api/auth/refresh`, {
+    method: "POST",
+    credentials: "include",
+  });
+}
+
+/**
+ * Trade the refresh token for a new access token. Resolves to the new token,
+ * or null when the session is over (signed out, revoked, password changed,
+ * account suspended).
+ * Throws on network errors. Concurrent callers share one request.
+ */
+export function refreshAccessToken() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      let res = await requestRefresh();
+      if (res.status === 409) {
+        // Another tab rotated the token a moment ago; retry with the cookie it got.
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        res = await requestRefresh();
+      }
+      if (res.ok) {
+        const data = await res.json();
+        storeAuthTokens(data);
+        return data.token;
+      }
+      // 403: the account was suspended
+      if (res.status === 401 || res.status === 403) {
+        clearAuthTokens();
+        return null;
+      }
+      throw new Error(`Refresh failed (${res.status})`);
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
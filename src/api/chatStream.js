@@ -0,0 +1,54 @@
+// src/api/chatStream.js
+// Reader for the Server-Sent Events stream returned by
+// POST /api/chat/message when `stream: true` is sent.
+
+export function isEventStream(res) {
+  const type = (res && res.headers && res.headers.get("content-type")) || "";
+  return type.includes("text/event-stream");
+}
+
+/**
+ * Read `data: {...}` frames from a fetch Response and hand each parsed frame
+ * to `onFrame`. Resolves with the terminal frame ("done" or "error"), or
+ * null if the connection closed without one.
+ */
+export async function readChatStream(res, onFrame) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let pending = "";
+  let terminal = null;
+
+  const handleBlock = (block) => {
+    const dataLines = block
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim());
+    if (!dataLines.length) return;
+    let frame = null;
+    try {
+      frame = JSON.parse(dataLines.join("\n"));
+    } catch {
+      return;
+    }
+    if (!frame || typeof frame !== "object") return;
+    if (frame.type === "done" || frame.type === "error") {
+      terminal = frame;
+    }
+    onFrame(frame);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    pending += decoder.decode(value, { stream: true });
+    let sep = pending.indexOf("\n\n");
+    while (sep !== -1) {
+      handleBlock(pending.slice(0, sep));
+      pending = pending.slice(sep + 2);
+      sep = pending.indexOf("\n\n");
+    }
+  }
+  if (pending.trim()) handleBlock(pending);
+
+  return terminal;
+}
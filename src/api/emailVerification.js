@@ -0,0 +1,58 @@
+// src/api/emailVerification.js
+// Email verification and email change of the current user.
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+function authHeaders() {
+  const token = typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  return {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+async function request(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    credentials: "include",
+    headers: authHeaders(),
+    ...options,
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const error = new Error(body?.message || body?.error || fallbackMessage);
+    error.status = res.status;
+    error.code = body?.code || null;
+    error.body = body;
+    throw error;
+  }
+  return res.json();
+}
+
+// { ok } — 429 RESEND_TOO_SOON within a minute of the last link
+export function resendVerificationEmail(lang) {
+  return request(
+    "/api/auth/resend-verification",
+    { method: "POST", body: JSON.stringify({ lang }) },
+    "Failed to send verification email"
+  );
+}
+
+// { pending: { newEmail, expiresAt, confirmedOld, confirmedNew } | null }
+export function getPendingEmailChange() {
+  return request("/api/user/email-change", { method: "GET" }, "Failed to load email change");
+}
+
+// { ok, pending: { newEmail, expiresAt } }
+export function startEmailChange({ newEmail, currentPassword, lang }) {
+  return request(
+    "/api/user/email-change",
+    { method: "POST", body: JSON.stringify({ newEmail, currentPassword, lang }) },
+    "Failed to start email change"
+  );
+}
+
+// { ok, cancelled }
+export function cancelEmailChange() {
+  return request("/api/user/email-change", { method: "DELETE" }, "Failed to cancel email change");
+}
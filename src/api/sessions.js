@@ -0,0 +1,43 @@
+// src/api/sessions.js
+// Signed-in devices of the current user (/api/auth/sessions).
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+function authHeaders() {
+  const token = typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  return {
+    Accept: "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+async function request(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    credentials: "include",
+    headers: authHeaders(),
+    ...options,
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const error = new Error(body?.message || body?.error || fallbackMessage);
+    error.status = res.status;
+    error.body = body;
+    throw error;
+  }
+  return res.json();
+}
+
+// { sessions: [{ id, country, deviceType, browser, createdAt, lastUsedAt, current }] }
+export function listSessions() {
+  return request("/api/auth/sessions", { method: "GET" }, "Failed to load devices");
+}
+
+// { ok, current } — current: the device that made the request was signed out
+export function signOutSession(sessionId) {
+  return request(`/api/auth/sessions/${sessionId}`, { method: "DELETE" }, "Failed to sign out device");
+}
+
+// { ok, revoked }
+export function signOutOtherSessions() {
+  return request("/api/auth/sessions", { method: "DELETE" }, "Failed to sign out other devices");
+}
@@ -0,0 +1,73 @@
+// src/api/twoFactor.js
+// Two-factor authentication settings and re-authentication of the current user.
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+function authHeaders() {
+  const token = typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  return {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+async function request(path, options, fallbackMessage) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    credentials: "include",
+    headers: authHeaders(),
+    ...options,
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const error = new Error(body?.message || body?.error || fallbackMessage);
+    error.status = res.status;
+    error.code = body?.code || null;
+    error.body = body;
+    throw error;
+  }
+  return res.json();
+}
+
+/** Whether an error asks the user to confirm their password (or 2FA code) first. */
+export function isReauthRequired(err) {
+  return err?.status === 403 && err?.code === "REAUTH_REQUIRED";
+}
+
+// { enabled, enabledAt, recoveryCodesRemaining }
+export function getTwoFactorStatus() {
+  return request("/api/auth/2fa", { method: "GET" }, "Failed to load two-factor settings");
+}
+
+// { secret, otpauthUrl } — needs a recent re-authentication
+export function startTwoFactorSetup() {
+  return request("/api/auth/2fa/setup", { method: "POST" }, "Failed to start two-factor setup");
+}
+
+// { ok, recoveryCodes }
+export function enableTwoFactor(code) {
+  return request(
+    "/api/auth/2fa/enable",
+    { method: "POST", body: JSON.stringify({ code }) },
+    "Failed to turn on two-factor authentication"
+  );
+}
+
+// { ok } — needs a recent re-authentication
+export function disableTwoFactor() {
+  return request("/api/auth/2fa/disable", { method: "POST" }, "Failed to turn off two-factor authentication");
+}
+
+// { ok, recoveryCodes } — needs a recent re-authentication
+export function regenerateRecoveryCodes() {
+  return request("/api/auth/2fa/recovery-codes", { method: "POST" }, "Failed to create recovery codes");
+}
+
+// { ok, reauthenticatedUntil } — password, or a code for 2FA accounts
+export function reauthenticate({ password, code }) {
+  return request(
+    "/api/auth/reauth",
+    { method: "POST", body: JSON.stringify({ password, code }) },
+    "Failed to confirm your identity"
+  );
+}
@@ -0,0 +1,290 @@
+// src/api/voiceCall.js
+// Client for the live voice call (WebSocket /api/chat/voice/live): captures
+// the microphone, detects when the user starts and stops talking, streams
+// each utterance to the server and plays the spoken reply chunks in order.
+// Protocol: see server/src/services/voiceCallService.js.
+import { API_BASE } from "../apiBase";
+import { TOKEN_KEY } from "../hooks/useAuth";
+
+const CALL_PROTOCOL = "asrar-voice";
+
+// Voice activity detection on the mic level (RMS of the time-domain signal).
+const SPEECH_RMS = 0.035;
+// While a reply is playing, require a louder voice so speaker echo that
+// survives echo cancellation does not count as barge-in.
+const SPEECH_RMS_WHILE_PLAYING = 0.08;
+const SILENCE_MS = 900;
+const MIN_UTTERANCE_MS = 350;
+const RECORDER_TIMESLICE_MS = 250;
+
+function callUrl() {
+  const base =
+    API_BASE || (typeof window !== "undefined" ? window.location.origin : "");
+  const url = new URL("/api/chat/voice/live", base);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.toString();
+}
+
+function pickRecorderMimeType() {
+  if (typeof window === "undefined" || !window.MediaRecorder) return "";
+  const candidates = [
+    "audio/webm;codecs=opus",
+    "audio/ogg;codecs=opus",
+    "audio/mp4",
+  ];
+  for (const type of candidates) {
+    if (
+      typeof window.MediaRecorder.isTypeSupported === "function" &&
+      window.MediaRecorder.isTypeSupported(type)
+    ) {
+      return type;
+    }
+  }
+  return "";
+}
+
+function base64ToBlob(base64, mimeType) {
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type: mimeType || "audio/mpeg" });
+}
+
+/**
+ * Start a call. Resolves once the microphone is open and the socket is
+ * connecting; everything after that is reported through `handlers`.
+ *
+ * handlers:
+ *   onStatus(status)   "connecting" | "listening" | "hearing" | "thinking"
+ *                      | "speaking" | "ended"
+ *   onReady(payload), onPartial(text), onTranscript(payload),
+ *   onReply(payload), onReplyDone(payload), onError(payload),
+ *   onEnd({ code, reason })
+ *
+ * @returns {Promise<{ hangUp: () => void, setMuted: (muted: boolean) => void }>}
+ */
+export async function startVoiceCall(options, handlers = {}) {
+  const emit = (name, ...args) => {
+    if (typeof handlers[name] === "function") handlers[name](...args);
+  };
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+  });
+
+  const token =
+    typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+  const protocols = token ? [CALL_PROTOCOL, `bearer.${token}`] : [CALL_PROTOCOL];
+  const socket = new WebSocket(callUrl(), protocols);
+  socket.binaryType = "arraybuffer";
+
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  const audioContext = new AudioCtx();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 1024;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+
+  const recorderMimeType = pickRecorderMimeType();
+  let recorder = null;
+  let utteranceStartedAt = 0;
+  let lastVoiceAt = 0;
+  let muted = false;
+  let ready = false;
+  let ended = false;
+  let waitingForReply = false;
+  let vadTimer = null;
+
+  // Reply playback queue (chunks arrive in order).
+  const queue = [];
+  let currentAudio = null;
+  let currentUrl = null;
+
+  const send = (payload) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(payload));
+  };
+
+  const isPlaying = () => !!currentAudio || queue.length > 0;
+
+  const refreshStatus = () => {
+    if (ended) return;
+    if (recorder) emit("onStatus", "hearing");
+    else if (isPlaying()) emit("onStatus", "speaking");
+    else if (waitingForReply) emit("onStatus", "thinking");
+    else emit("onStatus", ready ? "listening" : "connecting");
+  };
+
+  const stopPlayback = () => {
+    queue.length = 0;
+    if (currentAudio) {
+      currentAudio.onended = null;
+      currentAudio.onerror = null;
+      currentAudio.pause();
+    }
+    if (currentUrl) URL.revokeObjectURL(currentUrl);
+    currentAudio = null;
+    currentUrl = null;
+  };
+
+  const playNext = () => {
+    if (currentAudio || !queue.length) {
+      refreshStatus();
+      return;
+    }
+    const chunk = queue.shift();
+    currentUrl = URL.createObjectURL(base64ToBlob(chunk.audio, chunk.mimeType));
+    currentAudio = new Audio(currentUrl);
+    const advance = () => {
+      if (currentUrl) URL.revokeObjectURL(currentUrl);
+      currentAudio = null;
+      currentUrl = null;
+      playNext();
+    };
+    currentAudio.onended = advance;
+    currentAudio.onerror = advance;
+    currentAudio.play().catch(advance);
+    refreshStatus();
+  };
+
+  const startUtterance = () => {
+    if (!ready || recorder) return;
+    // Barge-in: talking over the reply stops it on both ends.
+    if (isPlaying() || waitingForReply) {
+      stopPlayback();
+      waitingForReply = false;
+      send({ type: "cancel" });
+    }
+    const rec = recorderMimeType
+      ? new MediaRecorder(stream, { mimeType: recorderMimeType })
+      : new MediaRecorder(stream);
+    rec.ondataavailable = async (e) => {
+      if (!e.data || !e.data.size || socket.readyState !== WebSocket.OPEN) return;
+      socket.send(await e.data.arrayBuffer());
+    };
+    rec.start(RECORDER_TIMESLICE_MS);
+    recorder = rec;
+    utteranceStartedAt = Date.now();
+    refreshStatus();
+  };
+
+  const finishUtterance = () => {
+    const rec = recorder;
+    if (!rec) return;
+    recorder = null;
+    const tooShort = Date.now() - utteranceStartedAt < MIN_UTTERANCE_MS;
+    rec.onstop = () => {
+      // ondataavailable for the last slice fires before onstop; give its
+      // arrayBuffer() a tick to be sent before the control message.
+      setTimeout(() => {
+        if (tooShort) {
+          send({ type: "cancel" });
+        } else {
+          waitingForReply = true;
+          send({ type: "end_utterance" });
+        }
+        refreshStatus();
+      }, 0);
+    };
+    if (rec.state !== "inactive") rec.stop();
+  };
+
+  const detectVoice = () => {
+    if (ended) return;
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i += 1) sum += samples[i] * samples[i];
+    const rms = Math.sqrt(sum / samples.length);
+    const threshold = isPlaying() ? SPEECH_RMS_WHILE_PLAYING : SPEECH_RMS;
+    const now = Date.now();
+
+    if (!muted && rms > threshold) {
+      lastVoiceAt = now;
+      startUtterance();
+    } else if (recorder && now - lastVoiceAt > SILENCE_MS) {
+      finishUtterance();
+    }
+  };
+
+  const cleanup = () => {
+    if (ended) return;
+    ended = true;
+    clearInterval(vadTimer);
+    if (recorder && recorder.state !== "inactive") {
+      recorder.ondataavailable = null;
+      recorder.stop();
+    }
+    recorder = null;
+    stopPlayback();
+    stream.getTracks().forEach((track) => track.stop());
+    audioContext.close().catch(() => {});
+    emit("onStatus", "ended");
+  };
+
+  socket.onopen = () => {
+    send({ type: "start", ...options, mimeType: recorderMimeType || "audio/webm" });
+    refreshStatus();
+  };
+
+  socket.onmessage = (event) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    if (!msg || typeof msg.type !== "string") return;
+
+    switch (msg.type) {
+      case "ready":
+        ready = true;
+        emit("onReady", msg);
+        vadTimer = setInterval(detectVoice, 50);
+        break;
+      case "partial_transcript":
+        emit("onPartial", msg.text || "");
+        break;
+      case "transcript":
+        emit("onTranscript", msg);
+        break;
+      case "reply_text":
+        emit("onReply", msg);
+        break;
+      case "audio_chunk":
+        if (!recorder && typeof msg.audio === "string") {
+          queue.push(msg);
+          playNext();
+        }
+        break;
+      case "reply_done":
+        waitingForReply = false;
+        emit("onReplyDone", msg);
+        break;
+      case "error":
+        waitingForReply = false;
+        emit("onError", msg);
+        break;
+      default:
+        break;
+    }
+    refreshStatus();
+  };
+
+  socket.onclose = (event) => {
+    cleanup();
+    emit("onEnd", { code: event.code, reason: event.reason });
+  };
+
+  emit("onStatus", "connecting");
+
+  return {
+    hangUp() {
+      send({ type: "stop" });
+      cleanup();
+      if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+        socket.close(1000);
+      }
+    },
+    setMuted(next) {
+      muted = !!next;
+      if (muted) finishUtterance();
+    },
+  };
+}
@@ -6,9 +6,22 @@ import React, {
   useState,
 } from "react";
 import { API_BASE } from "../apiBase";
+import {
+  clearAuthTokens,
+  msUntilRefresh,
+  refreshAccessToken,
+} from "../api/authSession";
 
 export const TOKEN_KEY = "asrar_token";
 
+// When a refresh fails for reasons other than an ended session, retry after this.
+const RETRY_REFRESH_MS = 30 * 1000;
+
+const isDevBypassActive = () =>
+  import.meta.env.DEV &&
+  ["localhost", "127.0.0.1"].includes(window.location.hostname) &&
+  import.meta.env.VITE_ASRAR_DEV_BYPASS_AUTH === "true";
+
 const AuthContext = createContext(null);
 
 export function AuthProvider({ children }) {
@@ -18,16 +31,7 @@ export function AuthProvider({ children }) {
   // Load current user from /api/auth/me using the cookie
   useEffect(() => {
     const loadUser = async () => {
-      const isDev = import.meta.env.DEV;
-      const isLocalhost = ["localhost", "127.0.0.1"].includes(
-        window.location.hostname
-      );
-      const devBypass =
-        isDev &&
-        isLocalhost &&
-        import.meta.env.VITE_ASRAR_DEV_BYPASS_AUTH === "true";
-
-      if (devBypass) {
+      if (isDevBypassActive()) {
         setUser({
           id: "dev-user-id",
           email: "dev@asrar.local",
@@ -38,7 +42,7 @@ export function AuthProvider({ children }) {
         return;
       }
 
-      try {
+      const fetchMe = () => {
         const token =
           typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
         const headers = {
@@ -48,12 +52,20 @@ export function AuthProvider({ children }) {
           Pragma: "no-cache",
         };
 
-        const res = await fetch(`${API_BASE}/api/auth/me?_=${Date.now()}`, {
+        return fetch(`${API_BASE}/api/auth/me?_=${Date.now()}`, {
           method: "GET",
           credentials: "include",
           headers,
           cache: "no-store",
         });
+      };
+
+      try {
+        let res = await fetchMe();
+        // The access token outlives few page loads; try the refresh token.
+        if (res.status === 401 && (await refreshAccessToken())) {
+          res = await fetchMe();
+        }
 
         let data = null;
         try {
@@ -68,7 +80,7 @@ export function AuthProvider({ children }) {
           setUser(u);
         } else if (res.status === 304) {
           setUser((prev) => prev ?? null);
-        } else if (res.status === 401) {
+        } else if (res.status === 401 || data?.code === "account_suspended") {
           setUser(null);
         } else {
           console.error("/api/auth/me failed", res.status, data);
@@ -85,18 +97,60 @@ export function AuthProvider({ children }) {
     loadUser();
   }, []);
 
+  // Keep the access token fresh while signed in. Timers of background tabs
+  // are throttled, so re-check when the tab comes back.
+  const isSignedIn = !!user;
+  useEffect(() => {
+    if (!isSignedIn || isDevBypassActive()) return undefined;
+    let timer = null;
+    let cancelled = false;
+
+    const schedule = (delay) => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        try {
+          const token = await refreshAccessToken();
+          if (cancelled) return;
+          if (token === null) {
+            setUser(null);
+            return;
+          }
+          schedule(msUntilRefresh(token));
+        } catch (err) {
+          console.error("Session refresh error:", err);
+          if (!cancelled) schedule(RETRY_REFRESH_MS);
+        }
+      }, delay);
+    };
+
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        schedule(msUntilRefresh(localStorage.getItem(TOKEN_KEY) || ""));
+      }
+    };
+
+    schedule(msUntilRefresh(localStorage.getItem(TOKEN_KEY) || ""));
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    };
+  }, [isSignedIn]);
+
   const logout = async () => {
     try {
+      const token = localStorage.getItem(TOKEN_KEY);
+      // The refresh cookie goes along with credentials: "include".
       await fetch(`${API_BASE}/api/auth/logout`, {
         method: "POST",
         credentials: "include",
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
       });
     } catch (err) {
       console.error("Logout error:", err);
     } finally {
-      if (typeof window !== "undefined") {
-        localStorage.removeItem(TOKEN_KEY);
-      }
+      clearAuthTokens();
       setUser(null);
     }
   };
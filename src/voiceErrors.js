@@ -0,0 +1,42 @@
+// src/voiceErrors.js
+// Structured errors from POST /api/chat/voice ({ error, maxSeconds, ... }),
+// see server/src/services/audioIngestService.js.
+export const VOICE_ERROR_CODES = new Set([
+  "invalid_audio",
+  "unsupported_codec",
+  "audio_too_short",
+  "audio_too_long",
+  "audio_too_large",
+  "audio_processing_unavailable",
+]);
+
+export function getVoiceErrorText(error, isArabic) {
+  const code = error && error.error;
+  const maxSeconds = error && error.maxSeconds;
+  switch (code) {
+    case "audio_too_long":
+      return isArabic
+        ? `الرسالة الصوتية أطول من المسموح (${maxSeconds || "—"} ثانية). سجّل رسالة أقصر.`
+        : `This voice note is longer than your plan allows (${maxSeconds || "—"} seconds). Try a shorter one.`;
+    case "audio_too_short":
+      return isArabic
+        ? "التسجيل قصير جداً. اضغط مطولاً وتحدث ثم أرسل."
+        : "That recording was too short. Hold to talk, then send.";
+    case "audio_too_large":
+      return isArabic
+        ? "حجم التسجيل كبير جداً. سجّل رسالة أقصر."
+        : "That recording is too large. Try a shorter one.";
+    case "unsupported_codec":
+      return isArabic
+        ? "صيغة الصوت من جهازك غير مدعومة. جرّب متصفحاً آخر أو اكتب رسالتك."
+        : "Your device recorded in an audio format we don't support. Try another browser or type your message.";
+    case "audio_processing_unavailable":
+      return isArabic
+        ? "الرسائل الصوتية غير متاحة حالياً. حاول لاحقاً أو اكتب رسالتك."
+        : "Voice messages are unavailable right now. Try again later or type your message.";
+    default:
+      return isArabic
+        ? "تعذّرت قراءة التسجيل. حاول مرة أخرى."
+        : "We couldn't read that recording. Please try again.";
+  }
+}